@@ -0,0 +1,56 @@
+import { test, expect } from '@playwright/test';
+import { parentHeaders } from './helpers/parentSession.js';
+
+/**
+ * Achievements E2E Tests
+ *
+ * JUNIOR DEV NOTE: Fresh user IDs per run, so "first task" is really
+ * the user's first task.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+test.describe('Achievements', () => {
+    test('completing a first task earns "First Chore" once', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-achieve-${Date.now()}`;
+
+        const created = await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E achievement chore', assignedTo: [userId], xpReward: 10, goldReward: 5 }
+        });
+        const task = await created.json();
+
+        try {
+            const completed = await (await request.post(`${API_URL}/local-tasks/${task.id}/complete`)).json();
+            expect(completed.achievements[userId].map(a => a.id)).toContain('first-task');
+
+            // Unchecking keeps the badge
+            await request.post(`${API_URL}/local-tasks/${task.id}/uncomplete`);
+
+            const achievements = await (await request.get(`${API_URL}/stats/${userId}/achievements`)).json();
+            const firstTask = achievements.find(a => a.id === 'first-task');
+            expect(firstTask.earned).toBeTruthy();
+            expect(firstTask.seen).toBeFalsy();
+
+            // Celebrated once, then marked seen
+            const seen = await request.post(`${API_URL}/stats/${userId}/achievements/seen`, {
+                data: { ids: ['first-task'] }
+            });
+            expect((await seen.json()).marked).toBe(1);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('locked achievements report progress toward the target', async ({ request }) => {
+        const achievements = await (await request.get(`${API_URL}/stats/e2e-achieve-none-${Date.now()}/achievements`)).json();
+
+        const tenTasks = achievements.find(a => a.id === 'tasks-10');
+        expect(tenTasks).toMatchObject({ earned: false, progress: 0, target: 10 });
+    });
+
+    test('rejects an empty seen list', async ({ request }) => {
+        const response = await request.post(`${API_URL}/stats/e2e-kid/achievements/seen`, { data: { ids: [] } });
+        expect(response.status()).toBe(400);
+    });
+});
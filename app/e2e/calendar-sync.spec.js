@@ -0,0 +1,213 @@
+/**
+ * @fileoverview E2E Tests for incremental Google Calendar sync
+ * @module e2e/calendar-sync.spec
+ *
+ * JUNIOR DEV NOTE: We can't talk to the real Google API in tests, so
+ * page.route() plays a tiny fake Google Calendar: it pages results two at
+ * a time, hands out sync tokens, returns deltas and can expire a token
+ * (410). The sync engine itself runs for real in the browser, IndexedDB
+ * included - we load it straight from the Vite dev server.
+ */
+
+import { test, expect } from '@playwright/test';
+
+const GOOGLE_EVENTS_URL = 'https://www.googleapis.com/calendar/v3/calendars/**';
+const PAGE_SIZE = 2;
+
+// The app calls Google cross-origin, so the fake answers need CORS headers
+const CORS_HEADERS = {
+    'access-control-allow-origin': '*',
+    'access-control-allow-headers': 'authorization, content-type',
+    'access-control-allow-methods': 'GET, POST, PUT, PATCH, DELETE',
+};
+const fulfill = (route, options = {}) => route.fulfill({ ...options, headers: CORS_HEADERS });
+
+/**
+ * A fake Google Calendar, one per test
+ *
+ * Every change bumps `version`; a sync token is just the version it was
+ * issued at, so a delta is "everything changed after that version".
+ */
+const createMockGoogle = async (page, calendars) => {
+    const mock = {
+        version: 1,
+        events: {}, // calendarId -> Map(eventId -> { event, version })
+        requests: [],
+        expiredTokens: new Set(),
+        inFlight: 0,
+        maxInFlight: 0,
+        delayMs: 0,
+        set(calendarId, event) {
+            mock.version += 1;
+            mock.events[calendarId].set(event.id, { event, version: mock.version });
+        },
+        cancel(calendarId, eventId) {
+            mock.set(calendarId, { id: eventId, status: 'cancelled' });
+        },
+    };
+    calendars.forEach(calendarId => { mock.events[calendarId] = new Map(); });
+
+    await page.route(GOOGLE_EVENTS_URL, async (route) => {
+        if (route.request().method() === 'OPTIONS') return fulfill(route, { status: 204 });
+
+        const url = new URL(route.request().url());
+        const calendarId = decodeURIComponent(url.pathname.split('/')[4]);
+        const params = Object.fromEntries(url.searchParams);
+        mock.requests.push({ calendarId, params });
+
+        mock.inFlight += 1;
+        mock.maxInFlight = Math.max(mock.maxInFlight, mock.inFlight);
+        await new Promise(resolve => setTimeout(resolve, mock.delayMs));
+        mock.inFlight -= 1;
+
+        if (params.syncToken && mock.expiredTokens.has(params.syncToken)) {
+            await fulfill(route, { status: 410, json: { error: { message: 'Sync token is no longer valid' } } });
+            return;
+        }
+
+        const since = params.syncToken ? Number(params.syncToken) : 0;
+        const items = [...mock.events[calendarId].values()]
+            .filter(entry => entry.version > since && (since > 0 || entry.event.status !== 'cancelled'))
+            .map(entry => entry.event);
+
+        const offset = Number(params.pageToken || 0);
+        const isLastPage = offset + PAGE_SIZE >= items.length;
+        await fulfill(route, {
+            json: {
+                items: items.slice(offset, offset + PAGE_SIZE),
+                ...(isLastPage ? { nextSyncToken: String(mock.version) } : { nextPageToken: String(offset + PAGE_SIZE) }),
+            },
+        });
+    });
+
+    return mock;
+};
+
+const makeEvent = (id, summary, day) => ({
+    id,
+    summary,
+    status: 'confirmed',
+    start: { dateTime: `2030-01-${day}T16:00:00.000Z` },
+    end: { dateTime: `2030-01-${day}T17:00:00.000Z` },
+});
+
+/**
+ * Runs the real sync engine in the page; returns event summaries per calendar
+ */
+const syncInPage = (page, calendarIds, functionName = 'syncGoogleCalendars') => page.evaluate(async ({ ids, fn }) => {
+    const sync = await import('/src/services/calendarSync.js');
+    const results = await sync[fn]({
+        sources: ids.map(calendarId => ({ userId: 'e2e', calendarId, getToken: async () => 'e2e-token' })),
+        timeMin: new Date('2030-01-01T00:00:00.000Z'),
+        timeMax: new Date('2030-02-01T00:00:00.000Z'),
+    });
+    return results.map(result => (result.events || result).map(event => event.summary).sort());
+}, { ids: calendarIds, fn: functionName });
+
+test.describe('Google Calendar sync', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+    });
+
+    test('a full sync follows every page and keeps the sync token', async ({ page }) => {
+        const mock = await createMockGoogle(page, ['family']);
+        ['01', '02', '03', '04', '05'].forEach(day => mock.set('family', makeEvent(`e${day}`, `Event ${day}`, day)));
+
+        const [summaries] = await syncInPage(page, ['family']);
+
+        expect(summaries).toEqual(['Event 01', 'Event 02', 'Event 03', 'Event 04', 'Event 05']);
+        expect(mock.requests.map(request => request.params.pageToken || null)).toEqual([null, '2', '4']);
+        expect(mock.requests[0].params.timeMin).toBe('2030-01-01T00:00:00.000Z');
+        expect(mock.requests[0].params.singleEvents).toBe('true');
+    });
+
+    test('the next sync only asks for changes and applies them to the stored events', async ({ page }) => {
+        const mock = await createMockGoogle(page, ['family']);
+        mock.set('family', makeEvent('dentist', 'Dentist', '10'));
+        mock.set('family', makeEvent('swim', 'Swim', '11'));
+        mock.set('family', makeEvent('party', 'Party', '12'));
+        await syncInPage(page, ['family']);
+
+        mock.set('family', makeEvent('swim', 'Swim (moved)', '13'));
+        mock.cancel('family', 'party');
+        mock.requests.length = 0;
+
+        const [summaries] = await syncInPage(page, ['family']);
+
+        expect(summaries).toEqual(['Dentist', 'Swim (moved)']);
+        expect(mock.requests).toHaveLength(1);
+        expect(mock.requests[0].params.syncToken).toBe('4');
+        expect(mock.requests[0].params.timeMin).toBeUndefined();
+
+        // The store survives a reload and already has the changes
+        await page.reload();
+        const [stored] = await syncInPage(page, ['family'], 'loadStoredCalendars');
+        expect(stored).toEqual(['Dentist', 'Swim (moved)']);
+    });
+
+    test('an expired sync token falls back to a full sync', async ({ page }) => {
+        const mock = await createMockGoogle(page, ['family']);
+        mock.set('family', makeEvent('old', 'Old event', '05'));
+        await syncInPage(page, ['family']);
+
+        // Google forgot our token - and the calendar changed meanwhile
+        mock.expiredTokens.add(String(mock.version));
+        mock.events.family.clear();
+        mock.set('family', makeEvent('new', 'New event', '06'));
+        mock.requests.length = 0;
+
+        const [summaries] = await syncInPage(page, ['family']);
+
+        expect(summaries).toEqual(['New event']);
+        expect(mock.requests.map(request => Boolean(request.params.syncToken))).toEqual([true, false]);
+    });
+
+    test('calendars sync in parallel, but only a few at a time', async ({ page }) => {
+        const calendars = ['a', 'b', 'c', 'd', 'e', 'f'];
+        const mock = await createMockGoogle(page, calendars);
+        calendars.forEach(calendarId => mock.set(calendarId, makeEvent(`${calendarId}1`, `Event ${calendarId}`, '15')));
+        mock.delayMs = 200;
+
+        const results = await syncInPage(page, calendars);
+
+        expect(results).toEqual(calendars.map(calendarId => [`Event ${calendarId}`]));
+        expect(mock.maxInFlight).toBeGreaterThan(1);
+        expect(mock.maxInFlight).toBeLessThanOrEqual(4);
+    });
+
+    test('the outbox retries offline changes and flags conflicting ones', async ({ page }) => {
+        const requests = [];
+        let online = false;
+        await page.route(GOOGLE_EVENTS_URL, async (route) => {
+            const request = route.request();
+            if (request.method() === 'OPTIONS') return fulfill(route, { status: 204 });
+            requests.push(request.method());
+            if (!online) return route.abort('internetdisconnected');
+            if (request.method() === 'GET') {
+                return fulfill(route, { json: { id: 'dentist', updated: '2030-01-02T00:00:00.000Z', start: { date: '2030-01-10' } } });
+            }
+            return fulfill(route, { json: { ...request.postDataJSON(), updated: '2030-01-03T00:00:00.000Z' } });
+        });
+
+        const replay = (change) => page.evaluate(async (change) => {
+            const { createOutboxEntry, replayOutboxEntry } = await import('/src/services/eventOutbox.js');
+            const eventData = { summary: 'Dentist', date: new Date('2030-01-10T09:00:00.000Z'), isAllDay: false };
+            const entry = createOutboxEntry({ userId: 'e2e', calendarId: 'primary', eventData, ...change });
+            const { outcome, error } = await replayOutboxEntry(entry, async () => 'e2e-token');
+            return { outcome, error };
+        }, change);
+
+        // Offline: kept for later, not lost
+        expect((await replay({ kind: 'create' })).outcome).toBe('retry');
+
+        online = true;
+        expect((await replay({ kind: 'create' })).outcome).toBe('done');
+
+        // Edited here at 01-01, but Google's copy changed at 01-02
+        const conflict = await replay({ kind: 'update', eventId: 'dentist', baseUpdated: '2030-01-01T00:00:00.000Z' });
+        expect(conflict).toEqual({ outcome: 'conflict', error: 'Changed on another device since it was edited here' });
+        expect(requests.at(-1)).toBe('GET'); // Checked, never overwritten
+    });
+
+});
@@ -39,4 +39,17 @@ test.describe('Calendar Module', () => {
         await expect(page).toHaveURL('/');
     });
 
+    test("Who's free view opens a free slot in the add-event dialog", async ({ page }) => {
+        await page.click('text=Calendar');
+        await page.getByRole('button', { name: 'Week' }).click();
+        await page.getByRole('menuitem', { name: "Who's free" }).click();
+        await expect(page.locator('text=Everyone free')).toBeVisible();
+
+        // Tomorrow has the whole timeline ahead of it, so there's a slot to tap
+        await page.getByRole('button', { name: 'Today' }).click();
+        await page.locator('svg[data-testid="ArrowForwardIosIcon"]').click();
+        await page.getByRole('button', { name: /^\d+:\d\d - \d+:\d\d (AM|PM)$/ }).first().click();
+        await expect(page.getByRole('dialog')).toBeVisible();
+    });
+
 });
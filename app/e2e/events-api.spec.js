@@ -0,0 +1,228 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Local Family Calendar E2E Tests
+ *
+ * JUNIOR DEV NOTE: These events live on the kiosk (no Google account), so
+ * we can create, expand and delete them for real. Each test cleans up
+ * after itself.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+test.describe('Local Family Calendar', () => {
+    test('a weekly event expands into one instance per week', async ({ request }) => {
+        const createRes = await request.post(`${API_URL}/events`, {
+            data: {
+                summary: 'E2E Piano lesson',
+                start: { dateTime: '2030-01-07T16:00:00.000Z' },
+                end: { dateTime: '2030-01-07T17:00:00.000Z' },
+                recurrence: ['RRULE:FREQ=WEEKLY;COUNT=3'],
+                reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 30 }] }
+            }
+        });
+        expect(createRes.status()).toBe(201);
+        const event = await createRes.json();
+
+        try {
+            const instances = (await (await request.get(
+                `${API_URL}/events?from=2030-01-01T00:00:00.000Z&to=2030-03-01T00:00:00.000Z`
+            )).json()).filter(instance => instance.recurringEventId === event.id);
+
+            // COUNT=3 stops the series even though the range is longer
+            expect(instances).toHaveLength(3);
+            expect(instances[1].start.dateTime).toBe('2030-01-14T16:00:00.000Z');
+
+            const reminders = (await (await request.get(
+                `${API_URL}/events/reminders?from=2030-01-14T15:00:00.000Z&to=2030-01-14T16:00:00.000Z`
+            )).json()).filter(reminder => reminder.eventId === event.id);
+
+            expect(reminders).toHaveLength(1);
+            expect(reminders[0].remindAt).toBe('2030-01-14T15:30:00.000Z');
+        } finally {
+            await request.delete(`${API_URL}/events/${event.id}`);
+        }
+    });
+
+    test('turning repeat off with an update stops the series', async ({ request }) => {
+        const event = await (await request.post(`${API_URL}/events`, {
+            data: {
+                summary: 'E2E Bin day',
+                start: { date: '2030-02-01' },
+                end: { date: '2030-02-01' },
+                recurrence: ['RRULE:FREQ=DAILY']
+            }
+        })).json();
+
+        try {
+            const updateRes = await request.put(`${API_URL}/events/${event.id}`, {
+                data: { recurrence: null }
+            });
+            expect(updateRes.status()).toBe(200);
+
+            const instances = (await (await request.get(
+                `${API_URL}/events?from=2030-02-01T00:00:00&to=2030-02-10T00:00:00`
+            )).json()).filter(instance => instance.id === event.id || instance.recurringEventId === event.id);
+
+            expect(instances).toHaveLength(1);
+            expect(instances[0].start.date).toBe('2030-02-01');
+        } finally {
+            await request.delete(`${API_URL}/events/${event.id}`);
+        }
+    });
+
+    test('"last Friday of the month" rules are stored and expanded', async ({ request }) => {
+        const createRes = await request.post(`${API_URL}/events`, {
+            data: {
+                summary: 'E2E Pizza night',
+                start: { dateTime: '2030-01-25T16:00:00.000Z' },
+                end: { dateTime: '2030-01-25T18:00:00.000Z' },
+                recurrence: ['RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3']
+            }
+        });
+        expect(createRes.status()).toBe(201);
+        const event = await createRes.json();
+
+        try {
+            const starts = (await (await request.get(
+                `${API_URL}/events?from=2030-01-01T00:00:00.000Z&to=2030-06-01T00:00:00.000Z`
+            )).json())
+                .filter(instance => instance.recurringEventId === event.id)
+                .map(instance => instance.start.dateTime.slice(0, 10));
+
+            // Last Fridays of Jan, Feb and Mar 2030, then COUNT stops it
+            expect(starts).toEqual(['2030-01-25', '2030-02-22', '2030-03-29']);
+        } finally {
+            await request.delete(`${API_URL}/events/${event.id}`);
+        }
+    });
+
+    test('"this occurrence" edits and deletes leave the rest of the series alone', async ({ request }) => {
+        const event = await (await request.post(`${API_URL}/events`, {
+            data: {
+                summary: 'E2E Swim class',
+                start: { date: '2030-04-01' },
+                end: { date: '2030-04-02' },
+                recurrence: ['RRULE:FREQ=DAILY;COUNT=4']
+            }
+        })).json();
+        let exceptionId = null;
+
+        try {
+            const deleteRes = await request.delete(`${API_URL}/events/${event.id}_20300402?scope=this`);
+            expect(deleteRes.status()).toBe(200);
+
+            const updateRes = await request.put(`${API_URL}/events/${event.id}_20300403?scope=this`, {
+                data: { summary: 'E2E Swim gala' }
+            });
+            expect(updateRes.status()).toBe(200);
+            const exception = await updateRes.json();
+            exceptionId = exception.id;
+            expect(exception.recurrence).toBeNull();
+
+            const instances = (await (await request.get(
+                `${API_URL}/events?from=2030-04-01T00:00:00&to=2030-04-10T00:00:00`
+            )).json()).filter(instance => [event.id, exceptionId].includes(instance.recurringEventId || instance.id));
+
+            expect(instances.map(instance => [instance.start.date, instance.summary])).toEqual([
+                ['2030-04-01', 'E2E Swim class'],
+                ['2030-04-03', 'E2E Swim gala'],
+                ['2030-04-04', 'E2E Swim class']
+            ]);
+        } finally {
+            await request.delete(`${API_URL}/events/${event.id}`);
+            if (exceptionId) await request.delete(`${API_URL}/events/${exceptionId}`);
+        }
+    });
+
+    test('"this and following" splits the series into two', async ({ request }) => {
+        const event = await (await request.post(`${API_URL}/events`, {
+            data: {
+                summary: 'E2E Football',
+                start: { date: '2030-05-06' },
+                end: { date: '2030-05-07' },
+                recurrence: ['RRULE:FREQ=WEEKLY;COUNT=4']
+            }
+        })).json();
+        let newSeriesId = null;
+
+        try {
+            const updateRes = await request.put(`${API_URL}/events/${event.id}_20300520?scope=following`, {
+                data: { summary: 'E2E Football (new pitch)' }
+            });
+            expect(updateRes.status()).toBe(200);
+            newSeriesId = (await updateRes.json()).id;
+
+            const original = await (await request.get(`${API_URL}/events/${event.id}`)).json();
+            expect(original.recurrence).toEqual(['RRULE:FREQ=WEEKLY;UNTIL=20300519']);
+            const newSeries = await (await request.get(`${API_URL}/events/${newSeriesId}`)).json();
+            expect(newSeries.recurrence).toEqual(['RRULE:FREQ=WEEKLY;COUNT=2']);
+
+            const summaries = (await (await request.get(
+                `${API_URL}/events?from=2030-05-01T00:00:00&to=2030-07-01T00:00:00`
+            )).json())
+                .filter(instance => [event.id, newSeriesId].includes(instance.recurringEventId))
+                .map(instance => `${instance.start.date} ${instance.summary}`);
+
+            // Still four in all - the new series only gets what's left of COUNT=4
+            expect(summaries).toEqual([
+                '2030-05-06 E2E Football',
+                '2030-05-13 E2E Football',
+                '2030-05-20 E2E Football (new pitch)',
+                '2030-05-27 E2E Football (new pitch)'
+            ]);
+        } finally {
+            await request.delete(`${API_URL}/events/${event.id}`);
+            if (newSeriesId) await request.delete(`${API_URL}/events/${newSeriesId}`);
+        }
+    });
+
+    test('a split COUNT series still counts a skipped date', async ({ request }) => {
+        const event = await (await request.post(`${API_URL}/events`, {
+            data: {
+                summary: 'E2E Swimming',
+                start: { dateTime: '2030-06-03T16:00:00.000Z' },
+                end: { dateTime: '2030-06-03T17:00:00.000Z' },
+                recurrence: ['RRULE:FREQ=WEEKLY;COUNT=5', 'EXDATE:20300617T160000Z']
+            }
+        })).json();
+        let newSeriesId = null;
+
+        try {
+            const updateRes = await request.put(`${API_URL}/events/${event.id}_20300610?scope=following`, {
+                data: { location: 'New pool' }
+            });
+            expect(updateRes.status()).toBe(200);
+            const newSeries = await updateRes.json();
+            newSeriesId = newSeries.id;
+
+            // 10th, (17th, skipped), 24th, 1st
+            expect(newSeries.recurrence).toEqual(['RRULE:FREQ=WEEKLY;COUNT=4', 'EXDATE:20300617T160000Z']);
+
+            const starts = (await (await request.get(
+                `${API_URL}/events?from=2030-06-01T00:00:00.000Z&to=2030-08-01T00:00:00.000Z`
+            )).json())
+                .filter(instance => [event.id, newSeriesId].includes(instance.recurringEventId))
+                .map(instance => instance.start.dateTime.slice(0, 10));
+            expect(starts).toEqual(['2030-06-03', '2030-06-10', '2030-06-24', '2030-07-01']);
+        } finally {
+            await request.delete(`${API_URL}/events/${event.id}`);
+            if (newSeriesId) await request.delete(`${API_URL}/events/${newSeriesId}`);
+        }
+    });
+
+    test('unsupported recurrence rules are rejected', async ({ request }) => {
+        const response = await request.post(`${API_URL}/events`, {
+            data: {
+                summary: 'E2E Bad rule',
+                start: { date: '2030-01-01' },
+                recurrence: ['RRULE:FREQ=SECONDLY']
+            }
+        });
+        expect(response.status()).toBe(400);
+    });
+
+    test('deleting an unknown event returns 404', async ({ request }) => {
+        const response = await request.delete(`${API_URL}/events/local-missing`);
+        expect(response.status()).toBe(404);
+    });
+});
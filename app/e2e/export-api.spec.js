@@ -0,0 +1,44 @@
+import { test, expect } from '@playwright/test';
+import { parentHeaders } from './helpers/parentSession.js';
+
+/**
+ * Calendar Export E2E Tests
+ *
+ * JUNIOR DEV NOTE: The feed's token can only be read with the parent PIN,
+ * so most of these tests check that the feed and its settings stay locked.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+test.describe('Calendar Export Feed', () => {
+    test('the feed needs a token', async ({ request }) => {
+        const response = await request.get(`${API_URL}/export/calendar.ics`);
+        expect(response.status()).toBe(400);
+    });
+
+    test('a wrong token is refused', async ({ request }) => {
+        const response = await request.get(`${API_URL}/export/calendar.ics?token=not-the-family-token`);
+        expect(response.status()).toBe(401);
+    });
+
+    test('unknown modules are rejected', async ({ request }) => {
+        const response = await request.get(`${API_URL}/export/calendar.ics?token=x&modules=tasks,photos`);
+        expect(response.status()).toBe(400);
+    });
+
+    test('reading or replacing the token requires the parent PIN', async ({ request }) => {
+        expect((await request.get(`${API_URL}/export/settings`)).status()).toBe(401);
+        expect((await request.post(`${API_URL}/export/token`)).status()).toBe(401);
+    });
+
+    test('the legacy data endpoint neither shows nor replaces the token', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const { token } = await (await request.get(`${API_URL}/export/settings`, { headers })).json();
+
+        const data = await (await request.get(`${API_URL}/data`)).json();
+        expect(data.calendarExport).toBeUndefined();
+
+        await request.post(`${API_URL}/data`, { headers, data: { calendarExport: { token: 'e2e-hijacked' } } });
+        const after = await (await request.get(`${API_URL}/export/settings`, { headers })).json();
+        expect(after.token).toBe(token);
+    });
+});
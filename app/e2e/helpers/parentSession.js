@@ -0,0 +1,25 @@
+/**
+ * Parent session for the API specs
+ *
+ * JUNIOR DEV NOTE: Creating, editing and deleting chores is parent-only.
+ * The test server starts with empty storage, where the default family
+ * PIN (1234) unlocks it - see parentSessionService. One login per test
+ * keeps wrong guesses (and the lockout) out of the picture.
+ */
+const API_URL = 'http://localhost:3001/api';
+const DEFAULT_FAMILY_PIN = '1234';
+
+/**
+ * Headers that make a request a parent's
+ *
+ * @param {import('@playwright/test').APIRequestContext} request
+ * @returns {Promise<{Authorization: string}>}
+ */
+export const parentHeaders = async (request) => {
+    const response = await request.post(`${API_URL}/parent-session`, { data: { pin: DEFAULT_FAMILY_PIN } });
+    if (!response.ok()) {
+        throw new Error(`Parent login failed (${response.status()}) - is a custom PIN set on this server?`);
+    }
+    const { token } = await response.json();
+    return { Authorization: `Bearer ${token}` };
+};
@@ -0,0 +1,56 @@
+import { test, expect } from '@playwright/test';
+import { parentHeaders } from './helpers/parentSession.js';
+
+/**
+ * XP/Gold Ledger E2E Tests
+ *
+ * JUNIOR DEV NOTE: Each run uses a fresh user ID, so the ledger starts
+ * empty and we can check that it adds up to the balance.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+test.describe('XP/Gold Ledger', () => {
+    test('task completion and undo are both recorded and sum to the balance', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-ledger-${Date.now()}`;
+
+        const created = await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E ledger chore', assignedTo: [userId], xpReward: 10, goldReward: 5 }
+        });
+        const task = await created.json();
+
+        try {
+            await request.post(`${API_URL}/local-tasks/${task.id}/complete`);
+            await request.post(`${API_URL}/local-tasks/${task.id}/uncomplete`);
+
+            const ledger = await (await request.get(`${API_URL}/stats/${userId}/ledger?currency=gold`)).json();
+            const deltas = ledger.entries.filter(e => e.reason === 'task').map(e => e.delta);
+            expect(deltas).toEqual([-5, 5]); // newest first
+            expect(ledger.entries.every(e => e.sourceId === task.id)).toBeTruthy();
+
+            const stats = await (await request.get(`${API_URL}/stats/${userId}`)).json();
+            expect(ledger.totals.gold).toBe(stats.gold);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('a redemption that fails leaves no trace', async ({ request }) => {
+        const userId = `e2e-ledger-broke-${Date.now()}`;
+
+        // The server prices rewards itself, so an unknown reward is refused outright
+        const response = await request.post(`${API_URL}/stats/${userId}/redeem`, {
+            data: { rewardId: 'e2e', rewardTitle: 'E2E reward', cost: 50 }
+        });
+        expect(response.status()).toBe(404);
+
+        const ledger = await (await request.get(`${API_URL}/stats/${userId}/ledger`)).json();
+        expect(ledger.entries).toHaveLength(0);
+    });
+
+    test('rejects malformed date filters', async ({ request }) => {
+        const response = await request.get(`${API_URL}/stats/e2e-kid/ledger?from=last-week`);
+        expect(response.status()).toBe(400);
+    });
+});
@@ -0,0 +1,38 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Level Curve E2E Tests
+ *
+ * JUNIOR DEV NOTE: Changing the curve needs a parent session, so these
+ * only check what anyone can see - and that kids can't change it.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+test.describe('Level Curve', () => {
+    test('returns the curve with increasing thresholds', async ({ request }) => {
+        const response = await request.get(`${API_URL}/stats/levels`);
+        expect(response.ok()).toBeTruthy();
+
+        const config = await response.json();
+        expect(config.curve).toHaveProperty('type');
+        expect(Array.isArray(config.unlocks)).toBeTruthy();
+        expect(config.thresholds[0]).toBe(0);
+        expect(config.thresholds.every((total, i) => i === 0 || total > config.thresholds[i - 1])).toBeTruthy();
+    });
+
+    test('stats progress matches the curve', async ({ request }) => {
+        const { thresholds } = await (await request.get(`${API_URL}/stats/levels`)).json();
+        const stats = await (await request.get(`${API_URL}/stats/e2e-levels-${Date.now()}`)).json();
+
+        expect(stats.level).toBe(1);
+        expect(stats.xpToNextLevel).toBe(thresholds[1]);
+        expect(stats.badges).toEqual([]);
+    });
+
+    test('changing the curve requires a parent session', async ({ request }) => {
+        const response = await request.put(`${API_URL}/stats/levels`, {
+            data: { curve: { type: 'linear', xpPerLevel: 1 }, unlocks: [] }
+        });
+        expect(response.status()).toBe(401);
+    });
+});
@@ -0,0 +1,368 @@
+import { test, expect } from '@playwright/test';
+import { parentHeaders } from './helpers/parentSession.js';
+
+/**
+ * Local Task E2E Tests (shared chores, completion history, parent approval, recurrence, rotation)
+ *
+ * JUNIOR DEV NOTE: A chore assigned to two kids is completed per kid.
+ * Each run uses fresh user IDs so the balances start at zero. Writing
+ * chores is parent-only, so each test logs in first (helpers/parentSession.js);
+ * for approvals we check everything up to the parent's decision.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+const getGold = async (request, userId) => (await (await request.get(`${API_URL}/stats/${userId}`)).json()).gold;
+
+test.describe('Shared chores', () => {
+    test('each assignee completes their own copy and only they are paid', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const sam = `e2e-shared-sam-${Date.now()}`;
+        const alex = `e2e-shared-alex-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E shared chore', assignedTo: [sam, alex], xpReward: 10, goldReward: 6 }
+        })).json();
+
+        try {
+            // Shared task, no userId: the server can't know who did it
+            const anonymous = await request.post(`${API_URL}/local-tasks/${task.id}/complete`);
+            expect(anonymous.status()).toBe(400);
+
+            const outsider = await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId: 'e2e-nobody' } });
+            expect(outsider.status()).toBe(400);
+
+            const result = await (await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId: sam } })).json();
+            expect(result.goldAwarded).toBe(6);
+            expect(result.task.completed).toBe(false); // Alex hasn't finished
+
+            expect(await getGold(request, sam)).toBe(6);
+            expect(await getGold(request, alex)).toBe(0);
+
+            const samTasks = await (await request.get(`${API_URL}/local-tasks/user/${sam}`)).json();
+            const alexTasks = await (await request.get(`${API_URL}/local-tasks/user/${alex}`)).json();
+            expect(samTasks.find(t => t.id === task.id).completed).toBe(true);
+            expect(alexTasks.find(t => t.id === task.id).completed).toBe(false);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('a team chore pays everyone once the last assignee finishes', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const sam = `e2e-team-sam-${Date.now()}`;
+        const alex = `e2e-team-alex-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: {
+                title: 'E2E team chore',
+                assignedTo: [sam, alex],
+                goldReward: 10,
+                rewardStrategy: 'split',
+                completionMode: 'team'
+            }
+        })).json();
+
+        try {
+            const first = await (await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId: sam } })).json();
+            expect(first.teamPending).toBe(true);
+            expect(await getGold(request, sam)).toBe(0);
+
+            const last = await (await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId: alex } })).json();
+            expect(last.teamPending).toBe(false);
+            expect(last.task.completed).toBe(true);
+            expect(await getGold(request, sam)).toBe(5);
+            expect(await getGold(request, alex)).toBe(5);
+
+            // Reopening it takes the team reward back from both
+            await request.post(`${API_URL}/local-tasks/${task.id}/uncomplete`, { data: { userId: sam } });
+            expect(await getGold(request, sam)).toBe(0);
+            expect(await getGold(request, alex)).toBe(0);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+});
+
+test.describe('Editing', () => {
+    test('an edit changes the form fields, never who is done', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-edit-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E edited chore', assignedTo: [userId] }
+        })).json();
+
+        try {
+            const kid = await request.put(`${API_URL}/local-tasks/${task.id}`, { data: { goldReward: 500 } });
+            expect(kid.status()).toBe(401);
+
+            const edited = await (await request.put(`${API_URL}/local-tasks/${task.id}`, {
+                headers,
+                data: { title: 'E2E renamed chore', completed: true, completions: { [userId]: new Date().toISOString() } }
+            })).json();
+            expect(edited.title).toBe('E2E renamed chore');
+            expect(edited.completed).toBe(false);
+            expect(edited.completions).toEqual({});
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+});
+
+test.describe('Completion history', () => {
+    test('every completion is recorded, and an undo removes it', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-history-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E history chore', assignedTo: [userId], goldReward: 5, isRecurring: true, recurrence: 'daily' }
+        })).json();
+
+        try {
+            await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId } });
+
+            const history = await (await request.get(`${API_URL}/local-tasks/${task.id}/history`)).json();
+            expect(history.occurrences).toHaveLength(1);
+            expect(history.occurrences[0]).toMatchObject({ userId, gold: 5, approvedBy: null, date: history.to });
+            expect(history.missed[userId]).toEqual([]); // Created today - nothing to miss yet
+
+            const days = (await (await request.get(`${API_URL}/local-tasks/history/user/${userId}`)).json()).days;
+            const today = days[days.length - 1];
+            expect(today.due).toBe(1);
+            expect(today.done.map(item => item.taskId)).toEqual([task.id]);
+
+            await request.post(`${API_URL}/local-tasks/${task.id}/uncomplete`, { data: { userId } });
+            const undone = await (await request.get(`${API_URL}/local-tasks/${task.id}/history`)).json();
+            expect(undone.occurrences).toHaveLength(0);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('rejects malformed or backwards ranges', async ({ request }) => {
+        const malformed = await request.get(`${API_URL}/local-tasks/history/user/e2e-kid?from=last-week`);
+        expect(malformed.status()).toBe(400);
+
+        const backwards = await request.get(`${API_URL}/local-tasks/history/user/e2e-kid?from=2030-02-01&to=2030-01-01`);
+        expect(backwards.status()).toBe(400);
+
+        const missing = await request.get(`${API_URL}/local-tasks/no-such-task/history`);
+        expect(missing.status()).toBe(404);
+    });
+});
+
+test.describe('Parent approval', () => {
+    test('a chore that needs an OK waits in the inbox and pays nothing yet', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-approval-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E approval chore', assignedTo: [userId], goldReward: 5, requiresApproval: true }
+        })).json();
+
+        try {
+            const result = await (await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId } })).json();
+            expect(result.pendingApproval).toBe(true);
+            expect(result.goldAwarded).toBe(0);
+            expect(await getGold(request, userId)).toBe(0);
+
+            const tasks = await (await request.get(`${API_URL}/local-tasks/user/${userId}`)).json();
+            expect(tasks.find(t => t.id === task.id)).toMatchObject({ completed: true, pendingApproval: true });
+
+            const inbox = await (await request.get(`${API_URL}/local-tasks/approvals`)).json();
+            const pending = inbox.find(entry => entry.taskId === task.id);
+            expect(pending).toMatchObject({ userId, status: 'pending' });
+
+            // Deciding is parent-only
+            const approve = await request.post(`${API_URL}/local-tasks/approvals/${pending.id}/approve`);
+            expect(approve.status()).toBe(401);
+            const reject = await request.post(`${API_URL}/local-tasks/approvals/${pending.id}/reject`, { data: { note: 'nope' } });
+            expect(reject.status()).toBe(401);
+
+            // Unchecking it takes it back out of the inbox (nothing to refund)
+            await request.post(`${API_URL}/local-tasks/${task.id}/uncomplete`, { data: { userId } });
+            const after = await (await request.get(`${API_URL}/local-tasks/approvals`)).json();
+            expect(after.some(entry => entry.taskId === task.id)).toBe(false);
+            expect(await getGold(request, userId)).toBe(0);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+});
+
+test.describe('Recurrence', () => {
+    // Same local calendar as the server (it runs on this machine)
+    const dateKey = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(n => String(n).padStart(2, '0')).join('-');
+
+    test('every-N-days and monthly chores are only on the list on their days', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-recurrence-${Date.now()}`;
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        const chore = (title, rule) => request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title, assignedTo: [userId], isRecurring: true, ...rule }
+        }).then(response => response.json());
+
+        const tasks = await Promise.all([
+            chore('Every 2 days, from today', { recurrence: 'interval', interval: 2, startDate: dateKey(today) }),
+            chore('Every 2 days, from yesterday', { recurrence: 'interval', interval: 2, startDate: dateKey(yesterday) }),
+            chore('Monthly, today', { recurrence: 'monthly', monthDay: today.getDate() }),
+            chore('Monthly, yesterday', { recurrence: 'monthly', monthDay: yesterday.getDate() })
+        ]);
+
+        try {
+            const list = await (await request.get(`${API_URL}/local-tasks/user/${userId}`)).json();
+            expect(list.map(t => t.title).sort()).toEqual(['Every 2 days, from today', 'Monthly, today']);
+        } finally {
+            await Promise.all(tasks.map(task => request.delete(`${API_URL}/local-tasks/${task.id}`, { headers })));
+        }
+    });
+
+    test('time windows are sorted, given ids, and recorded on each completion', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-windows-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: {
+                title: 'E2E feed the fish',
+                assignedTo: [userId],
+                isRecurring: true,
+                recurrence: 'daily',
+                windows: [
+                    { label: 'Evening', start: '12:00', end: '23:59' },
+                    { label: 'Morning', start: '00:00', end: '12:00' }
+                ]
+            }
+        })).json();
+
+        try {
+            expect(task.windows.map(w => w.label)).toEqual(['Morning', 'Evening']);
+            expect(task.windows.every(w => w.id)).toBe(true);
+
+            await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId } });
+            const current = task.windows[new Date().getHours() < 12 ? 0 : 1];
+
+            const history = await (await request.get(`${API_URL}/local-tasks/${task.id}/history`)).json();
+            expect(history.occurrences[0].windowId).toBe(current.id);
+
+            const days = (await (await request.get(`${API_URL}/local-tasks/history/user/${userId}`)).json()).days;
+            expect(days[days.length - 1].due).toBe(2); // Once per window
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('rejects bad intervals and overlapping or backwards windows', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const create = (rule) => request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E bad rule', assignedTo: ['e2e-kid'], isRecurring: true, ...rule }
+        });
+
+        expect((await create({ recurrence: 'interval', interval: 0 })).status()).toBe(400);
+        expect((await create({ recurrence: 'monthly', monthDay: 32 })).status()).toBe(400);
+        expect((await create({ windows: [{ label: 'Late', start: '20:00', end: '08:00' }] })).status()).toBe(400);
+        expect((await create({
+            windows: [
+                { label: 'Morning', start: '07:00', end: '10:00' },
+                { label: 'Brunch', start: '09:00', end: '11:00' }
+            ]
+        })).status()).toBe(400);
+    });
+});
+
+test.describe('Rotation', () => {
+    test('only the person whose turn it is has the chore, and turns can be swapped or skipped', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const sam = `e2e-turns-sam-${Date.now()}`;
+        const alex = `e2e-turns-alex-${Date.now()}`;
+        const titlesFor = async (userId) => (await (await request.get(`${API_URL}/local-tasks/user/${userId}`)).json())
+            .map(t => t.title);
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: {
+                title: 'E2E take out the trash',
+                assignedTo: [sam, alex],
+                goldReward: 5,
+                isRecurring: true,
+                recurrence: 'daily',
+                rotation: { cadence: 'weekly' }
+            }
+        })).json();
+
+        try {
+            const { turns } = await (await request.get(`${API_URL}/local-tasks/${task.id}/rotation?count=3`)).json();
+            expect(turns.map(t => t.userId)).toEqual([sam, alex, sam]);
+            expect(await titlesFor(sam)).toEqual(['E2E take out the trash']);
+            expect(await titlesFor(alex)).toEqual([]);
+
+            // Not Alex's turn
+            const early = await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId: alex } });
+            expect(early.status()).toBe(400);
+
+            const swapped = await (await request.post(`${API_URL}/local-tasks/${task.id}/rotation/swap`, {
+                headers,
+                data: { turn: 0, withTurn: 1 }
+            })).json();
+            expect(swapped.turns.slice(0, 2).map(t => t.userId)).toEqual([alex, sam]);
+            expect(swapped.task.currentAssignee).toBe(alex);
+            expect(await titlesFor(alex)).toEqual(['E2E take out the trash']);
+
+            // Skipping Alex's turn hands it to the next person (and undoes the swap)
+            const skipped = await (await request.post(`${API_URL}/local-tasks/${task.id}/rotation/skip`, {
+                headers,
+                data: { turn: 0 }
+            })).json();
+            expect(skipped.turns[0].userId).toBe(alex);
+            expect(skipped.turns[0].swapped).toBe(false);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('only a parent can swap or skip a turn', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const sam = `e2e-turns-sam-${Date.now()}`;
+        const alex = `e2e-turns-alex-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E dishes', assignedTo: [sam, alex], isRecurring: true, recurrence: 'daily', rotation: { cadence: 'weekly' } }
+        })).json();
+
+        try {
+            const swap = await request.post(`${API_URL}/local-tasks/${task.id}/rotation/swap`, { data: { turn: 0, withTurn: 1 } });
+            const skip = await request.post(`${API_URL}/local-tasks/${task.id}/rotation/skip`, { data: { turn: 0 } });
+            expect(swap.status()).toBe(401);
+            expect(skip.status()).toBe(401);
+
+            // Still Sam's turn
+            const { turns } = await (await request.get(`${API_URL}/local-tasks/${task.id}/rotation?count=2`)).json();
+            expect(turns.map(t => t.userId)).toEqual([sam, alex]);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('previews the turns of a chore that is not saved yet', async ({ request }) => {
+        const response = await request.post(`${API_URL}/local-tasks/rotation/preview?count=4`, {
+            data: { assignedTo: ['a', 'b', 'c'], isRecurring: true, recurrence: 'daily', rotation: { cadence: 'occurrence' } }
+        });
+        const { turns } = await response.json();
+        expect(turns.map(t => t.userId)).toEqual(['a', 'b', 'c', 'a']);
+
+        const noRoster = await request.post(`${API_URL}/local-tasks/rotation/preview`, {
+            data: { assignedTo: [], rotation: { cadence: 'weekly' } }
+        });
+        expect(noRoster.status()).toBe(400);
+    });
+});
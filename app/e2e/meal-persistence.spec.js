@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Meal Persistence E2E Tests
+ *
+ * JUNIOR DEV NOTE: Meals, recipes, the shopping list and recipe preferences
+ * now live on the Express server instead of localStorage. These tests hit
+ * the API directly so a wiped browser profile can't hide a regression.
+ */
+const API = 'http://localhost:3001/api';
+
+test.describe('Meal Persistence API', () => {
+    test('saves and returns meals for a date', async ({ request }) => {
+        const dateKey = '2099-01-15';
+        const dayMeals = { dinner: [{ id: 'e2e-meal', name: 'E2E Tacos' }] };
+
+        const put = await request.put(`${API}/meals/${dateKey}`, { data: dayMeals });
+        expect(put.ok()).toBeTruthy();
+
+        const response = await request.get(`${API}/meals/${dateKey}`);
+        expect(await response.json()).toEqual(dayMeals);
+
+        // Cleanup: an empty day is removed
+        await request.put(`${API}/meals/${dateKey}`, { data: {} });
+    });
+
+    test('rejects malformed date keys', async ({ request }) => {
+        const response = await request.get(`${API}/meals/not-a-date`);
+        expect(response.status()).toBe(400);
+    });
+
+    test('recipe box keeps version history on update', async ({ request }) => {
+        const created = await (await request.post(`${API}/recipes`, {
+            data: { name: 'E2E Soup', instructions: 'v1' }
+        })).json();
+
+        const updated = await (await request.post(`${API}/recipes`, {
+            data: { ...created, instructions: 'v2' }
+        })).json();
+
+        expect(updated.instructions).toBe('v2');
+        expect(updated.history[0].instructions).toBe('v1');
+
+        const deleted = await request.delete(`${API}/recipes/${created.id}`);
+        expect(deleted.ok()).toBeTruthy();
+    });
+
+    test('saved recipes do not shadow the Spoonacular proxy', async ({ request }) => {
+        const response = await request.get(`${API}/recipes/status/configured`);
+        expect(response.ok()).toBeTruthy();
+        expect(await response.json()).toHaveProperty('configured');
+    });
+
+    test('a malformed bulk save is refused and changes nothing', async ({ request }) => {
+        const attempts = [
+            ['meals', ['not', 'a', 'plan']],
+            ['meals', { 'not-a-date': { dinner: [] } }],
+            ['shopping-list', { items: 'milk' }],
+            ['recipe-preferences', { 1: { 'e2e-recipe': 'meh' } }],
+            ['recipes', { name: 'Not a list' }]
+        ];
+
+        for (const [resource, body] of attempts) {
+            const before = await (await request.get(`${API}/${resource}`)).json();
+            const response = await request.put(`${API}/${resource}`, { data: body });
+            expect(response.status()).toBe(400);
+            expect(await (await request.get(`${API}/${resource}`)).json()).toEqual(before);
+        }
+    });
+
+    test('recipe preferences validate the preference value', async ({ request }) => {
+        const response = await request.put(`${API}/recipe-preferences/1/e2e-recipe`, {
+            data: { preference: 'meh' }
+        });
+        expect(response.status()).toBe(400);
+    });
+});
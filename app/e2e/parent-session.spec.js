@@ -0,0 +1,230 @@
+import { test, expect } from '@playwright/test';
+import { parentHeaders } from './helpers/parentSession.js';
+
+/**
+ * Parent Session E2E Tests
+ *
+ * JUNIOR DEV NOTE: Apart from the default family PIN (helpers/parentSession)
+ * we only send PINs we set ourselves - wrong guesses count toward the
+ * lockout. A parent PIN would lock the other specs out (the family PIN
+ * stops working), so a test that sets one removes it again before it ends.
+ * Mostly we check that parent-only routes refuse requests WITHOUT a
+ * valid token, and that kids still earn rewards through task-reward.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+/**
+ * Adds profiles to the synced family list, the way a kiosk does it
+ */
+const addProfiles = async (request, profiles, headers) => {
+    const { namespaces } = await (await request.get(`${API_URL}/data/sync`)).json();
+    const response = await request.patch(`${API_URL}/data/sync`, {
+        headers,
+        data: {
+            users: {
+                data: [...namespaces.users.data, ...profiles],
+                baseRevision: namespaces.users.revision
+            }
+        }
+    });
+    expect(response.ok()).toBeTruthy();
+};
+
+/**
+ * Logs a parent in with their own PIN
+ */
+const loginAs = async (request, userId, pin) => {
+    const response = await request.post(`${API_URL}/parent-session`, { data: { pin, userId } });
+    expect(response.status()).toBe(201);
+    const { token } = await response.json();
+    return { Authorization: `Bearer ${token}` };
+};
+
+test.describe('Parent Session API', () => {
+    test('parent-only routes answer 401 without a token', async ({ request }) => {
+        const attempts = [
+            request.post(`${API_URL}/stats/e2e-kid/gold`, { data: { amount: 1000 } }),
+            request.post(`${API_URL}/stats/e2e-kid/xp`, { data: { amount: 1000 } }),
+            request.post(`${API_URL}/rewards`, { data: { title: 'Hacked', cost: 1 } }),
+            request.post(`${API_URL}/stats/redemptions/missing/fulfill`),
+            request.post(`${API_URL}/system/reboot`),
+            request.post(`${API_URL}/local-tasks`, { data: { title: 'Hacked', assignedTo: ['e2e-kid'], goldReward: 500 } }),
+            request.put(`${API_URL}/local-tasks/missing`, { data: { requiresApproval: false } }),
+            request.delete(`${API_URL}/local-tasks/missing`),
+        ];
+
+        for (const response of await Promise.all(attempts)) {
+            expect(response.status()).toBe(401);
+            const body = await response.json();
+            expect(body.status).toBe('fail');
+        }
+    });
+
+    test('rejects an unknown token', async ({ request }) => {
+        const response = await request.post(`${API_URL}/stats/e2e-kid/gold`, {
+            headers: { Authorization: 'Bearer not-a-real-token' },
+            data: { amount: 5 }
+        });
+        expect(response.status()).toBe(401);
+    });
+
+    test('validates the PIN format before checking it', async ({ request }) => {
+        const response = await request.post(`${API_URL}/parent-session`, { data: { pin: '12' } });
+        expect(response.status()).toBe(400);
+    });
+
+    test('never exposes PIN hashes', async ({ request }) => {
+        const status = await (await request.get(`${API_URL}/parent-session/pins`)).json();
+        expect(Array.isArray(status.parentIds)).toBeTruthy();
+
+        const data = await (await request.get(`${API_URL}/data`)).json();
+        expect(data.parentPins).toBeUndefined();
+    });
+
+    test('PINs can only be set for parent profiles that exist', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const childId = `e2e-child-${Date.now()}`;
+        await addProfiles(request, [{ id: childId, name: 'E2E Child', isParent: false }], headers);
+
+        for (const pinId of ['made-up-parent', childId]) {
+            const response = await request.put(`${API_URL}/parent-session/pins/${pinId}`, {
+                headers,
+                data: { pin: '4321' }
+            });
+            expect(response.status()).toBe(404);
+        }
+
+        const status = await (await request.get(`${API_URL}/parent-session/pins`)).json();
+        expect(status.parentIds).not.toContain('made-up-parent');
+        expect(status.parentIds).not.toContain(childId);
+    });
+
+    test('only a parent can add a parent profile or import PINs for one', async ({ request }) => {
+        const { namespaces } = await (await request.get(`${API_URL}/data/sync`)).json();
+        const fakeParent = { id: `e2e-fake-${Date.now()}`, name: 'Not A Parent', isParent: true };
+
+        const synced = await request.patch(`${API_URL}/data/sync`, {
+            data: { users: { data: [...namespaces.users.data, fakeParent], baseRevision: namespaces.users.revision } }
+        });
+        expect(synced.status()).toBe(401);
+
+        const imported = await request.post(`${API_URL}/parent-session/pins/import`, {
+            data: { parents: [{ userId: fakeParent.id, pin: '4321' }] }
+        });
+        expect(imported.status()).toBe(404);
+
+        const status = await (await request.get(`${API_URL}/parent-session/pins`)).json();
+        expect(status.parentIds).not.toContain(fakeParent.id);
+    });
+
+    test("a parent can't remove another parent's PIN to replace it", async ({ request }) => {
+        const familyHeaders = await parentHeaders(request);
+        const momId = `e2e-mom-${Date.now()}`;
+        const dadId = `e2e-dad-${Date.now()}`;
+        await addProfiles(request, [
+            { id: momId, name: 'E2E Mom', isParent: true },
+            { id: dadId, name: 'E2E Dad', isParent: true }
+        ], familyHeaders);
+
+        const setPin = (pinId, pin, headers) => request.put(`${API_URL}/parent-session/pins/${pinId}`, { headers, data: { pin } });
+        const removePin = (pinId, headers) => request.delete(`${API_URL}/parent-session/pins/${pinId}`, { headers });
+
+        expect((await setPin(momId, '1111', familyHeaders)).ok()).toBeTruthy();
+        expect((await setPin(dadId, '2222', familyHeaders)).ok()).toBeTruthy();
+
+        try {
+            const dad = await loginAs(request, dadId, '2222');
+            expect((await setPin(momId, '9999', dad)).status()).toBe(403);
+            expect((await removePin(momId, dad)).status()).toBe(403);
+            expect((await setPin(momId, '9999', dad)).status()).toBe(403);
+
+            // Mom's own PIN still unlocks
+            await loginAs(request, momId, '1111');
+        } finally {
+            // Each parent removes their own PIN, so the family PIN works again
+            await removePin(momId, await loginAs(request, momId, '1111'));
+            await removePin(dadId, await loginAs(request, dadId, '2222'));
+        }
+
+        const status = await (await request.get(`${API_URL}/parent-session/pins`)).json();
+        expect(status.parentIds).not.toContain(momId);
+        expect(status.parentIds).not.toContain(dadId);
+    });
+
+    test('removing a parent profile through the sync removes their PIN', async ({ request }) => {
+        const familyHeaders = await parentHeaders(request);
+        const momId = `e2e-mom-${Date.now()}`;
+        await addProfiles(request, [{ id: momId, name: 'E2E Mom', isParent: true }], familyHeaders);
+        expect((await request.put(`${API_URL}/parent-session/pins/${momId}`, {
+            headers: familyHeaders,
+            data: { pin: '1111' }
+        })).ok()).toBeTruthy();
+
+        const withoutMom = async (headers) => {
+            const { namespaces } = await (await request.get(`${API_URL}/data/sync`)).json();
+            return request.patch(`${API_URL}/data/sync`, {
+                headers,
+                data: {
+                    users: {
+                        data: namespaces.users.data.filter(profile => profile.id !== momId),
+                        baseRevision: namespaces.users.revision
+                    }
+                }
+            });
+        };
+
+        const mom = await loginAs(request, momId, '1111');
+        try {
+            // Without a session the profile (and its PIN) stays
+            expect((await withoutMom({})).status()).toBe(401);
+            expect((await withoutMom(mom)).ok()).toBeTruthy();
+        } finally {
+            // Already gone if the sync worked; otherwise the family PIN must work again
+            await request.delete(`${API_URL}/parent-session/pins/${momId}`, { headers: mom });
+        }
+
+        const status = await (await request.get(`${API_URL}/parent-session/pins`)).json();
+        expect(status.parentIds).not.toContain(momId);
+    });
+
+    test('stored data is never a static download', async ({ request }) => {
+        const paths = [
+            'db/parentPins.json',
+            'db/localTasks.json',
+            '%64b/localTasks.json',
+            'db/_data.json.pre-v1.bak',
+            'data.json',
+            'data.json.pre-v1.bak',
+            'auth_tokens.json'
+        ];
+        for (const file of paths) {
+            const response = await request.get(`http://localhost:3001/api/storage/${file}`);
+            expect(response.status(), file).toBe(404);
+        }
+    });
+
+    test('overwriting collections through the legacy data endpoint is parent-only', async ({ request }) => {
+        const response = await request.post(`${API_URL}/data`, { data: { userStats: { 'e2e-kid': { gold: 99999 } } } });
+        expect(response.status()).toBe(401);
+    });
+
+    test('task rewards are only paid for tasks Google confirms', async ({ request }) => {
+        const userId = `e2e-kid-${Date.now()}`;
+        const url = `${API_URL}/stats/${userId}/task-reward`;
+
+        // No list/token = nothing to check the task against
+        const unchecked = await request.post(url, { data: { taskId: 'made-up', completed: true } });
+        expect(unchecked.status()).toBe(400);
+
+        // Google refuses a fake token (or can't be reached) - either way, no pay
+        const faked = await request.post(url, {
+            data: { taskId: 'made-up', listId: 'list', accessToken: 'not-a-token', completed: true }
+        });
+        expect(faked.ok()).toBe(false);
+
+        // Unchecking a task that never paid refunds nothing
+        const undo = await (await request.post(url, { data: { taskId: 'made-up', completed: false } })).json();
+        expect(undo.applied).toBe(false);
+        expect(undo.gold).toBe(0);
+    });
+});
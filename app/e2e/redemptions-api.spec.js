@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Reward Redemption E2E Tests
+ *
+ * JUNIOR DEV NOTE: Approving and rejecting need a parent session (PIN
+ * unknown to the test), so we check the parts anyone can reach: requests
+ * are validated, priced by the server, and the decisions are parent-only.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+test.describe('Reward Redemptions', () => {
+    test('a redemption needs a reward ID', async ({ request }) => {
+        const response = await request.post(`${API_URL}/stats/e2e-kid/redeem`, {
+            data: { rewardTitle: 'Free stuff', cost: 0 }
+        });
+        expect(response.status()).toBe(400);
+    });
+
+    test('approving, fulfilling and rejecting are parent-only', async ({ request }) => {
+        for (const action of ['approve', 'fulfill', 'reject']) {
+            const response = await request.post(`${API_URL}/stats/redemptions/missing/${action}`);
+            expect(response.status()).toBe(401);
+        }
+    });
+
+    test('the shop reports availability for a user', async ({ request }) => {
+        const rewards = await (await request.get(`${API_URL}/rewards?userId=e2e-shopper-${Date.now()}`)).json();
+
+        for (const reward of rewards) {
+            expect(reward).toHaveProperty('available');
+        }
+    });
+
+    test('every logged redemption has a status', async ({ request }) => {
+        const history = await (await request.get(`${API_URL}/stats/redemptions/all`)).json();
+
+        for (const entry of history) {
+            expect(['pending', 'approved', 'fulfilled', 'rejected']).toContain(entry.status);
+        }
+    });
+});
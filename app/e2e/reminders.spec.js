@@ -0,0 +1,61 @@
+/**
+ * @fileoverview E2E Tests for kiosk reminder cards
+ * @module e2e/reminders.spec
+ *
+ * E2E RULES (Definition of Done):
+ * 1. A task due today pops up full-screen after TASK_REMINDER_HOUR
+ * 2. Dismiss hides it - and it stays hidden after a reload
+ * 3. Snooze hides it until the snooze runs out
+ *
+ * JUNIOR DEV NOTE: page.clock pins "now" to 4:05 PM, and page.route()
+ * answers the task and reminder requests, so the test doesn't depend on
+ * what's in the real data files.
+ */
+
+import { test, expect } from '@playwright/test';
+
+const TODAY = '2030-01-10';
+
+const mockServer = async (page) => {
+    await page.route('**/api/local-tasks', route => route.fulfill({
+        json: [{ id: 'e2e-task', title: 'Feed the cat', dueDate: TODAY, assignedTo: [], completed: false }],
+    }));
+    await page.route('**/api/events/reminders?*', route => route.fulfill({ json: [] }));
+};
+
+test.describe('Kiosk reminders', () => {
+
+    test.beforeEach(async ({ page }) => {
+        await page.clock.install({ time: new Date(`${TODAY}T16:05:00`) });
+        await mockServer(page);
+    });
+
+    test('a task due today pops up and stays dismissed', async ({ page }) => {
+        await page.goto('/');
+
+        const card = page.getByTestId('reminder-card');
+        await expect(card).toBeVisible({ timeout: 15000 });
+        await expect(card).toContainText('Feed the cat');
+        await expect(card).toContainText('Due today');
+
+        await card.getByRole('button', { name: 'Dismiss' }).click();
+        await expect(card).toBeHidden();
+
+        await page.reload();
+        await page.waitForTimeout(2000);
+        await expect(page.getByTestId('reminder-card')).toBeHidden();
+    });
+
+    test('snooze brings the card back later', async ({ page }) => {
+        await page.goto('/');
+
+        const card = page.getByTestId('reminder-card');
+        await expect(card).toBeVisible({ timeout: 15000 });
+        await card.getByRole('button', { name: 'Snooze 5 min' }).click();
+        await expect(card).toBeHidden();
+
+        await page.clock.runFor('06:00');
+        await expect(card).toBeVisible();
+    });
+
+});
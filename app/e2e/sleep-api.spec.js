@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Sleep API E2E Tests
+ *
+ * JUNIOR DEV NOTE: Taps are logged for throwaway "e2e-sleeper" users.
+ * We can't clean them up (deleting log entries is parent-only), but the
+ * log is capped server-side, so a few test taps are harmless.
+ */
+const API_URL = 'http://localhost:3001/api';
+const USER_ID = 'e2e-sleeper';
+
+test.describe('Sleep API', () => {
+    test('returns schedules with defaults', async ({ request }) => {
+        const response = await request.get(`${API_URL}/sleep/schedules`);
+        expect(response.ok()).toBeTruthy();
+
+        const body = await response.json();
+        expect(body.schedules).toBeDefined();
+        expect(body.defaults.weekday.bedtime).toMatch(/^\d{2}:\d{2}$/);
+        expect(body.defaults.weekend.wakeTime).toMatch(/^\d{2}:\d{2}$/);
+    });
+
+    test('editing a schedule needs a parent session', async ({ request }) => {
+        const response = await request.put(`${API_URL}/sleep/schedules/${USER_ID}`, {
+            data: {
+                weekday: { bedtime: '19:30', wakeTime: '06:30' },
+                weekend: { bedtime: '20:30', wakeTime: '07:30' },
+                windDownMinutes: 30
+            }
+        });
+        expect(response.status()).toBe(401);
+    });
+
+    test('rejects an unknown tap type', async ({ request }) => {
+        const response = await request.post(`${API_URL}/sleep/log`, {
+            data: { userId: USER_ID, type: 'nap' }
+        });
+        expect(response.status()).toBe(400);
+    });
+
+    test('a bedtime and wake tap show up in the weekly summary', async ({ request }) => {
+        // A night safely in the past (two days ago, 21:00 to 07:00), so the
+        // result doesn't depend on what time the tests run. A fresh user
+        // keeps taps from earlier runs out of this night.
+        const userId = `${USER_ID}-${Date.now()}`;
+        const today = new Date();
+        const bedAt = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 2, 21, 0);
+        const wakeAt = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1, 7, 0);
+        const night = [bedAt.getFullYear(), bedAt.getMonth() + 1, bedAt.getDate()]
+            .map(n => String(n).padStart(2, '0')).join('-');
+
+        const bed = await request.post(`${API_URL}/sleep/log`, {
+            data: { userId, type: 'bedtime', at: bedAt.toISOString() }
+        });
+        expect(bed.status()).toBe(201);
+        const wake = await request.post(`${API_URL}/sleep/log`, {
+            data: { userId, type: 'wake', at: wakeAt.toISOString() }
+        });
+        expect(wake.status()).toBe(201);
+
+        const response = await request.get(`${API_URL}/sleep/${userId}/week?start=${night}`);
+        expect(response.ok()).toBeTruthy();
+
+        const week = await response.json();
+        expect(week.start).toBe(night);
+        expect(week.nights).toHaveLength(7);
+        expect(week.nights[0].minutes).toBe((wakeAt - bedAt) / 60000); // 10h, unless DST changed
+    });
+});
@@ -0,0 +1,107 @@
+import { test, expect } from '@playwright/test';
+import { parentHeaders } from './helpers/parentSession.js';
+
+/**
+ * Chore Streak E2E Tests
+ *
+ * JUNIOR DEV NOTE: Each run uses a fresh user ID, so the streak always
+ * starts at 0 no matter what earlier runs left behind.
+ */
+const API_URL = 'http://localhost:3001/api';
+
+test.describe('Chore Streaks', () => {
+    test('finishing every chore today starts a streak, unchecking takes it back', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-streak-${Date.now()}`;
+
+        const created = await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E streak chore', assignedTo: [userId], isRecurring: true, recurrence: 'daily' }
+        });
+        const task = await created.json();
+
+        try {
+            const completed = await (await request.post(`${API_URL}/local-tasks/${task.id}/complete`)).json();
+            expect(completed.streaks[userId].change).toBe('extended');
+            expect(completed.streaks[userId].streak).toBe(1);
+
+            const stats = await (await request.get(`${API_URL}/stats/${userId}`)).json();
+            expect(stats.streak).toBe(1);
+            expect(stats.bestStreak).toBe(1);
+            expect(stats.streakHistory[0].type).toBe('extended');
+
+            const reopened = await (await request.post(`${API_URL}/local-tasks/${task.id}/uncomplete`)).json();
+            expect(reopened.streaks[userId].change).toBe('revoked');
+
+            const after = await (await request.get(`${API_URL}/stats/${userId}`)).json();
+            expect(after.streak).toBe(0);
+            expect(after.streakHistory).toHaveLength(0);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('a chore waiting for approval only counts once a parent approves it', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-streak-approval-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: { title: 'E2E approval streak chore', assignedTo: [userId], isRecurring: true, recurrence: 'daily', requiresApproval: true }
+        })).json();
+
+        try {
+            const completed = await (await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId } })).json();
+            expect(completed.streaks[userId].change).toBeNull();
+            expect(completed.streaks[userId].streak).toBe(0);
+
+            const inbox = await (await request.get(`${API_URL}/local-tasks/approvals`)).json();
+            const pending = inbox.find(entry => entry.taskId === task.id);
+            const approved = await (await request.post(
+                `${API_URL}/local-tasks/approvals/${pending.id}/approve`, { headers }
+            )).json();
+            expect(approved.streaks[userId].change).toBe('extended');
+            expect(approved.streaks[userId].streak).toBe(1);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('a chore with time windows needs every window done', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const userId = `e2e-streak-windows-${Date.now()}`;
+
+        const task = await (await request.post(`${API_URL}/local-tasks`, {
+            headers,
+            data: {
+                title: 'E2E windowed streak chore',
+                assignedTo: [userId],
+                isRecurring: true,
+                recurrence: 'daily',
+                windows: [
+                    { label: 'Morning', start: '00:00', end: '11:59' },
+                    { label: 'Evening', start: '12:00', end: '23:59' }
+                ]
+            }
+        })).json();
+
+        try {
+            // Whenever this runs, it only covers the window it's in
+            const completed = await (await request.post(`${API_URL}/local-tasks/${task.id}/complete`, { data: { userId } })).json();
+            expect(completed.streaks[userId].change).toBeNull();
+            expect(completed.streaks[userId].streak).toBe(0);
+        } finally {
+            await request.delete(`${API_URL}/local-tasks/${task.id}`, { headers });
+        }
+    });
+
+    test('milestones are public to read, parent-only to change', async ({ request }) => {
+        const milestones = await (await request.get(`${API_URL}/stats/streak-milestones`)).json();
+        expect(Array.isArray(milestones)).toBeTruthy();
+
+        const response = await request.put(`${API_URL}/stats/streak-milestones`, {
+            data: { milestones: [{ days: 1, xp: 9999, gold: 9999 }] }
+        });
+        expect(response.status()).toBe(401);
+    });
+});
@@ -0,0 +1,129 @@
+import { test, expect } from '@playwright/test';
+import { parentHeaders } from './helpers/parentSession.js';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * ICS Subscription E2E Tests
+ *
+ * JUNIOR DEV NOTE: The kiosk server downloads feeds itself, so we serve a
+ * fixture file from a tiny local web server instead of depending on a
+ * real school district's website. /huge.ics streams more than the 5 MB
+ * limit without a Content-Length, so only counting the bytes can stop it.
+ */
+const API_URL = 'http://localhost:3001/api';
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'school-district.ics');
+
+let feedServer;
+let feedUrl;
+
+test.beforeAll(async () => {
+    feedServer = http.createServer((req, res) => {
+        if (req.url === '/school.ics') {
+            res.writeHead(200, { 'Content-Type': 'text/calendar' });
+            res.end(fs.readFileSync(FIXTURE));
+        } else if (req.url === '/huge.ics') {
+            res.writeHead(200, { 'Content-Type': 'text/calendar' });
+            const chunk = 'X'.repeat(1024 * 1024);
+            for (let i = 0; i < 6; i++) res.write(chunk);
+            res.end();
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => feedServer.listen(0, '127.0.0.1', resolve));
+    feedUrl = `http://127.0.0.1:${feedServer.address().port}/school.ics`;
+});
+
+test.afterAll(async () => {
+    await new Promise(resolve => feedServer.close(resolve));
+});
+
+test.describe('ICS Subscriptions', () => {
+    test('a subscribed feed shows its events, recurrences and exceptions', async ({ request }) => {
+        const headers = await parentHeaders(request);
+        const createRes = await request.post(`${API_URL}/subscriptions`, { headers, data: { url: feedUrl } });
+        expect(createRes.status()).toBe(201);
+        const subscription = await createRes.json();
+
+        try {
+            // The feed's own name is used when none is given
+            expect(subscription.name).toBe('Maple Grove Schools');
+
+            const events = (await (await request.get(
+                `${API_URL}/subscriptions/events?from=2030-01-01T00:00:00.000Z&to=2030-02-01T00:00:00.000Z`
+            )).json()).filter(event => event.subscriptionId === subscription.id);
+
+            const summaries = events.map(event => event.summary);
+            expect(summaries).toContain('No School, Teacher Workday');
+            expect(summaries).toContain('Science fair and family night in the gymnasium - all grades welcome');
+            // Cancelled events are dropped
+            expect(summaries).not.toContain('Assembly');
+
+            // Mon/Wed practice through January, minus the EXDATE (9th) and
+            // the occurrence moved from Monday 14th to Tuesday 15th
+            const practiceStarts = events
+                .filter(event => event.summary.startsWith('Band practice'))
+                .map(event => event.start.dateTime.slice(0, 10));
+            expect(practiceStarts).toEqual([
+                '2030-01-07', '2030-01-15', '2030-01-16', '2030-01-21',
+                '2030-01-23', '2030-01-28', '2030-01-30'
+            ]);
+
+            // Hiding the feed hides its events
+            await request.put(`${API_URL}/subscriptions/${subscription.id}`, { headers, data: { enabled: false } });
+            const hidden = (await (await request.get(
+                `${API_URL}/subscriptions/events?from=2030-01-01T00:00:00.000Z&to=2030-02-01T00:00:00.000Z`
+            )).json()).filter(event => event.subscriptionId === subscription.id);
+            expect(hidden).toHaveLength(0);
+        } finally {
+            await request.delete(`${API_URL}/subscriptions/${subscription.id}`, { headers });
+        }
+    });
+
+    test('a URL that is not a calendar is refused', async ({ request }) => {
+        const response = await request.post(`${API_URL}/subscriptions`, {
+            headers: await parentHeaders(request),
+            data: { url: feedUrl.replace('school.ics', 'missing.ics') }
+        });
+        expect(response.status()).toBe(400);
+    });
+
+    test('only web URLs can be subscribed to', async ({ request }) => {
+        const response = await request.post(`${API_URL}/subscriptions`, {
+            headers: await parentHeaders(request),
+            data: { url: 'file:///etc/passwd' }
+        });
+        expect(response.status()).toBe(400);
+    });
+
+    test('a feed over the size limit is refused', async ({ request }) => {
+        const response = await request.post(`${API_URL}/subscriptions`, {
+            headers: await parentHeaders(request),
+            data: { url: feedUrl.replace('school.ics', 'huge.ics') }
+        });
+        expect(response.status()).toBe(400);
+        expect((await response.json()).message).toContain('too large');
+    });
+
+    test('only a parent can add, change, refresh or remove a feed', async ({ request }) => {
+        expect((await request.post(`${API_URL}/subscriptions`, { data: { url: feedUrl } })).status()).toBe(401);
+
+        const headers = await parentHeaders(request);
+        const subscription = await (await request.post(`${API_URL}/subscriptions`, { headers, data: { url: feedUrl } })).json();
+        try {
+            const url = `${API_URL}/subscriptions/${subscription.id}`;
+            expect((await request.put(url, { data: { enabled: false } })).status()).toBe(401);
+            expect((await request.post(`${url}/refresh`)).status()).toBe(401);
+            expect((await request.delete(url)).status()).toBe(401);
+
+            // Reading stays open - the calendar shows feeds to everyone
+            expect((await request.get(`${API_URL}/subscriptions`)).status()).toBe(200);
+        } finally {
+            await request.delete(`${API_URL}/subscriptions/${subscription.id}`, { headers });
+        }
+    });
+});
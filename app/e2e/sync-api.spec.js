@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Sync API E2E Tests
+ *
+ * JUNIOR DEV NOTE: SyncContext PATCHes only the namespaces it owns and
+ * sends the revision it last saw. These tests make sure a stale revision
+ * is rejected instead of overwriting another kiosk's change.
+ */
+const SYNC_URL = 'http://localhost:3001/api/data/sync';
+
+test.describe('Sync API', () => {
+    test('rejects a stale revision with 409 and the current data', async ({ request }) => {
+        const { namespaces } = await (await request.get(SYNC_URL)).json();
+        const { data, revision } = namespaces.selectedCalendars;
+
+        // First write succeeds and bumps the revision
+        const first = await request.patch(SYNC_URL, {
+            data: { selectedCalendars: { data, baseRevision: revision } }
+        });
+        expect(first.ok()).toBeTruthy();
+        const saved = await first.json();
+        expect(saved.namespaces.selectedCalendars.revision).toBe(revision + 1);
+
+        // Second write based on the OLD revision is a conflict
+        const stale = await request.patch(SYNC_URL, {
+            data: { selectedCalendars: { data: {}, baseRevision: revision } }
+        });
+        expect(stale.status()).toBe(409);
+
+        const body = await stale.json();
+        expect(body.conflicts).toEqual(['selectedCalendars']);
+        expect(body.namespaces.selectedCalendars.data).toEqual(data);
+    });
+
+    test('refuses namespaces it does not own', async ({ request }) => {
+        const response = await request.patch(SYNC_URL, {
+            data: { userStats: { data: {}, baseRevision: 0 } }
+        });
+        expect(response.status()).toBe(400);
+    });
+});
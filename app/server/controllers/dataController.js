@@ -1,4 +1,5 @@
 import * as dataService from '../services/dataService.js';
+import * as syncService from '../services/syncService.js';
 
 export const getData = async (req, res, next) => {
     try {
@@ -17,3 +18,43 @@ export const saveData = async (req, res, next) => {
         next(err);
     }
 };
+
+/**
+ * Get the namespaces owned by the browser's SyncContext
+ * GET /api/data/sync
+ */
+export const getSyncState = async (req, res, next) => {
+    try {
+        const namespaces = await syncService.getSyncState();
+        res.status(200).json({ namespaces });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Merge changes into one or more sync namespaces
+ * PATCH /api/data/sync
+ * Body: { users?: { data, baseRevision }, selectedCalendars?: { data, baseRevision } }
+ *
+ * JUNIOR DEV NOTE: Why not throw an AppError on conflict?
+ * The client needs the server's CURRENT values to recover, so we answer
+ * 409 with a body that carries them instead of a bare error message.
+ */
+export const patchSyncState = async (req, res, next) => {
+    try {
+        const { conflicts, namespaces } = await syncService.patchSyncState(req.body, req.parentSession);
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: 'Revision conflict',
+                conflicts,
+                namespaces
+            });
+        }
+
+        res.status(200).json({ namespaces });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Events Controller - the local family calendar
+ * @module controllers/eventsController
+ *
+ * JUNIOR DEV NOTE: Request shapes are checked by the zod schemas in
+ * schemas/eventSchemas.js before we get here.
+ */
+
+import * as eventsService from '../services/eventsService.js';
+import { addDays } from '../utils/dateKeys.js';
+
+/**
+ * Date range from ?from=&to=, defaulting to the next four weeks
+ */
+const getRange = (query) => {
+    const from = query.from ? new Date(query.from) : new Date();
+    const to = query.to ? new Date(query.to) : addDays(from, 28);
+    return { from, to };
+};
+
+/**
+ * GET /api/events
+ * Query: ?from=&to= (ISO dates) - one entry per occurrence in the range
+ */
+export const getEvents = async (req, res, next) => {
+    try {
+        const { from, to } = getRange(req.query);
+        const events = await eventsService.getEvents(from, to);
+        res.status(200).json(events);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/events/reminders
+ * Query: ?from=&to= (ISO dates) - reminders that fire in the window
+ */
+export const getReminders = async (req, res, next) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : addDays(from, 1);
+        const reminders = await eventsService.getReminders(from, to);
+        res.status(200).json(reminders);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/events/:id
+ * The stored event (the whole series for a repeating event)
+ */
+export const getEventById = async (req, res, next) => {
+    try {
+        const event = await eventsService.getEventById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        res.status(200).json(event);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * POST /api/events
+ * Body: Google-shaped event { summary, start, end?, recurrence?, reminders?, ... }
+ */
+export const createEvent = async (req, res, next) => {
+    try {
+        const event = await eventsService.createEvent(req.body);
+        res.status(201).json(event);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * PUT /api/events/:id
+ * Query: ?scope=this|following|all (default all) - :id is an instance id
+ * for 'this'/'following'; those return the new one-off / new series
+ */
+export const updateEvent = async (req, res, next) => {
+    try {
+        const event = await eventsService.updateEvent(req.params.id, req.body, req.query.scope);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        res.status(200).json(event);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * DELETE /api/events/:id
+ * Query: ?scope=this|following|all (default all), as for PUT
+ */
+export const deleteEvent = async (req, res, next) => {
+    try {
+        const deleted = await eventsService.deleteEvent(req.params.id, req.query.scope);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        res.status(200).json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+};
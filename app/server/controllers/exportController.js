@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Export Controller - the family calendar as an .ics feed
+ * @module controllers/exportController
+ *
+ * JUNIOR DEV NOTE: The feed is read by calendar apps, not our browser,
+ * so it answers with text/calendar instead of JSON.
+ */
+
+import * as exportService from '../services/exportService.js';
+import AppError from '../utils/AppError.js';
+import { parseDateKey, addDays } from '../utils/dateKeys.js';
+
+// Default window: last week (so "what did we have on Tuesday?" works) through two months ahead
+const DEFAULT_DAYS_BEFORE = 7;
+const DEFAULT_DAYS_AFTER = 60;
+
+/**
+ * GET /api/export/calendar.ics
+ * Query: ?token= (required) &modules=tasks,meals,events &users=1,2 &from=YYYY-MM-DD &to=YYYY-MM-DD
+ * `to` is inclusive - the last day shown
+ */
+export const getCalendarFeed = async (req, res, next) => {
+    try {
+        if (!await exportService.isValidExportToken(req.query.token)) {
+            return next(new AppError('Invalid calendar link', 401));
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const from = req.query.from ? parseDateKey(req.query.from) : addDays(today, -DEFAULT_DAYS_BEFORE);
+        const to = req.query.to ? addDays(parseDateKey(req.query.to), 1) : addDays(today, DEFAULT_DAYS_AFTER);
+        if (to <= from) {
+            return next(new AppError('`to` must not be before `from`', 400));
+        }
+
+        const ics = await exportService.buildCalendarFeed({
+            modules: req.query.modules ? req.query.modules.split(',') : exportService.EXPORT_MODULES,
+            userIds: req.query.users ? req.query.users.split(',') : null,
+            from,
+            to
+        });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="family.ics"');
+        res.set('Cache-Control', 'no-store');
+        res.status(200).send(ics);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/export/settings (parent only)
+ * The secret token, created on first request
+ */
+export const getExportSettings = async (req, res, next) => {
+    try {
+        const settings = await exportService.getExportSettings();
+        res.status(200).json(settings);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * POST /api/export/token (parent only)
+ * Replaces the token - old links stop working
+ */
+export const rotateExportToken = async (req, res, next) => {
+    try {
+        const settings = await exportService.rotateExportToken();
+        res.status(200).json(settings);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -8,7 +8,7 @@
  */
 
 import * as localTasksService from '../services/localTasksService.js';
-import * as statsService from '../services/statsService.js';
+import * as taskCompletionService from '../services/taskCompletionService.js';
 
 // ============================================================================
 // GET ENDPOINTS
@@ -41,6 +41,100 @@ export const getAllTasks = async (req, res, next) => {
     }
 };
 
+/**
+ * Completion history of one task
+ * GET /api/local-tasks/:taskId/history?from=YYYY-MM-DD&to=YYYY-MM-DD&userId=
+ */
+export const getTaskHistory = async (req, res, next) => {
+    try {
+        const { taskId } = req.params;
+        const { from, to, userId } = req.query;
+        const history = await localTasksService.getTaskHistory(taskId, { from, to, userId });
+
+        if (!history) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(history);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Upcoming turns of a rotating task
+ * GET /api/local-tasks/:taskId/rotation?count=
+ */
+export const getRotation = async (req, res, next) => {
+    try {
+        const count = req.query.count ? Number(req.query.count) : undefined;
+        const rotation = await localTasksService.getRotation(req.params.taskId, { count });
+
+        if (!rotation) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(rotation);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * The turns a task would have, before it's saved (the add/edit form)
+ * POST /api/local-tasks/rotation/preview?count=
+ * Body: task fields with `assignedTo` and `rotation`, and `taskId` when editing
+ */
+export const previewRotation = async (req, res, next) => {
+    try {
+        const count = req.query.count ? Number(req.query.count) : undefined;
+        res.json({ turns: await localTasksService.previewRotation(req.body, { count }) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Two upcoming turns trade people
+ * POST /api/local-tasks/:taskId/rotation/swap
+ * Body: { turn, withTurn }
+ */
+export const swapTurns = async (req, res, next) => {
+    try {
+        const { turn, withTurn } = req.body;
+        res.json(await localTasksService.swapTurns(req.params.taskId, turn, withTurn));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * The person due for an upcoming turn sits it out
+ * POST /api/local-tasks/:taskId/rotation/skip
+ * Body: { turn }
+ */
+export const skipTurn = async (req, res, next) => {
+    try {
+        res.json(await localTasksService.skipTurn(req.params.taskId, req.body.turn));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * One person's chores, day by day (the history heatmap)
+ * GET /api/local-tasks/history/user/:userId?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+export const getUserHistory = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { from, to } = req.query;
+        res.json(await localTasksService.getUserHistory(userId, { from, to }));
+    } catch (error) {
+        next(error);
+    }
+};
+
 // ============================================================================
 // CRUD ENDPOINTS
 // ============================================================================
@@ -103,6 +197,7 @@ export const deleteTask = async (req, res, next) => {
 /**
  * Complete a task - awards XP and Gold
  * POST /api/local-tasks/:taskId/complete
+ * Body: { userId } - who finished it (may be left out if only one person is assigned)
  * 
  * JUNIOR DEV NOTE: Why is this separate from updateTask?
  * Because completing a task has side effects (XP/Gold).
@@ -112,40 +207,13 @@ export const deleteTask = async (req, res, next) => {
 export const completeTask = async (req, res, next) => {
     try {
         const { taskId } = req.params;
-        const result = await localTasksService.completeTask(taskId);
+        // Task, XP/Gold, streak and achievements change in one transaction
+        const result = await taskCompletionService.completeTask(taskId, req.body?.userId);
 
         if (!result) {
             return res.status(404).json({ error: 'Task not found' });
         }
 
-        // Award XP and Gold to the user(s) if rewards were earned
-        if (result.xpAwarded > 0 || result.goldAwarded > 0) {
-            const { task, xpAwarded, goldAwarded } = result;
-            const assignees = Array.isArray(task.assignedTo) ? task.assignedTo : [task.assignedTo];
-            const strategy = task.rewardStrategy || 'full';
-
-            // JUNIOR DEV NOTE: Calculate how much each person gets based on strategy.
-            // 'full' = everyone gets the full amount.
-            // 'split' = total is divided by number of assignees.
-            const xpPerPerson = strategy === 'split' ? Math.floor(xpAwarded / assignees.length) : xpAwarded;
-            const goldPerPerson = strategy === 'split' ? Math.floor(goldAwarded / assignees.length) : goldAwarded;
-
-            // 1. Loop through all assigned users
-            // 2. Award calculated XP/Gold to each
-            for (const userId of assignees) {
-                if (xpPerPerson > 0) {
-                    await statsService.addXP(userId, xpPerPerson);
-                }
-                if (goldPerPerson > 0) {
-                    await statsService.addGold(userId, goldPerPerson);
-                }
-            }
-
-            // Add actual awarded per person to result for frontend feedback
-            result.xpPerPerson = xpPerPerson;
-            result.goldPerPerson = goldPerPerson;
-        }
-
         res.json(result);
     } catch (error) {
         next(error);
@@ -155,34 +223,66 @@ export const completeTask = async (req, res, next) => {
 /**
  * Uncomplete a task - revokes XP and Gold
  * POST /api/local-tasks/:taskId/uncomplete
+ * Body: { userId } - whose copy to reopen (as for complete)
  */
 export const uncompleteTask = async (req, res, next) => {
     try {
         const { taskId } = req.params;
-        const result = await localTasksService.uncompleteTask(taskId);
+        // Takes back what was paid (from everyone, if a finished team task reopened)
+        const result = await taskCompletionService.uncompleteTask(taskId, req.body?.userId);
 
         if (!result) {
             return res.status(404).json({ error: 'Task not found' });
         }
 
-        // Revoke XP and Gold from the user(s)
-        if (result.xpRevoked > 0 || result.goldRevoked > 0) {
-            const { task, xpRevoked, goldRevoked } = result;
-            const assignees = Array.isArray(task.assignedTo) ? task.assignedTo : [task.assignedTo];
-            const strategy = task.rewardStrategy || 'full';
-
-            const xpPerPerson = strategy === 'split' ? Math.floor(xpRevoked / assignees.length) : xpRevoked;
-            const goldPerPerson = strategy === 'split' ? Math.floor(goldRevoked / assignees.length) : goldRevoked;
-
-            for (const userId of assignees) {
-                if (xpPerPerson > 0) {
-                    await statsService.addXP(userId, -xpPerPerson);
-                }
-                if (goldPerPerson > 0) {
-                    await statsService.addGold(userId, -goldPerPerson);
-                }
-            }
-        }
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ============================================================================
+// APPROVAL ENDPOINTS (parent)
+// ============================================================================
+
+/**
+ * Completions waiting for a parent's OK
+ * GET /api/local-tasks/approvals
+ */
+export const getPendingApprovals = async (req, res, next) => {
+    try {
+        res.json(await localTasksService.getPendingApprovals());
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Approve a completion - pays it now
+ * POST /api/local-tasks/approvals/:occurrenceId/approve
+ */
+export const approveOccurrence = async (req, res, next) => {
+    try {
+        const result = await taskCompletionService.approveOccurrence(req.params.occurrenceId, req.parentSession.userId);
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Reject a completion - nothing is paid and the chore is open again
+ * POST /api/local-tasks/approvals/:occurrenceId/reject
+ * Body: { note? } - why (the child sees it)
+ */
+export const rejectOccurrence = async (req, res, next) => {
+    try {
+        // It no longer counts toward today's streak either
+        const result = await taskCompletionService.rejectOccurrence(
+            req.params.occurrenceId,
+            req.parentSession.userId,
+            req.body?.note
+        );
 
         res.json(result);
     } catch (error) {
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Meal Plan Controller - API endpoint handlers
+ * @module controllers/mealPlanController
+ *
+ * DESIGN PATTERN: Controller Layer
+ * Controllers handle HTTP - parsing requests, calling services, formatting responses.
+ * Business logic stays in services.
+ *
+ * One controller serves four small resources (meals, saved recipes,
+ * shopping list, recipe preferences) because they all belong to the
+ * meals module and share one service.
+ */
+
+import * as mealPlanService from '../services/mealPlanService.js';
+
+// ============================================================================
+// MEAL PLAN ENDPOINTS
+// ============================================================================
+
+/**
+ * Get the whole meal plan
+ * GET /api/meals
+ */
+export const getMealPlan = async (req, res, next) => {
+    try {
+        const mealPlan = await mealPlanService.getMealPlan();
+        res.json(mealPlan);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the whole meal plan
+ * PUT /api/meals
+ */
+export const replaceMealPlan = async (req, res, next) => {
+    try {
+        const mealPlan = await mealPlanService.replaceMealPlan(req.body);
+        res.json(mealPlan);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the meals for one date
+ * GET /api/meals/:dateKey
+ */
+export const getMealsForDate = async (req, res, next) => {
+    try {
+        const meals = await mealPlanService.getMealsForDate(req.params.dateKey);
+        res.json(meals);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the meals for one date
+ * PUT /api/meals/:dateKey
+ */
+export const replaceMealsForDate = async (req, res, next) => {
+    try {
+        const meals = await mealPlanService.replaceMealsForDate(req.params.dateKey, req.body);
+        res.json(meals);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ============================================================================
+// SAVED RECIPE ENDPOINTS
+// ============================================================================
+
+/**
+ * Get all saved recipes
+ * GET /api/recipes
+ */
+export const getSavedRecipes = async (req, res, next) => {
+    try {
+        const recipes = await mealPlanService.getSavedRecipes();
+        res.json(recipes);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the whole recipe box
+ * PUT /api/recipes
+ */
+export const replaceSavedRecipes = async (req, res, next) => {
+    try {
+        const recipes = await mealPlanService.replaceSavedRecipes(req.body);
+        res.json(recipes);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create or update a recipe
+ * POST /api/recipes
+ */
+export const saveRecipe = async (req, res, next) => {
+    try {
+        if (!req.body?.name) {
+            return res.status(400).json({ error: 'Recipe name is required' });
+        }
+
+        const recipe = await mealPlanService.saveRecipe(req.body);
+        res.status(201).json(recipe);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a recipe
+ * DELETE /api/recipes/:recipeId
+ */
+export const deleteRecipe = async (req, res, next) => {
+    try {
+        const { recipeId } = req.params;
+        const deleted = await mealPlanService.deleteRecipe(recipeId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Recipe not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ============================================================================
+// SHOPPING LIST ENDPOINTS
+// ============================================================================
+
+/**
+ * Get the shopping list
+ * GET /api/shopping-list
+ */
+export const getShoppingList = async (req, res, next) => {
+    try {
+        const list = await mealPlanService.getShoppingList();
+        res.json(list);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the shopping list
+ * PUT /api/shopping-list
+ */
+export const replaceShoppingList = async (req, res, next) => {
+    try {
+        const list = await mealPlanService.replaceShoppingList(req.body);
+        res.json(list);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ============================================================================
+// RECIPE PREFERENCE ENDPOINTS
+// ============================================================================
+
+/**
+ * Get all recipe preferences
+ * GET /api/recipe-preferences
+ */
+export const getRecipePreferences = async (req, res, next) => {
+    try {
+        const preferences = await mealPlanService.getRecipePreferences();
+        res.json(preferences);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace all recipe preferences
+ * PUT /api/recipe-preferences
+ */
+export const replaceRecipePreferences = async (req, res, next) => {
+    try {
+        const preferences = await mealPlanService.replaceRecipePreferences(req.body);
+        res.json(preferences);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set one user's preference for a recipe
+ * PUT /api/recipe-preferences/:userId/:recipeId
+ * Body: { preference: 'favorite' | 'like' | 'dislike' | null }
+ */
+export const setRecipePreference = async (req, res, next) => {
+    try {
+        const { userId, recipeId } = req.params;
+        const { preference = null } = req.body;
+
+        const userPrefs = await mealPlanService.setRecipePreference(userId, recipeId, preference);
+        res.json(userPrefs);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Parent Session Controller - PIN exchange and PIN management
+ * @module controllers/parentSessionController
+ *
+ * JUNIOR DEV NOTE: Wrong PINs, lockouts and forbidden PIN changes are thrown
+ * by the service as AppErrors, so there's no status-code juggling here.
+ */
+
+import * as parentSessionService from '../services/parentSessionService.js';
+
+/**
+ * POST /api/parent-session
+ * Exchanges a PIN for a short-lived token
+ * Body: { pin, userId? }
+ */
+export const createSession = async (req, res, next) => {
+    try {
+        const { pin, userId } = req.body;
+        const session = await parentSessionService.createSession(pin, userId);
+        res.status(201).json(session);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/parent-session
+ * Confirms the caller's token is still valid (and extends it)
+ */
+export const getSession = async (req, res, next) => {
+    try {
+        const { userId, expiresAt } = req.parentSession;
+        res.status(200).json({ userId, expiresAt });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * DELETE /api/parent-session
+ * Locks the kiosk again
+ */
+export const endSession = async (req, res, next) => {
+    try {
+        const [, token] = (req.get('Authorization') || '').split(' ');
+        if (token) parentSessionService.endSession(token);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/parent-session/pins
+ * Which parents have a PIN (no hashes are ever returned)
+ */
+export const getPinStatus = async (req, res, next) => {
+    try {
+        const status = await parentSessionService.getPinStatus();
+        res.status(200).json(status);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * PUT /api/parent-session/pins/:pinId
+ * Sets the family PIN (pinId = "family") or a parent's PIN
+ * Body: { pin }
+ */
+export const setPin = async (req, res, next) => {
+    try {
+        const { pinId } = req.params;
+        await parentSessionService.setPin(pinId, req.body.pin, req.parentSession);
+        res.status(200).json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * DELETE /api/parent-session/pins/:pinId
+ * Removes a parent's PIN
+ */
+export const removePin = async (req, res, next) => {
+    try {
+        const removed = await parentSessionService.removePin(req.params.pinId, req.parentSession);
+        if (!removed) {
+            return res.status(404).json({ error: 'PIN not found' });
+        }
+        res.status(200).json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * POST /api/parent-session/pins/import
+ * One-time import of PINs that older browsers kept in localStorage
+ * Body: { familyPin?, parents?: [{ userId, pin }] }
+ */
+export const importLegacyPins = async (req, res, next) => {
+    try {
+        const status = await parentSessionService.importLegacyPins(req.body);
+        res.status(201).json(status);
+    } catch (err) {
+        next(err);
+    }
+};
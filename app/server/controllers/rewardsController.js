@@ -8,10 +8,15 @@ import * as rewardsService from '../services/rewardsService.js';
 /**
  * GET /api/rewards
  * Gets all shop rewards
+ * Query: ?userId=... adds { available, reason, availableAt } for that user
+ * (stock and cooldown limits)
  */
 export const getAllRewards = async (req, res, next) => {
     try {
-        const rewards = await rewardsService.getAllRewards();
+        const { userId } = req.query;
+        const rewards = userId
+            ? await rewardsService.getRewardsForUser(String(userId))
+            : await rewardsService.getAllRewards();
         res.status(200).json(rewards);
     } catch (err) {
         next(err);
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Sleep Controller - schedules, bed/wake log and weekly summary
+ * @module controllers/sleepController
+ *
+ * JUNIOR DEV NOTE: Request shapes are checked by the zod schemas in
+ * schemas/sleepSchemas.js before we get here.
+ */
+
+import * as sleepService from '../services/sleepService.js';
+import { toDateKey } from '../utils/dateKeys.js';
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * GET /api/sleep/schedules
+ * Every member's schedule, plus the defaults for members without one
+ */
+export const getSchedules = async (req, res, next) => {
+    try {
+        const schedules = await sleepService.getSchedules();
+        res.status(200).json({ schedules, defaults: sleepService.DEFAULT_SCHEDULE });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * PUT /api/sleep/schedules/:userId (parent)
+ * Body: { weekday: { bedtime, wakeTime }, weekend: { bedtime, wakeTime }, windDownMinutes? }
+ */
+export const setSchedule = async (req, res, next) => {
+    try {
+        const schedule = await sleepService.setSchedule(req.params.userId, req.body);
+        res.status(200).json(schedule);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * DELETE /api/sleep/schedules/:userId (parent)
+ */
+export const deleteSchedule = async (req, res, next) => {
+    try {
+        const deleted = await sleepService.deleteSchedule(req.params.userId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        res.status(200).json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// LOG
+// ============================================================================
+
+/**
+ * GET /api/sleep/log
+ * Query: ?userId=&from=&to= (all optional, from/to are ISO timestamps)
+ */
+export const getLog = async (req, res, next) => {
+    try {
+        const { userId, from, to } = req.query;
+        const log = await sleepService.getLog({ userId, from, to });
+        res.status(200).json(log);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * POST /api/sleep/log
+ * Body: { userId, type: 'bedtime' | 'wake', at? }
+ */
+export const logSleepEvent = async (req, res, next) => {
+    try {
+        const { userId, type, at } = req.body;
+        const entry = await sleepService.logSleepEvent(String(userId), type, at);
+        res.status(201).json(entry);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * DELETE /api/sleep/log/:entryId (parent)
+ */
+export const deleteLogEntry = async (req, res, next) => {
+    try {
+        const deleted = await sleepService.deleteLogEntry(req.params.entryId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Log entry not found' });
+        }
+        res.status(200).json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// WEEKLY SUMMARY
+// ============================================================================
+
+/**
+ * GET /api/sleep/:userId/week
+ * Query: ?start=YYYY-MM-DD (defaults to the last 7 nights, ending tonight)
+ */
+export const getWeeklySummary = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const defaultStart = new Date();
+        defaultStart.setDate(defaultStart.getDate() - 6);
+
+        const start = req.query.start || toDateKey(defaultStart);
+        const summary = await sleepService.getWeeklySummary(userId, start);
+        res.status(200).json(summary);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -7,16 +7,26 @@
  */
 
 import * as statsService from '../services/statsService.js';
+import * as streakService from '../services/streakService.js';
+import * as levelService from '../services/levelService.js';
+import * as achievementService from '../services/achievementService.js';
 
 /**
  * GET /api/stats/:userId
- * Gets stats for a specific user
+ * Gets stats for a specific user (including streak and streakHistory)
+ *
+ * JUNIOR DEV NOTE: The streak comes from streakService.getStreak, so a
+ * day missed since the last visit shows up as a reset instead of a stale
+ * number - without this GET writing anything.
  */
 export const getUserStats = async (req, res, next) => {
     try {
         const { userId } = req.params;
-        const stats = await statsService.getUserStats(userId);
-        res.status(200).json(stats);
+        const [stats, { nextMilestone, ...streak }] = await Promise.all([
+            statsService.getUserStats(userId),
+            streakService.getStreak(userId)
+        ]);
+        res.status(200).json({ ...stats, ...streak, nextStreakMilestone: nextMilestone });
     } catch (err) {
         next(err);
     }
@@ -24,19 +34,24 @@ export const getUserStats = async (req, res, next) => {
 
 /**
  * POST /api/stats/:userId/xp
- * Adds or removes XP
- * Body: { amount: number }
+ * Adds or removes XP (parent action)
+ * Body: { amount: number, note?: string }
  */
 export const updateXP = async (req, res, next) => {
     try {
         const { userId } = req.params;
-        const { amount } = req.body;
+        const { amount, note } = req.body;
 
         if (typeof amount !== 'number') {
             return res.status(400).json({ error: 'Amount must be a number' });
         }
 
-        const result = await statsService.addXP(userId, amount);
+        // The ledger remembers WHICH parent made the adjustment
+        const result = await statsService.addXP(userId, amount, {
+            reason: statsService.LEDGER_REASONS.MANUAL,
+            sourceId: req.parentSession.userId,
+            note: typeof note === 'string' ? note.slice(0, 200) : undefined
+        });
         res.status(200).json(result);
     } catch (err) {
         next(err);
@@ -45,19 +60,24 @@ export const updateXP = async (req, res, next) => {
 
 /**
  * POST /api/stats/:userId/gold
- * Adds or removes Gold
- * Body: { amount: number }
+ * Adds or removes Gold (parent action)
+ * Body: { amount: number, note?: string }
  */
 export const updateGold = async (req, res, next) => {
     try {
         const { userId } = req.params;
-        const { amount } = req.body;
+        const { amount, note } = req.body;
 
         if (typeof amount !== 'number') {
             return res.status(400).json({ error: 'Amount must be a number' });
         }
 
-        const result = await statsService.addGold(userId, amount);
+        // The ledger remembers WHICH parent made the adjustment
+        const result = await statsService.addGold(userId, amount, {
+            reason: statsService.LEDGER_REASONS.MANUAL,
+            sourceId: req.parentSession.userId,
+            note: typeof note === 'string' ? note.slice(0, 200) : undefined
+        });
         res.status(200).json(result);
     } catch (err) {
         next(err);
@@ -65,42 +85,108 @@ export const updateGold = async (req, res, next) => {
 };
 
 /**
- * POST /api/stats/:userId/redeem
- * Redeems a reward (deducts gold + logs for parent)
- * Body: { rewardId, rewardTitle, cost }
+ * POST /api/stats/:userId/task-reward
+ * Awards (or revokes) the fixed reward for a Google task
+ * Body: { taskId, completed, listId?, accessToken? } (list + token needed to pay)
  */
-export const redeemReward = async (req, res, next) => {
+export const applyTaskReward = async (req, res, next) => {
     try {
         const { userId } = req.params;
-        const { rewardId, rewardTitle, cost } = req.body;
+        const result = await statsService.applyTaskReward(userId, req.body);
+        result.achievements = await achievementService.evaluateAchievements(userId);
+        res.status(200).json(result);
+    } catch (err) {
+        next(err);
+    }
+};
 
-        // 1. Check user has enough gold
-        const stats = await statsService.getUserStats(userId);
-        if (stats.gold < cost) {
-            return res.status(400).json({ error: 'Not enough gold' });
-        }
+/**
+ * GET /api/stats/:userId/achievements
+ * Gets every achievement with the user's earned state and progress
+ *
+ * JUNIOR DEV NOTE: Evaluates first, so badges for work done before this
+ * feature existed (or missed by a crash) show up on the first visit.
+ */
+export const getAchievements = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        await achievementService.evaluateAchievements(userId);
+        const achievements = await achievementService.getAchievements(userId);
+        res.status(200).json(achievements);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * POST /api/stats/:userId/achievements/seen
+ * Marks achievements as celebrated (unlock animation shown)
+ * Body: { ids: string[] }
+ */
+export const markAchievementsSeen = async (req, res, next) => {
+    try {
+        const marked = await achievementService.markSeen(req.params.userId, req.body.ids);
+        res.status(200).json({ marked });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/stats/:userId/ledger
+ * Gets the user's XP/Gold ledger, newest first
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&currency=gold&reason=task&limit=50
+ */
+export const getLedger = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { from, to, currency, reason, limit } = req.query;
 
-        // 2. Deduct gold
-        await statsService.addGold(userId, -cost);
+        const ledger = await statsService.getLedger(userId, {
+            from,
+            to,
+            currency,
+            reason,
+            limit: limit ? Number(limit) : undefined
+        });
+        res.status(200).json(ledger);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * POST /api/stats/:userId/redeem
+ * Requests a reward (holds the gold + logs it as pending for a parent)
+ * Body: { rewardId }
+ *
+ * JUNIOR DEV NOTE: Older clients also send rewardTitle and cost - both are
+ * ignored. The shop's own price is what gets charged.
+ */
+export const redeemReward = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
 
-        // 3. Log redemption for parent
-        const entry = await statsService.logRedemption(userId, rewardId, rewardTitle, cost);
+        // Checks the limits and balance, deducts, logs and writes the ledger in one go
+        const { redemption, stats } = await statsService.redeemReward(userId, req.body.rewardId);
+        const achievements = await achievementService.evaluateAchievements(userId);
 
-        res.status(200).json({ success: true, redemption: entry });
+        res.status(200).json({ success: true, redemption, gold: stats.gold, achievements });
     } catch (err) {
         next(err);
     }
 };
 
 /**
- * GET /api/redemptions
+ * GET /api/stats/redemptions/all
  * Gets redemption history (for parent dashboard)
- * Query: ?unfulfilled=true
+ * Query: ?open=true for only the ones still waiting on a parent
+ * (?unfulfilled=true is the older name for the same thing)
  */
 export const getRedemptions = async (req, res, next) => {
     try {
-        const unfulfilledOnly = req.query.unfulfilled === 'true';
-        const history = await statsService.getRedemptionHistory(unfulfilledOnly);
+        const openOnly = req.query.open === 'true' || req.query.unfulfilled === 'true';
+        const history = await statsService.getRedemptionHistory(openOnly);
         res.status(200).json(history);
     } catch (err) {
         next(err);
@@ -108,19 +194,80 @@ export const getRedemptions = async (req, res, next) => {
 };
 
 /**
- * POST /api/redemptions/:id/fulfill
- * Marks a redemption as fulfilled (parent action)
+ * Builds a handler that moves a redemption to `status` (parent action)
+ *
+ * POST /api/stats/redemptions/:id/approve
+ * POST /api/stats/redemptions/:id/fulfill
+ * POST /api/stats/redemptions/:id/reject   Body: { note? } - refunds the gold
  */
-export const fulfillRedemption = async (req, res, next) => {
+const redemptionAction = (status) => async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const success = await statsService.fulfillRedemption(id);
+        const redemption = await statsService.setRedemptionStatus(req.params.id, status, {
+            parentId: req.parentSession.userId,
+            note: req.body?.note
+        });
+        res.status(200).json({ success: true, redemption });
+    } catch (err) {
+        next(err);
+    }
+};
 
-        if (!success) {
-            return res.status(404).json({ error: 'Redemption not found' });
-        }
+export const approveRedemption = redemptionAction('approved');
+export const fulfillRedemption = redemptionAction('fulfilled');
+export const rejectRedemption = redemptionAction('rejected');
+
+/**
+ * GET /api/stats/streak-milestones
+ * Gets the streak bonus table
+ */
+export const getStreakMilestones = async (req, res, next) => {
+    try {
+        const milestones = await streakService.getMilestones();
+        res.status(200).json(milestones);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * PUT /api/stats/streak-milestones
+ * Replaces the streak bonus table (parent action)
+ * Body: { milestones: [{ days, xp, gold }] }
+ */
+export const setStreakMilestones = async (req, res, next) => {
+    try {
+        const milestones = await streakService.setMilestones(req.body.milestones);
+        res.status(200).json(milestones);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/stats/levels
+ * Gets the level curve, level-up unlocks and the XP thresholds they produce
+ *
+ * JUNIOR DEV NOTE: `thresholds` saves the client from re-implementing the
+ * curve math - it's the total XP needed for level 1, 2, 3, ...
+ */
+export const getLevelConfig = async (req, res, next) => {
+    try {
+        const config = await levelService.getConfig();
+        res.status(200).json({ ...config, thresholds: levelService.getThresholds(config.curve) });
+    } catch (err) {
+        next(err);
+    }
+};
 
-        res.status(200).json({ success: true });
+/**
+ * PUT /api/stats/levels
+ * Replaces the level curve and unlocks (parent action)
+ * Body: { curve: { type, ... }, unlocks: [{ level, type, ... }] }
+ */
+export const setLevelConfig = async (req, res, next) => {
+    try {
+        const config = await levelService.setConfig(req.body);
+        res.status(200).json({ ...config, thresholds: levelService.getThresholds(config.curve) });
     } catch (err) {
         next(err);
     }
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Subscription Controller - ICS/iCal calendar feeds
+ * @module controllers/subscriptionController
+ *
+ * JUNIOR DEV NOTE: Request shapes are checked by the zod schemas in
+ * schemas/subscriptionSchemas.js before we get here.
+ */
+
+import * as subscriptionService from '../services/subscriptionService.js';
+import { addDays } from '../utils/dateKeys.js';
+
+/**
+ * GET /api/subscriptions
+ */
+export const getSubscriptions = async (req, res, next) => {
+    try {
+        const subscriptions = await subscriptionService.getSubscriptions();
+        res.status(200).json(subscriptions);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/subscriptions/events
+ * Query: ?from=&to= (ISO dates) - occurrences from enabled feeds
+ */
+export const getSubscriptionEvents = async (req, res, next) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : addDays(from, 28);
+        const events = await subscriptionService.getSubscriptionEvents(from, to);
+        res.status(200).json(events);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * POST /api/subscriptions
+ * Body: { url, name?, colorId?, refreshMinutes? }
+ */
+export const createSubscription = async (req, res, next) => {
+    try {
+        const { url, name, colorId, refreshMinutes } = req.body;
+        const subscription = await subscriptionService.createSubscription({ url: url.trim(), name, colorId, refreshMinutes });
+        res.status(201).json(subscription);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * PUT /api/subscriptions/:id
+ * Body: { name?, colorId?, enabled?, refreshMinutes? }
+ */
+export const updateSubscription = async (req, res, next) => {
+    try {
+        const subscription = await subscriptionService.updateSubscription(req.params.id, req.body);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.status(200).json(subscription);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * DELETE /api/subscriptions/:id
+ */
+export const deleteSubscription = async (req, res, next) => {
+    try {
+        const deleted = await subscriptionService.deleteSubscription(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.status(200).json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * POST /api/subscriptions/:id/refresh
+ * Downloads the feed now; a failure shows up as `lastError`
+ */
+export const refreshSubscription = async (req, res, next) => {
+    try {
+        const subscription = await subscriptionService.refreshSubscription(req.params.id);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.status(200).json(subscription);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -7,6 +7,8 @@ import { fileURLToPath } from 'url';
 // Utility Imports
 import errorHandler from './middleware/errorHandler.js';
 import { initializePhotoCache } from './services/photoService.js';
+import { initializeStorage } from './services/storageService.js';
+import { startSubscriptionScheduler } from './services/subscriptionService.js';
 
 // Route Imports
 import photoRoutes from './routes/photoRoutes.js';
@@ -20,6 +22,18 @@ import weatherRoutes from './routes/weatherRoutes.js';
 import statsRoutes from './routes/statsRoutes.js';
 import rewardsRoutes from './routes/rewardsRoutes.js';
 import localTasksRoutes from './routes/localTasksRoutes.js';
+import parentSessionRoutes from './routes/parentSessionRoutes.js';
+// Meals Module Routes (meal plan, recipe box, shopping list, preferences)
+import mealRoutes from './routes/mealRoutes.js';
+import savedRecipeRoutes from './routes/savedRecipeRoutes.js';
+import shoppingListRoutes from './routes/shoppingListRoutes.js';
+import recipePreferenceRoutes from './routes/recipePreferenceRoutes.js';
+// Sleep Module Routes (bedtime schedules, bed/wake log)
+import sleepRoutes from './routes/sleepRoutes.js';
+// Calendars that don't need a Google account (local events, ICS feeds)
+import eventsRoutes from './routes/eventsRoutes.js';
+import subscriptionRoutes from './routes/subscriptionRoutes.js';
+import exportRoutes from './routes/exportRoutes.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -36,9 +50,18 @@ fs.ensureDirSync(STORAGE_DIR);
 // Initialize in-memory photo cache
 initializePhotoCache();
 
+// Run any pending storage schema migrations before the first request needs them
+initializeStorage().catch(err => console.error('[Storage]', err.message));
+
+// Keep subscribed ICS feeds (school, sports, holidays) fresh in the background
+startSubscriptionScheduler();
+
 // ===== MIDDLEWARE =====
 app.use(cors());
-app.use(express.json());
+// * SENIOR MENTOR NOTE:
+// The default JSON limit is 100kb. A recipe box with version history can
+// outgrow that, so we allow a few megabytes for the bulk PUT endpoints.
+app.use(express.json({ limit: '5mb' }));
 
 // ===== STATIC FILES =====
 // * SENIOR MENTOR NOTE:
@@ -49,6 +72,20 @@ const staticOptions = {
     immutable: true
 };
 
+// Only photos are downloads here. The collection files (PIN hashes included),
+// the legacy data.json and its backups, and auth_tokens.json are API-only.
+// JUNIOR DEV NOTE: We decode first - express.static would happily serve
+// "/%64b/parentPins.json" as db/parentPins.json.
+const isPrivateStorageFile = (requestPath) => {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(requestPath).toLowerCase();
+    } catch {
+        return true;
+    }
+    return /^\/+db(\/|$)/.test(decoded) || /\.(json|bak)$/.test(decoded);
+};
+app.use('/api/storage', (req, res, next) => (isPrivateStorageFile(req.path) ? res.status(404).end() : next()));
 app.use('/api/storage', express.static(STORAGE_DIR, staticOptions));
 
 // ===== ROUTES =====
@@ -58,12 +95,25 @@ app.use('/api/frames', frameRoutes);
 app.use('/api/data', dataRoutes);
 app.use('/api/system', systemRoutes);
 app.use('/api/auth', authRoutes);
+// Saved recipes must be mounted BEFORE the Spoonacular proxy (see savedRecipeRoutes.js)
+app.use('/api/recipes', savedRecipeRoutes);
 app.use('/api/recipes', recipeRoutes);
 app.use('/api/weather', weatherRoutes);
 // Gamification Routes
 app.use('/api/stats', statsRoutes);
 app.use('/api/rewards', rewardsRoutes);
 app.use('/api/local-tasks', localTasksRoutes);
+app.use('/api/parent-session', parentSessionRoutes);
+// Meals Module
+app.use('/api/meals', mealRoutes);
+app.use('/api/shopping-list', shoppingListRoutes);
+app.use('/api/recipe-preferences', recipePreferenceRoutes);
+// Sleep Module
+app.use('/api/sleep', sleepRoutes);
+// Non-Google Calendars
+app.use('/api/events', eventsRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/export', exportRoutes);
 
 
 // ===== ERROR HANDLING =====
@@ -18,11 +18,12 @@ const errorHandler = (err, req, res, next) => {
 
     // 2. Handle Zod Validation Errors specifically
     // These are predictable operational errors, so we format them nicely.
+    // JUNIOR DEV NOTE: Zod 4 renamed `errors` to `issues`; we read either.
     if (err instanceof ZodError) {
         return res.status(400).json({
             status: 'fail',
             message: 'Validation Error',
-            errors: err.errors.map(e => ({
+            errors: (err.issues || err.errors).map(e => ({
                 field: e.path.join('.'),
                 message: e.message
             }))
@@ -0,0 +1,51 @@
+import AppError from '../utils/AppError.js';
+import { touchSession } from '../services/parentSessionService.js';
+
+/**
+ * Parent-Only Route Guard
+ *
+ * * SENIOR MENTOR NOTE:
+ * The browser gets a token from POST /api/parent-session (PIN exchange)
+ * and sends it back as `Authorization: Bearer <token>`. We don't answer
+ * the request ourselves on failure - we hand an AppError to next() so the
+ * global errorHandler formats it like every other error.
+ *
+ * On success the session is available to the controller as `req.parentSession`.
+ *
+ * Usage: router.post('/reboot', requireParent, systemController.reboot);
+ */
+const bearerToken = (req) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+const requireParent = (req, res, next) => {
+    const token = bearerToken(req);
+
+    if (!token) {
+        return next(new AppError('Parent PIN required', 401));
+    }
+
+    const session = touchSession(token);
+    if (!session) {
+        return next(new AppError('Parent session expired, please enter the PIN again', 401));
+    }
+
+    req.parentSession = { ...session, token };
+    next();
+};
+
+/**
+ * Notes a parent session if there is one, but lets everyone through
+ *
+ * For routes where only SOME changes are parent-only (e.g. adding a parent
+ * profile through the sync). `req.parentSession` is null without a valid token.
+ */
+export const optionalParent = (req, res, next) => {
+    const token = bearerToken(req);
+    const session = token ? touchSession(token) : null;
+    req.parentSession = session ? { ...session, token } : null;
+    next();
+};
+
+export default requireParent;
@@ -1,9 +1,26 @@
 import express from 'express';
 import * as dataController from '../controllers/dataController.js';
+import validate from '../middleware/validate.js';
+import requireParent, { optionalParent } from '../middleware/requireParent.js';
+import { syncPatchSchema } from '../schemas/syncSchemas.js';
 
 const router = express.Router();
 
+/**
+ * Data Routes
+ * 
+ * GET   /api/data       - Snapshot of every stored collection
+ * POST  /api/data       - (parent) Write the given top-level keys (legacy)
+ * GET   /api/data/sync  - SyncContext namespaces with revisions
+ * PATCH /api/data/sync  - Merge SyncContext namespaces (409 on stale revision;
+ *                         adding or removing a parent needs a parent token)
+ */
+
 router.get('/', dataController.getData);
-router.post('/', dataController.saveData);
+// Overwrites whole collections (stats, rewards, tasks...) - parents only,
+// or it would undo every other requireParent guard
+router.post('/', requireParent, dataController.saveData);
+router.get('/sync', dataController.getSyncState);
+router.patch('/sync', optionalParent, validate(syncPatchSchema), dataController.patchSyncState);
 
 export default router;
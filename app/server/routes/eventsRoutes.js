@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Events Routes - the local (non-Google) family calendar
+ * @module routes/eventsRoutes
+ */
+
+import express from 'express';
+import * as eventsController from '../controllers/eventsController.js';
+import validate from '../middleware/validate.js';
+import { rangeQuerySchema, createEventSchema, updateEventSchema, deleteEventSchema } from '../schemas/eventSchemas.js';
+
+const router = express.Router();
+
+/**
+ * Events Routes
+ *
+ * GET    /api/events            - Occurrences in a range (?from=&to=)
+ * GET    /api/events/reminders  - Reminders due in a window (?from=&to=)
+ * GET    /api/events/:id        - One stored event (whole series)
+ * POST   /api/events            - Create an event
+ * PUT    /api/events/:id        - Update an event (?scope=this|following|all)
+ * DELETE /api/events/:id        - Delete an event (?scope=this|following|all)
+ *
+ * JUNIOR DEV NOTE: Like Google events, anyone at the kiosk can add to the
+ * family calendar - no parent PIN needed.
+ */
+
+router.get('/', validate(rangeQuerySchema), eventsController.getEvents);
+router.get('/reminders', validate(rangeQuerySchema), eventsController.getReminders);
+router.get('/:id', eventsController.getEventById);
+router.post('/', validate(createEventSchema), eventsController.createEvent);
+router.put('/:id', validate(updateEventSchema), eventsController.updateEvent);
+router.delete('/:id', validate(deleteEventSchema), eventsController.deleteEvent);
+
+export default router;
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Export Routes - subscribe to the family calendar from a phone
+ * @module routes/exportRoutes
+ */
+
+import express from 'express';
+import * as exportController from '../controllers/exportController.js';
+import validate from '../middleware/validate.js';
+import requireParent from '../middleware/requireParent.js';
+import { exportFeedSchema } from '../schemas/exportSchemas.js';
+
+const router = express.Router();
+
+/**
+ * Export Routes
+ *
+ * GET  /api/export/calendar.ics  - The .ics feed (?token= required)
+ * GET  /api/export/settings      - The secret token (parent only)
+ * POST /api/export/token         - Replace the token (parent only)
+ *
+ * JUNIOR DEV NOTE: The feed itself can't use requireParent - phones poll
+ * it with no PIN. The token in the URL is the password.
+ */
+
+router.get('/calendar.ics', validate(exportFeedSchema), exportController.getCalendarFeed);
+router.get('/settings', requireParent, exportController.getExportSettings);
+router.post('/token', requireParent, exportController.rotateExportToken);
+
+export default router;
@@ -5,27 +5,66 @@
  * API Endpoints:
  * GET    /api/local-tasks/user/:userId - Get tasks for a user
  * GET    /api/local-tasks              - Get all tasks (management)
- * POST   /api/local-tasks              - Create new task
- * PUT    /api/local-tasks/:taskId      - Update task
- * DELETE /api/local-tasks/:taskId      - Delete task
- * POST   /api/local-tasks/:taskId/complete   - Complete (awards XP/Gold)
- * POST   /api/local-tasks/:taskId/uncomplete - Uncomplete (revokes XP/Gold)
+ * POST   /api/local-tasks              - (parent) Create new task (recurrence fields are validated)
+ * PUT    /api/local-tasks/:taskId      - (parent) Update task (recurrence fields are validated)
+ * DELETE /api/local-tasks/:taskId      - (parent) Delete task
+ * POST   /api/local-tasks/:taskId/complete   - Complete one assignee's copy (awards XP/Gold), body { userId }
+ * POST   /api/local-tasks/:taskId/uncomplete - Uncomplete one assignee's copy (revokes XP/Gold), body { userId }
+ * GET    /api/local-tasks/:taskId/history       - Who completed a task, and when (?from&to&userId)
+ * GET    /api/local-tasks/history/user/:userId  - One person's chores day by day (?from&to)
+ * GET    /api/local-tasks/:taskId/rotation      - Upcoming turns of a rotating task (?count)
+ * POST   /api/local-tasks/rotation/preview      - Upcoming turns of an unsaved task (?count), body: task fields
+ * POST   /api/local-tasks/:taskId/rotation/swap - (parent) Two turns trade people, body { turn, withTurn }
+ * POST   /api/local-tasks/:taskId/rotation/skip - (parent) Whoever is due sits a turn out, body { turn }
+ * GET    /api/local-tasks/approvals                       - Completions waiting for a parent's OK
+ * POST   /api/local-tasks/approvals/:occurrenceId/approve - (parent) Approve and pay
+ * POST   /api/local-tasks/approvals/:occurrenceId/reject  - (parent) Reject, body { note? }
  */
 
 import { Router } from 'express';
 import * as controller from '../controllers/localTasksController.js';
+import validate from '../middleware/validate.js';
+import requireParent from '../middleware/requireParent.js';
+import {
+    createTaskSchema,
+    updateTaskSchema,
+    taskHistoryQuerySchema,
+    userHistoryQuerySchema,
+    occurrenceActionSchema,
+    rotationQuerySchema,
+    rotationPreviewSchema,
+    swapTurnsSchema,
+    skipTurnSchema
+} from '../schemas/localTaskSchemas.js';
 
 const router = Router();
 
-// CRUD routes
+// CRUD routes - a task sets its own reward and whether a parent must OK it,
+// so only parents may write them (kids earn by completing, below)
 router.get('/user/:userId', controller.getTasksForUser);
 router.get('/', controller.getAllTasks);
-router.post('/', controller.createTask);
-router.put('/:taskId', controller.updateTask);
-router.delete('/:taskId', controller.deleteTask);
+router.post('/', requireParent, validate(createTaskSchema), controller.createTask);
+router.put('/:taskId', requireParent, validate(updateTaskSchema), controller.updateTask);
+router.delete('/:taskId', requireParent, controller.deleteTask);
 
 // Completion routes (with gamification)
 router.post('/:taskId/complete', controller.completeTask);
 router.post('/:taskId/uncomplete', controller.uncompleteTask);
 
+// Completion history
+router.get('/history/user/:userId', validate(userHistoryQuerySchema), controller.getUserHistory);
+router.get('/:taskId/history', validate(taskHistoryQuerySchema), controller.getTaskHistory);
+
+// Taking turns
+router.post('/rotation/preview', validate(rotationPreviewSchema), controller.previewRotation);
+router.get('/:taskId/rotation', validate(rotationQuerySchema), controller.getRotation);
+// Changing turns is parent-only, or kids could skip their own
+router.post('/:taskId/rotation/swap', requireParent, validate(swapTurnsSchema), controller.swapTurns);
+router.post('/:taskId/rotation/skip', requireParent, validate(skipTurnSchema), controller.skipTurn);
+
+// Parent approval of completions
+router.get('/approvals', controller.getPendingApprovals);
+router.post('/approvals/:occurrenceId/approve', requireParent, validate(occurrenceActionSchema), controller.approveOccurrence);
+router.post('/approvals/:occurrenceId/reject', requireParent, validate(occurrenceActionSchema), controller.rejectOccurrence);
+
 export default router;
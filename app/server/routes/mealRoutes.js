@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Meal Plan Routes
+ * @module routes/mealRoutes
+ * 
+ * API Endpoints:
+ * GET /api/meals           - Get the whole meal plan (keyed by date)
+ * PUT /api/meals           - Replace the whole meal plan
+ * GET /api/meals/:dateKey  - Get meals for one date (YYYY-MM-DD)
+ * PUT /api/meals/:dateKey  - Replace meals for one date
+ */
+
+import { Router } from 'express';
+import * as controller from '../controllers/mealPlanController.js';
+import validate from '../middleware/validate.js';
+import { mealPlanSchema, dateKeySchema, dayMealsSchema } from '../schemas/mealSchemas.js';
+
+const router = Router();
+
+router.get('/', controller.getMealPlan);
+router.put('/', validate(mealPlanSchema), controller.replaceMealPlan);
+router.get('/:dateKey', validate(dateKeySchema), controller.getMealsForDate);
+router.put('/:dateKey', validate(dayMealsSchema), controller.replaceMealsForDate);
+
+export default router;
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Parent Session Routes - PIN exchange API
+ * @module routes/parentSessionRoutes
+ */
+
+import express from 'express';
+import * as parentSessionController from '../controllers/parentSessionController.js';
+import validate from '../middleware/validate.js';
+import requireParent from '../middleware/requireParent.js';
+import { createSessionSchema, setPinSchema, importPinsSchema } from '../schemas/parentSessionSchemas.js';
+
+const router = express.Router();
+
+/**
+ * Parent Session Routes
+ *
+ * POST   /api/parent-session              - Trade a PIN for a token
+ * GET    /api/parent-session              - Check (and extend) the current token
+ * DELETE /api/parent-session              - Lock (forget the token)
+ * GET    /api/parent-session/pins         - Which parents have a PIN
+ * POST   /api/parent-session/pins/import  - One-time import of legacy browser PINs
+ * PUT    /api/parent-session/pins/:pinId  - Set the family PIN or a parent's PIN (parent)
+ * DELETE /api/parent-session/pins/:pinId  - Remove a parent's PIN (parent, own PIN only)
+ */
+
+router.post('/', validate(createSessionSchema), parentSessionController.createSession);
+router.get('/', requireParent, parentSessionController.getSession);
+router.delete('/', parentSessionController.endSession);
+
+router.get('/pins', parentSessionController.getPinStatus);
+router.post('/pins/import', validate(importPinsSchema), parentSessionController.importLegacyPins);
+router.put('/pins/:pinId', requireParent, validate(setPinSchema), parentSessionController.setPin);
+router.delete('/pins/:pinId', requireParent, parentSessionController.removePin);
+
+export default router;
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Recipe Preference Routes
+ * @module routes/recipePreferenceRoutes
+ * 
+ * API Endpoints:
+ * GET /api/recipe-preferences                    - Get every user's preferences
+ * PUT /api/recipe-preferences                    - Replace all preferences
+ * PUT /api/recipe-preferences/:userId/:recipeId  - Set one preference
+ */
+
+import { Router } from 'express';
+import * as controller from '../controllers/mealPlanController.js';
+import validate from '../middleware/validate.js';
+import { recipePreferencesSchema, recipePreferenceSchema } from '../schemas/mealSchemas.js';
+
+const router = Router();
+
+router.get('/', controller.getRecipePreferences);
+router.put('/', validate(recipePreferencesSchema), controller.replaceRecipePreferences);
+router.put('/:userId/:recipeId', validate(recipePreferenceSchema), controller.setRecipePreference);
+
+export default router;
@@ -5,17 +5,21 @@
 
 import express from 'express';
 import * as rewardsController from '../controllers/rewardsController.js';
+import requireParent from '../middleware/requireParent.js';
+import validate from '../middleware/validate.js';
+import { createRewardSchema, updateRewardSchema } from '../schemas/rewardSchemas.js';
 
 const router = express.Router();
 
-// CRUD
+// CRUD (reading is public, changing the shop is parent-only)
+// GET /?userId=... adds whether that user can buy each reward right now
 router.get('/', rewardsController.getAllRewards);
 router.get('/:id', rewardsController.getReward);
-router.post('/', rewardsController.createReward);
-router.put('/:id', rewardsController.updateReward);
-router.delete('/:id', rewardsController.deleteReward);
+router.post('/', requireParent, validate(createRewardSchema), rewardsController.createReward);
+router.put('/:id', requireParent, validate(updateRewardSchema), rewardsController.updateReward);
+router.delete('/:id', requireParent, rewardsController.deleteReward);
 
 // Seed default rewards
-router.post('/seed', rewardsController.seedRewards);
+router.post('/seed', requireParent, rewardsController.seedRewards);
 
 export default router;
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Saved Recipe (Recipe Box) Routes
+ * @module routes/savedRecipeRoutes
+ * 
+ * API Endpoints:
+ * GET    /api/recipes            - Get all saved recipes
+ * PUT    /api/recipes            - Replace the whole recipe box
+ * POST   /api/recipes            - Create or update a recipe (keeps version history)
+ * DELETE /api/recipes/:recipeId  - Delete a recipe
+ * 
+ * JUNIOR DEV NOTE: Sharing /api/recipes with Spoonacular
+ * routes/recipes.js also lives under /api/recipes, but it only answers
+ * GET /status/configured, GET /search and GET /:id. None of the routes
+ * below overlap with those, so we mount this router first and let
+ * anything it doesn't handle fall through to the Spoonacular proxy.
+ */
+
+import { Router } from 'express';
+import * as controller from '../controllers/mealPlanController.js';
+import validate from '../middleware/validate.js';
+import { savedRecipesSchema } from '../schemas/mealSchemas.js';
+
+const router = Router();
+
+router.get('/', controller.getSavedRecipes);
+router.put('/', validate(savedRecipesSchema), controller.replaceSavedRecipes);
+router.post('/', controller.saveRecipe);
+router.delete('/:recipeId', controller.deleteRecipe);
+
+export default router;
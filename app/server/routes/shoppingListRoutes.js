@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Shopping List Routes
+ * @module routes/shoppingListRoutes
+ * 
+ * API Endpoints:
+ * GET /api/shopping-list  - Get the shopping list { items, lastGenerated }
+ * PUT /api/shopping-list  - Replace the shopping list
+ */
+
+import { Router } from 'express';
+import * as controller from '../controllers/mealPlanController.js';
+import validate from '../middleware/validate.js';
+import { shoppingListSchema } from '../schemas/mealSchemas.js';
+
+const router = Router();
+
+router.get('/', controller.getShoppingList);
+router.put('/', validate(shoppingListSchema), controller.replaceShoppingList);
+
+export default router;
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Sleep Routes - bedtime schedules and bed/wake log
+ * @module routes/sleepRoutes
+ */
+
+import express from 'express';
+import * as sleepController from '../controllers/sleepController.js';
+import validate from '../middleware/validate.js';
+import requireParent from '../middleware/requireParent.js';
+import { scheduleSchema, logEventSchema, weekQuerySchema } from '../schemas/sleepSchemas.js';
+
+const router = express.Router();
+
+/**
+ * Sleep Routes
+ *
+ * GET    /api/sleep/schedules          - Every member's schedule (+ defaults)
+ * PUT    /api/sleep/schedules/:userId  - Set a member's schedule (parent)
+ * DELETE /api/sleep/schedules/:userId  - Back to the defaults (parent)
+ * GET    /api/sleep/log                - Bed/wake taps (?userId=&from=&to=)
+ * POST   /api/sleep/log                - Record a tap
+ * DELETE /api/sleep/log/:entryId       - Remove a mistaken tap (parent)
+ * GET    /api/sleep/:userId/week       - Seven nights for the chart (?start=YYYY-MM-DD)
+ *
+ * JUNIOR DEV NOTE: Kids may tap in and out, but only parents decide bedtimes.
+ */
+
+router.get('/schedules', sleepController.getSchedules);
+router.put('/schedules/:userId', requireParent, validate(scheduleSchema), sleepController.setSchedule);
+router.delete('/schedules/:userId', requireParent, sleepController.deleteSchedule);
+
+router.get('/log', sleepController.getLog);
+router.post('/log', validate(logEventSchema), sleepController.logSleepEvent);
+router.delete('/log/:entryId', requireParent, sleepController.deleteLogEntry);
+
+router.get('/:userId/week', validate(weekQuerySchema), sleepController.getWeeklySummary);
+
+export default router;
@@ -1,21 +1,50 @@
 /**
  * @fileoverview Stats Routes - XP/Gold/Redemption API
  * @module routes/statsRoutes
+ *
+ * JUNIOR DEV NOTE: Routes marked (parent) need a parent session token
+ * (see middleware/requireParent.js). Kids earn XP/Gold through task
+ * completion instead, where the SERVER decides the amount.
  */
 
 import express from 'express';
 import * as statsController from '../controllers/statsController.js';
+import requireParent from '../middleware/requireParent.js';
+import validate from '../middleware/validate.js';
+import {
+    streakMilestonesSchema,
+    ledgerQuerySchema,
+    levelConfigSchema,
+    achievementsSeenSchema,
+    redeemSchema,
+    redemptionActionSchema,
+    taskRewardSchema
+} from '../schemas/statsSchemas.js';
 
 const router = express.Router();
 
+// Streak bonuses and levels (before /:userId, or Express would treat the name as a user)
+router.get('/streak-milestones', statsController.getStreakMilestones);
+router.put('/streak-milestones', requireParent, validate(streakMilestonesSchema), statsController.setStreakMilestones); // (parent)
+
+// Level curve + level-up unlocks
+router.get('/levels', statsController.getLevelConfig);
+router.put('/levels', requireParent, validate(levelConfigSchema), statsController.setLevelConfig); // (parent)
+
 // User stats
 router.get('/:userId', statsController.getUserStats);
-router.post('/:userId/xp', statsController.updateXP);
-router.post('/:userId/gold', statsController.updateGold);
-router.post('/:userId/redeem', statsController.redeemReward);
+router.get('/:userId/ledger', validate(ledgerQuerySchema), statsController.getLedger);
+router.get('/:userId/achievements', statsController.getAchievements);
+router.post('/:userId/achievements/seen', validate(achievementsSeenSchema), statsController.markAchievementsSeen);
+router.post('/:userId/xp', requireParent, statsController.updateXP);       // (parent) manual adjustment
+router.post('/:userId/gold', requireParent, statsController.updateGold);   // (parent) manual adjustment
+router.post('/:userId/task-reward', validate(taskRewardSchema), statsController.applyTaskReward);
+router.post('/:userId/redeem', validate(redeemSchema), statsController.redeemReward);
 
-// Redemption history (for parents)
+// Redemption history and approval (for parents)
 router.get('/redemptions/all', statsController.getRedemptions);
-router.post('/redemptions/:id/fulfill', statsController.fulfillRedemption);
+router.post('/redemptions/:id/approve', requireParent, validate(redemptionActionSchema), statsController.approveRedemption);
+router.post('/redemptions/:id/fulfill', requireParent, validate(redemptionActionSchema), statsController.fulfillRedemption);
+router.post('/redemptions/:id/reject', requireParent, validate(redemptionActionSchema), statsController.rejectRedemption);
 
 export default router;
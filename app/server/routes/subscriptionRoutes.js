@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Subscription Routes - ICS/iCal calendar feeds
+ * @module routes/subscriptionRoutes
+ */
+
+import express from 'express';
+import * as subscriptionController from '../controllers/subscriptionController.js';
+import validate from '../middleware/validate.js';
+import requireParent from '../middleware/requireParent.js';
+import { rangeQuerySchema } from '../schemas/eventSchemas.js';
+import { createSubscriptionSchema, updateSubscriptionSchema } from '../schemas/subscriptionSchemas.js';
+
+const router = express.Router();
+
+/**
+ * Subscription Routes
+ *
+ * GET    /api/subscriptions              - Every feed with its refresh status
+ * GET    /api/subscriptions/events       - Occurrences from enabled feeds (?from=&to=)
+ * POST   /api/subscriptions              - (parent) Subscribe to a feed URL
+ * PUT    /api/subscriptions/:id          - (parent) Rename, recolour, show/hide
+ * DELETE /api/subscriptions/:id          - (parent) Unsubscribe
+ * POST   /api/subscriptions/:id/refresh  - (parent) Download the feed now
+ *
+ * JUNIOR DEV NOTE: /events must come BEFORE /:id routes, or Express would
+ * treat "events" as an id.
+ *
+ * SENIOR MENTOR NOTE: The server fetches whatever URL it's given - from
+ * inside the home network. Left open, anyone on the Wi-Fi could make it
+ * poke at the router or other local devices, so changes are parent-only.
+ */
+
+router.get('/', subscriptionController.getSubscriptions);
+router.get('/events', validate(rangeQuerySchema), subscriptionController.getSubscriptionEvents);
+router.post('/', requireParent, validate(createSubscriptionSchema), subscriptionController.createSubscription);
+router.put('/:id', requireParent, validate(updateSubscriptionSchema), subscriptionController.updateSubscription);
+router.delete('/:id', requireParent, subscriptionController.deleteSubscription);
+router.post('/:id/refresh', requireParent, subscriptionController.refreshSubscription);
+
+export default router;
@@ -1,8 +1,9 @@
 import express from 'express';
 import * as systemController from '../controllers/systemController.js';
+import requireParent from '../middleware/requireParent.js';
 
 const router = express.Router();
 
-router.post('/reboot', systemController.reboot);
+router.post('/reboot', requireParent, systemController.reboot);
 
 export default router;
@@ -0,0 +1,89 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for the Local Family Calendar
+ *
+ * * SENIOR MENTOR NOTE:
+ * Bodies use Google Calendar's event shape so the client can send the
+ * output of transformToGoogleEvent as-is. An event is either all-day
+ * (start.date) or timed (start.dateTime) - never both.
+ */
+
+const dateKey = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD');
+
+const eventTime = z.union([
+    z.object({ date: dateKey }),
+    z.object({ dateTime: z.string().datetime({ offset: true }), timeZone: z.string().optional() })
+]);
+
+// Only the RRULE parts utils/recurrence.js knows how to expand
+// BYDAY entries: 'TU' (weekly) or '2TU' / '-1FR' (monthly: second Tuesday, last Friday)
+const byDayEntry = '([+-]?\\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)';
+const rrule = z.string().regex(
+    new RegExp(`^RRULE:FREQ=(DAILY|WEEKLY|MONTHLY|YEARLY)(;(INTERVAL=\\d+|COUNT=\\d+|UNTIL=\\d{8}(T\\d{6}Z?)?|BYDAY=${byDayEntry}(,${byDayEntry})*))*$`),
+    'Unsupported recurrence rule'
+);
+
+// Skipped occurrences: EXDATE;VALUE=DATE:20250113 or EXDATE:20250113T090000Z[,...]
+const exdateValue = '\\d{8}(T\\d{6}Z?)?';
+const exdate = z.string().regex(
+    new RegExp(`^EXDATE(;VALUE=DATE)?:${exdateValue}(,${exdateValue})*$`),
+    'Unsupported excluded date'
+);
+
+const recurrence = z.array(z.union([rrule, exdate]))
+    .max(200)
+    .refine(lines => lines.filter(line => line.startsWith('RRULE:')).length <= 1, 'Only one RRULE is supported');
+
+// How far an edit or delete on a repeating event reaches (see eventsService)
+const scopeQuery = z.object({
+    scope: z.enum(['this', 'following', 'all']).optional()
+});
+
+const reminders = z.object({
+    useDefault: z.boolean(),
+    overrides: z.array(z.object({
+        method: z.enum(['popup', 'email']).optional(),
+        minutes: z.number().int().min(0).max(40320)
+    })).max(5).optional()
+});
+
+const eventFields = {
+    summary: z.string().trim().min(1).max(200),
+    description: z.string().max(5000).optional(),
+    location: z.string().max(500).optional(),
+    colorId: z.string().max(4).optional(),
+    start: eventTime,
+    end: eventTime.optional(),
+    recurrence: recurrence.nullable().optional(),
+    reminders: reminders.optional(),
+    attendees: z.array(z.object({ email: z.string().max(320) })).max(50).optional()
+};
+
+const dateParam = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'Must be a date');
+
+export const rangeQuerySchema = z.object({
+    query: z.object({
+        from: dateParam.optional(),
+        to: dateParam.optional()
+    })
+});
+
+export const createEventSchema = z.object({
+    body: z.object(eventFields)
+});
+
+export const updateEventSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    query: scopeQuery,
+    body: z.object(eventFields).partial()
+});
+
+export const deleteEventSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    query: scopeQuery
+});
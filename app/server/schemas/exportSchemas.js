@@ -0,0 +1,21 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for the Calendar Export Feed
+ *
+ * * SENIOR MENTOR NOTE:
+ * Calendar apps only do GET with a URL, so every option is a query
+ * string: comma-separated lists and YYYY-MM-DD dates.
+ */
+
+const dateKey = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD');
+
+export const exportFeedSchema = z.object({
+    query: z.object({
+        token: z.string().min(1, 'Calendar link is missing its token'),
+        modules: z.string().regex(/^(tasks|meals|events)(,(tasks|meals|events))*$/, 'modules must be a list of tasks, meals, events').optional(),
+        users: z.string().regex(/^[\w-]+(,[\w-]+)*$/, 'users must be a list of user ids').optional(),
+        from: dateKey.optional(),
+        to: dateKey.optional()
+    })
+});
@@ -0,0 +1,134 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for the Local Tasks API
+ *
+ * * SENIOR MENTOR NOTE:
+ * History days are the kiosk's local calendar dates (see utils/dateKeys.js),
+ * so only plain YYYY-MM-DD is accepted - a timestamp would bring a time
+ * zone along with it.
+ */
+
+const day = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Must be YYYY-MM-DD');
+const time = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Must be HH:mm (24-hour)');
+
+// A time window ("Morning 07:00-09:00") of a chore done several times a day
+const timeWindow = z.object({
+    id: z.string().min(1).optional(),
+    label: z.string().trim().min(1).max(30),
+    start: time,
+    end: time
+}).refine(window => window.start < window.end, { message: 'A window must end after it starts', path: ['end'] });
+
+/**
+ * * SENIOR MENTOR NOTE:
+ * Only the recurrence fields are checked here - the rest of a task body is
+ * still passed through as-is. HH:mm strings compare correctly as text, so
+ * sorting them finds overlapping windows without parsing anything.
+ */
+const recurrenceFields = z.object({
+    recurrence: z.enum(['daily', 'weekly', 'specific', 'interval', 'monthly']).nullable().optional(),
+    days: z.array(z.number().int().min(0).max(6)).max(7).optional(),
+    interval: z.number().int().min(1).max(365).optional(),
+    startDate: day.nullable().optional(),
+    monthDay: z.union([z.number().int().min(1).max(31), z.literal(-1)]).nullable().optional(),
+    monthWeek: z.union([z.number().int().min(1).max(4), z.literal(-1)]).nullable().optional(),
+    windows: z.array(timeWindow).max(6)
+        .refine(windows => [...windows]
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .every((window, i, sorted) => i === 0 || sorted[i - 1].end <= window.start),
+        { message: 'Time windows must not overlap' })
+        .optional()
+});
+
+// Taking turns: the roster is assignedTo, in order (skips and swaps have their own endpoints)
+const rotation = z.object({
+    cadence: z.enum(['occurrence', 'daily', 'weekly']),
+    startDate: day.nullable().optional()
+});
+
+const taskFields = recurrenceFields.extend({
+    rotation: rotation.nullable().optional()
+});
+
+export const createTaskSchema = z.object({
+    body: taskFields
+});
+
+export const updateTaskSchema = z.object({
+    params: z.object({
+        taskId: z.string().min(1)
+    }),
+    body: taskFields
+});
+
+const turnCount = z.object({
+    count: z.coerce.number().int().min(1).max(52).optional()
+});
+
+export const rotationQuerySchema = z.object({
+    params: z.object({
+        taskId: z.string().min(1)
+    }),
+    query: turnCount
+});
+
+export const rotationPreviewSchema = z.object({
+    query: turnCount,
+    body: taskFields.extend({
+        taskId: z.string().min(1).optional(),
+        assignedTo: z.array(z.union([z.string(), z.number()])).min(1),
+        rotation
+    })
+});
+
+const turn = z.number().int().min(0);
+
+export const swapTurnsSchema = z.object({
+    params: z.object({
+        taskId: z.string().min(1)
+    }),
+    body: z.object({
+        turn,
+        withTurn: turn
+    })
+});
+
+export const skipTurnSchema = z.object({
+    params: z.object({
+        taskId: z.string().min(1)
+    }),
+    body: z.object({
+        turn
+    })
+});
+
+export const taskHistoryQuerySchema = z.object({
+    params: z.object({
+        taskId: z.string().min(1)
+    }),
+    query: z.object({
+        from: day.optional(),
+        to: day.optional(),
+        userId: z.string().min(1).optional()
+    })
+});
+
+export const userHistoryQuerySchema = z.object({
+    params: z.object({
+        userId: z.string().min(1)
+    }),
+    query: z.object({
+        from: day.optional(),
+        to: day.optional()
+    })
+});
+
+export const occurrenceActionSchema = z.object({
+    params: z.object({
+        occurrenceId: z.string().min(1)
+    }),
+    body: z.object({
+        note: z.string().trim().max(200).optional()
+    }).optional()
+});
@@ -0,0 +1,64 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for the Meals Module
+ *
+ * * SENIOR MENTOR NOTE:
+ * The bulk PUTs replace a whole collection (meal plan, shopping list,
+ * preferences). A malformed body must be answered with 400 - never stored,
+ * and never swapped for an empty default, or one client bug wipes out the
+ * family's meal plan.
+ */
+
+const dateKey = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'dateKey must be YYYY-MM-DD');
+
+// Recipes, meals and list items carry many optional fields; we only check
+// that each one is an object
+const entry = z.object({});
+
+// { breakfast: [...], dinner: [...] }
+const dayMeals = z.record(z.string(), z.array(entry));
+
+const preference = z.enum(['favorite', 'like', 'dislike']).nullable();
+
+export const mealPlanSchema = z.object({
+    body: z.record(dateKey, dayMeals)
+});
+
+export const dateKeySchema = z.object({
+    params: z.object({
+        dateKey
+    })
+});
+
+export const dayMealsSchema = z.object({
+    params: z.object({
+        dateKey
+    }),
+    body: dayMeals
+});
+
+export const savedRecipesSchema = z.object({
+    body: z.array(entry)
+});
+
+export const shoppingListSchema = z.object({
+    body: z.object({
+        items: z.array(entry),
+        lastGenerated: z.string().nullable().optional()
+    })
+});
+
+export const recipePreferencesSchema = z.object({
+    body: z.record(z.string(), z.record(z.string(), preference))
+});
+
+export const recipePreferenceSchema = z.object({
+    params: z.object({
+        userId: z.string().min(1),
+        recipeId: z.string().min(1)
+    }),
+    body: z.object({
+        preference: preference.optional()
+    })
+});
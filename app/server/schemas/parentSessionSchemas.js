@@ -0,0 +1,37 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for Parent Sessions
+ *
+ * * SENIOR MENTOR NOTE:
+ * PINs are strings, not numbers - "0042" would lose its leading zeros.
+ */
+
+const pin = z.string().regex(/^\d{4}$/, 'PIN must be exactly 4 digits');
+const userId = z.union([z.number(), z.string().min(1)]);
+
+export const createSessionSchema = z.object({
+    body: z.object({
+        pin,
+        userId: userId.optional()
+    })
+});
+
+export const setPinSchema = z.object({
+    params: z.object({
+        pinId: z.string().min(1)
+    }),
+    body: z.object({
+        pin
+    })
+});
+
+export const importPinsSchema = z.object({
+    body: z.object({
+        familyPin: pin.optional(),
+        parents: z.array(z.object({ userId, pin })).optional()
+    }).refine(
+        body => body.familyPin || body.parents?.length,
+        'Nothing to import'
+    )
+});
@@ -0,0 +1,29 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for the Reward Shop
+ *
+ * * SENIOR MENTOR NOTE:
+ * `stock` and `cooldownDays` use null for "no limit", so a parent can
+ * switch a limit OFF again with an update.
+ */
+
+const rewardFields = {
+    title: z.string().trim().min(1).max(60),
+    cost: z.number().int().min(0).max(100000),
+    icon: z.string().max(8).optional(),
+    description: z.string().max(500).optional(),
+    stock: z.number().int().min(0).max(10000).nullable().optional(),
+    cooldownDays: z.number().int().min(1).max(365).nullable().optional()
+};
+
+export const createRewardSchema = z.object({
+    body: z.object(rewardFields)
+});
+
+export const updateRewardSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: z.object(rewardFields).partial()
+});
@@ -0,0 +1,44 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for the Sleep Module
+ *
+ * * SENIOR MENTOR NOTE:
+ * Times are "HH:mm" strings (24-hour), the same format <input type="time">
+ * produces. Validating here keeps the weekly summary math safe.
+ */
+
+const time = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:mm (24-hour)');
+
+const dayPlan = z.object({
+    bedtime: time,
+    wakeTime: time
+});
+
+export const scheduleSchema = z.object({
+    params: z.object({
+        userId: z.string().min(1)
+    }),
+    body: z.object({
+        weekday: dayPlan,
+        weekend: dayPlan,
+        windDownMinutes: z.number().int().min(0).max(180).optional()
+    })
+});
+
+export const logEventSchema = z.object({
+    body: z.object({
+        userId: z.union([z.number(), z.string().min(1)]),
+        type: z.enum(['bedtime', 'wake']),
+        at: z.string().datetime({ offset: true }).optional()
+    })
+});
+
+export const weekQuerySchema = z.object({
+    params: z.object({
+        userId: z.string().min(1)
+    }),
+    query: z.object({
+        start: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'start must be YYYY-MM-DD').optional()
+    })
+});
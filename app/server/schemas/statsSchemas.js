@@ -0,0 +1,137 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for the Stats (gamification) API
+ *
+ * * SENIOR MENTOR NOTE:
+ * Bonus amounts are capped so a typo in the parent screen can't hand out
+ * a million gold.
+ */
+
+const milestone = z.object({
+    days: z.number().int().min(1).max(365),
+    xp: z.number().int().min(0).max(10000),
+    gold: z.number().int().min(0).max(10000)
+});
+
+export const streakMilestonesSchema = z.object({
+    body: z.object({
+        milestones: z.array(milestone).max(20)
+    })
+});
+
+const dayOrTimestamp = z.union([
+    z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+    z.string().datetime({ offset: true })
+], { message: 'Must be YYYY-MM-DD or an ISO timestamp' });
+
+export const ledgerQuerySchema = z.object({
+    params: z.object({
+        userId: z.string().min(1)
+    }),
+    query: z.object({
+        from: dayOrTimestamp.optional(),
+        to: dayOrTimestamp.optional(),
+        currency: z.enum(['xp', 'gold']).optional(),
+        reason: z.enum(['opening_balance', 'task', 'redemption', 'manual', 'streak_bonus', 'level_unlock', 'refund']).optional(),
+        limit: z.coerce.number().int().min(1).max(1000).optional()
+    })
+});
+
+const curve = z.discriminatedUnion('type', [
+    z.object({
+        type: z.literal('linear'),
+        xpPerLevel: z.number().int().min(1).max(100000)
+    }),
+    z.object({
+        type: z.literal('exponential'),
+        base: z.number().int().min(1).max(100000),
+        factor: z.number().min(1).max(3)
+    }),
+    z.object({
+        type: z.literal('table'),
+        // Total XP to reach level 2, 3, ... - must keep going up
+        table: z.array(z.number().int().min(1).max(10000000)).min(1).max(99)
+            .refine(
+                totals => totals.every((total, i) => i === 0 || total > totals[i - 1]),
+                { message: 'Each level must need more XP than the one before' }
+            )
+    })
+]);
+
+const unlockBase = {
+    id: z.string().min(1).optional(),
+    level: z.number().int().min(2).max(100)
+};
+
+const unlock = z.discriminatedUnion('type', [
+    z.object({
+        ...unlockBase,
+        type: z.literal('badge'),
+        badge: z.object({
+            name: z.string().trim().min(1).max(40),
+            icon: z.string().trim().min(1).max(8)
+        })
+    }),
+    z.object({
+        ...unlockBase,
+        type: z.literal('gold'),
+        gold: z.number().int().min(1).max(10000)
+    }),
+    z.object({
+        ...unlockBase,
+        type: z.literal('reward'),
+        rewardId: z.string().min(1)
+    })
+]);
+
+export const levelConfigSchema = z.object({
+    body: z.object({
+        curve,
+        unlocks: z.array(unlock).max(100)
+    })
+});
+
+export const achievementsSeenSchema = z.object({
+    params: z.object({
+        userId: z.string().min(1)
+    }),
+    body: z.object({
+        ids: z.array(z.string().min(1)).min(1).max(50)
+    })
+});
+
+export const redeemSchema = z.object({
+    params: z.object({
+        userId: z.string().min(1)
+    }),
+    body: z.object({
+        rewardId: z.string().min(1)
+    })
+});
+
+// Paying out needs the list and the user's Google token so the server can
+// check the task really is done; a refund doesn't
+export const taskRewardSchema = z.object({
+    params: z.object({
+        userId: z.string().min(1)
+    }),
+    body: z.object({
+        taskId: z.string().min(1).max(200),
+        completed: z.boolean(),
+        listId: z.string().min(1).max(200).optional(),
+        accessToken: z.string().min(1).max(4096).optional()
+    }).refine(
+        body => !body.completed || (body.listId && body.accessToken),
+        { message: 'listId and accessToken are required to claim a reward', path: ['accessToken'] }
+    )
+});
+
+export const redemptionActionSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: z.object({
+        note: z.string().trim().max(200).optional()
+    }).optional()
+});
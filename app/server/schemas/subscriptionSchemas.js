@@ -0,0 +1,32 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for ICS Calendar Subscriptions
+ *
+ * * SENIOR MENTOR NOTE:
+ * Feeds are often shared as webcal:// links - those are https:// in
+ * disguise, so we accept them alongside http(s).
+ */
+
+const settingsFields = {
+    name: z.string().trim().min(1).max(80),
+    colorId: z.string().regex(/^([1-9]|1[01])$/, 'colorId must be 1-11'),
+    refreshMinutes: z.number().int().min(15).max(7 * 24 * 60)
+};
+
+export const createSubscriptionSchema = z.object({
+    body: z.object({
+        url: z.string().trim().max(2000).regex(/^(https?|webcal):\/\/\S+$/i, 'URL must start with http://, https:// or webcal://'),
+        ...z.object(settingsFields).partial().shape
+    })
+});
+
+export const updateSubscriptionSchema = z.object({
+    params: z.object({
+        id: z.string().min(1)
+    }),
+    body: z.object({
+        ...settingsFields,
+        enabled: z.boolean()
+    }).partial()
+});
@@ -0,0 +1,28 @@
+import { z } from 'zod';
+
+/**
+ * Validation Schemas for Sync Operations
+ * 
+ * * SENIOR MENTOR NOTE:
+ * `.strict()` matters here. The PATCH endpoint may only touch the
+ * namespaces the SyncContext owns, so an unknown key (say, `userStats`)
+ * is rejected instead of being silently ignored.
+ */
+
+const baseRevision = z.number().int().min(0, 'baseRevision must be >= 0');
+
+export const syncPatchSchema = z.object({
+    body: z.object({
+        users: z.object({
+            data: z.array(z.object({ id: z.union([z.number(), z.string()]) }).passthrough()),
+            baseRevision
+        }).optional(),
+        selectedCalendars: z.object({
+            data: z.record(z.string(), z.array(z.string())),
+            baseRevision
+        }).optional()
+    }).strict().refine(
+        body => Object.keys(body).length > 0,
+        'At least one namespace (users, selectedCalendars) is required'
+    )
+});
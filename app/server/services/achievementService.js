@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Achievement Service - Badges earned by reaching goals
+ * @module services/achievementService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Levels and gold reward "a bit more of the same". Achievements reward
+ * milestones: the first chore ever, a 7-day streak, the first reward
+ * bought. They're checked after anything that could earn one (task
+ * completion, streaks, redemptions) and stored per user in the
+ * `achievements` collection.
+ *
+ * HOW A RULE WORKS:
+ * Every rule is "metric >= target". The metrics are DERIVED from data we
+ * already keep (the ledger and the user's stats) instead of separate
+ * counters, so:
+ * - there's no counter to forget to update
+ * - kids who did 60 chores before this feature existed get their badges
+ *   the first time we evaluate
+ *
+ * KEEPING BADGES:
+ * Once earned, a badge stays - even if the task that earned it is
+ * unchecked. Taking a trophy back feels much worse than losing 10 XP.
+ */
+
+import { readCollection, transaction } from './storageService.js';
+import { ensureUserStats, LEDGER_REASONS } from './statsService.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * How each metric is measured
+ *
+ * JUNIOR DEV NOTE: Tasks and redemptions are counted from the ledger's XP
+ * and Gold entries. An uncheck writes a negative task entry, so it cancels
+ * out the completion it undoes; a rejected (refunded) redemption likewise
+ * doesn't count.
+ */
+const METRICS = {
+    tasksCompleted: (stats, entries) => entries
+        .filter(e => e.reason === LEDGER_REASONS.TASK && e.currency === 'xp')
+        .reduce((count, e) => count + Math.sign(e.delta), 0),
+    rewardsRedeemed: (stats, entries) => entries
+        .filter(e => e.currency === 'gold' && e.reason === LEDGER_REASONS.REDEMPTION).length -
+        entries.filter(e => e.currency === 'gold' && e.reason === LEDGER_REASONS.REFUND).length,
+    bestStreak: (stats) => stats.bestStreak || 0,
+    level: (stats) => stats.level || 1
+};
+
+/**
+ * The achievement catalogue
+ *
+ * IDs are stored with earned badges - never rename one, only add.
+ */
+export const ACHIEVEMENTS = [
+    { id: 'first-task', name: 'First Chore', icon: '🌱', description: 'Complete your first task', metric: 'tasksCompleted', target: 1 },
+    { id: 'tasks-10', name: 'Helping Hand', icon: '🙌', description: 'Complete 10 tasks', metric: 'tasksCompleted', target: 10 },
+    { id: 'tasks-50', name: 'Chore Champion', icon: '🏆', description: 'Complete 50 tasks', metric: 'tasksCompleted', target: 50 },
+    { id: 'tasks-100', name: 'Task Master', icon: '👑', description: 'Complete 100 tasks', metric: 'tasksCompleted', target: 100 },
+    { id: 'streak-3', name: 'On a Roll', icon: '🔥', description: 'Reach a 3-day streak', metric: 'bestStreak', target: 3 },
+    { id: 'streak-7', name: 'Week Warrior', icon: '📅', description: 'Reach a 7-day streak', metric: 'bestStreak', target: 7 },
+    { id: 'streak-30', name: 'Unstoppable', icon: '🚀', description: 'Reach a 30-day streak', metric: 'bestStreak', target: 30 },
+    { id: 'first-redemption', name: 'Treat Yourself', icon: '🎁', description: 'Redeem your first reward', metric: 'rewardsRedeemed', target: 1 },
+    { id: 'redemptions-10', name: 'Big Spender', icon: '💰', description: 'Redeem 10 rewards', metric: 'rewardsRedeemed', target: 10 },
+    { id: 'level-5', name: 'Rising Star', icon: '⭐', description: 'Reach level 5', metric: 'level', target: 5 },
+    { id: 'level-10', name: 'Superstar', icon: '🌟', description: 'Reach level 10', metric: 'level', target: 10 }
+];
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Current value of every metric for a user
+ *
+ * @param {object} stats - The user's stats
+ * @param {Array} ledger - The whole statsLedger
+ * @param {string} userId - User ID
+ * @returns {object} { [metric]: number }
+ */
+const measure = (stats, ledger, userId) => {
+    const entries = ledger.filter(e => e.userId === String(userId));
+    const values = {};
+
+    for (const [metric, compute] of Object.entries(METRICS)) {
+        values[metric] = Math.max(0, compute(stats, entries));
+    }
+
+    return values;
+};
+
+/**
+ * Catalogue entries merged with a user's earned records and progress
+ */
+const toView = (earned, values) => ACHIEVEMENTS.map(({ metric, ...achievement }) => {
+    const record = earned.find(e => e.id === achievement.id);
+
+    return {
+        ...achievement,
+        earned: Boolean(record),
+        earnedAt: record?.earnedAt || null,
+        seen: record ? Boolean(record.seen) : false,
+        progress: Math.min(values[metric], achievement.target)
+    };
+});
+
+/**
+ * Collections awardAchievements needs in its transaction, with fallbacks
+ */
+export const ACHIEVEMENT_FALLBACKS = { achievements: {}, userStats: {}, statsLedger: [] };
+
+// ============================================================================
+// MAIN SERVICE FUNCTIONS
+// ============================================================================
+
+/**
+ * Awards any achievements a user has newly reached, inside a transaction
+ * over (at least) ACHIEVEMENT_FALLBACKS
+ *
+ * JUNIOR DEV NOTE: Used by task completion, which pays XP/Gold, moves the
+ * streak and hands out badges in one transaction - the badges are judged
+ * on the drafts, so they see this very completion.
+ *
+ * @param {object} drafts - Transaction drafts (achievements, userStats, statsLedger)
+ * @param {string} userId - User ID
+ * @returns {Array} Achievements earned just now
+ *   [{ id, name, icon, description, target }]
+ */
+export const awardAchievements = (drafts, userId) => {
+    const stats = ensureUserStats({ ...drafts.userStats }, userId);
+    const values = measure(stats, drafts.statsLedger, userId);
+    const earned = drafts.achievements[userId] || [];
+    const newlyEarned = [];
+
+    for (const achievement of ACHIEVEMENTS) {
+        if (values[achievement.metric] < achievement.target) continue;
+        if (earned.some(e => e.id === achievement.id)) continue;
+
+        const { id, name, icon, description, target } = achievement;
+        earned.push({ id, earnedAt: new Date().toISOString(), seen: false });
+        newlyEarned.push({ id, name, icon, description, target });
+    }
+
+    // Don't create an entry for users who haven't earned anything
+    if (newlyEarned.length) {
+        drafts.achievements[userId] = earned;
+    }
+
+    return newlyEarned;
+};
+
+/**
+ * Awards any achievements a user has newly reached
+ *
+ * Call after anything that changes a metric (a Google task reward,
+ * redemption). Safe to call any time - it only ever adds.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Achievements earned just now
+ *   [{ id, name, icon, description, target }]
+ */
+export const evaluateAchievements = async (userId) => {
+    return transaction(ACHIEVEMENT_FALLBACKS, (drafts) => awardAchievements(drafts, userId));
+};
+
+/**
+ * Gets the whole catalogue with a user's earned state and progress
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} [{ id, name, icon, description, target,
+ *   earned, earnedAt, seen, progress }]
+ */
+export const getAchievements = async (userId) => {
+    const [allAchievements, allStats, ledger] = await Promise.all([
+        readCollection('achievements', {}),
+        readCollection('userStats', {}),
+        readCollection('statsLedger', [])
+    ]);
+
+    const stats = ensureUserStats({ ...allStats }, userId);
+    return toView(allAchievements[userId] || [], measure(stats, ledger, userId));
+};
+
+/**
+ * Marks earned achievements as celebrated
+ *
+ * JUNIOR DEV NOTE: Badges are often earned on another screen (ticking a
+ * chore in Tasks). `seen: false` is how RewardsView knows to play the
+ * unlock animation next time the kid opens it - exactly once.
+ *
+ * @param {string} userId - User ID
+ * @param {string[]} ids - Achievement IDs that were shown
+ * @returns {Promise<number>} How many were newly marked
+ */
+export const markSeen = async (userId, ids) => {
+    return transaction({ achievements: {} }, (drafts) => {
+        let marked = 0;
+
+        for (const record of drafts.achievements[userId] || []) {
+            if (ids.includes(record.id) && !record.seen) {
+                record.seen = true;
+                marked++;
+            }
+        }
+
+        return marked;
+    });
+};
+
+export default {
+    ACHIEVEMENTS,
+    ACHIEVEMENT_FALLBACKS,
+    awardAchievements,
+    evaluateAchievements,
+    getAchievements,
+    markSeen
+};
@@ -1,35 +1,66 @@
-import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import AppError from '../utils/AppError.js';
+/**
+ * @fileoverview Data Service - whole-snapshot view of storage
+ * @module services/dataService
+ *
+ * JUNIOR DEV NOTE: This used to read and write storage/data.json directly.
+ * Storage is now split into collections (see storageService.js), and
+ * services should use readCollection/updateCollection instead. What's left
+ * here backs the legacy GET/POST /api/data endpoints.
+ */
+
+import * as storage from './storageService.js';
+
+/**
+ * Collections the legacy endpoints must never read or overwrite
+ *
+ * JUNIOR DEV NOTE: GET /api/data has no authentication. Returning the PIN
+ * hashes would let anyone brute-force 4 digits offline, and the calendar
+ * export token IS the password of the family's calendar feed. POST needs a
+ * parent session, but even a parent shouldn't replace these wholesale from
+ * a stale snapshot - PINs are set one at a time through
+ * /api/parent-session/pins, the export token through /api/export.
+ */
+const PRIVATE_COLLECTIONS = new Set(['parentPins', 'calendarExport']);
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const STORAGE_DIR = path.join(__dirname, '..', 'storage');
-const DATA_FILE = path.join(STORAGE_DIR, 'data.json');
+/**
+ * Collections /api/data can read but never overwrite
+ *
+ * JUNIOR DEV NOTE: The XP/Gold ledger is append-only - statsService adds
+ * to it, nothing replaces it. A stale client snapshot must not rewrite
+ * history.
+ */
+const APPEND_ONLY_COLLECTIONS = new Set(['statsLedger']);
 
 /**
- * Reads persistent data from storage.
+ * Reads every collection into one object: { collectionName: value }.
  */
 export const getData = async () => {
-    try {
-        if (await fs.pathExists(DATA_FILE)) {
-            return await fs.readJson(DATA_FILE);
-        }
-        return {};
-    } catch (err) {
-        throw new AppError(`Failed to read data: ${err.message}`, 500);
+    const names = await storage.listCollections();
+    const data = {};
+    for (const name of names) {
+        if (PRIVATE_COLLECTIONS.has(name)) continue;
+        data[name] = await storage.readCollection(name);
     }
+    return data;
 };
 
 /**
- * Writes persistent data to storage.
+ * Writes each top-level key of `data` as its own collection.
+ *
+ * JUNIOR DEV NOTE: Keys that are missing from `data` are left untouched.
+ * The old version replaced the whole file, so a client snapshot without
+ * `userStats` would wipe everyone's XP.
  */
 export const saveData = async (data) => {
-    try {
-        await fs.ensureDir(STORAGE_DIR);
-        await fs.writeJson(DATA_FILE, data);
-    } catch (err) {
-        throw new AppError(`Failed to save data: ${err.message}`, 500);
-    }
+    const names = Object.keys(data || {})
+        .filter(name => !PRIVATE_COLLECTIONS.has(name) && !APPEND_ONLY_COLLECTIONS.has(name));
+
+    await storage.transaction(
+        Object.fromEntries(names.map(name => [name, null])),
+        (drafts) => {
+            for (const name of names) {
+                drafts[name] = data[name];
+            }
+        }
+    );
 };
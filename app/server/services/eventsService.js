@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Events Service - The family's local (non-Google) calendar
+ * @module services/eventsService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS EXISTS:
+ * Grandparents and the babysitter don't have Google accounts, and the
+ * calendar should keep working when the internet is down. These events
+ * live on the kiosk itself, in the `localEvents` collection.
+ *
+ * GOOGLE-SHAPED ON PURPOSE:
+ * Stored events use the same fields as Google Calendar events
+ * (start: { dateTime } | { date }, recurrence: ['RRULE:...'], reminders:
+ * { useDefault, overrides }). The client already has transformGoogleEvent
+ * and transformToGoogleEvent, so local events reuse both unchanged.
+ *
+ * RECURRENCE:
+ * Google expands a repeating event into single instances for us
+ * (singleEvents=true). Here WE do that (see utils/recurrence.js):
+ * getEvents() returns one instance per occurrence inside the requested
+ * range, with an id like `<eventId>_20250114` and `recurringEventId`
+ * pointing at the series.
+ *
+ * EDIT SCOPES:
+ * Like Google, an edit or delete on a repeating event says how far it
+ * reaches: 'this' occurrence (an EXDATE on the series, plus a one-off
+ * copy when editing), 'following' (the series ends the day before and a
+ * new series starts at the occurrence) or 'all' (the series itself).
+ *
+ * TIMES:
+ * Like the sleep module, the server runs on the kiosk, so the server's
+ * local time is the family's time.
+ */
+
+import { readCollection, updateCollection } from './storageService.js';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    expandEvent,
+    getEventBounds,
+    findOccurrence,
+    excludeOccurrence,
+    endRecurrenceBefore,
+    continueRecurrenceFrom
+} from '../utils/recurrence.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Reminder used when an event says `useDefault: true` (Google's default too) */
+export const DEFAULT_REMINDER_MINUTES = 10;
+
+/** The Google fields a client may set - anything else in a body is ignored */
+const EDITABLE_FIELDS = ['summary', 'description', 'location', 'colorId', 'start', 'end', 'recurrence', 'reminders', 'attendees'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const pickEditable = (data) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+/**
+ * A new stored event (id and timestamps filled in)
+ */
+const buildEvent = (fields) => {
+    const now = new Date().toISOString();
+    return {
+        ...fields,
+        id: `local-${uuidv4()}`,
+        recurrence: fields.recurrence || null,
+        reminders: fields.reminders || { useDefault: true },
+        created: now,
+        updated: now
+    };
+};
+
+/**
+ * Finds the stored series and the occurrence an instance id points at
+ *
+ * JUNIOR DEV NOTE: 'all' (and any id of a one-off event) just means the
+ * stored event. An instance id like `local-abc_20250114` also works for
+ * 'all', so callers don't have to strip the date off themselves.
+ *
+ * @returns {object|null} { index, occurrence } - occurrence is null for 'all',
+ *   and for a 'following' split on the series' first occurrence (same thing)
+ */
+const locateTarget = (events, eventId, scope) => {
+    const seriesId = eventId.replace(/_\d{8}$/, '');
+    const index = events.findIndex(event => event.id === eventId || event.id === seriesId);
+    if (index === -1) return null;
+
+    const series = events[index];
+    if (scope === 'all' || series.id === eventId || !series.recurrence) return { index, occurrence: null };
+
+    const occurrence = findOccurrence(series, eventId);
+    if (!occurrence) return null;
+
+    const isFirst = getEventBounds(occurrence).start <= getEventBounds(series).start;
+    return { index, occurrence: scope === 'following' && isFirst ? null : occurrence };
+};
+
+// ============================================================================
+// MAIN SERVICE FUNCTIONS
+// ============================================================================
+
+/**
+ * Event instances overlapping a date range, earliest first
+ *
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Array>} Google-shaped instances
+ */
+export const getEvents = async (from, to) => {
+    const events = await readCollection('localEvents', []);
+
+    return events
+        .flatMap(event => expandEvent(event, from, to))
+        .sort((a, b) => getEventBounds(a).start - getEventBounds(b).start);
+};
+
+/**
+ * Stored events (whole series) with at least one occurrence in a date range
+ *
+ * JUNIOR DEV NOTE: The calendar export hands the series itself to phones,
+ * RRULE and all - they expand repeats better than a list of copies would.
+ *
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Array>} Google-shaped stored events
+ */
+export const getSeriesInRange = async (from, to) => {
+    const events = await readCollection('localEvents', []);
+    return events.filter(event => expandEvent(event, from, to).length > 0);
+};
+
+/**
+ * How many minutes before the start an event reminds, one entry per reminder
+ *
+ * @param {object} event - Google-shaped event
+ * @returns {number[]}
+ */
+export const getReminderMinutes = (event) => {
+    return event.reminders?.useDefault === false
+        ? (event.reminders.overrides || []).map(override => override.minutes)
+        : [DEFAULT_REMINDER_MINUTES];
+};
+
+/**
+ * One stored event (the whole series, not an instance)
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<object|null>}
+ */
+export const getEventById = async (eventId) => {
+    const events = await readCollection('localEvents', []);
+    return events.find(event => event.id === eventId) || null;
+};
+
+/**
+ * Creates an event
+ *
+ * @param {object} eventData - Google-shaped event (validated by createEventSchema)
+ * @returns {Promise<object>} The stored event
+ */
+export const createEvent = async (eventData) => {
+    const event = buildEvent(pickEditable(eventData));
+
+    return updateCollection('localEvents', [], (events) => {
+        events.push(event);
+        return event;
+    });
+};
+
+/**
+ * Updates an event, or part of a repeating one
+ *
+ * @param {string} eventId - Event ID, or an instance ID for 'this'/'following'
+ * @param {object} updates - Google-shaped fields to replace
+ * @param {string} [scope='all'] - 'this' | 'following' | 'all' (see EDIT SCOPES)
+ * @returns {Promise<object|null>} The updated event - or the new one-off / new
+ *   series for 'this' / 'following' - or null if not found
+ */
+export const updateEvent = async (eventId, updates, scope = 'all') => {
+    return updateCollection('localEvents', [], (events) => {
+        const target = locateTarget(events, eventId, scope);
+        if (!target) return null;
+
+        const { index, occurrence } = target;
+        const series = events[index];
+        const now = new Date().toISOString();
+
+        if (!occurrence) {
+            events[index] = {
+                ...series,
+                ...pickEditable(updates),
+                id: series.id,
+                updated: now
+            };
+            return events[index];
+        }
+
+        // The occurrence leaves the series and comes back as its own event,
+        // starting where the occurrence did unless the edit moved it
+        const start = getEventBounds(occurrence).start;
+        events[index] = {
+            ...series,
+            recurrence: scope === 'this' ? excludeOccurrence(series, start) : endRecurrenceBefore(series, start),
+            updated: now
+        };
+
+        const event = buildEvent({
+            ...pickEditable(series),
+            start: occurrence.start,
+            end: occurrence.end,
+            // A one-off never repeats; a new series keeps the old rule (with
+            // what's left of its COUNT) unless the edit replaces it
+            recurrence: scope === 'this' ? null : continueRecurrenceFrom(series, start),
+            ...pickEditable(scope === 'this' ? { ...updates, recurrence: null } : updates)
+        });
+        events.push(event);
+        return event;
+    });
+};
+
+/**
+ * Deletes an event, or part of a repeating one
+ *
+ * @param {string} eventId - Event ID, or an instance ID for 'this'/'following'
+ * @param {string} [scope='all'] - 'this' | 'following' | 'all' (see EDIT SCOPES)
+ * @returns {Promise<boolean>} True if removed
+ */
+export const deleteEvent = async (eventId, scope = 'all') => {
+    return updateCollection('localEvents', [], (events) => {
+        const target = locateTarget(events, eventId, scope);
+        if (!target) return false;
+
+        const { index, occurrence } = target;
+        if (!occurrence) {
+            events.splice(index, 1);
+            return true;
+        }
+
+        const series = events[index];
+        const start = getEventBounds(occurrence).start;
+        events[index] = {
+            ...series,
+            recurrence: scope === 'this' ? excludeOccurrence(series, start) : endRecurrenceBefore(series, start),
+            updated: new Date().toISOString()
+        };
+        return true;
+    });
+};
+
+/**
+ * Reminders due in a time window
+ *
+ * JUNIOR DEV NOTE: A reminder belongs to an INSTANCE - "10 minutes before"
+ * a weekly event fires every week. We expand a little past `to` so an
+ * event starting just after the window still reminds inside it.
+ *
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end (exclusive)
+ * @returns {Promise<Array>} [{ eventId, instanceId, summary, start, remindAt, minutes }]
+ *   sorted by remindAt
+ */
+export const getReminders = async (from, to) => {
+    const events = await readCollection('localEvents', []);
+    const reminders = [];
+
+    for (const event of events) {
+        const minutesList = getReminderMinutes(event);
+        if (minutesList.length === 0) continue;
+
+        const lookAhead = new Date(to.getTime() + Math.max(...minutesList) * 60 * 1000);
+
+        for (const instance of expandEvent(event, from, lookAhead)) {
+            const start = getEventBounds(instance).start;
+
+            for (const minutes of minutesList) {
+                const remindAt = new Date(start.getTime() - minutes * 60 * 1000);
+                if (remindAt < from || remindAt >= to) continue;
+
+                reminders.push({
+                    eventId: event.id,
+                    instanceId: instance.id,
+                    summary: event.summary,
+                    start: start.toISOString(),
+                    remindAt: remindAt.toISOString(),
+                    minutes
+                });
+            }
+        }
+    }
+
+    return reminders.sort((a, b) => a.remindAt.localeCompare(b.remindAt));
+};
+
+export default {
+    DEFAULT_REMINDER_MINUTES,
+    getEvents,
+    getSeriesInRange,
+    getReminderMinutes,
+    getEventById,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    getReminders
+};
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Export Service - the family calendar as a subscribable .ics feed
+ * @module services/exportService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS EXISTS:
+ * Parents want the kiosk's week on their phones. Phones can subscribe to
+ * an .ics URL (the same thing the kiosk does for school calendars), so we
+ * publish one: tasks with due dates, the meal plan and the local family
+ * calendar.
+ *
+ * WHY A SECRET TOKEN (not the parent PIN):
+ * A calendar app polls the URL by itself every few hours - it can't type
+ * a PIN. So the URL carries a long random token instead, like Google's
+ * "secret address in iCal format". Anyone with the link can read it, so
+ * parents can rotate the token to cut off an old link.
+ *
+ * COLLECTION `calendarExport`: { token, createdAt }
+ */
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { readCollection, updateCollection, writeCollection } from './storageService.js';
+import { getAllTasks, isAssignedTo } from './localTasksService.js';
+import { getMealPlan } from './mealPlanService.js';
+import { getSeriesInRange, getReminderMinutes } from './eventsService.js';
+import { buildIcs } from '../utils/icsWriter.js';
+import { toDateKey, parseDateKey, addDays } from '../utils/dateKeys.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Everything a feed can include */
+export const EXPORT_MODULES = ['tasks', 'meals', 'events'];
+
+const COLLECTION = 'calendarExport';
+const EMPTY_SETTINGS = { token: null, createdAt: null };
+
+const CALENDAR_NAME = 'Coffman Family';
+
+// ============================================================================
+// TOKEN
+// ============================================================================
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * The family's export token, created on first use
+ *
+ * @returns {Promise<object>} { token, createdAt }
+ */
+export const getExportSettings = async () => {
+    return updateCollection(COLLECTION, EMPTY_SETTINGS, (settings) => {
+        if (!settings.token) {
+            settings.token = newToken();
+            settings.createdAt = new Date().toISOString();
+        }
+        return settings;
+    });
+};
+
+/**
+ * Replaces the token - every previously shared link stops working
+ *
+ * @returns {Promise<object>} { token, createdAt }
+ */
+export const rotateExportToken = async () => {
+    return writeCollection(COLLECTION, { token: newToken(), createdAt: new Date().toISOString() });
+};
+
+/**
+ * Does this token match the family's?
+ *
+ * JUNIOR DEV NOTE: timingSafeEqual takes the same time whether the first
+ * or the last character is wrong, so the token can't be guessed one
+ * character at a time by measuring response times.
+ *
+ * @param {string} token - Token from the request
+ * @returns {Promise<boolean>}
+ */
+export const isValidExportToken = async (token) => {
+    const { token: expected } = await readCollection(COLLECTION, EMPTY_SETTINGS);
+    if (!expected || typeof token !== 'string') return false;
+
+    const given = Buffer.from(token);
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+};
+
+// ============================================================================
+// FEED SECTIONS
+// ============================================================================
+
+/**
+ * All-day event for one date key
+ */
+const allDay = (dateKey) => ({
+    start: { date: dateKey },
+    end: { date: toDateKey(addDays(parseDateKey(dateKey), 1)) }
+});
+
+/**
+ * Tasks with a due date in the range, as all-day events on that date
+ *
+ * @param {string} fromKey - First date (YYYY-MM-DD)
+ * @param {string} toKey - Day after the last date (YYYY-MM-DD)
+ * @param {string[]|null} userIds - Only tasks assigned to one of these users
+ */
+const taskEvents = async (fromKey, toKey, userIds) => {
+    const [tasks, users] = await Promise.all([getAllTasks(), readCollection('users', [])]);
+    const nameOf = (id) => users.find(user => String(user.id) === String(id))?.name;
+
+    return tasks
+        .filter(task => task.dueDate && task.dueDate >= fromKey && task.dueDate < toKey)
+        .filter(task => !userIds || userIds.some(userId => isAssignedTo(task, userId)))
+        .map(task => {
+            const assignees = [].concat(task.assignedTo ?? []).map(nameOf).filter(Boolean);
+            return {
+                id: `task-${task.id}`,
+                summary: `${task.completed ? '✓ ' : ''}${task.title}${assignees.length ? ` (${assignees.join(', ')})` : ''}`,
+                description: task.description || '',
+                ...allDay(task.dueDate)
+            };
+        });
+};
+
+/**
+ * Planned meals in the range, one all-day event per meal
+ *
+ * JUNIOR DEV NOTE: Meal category names (and their colours) live in the
+ * browser, so we title-case the category id: "dinner" -> "Dinner".
+ */
+const mealEvents = async (fromKey, toKey) => {
+    const mealPlan = await getMealPlan();
+
+    return Object.entries(mealPlan)
+        .filter(([dateKey]) => dateKey >= fromKey && dateKey < toKey)
+        .flatMap(([dateKey, categories]) => Object.entries(categories).flatMap(([categoryId, meals]) =>
+            (Array.isArray(meals) ? meals : []).map((meal, index) => ({
+                id: `meal-${dateKey}-${categoryId}-${meal.id ?? index}`,
+                summary: `${categoryId.charAt(0).toUpperCase()}${categoryId.slice(1)}: ${meal.name || 'Meal'}`,
+                ...allDay(dateKey)
+            }))
+        ));
+};
+
+/**
+ * Local family calendar events with an occurrence in the range
+ */
+const calendarEvents = async (from, to) => {
+    const events = await getSeriesInRange(from, to);
+    return events.map(event => ({ ...event, alarmMinutes: getReminderMinutes(event) }));
+};
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Builds the .ics feed
+ *
+ * JUNIOR DEV NOTE: The user filter applies to tasks only - meals and the
+ * family calendar belong to everyone.
+ *
+ * @param {object} options
+ * @param {string[]} options.modules - Which of EXPORT_MODULES to include
+ * @param {string[]|null} options.userIds - Only these users' tasks (null = everyone)
+ * @param {Date} options.from - Range start (local midnight)
+ * @param {Date} options.to - Range end (exclusive, local midnight)
+ * @returns {Promise<string>} The .ics file contents
+ */
+export const buildCalendarFeed = async ({ modules, userIds, from, to }) => {
+    const fromKey = toDateKey(from);
+    const toKey = toDateKey(to);
+
+    const sections = await Promise.all([
+        modules.includes('tasks') ? taskEvents(fromKey, toKey, userIds) : [],
+        modules.includes('meals') ? mealEvents(fromKey, toKey) : [],
+        modules.includes('events') ? calendarEvents(from, to) : []
+    ]);
+
+    return buildIcs({ name: CALENDAR_NAME, events: sections.flat() });
+};
+
+export default {
+    EXPORT_MODULES,
+    getExportSettings,
+    rotateExportToken,
+    isValidExportToken,
+    buildCalendarFeed
+};
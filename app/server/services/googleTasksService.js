@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Google Tasks lookup - is a Google task really done?
+ * @module services/googleTasksService
+ *
+ * JUNIOR DEV NOTE: Google Tasks are read and written by the browser with
+ * the family member's own OAuth token - the server has no Google account
+ * of its own. Before paying XP/Gold for a Google task, though, the server
+ * must not take the browser's word that the task exists and is checked
+ * off (a made-up task id would pay every time). So the browser sends its
+ * token along, and we ask Google ourselves.
+ */
+
+import AppError from '../utils/AppError.js';
+
+const GOOGLE_TASKS_API = 'https://www.googleapis.com/tasks/v1';
+
+// Google normally answers in well under a second; don't hang the request
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Fetches one task from Google Tasks
+ *
+ * @param {Object} options
+ * @param {string} options.accessToken - The user's Google OAuth token
+ * @param {string} options.listId - Task list ID
+ * @param {string} options.taskId - Task ID
+ * @returns {Promise<Object>} The Google task ({ id, title, status, ... })
+ * @throws {AppError} 401 if Google refuses the token, 404 if there's no
+ *   such task, 502 if Google can't be reached
+ */
+export const fetchGoogleTask = async ({ accessToken, listId, taskId }) => {
+    const url = `${GOOGLE_TASKS_API}/lists/${encodeURIComponent(listId)}/tasks/${encodeURIComponent(taskId)}`;
+
+    let response;
+    try {
+        response = await fetch(url, {
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+            headers: { Authorization: `Bearer ${accessToken}` }
+        });
+    } catch (err) {
+        throw new AppError(`Could not reach Google Tasks: ${err.message}`, 502);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+        throw new AppError('Google refused the sign-in - please reconnect Google', 401);
+    }
+    if (response.status === 404) {
+        throw new AppError('Task not found in Google Tasks', 404);
+    }
+    if (!response.ok) {
+        throw new AppError(`Google Tasks returned HTTP ${response.status}`, 502);
+    }
+    return response.json();
+};
+
+export default { fetchGoogleTask };
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Level Service - Configurable XP curve and level-up unlocks
+ * @module services/levelService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * "How much XP is level 5?" used to be `XP_PER_LEVEL = 100`, copied into
+ * the client as `% 100`. Now parents pick the curve (collection
+ * `levelConfig`) and everything - server AND client - derives levels from
+ * one list of thresholds.
+ *
+ * THE CURVES:
+ * - linear:      every level costs `xpPerLevel`            (100, 100, 100...)
+ * - exponential: each level costs `factor` times the last  (100, 150, 225...)
+ * - table:       parents type the XP needed for each level (100, 250, 600...)
+ *
+ * UNLOCKS:
+ * Parents can attach rewards to reaching a level: a badge, bonus gold, or
+ * opening up a shop reward. statsService grants them (once per unlock)
+ * when XP crosses the level.
+ */
+
+import { randomUUID } from 'crypto';
+import { readCollection, writeCollection } from './storageService.js';
+import { getAllRewards } from './rewardsService.js';
+import AppError from '../utils/AppError.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Highest reachable level (table curves stop earlier: one level per row)
+ *
+ * JUNIOR DEV NOTE: Exponential curves grow absurdly fast - a cap keeps
+ * the thresholds list short and the numbers finite.
+ */
+export const MAX_LEVEL = 100;
+
+export const CURVE_TYPES = ['linear', 'exponential', 'table'];
+
+export const UNLOCK_TYPES = ['badge', 'gold', 'reward'];
+
+/**
+ * What a fresh install uses - identical to the old hardcoded behaviour
+ */
+export const DEFAULT_LEVEL_CONFIG = {
+    curve: { type: 'linear', xpPerLevel: 100 },
+    unlocks: []
+};
+
+// ============================================================================
+// CURVE MATH
+// ============================================================================
+
+/**
+ * Total XP needed to REACH each level
+ *
+ * thresholds[0] is level 1 (always 0 XP), thresholds[1] is level 2, ...
+ *
+ * @param {object} curve - { type, xpPerLevel | base, factor | table }
+ * @returns {number[]} Increasing totals, at most MAX_LEVEL long
+ */
+export const getThresholds = (curve) => {
+    const thresholds = [0];
+
+    if (curve.type === 'table') {
+        // JUNIOR DEV NOTE: The table lists totals for level 2, 3, ...
+        for (const total of curve.table.slice(0, MAX_LEVEL - 1)) {
+            thresholds.push(total);
+        }
+        return thresholds;
+    }
+
+    for (let level = 1; level < MAX_LEVEL; level++) {
+        const cost = curve.type === 'exponential'
+            ? Math.round(curve.base * Math.pow(curve.factor, level - 1))
+            : curve.xpPerLevel;
+        thresholds.push(thresholds[level - 1] + cost);
+    }
+
+    return thresholds;
+};
+
+/**
+ * Level for a total XP amount (minimum 1)
+ *
+ * @param {number[]} thresholds - From getThresholds
+ * @param {number} xp - Total XP
+ * @returns {number}
+ */
+export const levelForXp = (thresholds, xp) => {
+    let level = 1;
+    while (level < thresholds.length && xp >= thresholds[level]) {
+        level++;
+    }
+    return level;
+};
+
+/**
+ * Progress-bar numbers for a total XP amount
+ *
+ * @param {number[]} thresholds - From getThresholds
+ * @param {number} xp - Total XP
+ * @returns {object} { level, xpInLevel, xpToNextLevel, maxLevel }
+ *   xpToNextLevel is null at the top level
+ */
+export const getLevelProgress = (thresholds, xp) => {
+    const safeXp = Math.max(0, xp);
+    const level = levelForXp(thresholds, safeXp);
+    const levelStart = thresholds[level - 1];
+    const nextStart = thresholds[level];
+
+    return {
+        level,
+        xpInLevel: safeXp - levelStart,
+        xpToNextLevel: nextStart === undefined ? null : nextStart - levelStart,
+        maxLevel: thresholds.length
+    };
+};
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Gets the level configuration
+ *
+ * @returns {Promise<object>} { curve, unlocks }
+ */
+export const getConfig = async () => {
+    return readCollection('levelConfig', DEFAULT_LEVEL_CONFIG);
+};
+
+/**
+ * Replaces the level configuration (parent action)
+ *
+ * JUNIOR DEV NOTE: Unlocks keep their `id` across saves - that id is how
+ * statsService remembers who already received an unlock. New rows get
+ * a fresh id.
+ *
+ * @param {object} config - { curve, unlocks } (validated by levelConfigSchema)
+ * @returns {Promise<object>} The saved config
+ * @throws {AppError} 400 if an unlock can never be reached or names a
+ *   reward that doesn't exist
+ */
+export const setConfig = async ({ curve, unlocks }) => {
+    // The schema checks shapes; these checks need the curve and the shop
+    const maxLevel = getThresholds(curve).length;
+    const rewardIds = new Set((await getAllRewards()).map(reward => reward.id));
+
+    for (const unlock of unlocks) {
+        if (unlock.level > maxLevel) {
+            throw new AppError(`Level ${unlock.level} is past this curve's max level (${maxLevel})`, 400);
+        }
+        if (unlock.type === 'reward' && !rewardIds.has(unlock.rewardId)) {
+            throw new AppError(`Unknown reward: ${unlock.rewardId}`, 400);
+        }
+    }
+
+    const saved = {
+        curve,
+        unlocks: unlocks
+            .map(unlock => ({ ...unlock, id: unlock.id || randomUUID() }))
+            .sort((a, b) => a.level - b.level)
+    };
+
+    return writeCollection('levelConfig', saved);
+};
+
+export default {
+    MAX_LEVEL,
+    DEFAULT_LEVEL_CONFIG,
+    getThresholds,
+    levelForXp,
+    getLevelProgress,
+    getConfig,
+    setConfig
+};
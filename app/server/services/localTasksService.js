@@ -9,79 +9,505 @@
  * that don't sync to Google Tasks. This allows:
  * - Users without Google accounts to use tasks
  * - Recurring tasks that reset daily/weekly
+ * - Chores that take turns between kids (rotation)
  * - XP/Gold rewards for gamification
  * 
  * DESIGN PATTERN: Service Layer
  * All business logic is here; the controller just handles HTTP.
  */
 
-import { getData, saveData } from './dataService.js';
+import { readCollection, updateCollection } from './storageService.js';
+import AppError from '../utils/AppError.js';
+import { toDateKey, parseDateKey, addDays } from '../utils/dateKeys.js';
 import { v4 as uuidv4 } from 'uuid';
 
 // ============================================================================
-// SCHEMA HELPERS
+// STORAGE
 // ============================================================================
 
 /**
- * Ensures the localTasks array exists in data.
+ * Collection holding every local task
  * 
  * JUNIOR DEV NOTE: "Defensive Programming"
- * We never assume the data structure exists. Always initialize if missing.
+ * We never assume the collection exists. The `[]` fallback is what we get
+ * on a fresh install, so callers can always treat it as an array.
  */
-const ensureSchema = (data) => {
-    if (!data.localTasks) {
-        data.localTasks = [];
-    }
-    return data;
-};
+const COLLECTION = 'localTasks';
+
+/**
+ * Collection holding one record per completion ("occurrence")
+ * 
+ * JUNIOR DEV NOTE: A task only remembers who has finished it TODAY
+ * (see getCompletions), so without this there'd be no way to tell that
+ * a chore was skipped last Tuesday. Records are written in the same
+ * transaction as the completion, so the two can't disagree.
+ */
+const HISTORY_COLLECTION = 'taskHistory';
+
+const readTasks = () => readCollection(COLLECTION, []);
+const updateTasks = (mutator) => updateCollection(COLLECTION, [], mutator);
+
+/**
+ * Collections a completion (or a parent's decision on one) changes
+ *
+ * JUNIOR DEV NOTE: markCompleted & co. work on transaction drafts and
+ * don't open a transaction themselves - taskCompletionService runs them
+ * in one transaction with the XP/Gold, streak and achievement updates.
+ */
+export const TASK_FALLBACKS = { [COLLECTION]: [], [HISTORY_COLLECTION]: [] };
+
+// How far back the history endpoints look when no `from` is given
+const DEFAULT_HISTORY_DAYS = 28;
 
 // ============================================================================
 // RECURRENCE HELPERS
 // ============================================================================
 
 /**
- * Check if a task should be active today based on recurrence settings
+ * Does a monthly task fall on this date?
+ * 
+ * JUNIOR DEV NOTE: Two kinds of monthly rule:
+ * - A day of the month (`monthDay`): 1-31, or -1 for the last day. A
+ *   chore set for the 31st happens on the 30th in a 30-day month
+ *   (and on the 28th/29th in February) instead of being skipped.
+ * - A weekday of the month (`monthWeek` + `days[0]`): "2nd Tuesday",
+ *   or -1 for "last Friday".
+ * Neither set = the same day of the month the task was created.
+ */
+const isMonthlyOn = (task, date) => {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+    if (task.monthWeek && task.days?.length > 0) {
+        if (date.getDay() !== task.days[0]) return false;
+        return task.monthWeek === -1
+            ? date.getDate() + 7 > daysInMonth
+            : Math.ceil(date.getDate() / 7) === task.monthWeek;
+    }
+
+    const monthDay = task.monthDay || new Date(task.createdAt).getDate();
+    const target = monthDay === -1 ? daysInMonth : Math.min(monthDay, daysInMonth);
+    return date.getDate() === target;
+};
+
+/**
+ * Whole days from a date key to a date (negative if the date is earlier)
+ * 
+ * JUNIOR DEV NOTE: Both sides are local midnights, and rounding absorbs
+ * the hour a daylight-saving change adds or removes.
+ */
+const daysSince = (fromKey, date) => Math.round((parseDateKey(toDateKey(date)) - parseDateKey(fromKey)) / 86400000);
+
+/**
+ * Does an "every N days" task fall on this date?
+ * 
+ * JUNIOR DEV NOTE: Counted from `startDate` (default: the day it was
+ * created), so "every 14 days" lands on the same weekday every time.
+ */
+const isIntervalOn = (task, date) => {
+    const diff = daysSince(task.startDate || toDateKey(new Date(task.createdAt)), date);
+    return diff >= 0 && diff % (task.interval || 1) === 0;
+};
+
+/**
+ * Check if a task applies to a given day based on recurrence settings
  * 
  * @param {Object} task - The task to check
- * @returns {boolean} - True if task is active today
+ * @param {Date} date - The day to check
+ * @returns {boolean} - True if task is active that day
  * 
  * JUNIOR DEV NOTE: Why check recurrence?
  * A task set to "weekly on Tuesday" shouldn't appear on Monday.
- * This function determines if a recurring task applies to today.
+ * This function determines if a recurring task applies to that day.
  */
-const isActiveToday = (task) => {
+export const isActiveOn = (task, date) => {
     // One-time tasks are always "active" if not completed
     if (!task.isRecurring) return true;
 
-    const today = new Date().getDay(); // 0=Sunday, 6=Saturday
+    const day = date.getDay(); // 0=Sunday, 6=Saturday
 
     switch (task.recurrence) {
         case 'daily':
             return true;
         case 'weekly':
             // Default to same day each week (day task was created)
-            return task.days?.includes(today) || today === new Date(task.createdAt).getDay();
+            return task.days?.includes(day) || day === new Date(task.createdAt).getDay();
         case 'specific':
-            return task.days?.includes(today);
+            return task.days?.includes(day);
+        case 'interval':
+            return isIntervalOn(task, date);
+        case 'monthly':
+            return isMonthlyOn(task, date);
         default:
             return true;
     }
 };
 
 /**
- * Check if a recurring task needs to be reset (new day)
+ * Check if a task should be active today
+ * 
+ * @param {Object} task - The task to check
+ * @returns {boolean} - True if task is active today
+ */
+export const isActiveToday = (task) => isActiveOn(task, new Date());
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Which time window of a recurring task `now` falls in
+ * 
+ * JUNIOR DEV NOTE: `windows` splits a day into several rounds of the same
+ * chore - "feed the fish" Morning 07:00-09:00 and Evening 17:00-19:00.
+ * A window lasts until the next one starts (the `end` is when it's due,
+ * not when it goes away), and before the first window starts we're still
+ * in the first one - so the fish can be fed early.
+ * 
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {Object|null} { id, label, start, end }, or null if the task has no windows
+ */
+export const getCurrentWindow = (task, now = new Date()) => {
+    const windows = task.isRecurring ? task.windows || [] : [];
+    if (windows.length === 0) return null;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    return windows.findLast(window => toMinutes(window.start) <= minutes) || windows[0];
+};
+
+/**
+ * When the current round of a recurring task began
+ * 
+ * Midnight for a task done once a day; the start of the current window
+ * for a task with several. Completions from before this don't count.
+ * 
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getPeriodStart = (task, now = new Date()) => {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const window = getCurrentWindow(task, now);
+    if (window && window !== task.windows[0]) {
+        start.setMinutes(toMinutes(window.start));
+    }
+    return start;
+};
+
+/**
+ * Check if a recurring task needs to be reset (new day, or new window)
+ * 
+ * JUNIOR DEV NOTE: The reset is never written back - a recurring task
+ * completed yesterday still has `completed: true` on disk. Anything that
+ * reads `completed` for a recurring task must check this first.
  * 
  * @param {Object} task - The task to check
  * @returns {boolean} - True if task should be reset
  */
-const needsReset = (task) => {
+export const needsReset = (task) => {
     if (!task.isRecurring || !task.lastCompletedDate) return false;
 
-    const lastCompleted = new Date(task.lastCompletedDate);
-    const today = new Date();
+    // Reset if completed before the current day (or window) began
+    return new Date(task.lastCompletedDate) < getPeriodStart(task);
+};
 
-    // Reset if completed on a different calendar day
-    return lastCompleted.toDateString() !== today.toDateString();
+/**
+ * Check if a task is assigned to a user
+ * 
+ * JUNIOR DEV NOTE: assignedTo is an array on new tasks, but older tasks
+ * stored a single ID, so we accept both (backward compatibility).
+ * 
+ * @param {Object} task
+ * @param {string|number} userId
+ * @returns {boolean}
+ */
+export const isAssignedTo = (task, userId) => {
+    const assigned = task.assignedTo;
+    if (Array.isArray(assigned)) {
+        return assigned.some(id => String(id) === String(userId));
+    }
+    return String(assigned) === String(userId);
+};
+
+// ============================================================================
+// ROTATION
+// ============================================================================
+
+// How many turns the rotation endpoints show when not told
+const DEFAULT_ROTATION_TURNS = 6;
+
+// A schedule looks this far ahead at most (a chore done once a year still fits)
+const MAX_SCHEDULE_DAYS = 400;
+
+/**
+ * Does the task take turns?
+ * 
+ * JUNIOR DEV NOTE: A rotating task keeps its whole roster in `assignedTo`
+ * (in order - the first person goes first), and `rotation` says how the
+ * turns go:
+ * - cadence: 'occurrence' (each time the chore comes up), 'daily' or
+ *   'weekly' (a turn lasts Sunday to Saturday)
+ * - startDate: the day turn 0 begins (YYYY-MM-DD)
+ * - skips: turns whose person sat out - the next person took it and
+ *   everyone after moved up one
+ * - swaps: { [turn]: userId } turns handed to someone else
+ * With only one person on the roster there's nobody to take turns with.
+ */
+export const isRotating = (task) => Boolean(task.rotation) && getAssignees(task).length > 1;
+
+/**
+ * Which turn a day falls in (0 = the first)
+ * 
+ * JUNIOR DEV NOTE: 'occurrence' has to count the days the chore was on
+ * the list since the rotation started, so it's the slow one - it walks
+ * every day. Days before startDate belong to turn 0.
+ * 
+ * @param {Object} task - A rotating task
+ * @param {Date} date
+ * @returns {number}
+ */
+export const getTurn = (task, date) => {
+    const startKey = task.rotation.startDate;
+    const days = daysSince(startKey, date);
+    if (days <= 0) return 0;
+
+    switch (task.rotation.cadence) {
+        case 'daily':
+            return days;
+        case 'weekly':
+            // Count the Sundays passed since the start
+            return Math.floor((days + parseDateKey(startKey).getDay()) / 7);
+        default: {
+            let turn = 0;
+            for (let day = parseDateKey(startKey); daysSince(toDateKey(day), date) > 0; day = addDays(day, 1)) {
+                if (isActiveOn(task, day)) turn++;
+            }
+            return turn;
+        }
+    }
+};
+
+/**
+ * Whose turn it is (ID as a string)
+ * 
+ * JUNIOR DEV NOTE: A swap names the person outright. Otherwise it's the
+ * next one along the roster - one further for every skip so far.
+ */
+const getTurnAssignee = (task, turn) => {
+    const roster = getAssignees(task).map(String);
+    const swapped = task.rotation.swaps?.[turn];
+    if (swapped !== undefined && roster.includes(String(swapped))) return String(swapped);
+
+    const skipped = (task.rotation.skips || []).filter(skip => skip <= turn).length;
+    return roster[(turn + skipped) % roster.length];
+};
+
+/**
+ * Who the task is for on a day: the person whose turn it is, for a
+ * rotating task - otherwise everyone it's assigned to
+ * 
+ * @param {Object} task
+ * @param {Date} date
+ * @returns {Array} IDs
+ */
+export const getAssigneesOn = (task, date) => (isRotating(task)
+    ? [getTurnAssignee(task, getTurn(task, date))]
+    : getAssignees(task));
+
+/**
+ * Is the task for this user on a day? (See getAssigneesOn.)
+ */
+export const isAssignedOn = (task, userId, date) => getAssigneesOn(task, date)
+    .some(id => String(id) === String(userId));
+
+/**
+ * The next turns, starting with the current one
+ * 
+ * JUNIOR DEV NOTE: Each turn is dated by the first day the chore is on the
+ * list in it - for a weekly rotation of a Tuesday chore, that's Tuesday.
+ * 
+ * @param {Object} task
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Default: today
+ * @param {number} [options.count]
+ * @returns {Array} [{ turn, date, userId, swapped }] (empty if it doesn't rotate)
+ */
+export const getRotationSchedule = (task, { from = new Date(), count = DEFAULT_ROTATION_TURNS } = {}) => {
+    if (!isRotating(task)) return [];
+
+    // The chore doesn't come up before the rotation starts
+    const startKey = [toDateKey(from), task.rotation.startDate].sort()[1];
+    let day = parseDateKey(startKey);
+    let nextOccurrence = getTurn(task, day);
+    const turns = [];
+
+    for (let i = 0; i < MAX_SCHEDULE_DAYS && turns.length < count; i++, day = addDays(day, 1)) {
+        if (!isActiveOn(task, day)) continue;
+
+        // Walking forward, 'occurrence' turns just go up by one
+        const turn = task.rotation.cadence === 'occurrence' ? nextOccurrence++ : getTurn(task, day);
+        if (turns.length > 0 && turns[turns.length - 1].turn === turn) continue;
+
+        turns.push({
+            turn,
+            date: toDateKey(day),
+            userId: getTurnAssignee(task, turn),
+            swapped: task.rotation.swaps?.[turn] !== undefined
+        });
+    }
+    return turns;
+};
+
+/**
+ * The rotation as stored, from what the client sent
+ * 
+ * JUNIOR DEV NOTE: Skips and swaps only make sense for the turns they were
+ * made on. If the cadence, start or roster changes, the turns are counted
+ * differently, so they're dropped rather than landing on the wrong days.
+ * 
+ * @param {Object|null} rotation - { cadence, startDate? } (null = no rotation)
+ * @param {Object} [previous] - The task before the change
+ * @param {Object} [next] - The task after the change
+ * @returns {Object|null}
+ */
+const normalizeRotation = (rotation, previous, next) => {
+    if (!rotation) return null;
+
+    const startDate = rotation.startDate || previous?.rotation?.startDate || toDateKey(new Date());
+    const unchanged = previous?.rotation
+        && previous.rotation.cadence === rotation.cadence
+        && previous.rotation.startDate === startDate
+        && getAssignees(previous).join() === getAssignees(next).join();
+
+    return {
+        cadence: rotation.cadence,
+        startDate,
+        skips: unchanged ? previous.rotation.skips || [] : [],
+        swaps: unchanged ? previous.rotation.swaps || {} : {}
+    };
+};
+
+// ============================================================================
+// PER-ASSIGNEE COMPLETION
+// ============================================================================
+
+/**
+ * Everyone a task is assigned to, as an array of IDs
+ *
+ * @param {Object} task
+ * @returns {Array}
+ */
+export const getAssignees = (task) => (Array.isArray(task.assignedTo) ? task.assignedTo : [task.assignedTo]);
+
+/**
+ * Who has finished the task, right now: { [userId]: ISO time }
+ *
+ * JUNIOR DEV NOTE: Each assignee completes their OWN copy of a shared
+ * chore - Sam unloading the dishwasher doesn't tick it off for Alex.
+ * Two things to watch for:
+ * - Recurring tasks: a completion from an earlier day (or an earlier
+ *   time window today) doesn't count now (the same rule as needsReset).
+ * - Tasks saved before `completions` existed only have the one
+ *   `completed` flag, which meant "done for everyone".
+ *
+ * @param {Object} task
+ * @returns {Object}
+ */
+export const getCompletions = (task) => {
+    const completions = task.completions
+        || (task.completed && task.lastCompletedDate
+            ? Object.fromEntries(getAssignees(task).map(id => [String(id), task.lastCompletedDate]))
+            : {});
+    if (!task.isRecurring) return { ...completions };
+
+    const periodStart = getPeriodStart(task);
+    return Object.fromEntries(Object.entries(completions)
+        .filter(([, at]) => new Date(at) >= periodStart));
+};
+
+/**
+ * Has this assignee finished their copy of the task?
+ *
+ * @param {Object} task
+ * @param {string|number} userId
+ * @returns {boolean}
+ */
+export const isCompletedBy = (task, userId) => Boolean(getCompletions(task)[String(userId)]);
+
+/**
+ * What one assignee earns for the task
+ *
+ * JUNIOR DEV NOTE: 'full' = everyone gets the whole reward,
+ * 'split' = the reward is shared evenly between the assignees.
+ * A rotating task has one assignee at a time, so nothing to split.
+ *
+ * @param {Object} task
+ * @returns {Object} { xp, gold }
+ */
+export const getRewardPerPerson = (task) => {
+    const shares = task.rewardStrategy === 'split' ? getAssigneesOn(task, new Date()).length : 1;
+    return {
+        xp: Math.floor(task.xpReward / shares),
+        gold: Math.floor(task.goldReward / shares)
+    };
+};
+
+/**
+ * Which assignee a completion is for
+ *
+ * JUNIOR DEV NOTE: Older clients don't send a userId. For a task with a
+ * single assignee there's no doubt who did it; for a shared one we must
+ * be told, or we'd be back to paying the wrong kid. On a rotating task
+ * it's whoever's turn it is today.
+ *
+ * @throws {AppError} 400 if it can't be worked out, or isn't an assignee
+ */
+const resolveAssignee = (task, userId) => {
+    const assignees = getAssigneesOn(task, new Date());
+    if (userId === undefined || userId === null || userId === '') {
+        if (assignees.length === 1) return String(assignees[0]);
+        throw new AppError('userId is required for a task shared by several people', 400);
+    }
+    if (!isAssignedTo(task, userId)) {
+        throw new AppError('This task is not assigned to that user', 400);
+    }
+    if (!isAssignedOn(task, userId, new Date())) {
+        throw new AppError("It's not this user's turn - swap turns first", 400);
+    }
+    return String(userId);
+};
+
+/**
+ * Writes a new set of completions, keeping `completed` and
+ * `lastCompletedDate` as the "everyone is done" summary older code reads
+ */
+const setCompletions = (task, completions) => {
+    const doneByAll = getAssigneesOn(task, new Date()).every(id => completions[String(id)]);
+    const times = Object.values(completions).sort();
+
+    task.completions = completions;
+    task.completed = doneByAll;
+    task.lastCompletedDate = doneByAll ? times[times.length - 1] : null;
+    return doneByAll;
+};
+
+/**
+ * Adds `currentAssignee` and `nextAssignee` to a rotating task
+ * 
+ * JUNIOR DEV NOTE: "Current" is the turn of today - or of the next day
+ * the chore is on, if it isn't today - so the list can say whose turn
+ * it is without knowing how turns are counted.
+ */
+const withTurns = (task) => {
+    if (!isRotating(task)) return task;
+
+    const [current, next] = getRotationSchedule(task, { count: 2 });
+    return {
+        ...task,
+        currentAssignee: current?.userId ?? getAssigneesOn(task, new Date())[0],
+        nextAssignee: next?.userId ?? null
+    };
 };
 
 // ============================================================================
@@ -91,30 +517,45 @@ const needsReset = (task) => {
 /**
  * Get all local tasks for a specific user
  * 
+ * JUNIOR DEV NOTE: `completed` here is THIS user's copy of the task.
+ * `completions` says who else has finished (the task list shows it).
+ * `pendingApproval` = done, but a parent hasn't OK'd it yet;
+ * `rejectionNote` = a parent sent it back today ('' if they gave no reason).
+ * A rotating task is only on the list of the person whose turn it is.
+ * 
  * @param {string|number} userId - User ID to filter by
  * @returns {Array} - Array of tasks for that user
  */
 export const getTasksForUser = async (userId) => {
-    const data = ensureSchema(await getData());
-
-    // Filter by user, check recurrence, and reset if needed
-    // JUNIOR DEV NOTE: We now check if the userId is IN the assignedTo array
-    // or if it matches the assignedTo string (for backward compatibility).
-    return data.localTasks
-        .filter(task => {
-            const assigned = task.assignedTo;
-            if (Array.isArray(assigned)) {
-                return assigned.some(id => String(id) === String(userId));
-            }
-            return String(assigned) === String(userId);
-        })
+    const [tasks, history] = await Promise.all([readTasks(), readCollection(HISTORY_COLLECTION, [])]);
+    const now = new Date();
+    const todayKey = toDateKey(now);
+
+    // Filter by user (and turn), check recurrence, and reset if needed
+    return tasks
+        .filter(task => isAssignedOn(task, userId, now))
         .filter(isActiveToday)
+        .map(withTurns)
         .map(task => {
-            // Auto-reset recurring tasks at midnight
-            if (needsReset(task)) {
-                task.completed = false;
-            }
-            return task;
+            // Recurring tasks reset at midnight - getCompletions drops yesterday's
+            const completions = getCompletions(task);
+            const completed = Boolean(completions[String(userId)]);
+
+            // Waiting for a parent's OK? Or sent back today (and why)?
+            const pendingApproval = completed
+                && findCurrentOccurrence(history, task, String(userId))?.status === 'pending';
+            const rejection = completed ? undefined : history.findLast(record => record.taskId === task.id
+                && record.userId === String(userId)
+                && record.date === todayKey
+                && record.status === 'rejected');
+
+            return {
+                ...task,
+                completions,
+                completed,
+                pendingApproval,
+                rejectionNote: rejection ? (rejection.note || '') : null
+            };
         });
 };
 
@@ -122,10 +563,23 @@ export const getTasksForUser = async (userId) => {
  * Get ALL local tasks (for management UI)
  */
 export const getAllTasks = async () => {
-    const data = ensureSchema(await getData());
-    return data.localTasks;
+    return (await readTasks()).map(withTurns);
 };
 
+/**
+ * Time windows in the order they happen, each with an id
+ * 
+ * JUNIOR DEV NOTE: The route schema has already checked the times and
+ * that windows don't overlap. History records point at a window by id, so
+ * an edited window keeps the id it was sent back with.
+ * 
+ * @param {Array} [windows] - [{ id?, label, start: 'HH:mm', end: 'HH:mm' }]
+ * @returns {Array}
+ */
+const normalizeWindows = (windows = []) => windows
+    .map(({ id, label, start, end }) => ({ id: id || uuidv4(), label: label.trim(), start, end }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+
 /**
  * Create a new local task
  * 
@@ -133,7 +587,6 @@ export const getAllTasks = async () => {
  * @returns {Object} - The created task
  */
 export const createTask = async (taskData) => {
-    const data = ensureSchema(await getData());
 
     // JUNIOR DEV NOTE: We ensure assignedTo is always an array for new tasks.
     // We also support 'rewardStrategy' which can be 'full' or 'split'.
@@ -150,40 +603,75 @@ export const createTask = async (taskData) => {
         xpReward: taskData.xpReward || 10,
         goldReward: taskData.goldReward || 5,
         rewardStrategy: taskData.rewardStrategy || 'full', // 'full' or 'split'
+        completionMode: taskData.completionMode || 'individual', // 'individual' or 'team'
+        requiresApproval: Boolean(taskData.requiresApproval), // A parent OKs each completion before it pays
         isRecurring: taskData.isRecurring || false,
-        recurrence: taskData.recurrence || 'daily', // 'daily', 'weekly', 'specific'
-        days: taskData.days || [], // [0-6] for specific days
+        recurrence: taskData.recurrence || 'daily', // 'daily', 'weekly', 'specific', 'interval', 'monthly'
+        days: taskData.days || [], // [0-6] for specific days (monthly: the weekday for monthWeek)
+        interval: taskData.interval || 1, // 'interval': every N days...
+        startDate: taskData.startDate || null, // ...counted from this YYYY-MM-DD (null = createdAt)
+        monthDay: taskData.monthDay ?? null, // 'monthly': 1-31, -1 = last day
+        monthWeek: taskData.monthWeek ?? null, // 'monthly': 1-4, -1 = last (with days[0])
+        windows: normalizeWindows(taskData.windows), // Several rounds a day - see getCurrentWindow
+        rotation: taskData.rotation && assignedTo.length > 1 ? normalizeRotation(taskData.rotation) : null, // Take turns - see isRotating
         completed: false,
         lastCompletedDate: null,
+        completions: {}, // { [userId]: ISO time } - see getCompletions
         createdAt: new Date().toISOString()
     };
 
-    data.localTasks.push(newTask);
-    await saveData(data);
-
-    return newTask;
+    return updateTasks((tasks) => {
+        tasks.push(newTask);
+        return newTask;
+    });
 };
 
+/**
+ * The fields the add/edit form may change
+ *
+ * JUNIOR DEV NOTE: An allow-list, not a deny-list. Who's done
+ * (completions, completed, lastCompletedDate) only changes through
+ * complete/uncomplete, where the rewards are paid - a field we forgot
+ * to block would be a way around that.
+ */
+const EDITABLE_FIELDS = [
+    'title', 'description', 'dueDate', 'assignedTo',
+    'xpReward', 'goldReward', 'rewardStrategy', 'completionMode', 'requiresApproval',
+    'isRecurring', 'recurrence', 'days', 'interval', 'startDate', 'monthDay', 'monthWeek',
+    'windows', 'rotation'
+];
+
 /**
  * Update an existing task
  * 
  * @param {string} taskId - Task ID to update
- * @param {Object} updates - Properties to update
+ * @param {Object} updates - Properties to update (anything not in EDITABLE_FIELDS is ignored)
  * @returns {Object|null} - Updated task or null if not found
  */
 export const updateTask = async (taskId, updates) => {
-    const data = ensureSchema(await getData());
+    const safeUpdates = Object.fromEntries(EDITABLE_FIELDS
+        .filter(field => updates[field] !== undefined)
+        .map(field => [field, updates[field]]));
+    if (safeUpdates.windows) {
+        safeUpdates.windows = normalizeWindows(safeUpdates.windows);
+    }
 
-    const index = data.localTasks.findIndex(t => t.id === taskId);
-    if (index === -1) return null;
+    return updateTasks((tasks) => {
+        const index = tasks.findIndex(t => t.id === taskId);
+        if (index === -1) return null;
 
-    // Don't allow updating certain fields directly
-    const { id, createdAt, ...safeUpdates } = updates;
+        const task = { ...tasks[index], ...safeUpdates };
+        task.rotation = normalizeRotation(task.rotation, tasks[index], task);
 
-    data.localTasks[index] = { ...data.localTasks[index], ...safeUpdates };
-    await saveData(data);
+        // Someone taken off a shared task no longer counts toward "everyone is done"
+        if (safeUpdates.assignedTo && task.completions) {
+            setCompletions(task, Object.fromEntries(Object.entries(getCompletions(task))
+                .filter(([userId]) => isAssignedTo(task, userId))));
+        }
 
-    return data.localTasks[index];
+        tasks[index] = task;
+        return task;
+    });
 };
 
 /**
@@ -193,89 +681,612 @@ export const updateTask = async (taskId, updates) => {
  * @returns {boolean} - True if deleted, false if not found
  */
 export const deleteTask = async (taskId) => {
-    const data = ensureSchema(await getData());
+    return updateTasks((tasks) => {
+        const index = tasks.findIndex(t => t.id === taskId);
+        if (index === -1) return false;
+
+        tasks.splice(index, 1);
+        return true;
+    });
+};
+
+// ============================================================================
+// TAKING TURNS
+// ============================================================================
+
+/**
+ * The upcoming turns of a saved task
+ * 
+ * @param {string} taskId
+ * @param {Object} [options] - { count }
+ * @returns {Promise<Object|null>} { turns } or null if the task doesn't exist
+ */
+export const getRotation = async (taskId, { count } = {}) => {
+    const task = (await readTasks()).find(t => t.id === taskId);
+    if (!task) return null;
+    return { turns: getRotationSchedule(task, { count }) };
+};
+
+/**
+ * The turns a task WOULD have, before it's saved (the add/edit form)
+ * 
+ * JUNIOR DEV NOTE: With a `taskId`, the draft is an edit of that task, so
+ * its skips and swaps carry over exactly as updateTask would keep them.
+ * 
+ * @param {Object} draft - Task fields, { taskId? }
+ * @param {Object} [options] - { count }
+ * @returns {Promise<Array>} Turns
+ */
+export const previewRotation = async ({ taskId, ...draft }, { count } = {}) => {
+    const saved = taskId ? (await readTasks()).find(t => t.id === taskId) : undefined;
+    const task = { createdAt: new Date().toISOString(), ...saved, ...draft };
+    task.assignedTo = [].concat(task.assignedTo ?? []);
+    task.rotation = normalizeRotation(task.rotation, saved, task);
+    return getRotationSchedule(task, { count });
+};
 
-    const index = data.localTasks.findIndex(t => t.id === taskId);
-    if (index === -1) return false;
+/**
+ * Changes the turns of a rotating task
+ * 
+ * @param {string} taskId
+ * @param {Function} mutator - (task, currentTurn) => void
+ * @returns {Promise<Object>} { task, turns }
+ * @throws {AppError} 404 if the task doesn't exist, 400 if it doesn't rotate
+ */
+const updateTurns = (taskId, mutator) => updateTasks((tasks) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) throw new AppError('Task not found', 404);
+    if (!isRotating(task)) throw new AppError('This task does not take turns', 400);
 
-    data.localTasks.splice(index, 1);
-    await saveData(data);
+    const currentTurn = getTurn(task, new Date());
+    mutator(task, currentTurn);
+    return { task: withTurns(task), turns: getRotationSchedule(task) };
+});
 
-    return true;
+const assertUpcoming = (turn, currentTurn) => {
+    if (turn < currentTurn) throw new AppError('That turn is already over', 400);
 };
 
+/**
+ * Two turns trade people ("I'll do your week if you do mine")
+ * 
+ * @param {string} taskId
+ * @param {number} turn
+ * @param {number} withTurn
+ * @returns {Promise<Object>} { task, turns }
+ */
+export const swapTurns = (taskId, turn, withTurn) => updateTurns(taskId, (task, currentTurn) => {
+    assertUpcoming(turn, currentTurn);
+    assertUpcoming(withTurn, currentTurn);
+    if (turn === withTurn) throw new AppError('Pick two different turns to swap', 400);
+
+    const person = getTurnAssignee(task, turn);
+    const otherPerson = getTurnAssignee(task, withTurn);
+    task.rotation = { ...task.rotation, swaps: { ...task.rotation.swaps, [turn]: otherPerson, [withTurn]: person } };
+});
+
+/**
+ * The person due for a turn sits it out (away at camp, sick...)
+ * 
+ * JUNIOR DEV NOTE: The next person takes the turn and everyone after moves
+ * up one, so nobody does two in a row. A swap on that turn is undone - the
+ * swap was about who'd do it, and now the rotation decides again.
+ * 
+ * @param {string} taskId
+ * @param {number} turn
+ * @returns {Promise<Object>} { task, turns }
+ */
+export const skipTurn = (taskId, turn) => updateTurns(taskId, (task, currentTurn) => {
+    assertUpcoming(turn, currentTurn);
+
+    task.rotation = {
+        ...task.rotation,
+        skips: [...(task.rotation.skips || []), turn].sort((a, b) => a - b),
+        swaps: Object.fromEntries(Object.entries(task.rotation.swaps || {})
+            .filter(([swapped]) => Number(swapped) !== turn))
+    };
+});
+
 // ============================================================================
 // COMPLETION HANDLERS (with Gamification)
 // ============================================================================
 
 /**
- * Mark a task as completed
+ * Who gets paid when a task's completions change
+ *
+ * JUNIOR DEV NOTE: Two ways to pay a shared chore:
+ * - 'individual' (default): each assignee is paid when they finish
+ *   their own copy.
+ * - 'team': nobody is paid until the LAST assignee finishes - then
+ *   everyone is. ("Clean the playroom together.")
+ * The amount each gets is decided by rewardStrategy (getRewardPerPerson).
+ *
+ * @param {Object} task
+ * @param {string} userId - Who just (un)completed their copy
+ * @param {boolean} teamChanged - Did "everyone is done" just flip?
+ * @returns {Array} [{ userId, xp, gold }]
+ */
+const getPayouts = (task, userId, teamChanged) => {
+    const { xp, gold } = getRewardPerPerson(task);
+    if (task.completionMode !== 'team') return [{ userId, xp, gold }];
+    return teamChanged ? getAssigneesOn(task, new Date()).map(id => ({ userId: String(id), xp, gold })) : [];
+};
+
+/**
+ * A new history record for one completion
+ * 
+ * JUNIOR DEV NOTE: `xp`/`gold` are what was actually paid for it - 0 for
+ * a team task until the whole team is done, or while a parent still has
+ * to approve it (recordPayouts fills it in).
+ * 
+ * STATUS:
+ * - 'approved': counts (tasks that don't need a parent's OK start here)
+ * - 'pending': waiting in the approval inbox, nothing paid yet
+ * - 'rejected': a parent said it wasn't done (`note` says why)
+ * 
+ * @param {Object} task
+ * @param {string} userId - Who finished it
+ * @param {string} completedAt - ISO time (the same value as in task.completions)
+ * @returns {Object}
+ */
+const createOccurrence = (task, userId, completedAt) => ({
+    id: uuidv4(),
+    taskId: task.id,
+    title: task.title,
+    userId,
+    date: toDateKey(new Date(completedAt)),
+    windowId: getCurrentWindow(task, new Date(completedAt))?.id ?? null, // Which round of the day
+    completedAt,
+    xp: 0,
+    gold: 0,
+    status: task.requiresApproval ? 'pending' : 'approved',
+    approvedBy: null,
+    reviewedBy: null,
+    reviewedAt: null,
+    note: null
+});
+
+const isOccurrenceOf = (record, taskId, userId, completedAt) =>
+    record.taskId === taskId && record.userId === userId && record.completedAt === completedAt;
+
+/**
+ * The history record behind an assignee's current completion (if any)
+ */
+const findCurrentOccurrence = (history, task, userId) => {
+    const completedAt = getCompletions(task)[userId];
+    return completedAt
+        ? history.find(record => isOccurrenceOf(record, task.id, userId, completedAt))
+        : undefined;
+};
+
+/**
+ * Is the assignee's copy done AND not waiting on a parent?
+ * 
+ * JUNIOR DEV NOTE: Completions from before the history existed have no
+ * record - they count, as they always did.
+ */
+const isSettled = (history, task, userId) => Boolean(getCompletions(task)[userId])
+    && findCurrentOccurrence(history, task, userId)?.status !== 'pending';
+
+const isSettledByAll = (history, task) => getAssigneesOn(task, new Date())
+    .every(id => isSettled(history, task, String(id)));
+
+/**
+ * Adds (sign 1) or takes back (sign -1) payouts on the matching records
  * 
+ * @param {Array} history - The taskHistory draft
+ * @param {Object} task - The task, with completions as of the payout
+ * @param {Array} payouts - [{ userId, xp, gold }] from getPayouts
+ * @param {number} sign - 1 or -1
+ */
+const recordPayouts = (history, task, payouts, sign) => {
+    for (const payout of payouts) {
+        const record = findCurrentOccurrence(history, task, payout.userId);
+        if (!record) continue;
+
+        record.xp = Math.max(0, (record.xp || 0) + sign * payout.xp);
+        record.gold = Math.max(0, (record.gold || 0) + sign * payout.gold);
+    }
+};
+
+/**
+ * Mark one assignee's copy of a task as completed
+ * 
+ * @param {Object} drafts - Transaction drafts (see TASK_FALLBACKS)
  * @param {string} taskId - Task ID to complete
- * @returns {Object} - { task, xpAwarded, goldAwarded } or null
+ * @param {string|number} [userId] - Who finished it (optional for single-assignee tasks)
+ * @returns {Object} - { task, userId, payouts, xpAwarded, goldAwarded, teamPending, pendingApproval } or null
+ * @throws {AppError} 400 if userId is missing for a shared task, or not an assignee
  * 
  * JUNIOR DEV NOTE: Why return rewards?
  * The frontend needs to know how much XP/Gold was earned
- * so it can show a notification to the user.
+ * so it can show a notification to the user. `payouts` lists every
+ * payment to make (a team task pays everyone at once); xpAwarded and
+ * goldAwarded are what `userId` got. A task that needs a parent's OK
+ * pays nothing here - approveOccurrence does, later.
  */
-export const completeTask = async (taskId) => {
-    const data = ensureSchema(await getData());
-
-    const task = data.localTasks.find(t => t.id === taskId);
+export const markCompleted = (drafts, taskId, userId) => {
+    const { localTasks: tasks, taskHistory: history } = drafts;
+    const task = tasks.find(t => t.id === taskId);
     if (!task) return null;
 
+    const assignee = resolveAssignee(task, userId);
+    const completions = getCompletions(task);
+
     // Prevent double-completion
-    if (task.completed) {
-        return { task, xpAwarded: 0, goldAwarded: 0 };
+    // JUNIOR DEV NOTE: This check now runs inside the write queue, so a
+    // double tap can't pay twice. A recurring task completed on an
+    // earlier day is open again today (getCompletions drops it).
+    if (completions[assignee]) {
+        return { task, userId: assignee, payouts: [], xpAwarded: 0, goldAwarded: 0, teamPending: false, pendingApproval: false };
     }
 
-    task.completed = true;
-    task.lastCompletedDate = new Date().toISOString();
+    const completedAt = new Date().toISOString();
+    const wasSettledByAll = isSettledByAll(history, task);
+    setCompletions(task, { ...completions, [assignee]: completedAt });
+    const occurrence = createOccurrence(task, assignee, completedAt);
+    history.push(occurrence);
 
-    await saveData(data);
+    const pendingApproval = occurrence.status === 'pending';
+    const settledByAll = isSettledByAll(history, task);
+    const payouts = pendingApproval ? [] : getPayouts(task, assignee, settledByAll && !wasSettledByAll);
+    const own = payouts.find(payout => payout.userId === assignee);
+    recordPayouts(history, task, payouts, 1);
 
     return {
         task,
-        xpAwarded: task.xpReward,
-        goldAwarded: task.goldReward
+        userId: assignee,
+        payouts,
+        xpAwarded: own?.xp || 0,
+        goldAwarded: own?.gold || 0,
+        teamPending: !pendingApproval && task.completionMode === 'team' && !settledByAll,
+        pendingApproval
     };
 };
 
 /**
- * Mark a task as uncompleted (undo)
+ * Mark one assignee's copy of a task as uncompleted (undo)
+ * 
+ * JUNIOR DEV NOTE: Undoing a finished TEAM task takes the reward back
+ * from everyone - it's no longer done by the whole team. Only what was
+ * actually paid is taken back (nothing, if a parent hadn't approved it).
  * 
+ * @param {Object} drafts - Transaction drafts (see TASK_FALLBACKS)
  * @param {string} taskId - Task ID to uncomplete
- * @returns {Object} - { task, xpRevoked, goldRevoked } or null
+ * @param {string|number} [userId] - Whose copy (optional for single-assignee tasks)
+ * @returns {Object} - { task, userId, revokes, xpRevoked, goldRevoked } or null
+ * @throws {AppError} 400 if userId is missing for a shared task, or not an assignee
  */
-export const uncompleteTask = async (taskId) => {
-    const data = ensureSchema(await getData());
-
-    const task = data.localTasks.find(t => t.id === taskId);
+export const markUncompleted = (drafts, taskId, userId) => {
+    const { localTasks: tasks, taskHistory: history } = drafts;
+    const task = tasks.find(t => t.id === taskId);
     if (!task) return null;
 
-    // Can't uncomplete if not completed
-    if (!task.completed) {
-        return { task, xpRevoked: 0, goldRevoked: 0 };
+    const assignee = resolveAssignee(task, userId);
+    const completions = getCompletions(task);
+
+    // Can't uncomplete if not completed (today, for recurring tasks) -
+    // yesterday's reward stays paid
+    if (!completions[assignee]) {
+        return { task, userId: assignee, revokes: [], xpRevoked: 0, goldRevoked: 0 };
     }
 
-    task.completed = false;
-    task.lastCompletedDate = null;
+    const wasPaid = task.completionMode === 'team'
+        ? isSettledByAll(history, task)
+        : isSettled(history, task, assignee);
+    const revokes = wasPaid ? getPayouts(task, assignee, true) : [];
+    const own = revokes.find(revoke => revoke.userId === assignee);
+
+    // The undone completion never happened; teammates keep theirs, unpaid
+    recordPayouts(history, task, revokes, -1);
+    const undone = history.findIndex(record => isOccurrenceOf(record, task.id, assignee, completions[assignee]));
+    if (undone !== -1) history.splice(undone, 1);
 
-    await saveData(data);
+    const remaining = { ...completions };
+    delete remaining[assignee];
+    setCompletions(task, remaining);
 
     return {
         task,
-        xpRevoked: task.xpReward,
-        goldRevoked: task.goldReward
+        userId: assignee,
+        revokes,
+        xpRevoked: own?.xp || 0,
+        goldRevoked: own?.gold || 0
+    };
+};
+
+// ============================================================================
+// PARENT APPROVAL
+// ============================================================================
+
+/**
+ * Completions waiting for a parent's OK, oldest first
+ * 
+ * @returns {Promise<Array>} Pending history records
+ */
+export const getPendingApprovals = async () => {
+    const history = await readCollection(HISTORY_COLLECTION, []);
+    return history.filter(record => record.status === 'pending');
+};
+
+/**
+ * Finds a pending record and its task inside a transaction
+ * 
+ * @throws {AppError} 404 if there's no such record, 409 if it was already decided
+ */
+const findPending = (tasks, history, occurrenceId) => {
+    const record = history.find(entry => entry.id === occurrenceId);
+    if (!record) {
+        throw new AppError('Completion not found', 404);
+    }
+    if (record.status !== 'pending') {
+        throw new AppError(`This completion was already ${record.status}`, 409);
+    }
+    return { record, task: tasks.find(t => t.id === record.taskId) };
+};
+
+/**
+ * A parent confirms a chore was really done - now it pays
+ * 
+ * JUNIOR DEV NOTE: A team task pays everyone when the LAST of the team's
+ * completions is approved, just as it would have on the last tick.
+ * If the task was deleted in the meantime, the payout is the one the
+ * record would have got on its own (we no longer know the team).
+ * 
+ * @param {Object} drafts - Transaction drafts (see TASK_FALLBACKS)
+ * @param {string} occurrenceId - History record ID
+ * @param {string|null} parentId - Who approved it
+ * @returns {Object} { occurrence, task, payouts }
+ * @throws {AppError} 404 / 409 (see findPending)
+ */
+export const markApproved = (drafts, occurrenceId, parentId) => {
+    const { localTasks: tasks, taskHistory: history } = drafts;
+    const { record, task } = findPending(tasks, history, occurrenceId);
+
+    // Is this still the assignee's current completion? (Not undone and
+    // redone since, not from a day that's already been reset)
+    const isCurrent = task && findCurrentOccurrence(history, task, record.userId) === record;
+    const wasSettledByAll = isCurrent && isSettledByAll(history, task);
+
+    record.status = 'approved';
+    record.approvedBy = parentId ? String(parentId) : null;
+    record.reviewedBy = record.approvedBy;
+    record.reviewedAt = new Date().toISOString();
+
+    let payouts;
+    if (isCurrent) {
+        payouts = getPayouts(task, record.userId, !wasSettledByAll && isSettledByAll(history, task));
+        recordPayouts(history, task, payouts, 1);
+    } else {
+        // An old (or orphaned) completion: it only ever earned its own share
+        const { xp, gold } = getRewardPerPerson(task || { xpReward: 0, goldReward: 0 });
+        const isTeam = task?.completionMode === 'team';
+        payouts = isTeam ? [] : [{ userId: record.userId, xp, gold }];
+        record.xp = isTeam ? 0 : xp;
+        record.gold = isTeam ? 0 : gold;
+    }
+
+    return { occurrence: record, task: task || null, payouts };
+};
+
+/**
+ * A parent says a chore wasn't done - nothing is paid, and the chore is
+ * open again for that child
+ * 
+ * @param {Object} drafts - Transaction drafts (see TASK_FALLBACKS)
+ * @param {string} occurrenceId - History record ID
+ * @param {string|null} parentId - Who rejected it
+ * @param {string} [note] - Why (shown to the child)
+ * @returns {Object} { occurrence, task }
+ * @throws {AppError} 404 / 409 (see findPending)
+ */
+export const markRejected = (drafts, occurrenceId, parentId, note) => {
+    const { localTasks: tasks, taskHistory: history } = drafts;
+    const { record, task } = findPending(tasks, history, occurrenceId);
+
+    if (task && findCurrentOccurrence(history, task, record.userId) === record) {
+        const remaining = getCompletions(task);
+        delete remaining[record.userId];
+        setCompletions(task, remaining);
+    }
+
+    record.status = 'rejected';
+    record.reviewedBy = parentId ? String(parentId) : null;
+    record.reviewedAt = new Date().toISOString();
+    record.note = note || null;
+
+    return { occurrence: record, task: task || null };
+};
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+// A year is plenty for a heatmap, and keeps one request from walking forever
+const MAX_HISTORY_DAYS = 366;
+
+/**
+ * Turns an optional { from, to } query into inclusive date keys
+ * 
+ * @throws {AppError} 400 if the range is backwards or too long
+ */
+const getHistoryRange = ({ from, to } = {}) => {
+    const toKey = to || toDateKey(new Date());
+    const fromKey = from || toDateKey(addDays(parseDateKey(toKey), 1 - DEFAULT_HISTORY_DAYS));
+
+    if (fromKey > toKey) {
+        throw new AppError('from must not be after to', 400);
+    }
+    if (addDays(parseDateKey(fromKey), MAX_HISTORY_DAYS) <= parseDateKey(toKey)) {
+        throw new AppError(`History covers at most ${MAX_HISTORY_DAYS} days at a time`, 400);
+    }
+    return { from: fromKey, to: toKey };
+};
+
+/**
+ * Every day from one date key to another, as Dates at local midnight
+ */
+const eachDay = (fromKey, toKey) => {
+    const days = [];
+    for (let day = parseDateKey(fromKey); toDateKey(day) <= toKey; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    return days;
+};
+
+/**
+ * Was the chore on the list that day?
+ * 
+ * JUNIOR DEV NOTE: Only recurring chores can be "skipped" - a one-off
+ * task is just done (or not yet). We go by who is assigned NOW (changes
+ * to assignedTo aren't kept), so someone added to a chore this week will
+ * show as having missed it last week. Callers also check whose turn it
+ * was (isAssignedOn) for rotating chores.
+ */
+const isDueOn = (task, date) => task.isRecurring
+    && isActiveOn(task, date)
+    && (!task.createdAt || toDateKey(new Date(task.createdAt)) <= toDateKey(date));
+
+/**
+ * The rounds of a chore in a day: one per time window, or just one
+ * (`null`) for a chore without windows
+ */
+const getRounds = (task) => (task.windows?.length > 0 ? task.windows : [null]);
+
+/**
+ * "Feed the fish (Evening)" - which round, for chores done several times a day
+ */
+const withWindowLabel = (title, task, windowId) => {
+    const window = windowId && task?.windows?.find(w => w.id === windowId);
+    return window ? `${title} (${window.label})` : title;
+};
+
+/**
+ * Did one of these records (same task, person and day) do this round?
+ */
+const isRoundDone = (records, window) => records.some(record => record.status !== 'rejected'
+    && (!window || record.windowId === window.id));
+
+/**
+ * Completion history of one task
+ * 
+ * @param {string} taskId
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day, YYYY-MM-DD (default: 4 weeks ago)
+ * @param {string} [options.to] - Last day, YYYY-MM-DD (default: today)
+ * @param {string} [options.userId] - Only this assignee
+ * @returns {Promise<Object|null>} { task, from, to, occurrences (newest first),
+ *   missed: { [userId]: [date keys] } } or null if the task doesn't exist
+ */
+export const getTaskHistory = async (taskId, { from, to, userId } = {}) => {
+    const range = getHistoryRange({ from, to });
+    const [tasks, history] = await Promise.all([readTasks(), readCollection(HISTORY_COLLECTION, [])]);
+
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return null;
+
+    const occurrences = history
+        .filter(record => record.taskId === taskId
+            && record.date >= range.from
+            && record.date <= range.to
+            && (!userId || record.userId === String(userId)))
+        .reverse();
+
+    // Today isn't over, so it can't be missed yet. A chore with time
+    // windows counts as missed that day if any window was skipped.
+    const todayKey = toDateKey(new Date());
+    const people = userId ? [String(userId)] : getAssignees(task).map(String);
+    const missed = Object.fromEntries(people.map(id => [
+        id,
+        eachDay(range.from, range.to)
+            .map(day => ({ day, key: toDateKey(day) }))
+            .filter(({ day, key }) => {
+                if (key >= todayKey || !isDueOn(task, day) || !isAssignedOn(task, id, day)) return false;
+                const records = occurrences.filter(record => record.userId === id && record.date === key);
+                return getRounds(task).some(window => !isRoundDone(records, window));
+            })
+            .map(({ key }) => key)
+    ]));
+
+    return {
+        task: { id: task.id, title: task.title, isRecurring: task.isRecurring, assignedTo: getAssignees(task) },
+        ...range,
+        occurrences,
+        missed
     };
 };
 
+/**
+ * One person's chores, day by day (for the history heatmap)
+ * 
+ * @param {string} userId
+ * @param {Object} [options] - { from, to } as for getTaskHistory
+ * @returns {Promise<Object>} { userId, from, to, days: [{ date, due, done, missed }] }
+ *   where `due` counts recurring chores on the list (a chore with time
+ *   windows once per window), `done` lists what was completed (one-off
+ *   tasks too) and `missed` what was skipped
+ */
+export const getUserHistory = async (userId, { from, to } = {}) => {
+    const range = getHistoryRange({ from, to });
+    const [tasks, history] = await Promise.all([readTasks(), readCollection(HISTORY_COLLECTION, [])]);
+
+    const todayKey = toDateKey(new Date());
+    const theirTasks = tasks.filter(task => isAssignedTo(task, userId));
+    const theirHistory = history.filter(record => record.userId === String(userId)
+        && record.status !== 'rejected'
+        && record.date >= range.from
+        && record.date <= range.to);
+
+    const days = eachDay(range.from, range.to).map(day => {
+        const date = toDateKey(day);
+        const done = theirHistory.filter(record => record.date === date);
+        const due = theirTasks
+            .filter(task => isDueOn(task, day) && isAssignedOn(task, userId, day))
+            .flatMap(task => getRounds(task).map(window => ({ task, window })));
+        const missed = date < todayKey
+            ? due.filter(({ task, window }) => !isRoundDone(done.filter(record => record.taskId === task.id), window))
+            : [];
+
+        return {
+            date,
+            due: due.length,
+            done: done.map(({ taskId, title, windowId, completedAt, xp, gold, status, approvedBy }) => ({
+                taskId,
+                title: withWindowLabel(title, theirTasks.find(task => task.id === taskId), windowId),
+                windowId,
+                completedAt,
+                xp,
+                gold,
+                status,
+                approvedBy
+            })),
+            missed: missed.map(({ task, window }) => ({
+                taskId: task.id,
+                title: withWindowLabel(task.title, task, window?.id),
+                windowId: window?.id ?? null
+            }))
+        };
+    });
+
+    return { userId: String(userId), ...range, days };
+};
+
 export default {
     getTasksForUser,
     getAllTasks,
     createTask,
     updateTask,
     deleteTask,
-    completeTask,
-    uncompleteTask
+    TASK_FALLBACKS,
+    markCompleted,
+    markUncompleted,
+    getTaskHistory,
+    getUserHistory,
+    getPendingApprovals,
+    markApproved,
+    markRejected,
+    getRotation,
+    previewRotation,
+    swapTurns,
+    skipTurn
 };
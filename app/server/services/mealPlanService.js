@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Meal Plan Service - persistence for the meals module
+ * @module services/mealPlanService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS EXISTS:
+ * The meals module used to live entirely in the browser's localStorage.
+ * When the kiosk's browser profile was wiped, every saved family recipe
+ * went with it. This service keeps four collections on the server instead:
+ * - mealPlan:          { "2024-01-15": { breakfast: [...], dinner: [...] } }
+ * - savedRecipes:      [{ id, name, ingredients, steps, history, ... }]
+ * - shoppingList:      { items: [...], lastGenerated }
+ * - recipePreferences: { [userId]: { [recipeId]: 'favorite' | 'like' | 'dislike' } }
+ *
+ * DESIGN PATTERN: Service Layer
+ * All business logic is here; the controller just handles HTTP. The
+ * shape of every body is checked by the routes (schemas/mealSchemas.js)
+ * before it gets here.
+ */
+
+import { readCollection, updateCollection, writeCollection } from './storageService.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// How many old versions of a recipe we keep (matches the Recipe Box UI)
+const MAX_RECIPE_HISTORY = 10;
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+const EMPTY_SHOPPING_LIST = { items: [], lastGenerated: null };
+
+// ============================================================================
+// MEAL PLAN
+// ============================================================================
+
+/**
+ * Get the whole meal plan
+ *
+ * @returns {Object} Meals keyed by date, then by category
+ */
+export const getMealPlan = async () => {
+    return readCollection('mealPlan', {});
+};
+
+/**
+ * Replace the whole meal plan
+ *
+ * JUNIOR DEV NOTE: Why replace instead of patch?
+ * The meal grid supports drag-and-drop moves between days. A move touches
+ * two dates at once, so sending the whole (small) plan keeps both in sync.
+ *
+ * @param {Object} mealPlan - Meals keyed by date
+ * @returns {Object} The saved meal plan
+ */
+export const replaceMealPlan = async (mealPlan) => {
+    return writeCollection('mealPlan', mealPlan);
+};
+
+/**
+ * Get the meals scheduled for one date
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {Object} Meals by category (empty object if none)
+ */
+export const getMealsForDate = async (dateKey) => {
+    const mealPlan = await getMealPlan();
+    return mealPlan[dateKey] || {};
+};
+
+/**
+ * Replace the meals for one date
+ *
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {Object} dayMeals - Meals by category
+ * @returns {Object} The saved meals for that date
+ */
+export const replaceMealsForDate = async (dateKey, dayMeals) => {
+    return updateCollection('mealPlan', {}, (mealPlan) => {
+        // An empty day is removed so the plan doesn't fill up with {} entries
+        if (Object.keys(dayMeals).length === 0) {
+            delete mealPlan[dateKey];
+        } else {
+            mealPlan[dateKey] = dayMeals;
+        }
+        return mealPlan[dateKey] || {};
+    });
+};
+
+// ============================================================================
+// SAVED RECIPES (Recipe Box)
+// ============================================================================
+
+/**
+ * Get all saved recipes
+ */
+export const getSavedRecipes = async () => {
+    return readCollection('savedRecipes', []);
+};
+
+/**
+ * Replace the whole recipe box
+ *
+ * @param {Array} recipes - Full list of recipes
+ * @returns {Array} The saved recipes
+ */
+export const replaceSavedRecipes = async (recipes) => {
+    return writeCollection('savedRecipes', recipes);
+};
+
+/**
+ * Create or update a recipe
+ *
+ * JUNIOR DEV NOTE: Version history
+ * When a recipe already exists we snapshot the old version into `history`
+ * (newest first, capped at MAX_RECIPE_HISTORY) before replacing it.
+ *
+ * @param {Object} recipe - Recipe data (id optional for new recipes)
+ * @returns {Object} The saved recipe
+ */
+export const saveRecipe = async (recipe) => {
+    const saved = { ...recipe, id: recipe.id || uuidv4() };
+
+    return updateCollection('savedRecipes', [], (recipes) => {
+        const index = recipes.findIndex(r => r.id === saved.id);
+
+        if (index === -1) {
+            recipes.push(saved);
+            return saved;
+        }
+
+        const existing = recipes[index];
+        const snapshot = {
+            versionTimestamp: Date.now(),
+            updatedAt: new Date().toISOString(),
+            name: existing.name,
+            ingredients: existing.ingredients,
+            instructions: existing.instructions,
+            steps: existing.steps,
+            youtubeUrl: existing.youtubeUrl,
+            categoryId: existing.categoryId
+        };
+        saved.history = [snapshot, ...(existing.history || [])].slice(0, MAX_RECIPE_HISTORY);
+        recipes[index] = saved;
+        return saved;
+    });
+};
+
+/**
+ * Delete a saved recipe
+ *
+ * @param {string} recipeId - Recipe ID to delete
+ * @returns {boolean} True if deleted, false if not found
+ */
+export const deleteRecipe = async (recipeId) => {
+    return updateCollection('savedRecipes', [], (recipes) => {
+        const index = recipes.findIndex(r => r.id === recipeId);
+        if (index === -1) return false;
+
+        recipes.splice(index, 1);
+        return true;
+    });
+};
+
+// ============================================================================
+// SHOPPING LIST
+// ============================================================================
+
+/**
+ * Get the shopping list
+ */
+export const getShoppingList = async () => {
+    return readCollection('shoppingList', EMPTY_SHOPPING_LIST);
+};
+
+/**
+ * Replace the shopping list
+ *
+ * @param {Object} list - { items, lastGenerated }
+ * @returns {Object} The saved list
+ */
+export const replaceShoppingList = async (list) => {
+    return writeCollection('shoppingList', {
+        items: list.items,
+        lastGenerated: list.lastGenerated || null
+    });
+};
+
+// ============================================================================
+// RECIPE PREFERENCES
+// ============================================================================
+
+/**
+ * Get every user's recipe preferences
+ */
+export const getRecipePreferences = async () => {
+    return readCollection('recipePreferences', {});
+};
+
+/**
+ * Replace all recipe preferences
+ *
+ * @param {Object} preferences - { [userId]: { [recipeId]: preference } }
+ * @returns {Object} The saved preferences
+ */
+export const replaceRecipePreferences = async (preferences) => {
+    return writeCollection('recipePreferences', preferences);
+};
+
+/**
+ * Set one user's preference for one recipe
+ *
+ * @param {string} userId - User ID
+ * @param {string} recipeId - Recipe ID
+ * @param {'favorite'|'like'|'dislike'|null} preference - null clears it
+ * @returns {Object} That user's preferences
+ */
+export const setRecipePreference = async (userId, recipeId, preference) => {
+    return updateCollection('recipePreferences', {}, (allPrefs) => {
+        const userPrefs = { ...(allPrefs[userId] || {}) };
+        if (preference) {
+            userPrefs[recipeId] = preference;
+        } else {
+            delete userPrefs[recipeId];
+        }
+        allPrefs[userId] = userPrefs;
+        return userPrefs;
+    });
+};
+
+export default {
+    getMealPlan,
+    replaceMealPlan,
+    getMealsForDate,
+    replaceMealsForDate,
+    getSavedRecipes,
+    replaceSavedRecipes,
+    saveRecipe,
+    deleteRecipe,
+    getShoppingList,
+    replaceShoppingList,
+    getRecipePreferences,
+    replaceRecipePreferences,
+    setRecipePreference
+};
@@ -0,0 +1,440 @@
+/**
+ * @fileoverview Parent Session Service - hashed PINs and short-lived tokens
+ * @module services/parentSessionService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS EXISTS:
+ * The PIN check used to happen only in the browser. Anyone who could
+ * reach the API (a curious kid with DevTools, say) could POST gold or
+ * edit the reward shop without knowing any PIN. Now the browser trades
+ * the PIN for a token, and parent-only routes demand that token
+ * (see middleware/requireParent.js).
+ *
+ * HOW PINS ARE STORED (collection `parentPins`):
+ * {
+ *   family:  { salt, hash, updatedAt } | null   // the old single kiosk PIN
+ *   parents: { [userId]: { salt, hash, updatedAt } }
+ * }
+ * We never store the PIN itself - only an scrypt hash with a random salt.
+ *
+ * WHICH PIN UNLOCKS (same rules the browser used):
+ * 1. If any parent has a PIN, only parent PINs work
+ * 2. Otherwise the family PIN works (default 1234 until someone changes it)
+ *
+ * SESSIONS:
+ * Tokens live in memory only. A server restart logs every parent out,
+ * which is fine for a kiosk - they just enter the PIN again.
+ *
+ * LOCKOUTS:
+ * Wrong guesses are counted per parent (and once more for "any PIN"
+ * logins), so a kid hammering Dad's PIN doesn't lock Mom out too.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { Buffer } from 'buffer';
+import { readCollection, updateCollection } from './storageService.js';
+import AppError from '../utils/AppError.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const COLLECTION = 'parentPins';
+const EMPTY_PINS = { family: null, parents: {} };
+
+// Family profiles, as the kiosks sync them (see syncService)
+const PROFILES_COLLECTION = 'users';
+
+/** For transactions that change profiles (see applyParentProfileChanges) */
+export const PIN_FALLBACKS = { [COLLECTION]: EMPTY_PINS, [PROFILES_COLLECTION]: [] };
+
+/** Target id for the shared kiosk PIN (as opposed to a parent's user id) */
+export const FAMILY_PIN_ID = 'family';
+
+// Matches the old browser default so existing kiosks keep working
+const DEFAULT_FAMILY_PIN = '1234';
+
+/**
+ * How long a token stays valid without being used
+ *
+ * JUNIOR DEV NOTE: "Sliding expiration"
+ * Every authorized request pushes the expiry forward, so a parent busy
+ * in the rewards manager isn't kicked out mid-edit. Walk away for
+ * 15 minutes and the kiosk locks itself.
+ */
+export const SESSION_TTL_MS = 15 * 60 * 1000;
+
+// Brute-force protection: 4 digits is only 10,000 combinations
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 60 * 1000;
+
+// ============================================================================
+// IN-MEMORY STATE
+// ============================================================================
+
+/** token → { userId, expiresAt } */
+const sessions = new Map();
+
+/** lockout key → { failedAttempts, lockedUntil } */
+const lockouts = new Map();
+
+// Lockout key for logins that don't name a parent (or name one without a PIN)
+const ANY_PIN_KEY = '*';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+const readPins = async () => ({ ...EMPTY_PINS, ...(await readCollection(COLLECTION, EMPTY_PINS)) });
+
+const updatePins = (mutator) => updateCollection(COLLECTION, EMPTY_PINS, (pins) => {
+    pins.parents = pins.parents || {};
+    pins.family = pins.family || null;
+    return mutator(pins);
+});
+
+/**
+ * Hashes a PIN with scrypt
+ *
+ * @param {string} pin - 4-digit PIN
+ * @param {string} [salt] - Existing salt (when verifying); a new one is made otherwise
+ * @returns {Promise<{salt: string, hash: string}>}
+ */
+const hashPin = async (pin, salt = crypto.randomBytes(16).toString('hex')) => {
+    const derived = await scrypt(String(pin), salt, 32);
+    return { salt, hash: derived.toString('hex') };
+};
+
+const createPinRecord = async (pin) => ({
+    ...(await hashPin(pin)),
+    updatedAt: new Date().toISOString()
+});
+
+/**
+ * Does `pin` match a stored record?
+ *
+ * JUNIOR DEV NOTE: timingSafeEqual takes the same time whether the first
+ * or the last byte differs, so response times leak nothing about the hash.
+ */
+const pinMatches = async (pin, record) => {
+    if (!record?.salt || !record?.hash) return false;
+
+    const { hash } = await hashPin(pin, record.salt);
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Finds whose PIN this is, following the unlock rules above
+ *
+ * @returns {Promise<{userId: string|null}|null>} null if nothing matched
+ */
+const matchPin = async (pins, pin, userId) => {
+    const parentEntries = Object.entries(pins.parents);
+
+    // 1. A specific parent was chosen (e.g. the profile picker)
+    if (userId !== undefined && userId !== null) {
+        const record = pins.parents[String(userId)];
+        return (await pinMatches(pin, record)) ? { userId: String(userId) } : null;
+    }
+
+    // 2. Any parent PIN
+    if (parentEntries.length > 0) {
+        for (const [parentId, record] of parentEntries) {
+            if (await pinMatches(pin, record)) return { userId: parentId };
+        }
+        return null;
+    }
+
+    // 3. Family PIN (or the default when none was ever set)
+    const familyMatches = pins.family
+        ? await pinMatches(pin, pins.family)
+        : pin === DEFAULT_FAMILY_PIN;
+    return familyMatches ? { userId: null } : null;
+};
+
+/**
+ * Whose wrong guesses a login counts toward
+ *
+ * JUNIOR DEV NOTE: Only parents that really have a PIN get their own
+ * counter. Anything else shares one, so made-up user ids can't grow the
+ * map - and can't dodge the lockout either.
+ */
+const lockoutKey = (pins, userId) => {
+    const id = userId === undefined || userId === null ? null : String(userId);
+    return id && pins.parents[id] ? id : ANY_PIN_KEY;
+};
+
+const assertNotLockedOut = (key) => {
+    const lockedUntil = lockouts.get(key)?.lockedUntil || 0;
+    if (Date.now() < lockedUntil) {
+        const seconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+        throw new AppError(`Too many wrong PINs. Try again in ${seconds} seconds`, 429);
+    }
+};
+
+const recordFailedAttempt = (key) => {
+    const lockout = lockouts.get(key) || { failedAttempts: 0, lockedUntil: 0 };
+    lockout.failedAttempts += 1;
+    if (lockout.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        lockout.failedAttempts = 0;
+        lockout.lockedUntil = Date.now() + LOCKOUT_MS;
+    }
+    lockouts.set(key, lockout);
+};
+
+/**
+ * Ids (as strings) of the parent profiles in a profile list
+ */
+const parentProfileIds = (profiles) => new Set((profiles || [])
+    .filter(profile => profile?.isParent)
+    .map(profile => String(profile.id)));
+
+/**
+ * Is this the id of a parent profile the kiosks know about?
+ */
+const isParentProfile = async (userId) => {
+    return parentProfileIds(await readCollection(PROFILES_COLLECTION, [])).has(String(userId));
+};
+
+// ============================================================================
+// PROFILE CHANGES (draft-level, for syncService)
+// ============================================================================
+
+/**
+ * Checks a synced profile list before it replaces the old one, and drops
+ * the PINs of parents it no longer has
+ *
+ * WHY: The sync endpoint needs no PIN (kiosks save names and colours all
+ * the time), but "is a parent" decides who may get a PIN - see setPin
+ * and importLegacyPins. So:
+ * 1. Turning a profile WITHOUT a PIN into a parent takes a parent session;
+ *    otherwise anyone on the network could make themselves a parent and
+ *    claim a first PIN.
+ * 2. Deleting (or demoting) a parent who HAS a PIN takes their own session
+ *    or the family PIN's - same rule as removePin - and the PIN goes too,
+ *    so it can't keep unlocking the kiosk for a profile nobody sees.
+ *
+ * @param {object} drafts - Transaction drafts (PIN_FALLBACKS collections)
+ * @param {Array} profiles - The new profile list
+ * @param {{userId: string|null}|null} session - The caller's session, if any
+ * @throws {AppError} 401 when a change needs a session, 403 when it's
+ *   another parent's PIN
+ */
+export const applyParentProfileChanges = (drafts, profiles, session) => {
+    const pinned = drafts[COLLECTION]?.parents || {};
+    const before = parentProfileIds(drafts[PROFILES_COLLECTION]);
+    const after = parentProfileIds(profiles);
+
+    const promoted = [...after].filter(id => !before.has(id) && !pinned[id]);
+    const dropped = [...before].filter(id => !after.has(id) && pinned[id]);
+    if (promoted.length === 0 && dropped.length === 0) return;
+
+    if (!session) {
+        throw new AppError('Parent PIN required to add or remove a parent profile', 401);
+    }
+    if (dropped.some(id => session.userId !== null && session.userId !== id)) {
+        throw new AppError('Parents can only remove their own PIN', 403);
+    }
+
+    for (const id of dropped) {
+        delete pinned[id];
+        lockouts.delete(id);
+    }
+};
+
+// ============================================================================
+// MAIN SERVICE FUNCTIONS
+// ============================================================================
+
+/**
+ * Exchanges a PIN for a parent session token
+ *
+ * @param {string} pin - 4-digit PIN
+ * @param {string|number} [userId] - Only accept this parent's PIN
+ * @returns {Promise<{token: string, userId: string|null, expiresAt: string}>}
+ * @throws {AppError} 401 on a wrong PIN, 429 while that PIN is locked out
+ */
+export const createSession = async (pin, userId) => {
+    const pins = await readPins();
+    const key = lockoutKey(pins, userId);
+    assertNotLockedOut(key);
+
+    const match = await matchPin(pins, pin, userId);
+    if (!match) {
+        recordFailedAttempt(key);
+        throw new AppError('Incorrect PIN', 401);
+    }
+
+    lockouts.delete(key);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = { userId: match.userId, expiresAt: Date.now() + SESSION_TTL_MS };
+    sessions.set(token, session);
+
+    return { token, userId: session.userId, expiresAt: new Date(session.expiresAt).toISOString() };
+};
+
+/**
+ * Looks up a token and slides its expiry forward
+ *
+ * @param {string} token - Session token
+ * @returns {{userId: string|null, expiresAt: string}|null} null if unknown or expired
+ */
+export const touchSession = (token) => {
+    const session = token ? sessions.get(token) : null;
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+
+    session.expiresAt = Date.now() + SESSION_TTL_MS;
+    return { userId: session.userId, expiresAt: new Date(session.expiresAt).toISOString() };
+};
+
+/**
+ * Ends a session (logout / lock)
+ *
+ * @param {string} token - Session token
+ * @returns {boolean} True if a session was removed
+ */
+export const endSession = (token) => {
+    return sessions.delete(token);
+};
+
+/**
+ * Which PINs are configured (never the hashes themselves)
+ *
+ * @returns {Promise<{parentIds: string[], familyPinSet: boolean}>}
+ */
+export const getPinStatus = async () => {
+    const pins = await readPins();
+    return {
+        parentIds: Object.keys(pins.parents),
+        familyPinSet: Boolean(pins.family)
+    };
+};
+
+/**
+ * Sets the family PIN or a parent's PIN
+ *
+ * JUNIOR DEV NOTE: A parent may set their own PIN, the family PIN, or the
+ * first PIN of a new parent. Changing ANOTHER parent's existing PIN is
+ * refused (403) - otherwise Dad could lock Mom out. And a PIN only goes
+ * to a parent profile that exists; a PIN for a made-up id would be a
+ * spare key nobody sees in the profile list.
+ *
+ * @param {string} targetId - FAMILY_PIN_ID or a parent's user id
+ * @param {string} pin - New 4-digit PIN
+ * @param {{userId: string|null}} session - The caller's session
+ * @throws {AppError} 404 when there's no such parent profile,
+ *   403 when changing another parent's PIN
+ */
+export const setPin = async (targetId, pin, session) => {
+    if (targetId !== FAMILY_PIN_ID && !(await isParentProfile(targetId))) {
+        throw new AppError('No parent profile with that id', 404);
+    }
+
+    const record = await createPinRecord(pin);
+
+    await updatePins((pins) => {
+        if (targetId === FAMILY_PIN_ID) {
+            pins.family = record;
+            return;
+        }
+
+        const ownPin = session.userId === null || session.userId === targetId;
+        if (pins.parents[targetId] && !ownPin) {
+            throw new AppError('Parents can only change their own PIN', 403);
+        }
+        pins.parents[targetId] = record;
+    });
+};
+
+/**
+ * Removes a parent's PIN (e.g. when the profile is deleted)
+ *
+ * JUNIOR DEV NOTE: Same rule as setPin - otherwise Dad could delete Mom's
+ * PIN and then set a "first" PIN for her.
+ *
+ * @param {string} targetId - Parent's user id
+ * @param {{userId: string|null}} session - The caller's session
+ * @returns {Promise<boolean>} True if a PIN was removed
+ * @throws {AppError} 403 when removing another parent's PIN
+ */
+export const removePin = async (targetId, session) => {
+    const removed = await updatePins((pins) => {
+        if (!pins.parents[targetId]) return false;
+
+        const ownPin = session.userId === null || session.userId === targetId;
+        if (!ownPin) {
+            throw new AppError('Parents can only remove their own PIN', 403);
+        }
+        delete pins.parents[targetId];
+        return true;
+    });
+
+    if (removed) lockouts.delete(targetId);
+    return removed;
+};
+
+/**
+ * One-time import of the plaintext PINs older browsers kept in localStorage
+ *
+ * WHY NO SESSION IS REQUIRED:
+ * Before this import the server knows no PINs at all, so there's nothing
+ * to protect yet. As soon as ANY PIN exists, the import is refused and
+ * PINs can only change through setPin (which needs a session). Like
+ * setPin, it only takes PINs for parent profiles the server knows (and
+ * the sync can't add parents without a session - see applyParentProfileChanges).
+ *
+ * @param {{familyPin?: string, parents?: Array<{userId, pin}>}} legacy
+ * @returns {Promise<{parentIds: string[], familyPinSet: boolean}>}
+ * @throws {AppError} 404 for an id that isn't a parent profile,
+ *   409 if PINs were already configured
+ */
+export const importLegacyPins = async ({ familyPin, parents = [] }) => {
+    const knownParents = parentProfileIds(await readCollection(PROFILES_COLLECTION, []));
+    const unknown = parents.map(({ userId }) => String(userId)).filter(id => !knownParents.has(id));
+    if (unknown.length > 0) {
+        throw new AppError(`No parent profile with id ${unknown.join(', ')}`, 404);
+    }
+
+    // Hash outside the lock - scrypt is deliberately slow
+    const family = familyPin ? await createPinRecord(familyPin) : null;
+    const parentRecords = {};
+    for (const { userId, pin } of parents) {
+        parentRecords[String(userId)] = await createPinRecord(pin);
+    }
+
+    await updatePins((pins) => {
+        if (pins.family || Object.keys(pins.parents).length > 0) {
+            throw new AppError('PINs are already configured on the server', 409);
+        }
+        pins.family = family;
+        pins.parents = parentRecords;
+    });
+
+    return getPinStatus();
+};
+
+export default {
+    FAMILY_PIN_ID,
+    SESSION_TTL_MS,
+    PIN_FALLBACKS,
+    applyParentProfileChanges,
+    createSession,
+    touchSession,
+    endSession,
+    getPinStatus,
+    setPin,
+    removePin,
+    importLegacyPins
+};
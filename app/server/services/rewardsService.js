@@ -11,9 +11,15 @@
  * 
  * This service handles the shop item CRUD.
  * Actual purchasing logic uses statsService for Gold deduction.
+ * 
+ * LIMITS (both optional, per reward):
+ * - stock: how many are left in total (null = unlimited). Buying one takes
+ *   one out; a parent rejecting the request puts it back.
+ * - cooldownDays: how long each kid waits before buying it again
+ *   ("once per week" = 7). Rejected requests don't count.
  */
 
-import * as dataService from './dataService.js';
+import { readCollection, transaction } from './storageService.js';
 import { randomUUID } from 'crypto';
 
 // ============================================================================
@@ -21,16 +27,65 @@ import { randomUUID } from 'crypto';
 // ============================================================================
 
 /**
- * Ensures rewardsStore array exists in data
+ * Reads the rewardsStore collection
+ * 
+ * JUNIOR DEV NOTE: Older data files occasionally stored something other
+ * than an array here, so we still guard the shape.
  * 
- * @param {object} data - Full data object
- * @returns {Array} The rewards array
+ * @returns {Promise<Array>} The rewards array
+ */
+const readRewards = async () => {
+    const rewards = await readCollection('rewardsStore', []);
+    return Array.isArray(rewards) ? rewards : [];
+};
+
+/**
+ * Runs `mutator` against the rewards array inside the write queue
  */
-const ensureRewardsArray = (data) => {
-    if (!Array.isArray(data.rewardsStore)) {
-        data.rewardsStore = [];
+const updateRewards = (mutator) => transaction({ rewardsStore: [] }, (drafts) => {
+    if (!Array.isArray(drafts.rewardsStore)) {
+        drafts.rewardsStore = [];
     }
-    return data.rewardsStore;
+    return mutator(drafts.rewardsStore);
+});
+
+/**
+ * Whether a user can buy a reward right now
+ * 
+ * JUNIOR DEV NOTE: Pure function - statsService calls it INSIDE the
+ * redemption transaction (so two kids can't both buy the last one), and
+ * getRewardsForUser calls it to grey out the shop.
+ * 
+ * @param {object} reward - Shop reward
+ * @param {Array} redemptions - redemptionHistory (newest first)
+ * @param {string} userId - Who wants it
+ * @param {Date} [now] - For tests / consistency
+ * @returns {object} { available, reason, availableAt } - availableAt is an
+ *   ISO timestamp when a cooldown ends, otherwise null
+ */
+export const getAvailability = (reward, redemptions, userId, now = new Date()) => {
+    if (typeof reward.stock === 'number' && reward.stock <= 0) {
+        return { available: false, reason: 'Sold out', availableAt: null };
+    }
+
+    if (reward.cooldownDays) {
+        const last = redemptions.find(entry =>
+            entry.rewardId === reward.id &&
+            String(entry.userId) === String(userId) &&
+            entry.status !== 'rejected'
+        );
+
+        if (last) {
+            const availableAt = new Date(last.redeemedAt);
+            availableAt.setDate(availableAt.getDate() + reward.cooldownDays);
+
+            if (availableAt > now) {
+                return { available: false, reason: 'Cooling down', availableAt: availableAt.toISOString() };
+            }
+        }
+    }
+
+    return { available: true, reason: null, availableAt: null };
 };
 
 // ============================================================================
@@ -43,8 +98,22 @@ const ensureRewardsArray = (data) => {
  * @returns {Promise<Array>} List of reward items
  */
 export const getAllRewards = async () => {
-    const data = await dataService.getData();
-    return ensureRewardsArray(data);
+    return readRewards();
+};
+
+/**
+ * Gets all shop rewards with whether a user can buy each one now
+ * 
+ * @param {string} userId - Who is shopping
+ * @returns {Promise<Array>} Rewards, each with { available, reason, availableAt }
+ */
+export const getRewardsForUser = async (userId) => {
+    const [rewards, redemptions] = await Promise.all([
+        readRewards(),
+        readCollection('redemptionHistory', [])
+    ]);
+
+    return rewards.map(reward => ({ ...reward, ...getAvailability(reward, redemptions, userId) }));
 };
 
 /**
@@ -54,8 +123,7 @@ export const getAllRewards = async () => {
  * @returns {Promise<object|null>} Reward object or null
  */
 export const getRewardById = async (rewardId) => {
-    const data = await dataService.getData();
-    const rewards = ensureRewardsArray(data);
+    const rewards = await readRewards();
     return rewards.find(r => r.id === rewardId) || null;
 };
 
@@ -67,25 +135,26 @@ export const getRewardById = async (rewardId) => {
  * @param {number} rewardData.cost - Gold cost to purchase
  * @param {string} [rewardData.icon] - Emoji or icon name
  * @param {string} [rewardData.description] - Optional description
+ * @param {number|null} [rewardData.stock] - How many are available (null = unlimited)
+ * @param {number|null} [rewardData.cooldownDays] - Days between purchases per kid
  * @returns {Promise<object>} The created reward
  */
 export const createReward = async (rewardData) => {
-    const data = await dataService.getData();
-    const rewards = ensureRewardsArray(data);
-
     const newReward = {
         id: randomUUID(),
         title: rewardData.title || 'New Reward',
         cost: rewardData.cost ?? 50,
         icon: rewardData.icon || '🎁',
         description: rewardData.description || '',
+        stock: rewardData.stock ?? null,
+        cooldownDays: rewardData.cooldownDays ?? null,
         createdAt: new Date().toISOString()
     };
 
-    rewards.push(newReward);
-    await dataService.saveData(data);
-
-    return newReward;
+    return updateRewards((rewards) => {
+        rewards.push(newReward);
+        return newReward;
+    });
 };
 
 /**
@@ -96,19 +165,16 @@ export const createReward = async (rewardData) => {
  * @returns {Promise<object|null>} Updated reward or null if not found
  */
 export const updateReward = async (rewardId, updates) => {
-    const data = await dataService.getData();
-    const rewards = ensureRewardsArray(data);
-
-    const index = rewards.findIndex(r => r.id === rewardId);
-    if (index === -1) return null;
-
     // Merge updates (protect id and createdAt)
     const { id, createdAt, ...safeUpdates } = updates;
-    rewards[index] = { ...rewards[index], ...safeUpdates };
 
-    await dataService.saveData(data);
+    return updateRewards((rewards) => {
+        const index = rewards.findIndex(r => r.id === rewardId);
+        if (index === -1) return null;
 
-    return rewards[index];
+        rewards[index] = { ...rewards[index], ...safeUpdates };
+        return rewards[index];
+    });
 };
 
 /**
@@ -118,16 +184,13 @@ export const updateReward = async (rewardId, updates) => {
  * @returns {Promise<boolean>} True if deleted, false if not found
  */
 export const deleteReward = async (rewardId) => {
-    const data = await dataService.getData();
-    const rewards = ensureRewardsArray(data);
-
-    const index = rewards.findIndex(r => r.id === rewardId);
-    if (index === -1) return false;
-
-    rewards.splice(index, 1);
-    await dataService.saveData(data);
+    return updateRewards((rewards) => {
+        const index = rewards.findIndex(r => r.id === rewardId);
+        if (index === -1) return false;
 
-    return true;
+        rewards.splice(index, 1);
+        return true;
+    });
 };
 
 /**
@@ -139,11 +202,6 @@ export const deleteReward = async (rewardId) => {
  * @returns {Promise<void>}
  */
 export const seedDefaultRewards = async () => {
-    const data = await dataService.getData();
-    const rewards = ensureRewardsArray(data);
-
-    // Only seed if empty
-    if (rewards.length > 0) return;
 
     const defaults = [
         { title: '30 min Gaming', cost: 50, icon: '🎮' },
@@ -153,14 +211,17 @@ export const seedDefaultRewards = async () => {
         { title: 'Pizza Night', cost: 150, icon: '🍕' }
     ];
 
-    for (const reward of defaults) {
-        rewards.push({
-            id: randomUUID(),
-            ...reward,
-            description: '',
-            createdAt: new Date().toISOString()
-        });
-    }
-
-    await dataService.saveData(data);
+    await updateRewards((rewards) => {
+        // Only seed if empty (checked inside the queue so two seeds can't double up)
+        if (rewards.length > 0) return;
+
+        for (const reward of defaults) {
+            rewards.push({
+                id: randomUUID(),
+                ...reward,
+                description: '',
+                createdAt: new Date().toISOString()
+            });
+        }
+    });
 };
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Sleep Service - bedtime schedules and the bed/wake log
+ * @module services/sleepService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS EXISTS:
+ * The Sleep module lets parents set bedtimes and lets kids tap
+ * "Going to bed" / "I'm awake" on the kiosk. Two collections:
+ * - sleepSchedules: { [userId]: { weekday: {...}, weekend: {...}, windDownMinutes } }
+ * - sleepLog:       [{ id, userId, type: 'bedtime' | 'wake', at }]  (newest first)
+ *
+ * WEEKDAY vs WEEKEND:
+ * A "night" belongs to the date you go to bed. Friday and Saturday nights
+ * are weekend nights - the bedtime can be later AND the wake time the next
+ * morning (Saturday/Sunday) can be later. Keeping one type per night means
+ * bedtime and wake time never disagree.
+ *
+ * TIMES:
+ * Schedule times are "HH:mm" strings in the kiosk's local time. The
+ * server runs on the kiosk itself, so local time is the family's time.
+ */
+
+import { readCollection, updateCollection } from './storageService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { toDateKey, parseDateKey, addDays } from '../utils/dateKeys.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const SLEEP_EVENT_TYPES = ['bedtime', 'wake'];
+
+/** Used for members who don't have a schedule yet */
+export const DEFAULT_SCHEDULE = {
+    weekday: { bedtime: '20:00', wakeTime: '07:00' },
+    weekend: { bedtime: '21:00', wakeTime: '08:00' },
+    windDownMinutes: 30
+};
+
+// A year of nightly taps for a big family stays well under this
+const MAX_LOG_ENTRIES = 5000;
+
+// A bedtime tap counts for the night from noon until noon the next day
+const NIGHT_STARTS_AT_HOUR = 12;
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+const atTime = (date, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const result = new Date(date);
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+};
+
+/**
+ * Is the night starting on `date` a weekend night (Fri/Sat)?
+ */
+export const isWeekendNight = (date) => [5, 6].includes(date.getDay());
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * Get every member's schedule
+ *
+ * @returns {Promise<Object>} { [userId]: schedule }
+ */
+export const getSchedules = async () => {
+    return readCollection('sleepSchedules', {});
+};
+
+/**
+ * Get one member's schedule (defaults if none saved)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Schedule
+ */
+export const getSchedule = async (userId) => {
+    const schedules = await getSchedules();
+    return schedules[userId] || DEFAULT_SCHEDULE;
+};
+
+/**
+ * Save a member's schedule
+ *
+ * @param {string} userId - User ID
+ * @param {Object} schedule - { weekday, weekend, windDownMinutes }
+ * @returns {Promise<Object>} The saved schedule
+ */
+export const setSchedule = async (userId, schedule) => {
+    const saved = {
+        weekday: { ...schedule.weekday },
+        weekend: { ...schedule.weekend },
+        windDownMinutes: schedule.windDownMinutes ?? DEFAULT_SCHEDULE.windDownMinutes,
+        updatedAt: new Date().toISOString()
+    };
+
+    return updateCollection('sleepSchedules', {}, (schedules) => {
+        schedules[userId] = saved;
+        return saved;
+    });
+};
+
+/**
+ * Remove a member's schedule
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if removed
+ */
+export const deleteSchedule = async (userId) => {
+    return updateCollection('sleepSchedules', {}, (schedules) => {
+        if (!schedules[userId]) return false;
+        delete schedules[userId];
+        return true;
+    });
+};
+
+// ============================================================================
+// LOG
+// ============================================================================
+
+/**
+ * Get log entries, newest first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.userId] - Only this member
+ * @param {string} [filters.from] - ISO timestamp (inclusive)
+ * @param {string} [filters.to] - ISO timestamp (exclusive)
+ * @returns {Promise<Array>} Log entries
+ */
+export const getLog = async ({ userId, from, to } = {}) => {
+    const log = await readCollection('sleepLog', []);
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    return log.filter(entry => {
+        const time = new Date(entry.at).getTime();
+        return (!userId || entry.userId === userId) && time >= fromTime && time < toTime;
+    });
+};
+
+/**
+ * Record a bedtime or wake tap
+ *
+ * @param {string} userId - Who went to bed / woke up
+ * @param {'bedtime'|'wake'} type - Which tap
+ * @param {string} [at] - ISO timestamp (defaults to now, for corrections)
+ * @returns {Promise<Object>} The new entry
+ */
+export const logSleepEvent = async (userId, type, at) => {
+    const entry = {
+        id: uuidv4(),
+        userId,
+        type,
+        at: at ? new Date(at).toISOString() : new Date().toISOString()
+    };
+
+    return updateCollection('sleepLog', [], (log) => {
+        log.push(entry);
+        // Keep newest first even when a correction is back-dated
+        log.sort((a, b) => new Date(b.at) - new Date(a.at));
+        log.splice(MAX_LOG_ENTRIES);
+        return entry;
+    });
+};
+
+/**
+ * Delete a log entry (e.g. an accidental tap)
+ *
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deleteLogEntry = async (entryId) => {
+    return updateCollection('sleepLog', [], (log) => {
+        const index = log.findIndex(entry => entry.id === entryId);
+        if (index === -1) return false;
+        log.splice(index, 1);
+        return true;
+    });
+};
+
+// ============================================================================
+// WEEKLY SUMMARY
+// ============================================================================
+
+/**
+ * Seven nights of sleep for one member, for the weekly chart
+ *
+ * HOW A NIGHT IS BUILT:
+ * 1. Bedtime = the LAST bedtime tap between noon on that date and noon
+ *    the next day (a kid who gets up for water and taps again counts once)
+ * 2. Wake = the first wake tap after that bedtime, before the next evening
+ * 3. Minutes asleep = wake - bedtime (null if either tap is missing)
+ *
+ * @param {string} userId - User ID
+ * @param {string} startKey - First night (YYYY-MM-DD)
+ * @returns {Promise<{start: string, nights: Array}>}
+ */
+export const getWeeklySummary = async (userId, startKey) => {
+    const start = parseDateKey(startKey);
+    const windowStart = atTime(start, `${NIGHT_STARTS_AT_HOUR}:00`);
+    const windowEnd = addDays(windowStart, 8);
+
+    const [log, schedule] = await Promise.all([
+        getLog({ userId, from: windowStart.toISOString(), to: windowEnd.toISOString() }),
+        getSchedule(userId)
+    ]);
+    // Oldest first is easier to walk through
+    const entries = [...log].reverse();
+
+    const nights = [];
+    for (let i = 0; i < 7; i++) {
+        const night = addDays(start, i);
+        const nightStart = atTime(night, `${NIGHT_STARTS_AT_HOUR}:00`);
+        const nightEnd = addDays(nightStart, 1);
+        const wakeDeadline = atTime(addDays(night, 1), '18:00');
+        const plan = isWeekendNight(night) ? schedule.weekend : schedule.weekday;
+
+        const bed = entries
+            .filter(e => e.type === 'bedtime' && new Date(e.at) >= nightStart && new Date(e.at) < nightEnd)
+            .pop();
+        const wake = bed && entries.find(e =>
+            e.type === 'wake' && new Date(e.at) > new Date(bed.at) && new Date(e.at) <= wakeDeadline
+        );
+
+        const scheduledBedtime = atTime(night, plan.bedtime);
+        // A bedtime after midnight ("00:30") belongs to the next calendar day
+        if (plan.bedtime < `${NIGHT_STARTS_AT_HOUR}:00`) scheduledBedtime.setDate(scheduledBedtime.getDate() + 1);
+
+        nights.push({
+            date: toDateKey(night),
+            weekend: isWeekendNight(night),
+            bedAt: bed?.at || null,
+            wakeAt: wake?.at || null,
+            minutes: bed && wake ? Math.round((new Date(wake.at) - new Date(bed.at)) / 60000) : null,
+            scheduledBedtime: plan.bedtime,
+            scheduledWakeTime: plan.wakeTime,
+            onTime: bed ? new Date(bed.at) <= scheduledBedtime : null
+        });
+    }
+
+    return { start: toDateKey(start), nights };
+};
+
+export default {
+    SLEEP_EVENT_TYPES,
+    DEFAULT_SCHEDULE,
+    getSchedules,
+    getSchedule,
+    setSchedule,
+    deleteSchedule,
+    getLog,
+    logSleepEvent,
+    deleteLogEntry,
+    getWeeklySummary
+};
@@ -10,91 +10,295 @@
  * 
  * KEY DESIGN DECISIONS:
  * 1. Bidirectional XP: Supports +/- values for anti-abuse (undo on uncheck)
- * 2. Atomic Updates: Each function reads, modifies, saves atomically
+ * 2. Atomic Updates: Each change runs inside a storageService transaction,
+ *    so concurrent awards queue up instead of overwriting each other
  * 3. Level-Up Detection: Returns `leveledUp: true` when threshold crossed
+ * 4. Ledger: Every change to XP or Gold also appends an entry to the
+ *    `statsLedger` collection IN THE SAME TRANSACTION, so the ledger always
+ *    adds up to the balance ("why does Emma have 12 gold?")
+ * 5. Levels: The XP curve and level-up unlocks are parent-configured
+ *    (see levelService.js); changeXP grants unlocks as levels are reached
  */
 
-import * as dataService from './dataService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { readCollection, transaction } from './storageService.js';
+import AppError from '../utils/AppError.js';
+import { parseDateKey, addDays } from '../utils/dateKeys.js';
+import { DEFAULT_LEVEL_CONFIG, getThresholds, levelForXp, getLevelProgress } from './levelService.js';
+import { getAvailability } from './rewardsService.js';
+import { fetchGoogleTask } from './googleTasksService.js';
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 /**
- * XP required per level
- * 
- * JUNIOR DEV NOTE: We use a simple linear formula here.
- * Habitica uses exponential scaling, but for a family kiosk,
- * linear is easier for kids to understand.
- * 
- * Level 1 → 2 = 100 XP
- * Level 2 → 3 = 100 XP
- * ... and so on
+ * What completing an external (Google) task is worth
+ *
+ * JUNIOR DEV NOTE: The amounts live on the server on purpose. The manual
+ * /xp and /gold routes are parent-only, so this is the only way a kid's
+ * browser can earn rewards - and it can't pick its own amount.
+ */
+export const TASK_REWARD = { xp: 10, gold: 5 };
+
+/**
+ * Why a ledger entry was written
+ *
+ * JUNIOR DEV NOTE: Undoing something (unchecking a task, a revoked streak
+ * day) uses the SAME reason with a negative delta - the ledger never
+ * edits or deletes old entries, it only appends corrections.
+ */
+export const LEDGER_REASONS = {
+    OPENING_BALANCE: 'opening_balance', // balance from before the ledger existed
+    TASK: 'task',                       // local or Google task (un)completed
+    REDEMPTION: 'redemption',           // gold spent in the shop
+    MANUAL: 'manual',                   // parent adjustment
+    STREAK_BONUS: 'streak_bonus',       // streak milestone reached (or revoked)
+    LEVEL_UNLOCK: 'level_unlock',       // bonus gold for reaching a level
+    REFUND: 'refund'                    // a parent rejected a redemption
+};
+
+/**
+ * Where a redemption can go next
+ *
+ * pending → approved → fulfilled, and anything not yet given can be
+ * rejected (which refunds the gold). Fulfilled and rejected are final.
+ */
+export const REDEMPTION_TRANSITIONS = {
+    pending: ['approved', 'fulfilled', 'rejected'],
+    approved: ['fulfilled', 'rejected'],
+    fulfilled: [],
+    rejected: []
+};
+
+// Redemptions a parent still has to act on
+const OPEN_REDEMPTION_STATUSES = ['pending', 'approved'];
+
+// Log length kept; open redemptions are never trimmed (the ledger keeps everything)
+const MAX_REDEMPTION_HISTORY = 100;
+
+/**
+ * Collections every XP/Gold change touches, with fresh-install fallbacks
+ *
+ * JUNIOR DEV NOTE: Exported so other services (streaks) can run their own
+ * transaction over the same collections and call changeXP/changeGold.
  */
-const XP_PER_LEVEL = 100;
+export const STATS_FALLBACKS = {
+    userStats: {},
+    statsLedger: [],
+    levelConfig: DEFAULT_LEVEL_CONFIG
+};
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
 /**
- * Calculates level from total XP
+ * Ensures a user has a stats entry with proper defaults
  * 
- * FORMULA: level = floor(xp / XP_PER_LEVEL) + 1
- * This means:
- * - 0-99 XP = Level 1
- * - 100-199 XP = Level 2
- * - 200-299 XP = Level 3
+ * DEFENSIVE CODING: We never assume data is in the right shape.
+ * This function guarantees the structure exists before we use it.
  * 
- * @param {number} xp - Total XP accumulated
- * @returns {number} Current level (minimum 1)
+ * JUNIOR DEV NOTE: Exported for streakService, which updates the same
+ * collection inside its own transaction.
+ * 
+ * @param {object} allStats - The userStats collection ({ [userId]: stats })
+ * @param {string} userId - User ID to ensure exists
+ * @returns {object} The user's stats object (mutates allStats in place)
  */
-export const calculateLevel = (xp) => {
-    return Math.floor(Math.max(0, xp) / XP_PER_LEVEL) + 1;
+export const ensureUserStats = (allStats, userId) => {
+    if (!allStats[userId]) {
+        allStats[userId] = {
+            level: 1,
+            xp: 0,
+            gold: 0,
+            streak: 0,
+            bestStreak: 0,
+            lastStreakDate: null,
+            streakHistory: []
+        };
+    }
+
+    return allStats[userId];
 };
 
 /**
- * Calculates XP progress within current level (0-99)
+ * Stats plus the progress-bar numbers for the current level curve
  * 
- * JUNIOR DEV NOTE: This is for the progress bar UI.
- * If user has 250 XP (Level 3), their progress is 50/100.
+ * @param {object} stats - A user's stored stats
+ * @param {object} levelConfig - { curve, unlocks }
+ * @returns {object} Copy of stats with level, xpInLevel, xpToNextLevel, maxLevel
+ */
+export const withLevelProgress = (stats, levelConfig) => ({
+    badges: [],
+    unlockedRewards: [],
+    ...stats,
+    ...getLevelProgress(getThresholds(levelConfig.curve), stats.xp)
+});
+
+/**
+ * Appends a ledger entry for a balance change (skips no-op changes)
+ *
+ * JUNIOR DEV NOTE: `delta` is what ACTUALLY changed, not what was asked
+ * for. Taking 10 gold from a kid with 4 records -4, because balances
+ * floor at 0 - that's what keeps the ledger summing to the balance.
+ *
+ * @param {Array} ledger - The statsLedger draft (oldest first)
+ * @param {object} change
+ * @param {string} change.userId
+ * @param {'xp'|'gold'} change.currency
+ * @param {number} change.before - Balance before the change
+ * @param {number} change.after - Balance after the change
+ * @param {string} change.reason - One of LEDGER_REASONS
+ * @param {string|null} [change.sourceId] - Task, redemption, parent, ... ID
+ * @param {string} [change.note] - Optional human note
+ * @returns {object|null} The entry, or null if nothing changed
+ */
+const recordLedgerEntry = (ledger, { userId, currency, before, after, reason, sourceId = null, note }) => {
+    if (after === before) return null;
+
+    const entry = {
+        id: uuidv4(),
+        at: new Date().toISOString(),
+        userId: String(userId),
+        currency,
+        delta: after - before,
+        balance: after,
+        reason,
+        sourceId: sourceId === null ? null : String(sourceId)
+    };
+    if (note) entry.note = note;
+
+    ledger.push(entry);
+    return entry;
+};
+
+/**
+ * Adds (or removes) Gold inside a STATS_FALLBACKS transaction
  * 
- * @param {number} xp - Total XP
- * @returns {number} XP within current level (0 to XP_PER_LEVEL-1)
+ * @param {object} drafts - Transaction drafts (userStats, statsLedger, ...)
+ * @param {string} userId - User ID
+ * @param {number} amount - Gold to add (can be negative; floors at 0)
+ * @param {object} source - Ledger details { reason, sourceId, note }
+ * @returns {object} The user's (mutated) stats
  */
-export const getXPInCurrentLevel = (xp) => {
-    return Math.max(0, xp) % XP_PER_LEVEL;
+export const changeGold = (drafts, userId, amount, source) => {
+    const stats = ensureUserStats(drafts.userStats, userId);
+    const before = stats.gold;
+
+    stats.gold = Math.max(0, stats.gold + amount);
+    recordLedgerEntry(drafts.statsLedger, { ...source, userId, currency: 'gold', before, after: stats.gold });
+
+    return stats;
 };
 
 /**
- * Ensures userStats exists in data with proper defaults
+ * Grants every unlock between two levels that the user doesn't have yet
  * 
- * DEFENSIVE CODING: We never assume data is in the right shape.
- * This function guarantees the structure exists before we use it.
+ * JUNIOR DEV NOTE: `stats.levelUnlocks` remembers unlock IDs already
+ * given, so dropping a level (undo) and climbing back can't pay twice.
  * 
- * @param {object} data - Full data object from storage
- * @param {string} userId - User ID to ensure exists
- * @returns {object} The user's stats object (mutates data in place)
+ * @returns {Array} The unlocks granted just now
  */
-const ensureUserStats = (data, userId) => {
-    // 1. Ensure top-level userStats object exists
-    if (!data.userStats) {
-        data.userStats = {};
+const grantLevelUnlocks = (drafts, stats, userId, fromLevel, toLevel) => {
+    stats.levelUnlocks = stats.levelUnlocks || [];
+    const granted = [];
+
+    for (const unlock of drafts.levelConfig.unlocks) {
+        if (unlock.level <= fromLevel || unlock.level > toLevel) continue;
+        if (stats.levelUnlocks.includes(unlock.id)) continue;
+
+        if (unlock.type === 'gold') {
+            changeGold(drafts, userId, unlock.gold, {
+                reason: LEDGER_REASONS.LEVEL_UNLOCK,
+                sourceId: unlock.id,
+                note: `Reached level ${unlock.level}`
+            });
+        } else if (unlock.type === 'badge') {
+            stats.badges = stats.badges || [];
+            stats.badges.push({
+                id: unlock.id,
+                name: unlock.badge.name,
+                icon: unlock.badge.icon,
+                level: unlock.level,
+                earnedAt: new Date().toISOString()
+            });
+        } else if (unlock.type === 'reward') {
+            stats.unlockedRewards = stats.unlockedRewards || [];
+            stats.unlockedRewards.push(unlock.rewardId);
+        }
+
+        stats.levelUnlocks.push(unlock.id);
+        granted.push(unlock);
     }
 
-    // 2. Ensure this specific user has a stats entry
-    if (!data.userStats[userId]) {
-        data.userStats[userId] = {
-            level: 1,
-            xp: 0,
-            gold: 0,
-            streak: 0
-        };
-    }
+    return granted;
+};
+
+/**
+ * Adds (or removes) XP inside a STATS_FALLBACKS transaction
+ * 
+ * WHAT IT DOES:
+ * 1. Changes XP (floored at 0) and writes the ledger entry
+ * 2. Re-computes the level from the configured curve
+ * 3. Grants level unlocks for any level newly reached
+ * 
+ * JUNIOR DEV NOTE: "Level before" is the STORED level, not one computed
+ * from the current curve. If a parent makes the curve easier, the next
+ * XP change catches up on the unlocks for the levels that were skipped.
+ * 
+ * @param {object} drafts - Transaction drafts (userStats, statsLedger, levelConfig)
+ * @param {string} userId - User ID
+ * @param {number} amount - XP to add (can be negative for undo)
+ * @param {object} source - Ledger details { reason, sourceId, note }
+ * @returns {object} { stats, leveledUp, unlocks }
+ */
+export const changeXP = (drafts, userId, amount, source) => {
+    const stats = ensureUserStats(drafts.userStats, userId);
+    const thresholds = getThresholds(drafts.levelConfig.curve);
+    const before = stats.xp;
+    const levelBefore = stats.level || 1;
+
+    // 1. Add XP (allow negatives, but floor at 0)
+    stats.xp = Math.max(0, stats.xp + amount);
+    recordLedgerEntry(drafts.statsLedger, { ...source, userId, currency: 'xp', before, after: stats.xp });
+
+    // 2. Level from the curve
+    stats.level = levelForXp(thresholds, stats.xp);
+
+    // 3. Unlocks for newly reached levels
+    const unlocks = stats.level > levelBefore
+        ? grantLevelUnlocks(drafts, stats, userId, levelBefore, stats.level)
+        : [];
 
-    return data.userStats[userId];
+    // JUNIOR DEV NOTE: We check if level increased AND amount was positive
+    // This prevents "level up!" notification on undo operations
+    return { stats, leveledUp: amount > 0 && stats.level > levelBefore, unlocks };
+};
+
+/**
+ * Status of a redemption, including ones logged before statuses existed
+ * (those only had `fulfilled: true/false`)
+ */
+const getRedemptionStatus = (entry) => entry.status || (entry.fulfilled ? 'fulfilled' : 'pending');
+
+/**
+ * Drops the oldest CLOSED redemptions beyond MAX_REDEMPTION_HISTORY
+ * 
+ * JUNIOR DEV NOTE: A blind splice(100) could throw away a request a parent
+ * hasn't answered yet - and with it, the only way to refund it.
+ */
+const trimRedemptions = (history) => {
+    for (let i = history.length - 1; i >= 0 && history.length > MAX_REDEMPTION_HISTORY; i--) {
+        if (!OPEN_REDEMPTION_STATUSES.includes(getRedemptionStatus(history[i]))) {
+            history.splice(i, 1);
+        }
+    }
 };
 
+// A manual adjustment unless the caller says otherwise
+const MANUAL_SOURCE = { reason: LEDGER_REASONS.MANUAL };
+
 // ============================================================================
 // MAIN SERVICE FUNCTIONS
 // ============================================================================
@@ -103,19 +307,17 @@ const ensureUserStats = (data, userId) => {
  * Gets stats for a specific user
  * 
  * @param {string} userId - User ID
- * @returns {Promise<object>} User stats { level, xp, gold, streak }
+ * @returns {Promise<object>} User stats { level, xp, xpInLevel, xpToNextLevel,
+ *   gold, streak, bestStreak, streakHistory, badges, unlockedRewards }
  */
 export const getUserStats = async (userId) => {
-    const data = await dataService.getData();
-    const stats = ensureUserStats(data, userId);
+    const [allStats, levelConfig] = await Promise.all([
+        readCollection('userStats', {}),
+        readCollection('levelConfig', DEFAULT_LEVEL_CONFIG)
+    ]);
 
-    // Calculate derived values
-    return {
-        ...stats,
-        level: calculateLevel(stats.xp),
-        xpInLevel: getXPInCurrentLevel(stats.xp),
-        xpToNextLevel: XP_PER_LEVEL
-    };
+    // Calculate derived values (without saving a new user just for looking)
+    return withLevelProgress(ensureUserStats({ ...allStats }, userId), levelConfig);
 };
 
 /**
@@ -125,34 +327,15 @@ export const getUserStats = async (userId) => {
  * 
  * @param {string} userId - User ID
  * @param {number} amount - XP to add (can be negative for undo)
- * @returns {Promise<object>} Updated stats + levelUp flag
+ * @param {object} [source] - Ledger details { reason, sourceId, note }
+ *   (defaults to a manual adjustment)
+ * @returns {Promise<object>} Updated stats + { leveledUp, unlocks }
  */
-export const addXP = async (userId, amount) => {
-    const data = await dataService.getData();
-    const stats = ensureUserStats(data, userId);
-
-    // 1. Calculate level BEFORE adding XP
-    const levelBefore = calculateLevel(stats.xp);
-
-    // 2. Add XP (allow negatives, but floor at 0)
-    stats.xp = Math.max(0, stats.xp + amount);
-
-    // 3. Calculate level AFTER adding XP
-    const levelAfter = calculateLevel(stats.xp);
-    stats.level = levelAfter;
-
-    // 4. Persist changes
-    await dataService.saveData(data);
-
-    // 5. Return updated stats with level-up detection
-    // JUNIOR DEV NOTE: We check if level increased AND amount was positive
-    // This prevents "level up!" notification on undo operations
-    return {
-        ...stats,
-        xpInLevel: getXPInCurrentLevel(stats.xp),
-        xpToNextLevel: XP_PER_LEVEL,
-        leveledUp: amount > 0 && levelAfter > levelBefore
-    };
+export const addXP = async (userId, amount, source = {}) => {
+    return transaction(STATS_FALLBACKS, (drafts) => {
+        const { stats, leveledUp, unlocks } = changeXP(drafts, userId, amount, { ...MANUAL_SOURCE, ...source });
+        return { ...withLevelProgress(stats, drafts.levelConfig), leveledUp, unlocks };
+    });
 };
 
 /**
@@ -160,99 +343,269 @@ export const addXP = async (userId, amount) => {
  * 
  * @param {string} userId - User ID
  * @param {number} amount - Gold to add (can be negative)
+ * @param {object} [source] - Ledger details { reason, sourceId, note }
+ *   (defaults to a manual adjustment)
  * @returns {Promise<object>} Updated stats
  */
-export const addGold = async (userId, amount) => {
-    const data = await dataService.getData();
-    const stats = ensureUserStats(data, userId);
-
-    // Add gold (floor at 0 to prevent negative gold)
-    stats.gold = Math.max(0, stats.gold + amount);
+export const addGold = async (userId, amount, source = {}) => {
+    return transaction(STATS_FALLBACKS, (drafts) => {
+        const stats = changeGold(drafts, userId, amount, { ...MANUAL_SOURCE, ...source });
+        return withLevelProgress(stats, drafts.levelConfig);
+    });
+};
 
-    await dataService.saveData(data);
+/**
+ * Awards (or revokes) the fixed reward for a Google task
+ *
+ * ANTI-ABUSE: We remember which tasks already paid out
+ * (collection `taskRewardClaims`, keyed "userId:taskId"), so checking
+ * the same task twice pays once, and unchecking only refunds a task
+ * that actually paid. Before paying, we ask Google whether the task
+ * exists and is checked off - otherwise any made-up id would pay.
+ * (A refund needs no check: it only ever takes back what was paid.)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} task
+ * @param {string} task.taskId - Google Tasks id
+ * @param {string} [task.listId] - Its task list (needed to pay)
+ * @param {string} [task.accessToken] - The user's Google token (needed to pay)
+ * @param {boolean} task.completed - True when checked, false when unchecked
+ * @returns {Promise<object>} Updated stats + { applied, leveledUp, unlocks, reward }
+ * @throws {AppError} 409 if Google says the task isn't completed (see
+ *   fetchGoogleTask for the lookup's own errors)
+ */
+export const applyTaskReward = async (userId, { taskId, listId, accessToken, completed }) => {
+    if (completed) {
+        const googleTask = await fetchGoogleTask({ accessToken, listId, taskId });
+        if (googleTask.status !== 'completed') {
+            throw new AppError('That task is not checked off in Google Tasks', 409);
+        }
+    }
 
-    return stats;
+    return transaction({ ...STATS_FALLBACKS, taskRewardClaims: {} }, (drafts) => {
+        const claimKey = `${userId}:${taskId}`;
+        const alreadyPaid = Boolean(drafts.taskRewardClaims[claimKey]);
+        let xpResult = { leveledUp: false, unlocks: [] };
+
+        // 1. Nothing to do if the claim is already in the requested state
+        const applied = completed !== alreadyPaid;
+        if (applied) {
+            const direction = completed ? 1 : -1;
+            const source = {
+                reason: LEDGER_REASONS.TASK,
+                sourceId: taskId,
+                note: completed ? 'Google task' : 'Google task (unchecked)'
+            };
+            xpResult = changeXP(drafts, userId, direction * TASK_REWARD.xp, source);
+            changeGold(drafts, userId, direction * TASK_REWARD.gold, source);
+
+            if (completed) {
+                drafts.taskRewardClaims[claimKey] = new Date().toISOString();
+            } else {
+                delete drafts.taskRewardClaims[claimKey];
+            }
+        }
+
+        return {
+            ...withLevelProgress(ensureUserStats(drafts.userStats, userId), drafts.levelConfig),
+            applied,
+            reward: TASK_REWARD,
+            leveledUp: xpResult.leveledUp,
+            unlocks: xpResult.unlocks
+        };
+    });
 };
 
 /**
- * Logs a reward redemption for parent visibility
+ * Requests a reward: checks limits, holds the gold, and logs it for a parent
  * 
  * FAMILY FEATURE: When a child "buys" a reward like "Pizza Night",
  * the parent needs to know so they can fulfill it in the real world.
+ * The request starts as `pending`; a parent approves, fulfills or
+ * rejects it (see setRedemptionStatus).
+ * 
+ * JUNIOR DEV NOTE: The price comes from the SHOP, not the request - a
+ * kid's browser could otherwise send `cost: 0`. The lookup, limit checks,
+ * deduction, stock change, log and ledger entry all happen in ONE
+ * transaction, so two quick taps can't spend the same gold twice (or buy
+ * the last one twice).
  * 
  * @param {string} userId - User who redeemed
- * @param {string} rewardId - ID of the reward purchased
- * @param {string} rewardTitle - Human-readable reward name
- * @param {number} cost - Gold spent
- * @returns {Promise<object>} The redemption log entry
+ * @param {string} rewardId - ID of the shop reward
+ * @returns {Promise<object>} { redemption, stats }
+ * @throws {AppError} 404 unknown reward, 403 level-locked, 409 sold out /
+ *   cooling down, 400 not enough gold
  */
-export const logRedemption = async (userId, rewardId, rewardTitle, cost) => {
-    const data = await dataService.getData();
-
-    // Ensure redemption history array exists
-    if (!data.redemptionHistory) {
-        data.redemptionHistory = [];
-    }
-
-    // Create log entry with timestamp
-    const entry = {
-        id: `redemption-${Date.now()}`,
-        userId,
-        rewardId,
-        rewardTitle,
-        cost,
-        redeemedAt: new Date().toISOString(),
-        fulfilled: false // Parent marks true after giving reward
-    };
-
-    // Add to beginning (most recent first)
-    data.redemptionHistory.unshift(entry);
-
-    // Keep only last 100 entries to prevent bloat
-    if (data.redemptionHistory.length > 100) {
-        data.redemptionHistory = data.redemptionHistory.slice(0, 100);
-    }
-
-    await dataService.saveData(data);
+export const redeemReward = async (userId, rewardId) => {
+    const fallbacks = { ...STATS_FALLBACKS, redemptionHistory: [], rewardsStore: [] };
+
+    return transaction(fallbacks, (drafts) => {
+        const stats = ensureUserStats(drafts.userStats, userId);
+
+        // 1. The real reward (and its real price)
+        const reward = drafts.rewardsStore.find(r => r.id === rewardId);
+        if (!reward) {
+            throw new AppError('Reward not found', 404);
+        }
+
+        // 2. Rewards tied to a level unlock stay locked until it's earned
+        const lockedBy = drafts.levelConfig.unlocks.find(
+            unlock => unlock.type === 'reward' && unlock.rewardId === rewardId
+        );
+        if (lockedBy && !(stats.unlockedRewards || []).includes(rewardId)) {
+            throw new AppError(`Unlocks at level ${lockedBy.level}`, 403);
+        }
+
+        // 3. Stock and cooldown
+        const availability = getAvailability(reward, drafts.redemptionHistory, userId);
+        if (!availability.available) {
+            throw new AppError(availability.reason, 409);
+        }
+
+        // 4. Check user has enough gold
+        if (stats.gold < reward.cost) {
+            throw new AppError('Not enough gold', 400);
+        }
+
+        // 5. Create log entry with timestamp
+        const entry = {
+            id: `redemption-${uuidv4()}`,
+            userId,
+            rewardId,
+            rewardTitle: reward.title,
+            cost: reward.cost,
+            redeemedAt: new Date().toISOString(),
+            status: 'pending'
+        };
 
-    return entry;
+        // 6. Hold the gold (and record why) and take one from the stock
+        changeGold(drafts, userId, -reward.cost, {
+            reason: LEDGER_REASONS.REDEMPTION,
+            sourceId: entry.id,
+            note: reward.title
+        });
+        if (typeof reward.stock === 'number') {
+            reward.stock -= 1;
+        }
+
+        // 7. Add to beginning (most recent first)
+        drafts.redemptionHistory.unshift(entry);
+        trimRedemptions(drafts.redemptionHistory);
+
+        return { redemption: entry, stats: withLevelProgress(stats, drafts.levelConfig) };
+    });
 };
 
 /**
- * Gets redemption history (for parent dashboard)
+ * Moves a redemption along: approve, fulfill or reject (parent action)
  * 
- * @param {boolean} unfulfilledOnly - If true, only return unfulfilled
- * @returns {Promise<Array>} List of redemption entries
+ * WHAT HAPPENS ON REJECT:
+ * The gold comes back (a `refund` ledger entry pointing at the
+ * redemption) and the reward goes back in stock.
+ * 
+ * @param {string} redemptionId - ID of the redemption entry
+ * @param {string} status - 'approved' | 'fulfilled' | 'rejected'
+ * @param {object} [details]
+ * @param {string|null} [details.parentId] - Parent who decided (if known)
+ * @param {string} [details.note] - Why (shown to the kid on rejections)
+ * @returns {Promise<object>} The updated redemption entry
+ * @throws {AppError} 404 unknown redemption, 409 not allowed from its current status
  */
-export const getRedemptionHistory = async (unfulfilledOnly = false) => {
-    const data = await dataService.getData();
-    const history = data.redemptionHistory || [];
+export const setRedemptionStatus = async (redemptionId, status, { parentId = null, note } = {}) => {
+    const fallbacks = { ...STATS_FALLBACKS, redemptionHistory: [], rewardsStore: [] };
+
+    return transaction(fallbacks, (drafts) => {
+        const entry = drafts.redemptionHistory.find(e => e.id === redemptionId);
+        if (!entry) {
+            throw new AppError('Redemption not found', 404);
+        }
+
+        const current = getRedemptionStatus(entry);
+        if (!REDEMPTION_TRANSITIONS[current].includes(status)) {
+            throw new AppError(`Cannot mark a ${current} redemption as ${status}`, 409);
+        }
+
+        entry.status = status;
+        entry[`${status}At`] = new Date().toISOString();
+        if (parentId) entry[`${status}By`] = String(parentId);
+        if (note) entry.note = note;
+
+        if (status === 'rejected') {
+            changeGold(drafts, entry.userId, entry.cost, {
+                reason: LEDGER_REASONS.REFUND,
+                sourceId: entry.id,
+                note: entry.rewardTitle
+            });
+
+            const reward = drafts.rewardsStore.find(r => r.id === entry.rewardId);
+            if (reward && typeof reward.stock === 'number') {
+                reward.stock += 1;
+            }
+        }
+
+        // Older entries only had `fulfilled`; the status replaces it
+        delete entry.fulfilled;
+
+        return entry;
+    });
+};
 
-    if (unfulfilledOnly) {
-        return history.filter(entry => !entry.fulfilled);
+/**
+ * Gets a user's XP/Gold ledger, newest first
+ * 
+ * DATE FILTERS: `from` and `to` are either a day ('YYYY-MM-DD', whole
+ * local day, inclusive) or an exact ISO timestamp.
+ * 
+ * @param {string} userId - User ID
+ * @param {object} [filters]
+ * @param {string} [filters.from] - Earliest entry
+ * @param {string} [filters.to] - Latest entry
+ * @param {'xp'|'gold'} [filters.currency]
+ * @param {string} [filters.reason] - One of LEDGER_REASONS
+ * @param {number} [filters.limit] - Max entries returned (default 200)
+ * @returns {Promise<object>} { entries, totals: { xp, gold } } - totals
+ *   cover ALL matching entries, not just the returned page
+ */
+export const getLedger = async (userId, { from, to, currency, reason, limit = 200 } = {}) => {
+    const ledger = await readCollection('statsLedger', []);
+
+    const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const fromTime = from ? (isDay(from) ? parseDateKey(from) : new Date(from)).getTime() : -Infinity;
+    const toTime = to ? (isDay(to) ? addDays(parseDateKey(to), 1).getTime() - 1 : new Date(to).getTime()) : Infinity;
+
+    const matching = ledger.filter(entry => {
+        const time = new Date(entry.at).getTime();
+        return entry.userId === String(userId)
+            && time >= fromTime
+            && time <= toTime
+            && (!currency || entry.currency === currency)
+            && (!reason || entry.reason === reason);
+    });
+
+    const totals = { xp: 0, gold: 0 };
+    for (const entry of matching) {
+        totals[entry.currency] += entry.delta;
     }
 
-    return history;
+    return {
+        entries: matching.reverse().slice(0, limit),
+        totals
+    };
 };
 
 /**
- * Marks a redemption as fulfilled (parent action)
+ * Gets redemption history (for parent dashboard)
  * 
- * @param {string} redemptionId - ID of the redemption entry
- * @returns {Promise<boolean>} Success status
+ * @param {boolean} openOnly - If true, only pending/approved (not yet given)
+ * @returns {Promise<Array>} List of redemption entries, each with a `status`
  */
-export const fulfillRedemption = async (redemptionId) => {
-    const data = await dataService.getData();
-
-    if (!data.redemptionHistory) return false;
+export const getRedemptionHistory = async (openOnly = false) => {
+    const history = (await readCollection('redemptionHistory', []))
+        .map(entry => ({ ...entry, status: getRedemptionStatus(entry) }));
 
-    const entry = data.redemptionHistory.find(e => e.id === redemptionId);
-    if (!entry) return false;
-
-    entry.fulfilled = true;
-    entry.fulfilledAt = new Date().toISOString();
-
-    await dataService.saveData(data);
+    if (openOnly) {
+        return history.filter(entry => OPEN_REDEMPTION_STATUSES.includes(entry.status));
+    }
 
-    return true;
+    return history;
 };
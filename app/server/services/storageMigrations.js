@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Storage schema migrations
+ * @module services/storageMigrations
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * The shape of our stored data changes as features grow. Instead of
+ * sprinkling "if this old field exists, convert it" checks through every
+ * service, each change gets ONE numbered migration here. storageService
+ * remembers the last version it applied (storage/db/_meta.json) and runs
+ * only the newer ones, in order, at startup.
+ *
+ * HOW TO ADD A MIGRATION:
+ * 1. Append an object with the next `version` number
+ * 2. Write `up(context)` so it is safe to re-run if it crashed half-way
+ * 3. Never edit a migration that has already shipped - add a new one
+ *
+ * The context passed to `up` has:
+ * - read(name)          → collection value (or undefined)
+ * - write(name, value)  → atomically replace a collection
+ * - listCollections()   → names of all collections
+ * - legacyDataFile      → path to the old single-file data.json
+ * - legacyBackupFile    → where migration 1 keeps it afterwards (inside db/,
+ *                         which is never served as a static file)
+ */
+
+import fs from 'fs-extra';
+import { v4 as uuidv4 } from 'uuid';
+import { toDateKey } from '../utils/dateKeys.js';
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Split legacy data.json into one file per collection',
+        up: async ({ legacyDataFile, legacyBackupFile, write }) => {
+            if (!(await fs.pathExists(legacyDataFile))) return;
+
+            const legacy = await fs.readJson(legacyDataFile);
+            for (const [name, value] of Object.entries(legacy || {})) {
+                try {
+                    await write(name, value);
+                } catch (err) {
+                    // e.g. a key that isn't a valid file name; it stays in the .bak
+                    console.warn(`[Storage] Skipped legacy key "${name}": ${err.message}`);
+                }
+            }
+
+            // Keep the original around in case anyone needs it - it holds
+            // everything (PINs included), so NOT next to the photos
+            await fs.move(legacyDataFile, legacyBackupFile, { overwrite: true });
+        },
+    },
+    {
+        version: 2,
+        description: 'Open the XP/Gold ledger with every existing balance',
+        up: async ({ read, write }) => {
+            // Re-run safe: an existing ledger means we already did this
+            if ((await read('statsLedger')) !== undefined) return;
+
+            // JUNIOR DEV NOTE: Without these entries, a kid's ledger wouldn't
+            // add up to their balance - everything earned before the ledger
+            // existed would be missing.
+            const at = new Date().toISOString();
+            const ledger = [];
+            for (const [userId, stats] of Object.entries((await read('userStats')) || {})) {
+                for (const currency of ['xp', 'gold']) {
+                    const balance = stats?.[currency] || 0;
+                    if (balance === 0) continue;
+
+                    ledger.push({
+                        id: uuidv4(),
+                        at,
+                        userId,
+                        currency,
+                        delta: balance,
+                        balance,
+                        reason: 'opening_balance',
+                        sourceId: null
+                    });
+                }
+            }
+
+            await write('statsLedger', ledger);
+        },
+    },
+    {
+        version: 3,
+        description: 'Give every redemption an approval status',
+        up: async ({ read, write }) => {
+            const history = await read('redemptionHistory');
+            if (!Array.isArray(history)) return;
+
+            // `fulfilled: true/false` becomes 'fulfilled' / 'pending'
+            const migrated = history.map(({ fulfilled, ...entry }) => ({
+                ...entry,
+                status: entry.status || (fulfilled ? 'fulfilled' : 'pending')
+            }));
+
+            await write('redemptionHistory', migrated);
+        },
+    },
+    {
+        version: 4,
+        description: 'Start the task history with each task\'s last completion',
+        up: async ({ read, write }) => {
+            // Re-run safe: an existing history means we already did this
+            if ((await read('taskHistory')) !== undefined) return;
+
+            // JUNIOR DEV NOTE: Tasks only ever kept their LAST completion,
+            // so that's all we can carry over. What was paid for it wasn't
+            // kept either - xp/gold are null ("unknown"), not 0.
+            const history = [];
+            for (const task of (await read('localTasks')) || []) {
+                const assignees = Array.isArray(task.assignedTo) ? task.assignedTo : [task.assignedTo];
+                const completions = task.completions
+                    || (task.completed && task.lastCompletedDate
+                        ? Object.fromEntries(assignees.map(id => [String(id), task.lastCompletedDate]))
+                        : {});
+
+                for (const [userId, completedAt] of Object.entries(completions)) {
+                    history.push({
+                        id: uuidv4(),
+                        taskId: task.id,
+                        title: task.title,
+                        userId,
+                        date: toDateKey(new Date(completedAt)),
+                        completedAt,
+                        xp: null,
+                        gold: null,
+                        approvedBy: null
+                    });
+                }
+            }
+
+            history.sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+            await write('taskHistory', history);
+        },
+    },
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
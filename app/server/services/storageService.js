@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Storage Service - transactional JSON collections
+ * @module services/storageService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Every service used to do "read all of data.json → change it → write it
+ * back". With two kids tapping tasks at the same time, both requests read
+ * the SAME old file, and whichever wrote last silently erased the other's
+ * XP award. This service fixes that with three ideas:
+ *
+ * 1. COLLECTIONS: Each top-level key (localTasks, userStats, ...) lives in
+ *    its own file under storage/db/. Tasks and stats no longer share a file.
+ *
+ * 2. WRITE QUEUE: Every collection has a promise queue. Updates to the same
+ *    collection run strictly one after another, so an update always sees
+ *    the result of the previous one.
+ *
+ * 3. ATOMIC WRITES: We write to a temp file, flush it to disk, then rename
+ *    it over the real file. A rename is atomic, so a power cut leaves
+ *    either the old file or the new one - never half a JSON file.
+ *
+ * Schema versioning lives in storageMigrations.js; we run pending
+ * migrations once, before the first read or write.
+ *
+ * DESIGN PATTERN: Unit of Work
+ * Callers describe a change as a function (`mutator`). We hand it a private
+ * copy of the data and only commit if it finishes without throwing.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import AppError from '../utils/AppError.js';
+import { MIGRATIONS, LATEST_SCHEMA_VERSION } from './storageMigrations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const STORAGE_DIR = path.join(__dirname, '..', 'storage');
+const DB_DIR = path.join(STORAGE_DIR, 'db');
+const META_FILE = path.join(DB_DIR, '_meta.json');
+const LEGACY_DATA_FILE = path.join(STORAGE_DIR, 'data.json');
+const LEGACY_BACKUP_FILE = path.join(DB_DIR, '_data.json.pre-v1.bak');
+
+// Collection names become file names, so keep them boring
+const COLLECTION_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+// ============================================================================
+// IN-MEMORY STATE
+// ============================================================================
+
+/**
+ * Committed values, keyed by collection name
+ *
+ * JUNIOR DEV NOTE: Why cache?
+ * We are the only process writing these files, so after the first read the
+ * cache IS the disk. Reads become instant and can't see a half-finished
+ * write (the cache is only updated after the rename succeeds).
+ */
+const cache = new Map();
+
+/**
+ * Tail of each collection's write queue
+ */
+const queues = new Map();
+
+let initPromise = null;
+
+// ============================================================================
+// LOW-LEVEL FILE HELPERS
+// ============================================================================
+
+const collectionFile = (name) => path.join(DB_DIR, `${name}.json`);
+
+const assertValidName = (name) => {
+    if (typeof name !== 'string' || !COLLECTION_NAME_PATTERN.test(name)) {
+        throw new AppError(`Invalid collection name: ${name}`, 400);
+    }
+};
+
+/**
+ * Writes JSON to a file atomically (temp file + fsync + rename)
+ *
+ * @param {string} file - Destination path
+ * @param {*} value - JSON-serializable value
+ */
+const writeFileAtomic = async (file, value) => {
+    const tmpFile = `${file}.${randomUUID()}.tmp`;
+    const handle = await fs.promises.open(tmpFile, 'w');
+
+    try {
+        await handle.writeFile(JSON.stringify(value));
+        await handle.sync(); // Make sure bytes hit the SD card before rename
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.rename(tmpFile, file);
+    } catch (err) {
+        await fs.remove(tmpFile);
+        throw err;
+    }
+};
+
+/**
+ * Reads a collection from disk (bypasses the cache)
+ *
+ * @returns {Promise<*>} Parsed value, or undefined if the file doesn't exist
+ */
+const readFromDisk = async (name) => {
+    const file = collectionFile(name);
+    if (!(await fs.pathExists(file))) return undefined;
+    return fs.readJson(file);
+};
+
+const loadCollection = async (name) => {
+    if (!cache.has(name)) {
+        cache.set(name, await readFromDisk(name));
+    }
+    return cache.get(name);
+};
+
+/**
+ * Runs `task` after everything already queued for `name` has finished
+ *
+ * JUNIOR DEV NOTE: Promise chaining as a lock
+ * Each call chains onto the previous promise for that collection. A failed
+ * task must not jam the queue, so the stored tail swallows errors - the
+ * caller still receives the real rejection through `run`.
+ */
+const enqueue = (name, task) => {
+    const tail = queues.get(name) || Promise.resolve();
+    const run = tail.then(task);
+    queues.set(name, run.catch(() => { }));
+    return run;
+};
+
+/**
+ * Lists the names of all stored collections
+ *
+ * @returns {Promise<string[]>}
+ */
+export const listCollections = async () => {
+    await fs.ensureDir(DB_DIR);
+    const files = await fs.readdir(DB_DIR);
+    return files
+        .filter(f => f.endsWith('.json') && !f.startsWith('_'))
+        .map(f => f.slice(0, -'.json'.length));
+};
+
+// ============================================================================
+// SCHEMA VERSIONING
+// ============================================================================
+
+const readMeta = async () => {
+    if (await fs.pathExists(META_FILE)) {
+        return fs.readJson(META_FILE);
+    }
+    return { schemaVersion: 0 };
+};
+
+/**
+ * Applies every migration newer than the stored schema version
+ *
+ * JUNIOR DEV NOTE: Why record the version after EACH migration?
+ * If migration 3 crashes, the next start resumes at 3 instead of re-running
+ * 1 and 2 on data they already changed.
+ */
+const runMigrations = async () => {
+    await fs.ensureDir(DB_DIR);
+    const meta = await readMeta();
+
+    const context = {
+        legacyDataFile: LEGACY_DATA_FILE,
+        legacyBackupFile: LEGACY_BACKUP_FILE,
+        read: readFromDisk,
+        write: (name, value) => {
+            assertValidName(name);
+            cache.delete(name);
+            return writeFileAtomic(collectionFile(name), value);
+        },
+        listCollections,
+    };
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= meta.schemaVersion) continue;
+
+        console.log(`[Storage] Migrating schema to v${migration.version}: ${migration.description}`);
+        await migration.up(context);
+
+        meta.schemaVersion = migration.version;
+        meta.migratedAt = new Date().toISOString();
+        await writeFileAtomic(META_FILE, meta);
+    }
+};
+
+/**
+ * Prepares storage (runs migrations). Safe to call more than once.
+ *
+ * @returns {Promise<void>}
+ */
+export const initializeStorage = () => {
+    if (!initPromise) {
+        initPromise = runMigrations().catch(err => {
+            initPromise = null; // Allow a retry on the next request
+            throw new AppError(`Failed to initialize storage: ${err.message}`, 500);
+        });
+    }
+    return initPromise;
+};
+
+/**
+ * Current schema version on disk
+ *
+ * @returns {Promise<{schemaVersion: number, latest: number}>}
+ */
+export const getSchemaInfo = async () => {
+    await initializeStorage();
+    const meta = await readMeta();
+    return { ...meta, latest: LATEST_SCHEMA_VERSION };
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Reads a collection
+ *
+ * JUNIOR DEV NOTE: Why return a copy?
+ * If we returned the cached object, a caller could mutate it and change
+ * what every other request sees without ever saving. structuredClone
+ * gives each caller its own copy.
+ *
+ * @param {string} name - Collection name (e.g. 'localTasks')
+ * @param {*} fallback - Value to return if the collection doesn't exist yet
+ * @returns {Promise<*>} A private copy of the collection
+ */
+export const readCollection = async (name, fallback) => {
+    assertValidName(name);
+    try {
+        await initializeStorage();
+        const value = await loadCollection(name);
+        return structuredClone(value === undefined ? fallback : value);
+    } catch (err) {
+        if (err instanceof AppError) throw err;
+        throw new AppError(`Failed to read ${name}: ${err.message}`, 500);
+    }
+};
+
+/**
+ * Atomically updates one or more collections
+ *
+ * HOW IT WORKS:
+ * 1. Wait for our turn in every involved collection's queue
+ *    (always in alphabetical order, so two transactions can't deadlock)
+ * 2. Give `mutator` private copies of the current values
+ * 3. If it throws, nothing is written
+ * 4. Otherwise write every collection atomically and update the cache
+ *
+ * @param {Object} fallbacks - { collectionName: defaultValue }
+ * @param {Function} mutator - (drafts) => result. Mutate drafts in place, or
+ *   assign a new value to drafts[name] to replace a collection wholesale.
+ * @returns {Promise<*>} Whatever `mutator` returned
+ *
+ * @example
+ * await transaction({ userStats: {}, xpLedger: [] }, (drafts) => {
+ *     drafts.userStats[userId].xp += 10;
+ *     drafts.xpLedger.push({ userId, amount: 10 });
+ * });
+ */
+export const transaction = async (fallbacks, mutator) => {
+    const names = Object.keys(fallbacks).sort();
+    names.forEach(assertValidName);
+    await initializeStorage();
+
+    const work = async () => {
+        const drafts = {};
+        const originals = {};
+        for (const name of names) {
+            const value = await loadCollection(name);
+            drafts[name] = structuredClone(value === undefined ? fallbacks[name] : value);
+            originals[name] = value === undefined ? undefined : JSON.stringify(value);
+        }
+
+        const result = await mutator(drafts);
+
+        // JUNIOR DEV NOTE: Each file write is atomic on its own. Writing all
+        // collections one after another inside the locks means no other
+        // request can observe (or clobber) the in-between state.
+        // Collections the mutator didn't change are skipped (saves SD card wear).
+        for (const name of names) {
+            if (JSON.stringify(drafts[name]) === originals[name]) continue;
+
+            await writeFileAtomic(collectionFile(name), drafts[name]);
+            cache.set(name, drafts[name]);
+        }
+
+        return structuredClone(result);
+    };
+
+    // Nest the queues: lock names[0], then inside it names[1], ...
+    const locked = names.reduceRight(
+        (inner, name) => () => enqueue(name, inner),
+        work
+    );
+
+    try {
+        return await locked();
+    } catch (err) {
+        if (err instanceof AppError) throw err;
+        throw new AppError(`Failed to update ${names.join(', ')}: ${err.message}`, 500);
+    }
+};
+
+/**
+ * Atomically updates a single collection
+ *
+ * @param {string} name - Collection name
+ * @param {*} fallback - Default value if the collection doesn't exist
+ * @param {Function} mutator - (draft) => result. Mutate the draft in place.
+ * @returns {Promise<*>} Whatever `mutator` returned
+ *
+ * @example
+ * const task = await updateCollection('localTasks', [], (tasks) => {
+ *     const task = tasks.find(t => t.id === taskId);
+ *     task.completed = true;
+ *     return task;
+ * });
+ */
+export const updateCollection = (name, fallback, mutator) => {
+    return transaction({ [name]: fallback }, (drafts) => mutator(drafts[name]));
+};
+
+/**
+ * Replaces a collection wholesale
+ *
+ * @param {string} name - Collection name
+ * @param {*} value - New value
+ * @returns {Promise<*>} The stored value
+ */
+export const writeCollection = (name, value) => {
+    return transaction({ [name]: null }, (drafts) => {
+        drafts[name] = value;
+        return value;
+    });
+};
+
+export default {
+    initializeStorage,
+    getSchemaInfo,
+    listCollections,
+    readCollection,
+    transaction,
+    updateCollection,
+    writeCollection
+};
@@ -0,0 +1,406 @@
+/**
+ * @fileoverview Streak Service - Daily chore streaks and milestone bonuses
+ * @module services/streakService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHAT IS A STREAK?
+ * The number of days in a row a kid finished ALL of their local tasks for
+ * that day. A day with nothing assigned (e.g. a weekly chore's off days)
+ * doesn't count and doesn't break the streak. A day that HAD tasks and
+ * wasn't finished resets the streak to 0.
+ *
+ * HOW IT'S TRACKED:
+ * We can't look back at old days (tasks only remember their LAST
+ * completion), so we record "perfect days" as they happen:
+ * - After every complete/uncomplete, applyTaskDay() checks today (inside
+ *   the completion's own transaction)
+ * - When stats are read, getStreak() looks for days that were missed
+ *   since the last perfect day (and applyTaskDay saves the reset later)
+ *
+ * WHAT COUNTS AS DONE:
+ * The history records (collection `taskHistory`), not just the task's
+ * last completion: a task with time windows needs EVERY window of the day
+ * done, and a task that needs a parent's OK only counts once it's approved
+ * (approving re-checks the day). Approve on the same day, or the day is
+ * missed like any other.
+ *
+ * Streak fields live on the user's stats entry (collection `userStats`):
+ *   streak, bestStreak, lastStreakDate ('YYYY-MM-DD'), streakHistory
+ *
+ * MILESTONES:
+ * Hitting 3, 7 or 30 days (configurable, collection `streakMilestones`)
+ * pays a bonus. Unchecking the task that completed the day takes the
+ * day - and its bonus - back, same as task XP.
+ */
+
+import { readCollection, writeCollection } from './storageService.js';
+import { isActiveOn, isAssignedOn } from './localTasksService.js';
+import { ensureUserStats, changeXP, changeGold, LEDGER_REASONS, STATS_FALLBACKS } from './statsService.js';
+import { toDateKey, parseDateKey, addDays } from '../utils/dateKeys.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Bonus paid when a streak reaches exactly `days`
+ */
+export const DEFAULT_MILESTONES = [
+    { days: 3, xp: 15, gold: 5 },
+    { days: 7, xp: 50, gold: 20 },
+    { days: 30, xp: 200, gold: 100 }
+];
+
+// Newest first; a season of daily entries is plenty for the UI
+const MAX_HISTORY_ENTRIES = 90;
+
+// The missed-day scan never walks back further than this
+const MAX_GAP_DAYS = 366;
+
+// ============================================================================
+// DAY HELPERS
+// ============================================================================
+
+/**
+ * Local date key of a user's last completion of a task, or null
+ *
+ * JUNIOR DEV NOTE: Shared tasks are completed per assignee (see
+ * getCompletions in localTasksService). Older tasks only have the one
+ * `completed` flag, which counted for everyone.
+ */
+const completedOn = (task, userId) => {
+    const at = task.completions
+        ? task.completions[String(userId)]
+        : task.completed && task.lastCompletedDate;
+    return at ? toDateKey(new Date(at)) : null;
+};
+
+/**
+ * The user's completions of a task on a day that count - approved ones
+ *
+ * JUNIOR DEV NOTE: Pending completions are still waiting on a parent and
+ * rejected ones were never done. Tasks without approval start 'approved'.
+ */
+const countedRecords = (history, task, userId, dayKey) => history.filter(record => record.taskId === task.id
+    && record.userId === String(userId)
+    && record.date === dayKey
+    && record.status === 'approved');
+
+/**
+ * Did the user finish this task on that day?
+ *
+ * JUNIOR DEV NOTE: A task with time windows is done when every window has
+ * a counted completion - the last completion alone only covers one round.
+ * Completions from before the history existed have no record; they count
+ * unless a parent still has to approve them.
+ *
+ * @param {Object} task
+ * @param {Array} history - taskHistory records
+ * @param {string} userId
+ * @param {string} dayKey - 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+const isDoneOn = (task, history, userId, dayKey) => {
+    const records = countedRecords(history, task, userId, dayKey);
+    const windows = task.isRecurring ? task.windows || [] : [];
+    if (windows.length > 0) {
+        return windows.every(window => records.some(record => record.windowId === window.id));
+    }
+
+    if (completedOn(task, userId) !== dayKey) return false;
+    return records.length > 0 || !task.requiresApproval;
+};
+
+/**
+ * Did this task count toward a user's day?
+ *
+ * JUNIOR DEV NOTE: Recurring tasks follow isActiveOn (the same rule the
+ * task list uses). A one-time task counts every day until the day it was
+ * finished - "do your science project" is on the list until it's done.
+ * Callers check isAssignedOn first, so a rotating chore only counts on
+ * the user's own turns.
+ *
+ * @param {Object} task
+ * @param {string} userId
+ * @param {Date} date
+ * @returns {boolean}
+ */
+const isRequiredOn = (task, userId, date) => {
+    const dayKey = toDateKey(date);
+
+    // Didn't exist yet
+    if (task.createdAt && toDateKey(new Date(task.createdAt)) > dayKey) return false;
+
+    if (task.isRecurring) return isActiveOn(task, date);
+
+    const doneKey = completedOn(task, userId);
+    return !doneKey || doneKey >= dayKey;
+};
+
+/**
+ * Did the user have something to do that day?
+ */
+const hadTasksOn = (tasks, userId, date) => {
+    return tasks.some(task => isAssignedOn(task, userId, date) && isRequiredOn(task, userId, date));
+};
+
+/**
+ * Is every task the user had today finished (and approved) today?
+ */
+const isPerfectDay = (tasks, history, userId, date) => {
+    const dayKey = toDateKey(date);
+    const required = tasks.filter(task => isAssignedOn(task, userId, date) && isRequiredOn(task, userId, date));
+
+    return required.length > 0
+        && required.every(task => isDoneOn(task, history, userId, dayKey));
+};
+
+/**
+ * First day after the last perfect day (and before today) that had tasks
+ *
+ * @returns {string|null} Date key of the missed day
+ */
+const findMissedDay = (tasks, userId, lastStreakDate, today) => {
+    const todayKey = toDateKey(today);
+    let day = addDays(parseDateKey(lastStreakDate), 1);
+
+    for (let i = 0; i < MAX_GAP_DAYS && toDateKey(day) < todayKey; i++) {
+        if (hadTasksOn(tasks, userId, day)) return toDateKey(day);
+        day = addDays(day, 1);
+    }
+
+    return null;
+};
+
+// ============================================================================
+// STATS HELPERS
+// ============================================================================
+
+/**
+ * Fills in streak fields on stats saved before streaks existed
+ */
+const ensureStreakFields = (stats) => {
+    stats.streak = stats.streak || 0;
+    stats.bestStreak = Math.max(stats.bestStreak || 0, stats.streak);
+    stats.lastStreakDate = stats.lastStreakDate || null;
+    stats.streakHistory = stats.streakHistory || [];
+    return stats;
+};
+
+const pushHistory = (stats, entry) => {
+    stats.streakHistory.unshift(entry);
+    stats.streakHistory.splice(MAX_HISTORY_ENTRIES);
+};
+
+/**
+ * Resets the streak if a day with tasks went unfinished
+ *
+ * @returns {boolean} True if the streak was reset
+ */
+const applyMissedDays = (stats, tasks, userId, today) => {
+    if (stats.streak === 0 || !stats.lastStreakDate) return false;
+
+    const missedDay = findMissedDay(tasks, userId, stats.lastStreakDate, today);
+    if (!missedDay) return false;
+
+    pushHistory(stats, { date: missedDay, type: 'reset', streak: 0, previous: stats.streak });
+    stats.streak = 0;
+    return true;
+};
+
+/**
+ * Next milestone above the current streak, or null
+ */
+const getNextMilestone = (milestones, streak) => {
+    return milestones.find(milestone => milestone.days > streak) || null;
+};
+
+/**
+ * What the API returns about a user's streak
+ */
+const toSummary = (stats, milestones, extra = {}) => ({
+    streak: stats.streak,
+    bestStreak: stats.bestStreak,
+    lastStreakDate: stats.lastStreakDate,
+    nextMilestone: getNextMilestone(milestones, stats.streak),
+    ...extra
+});
+
+/**
+ * Pays (direction 1) or takes back (direction -1) a milestone bonus,
+ * with matching ledger entries
+ *
+ * @returns {object} changeXP result - a bonus can level a kid up
+ */
+const applyBonus = (drafts, userId, bonus, dayKey, direction) => {
+    const source = {
+        reason: LEDGER_REASONS.STREAK_BONUS,
+        sourceId: `streak:${dayKey}`,
+        note: direction > 0
+            ? `${bonus.milestone}-day streak`
+            : `${bonus.milestone}-day streak (task unchecked)`
+    };
+
+    changeGold(drafts, userId, direction * bonus.gold, source);
+    return changeXP(drafts, userId, direction * bonus.xp, source);
+};
+
+const readMilestones = () => readCollection('streakMilestones', DEFAULT_MILESTONES);
+
+/**
+ * Collections applyTaskDay needs in its transaction, with fallbacks
+ */
+export const STREAK_FALLBACKS = {
+    ...STATS_FALLBACKS,
+    localTasks: [],
+    taskHistory: [],
+    streakMilestones: DEFAULT_MILESTONES
+};
+
+// ============================================================================
+// MAIN SERVICE FUNCTIONS
+// ============================================================================
+
+/**
+ * Re-checks today after a task was completed or uncompleted, inside a
+ * STREAK_FALLBACKS transaction
+ *
+ * WHAT IT DOES:
+ * 1. Resets the streak if a day was missed since the last perfect day
+ * 2. Today just became perfect → streak +1 (and a bonus at a milestone)
+ * 3. Today stopped being perfect (a task was unchecked) → undo step 2
+ *
+ * JUNIOR DEV NOTE: It reads drafts.localTasks, so run it in the same
+ * transaction that (un)completed the task - then it sees the change, and
+ * the task, its XP/Gold and the streak are saved together or not at all.
+ *
+ * @param {object} drafts - Transaction drafts (see STREAK_FALLBACKS)
+ * @param {string} userId - User ID
+ * @returns {object} Streak summary + { change, bonus, leveledUp, unlocks }
+ *   change is 'extended', 'revoked' or null
+ */
+export const applyTaskDay = (drafts, userId) => {
+    const stats = ensureStreakFields(ensureUserStats(drafts.userStats, userId));
+    const tasks = drafts.localTasks;
+    const milestones = drafts.streakMilestones;
+    const today = new Date();
+    const todayKey = toDateKey(today);
+
+    applyMissedDays(stats, tasks, userId, today);
+
+    const perfect = isPerfectDay(tasks, drafts.taskHistory, userId, today);
+    const recorded = stats.lastStreakDate === todayKey;
+
+    // 1. Today just became perfect
+    if (perfect && !recorded) {
+        const previous = {
+            streak: stats.streak,
+            bestStreak: stats.bestStreak,
+            lastStreakDate: stats.lastStreakDate
+        };
+
+        stats.streak += 1;
+        stats.bestStreak = Math.max(stats.bestStreak, stats.streak);
+        stats.lastStreakDate = todayKey;
+
+        const milestone = milestones.find(m => m.days === stats.streak);
+        const bonus = milestone
+            ? { milestone: milestone.days, xp: milestone.xp, gold: milestone.gold }
+            : null;
+
+        const levelResult = bonus
+            ? applyBonus(drafts, userId, bonus, todayKey, 1)
+            : { leveledUp: false, unlocks: [] };
+
+        pushHistory(stats, { date: todayKey, type: 'extended', streak: stats.streak, bonus, previous });
+
+        return toSummary(stats, milestones, {
+            change: 'extended',
+            bonus,
+            leveledUp: levelResult.leveledUp,
+            unlocks: levelResult.unlocks
+        });
+    }
+
+    // 2. A task was unchecked after the day was counted
+    if (!perfect && recorded) {
+        const index = stats.streakHistory.findIndex(e => e.date === todayKey && e.type === 'extended');
+        const entry = index === -1 ? null : stats.streakHistory[index];
+
+        if (entry) {
+            Object.assign(stats, entry.previous);
+            stats.streakHistory.splice(index, 1);
+        } else {
+            // History was trimmed - fall back to a plain step back
+            stats.streak = Math.max(0, stats.streak - 1);
+            stats.lastStreakDate = null;
+        }
+
+        const bonus = entry?.bonus || null;
+        if (bonus) {
+            applyBonus(drafts, userId, bonus, todayKey, -1);
+        }
+
+        return toSummary(stats, milestones, { change: 'revoked', bonus, leveledUp: false });
+    }
+
+    return toSummary(stats, milestones, { change: null, bonus: null, leveledUp: false });
+};
+
+/**
+ * A user's streak as of today, for showing
+ *
+ * JUNIOR DEV NOTE: If a kid skips their chores on Tuesday and nobody taps
+ * anything until Thursday, nothing ran on Wednesday to reset the streak.
+ * So we check for missed days here, on a COPY - looking is a GET and must
+ * not write. The stored streak catches up the next time applyTaskDay runs
+ * (it makes the same check first).
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Streak summary + { streakHistory }
+ */
+export const getStreak = async (userId) => {
+    const [allStats, tasks, milestones] = await Promise.all([
+        readCollection('userStats', {}),
+        readCollection('localTasks', []),
+        readMilestones()
+    ]);
+
+    const stats = ensureStreakFields(structuredClone(allStats[userId] || {}));
+    applyMissedDays(stats, tasks, userId, new Date());
+
+    return toSummary(stats, milestones, { streakHistory: stats.streakHistory });
+};
+
+/**
+ * Gets the milestone bonus table
+ *
+ * @returns {Promise<Array>} [{ days, xp, gold }] sorted by days
+ */
+export const getMilestones = async () => {
+    return readMilestones();
+};
+
+/**
+ * Replaces the milestone bonus table (parent action)
+ *
+ * @param {Array} milestones - [{ days, xp, gold }]
+ * @returns {Promise<Array>} The saved table, sorted by days
+ */
+export const setMilestones = async (milestones) => {
+    // One bonus per day count - the last one wins
+    const byDays = new Map(milestones.map(m => [m.days, { days: m.days, xp: m.xp, gold: m.gold }]));
+    const sorted = [...byDays.values()].sort((a, b) => a.days - b.days);
+
+    return writeCollection('streakMilestones', sorted);
+};
+
+export default {
+    DEFAULT_MILESTONES,
+    STREAK_FALLBACKS,
+    applyTaskDay,
+    getStreak,
+    getMilestones,
+    setMilestones
+};
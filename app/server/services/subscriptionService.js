@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Subscription Service - ICS/iCal calendar feeds
+ * @module services/subscriptionService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS EXISTS:
+ * School districts, sports leagues and holiday calendars are published
+ * only as `.ics` URLs - no Google account involved. The kiosk subscribes
+ * to them itself and shows them next to everyone's Google calendars.
+ *
+ * TWO COLLECTIONS:
+ * - calendarSubscriptions: [{ id, name, url, colorId, enabled, refreshMinutes,
+ *                             lastFetchedAt, lastError, eventCount }]
+ * - subscriptionEvents:    { [subscriptionId]: [Google-shaped events] }
+ *
+ * CACHING:
+ * A feed is downloaded when it's added, then again every `refreshMinutes`
+ * by the scheduler (startSubscriptionScheduler). Reads only ever use the
+ * cached copy, so a slow school website never slows the calendar, and the
+ * last good copy keeps showing when the internet is down. A failed refresh
+ * records `lastError` and leaves the cache alone.
+ */
+
+import { readCollection, updateCollection, transaction } from './storageService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { parseIcs } from '../utils/icsParser.js';
+import { expandEvent, getEventBounds } from '../utils/recurrence.js';
+import AppError from '../utils/AppError.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const DEFAULT_REFRESH_MINUTES = 6 * 60;
+
+// Graphite - reads as "someone else's calendar" next to family colours
+const DEFAULT_COLOR_ID = '8';
+
+// How often the scheduler looks for feeds that are due
+const SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+
+// School websites can be slow, but a hung request shouldn't block refreshes forever
+const FETCH_TIMEOUT_MS = 20 * 1000;
+
+// A decade of school events is well under this
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+const FALLBACKS = { calendarSubscriptions: [], subscriptionEvents: {} };
+
+// ============================================================================
+// FEED HELPERS
+// ============================================================================
+
+/**
+ * Reads a response body, giving up as soon as it passes MAX_FEED_BYTES
+ *
+ * JUNIOR DEV NOTE: response.text() would happily buffer a 2 GB "feed"
+ * before we got to look at its size. Content-Length catches honest
+ * servers up front; counting the chunks catches everyone else.
+ *
+ * @param {Response} response - fetch() response
+ * @returns {Promise<string>} The body as text
+ * @throws {Error} If the body is larger than MAX_FEED_BYTES
+ */
+const readLimitedText = async (response) => {
+    if (Number(response.headers.get('content-length')) > MAX_FEED_BYTES) {
+        throw new Error('Feed is too large');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = 0;
+    let text = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        received += value.byteLength;
+        if (received > MAX_FEED_BYTES) {
+            await reader.cancel();
+            throw new Error('Feed is too large');
+        }
+        text += decoder.decode(value, { stream: true });
+    }
+    return text + decoder.decode();
+};
+
+/**
+ * Downloads and parses a feed
+ *
+ * JUNIOR DEV NOTE: `webcal://` is just "https:// that calendar apps
+ * should open" - fetch doesn't know it, so we swap it.
+ *
+ * @param {string} url - Feed URL (http, https or webcal)
+ * @param {string} subscriptionId - Prefix for event ids
+ * @returns {Promise<object>} { name, events }
+ * @throws {Error} If the download fails or isn't an .ics file
+ */
+const loadFeed = async (url, subscriptionId) => {
+    const response = await fetch(url.replace(/^webcal:\/\//i, 'https://'), {
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        headers: { Accept: 'text/calendar, */*' }
+    });
+    if (!response.ok) {
+        throw new Error(`Feed returned HTTP ${response.status}`);
+    }
+
+    return parseIcs(await readLimitedText(response), subscriptionId);
+};
+
+// ============================================================================
+// MAIN SERVICE FUNCTIONS
+// ============================================================================
+
+/**
+ * Every subscription, with its refresh status
+ *
+ * @returns {Promise<Array>}
+ */
+export const getSubscriptions = async () => {
+    return readCollection('calendarSubscriptions', []);
+};
+
+/**
+ * Subscribes to a feed
+ *
+ * The feed is downloaded right away, so a typo'd URL fails here instead of
+ * quietly showing nothing.
+ *
+ * @param {object} data - { url, name?, colorId?, refreshMinutes? }
+ * @returns {Promise<object>} The new subscription
+ * @throws {AppError} 400 if the feed can't be loaded
+ */
+export const createSubscription = async ({ url, name, colorId, refreshMinutes }) => {
+    const id = `ics-${uuidv4().slice(0, 8)}`;
+
+    let feed;
+    try {
+        feed = await loadFeed(url, id);
+    } catch (err) {
+        throw new AppError(`Couldn't load that calendar: ${err.message}`, 400);
+    }
+
+    const subscription = {
+        id,
+        name: name || feed.name || 'Subscribed calendar',
+        url,
+        colorId: colorId || DEFAULT_COLOR_ID,
+        enabled: true,
+        refreshMinutes: refreshMinutes || DEFAULT_REFRESH_MINUTES,
+        createdAt: new Date().toISOString(),
+        lastFetchedAt: new Date().toISOString(),
+        lastError: null,
+        eventCount: feed.events.length
+    };
+
+    return transaction(FALLBACKS, (drafts) => {
+        drafts.calendarSubscriptions.push(subscription);
+        drafts.subscriptionEvents[id] = feed.events;
+        return subscription;
+    });
+};
+
+/**
+ * Changes a subscription's settings (not its URL - subscribe again for that)
+ *
+ * @param {string} id - Subscription ID
+ * @param {object} updates - { name?, colorId?, enabled?, refreshMinutes? }
+ * @returns {Promise<object|null>} The updated subscription, or null if not found
+ */
+export const updateSubscription = async (id, updates) => {
+    return updateCollection('calendarSubscriptions', [], (subscriptions) => {
+        const subscription = subscriptions.find(s => s.id === id);
+        if (!subscription) return null;
+
+        for (const field of ['name', 'colorId', 'enabled', 'refreshMinutes']) {
+            if (updates[field] !== undefined) subscription[field] = updates[field];
+        }
+        return subscription;
+    });
+};
+
+/**
+ * Unsubscribes (and drops the cached events)
+ *
+ * @param {string} id - Subscription ID
+ * @returns {Promise<boolean>} True if removed
+ */
+export const deleteSubscription = async (id) => {
+    return transaction(FALLBACKS, (drafts) => {
+        const index = drafts.calendarSubscriptions.findIndex(s => s.id === id);
+        if (index === -1) return false;
+
+        drafts.calendarSubscriptions.splice(index, 1);
+        delete drafts.subscriptionEvents[id];
+        return true;
+    });
+};
+
+/**
+ * Downloads a feed again and replaces its cached events
+ *
+ * JUNIOR DEV NOTE: The download happens OUTSIDE the transaction - holding
+ * the storage locks for 20 seconds of network would stall every save.
+ *
+ * @param {string} id - Subscription ID
+ * @returns {Promise<object|null>} The subscription (check `lastError`), or null if not found
+ */
+export const refreshSubscription = async (id) => {
+    const subscription = (await getSubscriptions()).find(s => s.id === id);
+    if (!subscription) return null;
+
+    let feed = null;
+    let error = null;
+    try {
+        feed = await loadFeed(subscription.url, id);
+    } catch (err) {
+        error = err.message;
+    }
+
+    return transaction(FALLBACKS, (drafts) => {
+        // It may have been deleted while we were downloading
+        const current = drafts.calendarSubscriptions.find(s => s.id === id);
+        if (!current) return null;
+
+        current.lastFetchedAt = new Date().toISOString();
+        current.lastError = error;
+        if (feed) {
+            current.eventCount = feed.events.length;
+            drafts.subscriptionEvents[id] = feed.events;
+        }
+        return current;
+    });
+};
+
+/**
+ * Refreshes every subscription whose cache is older than its refreshMinutes
+ *
+ * One at a time - the kiosk has one small CPU and no hurry.
+ *
+ * @returns {Promise<number>} How many were refreshed
+ */
+export const refreshDueSubscriptions = async () => {
+    const now = Date.now();
+    const due = (await getSubscriptions()).filter(subscription => {
+        const age = now - new Date(subscription.lastFetchedAt || 0).getTime();
+        return age >= subscription.refreshMinutes * 60 * 1000;
+    });
+
+    for (const subscription of due) {
+        const refreshed = await refreshSubscription(subscription.id);
+        if (refreshed?.lastError) {
+            console.warn(`[Subscriptions] ${subscription.name}: ${refreshed.lastError}`);
+        }
+    }
+
+    return due.length;
+};
+
+/**
+ * Event instances from enabled subscriptions overlapping a date range
+ *
+ * Each instance is tagged with its subscription, so the client can label
+ * and colour it.
+ *
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Promise<Array>} Google-shaped instances, earliest first
+ */
+export const getSubscriptionEvents = async (from, to) => {
+    const [subscriptions, cache] = await Promise.all([
+        getSubscriptions(),
+        readCollection('subscriptionEvents', {})
+    ]);
+
+    return subscriptions
+        .filter(subscription => subscription.enabled)
+        .flatMap(subscription => (cache[subscription.id] || [])
+            .flatMap(event => expandEvent(event, from, to))
+            .map(instance => ({
+                ...instance,
+                colorId: subscription.colorId,
+                subscriptionId: subscription.id,
+                calendarName: subscription.name
+            })))
+        .sort((a, b) => getEventBounds(a).start - getEventBounds(b).start);
+};
+
+/**
+ * Starts the background refresh loop
+ *
+ * JUNIOR DEV NOTE: `unref()` lets the process exit normally (tests, Ctrl-C)
+ * even though this timer runs forever.
+ *
+ * @returns {object} The interval timer
+ */
+export const startSubscriptionScheduler = () => {
+    const run = () => refreshDueSubscriptions()
+        .catch(err => console.error('[Subscriptions]', err.message));
+
+    setTimeout(run, 30 * 1000).unref();
+    const timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+export default {
+    DEFAULT_REFRESH_MINUTES,
+    getSubscriptions,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    refreshSubscription,
+    refreshDueSubscriptions,
+    getSubscriptionEvents,
+    startSubscriptionScheduler
+};
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Sync Service - revisioned namespaces for SyncContext
+ * @module services/syncService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS EXISTS:
+ * The browser's SyncContext used to POST its whole snapshot to /api/data,
+ * which replaced everything on the server - including tasks, XP and
+ * rewards it knew nothing about. Now the browser can only PATCH the
+ * namespaces it owns (users, selectedCalendars).
+ *
+ * REVISIONS (Optimistic Concurrency Control):
+ * Every namespace has a revision number that goes up by one on each write.
+ * A PATCH must say which revision it was based on (`baseRevision`). If
+ * another kiosk saved in the meantime, the numbers won't match and we
+ * answer with a conflict instead of overwriting their change.
+ */
+
+import { transaction } from './storageService.js';
+import { PIN_FALLBACKS, applyParentProfileChanges } from './parentSessionService.js';
+
+/**
+ * Namespaces the SyncContext may read and write, with their defaults
+ *
+ * JUNIOR DEV NOTE: Each namespace is stored as its own collection, under
+ * the same name data.json used, so existing installs keep their data.
+ */
+export const SYNC_NAMESPACES = {
+    users: [],
+    selectedCalendars: {}
+};
+
+const REVISIONS_COLLECTION = 'syncRevisions';
+
+/**
+ * Every collection a sync transaction touches
+ */
+const syncCollections = () => ({ ...PIN_FALLBACKS, ...SYNC_NAMESPACES, [REVISIONS_COLLECTION]: {} });
+
+/**
+ * Shapes the drafts into { namespace: { data, revision } }
+ */
+const toNamespaceState = (drafts) => {
+    const state = {};
+    for (const name of Object.keys(SYNC_NAMESPACES)) {
+        state[name] = {
+            data: drafts[name],
+            revision: drafts[REVISIONS_COLLECTION][name] || 0
+        };
+    }
+    return state;
+};
+
+/**
+ * Gets every sync namespace with its current revision
+ *
+ * JUNIOR DEV NOTE: Why a transaction for a read?
+ * Reading the namespaces and the revisions inside the same locks
+ * guarantees the revision numbers match the data we return.
+ *
+ * @returns {Promise<Object>} { users: { data, revision }, selectedCalendars: { data, revision } }
+ */
+export const getSyncState = async () => {
+    return transaction(syncCollections(), toNamespaceState);
+};
+
+/**
+ * Applies a patch to one or more namespaces
+ *
+ * HOW IT WORKS:
+ * 1. Check every patched namespace's baseRevision against the server
+ * 2. If ANY is stale, change nothing and report the conflicts
+ * 3. Adding or removing parents needs a parent session (see applyParentProfileChanges)
+ * 4. Otherwise replace each patched namespace and bump its revision
+ *
+ * @param {Object} patch - { users?: { data, baseRevision }, selectedCalendars?: {...} }
+ * @param {{userId: string|null}|null} [session] - The caller's parent session, if any
+ * @returns {Promise<{conflicts: string[], namespaces: Object}>}
+ * @throws {AppError} 401/403 when adding or removing a parent isn't allowed
+ */
+export const patchSyncState = async (patch, session = null) => {
+    return transaction(syncCollections(), (drafts) => {
+        const revisions = drafts[REVISIONS_COLLECTION];
+        const names = Object.keys(patch).filter(name => name in SYNC_NAMESPACES);
+
+        // 1. Detect conflicts BEFORE changing anything (all or nothing)
+        const conflicts = names.filter(name => (revisions[name] || 0) !== patch[name].baseRevision);
+
+        if (conflicts.length === 0) {
+            // 2. Profile changes that decide who may have a PIN (drops orphaned PINs)
+            if (patch.users) {
+                applyParentProfileChanges(drafts, patch.users.data, session);
+            }
+
+            // 3. Apply changes and bump revisions
+            for (const name of names) {
+                drafts[name] = patch[name].data;
+                revisions[name] = (revisions[name] || 0) + 1;
+            }
+        }
+
+        return { conflicts, namespaces: toNamespaceState(drafts) };
+    });
+};
+
+export default {
+    SYNC_NAMESPACES,
+    getSyncState,
+    patchSyncState
+};
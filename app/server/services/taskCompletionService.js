@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Task Completion Service - ticking a chore and everything it pays
+ * @module services/taskCompletionService
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Ticking a chore changes a lot: the task, its history record, the XP and
+ * Gold (with ledger entries), today's streak (maybe with a bonus) and the
+ * achievements. These used to be separate transactions one after another,
+ * so a crash between them could leave a chore ticked but unpaid - or paid
+ * but without its streak. Now it's ONE transaction: all of it is saved,
+ * or none of it. (Same idea as statsService.redeemReward.)
+ *
+ * WHY NOT IN localTasksService?
+ * streakService already imports localTasksService (it needs isActiveOn),
+ * so localTasksService can't import streakService back. This service sits
+ * on top of both.
+ */
+
+import { transaction } from './storageService.js';
+import {
+    TASK_FALLBACKS,
+    getAssignees,
+    markCompleted,
+    markUncompleted,
+    markApproved,
+    markRejected
+} from './localTasksService.js';
+import { changeXP, changeGold, LEDGER_REASONS } from './statsService.js';
+import { STREAK_FALLBACKS, applyTaskDay } from './streakService.js';
+import { ACHIEVEMENT_FALLBACKS, awardAchievements } from './achievementService.js';
+
+/**
+ * Every collection a completion can touch
+ */
+const FALLBACKS = { ...TASK_FALLBACKS, ...STREAK_FALLBACKS, ...ACHIEVEMENT_FALLBACKS };
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Pays (sign 1) or takes back (sign -1) XP and Gold for a task
+ *
+ * 1. Change each payout's XP and Gold
+ * 2. The ledger points back at the task
+ * 3. Remember who levelled up (and what it unlocked) for the UI
+ *
+ * @param {object} drafts - Transaction drafts
+ * @param {Array} payouts - [{ userId, xp, gold }]
+ * @param {object} source - Ledger details { reason, sourceId, note }
+ * @param {number} [sign] - 1 to pay, -1 to take back
+ * @returns {object} { [userId]: { level, unlocks } } for anyone who levelled up
+ */
+const payOut = (drafts, payouts, source, sign = 1) => {
+    const levelUps = {};
+
+    for (const { userId, xp, gold } of payouts) {
+        if (xp > 0) {
+            const { stats, leveledUp, unlocks } = changeXP(drafts, userId, sign * xp, source);
+            if (leveledUp) {
+                levelUps[userId] = { level: stats.level, unlocks };
+            }
+        }
+        if (gold > 0) {
+            changeGold(drafts, userId, sign * gold, source);
+        }
+    }
+
+    return levelUps;
+};
+
+/**
+ * Re-checks today's streak for everyone on a task
+ *
+ * JUNIOR DEV NOTE: Finishing (or unchecking) one chore can complete or
+ * break each assignee's whole day, so every assignee gets checked.
+ *
+ * @returns {object} { [userId]: streak summary }
+ */
+const updateStreaks = (drafts, task) => Object.fromEntries(getAssignees(task)
+    .map(userId => [userId, applyTaskDay(drafts, String(userId))]));
+
+/**
+ * Awards any achievements the task (and its streak) just earned
+ *
+ * @returns {object} { [userId]: newly earned achievements }
+ */
+const updateAchievements = (drafts, task) => Object.fromEntries(getAssignees(task)
+    .map(userId => [userId, awardAchievements(drafts, String(userId))]));
+
+const taskSource = (id, note) => ({ reason: LEDGER_REASONS.TASK, sourceId: id, note });
+
+// ============================================================================
+// MAIN SERVICE FUNCTIONS
+// ============================================================================
+
+/**
+ * Completes one assignee's copy of a task and pays for it
+ *
+ * Pays whoever markCompleted says earned something (just the completer,
+ * the whole team when its last member finishes, or - for a task that
+ * needs a parent's OK - nobody yet).
+ *
+ * @param {string} taskId - Task ID
+ * @param {string|number} [userId] - Who finished it
+ * @returns {Promise<object|null>} markCompleted's result + { levelUps, streaks,
+ *   achievements }, or null if there's no such task
+ * @throws {AppError} 400 (see markCompleted)
+ */
+export const completeTask = async (taskId, userId) => {
+    return transaction(FALLBACKS, (drafts) => {
+        const result = markCompleted(drafts, taskId, userId);
+        if (!result) return null;
+
+        const { task, payouts } = result;
+        result.levelUps = payOut(drafts, payouts, taskSource(task.id, task.title));
+        result.streaks = updateStreaks(drafts, task);
+        result.achievements = updateAchievements(drafts, task);
+        return result;
+    });
+};
+
+/**
+ * Reopens one assignee's copy of a task and takes back what it paid
+ * (from everyone, if a finished team task reopened)
+ *
+ * @param {string} taskId - Task ID
+ * @param {string|number} [userId] - Whose copy
+ * @returns {Promise<object|null>} markUncompleted's result + { streaks },
+ *   or null if there's no such task
+ * @throws {AppError} 400 (see markUncompleted)
+ */
+export const uncompleteTask = async (taskId, userId) => {
+    return transaction(FALLBACKS, (drafts) => {
+        const result = markUncompleted(drafts, taskId, userId);
+        if (!result) return null;
+
+        const { task, revokes } = result;
+        payOut(drafts, revokes, taskSource(task.id, `${task.title} (unchecked)`), -1);
+        result.streaks = updateStreaks(drafts, task);
+        return result;
+    });
+};
+
+/**
+ * A parent approves a completion - it pays now, and counts toward
+ * today's streak
+ *
+ * @param {string} occurrenceId - History record ID
+ * @param {string|null} parentId - Who approved it
+ * @returns {Promise<object>} markApproved's result + { levelUps, achievements }
+ *   (+ { streaks } if the task still exists)
+ * @throws {AppError} 404 / 409 (see markApproved)
+ */
+export const approveOccurrence = async (occurrenceId, parentId) => {
+    return transaction(FALLBACKS, (drafts) => {
+        const result = markApproved(drafts, occurrenceId, parentId);
+        const { occurrence, task, payouts } = result;
+
+        // The task may have been deleted since; the record still has its title
+        result.levelUps = payOut(drafts, payouts, taskSource(occurrence.taskId, occurrence.title));
+        if (task) {
+            result.streaks = updateStreaks(drafts, task);
+        }
+        result.achievements = task ? updateAchievements(drafts, task) : {};
+        return result;
+    });
+};
+
+/**
+ * A parent rejects a completion - nothing is paid, and it no longer
+ * counts toward today's streak
+ *
+ * @param {string} occurrenceId - History record ID
+ * @param {string|null} parentId - Who rejected it
+ * @param {string} [note] - Why (the child sees it)
+ * @returns {Promise<object>} markRejected's result (+ { streaks } if the task still exists)
+ * @throws {AppError} 404 / 409 (see markRejected)
+ */
+export const rejectOccurrence = async (occurrenceId, parentId, note) => {
+    return transaction(FALLBACKS, (drafts) => {
+        const result = markRejected(drafts, occurrenceId, parentId, note);
+        if (result.task) {
+            result.streaks = updateStreaks(drafts, result.task);
+        }
+        return result;
+    });
+};
+
+export default {
+    completeTask,
+    uncompleteTask,
+    approveOccurrence,
+    rejectOccurrence
+};
@@ -0,0 +1,47 @@
+/**
+ * dateKeys.js
+ *
+ * * SENIOR MENTOR NOTE:
+ * Anything "per day" on the server (sleep nights, chore streaks) is keyed
+ * by the kiosk's LOCAL calendar date as a 'YYYY-MM-DD' string. Strings
+ * compare and sort correctly, survive JSON, and can't drift by a time zone
+ * the way a stored Date can.
+ */
+
+/**
+ * Local date key (YYYY-MM-DD)
+ *
+ * JUNIOR DEV NOTE: toISOString() would give the UTC date, which is
+ * "tomorrow" for an 8pm bedtime in most of the Americas.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateKey = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Local midnight of a date key
+ *
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {Date}
+ */
+export const parseDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Calendar-day arithmetic (DST-safe, unlike adding 24h of milliseconds)
+ *
+ * @param {Date} date
+ * @param {number} days - May be negative
+ * @returns {Date} A new Date
+ */
+export const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
@@ -0,0 +1,301 @@
+/**
+ * icsParser.js
+ *
+ * * SENIOR MENTOR NOTE:
+ * School districts, sports leagues and holiday calendars publish `.ics`
+ * (iCalendar, RFC 5545) files. This turns one into Google-shaped events -
+ * the same shape our local calendar stores - so utils/recurrence.js can
+ * expand them and the client's transformGoogleEvent can display them.
+ *
+ * WHAT WE READ:
+ * VEVENT blocks: UID, SUMMARY, DESCRIPTION, LOCATION, DTSTART, DTEND or
+ * DURATION, RRULE, EXDATE, RECURRENCE-ID, STATUS, and VALARM triggers.
+ * Everything else (VTODO, VTIMEZONE, X- properties) is skipped.
+ *
+ * THE FORMAT IN 30 SECONDS:
+ *   BEGIN:VEVENT
+ *   DTSTART;TZID=America/Chicago:20250113T090000   <- NAME;PARAMS:VALUE
+ *   SUMMARY:Science fair\, gym                     <- commas are escaped
+ *    continues here                                <- leading space = same line
+ *   END:VEVENT
+ */
+
+import { createHash } from 'crypto';
+import { toDateKey } from './dateKeys.js';
+
+// ============================================================================
+// LINE HELPERS
+// ============================================================================
+
+/**
+ * Joins folded lines and splits into content lines
+ *
+ * JUNIOR DEV NOTE: RFC 5545 wraps long lines at 75 characters; a line
+ * that starts with a space or tab continues the previous one.
+ */
+const unfoldLines = (text) => text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+
+/**
+ * 'DTSTART;TZID="America/Chicago":20250113T090000' ->
+ * { name: 'DTSTART', params: { TZID: 'America/Chicago' }, value: '20250113T090000' }
+ *
+ * The first colon OUTSIDE quotes ends the params (values may contain colons).
+ */
+const parseLine = (line) => {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Undoes text escaping: \n, \, \; \\
+ */
+const unescapeText = (value) => value.replace(/\\([nN,;\\])/g, (match, char) => (
+    char === 'n' || char === 'N' ? '\n' : char
+));
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+/**
+ * How far `timeZone` is ahead of UTC at a moment, in ms
+ */
+const zoneOffset = (time, timeZone) => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(p => [p.type, p.value]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+};
+
+/**
+ * A wall-clock time in a named zone, as a real moment
+ *
+ * JUNIOR DEV NOTE: No time zone library on the server - Intl knows every
+ * IANA zone, so we guess, measure the zone's offset, and correct (twice,
+ * in case the guess landed on the other side of a DST change). Feeds
+ * using Windows zone names ("Eastern Standard Time") fall back to the
+ * kiosk's own zone.
+ */
+const zonedTime = (year, month, day, hours, minutes, seconds, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    try {
+        let time = wallClock - zoneOffset(wallClock, timeZone);
+        time = wallClock - zoneOffset(time, timeZone);
+        return new Date(time);
+    } catch {
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+};
+
+/**
+ * An ICS date or date-time to Google's { date } or { dateTime }
+ *
+ * @param {string} value - '20250113', '20250113T090000Z' or '20250113T090000'
+ * @param {object} params - Line params (VALUE, TZID)
+ * @returns {object|null} { date: 'YYYY-MM-DD' } or { dateTime: ISO }
+ */
+const parseIcsDate = (value, params = {}) => {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (params.VALUE === 'DATE' || hours === undefined) {
+        return { date: `${year}-${month}-${day}` };
+    }
+
+    const parts = [year, month, day, hours, minutes, seconds].map(Number);
+    let date;
+    if (utc) date = new Date(Date.UTC(parts[0], parts[1] - 1, ...parts.slice(2)));
+    else if (params.TZID) date = zonedTime(...parts, params.TZID);
+    else date = new Date(parts[0], parts[1] - 1, ...parts.slice(2));
+
+    return { dateTime: date.toISOString() };
+};
+
+/**
+ * An ICS duration ('PT1H30M', 'P1D', '-PT15M') in minutes
+ */
+const parseDurationMinutes = (value) => {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes] = match;
+    const total = (Number(weeks) || 0) * 10080 + (Number(days) || 0) * 1440 +
+        (Number(hours) || 0) * 60 + (Number(minutes) || 0);
+    return sign === '-' ? -total : total;
+};
+
+/**
+ * Adds minutes to a Google-shaped time (whole days for all-day events)
+ */
+const addMinutes = (time, minutes) => {
+    if (time.date) {
+        const [year, month, day] = time.date.split('-').map(Number);
+        return { date: toDateKey(new Date(year, month - 1, day + Math.round(minutes / 1440))) };
+    }
+    return { dateTime: new Date(new Date(time.dateTime).getTime() + minutes * 60 * 1000).toISOString() };
+};
+
+/**
+ * A Google-shaped time as a compact EXDATE value
+ */
+const toExdateValue = (time) => time.date
+    ? time.date.replace(/-/g, '')
+    : time.dateTime.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// ============================================================================
+// VEVENT
+// ============================================================================
+
+/**
+ * Stable, URL-safe id from a feed id and the event's UID
+ *
+ * JUNIOR DEV NOTE: UIDs are often emails or long URLs. Hashing keeps ids
+ * short and the SAME across refreshes, so the client's caches and React
+ * keys don't churn.
+ */
+const eventId = (feedId, uid, recurrenceId) => `${feedId}-${createHash('sha1')
+    .update(`${uid}|${recurrenceId || ''}`)
+    .digest('hex')
+    .slice(0, 16)}`;
+
+/**
+ * Collected VEVENT properties to a Google-shaped event
+ *
+ * @returns {object|null} { event, uid, recurrenceOf } - recurrenceOf is the
+ *   original start of a moved occurrence of a repeating event
+ */
+const toGoogleEvent = (props, alarms, feedId, index) => {
+    const start = props.DTSTART && parseIcsDate(props.DTSTART.value, props.DTSTART.params);
+    if (!start) return null;
+
+    let end = props.DTEND && parseIcsDate(props.DTEND.value, props.DTEND.params);
+    if (!end && props.DURATION) {
+        end = addMinutes(start, parseDurationMinutes(props.DURATION.value) || 0);
+    }
+
+    const recurrence = [];
+    if (props.RRULE) recurrence.push(`RRULE:${props.RRULE.value}`);
+    for (const exdate of props.EXDATE || []) {
+        const values = exdate.value.split(',')
+            .map(value => parseIcsDate(value, exdate.params))
+            .filter(Boolean)
+            .map(toExdateValue);
+        if (!values.length) continue;
+        recurrence.push(values[0].length === 8 ? `EXDATE;VALUE=DATE:${values.join(',')}` : `EXDATE:${values.join(',')}`);
+    }
+
+    const uid = props.UID?.value || `event-${index}`;
+    const recurrenceId = props['RECURRENCE-ID'] && parseIcsDate(props['RECURRENCE-ID'].value, props['RECURRENCE-ID'].params);
+
+    const event = {
+        id: eventId(feedId, uid, props['RECURRENCE-ID']?.value),
+        summary: props.SUMMARY ? unescapeText(props.SUMMARY.value) : '(No title)',
+        description: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : '',
+        location: props.LOCATION ? unescapeText(props.LOCATION.value) : '',
+        start,
+        end: end || start,
+        recurrence: props.RRULE ? recurrence : null,
+        reminders: alarms.length
+            ? { useDefault: false, overrides: alarms.map(minutes => ({ method: 'popup', minutes })) }
+            : { useDefault: false, overrides: [] }
+    };
+
+    return { event, uid, recurrenceOf: recurrenceId };
+};
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Parses an iCalendar file into Google-shaped events
+ *
+ * JUNIOR DEV NOTE: A changed occurrence of a repeating event arrives as a
+ * SEPARATE VEVENT with the same UID plus a RECURRENCE-ID (the original
+ * start). We show it as a one-off event and add its original start to
+ * the series' EXDATEs, so the old time doesn't show up as well.
+ *
+ * @param {string} text - The .ics file contents
+ * @param {string} feedId - Prefix for event ids (the subscription id)
+ * @returns {object} { name, events }
+ *   name is the feed's X-WR-CALNAME (or null)
+ * @throws {Error} If the text isn't an iCalendar file
+ */
+export const parseIcs = (text, feedId) => {
+    const lines = unfoldLines(text);
+    if (!lines[0]?.toUpperCase().startsWith('BEGIN:VCALENDAR')) {
+        throw new Error('Not an iCalendar (.ics) file');
+    }
+
+    let name = null;
+    const parsedEvents = [];
+    let props = null;
+    let alarms = [];
+    let inAlarm = false;
+
+    for (const line of lines) {
+        const parsed = parseLine(line);
+        if (!parsed) continue;
+        const { name: prop, value } = parsed;
+
+        if (prop === 'X-WR-CALNAME' && !props) name = unescapeText(value);
+        else if (prop === 'BEGIN' && value === 'VEVENT') { props = {}; alarms = []; }
+        else if (prop === 'BEGIN' && value === 'VALARM' && props) inAlarm = true;
+        else if (prop === 'END' && value === 'VALARM') inAlarm = false;
+        else if (prop === 'END' && value === 'VEVENT' && props) {
+            if (props.STATUS?.value !== 'CANCELLED') {
+                const parsedEvent = toGoogleEvent(props, alarms, feedId, parsedEvents.length);
+                if (parsedEvent) parsedEvents.push(parsedEvent);
+            }
+            props = null;
+        } else if (inAlarm) {
+            // Only "before the start" triggers make sense as reminders
+            const minutes = prop === 'TRIGGER' && parsed.params.VALUE !== 'DATE-TIME' ? parseDurationMinutes(value) : null;
+            if (minutes !== null && minutes <= 0) alarms.push(-minutes);
+        } else if (props) {
+            // EXDATE may appear many times; everything else once
+            if (prop === 'EXDATE') props.EXDATE = [...(props.EXDATE || []), parsed];
+            else props[prop] = parsed;
+        }
+    }
+
+    // Hide the original time of every moved occurrence
+    for (const moved of parsedEvents.filter(parsed => parsed.recurrenceOf)) {
+        const series = parsedEvents.find(parsed => parsed.uid === moved.uid && parsed.event.recurrence);
+        if (!series) continue;
+
+        const value = toExdateValue(moved.recurrenceOf);
+        series.event.recurrence.push(value.length === 8 ? `EXDATE;VALUE=DATE:${value}` : `EXDATE:${value}`);
+    }
+
+    return {
+        name,
+        events: parsedEvents.map(parsed => parsed.event)
+    };
+};
+
+export default { parseIcs };
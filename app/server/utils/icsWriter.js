@@ -0,0 +1,136 @@
+/**
+ * icsWriter.js
+ *
+ * * SENIOR MENTOR NOTE:
+ * The twin of icsParser.js: Google-shaped events in, an iCalendar
+ * (RFC 5545) file out. Phones subscribe to the result, so it has to be
+ * strict - CRLF line endings, escaped text, and lines folded at 75 bytes.
+ *
+ * WHAT WE WRITE:
+ * UID, DTSTAMP, DTSTART/DTEND (UTC, or VALUE=DATE for all-day), SUMMARY,
+ * DESCRIPTION, LOCATION, RRULE/EXDATE (already in ICS syntax in our
+ * `recurrence` arrays) and one VALARM per reminder.
+ */
+
+import { Buffer } from 'buffer';
+
+// RFC 5545: lines SHOULD NOT be longer than 75 octets, excluding the CRLF
+const MAX_LINE_BYTES = 75;
+
+// ============================================================================
+// VALUE HELPERS
+// ============================================================================
+
+/**
+ * Escapes text values: backslash, semicolon, comma and newlines
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Splits a content line into 75-byte chunks, continuation lines starting with a space
+ *
+ * JUNIOR DEV NOTE: The limit is in BYTES, not characters - an emoji is 4
+ * bytes in UTF-8. We never split inside a character.
+ */
+const foldLine = (line) => {
+    const chunks = [];
+    let chunk = '';
+    let chunkBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        // Continuation lines lose one byte to their leading space
+        const limit = chunks.length ? MAX_LINE_BYTES - 1 : MAX_LINE_BYTES;
+        if (chunkBytes + charBytes > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            chunkBytes = 0;
+        }
+        chunk += char;
+        chunkBytes += charBytes;
+    }
+    chunks.push(chunk);
+
+    return chunks.join('\r\n ');
+};
+
+/**
+ * A Date as an ICS UTC timestamp: 20250113T150000Z
+ */
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * A Google-shaped time as an ICS property ('DTSTART;VALUE=DATE:20250113')
+ */
+const formatTime = (name, time) => time.date
+    ? `${name};VALUE=DATE:${time.date.replace(/-/g, '')}`
+    : `${name}:${formatUtc(new Date(time.dateTime))}`;
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * The lines of one VEVENT
+ *
+ * @param {object} event - Google-shaped event plus optional `alarmMinutes` (number[])
+ * @param {Date} stamp - DTSTAMP (when the file was generated)
+ * @returns {string[]}
+ */
+const eventLines = (event, stamp) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        // UIDs must be unique worldwide, not just on this kiosk
+        `UID:${event.id}@coffman-calendar`,
+        `DTSTAMP:${formatUtc(stamp)}`,
+        formatTime('DTSTART', event.start),
+        formatTime('DTEND', event.end || event.start),
+        `SUMMARY:${escapeText(event.summary || '(No title)')}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    for (const rule of event.recurrence || []) lines.push(rule);
+
+    for (const minutes of event.alarmMinutes || []) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(event.summary || 'Reminder')}`,
+            `TRIGGER:-PT${minutes}M`,
+            'END:VALARM'
+        );
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Serializes events into an iCalendar file
+ *
+ * @param {object} calendar - { name, events }
+ *   events are Google-shaped, with an optional `alarmMinutes` array
+ * @returns {string} The .ics file contents (CRLF line endings)
+ */
+export const buildIcs = ({ name, events }) => {
+    const stamp = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Coffman Calendar//Family Kiosk//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flatMap(event => eventLines(event, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export default { buildIcs };
@@ -0,0 +1,384 @@
+/**
+ * recurrence.js
+ *
+ * * SENIOR MENTOR NOTE:
+ * Google expands repeating events for us (singleEvents=true). Our own
+ * calendars - the local family calendar and ICS subscriptions - store the
+ * series once, in Google's event shape, and this file turns a series into
+ * the occurrences inside a date range.
+ *
+ * WHAT WE UNDERSTAND (the parts real-world calendars actually use):
+ * - RRULE: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT, UNTIL,
+ *   and BYDAY (WEEKLY: "MO,WE"; MONTHLY: "2TU", "-1FR")
+ * - EXDATE: occurrences to skip
+ * Any other BY* part is ignored, and an unknown FREQ makes the event a
+ * one-off - better to show the first occurrence than nothing.
+ *
+ * TIME ZONES:
+ * Steps are taken in the kiosk's local time, so "every Monday at 9"
+ * stays at 9 across daylight saving changes.
+ */
+
+import { toDateKey, parseDateKey, addDays } from './dateKeys.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Safety cap on instances returned per series
+ *
+ * JUNIOR DEV NOTE: A daily event with no end would otherwise produce
+ * one instance per day of the range - fine for a year view, but a typo'd
+ * range of 3000 years shouldn't hang the kiosk.
+ */
+const MAX_OCCURRENCES = 2000;
+
+/**
+ * Safety cap on steps walked per series, for rules that rarely match
+ * (e.g. "the 5th Friday" or "February 29th")
+ */
+const MAX_STEPS = 20000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The LONGEST a step can be for each frequency (DST adds an hour, months
+ * have up to 31 days). Used to jump close to a range without overshooting.
+ */
+const LONGEST_STEP_MS = {
+    DAILY: DAY_MS + 60 * 60 * 1000,
+    WEEKLY: 7 * DAY_MS + 60 * 60 * 1000,
+    MONTHLY: 31 * DAY_MS,
+    YEARLY: 366 * DAY_MS
+};
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Index matches Date#getDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * 'YYYYMMDD' or 'YYYYMMDDTHHMMSS[Z]' to a Date
+ *
+ * Dates without a 'Z' are local time.
+ */
+const parseBasicDate = (value) => {
+    const [year, month, day] = [value.slice(0, 4), value.slice(4, 6), value.slice(6, 8)].map(Number);
+    if (value.length === 8) return new Date(year, month - 1, day);
+
+    const [hours, minutes, seconds] = [value.slice(9, 11), value.slice(11, 13), value.slice(13, 15)].map(Number);
+    return value.endsWith('Z')
+        ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+        : new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+/**
+ * "2TU" -> { ordinal: 2, weekday: 2 }, "FR" -> { ordinal: null, weekday: 5 }
+ */
+const parseByDay = (value) => value.split(',')
+    .map(part => {
+        const match = part.match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+        if (!match || !WEEKDAYS.includes(match[2])) return null;
+        // No month has a 6th Tuesday - an ordinal like that would never match
+        if (match[1] && (Math.abs(Number(match[1])) > 5 || Number(match[1]) === 0)) return null;
+        return { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2]) };
+    })
+    .filter(Boolean);
+
+/**
+ * Reads a Google-style recurrence list
+ *
+ * @param {string[]|null} recurrence - e.g. ['RRULE:FREQ=WEEKLY;BYDAY=MO,WE', 'EXDATE:20250113T090000Z']
+ * @returns {object|null} { freq, interval, count, until, byDay, exdates } or null if not recurring
+ *   `until` is exclusive; `exdates` holds ISO timestamps and YYYY-MM-DD keys
+ */
+export const parseRecurrence = (recurrence) => {
+    const lines = recurrence || [];
+    const line = lines.find(rule => rule.startsWith('RRULE:'));
+    if (!line) return null;
+
+    const parts = Object.fromEntries(
+        line.slice('RRULE:'.length).split(';').map(part => part.split('='))
+    );
+    if (!FREQUENCIES.includes(parts.FREQ)) return null;
+
+    let until = null;
+    if (parts.UNTIL) {
+        const date = parseBasicDate(parts.UNTIL);
+        // A bare date means "through the end of that day"; a time is inclusive
+        until = parts.UNTIL.length === 8 ? addDays(date, 1) : new Date(date.getTime() + 1);
+    }
+
+    // EXDATE;VALUE=DATE:20250113 or EXDATE:20250113T090000Z,20250120T090000Z
+    const exdates = new Set();
+    for (const exdate of lines.filter(rule => rule.startsWith('EXDATE'))) {
+        for (const value of exdate.slice(exdate.indexOf(':') + 1).split(',')) {
+            const date = parseBasicDate(value.trim());
+            exdates.add(value.trim().length === 8 ? toDateKey(date) : date.toISOString());
+        }
+    }
+
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(1, Number(parts.INTERVAL) || 1),
+        count: parts.COUNT ? Number(parts.COUNT) : null,
+        until,
+        byDay: parts.BYDAY ? parseByDay(parts.BYDAY) : [],
+        exdates
+    };
+};
+
+// ============================================================================
+// EXPANSION
+// ============================================================================
+
+/**
+ * Same time of day as `start`, on another date
+ */
+const atTimeOf = (date, start) => {
+    const result = new Date(date);
+    result.setHours(start.getHours(), start.getMinutes(), start.getSeconds(), 0);
+    return result;
+};
+
+/**
+ * Days in a month that match a BYDAY entry ("2TU", "-1FR", or every "MO")
+ */
+const monthDaysFor = (year, month, { ordinal, weekday }) => {
+    const days = [];
+    for (let date = new Date(year, month, 1); date.getMonth() === month; date = addDays(date, 1)) {
+        if (date.getDay() === weekday) days.push(date);
+    }
+
+    if (ordinal === null) return days;
+    const day = ordinal > 0 ? days[ordinal - 1] : days[days.length + ordinal];
+    return day ? [day] : [];
+};
+
+/**
+ * The occurrence starts produced by the nth step of a rule, earliest first
+ *
+ * JUNIOR DEV NOTE: We always step from the ORIGINAL start instead of the
+ * previous occurrence, so "monthly on the 31st" doesn't drift to the 28th
+ * forever after February. Months without that day are skipped, which is
+ * what RFC 5545 and Google do.
+ *
+ * @returns {Date[]}
+ */
+const occurrencesInStep = (start, rule, n) => {
+    const step = n * rule.interval;
+
+    if (rule.freq === 'DAILY') return [addDays(start, step)];
+
+    if (rule.freq === 'WEEKLY') {
+        if (!rule.byDay.length) return [addDays(start, step * 7)];
+
+        const weekStart = addDays(start, step * 7 - start.getDay());
+        return [...new Set(rule.byDay.map(({ weekday }) => weekday))]
+            .sort((a, b) => a - b)
+            .map(weekday => addDays(weekStart, weekday));
+    }
+
+    if (rule.freq === 'MONTHLY' && rule.byDay.length) {
+        const month = new Date(start.getFullYear(), start.getMonth() + step, 1);
+        return rule.byDay
+            .flatMap(entry => monthDaysFor(month.getFullYear(), month.getMonth(), entry))
+            .map(date => atTimeOf(date, start))
+            .sort((a, b) => a - b);
+    }
+
+    const result = new Date(start);
+    result.setMonth(start.getMonth() + (rule.freq === 'MONTHLY' ? step : step * 12));
+    return result.getDate() === start.getDate() ? [result] : [];
+};
+
+/**
+ * Start and end of a Google-shaped event as Dates
+ *
+ * All-day events start at local midnight; their end date is exclusive
+ * (Google's convention) but some clients send end === start, so we
+ * always allow at least one day.
+ *
+ * @param {object} event - { start: { date } | { dateTime }, end }
+ * @returns {object} { start, end }
+ */
+export const getEventBounds = (event) => {
+    if (event.start.date) {
+        const start = parseDateKey(event.start.date);
+        const end = event.end?.date ? parseDateKey(event.end.date) : start;
+        return { start, end: end > start ? end : addDays(start, 1) };
+    }
+
+    const start = new Date(event.start.dateTime);
+    const end = event.end?.dateTime ? new Date(event.end.dateTime) : start;
+    return { start, end: end > start ? end : new Date(start.getTime() + 60 * 60 * 1000) };
+};
+
+/**
+ * One occurrence of a (possibly recurring) event, Google-shaped
+ */
+const toInstance = (event, start, end, isRecurring) => {
+    const { id, ...fields } = event;
+    const isAllDay = Boolean(event.start.date);
+
+    return {
+        ...fields,
+        id: isRecurring ? `${id}_${toDateKey(start).replace(/-/g, '')}` : id,
+        recurringEventId: isRecurring ? id : null,
+        // Editing an instance edits the series, so a form needs the series' first date
+        seriesStart: isRecurring ? event.start : null,
+        start: isAllDay ? { date: toDateKey(start) } : { dateTime: start.toISOString() },
+        end: isAllDay ? { date: toDateKey(end) } : { dateTime: end.toISOString() }
+    };
+};
+
+/**
+ * Every occurrence of one event that overlaps [from, to)
+ *
+ * Recurring instances get ids like `<eventId>_20250114` and a
+ * `recurringEventId` pointing at the series, as Google's do.
+ *
+ * @param {object} event - Google-shaped event with an `id`
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Array} Google-shaped instances
+ */
+export const expandEvent = (event, from, to) => {
+    const { start, end } = getEventBounds(event);
+    const duration = end - start;
+    const rule = parseRecurrence(event.recurrence);
+
+    if (!rule) {
+        return start < to && end > from ? [toInstance(event, start, end, false)] : [];
+    }
+
+    // A weekly event from 2019 shouldn't walk every week since 2019 to reach
+    // this month - jump to (just before) the first step that could overlap.
+    // With COUNT we can't: every earlier occurrence uses up the count.
+    const stepMs = LONGEST_STEP_MS[rule.freq] * rule.interval;
+    const firstStep = rule.count ? 0 : Math.max(0, Math.floor((from - start - duration) / stepMs) - 1);
+    const instances = [];
+    let counted = 0;
+
+    for (let n = firstStep; n < firstStep + MAX_STEPS && instances.length < MAX_OCCURRENCES; n++) {
+        for (const occurrenceStart of occurrencesInStep(start, rule, n)) {
+            // BYDAY can name days earlier in the first week than the start itself
+            if (occurrenceStart < start) continue;
+            if (occurrenceStart >= to) return instances;
+            if (rule.until && occurrenceStart >= rule.until) return instances;
+            if (rule.count && counted >= rule.count) return instances;
+
+            // RFC 5545: excluded dates still count towards COUNT
+            counted++;
+            if (rule.exdates.has(occurrenceStart.toISOString()) || rule.exdates.has(toDateKey(occurrenceStart))) {
+                continue;
+            }
+
+            const occurrenceEnd = new Date(occurrenceStart.getTime() + duration);
+            if (occurrenceEnd > from) {
+                instances.push(toInstance(event, occurrenceStart, occurrenceEnd, true));
+            }
+        }
+    }
+
+    return instances;
+};
+
+// ============================================================================
+// EXCEPTIONS AND SPLITS
+// ============================================================================
+
+/**
+ * A Date as an ICS basic UTC timestamp: 20250113T150000Z
+ */
+const toBasicUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * The occurrence of a series that an instance id (`<eventId>_20250114`) names
+ *
+ * @param {object} event - Stored (series) event
+ * @param {string} instanceId - An id from expandEvent
+ * @returns {object|null} The Google-shaped instance, or null if the series has no such occurrence
+ */
+export const findOccurrence = (event, instanceId) => {
+    const suffix = instanceId.slice(event.id.length + 1);
+    if (!instanceId.startsWith(`${event.id}_`) || !/^\d{8}$/.test(suffix)) return null;
+
+    const day = parseBasicDate(suffix);
+    return expandEvent(event, day, addDays(day, 1)).find(instance => instance.id === instanceId) || null;
+};
+
+/**
+ * The recurrence list with one more occurrence skipped (EXDATE)
+ *
+ * @param {object} event - Stored (series) event
+ * @param {Date} occurrenceStart - Start of the occurrence to skip
+ * @returns {string[]}
+ */
+export const excludeOccurrence = (event, occurrenceStart) => {
+    const exdate = event.start.date
+        ? `EXDATE;VALUE=DATE:${toDateKey(occurrenceStart).replace(/-/g, '')}`
+        : `EXDATE:${toBasicUtc(occurrenceStart)}`;
+    return [...(event.recurrence || []), exdate];
+};
+
+// Past every date a series can reach - COUNT stops the expansion first
+const END_OF_TIME = new Date(8.64e15);
+
+/**
+ * The recurrence list cut off before the day of `splitStart`
+ *
+ * JUNIOR DEV NOTE: "This and following" ends the old series with an UNTIL
+ * on the day before and starts a NEW series from the split. COUNT goes:
+ * every occurrence before the split already fit inside the count, so the
+ * UNTIL alone keeps exactly those.
+ *
+ * @param {object} event - Stored (series) event
+ * @param {Date} splitStart - Start of the first occurrence to drop
+ * @returns {string[]}
+ */
+export const endRecurrenceBefore = (event, splitStart) => {
+    const lastDay = addDays(new Date(splitStart.getFullYear(), splitStart.getMonth(), splitStart.getDate()), -1);
+    // All-day series end on a date; timed ones at the last second of that (local) day
+    const until = event.start.date
+        ? toDateKey(lastDay).replace(/-/g, '')
+        : toBasicUtc(new Date(addDays(lastDay, 1).getTime() - 1000));
+
+    return (event.recurrence || []).map(line => {
+        if (!line.startsWith('RRULE:')) return line;
+        const parts = line.slice('RRULE:'.length).split(';')
+            .filter(part => !part.startsWith('COUNT=') && !part.startsWith('UNTIL='));
+        return `RRULE:${[...parts, `UNTIL=${until}`].join(';')}`;
+    });
+};
+
+/**
+ * The recurrence list for the new series a split starts at `splitStart`
+ *
+ * JUNIOR DEV NOTE: The other half of endRecurrenceBefore. An UNTIL carries
+ * over as-is, but a COUNT counts from the series' FIRST occurrence - copied
+ * unchanged, "10 lessons" split at lesson 4 would become 3 + 10. So the
+ * new series gets the count that was still left. Skipped (EXDATE) dates
+ * are counted too, as they are in the old series.
+ *
+ * @param {object} event - Stored (series) event
+ * @param {Date} splitStart - Start of the new series' first occurrence
+ * @returns {string[]|null}
+ */
+export const continueRecurrenceFrom = (event, splitStart) => {
+    if (!parseRecurrence(event.recurrence)?.count) return event.recurrence || null;
+
+    const withoutExdates = { ...event, recurrence: event.recurrence.filter(line => !line.startsWith('EXDATE')) };
+    const left = expandEvent(withoutExdates, splitStart, END_OF_TIME)
+        .filter(instance => getEventBounds(instance).start >= splitStart)
+        .length;
+
+    return event.recurrence.map(line => (line.startsWith('RRULE:')
+        ? line.replace(/COUNT=\d+/, `COUNT=${left}`)
+        : line));
+};
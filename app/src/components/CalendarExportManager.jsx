@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box, Typography, Button, Paper, TextField, Checkbox, FormControlLabel,
+    CircularProgress, IconButton, Tooltip
+} from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { useUser } from '../modules/users/useUser';
+import { parentFetch } from '../services/parentSession';
+import { API_ENDPOINTS } from '../utils/constants';
+
+const EXPORT_URL = API_ENDPOINTS.LOCAL_EXPORT;
+
+const MODULE_OPTIONS = [
+    { id: 'events', label: 'Family calendar' },
+    { id: 'tasks', label: 'Tasks with due dates' },
+    { id: 'meals', label: 'Meal plan' },
+];
+
+/**
+ * CalendarExportManager - A secret .ics link for subscribing from a phone
+ *
+ * JUNIOR DEV NOTE: The link carries the family's export token, so it
+ * works without a PIN - treat it like a password. "New link" replaces
+ * the token and every phone subscribed to the old one stops updating.
+ *
+ * Only rendered inside Settings, which is already PIN-protected, so
+ * parentFetch always has a session here.
+ */
+const CalendarExportManager = () => {
+    const { users } = useUser();
+    const [token, setToken] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [modules, setModules] = useState(MODULE_OPTIONS.map(option => option.id));
+    // Empty = everyone's tasks
+    const [userIds, setUserIds] = useState([]);
+
+    useEffect(() => {
+        parentFetch(`${EXPORT_URL}/settings`)
+            .then(res => res.json())
+            .then(settings => setToken(settings.token))
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const handleRotate = useCallback(async () => {
+        setError(null);
+        try {
+            const res = await parentFetch(`${EXPORT_URL}/token`, { method: 'POST' });
+            setToken((await res.json()).token);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    const toggle = (setter, id) => setter(prev => (
+        prev.includes(id) ? prev.filter(value => value !== id) : [...prev, id]
+    ));
+
+    const params = new URLSearchParams({ token: token || '' });
+    if (modules.length < MODULE_OPTIONS.length) params.set('modules', modules.join(','));
+    if (userIds.length) params.set('users', userIds.join(','));
+    const feedUrl = `${window.location.origin}${EXPORT_URL}/calendar.ics?${params}`;
+
+    const handleCopy = useCallback(() => {
+        navigator.clipboard?.writeText(feedUrl)
+            .catch(err => console.error('Copy failed:', err));
+    }, [feedUrl]);
+
+    if (loading) return <CircularProgress size={20} />;
+
+    return (
+        <Paper sx={{ p: 2, borderRadius: 3 }}>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+                Add this link as a subscribed calendar on your phone. Anyone with the link can see what's included, so only share it with family.
+            </Typography>
+
+            <Typography variant="subtitle2">Include</Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap' }}>
+                {MODULE_OPTIONS.map(option => (
+                    <FormControlLabel
+                        key={option.id}
+                        control={<Checkbox checked={modules.includes(option.id)} onChange={() => toggle(setModules, option.id)} />}
+                        label={option.label}
+                    />
+                ))}
+            </Box>
+
+            {modules.includes('tasks') && users.length > 0 && (
+                <>
+                    <Typography variant="subtitle2" sx={{ mt: 1 }}>Only tasks for (none ticked = everyone)</Typography>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap' }}>
+                        {users.map(user => (
+                            <FormControlLabel
+                                key={user.id}
+                                control={<Checkbox checked={userIds.includes(String(user.id))} onChange={() => toggle(setUserIds, String(user.id))} />}
+                                label={user.name}
+                            />
+                        ))}
+                    </Box>
+                </>
+            )}
+
+            {error && (
+                <Typography color="error" variant="caption" sx={{ display: 'block', my: 1 }}>{error}</Typography>
+            )}
+
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2 }}>
+                <TextField
+                    size="small"
+                    fullWidth
+                    value={token ? feedUrl : ''}
+                    disabled={!token || modules.length === 0}
+                    slotProps={{ input: { readOnly: true } }}
+                    onFocus={e => e.target.select()}
+                    helperText="If this shows localhost, use the kiosk's network address instead."
+                />
+                <Tooltip title="Copy link">
+                    <span>
+                        <IconButton onClick={handleCopy} disabled={!token || modules.length === 0}>
+                            <ContentCopyIcon />
+                        </IconButton>
+                    </span>
+                </Tooltip>
+            </Box>
+
+            <Button onClick={handleRotate} color="warning" sx={{ mt: 1, minHeight: 44 }}>
+                New link (old links stop working)
+            </Button>
+        </Paper>
+    );
+};
+
+export default CalendarExportManager;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box, Typography, IconButton, Button, Paper, TextField, Checkbox,
+    CircularProgress, Select, MenuItem, Tooltip
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import AddLinkIcon from '@mui/icons-material/AddLink';
+import { COLOR_TAGS } from '../modules/calendar/EventCard';
+import {
+    fetchSubscriptions,
+    addSubscription,
+    updateSubscription,
+    removeSubscription,
+    refreshSubscription,
+} from '../services/calendarSubscriptions';
+
+/**
+ * CalendarSubscriptionManager - Subscribe to `.ics` calendars (school, sports, holidays)
+ *
+ * JUNIOR DEV NOTE: These calendars belong to the whole family, not one
+ * Google account, so they live in their own Settings card. Every change
+ * fires `subscriptions-changed` so an open calendar refetches.
+ */
+const notifyCalendar = () => window.dispatchEvent(new CustomEvent('subscriptions-changed'));
+
+const CalendarSubscriptionManager = () => {
+    const [subscriptions, setSubscriptions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [url, setUrl] = useState('');
+    const [name, setName] = useState('');
+    const [adding, setAdding] = useState(false);
+    const [refreshingId, setRefreshingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        fetchSubscriptions()
+            .then(setSubscriptions)
+            .catch(err => console.error('Failed to fetch subscriptions:', err))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const replaceSubscription = useCallback((updated) => {
+        setSubscriptions(prev => prev.map(s => s.id === updated.id ? updated : s));
+    }, []);
+
+    const handleAdd = useCallback(async () => {
+        setAdding(true);
+        setError(null);
+        try {
+            const created = await addSubscription({ url: url.trim(), ...(name.trim() && { name: name.trim() }) });
+            setSubscriptions(prev => [...prev, created]);
+            setUrl('');
+            setName('');
+            notifyCalendar();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setAdding(false);
+        }
+    }, [url, name]);
+
+    const handleUpdate = useCallback(async (id, updates) => {
+        try {
+            replaceSubscription(await updateSubscription(id, updates));
+            notifyCalendar();
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [replaceSubscription]);
+
+    const handleRefresh = useCallback(async (id) => {
+        setRefreshingId(id);
+        try {
+            replaceSubscription(await refreshSubscription(id));
+            notifyCalendar();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setRefreshingId(null);
+        }
+    }, [replaceSubscription]);
+
+    const handleDelete = useCallback(async (id) => {
+        try {
+            await removeSubscription(id);
+            setSubscriptions(prev => prev.filter(s => s.id !== id));
+            notifyCalendar();
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    return (
+        <Paper sx={{ p: 2, borderRadius: 3 }}>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+                Paste an .ics or webcal:// link from a school, team or holiday calendar. Events refresh every few hours and can't be edited here.
+            </Typography>
+
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                <TextField
+                    size="small"
+                    label="Calendar link"
+                    value={url}
+                    onChange={e => setUrl(e.target.value)}
+                    placeholder="https://school.example/calendar.ics"
+                    sx={{ flex: 2, minWidth: 220 }}
+                />
+                <TextField
+                    size="small"
+                    label="Name (optional)"
+                    value={name}
+                    onChange={e => setName(e.target.value)}
+                    sx={{ flex: 1, minWidth: 140 }}
+                />
+                <Button
+                    startIcon={adding ? <CircularProgress size={16} /> : <AddLinkIcon />}
+                    onClick={handleAdd}
+                    disabled={adding || !url.trim()}
+                    variant="outlined"
+                    sx={{ minHeight: 44 }}
+                >
+                    Subscribe
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography color="error" variant="caption" sx={{ display: 'block', mb: 1 }}>{error}</Typography>
+            )}
+
+            {loading ? (
+                <Box sx={{ textAlign: 'center', py: 2 }}><CircularProgress size={24} /></Box>
+            ) : subscriptions.length === 0 ? (
+                <Typography color="text.secondary" sx={{ textAlign: 'center', py: 2 }}>
+                    No subscribed calendars yet
+                </Typography>
+            ) : (
+                subscriptions.map(subscription => (
+                    <Box key={subscription.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.5 }}>
+                        <Checkbox
+                            checked={subscription.enabled}
+                            onChange={e => handleUpdate(subscription.id, { enabled: e.target.checked })}
+                        />
+                        <Select
+                            size="small"
+                            value={subscription.colorId}
+                            onChange={e => handleUpdate(subscription.id, { colorId: e.target.value })}
+                            renderValue={(colorId) => (
+                                <Box sx={{ width: 14, height: 14, borderRadius: '50%', bgcolor: COLOR_TAGS[colorId]?.bg }} />
+                            )}
+                            sx={{ minWidth: 56 }}
+                        >
+                            {Object.entries(COLOR_TAGS).map(([colorId, tag]) => (
+                                <MenuItem key={colorId} value={colorId}>
+                                    <Box sx={{ width: 14, height: 14, borderRadius: '50%', bgcolor: tag.bg, mr: 1 }} />
+                                    {tag.name}
+                                </MenuItem>
+                            ))}
+                        </Select>
+                        <Box sx={{ flex: 1, minWidth: 0 }}>
+                            <Typography variant="body2" noWrap>{subscription.name}</Typography>
+                            <Typography variant="caption" color={subscription.lastError ? 'error' : 'text.secondary'} noWrap display="block">
+                                {subscription.lastError
+                                    ? `Last refresh failed: ${subscription.lastError}`
+                                    : `${subscription.eventCount} events · updated ${new Date(subscription.lastFetchedAt).toLocaleString()}`}
+                            </Typography>
+                        </Box>
+                        <Tooltip title="Refresh now">
+                            <span>
+                                <IconButton onClick={() => handleRefresh(subscription.id)} disabled={refreshingId === subscription.id}>
+                                    {refreshingId === subscription.id ? <CircularProgress size={20} /> : <RefreshIcon />}
+                                </IconButton>
+                            </span>
+                        </Tooltip>
+                        <IconButton onClick={() => handleDelete(subscription.id)} color="error">
+                            <DeleteIcon />
+                        </IconButton>
+                    </Box>
+                ))
+            )}
+        </Paper>
+    );
+};
+
+export default CalendarSubscriptionManager;
@@ -10,6 +10,7 @@
  * - Info bar (date, time, weather)
  * - Content area
  * - Screensaver
+ * - Reminder cards
  * 
  * This component provides that structure.
  * 
@@ -21,13 +22,16 @@
  * After: ~80 lines using extracted components and config
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Box, Paper, useMediaQuery } from '@mui/material';
 import { NAV_ITEMS } from '../config/navigation';
 import NavItem from './navigation/NavItem';
 import useIdleTimer from '../hooks/useIdleTimer';
 import Screensaver from './Screensaver';
 import InfoBar from './InfoBar';
+import WindDownBanner from '../modules/sleep/components/WindDownBanner';
+import ReminderCard from '../modules/reminders/components/ReminderCard';
+import { useReminders } from '../modules/reminders/useReminders';
 
 /**
  * Main Layout Component
@@ -61,7 +65,20 @@ const MainLayout = ({ children, onModuleSelect, currentModule }) => {
      * When waking from screensaver, isWaking is true for 500ms.
      * This prevents the wake touch from accidentally clicking UI elements.
      */
-    const { isIdle, setIdle, isWaking } = useIdleTimer(30000);
+    const { isIdle, isWaking, wake } = useIdleTimer(30000);
+
+    /**
+     * Wake the screensaver when a reminder pops up
+     *
+     * JUNIOR DEV NOTE: The card sits above the screensaver anyway, but
+     * waking means that after "Dismiss" you're looking at the app again,
+     * not the slideshow.
+     */
+    const { activeReminder } = useReminders();
+    const activeReminderId = activeReminder?.id;
+    useEffect(() => {
+        if (activeReminderId) wake();
+    }, [activeReminderId, wake]);
 
     /**
      * Detect device orientation
@@ -81,21 +98,16 @@ const MainLayout = ({ children, onModuleSelect, currentModule }) => {
      * Handles navigation item clicks
      * 
      * WHAT IT DOES:
-     * - If "Sleep" is clicked, activate screensaver
-     * - Otherwise, navigate to the selected module
+     * Navigates to the selected module.
      * 
-     * JUNIOR DEV NOTE: Why special case for sleep?
-     * "Sleep" isn't a real module - it's just the screensaver.
-     * We handle it specially to activate idle mode.
+     * JUNIOR DEV NOTE: "Sleep" used to be a shortcut to the screensaver.
+     * It's a real module now (bedtimes, bed/wake taps), so it navigates
+     * like everything else.
      * 
      * @param {string} id - Nav item ID
      */
     const handleNavClick = (id) => {
-        if (id === 'sleep') {
-            setIdle(true);
-        } else {
-            onModuleSelect(id);
-        }
+        onModuleSelect(id);
     };
 
     // ========================================================================
@@ -119,6 +131,9 @@ const MainLayout = ({ children, onModuleSelect, currentModule }) => {
             {/* Screensaver overlay (shown when idle) */}
             <Screensaver isIdle={isIdle} />
 
+            {/* Event and task reminders (above everything, screensaver included) */}
+            <ReminderCard />
+
             {/* 
              * DEFENSIVE UX: Wake Delay Overlay
              * 
@@ -185,6 +200,9 @@ const MainLayout = ({ children, onModuleSelect, currentModule }) => {
                 {/* Info Bar (date, time, weather) */}
                 <InfoBar />
 
+                {/* Bedtime countdown (only during wind-down) */}
+                <WindDownBanner />
+
                 {/* Content */}
                 <Box sx={{ flexGrow: 1, overflow: 'auto' }}>
                     {children}
@@ -1,93 +1,99 @@
-import React, { useState, useCallback, useContext } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { PinContext } from './PinContextCore';
-import { UserProfileContext } from '../modules/users/contexts/UserProfileContextCore';
-
-// Legacy storage key - kept for backwards compatibility
-const LEGACY_PIN_STORAGE_KEY = 'coffman_settings_pin';
-const DEFAULT_PIN = '1234';
+import {
+    getParentSession,
+    subscribeParentSession,
+    startParentSession,
+    endParentSession,
+    saveParentPin,
+    LEGACY_PIN_STORAGE_KEY
+} from '../services/parentSession';
 
 /**
  * PinProvider Component
- * 
- * JUNIOR DEV NOTE: This provider handles PIN verification with a hybrid approach:
- * 
- * 1. LEGACY MODE: If no parent profiles have PINs set, use the global PIN
- *    (stored in localStorage under 'coffman_settings_pin')
- * 
- * 2. PER-USER MODE: Once any parent sets a PIN on their profile, we verify
- *    against ALL parent PINs - any parent's PIN will unlock settings.
- * 
+ *
+ * JUNIOR DEV NOTE: The PIN is checked by the SERVER (see services/parentSession.js).
+ * A correct PIN gives us a short-lived token; "unlocked" simply means we
+ * hold a token that hasn't expired. The server applies the same rules
+ * this provider used to apply in the browser:
+ *
+ * 1. LEGACY MODE: If no parent profiles have PINs set, use the family PIN
+ *    (default 1234 until changed in Settings)
+ *
+ * 2. PER-USER MODE: Once any parent sets a PIN on their profile, ANY
+ *    parent's PIN will unlock settings.
+ *
  * WHY THIS APPROACH?
  * - Maintains backwards compatibility with existing installations
- * - Provides a smooth migration path to per-user PINs
  * - Prevents lockouts if someone forgets their PIN (other parent can unlock)
+ * - Kids can't bypass the lock by calling the API directly
  */
 const PinProvider = ({ children }) => {
-    const [isUnlocked, setIsUnlocked] = useState(false);
+    const [session, setSession] = useState(getParentSession);
 
-    // Access user profiles to get parent PINs
-    // JUNIOR DEV NOTE: We use useContext directly here because PinProvider
-    // needs to be a sibling (not child) of UserProfileProvider in the tree.
-    const userContext = useContext(UserProfileContext);
+    // Follow session changes made anywhere (e.g. a 401 inside parentFetch)
+    useEffect(() => subscribeParentSession(setSession), []);
 
     /**
-     * Get the legacy stored PIN (for backwards compatibility)
+     * Auto-lock when the session runs out
+     *
+     * JUNIOR DEV NOTE: getParentSession() notices the expiry and notifies
+     * subscribers - including our own setSession above.
      */
-    const getLegacyPin = useCallback(() => {
-        return localStorage.getItem(LEGACY_PIN_STORAGE_KEY) || DEFAULT_PIN;
-    }, []);
+    useEffect(() => {
+        if (!session) return undefined;
+        const timeout = setTimeout(getParentSession, Math.max(0, session.expiresAt - Date.now()));
+        return () => clearTimeout(timeout);
+    }, [session]);
 
     /**
-     * Verify entered PIN against all valid PINs
-     * 
-     * VERIFICATION PRIORITY:
-     * 1. Check if any parent has a per-user PIN set
-     * 2. If yes, verify against all parent PINs
-     * 3. If no parent has a PIN, fall back to legacy global PIN
+     * Verify entered PIN with the server
+     *
+     * @param {string} enteredPin - 4-digit PIN
+     * @param {number} [userId] - Only accept this parent's PIN (profile picker)
+     * @returns {Promise<boolean>} True if unlocked
      */
-    const verifyPin = useCallback((enteredPin) => {
-        // 1. Get parent profiles (if context is available)
-        const parentUsers = userContext?.getParentUsers?.() || [];
-
-        // 2. Find parents who have set their own PINs
-        const parentsWithPins = parentUsers.filter(p => p.pin);
-
-        let isCorrect = false;
-
-        if (parentsWithPins.length > 0) {
-            // 3a. Per-user mode: Check if PIN matches ANY parent's PIN
-            isCorrect = parentsWithPins.some(parent => parent.pin === enteredPin);
-        } else {
-            // 3b. Legacy mode: Check against global PIN
-            const legacyPin = getLegacyPin();
-            isCorrect = enteredPin === legacyPin;
+    const verifyPin = useCallback(async (enteredPin, userId) => {
+        try {
+            const { ok } = await startParentSession(enteredPin, userId);
+            return ok;
+        } catch (err) {
+            console.error('[PinContext] PIN check failed:', err);
+            return false;
         }
-
-        if (isCorrect) setIsUnlocked(true);
-        return isCorrect;
-    }, [userContext, getLegacyPin]);
+    }, []);
 
     /**
-     * Set the legacy PIN (for backwards compatibility)
-     * 
+     * Change the family PIN (used when no parent has their own PIN)
+     *
      * JUNIOR DEV NOTE: Use UserProfileContext.setUserPin() instead
-     * for per-user PINs on parent accounts.
+     * for per-user PINs on parent accounts. Needs an unlocked session.
+     *
+     * @returns {Promise<boolean>} True if saved
      */
-    const setPin = useCallback((newPin) => {
-        if (newPin && newPin.length === 4 && /^\d+$/.test(newPin)) {
-            localStorage.setItem(LEGACY_PIN_STORAGE_KEY, newPin);
-            return true;
+    const setPin = useCallback(async (newPin) => {
+        if (!newPin || newPin.length !== 4 || !/^\d+$/.test(newPin)) return false;
+
+        try {
+            const saved = await saveParentPin('family', newPin);
+            if (saved) localStorage.removeItem(LEGACY_PIN_STORAGE_KEY);
+            return saved;
+        } catch (err) {
+            console.error('[PinContext] Failed to change PIN:', err);
+            return false;
         }
-        return false;
     }, []);
 
     /**
      * Lock the settings (require PIN entry again)
      */
-    const lock = useCallback(() => setIsUnlocked(false), []);
+    const lock = useCallback(() => {
+        endParentSession();
+    }, []);
 
     const value = {
-        isUnlocked,
+        isUnlocked: Boolean(session),
+        parentUserId: session?.userId ?? null,
         verifyPin,
         setPin,
         lock
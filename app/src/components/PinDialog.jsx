@@ -13,6 +13,25 @@ import { motion, AnimatePresence } from 'framer-motion';
  * On a family kiosk, fewer taps = less frustration. When the user enters
  * their 4th digit, we immediately verify - providing instant feedback.
  */
+/**
+ * Runs the caller's check and resets the pad on failure
+ *
+ * JUNIOR DEV NOTE: `onSuccess` may return a boolean OR a Promise of one.
+ * PinContext.verifyPin asks the server, so it's async; simple callers
+ * can still return true/false directly. A failed request counts as wrong.
+ */
+const checkPin = (onSuccess, pin, setError, setPin) => {
+    Promise.resolve()
+        .then(() => onSuccess(pin))
+        .catch(() => false)
+        .then((success) => {
+            if (!success) {
+                setError(true);
+                setPin('');
+            }
+        });
+};
+
 const PinDialog = ({ onSuccess, title = 'Enter PIN', autoSubmit = true }) => {
     const [pin, setPin] = useState('');
     const [error, setError] = useState(false);
@@ -26,11 +45,7 @@ const PinDialog = ({ onSuccess, title = 'Enter PIN', autoSubmit = true }) => {
      */
     useEffect(() => {
         if (autoSubmit && pin.length === 4) {
-            const success = onSuccess(pin);
-            if (!success) {
-                setError(true);
-                setPin('');
-            }
+            checkPin(onSuccess, pin, setError, setPin);
         }
     }, [pin, autoSubmit, onSuccess]);
 
@@ -48,11 +63,7 @@ const PinDialog = ({ onSuccess, title = 'Enter PIN', autoSubmit = true }) => {
 
     const handleSubmit = () => {
         if (pin.length === 4) {
-            const success = onSuccess(pin);
-            if (!success) {
-                setError(true);
-                setPin('');
-            }
+            checkPin(onSuccess, pin, setError, setPin);
         }
     };
 
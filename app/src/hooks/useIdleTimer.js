@@ -25,7 +25,7 @@ const WAKE_DELAY_MS = 500;
  * Hook for tracking user idle time with wake delay protection
  * 
  * @param {number} timeout - Milliseconds of inactivity before idle
- * @returns {Object} { isIdle, setIdle, isWaking }
+ * @returns {Object} { isIdle, setIdle, isWaking, wake }
  */
 const useIdleTimer = (timeout = 30000) => {
     const [isIdle, setIsIdle] = useState(false);
@@ -101,6 +101,7 @@ const useIdleTimer = (timeout = 30000) => {
         isIdle,
         setIdle: setIsIdle,
         isWaking, // New: true during wake delay period
+        wake: resetTimer, // Same as a touch - e.g. a reminder card popping up
     };
 };
 
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Custom hook for state that lives on our Express server
+ * @module hooks/useServerState
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Several contexts (meals, recipes, shopping list, recipe preferences) used
+ * to keep their data only in localStorage. When the kiosk's browser profile
+ * was wiped, that data was gone for good. This hook keeps the same
+ * `[state, setState]` feel as useState, but the source of truth is a
+ * server resource (e.g. GET/PUT /api/meals).
+ *
+ * HOW IT WORKS:
+ * 1. On mount, GET the resource from the server
+ * 2. If the server is empty, migrate legacy localStorage data ONCE
+ * 3. Every change after loading is saved with a debounced PUT
+ *
+ * DEFENSIVE PATTERN: No saving before loading
+ * If the initial GET fails we never PUT. Otherwise an empty default state
+ * on a flaky network could overwrite months of family recipes.
+ *
+ * EDITS BEFORE THE LOAD FINISHES:
+ * Someone can add a meal while the GET is still on its way. Those edits
+ * are remembered and replayed on top of what the server sent, so neither
+ * the edit nor the server's data is lost. (Pass an updater function, as
+ * in setState(prev => ...), to build on the server's value.)
+ *
+ * LAST WRITER WINS:
+ * Every save is a PUT of the WHOLE resource. If two kiosks edit the same
+ * resource, whichever saves last replaces the other's change - there's
+ * no merging between kiosks. Fine for one family, but don't build
+ * anything here that several devices edit at the same moment.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { UI_CONFIG } from '../utils/constants';
+
+/**
+ * Default emptiness check used to decide whether to migrate
+ *
+ * @param {*} value - Value returned by the server
+ * @returns {boolean} True if there is nothing worth keeping
+ */
+const defaultIsEmpty = (value) => {
+    if (value == null) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+};
+
+/**
+ * Reads the first usable legacy value from localStorage
+ *
+ * JUNIOR DEV NOTE: Why a list of keys?
+ * Some data was saved under more than one key over time (an old bug wrote
+ * meals AND recipes to the literal key "undefined"). We try each key and
+ * keep the first value that passes `isValid`.
+ *
+ * @param {string[]} keys - localStorage keys to try, in order
+ * @param {Function} isValid - Shape check for the parsed value
+ * @param {Function} isEmpty - Emptiness check for the parsed value
+ * @returns {*} The legacy value, or undefined if none found
+ */
+const readLegacyValue = (keys, isValid, isEmpty) => {
+    for (const key of keys) {
+        try {
+            const stored = localStorage.getItem(key);
+            if (!stored) continue;
+
+            const parsed = JSON.parse(stored);
+            if (isValid(parsed) && !isEmpty(parsed)) {
+                return parsed;
+            }
+        } catch (e) {
+            console.warn(`[useServerState] Ignoring unreadable legacy key "${key}":`, e);
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Applies one setState() argument - a value or an updater - to a value
+ */
+const applyEdit = (value, edit) => (typeof edit === 'function' ? edit(value) : edit);
+
+/**
+ * Hook for state persisted to a server resource
+ *
+ * @param {string} endpoint - Resource URL (supports GET and PUT)
+ * @param {Object} options
+ * @param {*} options.initialValue - Value used until the server responds
+ * @param {string[]} [options.legacyKeys] - localStorage keys to migrate from
+ * @param {string} [options.migrationFlag] - localStorage key marking migration done
+ * @param {Function} [options.isValid] - Shape check for legacy values
+ * @param {Function} [options.isEmpty] - Decides if the server copy is empty
+ * @returns {[*, Function, Object]} [state, setState, { loaded, error, reload }]
+ *
+ * @example
+ * const [meals, setMeals] = useServerState('/api/meals', {
+ *     initialValue: {},
+ *     legacyKeys: ['coffman_meals'],
+ *     migrationFlag: 'coffman_meals_migrated',
+ * });
+ */
+export const useServerState = (endpoint, {
+    initialValue,
+    legacyKeys = [],
+    migrationFlag,
+    isValid = () => true,
+    isEmpty = defaultIsEmpty,
+} = {}) => {
+    // ========================================================================
+    // STATE
+    // ========================================================================
+
+    const [state, setState] = useState(initialValue);
+    const [loaded, setLoaded] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * JSON of the last value the server confirmed
+     *
+     * JUNIOR DEV NOTE: Why a ref?
+     * We compare against it to skip PUTs when nothing changed (e.g. right
+     * after loading). A ref doesn't trigger re-renders when updated.
+     */
+    const lastSyncedRef = useRef(null);
+
+    // Edits made before the first load finished, replayed onto the server's value
+    const loadedRef = useRef(false);
+    const pendingEditsRef = useRef([]);
+
+    const updateState = useCallback((edit) => {
+        if (!loadedRef.current) pendingEditsRef.current.push(edit);
+        setState(edit);
+    }, []);
+
+    // Keep the latest options in a ref so `load` doesn't change identity
+    // every render (the callers pass inline arrays/functions)
+    const optionsRef = useRef({ legacyKeys, migrationFlag, isValid, isEmpty });
+    useEffect(() => {
+        optionsRef.current = { legacyKeys, migrationFlag, isValid, isEmpty };
+    });
+
+    // ========================================================================
+    // SAVE
+    // ========================================================================
+
+    const saveToServer = useCallback(async (value) => {
+        const body = JSON.stringify(value);
+
+        const response = await fetch(endpoint, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+        });
+        if (!response.ok) throw new Error(`Failed to save ${endpoint}`);
+
+        lastSyncedRef.current = body;
+    }, [endpoint]);
+
+    // ========================================================================
+    // LOAD (+ one-time migration)
+    // ========================================================================
+
+    const load = useCallback(async () => {
+        const { legacyKeys, migrationFlag, isValid, isEmpty } = optionsRef.current;
+
+        try {
+            const response = await fetch(endpoint);
+            if (!response.ok) throw new Error(`Failed to load ${endpoint}`);
+
+            let value = await response.json();
+            lastSyncedRef.current = JSON.stringify(value);
+
+            // One-time migration: only if the server has nothing yet AND we
+            // haven't migrated on this browser before
+            const alreadyMigrated = migrationFlag && localStorage.getItem(migrationFlag);
+            if (!alreadyMigrated && isEmpty(value)) {
+                const legacy = readLegacyValue(legacyKeys, isValid, isEmpty);
+                if (legacy !== undefined) {
+                    console.log(`[useServerState] Migrating localStorage data to ${endpoint}`);
+                    await saveToServer(legacy);
+                    value = legacy;
+                }
+            }
+            if (migrationFlag) {
+                localStorage.setItem(migrationFlag, new Date().toISOString());
+            }
+
+            const edits = pendingEditsRef.current;
+            pendingEditsRef.current = [];
+            loadedRef.current = true;
+
+            // Auto-save below PUTs the result if the edits changed anything
+            setState(edits.reduce(applyEdit, value));
+            setError(null);
+            setLoaded(true);
+        } catch (err) {
+            console.error('[useServerState] Load error:', err);
+            setError(err.message);
+        }
+    }, [endpoint, saveToServer]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    // ========================================================================
+    // AUTO-SAVE (debounced)
+    // ========================================================================
+
+    /**
+     * Save changes back to the server
+     *
+     * JUNIOR DEV NOTE: Why debounce?
+     * Typing a recipe name or checking off five groceries in a row would
+     * otherwise send a request per keystroke/tap. We wait until changes
+     * settle, then send one PUT with the final value.
+     */
+    useEffect(() => {
+        if (!loaded) return;
+        if (JSON.stringify(state) === lastSyncedRef.current) return;
+
+        const timer = setTimeout(() => {
+            saveToServer(state).catch(err => {
+                console.error('[useServerState] Save error:', err);
+                setError(err.message);
+            });
+        }, UI_CONFIG.DEBOUNCE_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [state, loaded, saveToServer]);
+
+    return [state, updateState, { loaded, error, reload: load }];
+};
+
+export default useServerState;
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Dialog, DialogContent, Box, TextField, Button, IconButton, Typography, Switch, FormControlLabel, MenuItem, Select, Divider, Chip, Stack } from '@mui/material';
 import { DatePicker, TimePicker, LocalizationProvider } from '@mui/x-date-pickers';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { addDays, differenceInCalendarDays, startOfDay } from 'date-fns';
 import CloseIcon from '@mui/icons-material/Close';
 import LocationOnIcon from '@mui/icons-material/LocationOn';
 import NotificationsIcon from '@mui/icons-material/Notifications';
@@ -9,9 +10,13 @@ import RepeatIcon from '@mui/icons-material/Repeat';
 import DescriptionIcon from '@mui/icons-material/Description';
 import PeopleIcon from '@mui/icons-material/People';
 import DeleteIcon from '@mui/icons-material/Delete';
+import EventIcon from '@mui/icons-material/Event';
 import { COLOR_TAGS } from './EventCard';
+import { useUser } from '../users/useUser';
+import { CALENDAR_CONFIG } from '../../utils/constants';
+import { parseRecurrence, buildRecurrence, createPresetRule, getPresetOptions, matchPreset, describeRule } from '../../utils/rrule';
+import RecurrenceEditor from './RecurrenceEditor';
 
-const REPEAT_OPTIONS = ['Does not repeat', 'Daily', 'Weekly', 'Monthly', 'Yearly'];
 const REMINDER_OPTIONS = [
     { label: '5 minutes before', value: 5 },
     { label: '10 minutes before', value: 10 },
@@ -21,13 +26,34 @@ const REMINDER_OPTIONS = [
     { label: '1 day before', value: 1440 },
 ];
 
-const AddEventDialog = ({ open, onClose, onSave, selectedDate, initialEvent }) => {
+const isValidDate = (value) => value instanceof Date && !isNaN(value);
+
+/**
+ * AddEventDialog - Create or edit an event
+ *
+ * @param {Object} props
+ * @param {Date} props.selectedDate - Day of a new event (and its start time, with selectedEndDate)
+ * @param {Date} [props.selectedEndDate] - End of a new event picked as a time slot;
+ *   without it a new event runs from now for an hour
+ */
+const AddEventDialog = ({ open, onClose, onSave, selectedDate, selectedEndDate, initialEvent }) => {
+    const { currentUser, googleTokens } = useUser();
+    // Without a Google account, the family calendar is the only place to save
+    const hasGoogle = Boolean(currentUser && googleTokens?.[currentUser.id]);
+
+    const [calendarId, setCalendarId] = useState(CALENDAR_CONFIG.LOCAL_CALENDAR_ID);
     const [summary, setSummary] = useState('');
     const [date, setDate] = useState(null);
+    // The day the event ends on (the LAST day for all-day events, not Google's exclusive end)
+    const [endDay, setEndDay] = useState(null);
     const [startTime, setStartTime] = useState(null);
     const [endTime, setEndTime] = useState(null);
     const [isAllDay, setIsAllDay] = useState(false);
-    const [repeat, setRepeat] = useState('Does not repeat');
+    // Repeat: a quick choice from getPresetOptions(), or 'custom' with its own rule.
+    // otherRecurrenceLines keeps EXDATEs etc. we don't edit (see utils/rrule.js).
+    const [repeatMode, setRepeatMode] = useState('none');
+    const [customRule, setCustomRule] = useState(null);
+    const [otherRecurrenceLines, setOtherRecurrenceLines] = useState([]);
     const [location, setLocation] = useState('');
     const [description, setDescription] = useState('');
     const [colorId, setColorId] = useState(1);
@@ -36,26 +62,34 @@ const AddEventDialog = ({ open, onClose, onSave, selectedDate, initialEvent }) =
     const [reminders, setReminders] = useState([]); // [{ method: 'popup', minutes: 10 }]
     const [useDefaultReminders, setUseDefaultReminders] = useState(true);
 
+    // The repeat menu's labels need a real date, even mid-typing in the date field
+    const repeatDate = isValidDate(date) ? date : new Date();
+
     React.useEffect(() => {
         if (open) {
             if (initialEvent) {
+                // Editing 'all' of a repeating event starts from the series' first date;
+                // CalendarView clears seriesStart for 'this' and 'following'
+                const start = new Date(initialEvent.seriesStart || initialEvent.date);
+                // (Display only - CalendarView updates the event where it already lives)
+                setCalendarId(initialEvent.isLocalEvent ? CALENDAR_CONFIG.LOCAL_CALENDAR_ID : 'primary');
                 setSummary(initialEvent.summary);
-                setDate(new Date(initialEvent.date));
+                setDate(start);
+                // Same length as the event we opened (it may start on a different date - see above)
+                const end = initialEvent.isAllDay
+                    ? addDays(start, Math.max(1, differenceInCalendarDays(initialEvent.endDate || start, initialEvent.date)) - 1)
+                    : new Date(start.getTime() + (initialEvent.endDate ? initialEvent.endDate - initialEvent.date : 3600000));
+                setEndDay(end);
                 setIsAllDay(initialEvent.isAllDay);
                 setLocation(initialEvent.location || '');
                 setDescription(initialEvent.description || '');
                 setColorId(Number(initialEvent.colorId) || 1);
 
-                // Parse recurrence
-                let repeatVal = 'Does not repeat';
-                if (initialEvent.recurrence && initialEvent.recurrence.length > 0) {
-                    const rrule = initialEvent.recurrence[0];
-                    if (rrule.includes('FREQ=DAILY')) repeatVal = 'Daily';
-                    else if (rrule.includes('FREQ=WEEKLY')) repeatVal = 'Weekly';
-                    else if (rrule.includes('FREQ=MONTHLY')) repeatVal = 'Monthly';
-                    else if (rrule.includes('FREQ=YEARLY')) repeatVal = 'Yearly';
-                }
-                setRepeat(repeatVal);
+                // Parse recurrence - anything a quick choice can't express opens as Custom
+                const { rule, otherLines } = parseRecurrence(initialEvent.recurrence);
+                setRepeatMode(matchPreset(rule, start) || 'custom');
+                setCustomRule(rule);
+                setOtherRecurrenceLines(otherLines);
 
                 // Parse Attendees
                 setAttendees((initialEvent.attendees || []).map(a => a.email));
@@ -75,32 +109,53 @@ const AddEventDialog = ({ open, onClose, onSave, selectedDate, initialEvent }) =
                 }
 
                 if (!initialEvent.isAllDay && initialEvent.time) {
-                    const d = new Date(initialEvent.date);
-                    setStartTime(d);
-                    const end = initialEvent.endDate ? new Date(initialEvent.endDate) : new Date(d.getTime() + 3600000);
+                    setStartTime(start);
                     setEndTime(end);
                 }
             } else {
+                setCalendarId(hasGoogle ? 'primary' : CALENDAR_CONFIG.LOCAL_CALENDAR_ID);
                 setSummary('');
                 setDate(selectedDate || new Date());
-                setStartTime(new Date());
-                setEndTime(new Date(Date.now() + 3600000));
+                setEndDay(selectedDate || new Date());
+                setStartTime(selectedEndDate ? selectedDate : new Date());
+                setEndTime(selectedEndDate || new Date(Date.now() + 3600000));
                 setIsAllDay(false);
                 setLocation('');
                 setDescription('');
                 setColorId(1);
-                setRepeat('Does not repeat');
+                setRepeatMode('none');
+                setCustomRule(null);
+                setOtherRecurrenceLines([]);
                 setAttendees([]);
                 setReminders([]);
                 setUseDefaultReminders(true);
             }
         }
-    }, [open, initialEvent, selectedDate]);
+    }, [open, initialEvent, selectedDate, selectedEndDate, hasGoogle]);
 
     const handleSave = () => {
         if (!summary.trim()) return;
+
+        // The date picker and time pickers are separate - combine them so the
+        // saved event starts (and ends) at the chosen times
+        const start = new Date(date);
+        const lastDay = isValidDate(endDay) && startOfDay(endDay) > startOfDay(start) ? endDay : start;
+        let endDate;
+        if (isAllDay) {
+            // Google's all-day end is exclusive: midnight after the last day
+            endDate = addDays(startOfDay(lastDay), 1);
+        } else {
+            start.setHours(startTime.getHours(), startTime.getMinutes(), 0, 0);
+            endDate = new Date(lastDay);
+            endDate.setHours(endTime.getHours(), endTime.getMinutes(), 0, 0);
+            if (endDate <= start) endDate = new Date(start.getTime() + 3600000);
+        }
+
+        const rule = repeatMode === 'custom' ? customRule : createPresetRule(repeatMode, start);
+        const recurrence = buildRecurrence(rule, otherRecurrenceLines, { isAllDay });
+
         onSave({
-            summary, location, description, colorId, date, isAllDay, repeat, attendees,
+            calendarId, summary, location, description, colorId, date: start, endDate, isAllDay, recurrence, attendees,
             reminders: { useDefault: useDefaultReminders, overrides: reminders },
             time: isAllDay ? 'All day' : startTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
             endTime: isAllDay ? null : endTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
@@ -112,6 +167,30 @@ const AddEventDialog = ({ open, onClose, onSave, selectedDate, initialEvent }) =
         onClose();
     };
 
+    /**
+     * Moving the date can make a quick choice disappear ("2nd Tuesday" on
+     * the 30th) - fall back to "Monthly on day N" so the menu still shows it.
+     */
+    const handleDateChange = (newDate) => {
+        // Moving the start moves the end too, so a 3-day trip stays 3 days
+        if (isValidDate(newDate) && isValidDate(date) && isValidDate(endDay)) {
+            setEndDay(addDays(endDay, differenceInCalendarDays(newDate, date)));
+        }
+        setDate(newDate);
+        if (!isValidDate(newDate) || repeatMode === 'none' || repeatMode === 'custom') return;
+        if (!getPresetOptions(newDate).some(option => option.value === repeatMode)) {
+            setRepeatMode('monthly');
+        }
+    };
+
+    const handleRepeatChange = (mode) => {
+        // Custom starts from whatever the current choice means
+        if (mode === 'custom' && repeatMode !== 'custom') {
+            setCustomRule(createPresetRule(repeatMode === 'none' ? 'weekly' : repeatMode, repeatDate));
+        }
+        setRepeatMode(mode);
+    };
+
     const addAttendee = () => {
         if (attendeeInput && !attendees.includes(attendeeInput)) {
             setAttendees([...attendees, attendeeInput]);
@@ -150,24 +229,45 @@ const AddEventDialog = ({ open, onClose, onSave, selectedDate, initialEvent }) =
                 </Box>
 
                 <DialogContent sx={{ pt: 0 }}>
+                    {/* Target calendar - can't move an existing event between calendars */}
+                    <InputRow icon={<EventIcon />}>
+                        <Select value={calendarId} onChange={e => setCalendarId(e.target.value)} size="small" disabled={Boolean(initialEvent)} sx={{ minWidth: 220 }}>
+                            <MenuItem value="primary" disabled={!hasGoogle && calendarId !== 'primary'}>My Google calendar</MenuItem>
+                            <MenuItem value={CALENDAR_CONFIG.LOCAL_CALENDAR_ID}>{CALENDAR_CONFIG.LOCAL_CALENDAR_NAME}</MenuItem>
+                        </Select>
+                    </InputRow>
+
                     <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
-                        <DatePicker value={date} onChange={setDate} slotProps={{ textField: { size: 'small', sx: { width: 150 } } }} />
-                        {!isAllDay && (
-                            <>
-                                <TimePicker value={startTime} onChange={setStartTime} slotProps={{ textField: { size: 'small', sx: { width: 110 } } }} />
-                                <Typography>to</Typography>
-                                <TimePicker value={endTime} onChange={setEndTime} slotProps={{ textField: { size: 'small', sx: { width: 110 } } }} />
-                            </>
-                        )}
+                        <DatePicker value={date} onChange={handleDateChange} slotProps={{ textField: { size: 'small', sx: { width: 150 } } }} />
+                        {!isAllDay && <TimePicker value={startTime} onChange={setStartTime} slotProps={{ textField: { size: 'small', sx: { width: 110 } } }} />}
+                        <Typography>to</Typography>
+                        {!isAllDay && <TimePicker value={endTime} onChange={setEndTime} slotProps={{ textField: { size: 'small', sx: { width: 110 } } }} />}
+                        {/* A later end date makes a trip (all day) or an overnight event */}
+                        <DatePicker value={endDay} onChange={setEndDay} minDate={isValidDate(date) ? date : undefined} slotProps={{ textField: { size: 'small', sx: { width: 150 } } }} />
                     </Box>
 
                     <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
                         <FormControlLabel control={<Switch checked={isAllDay} onChange={e => setIsAllDay(e.target.checked)} />} label="All day" />
-                        <Select value={repeat} onChange={e => setRepeat(e.target.value)} size="small" startAdornment={<RepeatIcon sx={{ mr: 1 }} />}>
-                            {REPEAT_OPTIONS.map(opt => <MenuItem key={opt} value={opt}>{opt}</MenuItem>)}
+                        <Select
+                            value={repeatMode}
+                            onChange={e => handleRepeatChange(e.target.value)}
+                            size="small"
+                            // A single changed occurrence can't start repeating on its own
+                            disabled={initialEvent?.editScope === 'this'}
+                            startAdornment={<RepeatIcon sx={{ mr: 1 }} />}
+                            renderValue={(mode) => mode === 'custom'
+                                ? describeRule(customRule, repeatDate)
+                                : getPresetOptions(repeatDate).find(option => option.value === mode)?.label}
+                        >
+                            {getPresetOptions(repeatDate).map(opt => <MenuItem key={opt.value} value={opt.value}>{opt.label}</MenuItem>)}
+                            <MenuItem value="custom">Custom...</MenuItem>
                         </Select>
                     </Box>
 
+                    {repeatMode === 'custom' && customRule && (
+                        <RecurrenceEditor rule={customRule} onChange={setCustomRule} date={repeatDate} />
+                    )}
+
                     <Divider sx={{ my: 2 }} />
 
                     <InputRow icon={<LocationOnIcon />}>
@@ -0,0 +1,223 @@
+import React, { useState, useMemo } from 'react';
+import { Box, Typography, Chip, Avatar, Select, MenuItem, Button, Tooltip } from '@mui/material';
+import { format, addMinutes, isSameDay, setHours, startOfDay } from 'date-fns';
+import EventAvailableIcon from '@mui/icons-material/EventAvailable';
+import { useUser } from '../users/useUser';
+import {
+    AVAILABILITY_START_HOUR,
+    AVAILABILITY_END_HOUR,
+    FAMILY_ROW_ID,
+    getAvailabilityWindow,
+    getBusyBlocks,
+    getCommonFreeSlots,
+} from './utils/availability';
+
+const DURATION_OPTIONS = [
+    { label: '30 min', value: 30 },
+    { label: '1 hour', value: 60 },
+    { label: '1½ hours', value: 90 },
+    { label: '2 hours', value: 120 },
+    { label: '3 hours', value: 180 },
+];
+
+const HOURS = Array.from(
+    { length: AVAILABILITY_END_HOUR - AVAILABILITY_START_HOUR },
+    (_, i) => AVAILABILITY_START_HOUR + i
+);
+
+const LABEL_WIDTH = 140;
+const ROW_HEIGHT = 44;
+const FREE_COLOR = '#10B981';
+const FAMILY_COLOR = '#9CA3AF';
+
+/**
+ * "3:00 - 6:00 PM"
+ */
+const formatRange = (start, end) => `${format(start, 'h:mm')} - ${format(end, 'h:mm a')}`;
+
+/**
+ * AvailabilityView - "Who's free?" for one day
+ *
+ * JUNIOR DEV NOTE: One row per family member with their busy blocks
+ * (utils/availability.js decides what "busy" means), and green bands
+ * wherever EVERYONE picked is free for the chosen length of time. Tap a
+ * band (or a slot button) and the add-event dialog opens with that time.
+ *
+ * @param {Object} props
+ * @param {Date} props.currentDate - The day shown
+ * @param {Array} props.events - Events in app format
+ * @param {Function} props.onAddEvent - (start, end) => void
+ */
+const AvailabilityView = ({ currentDate, events = [], onAddEvent }) => {
+    const { users } = useUser();
+    const members = useMemo(() => users.filter(Boolean), [users]);
+
+    // Everyone is compared until someone is tapped off
+    const [excludedIds, setExcludedIds] = useState([]);
+    const [duration, setDuration] = useState(60);
+
+    const selected = useMemo(
+        () => members.filter(member => !excludedIds.includes(member.id)),
+        [members, excludedIds]
+    );
+
+    const busyBlocks = useMemo(
+        () => getBusyBlocks(events, currentDate, selected.map(member => member.id)),
+        [events, currentDate, selected]
+    );
+    const freeSlots = useMemo(
+        () => getCommonFreeSlots(busyBlocks, currentDate, duration),
+        [busyBlocks, currentDate, duration]
+    );
+
+    const range = getAvailabilityWindow(currentDate);
+    const rangeMs = range.end - range.start;
+    const toPercent = (date) => ((date - range.start) / rangeMs) * 100;
+    const blockSx = (block) => ({
+        position: 'absolute',
+        top: 4,
+        bottom: 4,
+        left: `${toPercent(block.start)}%`,
+        width: `${toPercent(block.end) - toPercent(block.start)}%`,
+        borderRadius: 1,
+    });
+
+    const toggleMember = (id) => {
+        setExcludedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    /**
+     * Tapping inside a free band starts the event where you tapped
+     * (on the quarter hour), as long as it still fits in the gap
+     */
+    const handleSlotClick = (slot, e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const tapped = new Date(slot.start.getTime() + ((e.clientX - rect.left) / rect.width) * (slot.end - slot.start));
+        const quarter = 15 * 60 * 1000;
+        const latestStart = addMinutes(slot.end, -duration);
+        const start = new Date(Math.min(
+            Math.max(Math.floor(tapped.getTime() / quarter) * quarter, slot.start.getTime()),
+            latestStart.getTime()
+        ));
+        onAddEvent?.(start, addMinutes(start, duration));
+    };
+
+    const rows = [
+        ...selected.map(member => ({ id: String(member.id), name: member.name, color: member.color, avatar: member.avatar })),
+        { id: FAMILY_ROW_ID, name: 'Family', color: FAMILY_COLOR, avatar: null },
+    ];
+
+    const isPastDay = startOfDay(currentDate) < startOfDay(new Date());
+
+    return (
+        <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column', gap: 2, overflow: 'auto', p: 1 }}>
+            {/* Who to compare, and for how long */}
+            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                <Typography variant="h6" fontWeight="bold" sx={{ mr: 1 }}>
+                    {format(currentDate, 'EEEE, MMMM d')}
+                </Typography>
+                {members.map(member => {
+                    const isSelected = !excludedIds.includes(member.id);
+                    return (
+                        <Chip
+                            key={member.id}
+                            avatar={<Avatar sx={{ bgcolor: member.color }}>{member.avatar}</Avatar>}
+                            label={member.name}
+                            onClick={() => toggleMember(member.id)}
+                            variant={isSelected ? 'filled' : 'outlined'}
+                            sx={{ minHeight: 40, opacity: isSelected ? 1 : 0.5 }}
+                        />
+                    );
+                })}
+                <Box sx={{ flex: 1 }} />
+                <Typography variant="body2" color="text.secondary">Free for</Typography>
+                <Select size="small" value={duration} onChange={(e) => setDuration(e.target.value)}>
+                    {DURATION_OPTIONS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                    ))}
+                </Select>
+            </Box>
+
+            {/* Timeline */}
+            <Box>
+                {/* Hour labels */}
+                <Box sx={{ display: 'flex', pl: `${LABEL_WIDTH}px` }}>
+                    {HOURS.map(hour => (
+                        <Typography key={hour} variant="caption" color="text.secondary" sx={{ flex: 1 }}>
+                            {format(setHours(startOfDay(currentDate), hour), 'h a')}
+                        </Typography>
+                    ))}
+                </Box>
+
+                {/* Everyone free */}
+                <Box sx={{ display: 'flex', alignItems: 'center', height: ROW_HEIGHT }}>
+                    <Box sx={{ width: LABEL_WIDTH, display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <EventAvailableIcon sx={{ color: FREE_COLOR }} />
+                        <Typography variant="body2" fontWeight="bold">Everyone free</Typography>
+                    </Box>
+                    <Box sx={{ flex: 1, position: 'relative', height: '100%', bgcolor: 'action.hover', borderRadius: 1 }}>
+                        {freeSlots.map(slot => (
+                            <Box
+                                key={slot.start.getTime()}
+                                data-testid="free-slot"
+                                onClick={(e) => handleSlotClick(slot, e)}
+                                sx={{ ...blockSx(slot), bgcolor: FREE_COLOR, cursor: 'pointer', '&:hover': { opacity: 0.85 } }}
+                            />
+                        ))}
+                    </Box>
+                </Box>
+
+                {/* One row per member, plus the family calendar */}
+                {rows.map(row => (
+                    <Box key={row.id} sx={{ display: 'flex', alignItems: 'center', height: ROW_HEIGHT, borderTop: '1px solid #f0f0f0' }}>
+                        <Box sx={{ width: LABEL_WIDTH, display: 'flex', alignItems: 'center', gap: 1, overflow: 'hidden' }}>
+                            <Avatar sx={{ bgcolor: row.color, width: 28, height: 28, fontSize: '0.9rem' }}>
+                                {row.avatar || <EventAvailableIcon fontSize="small" />}
+                            </Avatar>
+                            <Typography variant="body2" noWrap>{row.name}</Typography>
+                        </Box>
+                        <Box sx={{ flex: 1, position: 'relative', height: '100%' }}>
+                            {/* Common free time shows through every row */}
+                            {freeSlots.map(slot => (
+                                <Box key={slot.start.getTime()} sx={{ ...blockSx(slot), top: 0, bottom: 0, borderRadius: 0, bgcolor: FREE_COLOR, opacity: 0.12, pointerEvents: 'none' }} />
+                            ))}
+                            {(busyBlocks[row.id] || []).map(block => (
+                                <Tooltip
+                                    key={block.start.getTime()}
+                                    title={`${formatRange(block.start, block.end)}: ${block.events.map(event => event.summary).join(', ')}`}
+                                >
+                                    <Box data-testid="busy-block" sx={{ ...blockSx(block), bgcolor: row.color, opacity: 0.85 }} />
+                                </Tooltip>
+                            ))}
+                        </Box>
+                    </Box>
+                ))}
+            </Box>
+
+            {/* The same slots as buttons - easier to hit than a thin band */}
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center' }}>
+                {freeSlots.length === 0 ? (
+                    <Typography color="text.secondary">
+                        {isPastDay
+                            ? 'This day is over.'
+                            : `No time when everyone is free for ${DURATION_OPTIONS.find(o => o.value === duration)?.label} ${isSameDay(currentDate, new Date()) ? 'today' : 'this day'}.`}
+                    </Typography>
+                ) : (
+                    freeSlots.map(slot => (
+                        <Button
+                            key={slot.start.getTime()}
+                            variant="outlined"
+                            color="success"
+                            onClick={() => onAddEvent?.(slot.start, addMinutes(slot.start, duration))}
+                            sx={{ minHeight: 44 }}
+                        >
+                            {formatRange(slot.start, slot.end)}
+                        </Button>
+                    ))
+                )}
+            </Box>
+        </Box>
+    );
+};
+
+export default AvailabilityView;
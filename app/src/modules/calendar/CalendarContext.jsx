@@ -8,13 +8,16 @@
  * Instead of stuffing all the logic here, we've moved it into specialized hooks:
  * 1. useCalendarEvents: Handles fetching and merging events (READ)
  * 2. useEventMutations: Handles creating/updating/deleting events (WRITE)
+ * 3. useEventOutbox: Holds Google changes until they reach Google (OFFLINE)
  */
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useMemo, useCallback } from 'react';
 import { useUser } from '../users/useUser';
 import { useUI } from '../ui/useUI';
 import { useCalendarEvents } from './hooks/useCalendarEvents';
 import { useEventMutations } from './hooks/useEventMutations';
+import { useEventOutbox } from './hooks/useEventOutbox';
+import { applyOutbox } from './utils/pendingEvents';
 import { CalendarContext } from './CalendarContextCore';
 
 /**
@@ -28,13 +31,13 @@ export default function CalendarProvider({ children }) {
     // 1. Get Dependencies from other contexts
     // JUNIOR DEV NOTE: We use other contexts since the calendar 
     // depends on who is logged in and needs to show notifications.
-    const { users, googleTokens, selectedCalendars, getCurrentUserToken } = useUser();
+    const { users, currentUser, googleTokens, selectedCalendars, getFreshToken } = useUser();
     const { showNotification } = useUI();
 
     // 2. Initialize Read-side state (Events)
     // This hook handles the heavy lifting of fetching from multiple Google accounts.
     const {
-        events,
+        events: syncedEvents,
         loading: syncing,
         error: fetchError,
         fetchEvents
@@ -42,28 +45,44 @@ export default function CalendarProvider({ children }) {
         users,
         googleTokens,
         selectedCalendars,
-        useUser().getFreshToken // Pass the async token getter
+        getFreshToken // Pass the async token getter
     );
 
-    // 3. Initialize Write-side operations (Mutations)
+    // 3. Initialize the Outbox (Google changes not yet confirmed)
+    // JUNIOR DEV NOTE: The queued changes are drawn over the synced events,
+    // so an event added offline shows up straight away.
+    const { outbox, queueChange, keepMine, discardChange } = useEventOutbox(getFreshToken, fetchEvents);
+    const events = useMemo(() => applyOutbox(syncedEvents, outbox, users), [syncedEvents, outbox, users]);
+
+    // Changes are made with the current user's Google account
+    const queueGoogleChange = useCallback(async (change) => {
+        if (!currentUser || !googleTokens[currentUser.id]) return null;
+        return queueChange({ ...change, userId: currentUser.id });
+    }, [currentUser, googleTokens, queueChange]);
+
+    // 4. Initialize Write-side operations (Mutations)
     // This hook provides standardized CRUD operations with built-in error handling.
     const {
         addEvent,
         updateEvent,
-        removeEvent
+        removeEvent,
+        updateRecurringEvent,
+        removeRecurringEvent,
+        loadSeries
     } = useEventMutations(
         useUser().getFreshCurrentUserToken, // Use Async/Secure token getter
         showNotification,
-        fetchEvents // Pass fetchEvents so it auto-refreshes after a mutation
+        fetchEvents, // Pass fetchEvents so it auto-refreshes after a mutation
+        queueGoogleChange
     );
 
-    // 4. Lifecycle Management
+    // 5. Lifecycle Management
     // Automatically fetch events when the component mounts or when fetchEvents is recreated.
     useEffect(() => {
         fetchEvents();
     }, [fetchEvents]);
 
-    // 5. Global Error Handling
+    // 6. Global Error Handling
     // If a fetch fails, we want to pop a toast/snackbar to let the family know.
     useEffect(() => {
         if (fetchError) {
@@ -71,7 +90,7 @@ export default function CalendarProvider({ children }) {
         }
     }, [fetchError, showNotification]);
 
-    // 6. Assemble the Context Value
+    // 7. Assemble the Context Value
     // JUNIOR DEV NOTE: We name these clearly so the components know exactly
     // what they are getting. 'syncing' is more descriptive for a UI than 'loading'.
     const value = {
@@ -82,6 +101,12 @@ export default function CalendarProvider({ children }) {
         addEvent,
         updateEvent,
         removeEvent,
+        updateRecurringEvent,
+        removeRecurringEvent,
+        loadSeries,
+        outbox,
+        keepOutboxChange: keepMine,
+        discardOutboxChange: discardChange,
         // Alias for components expecting different names
         deleteEvent: removeEvent,
         loading: syncing
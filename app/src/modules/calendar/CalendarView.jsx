@@ -29,7 +29,9 @@ import { useCalendarNavigation } from './hooks/useCalendarNavigation';
 import WeeklyView from './WeeklyView';
 import DayView from './DayView';
 import MonthView from './MonthView';
+import AvailabilityView from './AvailabilityView';
 import AddEventDialog from './AddEventDialog';
+import PendingChangesButton from './PendingChangesButton';
 
 /**
  * View mode options
@@ -38,6 +40,7 @@ const VIEW_OPTIONS = [
     { key: 'day', label: 'Day' },
     { key: 'week', label: 'Week' },
     { key: 'month', label: 'Month' },
+    { key: 'availability', label: "Who's free" },
 ];
 
 /**
@@ -47,7 +50,7 @@ const VIEW_OPTIONS = [
  * Main calendar interface with multiple view modes and event management.
  * 
  * FEATURES:
- * - Multiple view modes (day, week, month)
+ * - Multiple view modes (day, week, month, who's free)
  * - Touch gesture navigation (swipe left/right)
  * - Add/edit events
  * - Navigate between dates
@@ -65,7 +68,7 @@ const CalendarView = () => {
     // ========================================================================
 
     // Calendar data and operations
-    const { events, loading, addEvent, updateEvent } = useCalendar();
+    const { events, loading, addEvent, updateEvent, removeEvent, updateRecurringEvent, removeRecurringEvent, loadSeries } = useCalendar();
 
     // Navigation and view management
     const {
@@ -83,6 +86,7 @@ const CalendarView = () => {
     const [menuAnchor, setMenuAnchor] = useState(null);
     const [dialogOpen, setDialogOpen] = useState(false);
     const [selectedDate, setSelectedDate] = useState(null);
+    const [selectedEndDate, setSelectedEndDate] = useState(null);
     const [editingEvent, setEditingEvent] = useState(null);
 
     // ========================================================================
@@ -94,15 +98,48 @@ const CalendarView = () => {
      */
     const handleAddEvent = (date) => {
         setSelectedDate(date);
+        setSelectedEndDate(null);
+        setEditingEvent(null);
+        setDialogOpen(true);
+    };
+
+    /**
+     * Opens dialog to add an event in a free slot ("Who's free" view)
+     *
+     * @param {Date} start - Slot start (date AND time)
+     * @param {Date} end - Slot end
+     */
+    const handleAddEventInSlot = (start, end) => {
+        setSelectedDate(start);
+        setSelectedEndDate(end);
         setEditingEvent(null);
         setDialogOpen(true);
     };
 
     /**
      * Opens dialog to edit existing event
+     * 
+     * For a repeating event, `scope` is the answer to EventDetailPopup's
+     * "this / following / all" prompt:
+     * - 'this': the occurrence on its own date, with no repeat rule
+     * - 'following': the series' rule (loaded - Google instances don't
+     *   include it), starting from this occurrence's date
+     * - 'all': the series' rule, from the series' first date
+     * 
+     * @param {Object} event - Event (instance) that was opened
+     * @param {string} [scope='all'] - 'this' | 'following' | 'all'
      */
-    const handleEditEvent = (event) => {
-        setEditingEvent(event);
+    const handleEditEvent = async (event, scope = 'all') => {
+        if (scope === 'this') {
+            setEditingEvent({ ...event, recurrence: null, seriesStart: null, editScope: scope });
+        } else {
+            const series = await loadSeries(event);
+            setEditingEvent({
+                ...series,
+                seriesStart: scope === 'following' ? null : series.seriesStart,
+                editScope: scope,
+            });
+        }
         setDialogOpen(true);
     };
 
@@ -111,11 +148,14 @@ const CalendarView = () => {
      */
     const handleSaveEvent = async (data) => {
         try {
-            if (editingEvent) {
+            if (editingEvent?.recurringEventId) {
+                await updateRecurringEvent(editingEvent, data, editingEvent.editScope);
+            } else if (editingEvent) {
                 await updateEvent(
                     editingEvent.originalCalendarId || 'primary',
-                    editingEvent.id,
-                    data
+                    editingEvent.seriesId || editingEvent.id,
+                    data,
+                    editingEvent.updated
                 );
             } else {
                 await addEvent(data);
@@ -128,6 +168,21 @@ const CalendarView = () => {
         setDialogOpen(false);
     };
 
+    /**
+     * Deletes an event, or part of a repeating one (`scope` as for editing)
+     */
+    const handleDeleteEvent = async (event, scope = 'all') => {
+        try {
+            if (event.recurringEventId) {
+                await removeRecurringEvent(event, scope);
+            } else {
+                await removeEvent(event.originalCalendarId || 'primary', event.id, event.updated);
+            }
+        } catch (err) {
+            console.error('Failed to delete event:', err);
+        }
+    };
+
     /**
      * Handles day click in month view
      * 
@@ -176,6 +231,7 @@ const CalendarView = () => {
             events,
             onAddEvent: handleAddEvent,
             onEditEvent: handleEditEvent,
+            onDeleteEvent: handleDeleteEvent,
         };
 
         switch (viewMode) {
@@ -183,6 +239,8 @@ const CalendarView = () => {
                 return <DayView {...viewProps} />;
             case 'month':
                 return <MonthView {...viewProps} onDayClick={handleDayClick} />;
+            case 'availability':
+                return <AvailabilityView {...viewProps} onAddEvent={handleAddEventInSlot} />;
             default:
                 return <WeeklyView {...viewProps} />;
         }
@@ -205,6 +263,7 @@ const CalendarView = () => {
     // Header Actions Component
     const HeaderActions = (
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <PendingChangesButton />
             <Button startIcon={<TodayIcon />} onClick={goToToday} size="small" variant="text">
                 Today
             </Button>
@@ -270,6 +329,7 @@ const CalendarView = () => {
                 onClose={() => setDialogOpen(false)}
                 onSave={handleSaveEvent}
                 selectedDate={selectedDate || (editingEvent ? editingEvent.date : new Date())}
+                selectedEndDate={selectedEndDate}
                 initialEvent={editingEvent}
             />
         </AppCard>
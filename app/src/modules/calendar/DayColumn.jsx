@@ -6,10 +6,13 @@ import EventCard from './EventCard';
 import MealSection from './MealSection';
 import WeatherSection from './WeatherSection';
 import EventDetailPopup from './EventDetailPopup';
+import { isEventOnDay, isSpanningEvent, getContinuationLabel } from './utils/eventSpans';
 
 const DayColumn = ({ day, events, onAddEvent, onEditEvent, onDeleteEvent }) => {
     const [selectedEvent, setSelectedEvent] = useState(null);
-    const dayEvents = events.filter(e => isSameDay(e.date, day));
+    // Multi-day events are WeeklyView's bars; overnight ones show on each day they touch
+    const eventsOnDay = events.filter(e => isEventOnDay(e, day));
+    const dayEvents = eventsOnDay.filter(e => !isSpanningEvent(e));
     const isToday = isSameDay(day, new Date());
     const dateKey = format(day, 'yyyy-MM-dd');
 
@@ -44,7 +47,7 @@ const DayColumn = ({ day, events, onAddEvent, onEditEvent, onDeleteEvent }) => {
                 <Typography variant="subtitle2" fontWeight="bold">
                     {format(day, 'EEE')}
                     <Typography component="span" variant="caption" sx={{ ml: 0.5, opacity: 0.7 }}>
-                        {dayEvents.length} events
+                        {eventsOnDay.length} events
                     </Typography>
                 </Typography>
                 <Box sx={{ display: 'inline-flex', alignItems: 'center', justifyContent: 'center' }}>
@@ -70,6 +73,7 @@ const DayColumn = ({ day, events, onAddEvent, onEditEvent, onDeleteEvent }) => {
                     <EventCard
                         key={event.id}
                         event={event}
+                        timeLabel={getContinuationLabel(event, day)}
                         onClick={(event, ev) => {
                             // Don't trigger the background click
                             if (ev && typeof ev.stopPropagation === 'function') ev.stopPropagation();
@@ -84,8 +88,8 @@ const DayColumn = ({ day, events, onAddEvent, onEditEvent, onDeleteEvent }) => {
 
             {/* Event Detail Popup */}
             <EventDetailPopup event={selectedEvent} open={!!selectedEvent} onClose={() => setSelectedEvent(null)}
-                onEdit={(e) => { setSelectedEvent(null); onEditEvent(e); }}
-                onDelete={(e) => { setSelectedEvent(null); onDeleteEvent(e); }} />
+                onEdit={(e, scope) => { setSelectedEvent(null); onEditEvent(e, scope); }}
+                onDelete={(e, scope) => { setSelectedEvent(null); onDeleteEvent(e, scope); }} />
         </Paper>
     );
 };
@@ -3,7 +3,7 @@ import { Box, Typography, Paper, IconButton } from '@mui/material';
 import { format, isSameDay, startOfDay, addHours } from 'date-fns';
 import AddIcon from '@mui/icons-material/Add';
 import EventCard from './EventCard';
-import EventDetailPopup from './EventDetailPopup';
+import { isEventOnDay, isSpanningEvent, getDaySegment, getContinuationLabel } from './utils/eventSpans';
 
 const HOUR_HEIGHT = 60; // pixels per hour
 const HOURS = Array.from({ length: 24 }, (_, i) => i);
@@ -17,7 +17,9 @@ const DayView = ({ currentDate, events = [], onAddEvent, onEditEvent }) => {
         return () => clearInterval(timer);
     }, []);
 
-    const dayEvents = events.filter(e => isSameDay(e.date, currentDate));
+    // Everything on this day, including overnight events from yesterday
+    const dayEvents = events.filter(e => isEventOnDay(e, currentDate));
+    const allDayEvents = dayEvents.filter(e => e.isAllDay || isSpanningEvent(e));
     const isToday = isSameDay(currentDate, new Date());
 
     // Calculate time bar position
@@ -45,6 +47,15 @@ const DayView = ({ currentDate, events = [], onAddEvent, onEditEvent }) => {
                 </Box>
             </Box>
 
+            {/* All-day and multi-day events */}
+            {allDayEvents.length > 0 && (
+                <Box sx={{ p: 1, pl: 8, borderBottom: '1px solid #eee' }}>
+                    {allDayEvents.map(event => (
+                        <EventCard key={event.id} event={event} timeLabel={getContinuationLabel(event, currentDate)} onClick={(event) => onEditEvent?.(event)} />
+                    ))}
+                </Box>
+            )}
+
             {/* Time Grid */}
             <Box
                 sx={{ flex: 1, overflow: 'auto', position: 'relative', cursor: 'pointer' }}
@@ -90,9 +101,10 @@ const DayView = ({ currentDate, events = [], onAddEvent, onEditEvent }) => {
                 ))}
 
                 {/* Events positioned by time */}
-                {dayEvents.filter(e => !e.isAllDay && e.startTime).map(event => {
-                    const [h, m] = (event.startTime || '00:00').split(':').map(Number);
-                    const top = (h + m / 60) * HOUR_HEIGHT;
+                {dayEvents.filter(e => !allDayEvents.includes(e)).map(event => {
+                    // An event from last night starts at the top of the grid
+                    const { start } = getDaySegment(event, currentDate);
+                    const top = (start.getHours() + start.getMinutes() / 60) * HOUR_HEIGHT;
                     return (
                         <Box
                             key={event.id}
@@ -104,6 +116,7 @@ const DayView = ({ currentDate, events = [], onAddEvent, onEditEvent }) => {
                         >
                             <EventCard
                                 event={event}
+                                timeLabel={getContinuationLabel(event, currentDate)}
                                 onClick={(event, e) => {
                                     if (e && typeof e.stopPropagation === 'function') e.stopPropagation();
                                     onEditEvent?.(event);
@@ -1,6 +1,8 @@
 import React from 'react';
-import { Paper, Box, Typography, Chip, IconButton } from '@mui/material';
+import { Paper, Box, Typography, Chip, IconButton, Tooltip } from '@mui/material';
 import { motion } from 'framer-motion';
+import CloudUploadOutlinedIcon from '@mui/icons-material/CloudUploadOutlined';
+import SyncProblemIcon from '@mui/icons-material/SyncProblem';
 
 // Color tag mapping (matches Google Calendar colorId)
 const COLOR_TAGS = {
@@ -19,7 +21,34 @@ const COLOR_TAGS = {
 
 const getEventColor = (colorId) => COLOR_TAGS[colorId]?.bg || COLOR_TAGS[1].bg;
 
-const EventCard = ({ event, onClick }) => {
+/**
+ * Small icon for a change that hasn't reached Google yet (see pendingEvents.js)
+ */
+const SyncStatusIcon = ({ event }) => {
+    if (event.syncConflict) {
+        return (
+            <Tooltip title={`Not synced: ${event.syncConflict}`}>
+                <SyncProblemIcon fontSize="inherit" color="warning" aria-label="Sync conflict" sx={{ ml: 'auto', flexShrink: 0 }} />
+            </Tooltip>
+        );
+    }
+    if (event.pending) {
+        return (
+            <Tooltip title="Waiting to sync">
+                <CloudUploadOutlinedIcon fontSize="inherit" aria-label="Waiting to sync" sx={{ ml: 'auto', flexShrink: 0, opacity: 0.7 }} />
+            </Tooltip>
+        );
+    }
+    return null;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.event - Event in app format
+ * @param {Function} props.onClick - (event, domEvent) => void
+ * @param {string} [props.timeLabel] - Replaces event.time (e.g. "Until 2:00 AM" on an overnight event's second day)
+ */
+const EventCard = ({ event, onClick, timeLabel }) => {
     const bgColor = getEventColor(event.colorId || 1);
 
     return (
@@ -32,6 +61,10 @@ const EventCard = ({ event, onClick }) => {
                     mb: 1,
                     backgroundColor: bgColor,
                     borderRadius: 2,
+                    // Not on Google yet - look a little "unfinished"
+                    opacity: event.pending ? 0.75 : 1,
+                    outline: event.syncConflict ? '2px dashed' : 'none',
+                    outlineColor: 'warning.main',
                     cursor: 'pointer',
                     boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
                     transition: 'box-shadow 0.2s ease, transform 0.2s ease',
@@ -44,8 +77,9 @@ const EventCard = ({ event, onClick }) => {
                 <Box display="flex" alignItems="center" gap={0.5}>
                     {event.emoji && <span>{event.emoji}</span>}
                     <Typography variant="body2" fontWeight={600} noWrap>{event.summary}</Typography>
+                    <SyncStatusIcon event={event} />
                 </Box>
-                {event.time && <Typography variant="caption" color="text.secondary">{event.time}</Typography>}
+                {(timeLabel || event.time) && <Typography variant="caption" color="text.secondary">{timeLabel || event.time}</Typography>}
             </Paper>
         </motion.div>
     );
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Dialog, DialogContent, Box, Typography, IconButton, Divider, Chip, Link, Button, CircularProgress, Avatar, AvatarGroup, Tooltip } from '@mui/material';
+import { Dialog, DialogContent, DialogTitle, DialogActions, Box, Typography, IconButton, Divider, Chip, Link, Button, CircularProgress, Avatar, AvatarGroup, Tooltip, RadioGroup, Radio, FormControlLabel } from '@mui/material';
 import CloseIcon from '@mui/icons-material/Close';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
@@ -14,28 +14,67 @@ import OpenInNewIcon from '@mui/icons-material/OpenInNew';
 import VideoCallIcon from '@mui/icons-material/VideoCall';
 import { format } from 'date-fns';
 import { COLOR_TAGS } from './EventCard';
+import { parseRecurrence, describeRule } from '../../utils/rrule';
+
+/**
+ * How far an edit or delete on a repeating event reaches
+ * (see useEventMutations.updateRecurringEvent)
+ */
+const SCOPE_OPTIONS = [
+    { value: 'this', label: 'This event' },
+    { value: 'following', label: 'This and following events' },
+    { value: 'all', label: 'All events' },
+];
 
 const EventDetailPopup = ({ event, open, onClose, onEdit, onDelete }) => {
     const [deleting, setDeleting] = useState(false);
     const [confirmDelete, setConfirmDelete] = useState(false);
+    // Repeating events ask "this / following / all" first: null, 'edit' or 'delete'
+    const [scopeAction, setScopeAction] = useState(null);
+    const [scope, setScope] = useState('this');
 
     if (!event) return null;
 
     const bgColor = COLOR_TAGS[event.colorId]?.bg || COLOR_TAGS[1].bg;
     const eventDate = new Date(event.date);
-    const isEditable = event.isGoogleEvent && event.eventType !== 'birthday' && event.eventType !== 'holiday';
+    const isEditable = (event.isGoogleEvent || event.isLocalEvent) && event.eventType !== 'birthday' && event.eventType !== 'holiday';
+    const repeatRule = parseRecurrence(event.recurrence).rule;
+    const repeatText = repeatRule ? describeRule(repeatRule, new Date(event.seriesStart || event.date)) : 'Recurring event';
+    const sourceLabel = event.isGoogleEvent
+        ? 'Google Calendar'
+        : (event.isLocalEvent || event.isSubscriptionEvent) ? event.calendarName : 'Local Event';
 
-    const handleDelete = async () => {
-        if (!confirmDelete) { setConfirmDelete(true); return; }
+    const isRecurring = Boolean(event.recurringEventId);
+
+    const runDelete = async (deleteScope) => {
         setDeleting(true);
         try {
-            await onDelete?.(event);
+            await onDelete?.(event, deleteScope);
             onClose();
         } catch (err) {
             console.error('Delete failed:', err);
         } finally { setDeleting(false); setConfirmDelete(false); }
     };
 
+    // The scope prompt doubles as the delete confirmation for repeating events
+    const handleDelete = () => {
+        if (isRecurring) { setScope('this'); setScopeAction('delete'); return; }
+        if (!confirmDelete) { setConfirmDelete(true); return; }
+        runDelete();
+    };
+
+    const handleEdit = () => {
+        if (isRecurring) { setScope('this'); setScopeAction('edit'); return; }
+        onEdit?.(event);
+    };
+
+    const handleScopeConfirm = () => {
+        const action = scopeAction;
+        setScopeAction(null);
+        if (action === 'edit') onEdit?.(event, scope);
+        else runDelete(scope);
+    };
+
     // Helper to find Google Meet link
     const meetLink = event.conferenceData?.entryPoints?.find(e => e.entryPointType === 'video')?.uri;
 
@@ -45,7 +84,7 @@ const EventDetailPopup = ({ event, open, onClose, onEdit, onDelete }) => {
             <Box sx={{ bgcolor: bgColor, p: 2, position: 'relative', display: 'flex', justifyContent: 'space-between' }}>
                 <Typography variant="h5" fontWeight="bold" mt={1}>{event.emoji} {event.summary}</Typography>
                 <Box>
-                    {isEditable && <IconButton onClick={() => onEdit?.(event)} size="small"><EditIcon /></IconButton>}
+                    {isEditable && <IconButton onClick={handleEdit} size="small"><EditIcon /></IconButton>}
                     {isEditable && <IconButton onClick={handleDelete} size="small" color={confirmDelete ? 'error' : 'default'}>{deleting ? <CircularProgress size={20} /> : <DeleteIcon />}</IconButton>}
                     <IconButton onClick={onClose} size="small"><CloseIcon /></IconButton>
                 </Box>
@@ -61,7 +100,7 @@ const EventDetailPopup = ({ event, open, onClose, onEdit, onDelete }) => {
                 {/* Date & Time */}
                 <DetailRow icon={<CalendarTodayIcon />}>
                     <Typography variant="body1" fontWeight={500}>{format(eventDate, 'EEEE, MMMM d, yyyy')}</Typography>
-                    <Typography variant="body2" color="text.secondary">{event.isAllDay ? 'All day' : event.time}{event.recurrence && ' • Recurring'}</Typography>
+                    <Typography variant="body2" color="text.secondary">{event.isAllDay ? 'All day' : event.time}{(event.recurrence || isRecurring) && ' • Recurring'}</Typography>
                 </DetailRow>
 
                 {/* Google Meet */}
@@ -113,7 +152,7 @@ const EventDetailPopup = ({ event, open, onClose, onEdit, onDelete }) => {
 
                 {event.location && <DetailRow icon={<LocationOnIcon />}><Typography variant="body2">{event.location}</Typography></DetailRow>}
                 {event.description && <DetailRow icon={<DescriptionIcon />}><Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{event.description}</Typography></DetailRow>}
-                {event.recurrence && <DetailRow icon={<RepeatIcon />}><Typography variant="body2" color="text.secondary">Recurring event</Typography></DetailRow>}
+                {(event.recurrence || isRecurring) && <DetailRow icon={<RepeatIcon />}><Typography variant="body2" color="text.secondary">{repeatText}</Typography></DetailRow>}
 
                 {/* Attendees */}
                 {event.attendees && event.attendees.length > 0 && (
@@ -138,10 +177,27 @@ const EventDetailPopup = ({ event, open, onClose, onEdit, onDelete }) => {
 
                 <Divider sx={{ my: 2 }} />
                 <Box display="flex" justifyContent="space-between" alignItems="center">
-                    <Chip label={event.isGoogleEvent ? 'Google Calendar' : 'Local Event'} size="small" color={event.isGoogleEvent ? 'primary' : 'default'} variant="outlined" />
+                    <Chip label={sourceLabel} size="small" color={event.isGoogleEvent ? 'primary' : 'default'} variant="outlined" />
                     {event.htmlLink && <Link href={event.htmlLink} target="_blank" rel="noopener" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>Open in Google <OpenInNewIcon fontSize="small" /></Link>}
                 </Box>
             </DialogContent>
+
+            <Dialog open={Boolean(scopeAction)} onClose={() => setScopeAction(null)} maxWidth="xs" fullWidth>
+                <DialogTitle>{scopeAction === 'delete' ? 'Delete recurring event' : 'Edit recurring event'}</DialogTitle>
+                <DialogContent>
+                    <RadioGroup value={scope} onChange={e => setScope(e.target.value)}>
+                        {SCOPE_OPTIONS.map(option => (
+                            <FormControlLabel key={option.value} value={option.value} control={<Radio />} label={option.label} sx={{ minHeight: 44 }} />
+                        ))}
+                    </RadioGroup>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setScopeAction(null)}>Cancel</Button>
+                    <Button onClick={handleScopeConfirm} variant="contained" color={scopeAction === 'delete' ? 'error' : 'primary'}>
+                        {scopeAction === 'delete' ? 'Delete' : 'OK'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
         </Dialog>
     );
 };
@@ -1,12 +1,20 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Box, Typography, Paper, IconButton } from '@mui/material';
 import { format, startOfMonth, endOfMonth, startOfWeek, endOfWeek, addDays, isSameMonth, isSameDay } from 'date-fns';
 import ArrowBackIosNewIcon from '@mui/icons-material/ArrowBackIosNew';
 import ArrowForwardIosIcon from '@mui/icons-material/ArrowForwardIos';
+import SpanningEventBar from './SpanningEventBar';
+import EventDetailPopup from './EventDetailPopup';
+import { isEventOnDay, isSpanningEvent, layoutSpanningEvents } from './utils/eventSpans';
 
 const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
-const MonthView = ({ currentDate, events = [], onDayClick, onAddEvent }) => {
+// Grid rows of a week: the day numbers, then one row per lane of multi-day bars (px)
+const DAY_NUMBER_HEIGHT = 38;
+const BAR_HEIGHT = 16;
+
+const MonthView = ({ currentDate, events = [], onDayClick, onAddEvent, onEditEvent, onDeleteEvent }) => {
+    const [selectedEvent, setSelectedEvent] = useState(null);
     const monthStart = startOfMonth(currentDate);
     const monthEnd = endOfMonth(currentDate);
     const calendarStart = startOfWeek(monthStart);
@@ -24,7 +32,8 @@ const MonthView = ({ currentDate, events = [], onDayClick, onAddEvent }) => {
         weeks.push(week);
     }
 
-    const getEventsForDay = (day) => events.filter(e => isSameDay(e.date, day));
+    // Multi-day events are bars across the week; the dots are everything else
+    const getEventsForDay = (day) => events.filter(e => isEventOnDay(e, day) && !isSpanningEvent(e));
 
     return (
         <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column', p: 2 }}>
@@ -39,68 +48,97 @@ const MonthView = ({ currentDate, events = [], onDayClick, onAddEvent }) => {
 
             {/* Calendar Grid */}
             <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column' }}>
-                {weeks.map((week, wi) => (
-                    <Box key={wi} sx={{ flex: 1, display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', minHeight: 80 }}>
-                        {week.map((d) => {
-                            const isCurrentMonth = isSameMonth(d, currentDate);
-                            const isToday = isSameDay(d, new Date());
-                            const dayEvents = getEventsForDay(d);
+                {weeks.map((week, wi) => {
+                    const { bars, laneCount } = layoutSpanningEvents(events, week);
 
-                            return (
-                                <Paper
-                                    key={d.toString()}
-                                    elevation={0}
-                                    onClick={() => onAddEvent?.(d)}
-                                    sx={{
-                                        p: 0.5,
-                                        m: 0.25,
-                                        borderRadius: 1,
-                                        cursor: 'pointer',
-                                        bgcolor: isCurrentMonth ? 'background.paper' : 'grey.50',
-                                        opacity: isCurrentMonth ? 1 : 0.5,
-                                        border: '1px solid',
-                                        borderColor: isToday ? 'primary.main' : 'divider',
-                                        '&:hover': { bgcolor: 'action.hover' },
-                                    }}
-                                >
-                                    <Box sx={{ display: 'flex', justifyContent: 'center', mb: 0.5 }}>
-                                        <Typography
-                                            variant="body2"
-                                            fontWeight={isToday ? 'bold' : 'normal'}
-                                            onClick={(e) => {
-                                                e.stopPropagation(); // Don't trigger add event
-                                                onDayClick?.(d);
-                                            }}
-                                            sx={{
-                                                color: isToday ? '#fff' : 'text.primary',
-                                                bgcolor: isToday ? 'primary.main' : 'transparent',
-                                                borderRadius: '50%',
-                                                width: 28,
-                                                height: 28,
-                                                display: 'flex',
-                                                alignItems: 'center',
-                                                justifyContent: 'center',
-                                                '&:hover': { opacity: 0.8 }
-                                            }}
-                                        >
-                                            {format(d, 'd')}
-                                        </Typography>
-                                    </Box>
-                                    {/* Event dots */}
-                                    <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 0.25 }}>
-                                        {dayEvents.slice(0, 3).map((e, idx) => (
-                                            <Box key={idx} sx={{ width: 6, height: 6, borderRadius: '50%', bgcolor: e.colorId ? `#${['a4bdfc', '7ae7bf', 'dbadff', 'ff887c', 'fbd75b'][e.colorId % 5]}` : 'primary.main' }} />
-                                        ))}
-                                        {dayEvents.length > 3 && (
-                                            <Typography variant="caption" sx={{ fontSize: 8 }}>+{dayEvents.length - 3}</Typography>
-                                        )}
-                                    </Box>
-                                </Paper>
-                            );
-                        })}
-                    </Box>
-                ))}
+                    return (
+                        <Box key={wi} sx={{
+                            flex: 1,
+                            display: 'grid',
+                            gridTemplateColumns: 'repeat(7, 1fr)',
+                            gridTemplateRows: `${DAY_NUMBER_HEIGHT}px repeat(${laneCount}, ${BAR_HEIGHT}px) 1fr`,
+                            rowGap: '2px',
+                            minHeight: 80,
+                        }}>
+                            {week.map((d, di) => {
+                                const isCurrentMonth = isSameMonth(d, currentDate);
+                                const isToday = isSameDay(d, new Date());
+                                const dayEvents = getEventsForDay(d);
+
+                                return (
+                                    <Paper
+                                        key={d.toString()}
+                                        elevation={0}
+                                        onClick={() => onAddEvent?.(d)}
+                                        sx={{
+                                            // Each day fills its column top to bottom; the bars sit on top
+                                            gridColumn: di + 1,
+                                            gridRow: '1 / -1',
+                                            p: 0.5,
+                                            m: 0.25,
+                                            borderRadius: 1,
+                                            cursor: 'pointer',
+                                            bgcolor: isCurrentMonth ? 'background.paper' : 'grey.50',
+                                            opacity: isCurrentMonth ? 1 : 0.5,
+                                            border: '1px solid',
+                                            borderColor: isToday ? 'primary.main' : 'divider',
+                                            '&:hover': { bgcolor: 'action.hover' },
+                                        }}
+                                    >
+                                        <Box sx={{ display: 'flex', justifyContent: 'center', mb: 0.5 }}>
+                                            <Typography
+                                                variant="body2"
+                                                fontWeight={isToday ? 'bold' : 'normal'}
+                                                onClick={(e) => {
+                                                    e.stopPropagation(); // Don't trigger add event
+                                                    onDayClick?.(d);
+                                                }}
+                                                sx={{
+                                                    color: isToday ? '#fff' : 'text.primary',
+                                                    bgcolor: isToday ? 'primary.main' : 'transparent',
+                                                    borderRadius: '50%',
+                                                    width: 28,
+                                                    height: 28,
+                                                    display: 'flex',
+                                                    alignItems: 'center',
+                                                    justifyContent: 'center',
+                                                    '&:hover': { opacity: 0.8 }
+                                                }}
+                                            >
+                                                {format(d, 'd')}
+                                            </Typography>
+                                        </Box>
+                                        {/* Room for the multi-day bars */}
+                                        <Box sx={{ height: laneCount * (BAR_HEIGHT + 2) }} />
+                                        {/* Event dots */}
+                                        <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 0.25 }}>
+                                            {dayEvents.slice(0, 3).map((e, idx) => (
+                                                <Box key={idx} sx={{ width: 6, height: 6, borderRadius: '50%', bgcolor: e.colorId ? `#${['a4bdfc', '7ae7bf', 'dbadff', 'ff887c', 'fbd75b'][e.colorId % 5]}` : 'primary.main' }} />
+                                            ))}
+                                            {dayEvents.length > 3 && (
+                                                <Typography variant="caption" sx={{ fontSize: 8 }}>+{dayEvents.length - 3}</Typography>
+                                            )}
+                                        </Box>
+                                    </Paper>
+                                );
+                            })}
+                            {bars.map(bar => (
+                                <SpanningEventBar
+                                    key={bar.event.id}
+                                    bar={bar}
+                                    dense
+                                    onClick={setSelectedEvent}
+                                    sx={{ gridColumn: `${bar.startIndex + 1} / ${bar.endIndex + 2}`, gridRow: bar.lane + 2, mx: 0.5 }}
+                                />
+                            ))}
+                        </Box>
+                    );
+                })}
             </Box>
+
+            <EventDetailPopup event={selectedEvent} open={!!selectedEvent} onClose={() => setSelectedEvent(null)}
+                onEdit={(e, scope) => { setSelectedEvent(null); onEditEvent?.(e, scope); }}
+                onDelete={(e, scope) => { setSelectedEvent(null); onDeleteEvent?.(e, scope); }} />
         </Box>
     );
 };
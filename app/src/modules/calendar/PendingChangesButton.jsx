@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Button, Dialog, DialogTitle, DialogContent, DialogActions, List, ListItem, ListItemText, Typography, Box } from '@mui/material';
+import { format } from 'date-fns';
+import CloudUploadOutlinedIcon from '@mui/icons-material/CloudUploadOutlined';
+import SyncProblemIcon from '@mui/icons-material/SyncProblem';
+import { useCalendar } from './useCalendar';
+
+const KIND_LABELS = {
+    create: 'Add',
+    update: 'Change',
+    delete: 'Delete',
+    split: 'Change repeating event',
+};
+
+/**
+ * One line describing a queued change ("Change: Dentist, Mar 5")
+ */
+const describeChange = (entry, events) => {
+    const event = entry.eventData || events.find(e => e.id === entry.eventId || e.recurringEventId === entry.eventId);
+    const title = event?.summary || 'an event';
+    const when = event?.date ? `, ${format(event.date, 'MMM d')}` : '';
+    return `${KIND_LABELS[entry.kind] || 'Change'}: ${title}${when}`;
+};
+
+/**
+ * PendingChangesButton - Header button for Google changes still in the outbox
+ *
+ * JUNIOR DEV NOTE: Renders nothing while everything is synced. Otherwise
+ * it shows how many changes are waiting (or conflicting) and opens a
+ * list where each can be sent anyway ("Keep mine") or dropped ("Discard").
+ * The queue itself lives in hooks/useEventOutbox.js.
+ */
+const PendingChangesButton = () => {
+    const { events, outbox, keepOutboxChange, discardOutboxChange } = useCalendar();
+    const [open, setOpen] = useState(false);
+
+    const waiting = outbox.filter(entry => entry.status === 'pending' || entry.status === 'conflict');
+    const conflicts = waiting.filter(entry => entry.status === 'conflict');
+
+    if (waiting.length === 0) return null;
+
+    return (
+        <>
+            <Button
+                size="small"
+                color={conflicts.length > 0 ? 'warning' : 'inherit'}
+                startIcon={conflicts.length > 0 ? <SyncProblemIcon /> : <CloudUploadOutlinedIcon />}
+                onClick={() => setOpen(true)}
+            >
+                {conflicts.length > 0 ? `${conflicts.length} not synced` : `${waiting.length} waiting to sync`}
+            </Button>
+
+            <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+                <DialogTitle>Changes not on Google yet</DialogTitle>
+                <DialogContent dividers>
+                    <Typography variant="body2" color="text.secondary" gutterBottom>
+                        Waiting changes are sent automatically when the kiosk is online.
+                        The ones marked below need you to decide.
+                    </Typography>
+                    <List dense>
+                        {waiting.map(entry => (
+                            <ListItem
+                                key={entry.id}
+                                secondaryAction={
+                                    <Box sx={{ display: 'flex', gap: 1 }}>
+                                        {entry.status === 'conflict' && (
+                                            <Button size="small" onClick={() => keepOutboxChange(entry.id)}>Keep mine</Button>
+                                        )}
+                                        <Button size="small" color="error" onClick={() => discardOutboxChange(entry.id)}>Discard</Button>
+                                    </Box>
+                                }
+                            >
+                                <ListItemText
+                                    primary={describeChange(entry, events)}
+                                    secondary={entry.status === 'conflict'
+                                        ? entry.lastError
+                                        : entry.lastError ? `Waiting - ${entry.lastError}` : 'Waiting'}
+                                    secondaryTypographyProps={{ color: entry.status === 'conflict' ? 'warning.main' : 'text.secondary' }}
+                                    sx={{ pr: 20 }}
+                                />
+                            </ListItem>
+                        ))}
+                    </List>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setOpen(false)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+        </>
+    );
+};
+
+export default PendingChangesButton;
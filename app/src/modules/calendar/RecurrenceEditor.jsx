@@ -0,0 +1,148 @@
+import React from 'react';
+import { Box, TextField, Select, MenuItem, Typography, ToggleButtonGroup, ToggleButton, RadioGroup, Radio, FormControlLabel } from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers';
+import { addMonths } from 'date-fns';
+import { WEEKDAY_CODES, WEEKDAY_NAMES, weekOfMonth, isLastWeekdayOfMonth } from '../../utils/rrule';
+
+const UNITS = [
+    { value: 'DAILY', label: 'day' },
+    { value: 'WEEKLY', label: 'week' },
+    { value: 'MONTHLY', label: 'month' },
+    { value: 'YEARLY', label: 'year' },
+];
+
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+/**
+ * RecurrenceEditor - The "Custom..." repeat panel in AddEventDialog
+ *
+ * JUNIOR DEV NOTE: This is a "controlled component" - it never keeps its
+ * own copy of the rule. Every change calls onChange with a NEW rule
+ * object (see utils/rrule.js for the shape), and AddEventDialog owns it.
+ *
+ * @param {Object} props
+ * @param {Object} props.rule - Rule object being edited
+ * @param {Function} props.onChange - Called with the updated rule
+ * @param {Date} props.date - The event's first date (drives the monthly options)
+ */
+const RecurrenceEditor = ({ rule, onChange, date }) => {
+    const update = (changes) => onChange({ ...rule, ...changes });
+    const weekday = WEEKDAY_CODES[date.getDay()];
+
+    const handleFreqChange = (freq) => {
+        // Weekly rules always name at least one day - start with the event's own.
+        // Advanced parts from another app (BYMONTH...) don't survive a new frequency.
+        update({ freq, byDay: freq === 'WEEKLY' ? [{ ordinal: null, day: weekday }] : [], extraParts: [] });
+    };
+
+    const handleDaysChange = (event, days) => {
+        if (days.length === 0) return; // A weekly rule needs at least one day
+        const ordered = WEEKDAY_CODES.filter(code => days.includes(code));
+        update({ byDay: ordered.map(day => ({ ordinal: null, day })) });
+    };
+
+    // MONTHLY: '' = "on day 15", otherwise a BYDAY entry ('2TU' = second Tuesday, '-1TU' = last)
+    const dayName = (code) => WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(code)];
+    const [monthlyDay] = rule.byDay;
+    const monthlyValue = monthlyDay?.ordinal ? `${monthlyDay.ordinal}${monthlyDay.day}` : '';
+    const week = weekOfMonth(date);
+    const monthlyOptions = [
+        { value: '', label: `On day ${date.getDate()}` },
+        ...(week < 5 ? [{ value: `${week}${weekday}`, label: `On the ${ORDINAL_LABELS[week]} ${dayName(weekday)}` }] : []),
+        ...(isLastWeekdayOfMonth(date) ? [{ value: `-1${weekday}`, label: `On the last ${dayName(weekday)}` }] : []),
+    ];
+    // A rule made in another app may not match the event's date - keep it selectable
+    if (monthlyValue && !monthlyOptions.some(option => option.value === monthlyValue)) {
+        const ordinal = ORDINAL_LABELS[monthlyDay.ordinal] || `#${monthlyDay.ordinal}`;
+        monthlyOptions.push({ value: monthlyValue, label: `On the ${ordinal} ${dayName(monthlyDay.day)}` });
+    }
+
+    const handleMonthlyChange = (value) => {
+        const match = value.match(/^(-?\d+)([A-Z]{2})$/);
+        update({ byDay: match ? [{ ordinal: Number(match[1]), day: match[2] }] : [] });
+    };
+
+    const endsValue = rule.count ? 'count' : rule.until ? 'until' : 'never';
+    const handleEndsChange = (value) => {
+        update({
+            count: value === 'count' ? (rule.count || 10) : null,
+            until: value === 'until' ? (rule.until || addMonths(date, 3)) : null,
+        });
+    };
+
+    return (
+        <Box sx={{ p: 2, mb: 2, borderRadius: 2, bgcolor: 'action.hover' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                <Typography>Repeat every</Typography>
+                <TextField
+                    type="number"
+                    size="small"
+                    value={rule.interval}
+                    onChange={e => update({ interval: Math.max(1, Math.min(99, Number(e.target.value) || 1)) })}
+                    sx={{ width: 80 }}
+                    inputProps={{ min: 1, max: 99 }}
+                />
+                <Select size="small" value={rule.freq} onChange={e => handleFreqChange(e.target.value)}>
+                    {UNITS.map(unit => (
+                        <MenuItem key={unit.value} value={unit.value}>{unit.label}{rule.interval > 1 ? 's' : ''}</MenuItem>
+                    ))}
+                </Select>
+            </Box>
+
+            {rule.freq === 'WEEKLY' && (
+                <Box sx={{ mb: 2 }}>
+                    <Typography variant="body2" gutterBottom>Repeat on</Typography>
+                    <ToggleButtonGroup value={rule.byDay.map(({ day }) => day)} onChange={handleDaysChange} size="small">
+                        {WEEKDAY_CODES.map((code, index) => (
+                            <ToggleButton key={code} value={code} aria-label={WEEKDAY_NAMES[index]} sx={{ width: 40 }}>
+                                {WEEKDAY_NAMES[index][0]}
+                            </ToggleButton>
+                        ))}
+                    </ToggleButtonGroup>
+                </Box>
+            )}
+
+            {rule.freq === 'MONTHLY' && (
+                <Select size="small" value={monthlyValue} onChange={e => handleMonthlyChange(e.target.value)} sx={{ mb: 2, minWidth: 220 }}>
+                    {monthlyOptions.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
+                </Select>
+            )}
+
+            <Typography variant="body2">Ends</Typography>
+            <RadioGroup value={endsValue} onChange={e => handleEndsChange(e.target.value)}>
+                <FormControlLabel value="never" control={<Radio size="small" />} label="Never" />
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <FormControlLabel value="until" control={<Radio size="small" />} label="On" sx={{ width: 70 }} />
+                    <DatePicker
+                        value={rule.until}
+                        onChange={until => until && update({ until, count: null })}
+                        disabled={endsValue !== 'until'}
+                        minDate={date}
+                        slotProps={{ textField: { size: 'small', sx: { width: 170 } } }}
+                    />
+                </Box>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+                    <FormControlLabel value="count" control={<Radio size="small" />} label="After" sx={{ width: 70 }} />
+                    <TextField
+                        type="number"
+                        size="small"
+                        value={rule.count || ''}
+                        onChange={e => update({ count: Math.max(1, Math.min(999, Number(e.target.value) || 1)), until: null })}
+                        disabled={endsValue !== 'count'}
+                        sx={{ width: 90 }}
+                        inputProps={{ min: 1, max: 999 }}
+                    />
+                    <Typography>occurrences</Typography>
+                </Box>
+            </RadioGroup>
+
+            {rule.extraParts.length > 0 && (
+                <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                    This event also has advanced repeat settings from another calendar app; they'll be kept.
+                </Typography>
+            )}
+        </Box>
+    );
+};
+
+export default RecurrenceEditor;
@@ -5,10 +5,17 @@ import EventCard from './EventCard';
 import EventDetailPopup from './EventDetailPopup';
 import { useMeals } from '../meals/useMeals';
 import { useMealCategories } from '../meals/useMealCategories';
+import { COLOR_TAGS } from './EventCard';
+import { isEventOnDay, isSpanningEvent, getDaySegment, getContinuationLabel } from './utils/eventSpans';
 
 const HOURS = Array.from({ length: 24 }, (_, i) => i);
 
-const ScheduleView = ({ currentDate, onEditEvent, onDeleteEvent }) => {
+/**
+ * Hours since midnight of `day` (24 for "the midnight after")
+ */
+const hourOfDay = (date, day) => (isSameDay(date, day) ? date.getHours() + date.getMinutes() / 60 : 24);
+
+const ScheduleView = ({ currentDate, events = [], onEditEvent, onDeleteEvent }) => {
     const { getMealsForDate } = useMeals();
     const { visibleCategories } = useMealCategories();
     const [selectedEvent, setSelectedEvent] = useState(null);
@@ -64,6 +71,12 @@ const ScheduleView = ({ currentDate, onEditEvent, onDeleteEvent }) => {
 
     const timeBarTop = (currentTime.getHours() + currentTime.getMinutes() / 60) * hourHeight;
 
+    // All-day and multi-day events go in the row above the grid; the rest are
+    // blocks in it - one per day they touch, so 10pm-2am continues after midnight
+    const isAllDayRowEvent = (event) => event.isAllDay || isSpanningEvent(event);
+    const getAllDayEvents = (day) => events.filter(e => isAllDayRowEvent(e) && isEventOnDay(e, day));
+    const getTimedEvents = (day) => events.filter(e => !isAllDayRowEvent(e) && isEventOnDay(e, day));
+
     return (
         <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
             {/* Day Headers */}
@@ -118,6 +131,21 @@ const ScheduleView = ({ currentDate, onEditEvent, onDeleteEvent }) => {
                 })}
             </Box>
 
+            {/* All-day Row */}
+            {days.some(day => getAllDayEvents(day).length > 0) && (
+                <Box sx={{ display: 'flex', borderBottom: '1px solid #eee' }}>
+                    <Box sx={{ width: 50 }} />
+                    {days.map((day) => (
+                        <Box key={`all-day-${day.toString()}`} sx={{ flex: 1, p: 0.5, borderLeft: '1px solid #eee', display: 'flex', flexDirection: 'column', gap: 0.25 }}>
+                            {getAllDayEvents(day).map(event => (
+                                <Chip key={event.id} label={event.summary} size="small" onClick={() => setSelectedEvent(event)}
+                                    sx={{ height: 20, fontSize: '0.7rem', justifyContent: 'flex-start', bgcolor: COLOR_TAGS[event.colorId]?.bg || COLOR_TAGS[1].bg }} />
+                            ))}
+                        </Box>
+                    ))}
+                </Box>
+            )}
+
             {/* Time Grid with pinch-to-zoom */}
             <Box ref={containerRef} sx={{ flex: 1, overflow: 'auto', position: 'relative' }}>
                 {/* Orange time bar for today column */}
@@ -145,14 +173,47 @@ const ScheduleView = ({ currentDate, onEditEvent, onDeleteEvent }) => {
                         ))}
                     </Box>
                 ))}
+
+                {/* Timed events, laid over the hour rows */}
+                <Box sx={{ position: 'absolute', top: 0, left: 50, right: 0, height: HOURS.length * hourHeight, display: 'flex', pointerEvents: 'none' }}>
+                    {days.map((day) => (
+                        <Box key={`events-${day.toString()}`} sx={{ flex: 1, position: 'relative' }}>
+                            {getTimedEvents(day).map(event => {
+                                const segment = getDaySegment(event, day);
+                                const top = hourOfDay(segment.start, day) * hourHeight;
+                                const height = Math.max(20, (hourOfDay(segment.end, day) - hourOfDay(segment.start, day)) * hourHeight);
+                                return (
+                                    <Box
+                                        key={event.id}
+                                        onClick={() => setSelectedEvent(event)}
+                                        sx={{
+                                            position: 'absolute', top, height, left: 2, right: 2, px: 0.5,
+                                            overflow: 'hidden', cursor: 'pointer', pointerEvents: 'auto',
+                                            bgcolor: COLOR_TAGS[event.colorId]?.bg || COLOR_TAGS[1].bg,
+                                            // Square edges where it carries on from/into another day
+                                            borderRadius: 1,
+                                            ...(segment.continuesBefore && { borderTopLeftRadius: 0, borderTopRightRadius: 0 }),
+                                            ...(segment.continuesAfter && { borderBottomLeftRadius: 0, borderBottomRightRadius: 0 }),
+                                        }}
+                                    >
+                                        <Typography variant="caption" fontWeight={600} noWrap display="block">{event.summary}</Typography>
+                                        <Typography variant="caption" color="text.secondary" noWrap display="block" sx={{ fontSize: 10 }}>
+                                            {getContinuationLabel(event, day) || event.time}
+                                        </Typography>
+                                    </Box>
+                                );
+                            })}
+                        </Box>
+                    ))}
+                </Box>
             </Box>
 
             <EventDetailPopup
                 event={selectedEvent}
                 open={!!selectedEvent}
                 onClose={() => setSelectedEvent(null)}
-                onEdit={(e) => { setSelectedEvent(null); onEditEvent?.(e); }}
-                onDelete={(e) => { setSelectedEvent(null); onDeleteEvent?.(e); }}
+                onEdit={(e, scope) => { setSelectedEvent(null); onEditEvent?.(e, scope); }}
+                onDelete={(e, scope) => { setSelectedEvent(null); onDeleteEvent?.(e, scope); }}
             />
         </Box>
     );
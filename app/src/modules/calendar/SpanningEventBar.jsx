@@ -0,0 +1,53 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { COLOR_TAGS } from './EventCard';
+
+/**
+ * SpanningEventBar - One multi-day event drawn across several day cells
+ *
+ * JUNIOR DEV NOTE: The parent lays bars out on a CSS grid (one column
+ * per day, one row per lane - see utils/eventSpans.js) and passes the
+ * grid placement in `sx`. A bar that continues past the visible days
+ * gets square ends so it reads as "keeps going".
+ *
+ * @param {Object} props
+ * @param {Object} props.bar - { event, continuesBefore, continuesAfter } from layoutSpanningEvents
+ * @param {Function} props.onClick - Called with the event
+ * @param {boolean} [props.dense] - Smaller text for the month grid
+ * @param {Object} [props.sx] - Grid placement
+ */
+const SpanningEventBar = ({ bar, onClick, dense = false, sx }) => {
+    const { event, continuesBefore, continuesAfter } = bar;
+    const radius = dense ? 4 : 8;
+
+    return (
+        <Box
+            onClick={(e) => {
+                e.stopPropagation(); // Don't trigger the day's "add event"
+                onClick?.(event);
+            }}
+            sx={{
+                px: dense ? 0.5 : 1,
+                display: 'flex',
+                alignItems: 'center',
+                minWidth: 0,
+                bgcolor: COLOR_TAGS[event.colorId]?.bg || COLOR_TAGS[1].bg,
+                borderTopLeftRadius: continuesBefore ? 0 : radius,
+                borderBottomLeftRadius: continuesBefore ? 0 : radius,
+                borderTopRightRadius: continuesAfter ? 0 : radius,
+                borderBottomRightRadius: continuesAfter ? 0 : radius,
+                boxShadow: dense ? 'none' : '0 2px 8px rgba(0,0,0,0.1)',
+                cursor: 'pointer',
+                zIndex: 1,
+                '&:hover': { filter: 'brightness(0.95)' },
+                ...sx,
+            }}
+        >
+            <Typography variant="caption" fontWeight={600} noWrap sx={{ fontSize: dense ? 10 : undefined }}>
+                {continuesBefore && '← '}{event.emoji} {event.summary}{continuesAfter && ' →'}
+            </Typography>
+        </Box>
+    );
+};
+
+export default SpanningEventBar;
@@ -1,28 +1,54 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Box, Typography, Paper } from '@mui/material';
-import { format, startOfWeek, addDays, addWeeks, isSameDay } from 'date-fns';
+import { format, startOfWeek, addDays, addWeeks } from 'date-fns';
 import DayColumn from './DayColumn';
-import AddEventDialog from './AddEventDialog';
+import SpanningEventBar from './SpanningEventBar';
+import EventDetailPopup from './EventDetailPopup';
+import { isEventOnDay, layoutSpanningEvents } from './utils/eventSpans';
 
-const WeeklyView = ({ currentDate = new Date(), events = [], onAddEvent, onEditEvent }) => {
+// Height of one lane of multi-day bars (px)
+const BAR_HEIGHT = 28;
+
+const WeeklyView = ({ currentDate = new Date(), events = [], onAddEvent, onEditEvent, onDeleteEvent }) => {
+    const [selectedEvent, setSelectedEvent] = useState(null);
     const weekStart = startOfWeek(currentDate);
     const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
     const nextWeekStart = addWeeks(weekStart, 1);
     const nextWeekDays = Array.from({ length: 7 }, (_, i) => addDays(nextWeekStart, i));
 
     const allEvents = events;
+    // Trips, holidays... one bar across the days they cover; DayColumn skips them
+    const { bars, laneCount } = layoutSpanningEvents(allEvents, days);
 
     return (
         <Box sx={{ display: 'flex', height: '100%', overflow: 'hidden', position: 'relative' }}>
-            {days.map(day => (
-                <DayColumn
-                    key={day.toString()}
-                    day={day}
-                    events={allEvents}
-                    onAddEvent={onAddEvent}
-                    onEditEvent={onEditEvent}
-                />
-            ))}
+            <Box sx={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+                {laneCount > 0 && (
+                    // Same 7 columns as the DayColumns below (each is 140px + 8px margins)
+                    <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(156px, 1fr))', gridAutoRows: BAR_HEIGHT, rowGap: 0.5, pt: 1 }}>
+                        {bars.map(bar => (
+                            <SpanningEventBar
+                                key={bar.event.id}
+                                bar={bar}
+                                onClick={setSelectedEvent}
+                                sx={{ gridColumn: `${bar.startIndex + 1} / ${bar.endIndex + 2}`, gridRow: bar.lane + 1, mx: 1 }}
+                            />
+                        ))}
+                    </Box>
+                )}
+                <Box sx={{ flex: 1, minHeight: 0, display: 'flex' }}>
+                    {days.map(day => (
+                        <DayColumn
+                            key={day.toString()}
+                            day={day}
+                            events={allEvents}
+                            onAddEvent={onAddEvent}
+                            onEditEvent={onEditEvent}
+                            onDeleteEvent={onDeleteEvent}
+                        />
+                    ))}
+                </Box>
+            </Box>
             <Paper elevation={3} sx={{
                 minWidth: 160,
                 display: 'flex',
@@ -41,7 +67,7 @@ const WeeklyView = ({ currentDate = new Date(), events = [], onAddEvent, onEditE
                 </Box>
                 <Box sx={{ flex: 1, overflowY: 'auto', p: 1 }}>
                     {nextWeekDays.map(day => {
-                        const dayEvents = allEvents.filter(e => isSameDay(e.date, day));
+                        const dayEvents = allEvents.filter(e => isEventOnDay(e, day));
                         if (dayEvents.length === 0) return null;
                         return (
                             <Box key={day.toString()} sx={{ mb: 2 }}>
@@ -82,13 +108,17 @@ const WeeklyView = ({ currentDate = new Date(), events = [], onAddEvent, onEditE
                             </Box>
                         );
                     })}
-                    {!nextWeekDays.some(day => allEvents.some(e => isSameDay(e.date, day))) && (
+                    {!nextWeekDays.some(day => allEvents.some(e => isEventOnDay(e, day))) && (
                         <Typography variant="body2" color="text.disabled" sx={{ textAlign: 'center', mt: 4 }}>
                             No events scheduled
                         </Typography>
                     )}
                 </Box>
             </Paper>
+
+            <EventDetailPopup event={selectedEvent} open={!!selectedEvent} onClose={() => setSelectedEvent(null)}
+                onEdit={(e, scope) => { setSelectedEvent(null); onEditEvent(e, scope); }}
+                onDelete={(e, scope) => { setSelectedEvent(null); onDeleteEvent(e, scope); }} />
         </Box>
     );
 };
@@ -6,8 +6,10 @@
  * 
  * WHY THIS FILE EXISTS:
  * Fetching calendar events is complex:
+ * - The local family calendar on our own server
+ * - Subscribed ICS feeds (school, sports), cached by our server
  * - Multiple users with different Google accounts
- * - Multiple calendars per user
+ * - Multiple calendars per user, synced incrementally (services/calendarSync.js)
  * - Need to merge and deduplicate events
  * - Handle token expiration
  * 
@@ -18,24 +20,35 @@
  */
 
 import { useState, useCallback, useEffect } from 'react';
-import { fetchCalendarEvents } from '../../../services/googleCalendar';
+import { loadStoredCalendars, syncGoogleCalendars } from '../../../services/calendarSync';
+import { fetchLocalEvents } from '../../../services/localCalendar';
+import { fetchSubscriptionEvents } from '../../../services/calendarSubscriptions';
+
+/**
+ * Orders events by start time (Google deltas and stored events come in any order)
+ */
+const sortByStart = (events) => events.sort((a, b) => a.date - b.date);
 
 /**
  * Hook for fetching calendar events from multiple users and calendars
  * 
  * WHAT IT DOES:
- * Fetches events from all connected Google accounts and merges them.
+ * Fetches the local family calendar plus events from all connected
+ * Google accounts, and merges them.
  * 
  * WHY WE NEED IT:
  * The calendar view needs to show events from all family members.
  * This hook handles the complexity of fetching from multiple sources.
  * 
  * HOW IT WORKS:
- * 1. Loop through all users
- * 2. For each user with a token, fetch their events
- * 3. Merge events, avoiding duplicates
- * 4. Tag each event with the source user
- * 5. Return the merged list
+ * 1. Work out which Google calendars to sync (users with a token and
+ *    selected calendars)
+ * 2. On first load, show what IndexedDB remembers from last time
+ * 3. Fetch the local family calendar and subscribed feeds (works with no
+ *    users or tokens at all) while the Google calendars sync
+ * 4. Merge events, avoiding duplicates
+ * 5. Tag each Google event with the source user
+ * 6. Return the merged list, sorted by start
  * 
  * @param {Array} users - Array of user objects
  * @param {Object} googleTokens - Map of userId to token
@@ -57,13 +70,6 @@ export const useCalendarEvents = (users, googleTokens = {}, selectedCalendars, g
     const fetchEvents = useCallback(async () => {
         console.log('📅 Fetching calendar events...');
 
-        // Early return if no users
-        if (users.length === 0) {
-            console.warn('⚠️ No users - skipping event fetch');
-            setEvents([]);
-            return;
-        }
-
         setLoading(true);
         setError(null);
 
@@ -76,59 +82,98 @@ export const useCalendarEvents = (users, googleTokens = {}, selectedCalendars, g
 
         console.log(`📅 Date range: ${startDate.toLocaleDateString()} to ${endDate.toLocaleDateString()}`);
 
-        try {
-            // Fetch events for each user
-            for (const user of users) {
-                if (!user) continue;
-
-                // We still check googleTokens for quick "is connected" check
-                if (!googleTokens[user.id]) {
-                    console.log(`⏭️ Skipping ${user.name} - no token`);
-                    continue;
-                }
+        // One sync source per selected calendar of each connected user
+        const sources = [];
+        for (const user of users) {
+            if (!user) continue;
 
-                const calendars = selectedCalendars[user.id] || [];
+            // We still check googleTokens for quick "is connected" check
+            if (!googleTokens[user.id]) {
+                console.log(`⏭️ Skipping ${user.name} - no token`);
+                continue;
+            }
 
-                // Skip users with no calendars selected
-                if (calendars.length === 0) {
-                    console.log(`⏭️ Skipping ${user.name} - no calendars selected`);
-                    continue;
-                }
+            const calendars = selectedCalendars[user.id] || [];
 
-                console.log(`🔍 Fetching for ${user.name} from:`, calendars);
-
-                try {
-                    // Create a token fetcher for this specific user
-                    const tokenFetcher = async () => {
-                        const token = await getFreshToken(user.id);
-                        if (!token) throw new Error('Failed to refresh token');
-                        return token;
-                    };
-
-                    const userEvents = await fetchCalendarEvents(tokenFetcher, startDate, endDate, calendars);
-                    console.log(`✅ Fetched ${userEvents.length} events for ${user.name}`);
-
-                    // Add events to map, tagging with source user
-                    userEvents.forEach(event => {
-                        // Only add if not already in map (deduplication)
-                        if (!eventsMap.has(event.id)) {
-                            eventsMap.set(event.id, {
-                                ...event,
-                                sourceUser: {
-                                    name: user.name,
-                                    color: user.color,
-                                    avatar: user.avatar,
-                                },
-                            });
-                        }
-                    });
-                } catch (err) {
-                    console.error(`❌ Failed to fetch events for ${user.name}:`, err);
-                    // Continue with other users even if one fails
-                }
+            // Skip users with no calendars selected
+            if (calendars.length === 0) {
+                console.log(`⏭️ Skipping ${user.name} - no calendars selected`);
+                continue;
+            }
+
+            // Create a token fetcher for this specific user
+            const getToken = async () => {
+                const token = await getFreshToken(user.id);
+                if (!token) throw new Error('Failed to refresh token');
+                return token;
+            };
+
+            calendars.forEach(calendarId => sources.push({ userId: user.id, calendarId, getToken, user }));
+        }
+
+        // Add Google events to the map, tagging with source user
+        const addGoogleEvents = (eventsMap, eventsPerSource) => {
+            eventsPerSource.forEach((sourceEvents, index) => {
+                const { user } = sources[index];
+                sourceEvents.forEach(event => {
+                    // Only add if not already in map (deduplication)
+                    if (!eventsMap.has(event.id)) {
+                        eventsMap.set(event.id, {
+                            ...event,
+                            sourceUser: {
+                                id: user.id,
+                                name: user.name,
+                                color: user.color,
+                                avatar: user.avatar,
+                            },
+                        });
+                    }
+                });
+            });
+        };
+
+        try {
+            // JUNIOR DEV NOTE: Only when the calendar is still empty (page
+            // load) - otherwise the events on screen are already newer.
+            const stored = await loadStoredCalendars({ sources, timeMin: startDate, timeMax: endDate });
+            const storedMap = new Map();
+            addGoogleEvents(storedMap, stored);
+            if (storedMap.size > 0) {
+                setEvents(prev => prev.length > 0 ? prev : sortByStart(Array.from(storedMap.values())));
             }
 
-            const allEvents = Array.from(eventsMap.values());
+            // The family calendar lives on our server - no token required
+            // JUNIOR DEV NOTE: A failure here shouldn't hide everyone's
+            // Google events, so each source is caught on its own.
+            const [localEvents, feedEvents, syncResults] = await Promise.all([
+                fetchLocalEvents(startDate, endDate).catch(err => {
+                    console.error('❌ Failed to fetch family calendar events:', err);
+                    return [];
+                }),
+                fetchSubscriptionEvents(startDate, endDate).catch(err => {
+                    console.error('❌ Failed to fetch subscribed calendar events:', err);
+                    return [];
+                }),
+                syncGoogleCalendars({ sources, timeMin: startDate, timeMax: endDate }),
+            ]);
+
+            console.log(`✅ Fetched ${localEvents.length} family calendar events`);
+            localEvents.forEach(event => eventsMap.set(event.id, event));
+            console.log(`✅ Fetched ${feedEvents.length} subscribed calendar events`);
+            feedEvents.forEach(event => eventsMap.set(event.id, event));
+
+            syncResults.forEach(({ events: sourceEvents, error: syncError }, index) => {
+                const { user, calendarId } = sources[index];
+                if (syncError) {
+                    // Continue with other calendars even if one fails
+                    console.error(`❌ Failed to sync ${calendarId} for ${user.name}:`, syncError);
+                } else {
+                    console.log(`✅ Synced ${sourceEvents.length} events from ${calendarId} for ${user.name}`);
+                }
+            });
+            addGoogleEvents(eventsMap, syncResults.map(result => result.events));
+
+            const allEvents = sortByStart(Array.from(eventsMap.values()));
             console.log(`📊 Total events: ${allEvents.length}`);
             setEvents(allEvents);
 
@@ -156,9 +201,9 @@ export const useCalendarEvents = (users, googleTokens = {}, selectedCalendars, g
             // Filter out events from calendars no longer selected
             setEvents(prev => prev.filter(event =>
                 // Keep events that either:
-                // 1. Don't have a calendar ID (local events)
+                // 1. Aren't from Google (family calendar, subscribed feeds)
                 // 2. Are from a currently selected calendar
-                !event.originalCalendarId || allSelectedCalendars.includes(event.originalCalendarId)
+                !event.isGoogleEvent || allSelectedCalendars.includes(event.originalCalendarId)
             ));
         };
 
@@ -166,5 +211,16 @@ export const useCalendarEvents = (users, googleTokens = {}, selectedCalendars, g
         return () => window.removeEventListener('calendars-changed', handleCalendarChange);
     }, [selectedCalendars]);
 
+    /**
+     * Refetch when a subscribed feed is added, removed, hidden or refreshed
+     *
+     * JUNIOR DEV NOTE: Feed events come from the server, so unlike the
+     * Google filter above there's nothing to filter locally - we just ask again.
+     */
+    useEffect(() => {
+        window.addEventListener('subscriptions-changed', fetchEvents);
+        return () => window.removeEventListener('subscriptions-changed', fetchEvents);
+    }, [fetchEvents]);
+
     return { events, loading, error, fetchEvents };
 };
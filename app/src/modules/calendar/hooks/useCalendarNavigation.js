@@ -51,6 +51,7 @@ export const useCalendarNavigation = (initialView = 'week') => {
     const navigate = useCallback((direction) => {
         switch (viewMode) {
             case 'day':
+            case 'availability':
                 setCurrentDate(d => direction > 0 ? addDays(d, 1) : subDays(d, 1));
                 break;
             case 'week':
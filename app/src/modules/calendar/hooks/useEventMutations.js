@@ -13,17 +13,34 @@
  * 
  * This hook encapsulates all mutation logic.
  * 
+ * OFFLINE-FIRST GOOGLE CHANGES:
+ * Google changes don't call the API directly - they go through the outbox
+ * (hooks/useEventOutbox.js), which shows them at once and sends them when
+ * the kiosk is online. Local calendar changes go straight to our own
+ * server, which sits next to the kiosk and doesn't need the internet.
+ * 
  * DESIGN PATTERN: Command Pattern + Custom Hook
  * Each mutation is a command that can be executed with consistent error handling.
  */
 
-import { createGoogleEvent, updateGoogleEvent, deleteGoogleEvent } from '../../../services/googleCalendar';
+import { fetchGoogleEvent } from '../../../services/googleCalendar';
+import { createLocalEvent, updateLocalEvent, deleteLocalEvent } from '../../../services/localCalendar';
+import { CALENDAR_CONFIG } from '../../../utils/constants';
+
+/**
+ * Is this calendar the kiosk's own "Family (local)" calendar?
+ * 
+ * JUNIOR DEV NOTE: Local events don't need a Google token at all - that's
+ * the whole point of them - so every mutation checks this FIRST.
+ */
+const isLocalCalendar = (calendarId) => calendarId === CALENDAR_CONFIG.LOCAL_CALENDAR_ID;
 
 /**
  * Hook for calendar event mutations
  * 
  * WHAT IT DOES:
- * Provides functions to create, update, and delete calendar events.
+ * Provides functions to create, update, and delete calendar events, on
+ * Google or on the local family calendar.
  * 
  * WHY WE NEED IT:
  * Separates mutation logic from the context, making it easier to test and reuse.
@@ -31,96 +48,252 @@ import { createGoogleEvent, updateGoogleEvent, deleteGoogleEvent } from '../../.
  * @param {Function} getCurrentUserToken - Function to get current user's token
  * @param {Function} showNotification - Function to show UI notifications
  * @param {Function} refreshEvents - Function to refresh event list after mutations
- * @returns {Object} { addEvent, updateEvent, removeEvent }
+ * @param {Function} queueGoogleChange - Queues a change in the outbox for the current user;
+ *   resolves 'synced' | 'queued' | 'conflict', or null if they have no Google account
+ * @returns {Object} { addEvent, updateEvent, removeEvent, updateRecurringEvent, removeRecurringEvent, loadSeries }
  */
-export const useEventMutations = (getCurrentUserToken, showNotification, refreshEvents) => {
+export const useEventMutations = (getCurrentUserToken, showNotification, refreshEvents, queueGoogleChange) => {
+    /**
+     * Queues a Google change and tells the family how it went
+     * 
+     * JUNIOR DEV NOTE: Nothing to throw here - a change that can't be sent
+     * yet isn't lost, it's waiting in the outbox.
+     * 
+     * @param {Object} change - Outbox change (see services/eventOutbox.js)
+     * @param {string} successMessage - Shown when Google has it already
+     */
+    const sendToGoogle = async (change, successMessage) => {
+        const status = await queueGoogleChange(change);
+
+        if (!status) {
+            showNotification('Please connect your Google account first', 'warning');
+        } else if (status === 'synced') {
+            showNotification(successMessage, 'success');
+        } else if (status === 'queued') {
+            showNotification('Saved on the kiosk - it will sync to Google when the connection is back', 'info');
+        } else {
+            showNotification('Google did not accept this change - check the sync button to review it', 'warning');
+        }
+    };
+
     /**
      * Creates a new calendar event
      * 
      * WHAT IT DOES:
-     * Adds an event to the user's primary calendar.
+     * Adds an event to the user's primary calendar, or to the local family
+     * calendar when `eventData.calendarId` says so.
      * 
      * HOW IT WORKS:
-     * 1. Get current user's token
-     * 2. Call Google Calendar API to create event
-     * 3. Show success/error notification
-     * 4. Refresh event list to show new event
+     * 1. Local calendar? Save it on our server - no token needed
+     * 2. Otherwise queue it in the outbox for the current user's Google
+     *    account (it shows straight away, marked pending)
+     * 3. The outbox sends it now, or when the kiosk is back online
+     * 4. Show a notification saying which of those happened
      * 
      * @param {Object} eventData - Event data in app format
      * @returns {Promise<void>}
-     * @throws {Error} If creation fails
+     * @throws {Error} If a local creation fails
      */
     const addEvent = async (eventData) => {
-        const token = await getCurrentUserToken();
-
-        if (!token) {
-            showNotification('Please connect your Google account first', 'warning');
+        if (isLocalCalendar(eventData.calendarId)) {
+            try {
+                await createLocalEvent(eventData);
+                showNotification('Event added to the family calendar', 'success');
+                await refreshEvents();
+            } catch (err) {
+                console.error('Failed to create local event:', err);
+                showNotification('Failed to create event', 'error');
+                throw err;
+            }
             return;
         }
 
-        try {
-            await createGoogleEvent(token, 'primary', eventData);
-            showNotification('Event created successfully', 'success');
-            await refreshEvents(); // Refresh to show new event
-        } catch (err) {
-            console.error('Failed to create event:', err);
-            showNotification('Failed to create event', 'error');
-            throw err; // Re-throw so caller can handle if needed
-        }
+        await sendToGoogle({ kind: 'create', calendarId: 'primary', eventData }, 'Event created successfully');
     };
 
     /**
      * Updates an existing calendar event
      * 
      * @param {string} calendarId - Calendar ID (defaults to 'primary')
-     * @param {string} eventId - Event ID to update
+     * @param {string} eventId - Event ID to update (a local event's seriesId)
      * @param {Object} eventData - Updated event data
+     * @param {string} [baseUpdated] - The event's `updated` when it was opened (Google conflict check)
      * @returns {Promise<void>}
-     * @throws {Error} If update fails
+     * @throws {Error} If a local update fails
      */
-    const updateEvent = async (calendarId, eventId, eventData) => {
-        const token = await getCurrentUserToken();
-
-        if (!token) {
-            showNotification('Please connect your Google account first', 'warning');
+    const updateEvent = async (calendarId, eventId, eventData, baseUpdated = null) => {
+        if (isLocalCalendar(calendarId)) {
+            try {
+                await updateLocalEvent(eventId, eventData);
+                showNotification('Event updated successfully', 'success');
+                await refreshEvents();
+            } catch (err) {
+                console.error('Failed to update local event:', err);
+                showNotification('Failed to update event', 'error');
+                throw err;
+            }
             return;
         }
 
-        try {
-            await updateGoogleEvent(token, calendarId || 'primary', eventId, eventData);
-            showNotification('Event updated successfully', 'success');
-            await refreshEvents();
-        } catch (err) {
-            console.error('Failed to update event:', err);
-            showNotification('Failed to update event', 'error');
-            throw err;
-        }
+        await sendToGoogle({
+            kind: 'update',
+            calendarId: calendarId || 'primary',
+            eventId,
+            eventData,
+            baseUpdated,
+        }, 'Event updated successfully');
     };
 
     /**
      * Deletes a calendar event
      * 
      * @param {string} calendarId - Calendar ID (defaults to 'primary')
-     * @param {string} eventId - Event ID to delete
+     * @param {string} eventId - Event ID to delete (a local event's seriesId)
+     * @param {string} [baseUpdated] - The event's `updated` when it was opened (Google conflict check)
      * @returns {Promise<void>}
-     * @throws {Error} If deletion fails
+     * @throws {Error} If a local deletion fails
      */
-    const removeEvent = async (calendarId, eventId) => {
-        const token = await getCurrentUserToken();
+    const removeEvent = async (calendarId, eventId, baseUpdated = null) => {
+        if (isLocalCalendar(calendarId)) {
+            try {
+                await deleteLocalEvent(eventId);
+                showNotification('Event deleted successfully', 'success');
+                await refreshEvents();
+            } catch (err) {
+                console.error('Failed to delete local event:', err);
+                showNotification('Failed to delete event', 'error');
+                throw err;
+            }
+            return;
+        }
 
-        if (!token) {
-            showNotification('Please connect your Google account first', 'warning');
+        await sendToGoogle({
+            kind: 'delete',
+            calendarId: calendarId || 'primary',
+            eventId,
+            baseUpdated,
+        }, 'Event deleted successfully');
+    };
+
+    /**
+     * Updates part of a repeating event
+     * 
+     * THE THREE SCOPES (the same prompt Google Calendar shows):
+     * - 'this': only this occurrence. Google: PUT the instance's own id.
+     *   Local: the server skips the date and adds a one-off copy.
+     * - 'following': this and later occurrences. The series ends the day
+     *   before and a new series starts here (see splitGoogleSeries).
+     * - 'all': the whole series, as updateEvent does.
+     * 
+     * @param {Object} event - The instance that was opened (app format)
+     * @param {Object} eventData - Updated event data from the dialog
+     * @param {string} scope - 'this' | 'following' | 'all'
+     * @returns {Promise<void>}
+     * @throws {Error} If a local update fails
+     */
+    const updateRecurringEvent = async (event, eventData, scope) => {
+        const calendarId = event.originalCalendarId || 'primary';
+        const seriesId = event.seriesId || event.recurringEventId;
+
+        if (isLocalCalendar(calendarId)) {
+            try {
+                await updateLocalEvent(scope === 'all' ? seriesId : event.id, eventData, scope);
+                showNotification('Event updated successfully', 'success');
+                await refreshEvents();
+            } catch (err) {
+                console.error('Failed to update local event:', err);
+                showNotification('Failed to update event', 'error');
+                throw err;
+            }
+            return;
+        }
+
+        if (scope === 'following') {
+            await sendToGoogle({ kind: 'split', calendarId, eventId: seriesId, splitDate: event.date, eventData }, 'Event updated successfully');
+        } else if (scope === 'this') {
+            // An exception never repeats itself
+            await sendToGoogle({
+                kind: 'update',
+                calendarId,
+                eventId: event.id,
+                eventData: { ...eventData, recurrence: null },
+                baseUpdated: event.updated || null,
+            }, 'Event updated successfully');
+        } else {
+            await sendToGoogle({ kind: 'update', calendarId, eventId: seriesId, eventData }, 'Event updated successfully');
+        }
+    };
+
+    /**
+     * Deletes part of a repeating event (scopes as in updateRecurringEvent)
+     * 
+     * @param {Object} event - The instance that was opened (app format)
+     * @param {string} scope - 'this' | 'following' | 'all'
+     * @returns {Promise<void>}
+     * @throws {Error} If a local deletion fails
+     */
+    const removeRecurringEvent = async (event, scope) => {
+        const calendarId = event.originalCalendarId || 'primary';
+        const seriesId = event.seriesId || event.recurringEventId;
+
+        if (isLocalCalendar(calendarId)) {
+            try {
+                await deleteLocalEvent(scope === 'all' ? seriesId : event.id, scope);
+                showNotification('Event deleted successfully', 'success');
+                await refreshEvents();
+            } catch (err) {
+                console.error('Failed to delete local event:', err);
+                showNotification('Failed to delete event', 'error');
+                throw err;
+            }
             return;
         }
 
+        if (scope === 'following') {
+            await sendToGoogle({ kind: 'split', calendarId, eventId: seriesId, splitDate: event.date }, 'Event deleted successfully');
+        } else {
+            // Deleting an instance id cancels just that occurrence
+            await sendToGoogle({
+                kind: 'delete',
+                calendarId,
+                eventId: scope === 'this' ? event.id : seriesId,
+                baseUpdated: scope === 'this' ? event.updated || null : null,
+            }, 'Event deleted successfully');
+        }
+    };
+
+    /**
+     * Adds the series' recurrence to an instance of a repeating Google event
+     * 
+     * WHY WE NEED IT:
+     * Google instances don't carry the repeat rule, so the edit dialog
+     * would show "Does not repeat" and saving would wipe BYDAY/UNTIL/COUNT.
+     * We fetch the series and edit that instead - the same "edit the whole
+     * series" behaviour local repeating events have.
+     * 
+     * Local events and one-off events are returned unchanged.
+     * 
+     * @param {Object} event - Event in app format
+     * @returns {Promise<Object>} The event, with recurrence/seriesId/seriesStart for Google series
+     */
+    const loadSeries = async (event) => {
+        if (!event.isGoogleEvent || !event.recurringEventId) return event;
+
         try {
-            await deleteGoogleEvent(token, calendarId || 'primary', eventId);
-            showNotification('Event deleted successfully', 'success');
-            await refreshEvents();
+            const token = await getCurrentUserToken();
+            if (!token) return event;
+
+            const series = await fetchGoogleEvent(token, event.originalCalendarId || 'primary', event.recurringEventId);
+            return {
+                ...event,
+                recurrence: series.recurrence,
+                seriesId: series.id,
+                seriesStart: series.date,
+            };
         } catch (err) {
-            console.error('Failed to delete event:', err);
-            showNotification('Failed to delete event', 'error');
-            throw err;
+            // Editing still works - just as a single occurrence
+            console.error('Failed to load repeating event:', err);
+            return event;
         }
     };
 
@@ -128,5 +301,8 @@ export const useEventMutations = (getCurrentUserToken, showNotification, refresh
         addEvent,
         updateEvent,
         removeEvent,
+        updateRecurringEvent,
+        removeRecurringEvent,
+        loadSeries,
     };
 };
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Custom hook that owns the queue of unsynced Google changes
+ * @module modules/calendar/hooks/useEventOutbox
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * services/eventOutbox.js knows HOW to replay a queued change. This hook
+ * decides WHEN: right after it's queued, when the browser says it's back
+ * online, and on a backoff timer after a failure. It also keeps the queue
+ * in React state so the calendar can show pending and conflicting changes.
+ *
+ * ORDER MATTERS:
+ * "Create Dentist" then "move Dentist to 3pm" must reach Google in that
+ * order. So we replay oldest first, and stop at the first entry that has
+ * to wait - nothing overtakes it. Conflicts are parked until someone
+ * chooses "Keep mine" or "Discard", and don't block the rest.
+ *
+ * ENTRY STATUSES: 'pending' (waiting), 'conflict' (needs a person) and,
+ * briefly, 'sent' - Google has it and we're refreshing the calendar.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createOutboxEntry, getRetryDelay, replayOutboxEntry } from '../../../services/eventOutbox';
+import { getOutboxEntries, saveOutboxEntry, deleteOutboxEntry } from '../../../services/eventStore';
+
+/**
+ * Persistence is best-effort: without IndexedDB the queue still works,
+ * it just doesn't survive a reload.
+ */
+const persist = (promise) => promise.catch(error => console.warn('Failed to save the outbox:', error));
+
+/**
+ * Hook for the Google Calendar outbox
+ *
+ * @param {Function} getFreshToken - async (userId) => access token
+ * @param {Function} refreshEvents - Re-syncs the calendar after changes land
+ * @returns {Object} { outbox, queueChange, keepMine, discardChange }
+ */
+export const useEventOutbox = (getFreshToken, refreshEvents) => {
+    const [outbox, setOutbox] = useState([]);
+
+    // JUNIOR DEV NOTE: Why refs as well as state?
+    // The replay loop runs across many awaits. State inside it would be a
+    // stale snapshot from when it started; refs always hold the latest.
+    const outboxRef = useRef([]);
+    const replayingRef = useRef(null);
+    const timerRef = useRef(null);
+    const getFreshTokenRef = useRef(getFreshToken);
+    const refreshEventsRef = useRef(refreshEvents);
+
+    useEffect(() => {
+        getFreshTokenRef.current = getFreshToken;
+        refreshEventsRef.current = refreshEvents;
+    }, [getFreshToken, refreshEvents]);
+
+    const commit = useCallback((entries) => {
+        outboxRef.current = entries;
+        setOutbox(entries);
+    }, []);
+
+    const updateEntry = useCallback((id, changes) => {
+        const entry = { ...outboxRef.current.find(item => item.id === id), ...changes };
+        commit(outboxRef.current.map(item => item.id === id ? entry : item));
+        if (entry.status !== 'sent') persist(saveOutboxEntry(entry));
+    }, [commit]);
+
+    const removeEntry = useCallback((id) => {
+        commit(outboxRef.current.filter(item => item.id !== id));
+        persist(deleteOutboxEntry(id));
+    }, [commit]);
+
+    /**
+     * Replays queued changes, oldest first
+     *
+     * JUNIOR DEV NOTE: Only one replay runs at a time. A second call while
+     * one is running just waits for it - the running loop reads the live
+     * queue, so it picks up anything queued meanwhile.
+     */
+    const replay = useCallback(() => {
+        if (replayingRef.current) return replayingRef.current;
+
+        const run = async () => {
+            clearTimeout(timerRef.current);
+            // Offline for sure? Don't even try - the 'online' event wakes us
+            if (navigator.onLine === false) return;
+
+            for (;;) {
+                const entry = outboxRef.current.find(item => item.status === 'pending');
+                if (!entry || entry.nextAttemptAt > Date.now()) break;
+
+                const { outcome, event, error } = await replayOutboxEntry(
+                    entry,
+                    () => getFreshTokenRef.current(entry.userId)
+                );
+
+                if (outcome === 'done') {
+                    // Kept (as 'sent') until the refresh below shows Google's copy,
+                    // so the event doesn't blink out in between
+                    updateEntry(entry.id, { status: 'sent' });
+                    persist(deleteOutboxEntry(entry.id));
+                    // Later edits of the same event were made on top of this one
+                    outboxRef.current
+                        .filter(item => item.id !== entry.id && item.eventId === entry.eventId && item.baseUpdated)
+                        .forEach(item => updateEntry(item.id, { baseUpdated: event?.updated || null }));
+                } else if (outcome === 'conflict') {
+                    updateEntry(entry.id, { status: 'conflict', lastError: error });
+                } else {
+                    updateEntry(entry.id, {
+                        attempts: entry.attempts + 1,
+                        nextAttemptAt: Date.now() + getRetryDelay(entry.attempts),
+                        lastError: error,
+                    });
+                    break;
+                }
+            }
+
+            if (outboxRef.current.some(item => item.status === 'sent')) {
+                await refreshEventsRef.current();
+                commit(outboxRef.current.filter(item => item.status !== 'sent'));
+            }
+        };
+
+        replayingRef.current = run().finally(() => {
+            replayingRef.current = null;
+
+            // Wake up when the next waiting entry is due
+            const next = outboxRef.current.find(item => item.status === 'pending');
+            if (next) {
+                timerRef.current = setTimeout(replay, Math.max(0, next.nextAttemptAt - Date.now()));
+            }
+        });
+        return replayingRef.current;
+    }, [commit, updateEntry]);
+
+    // Load what was queued before the last reload, then try to send it
+    useEffect(() => {
+        getOutboxEntries()
+            .then(stored => {
+                commit([...stored, ...outboxRef.current.filter(item => !stored.some(s => s.id === item.id))]);
+                replay();
+            })
+            .catch(error => console.warn('Failed to load the outbox:', error));
+    }, [commit, replay]);
+
+    useEffect(() => {
+        window.addEventListener('online', replay);
+        return () => {
+            window.removeEventListener('online', replay);
+            clearTimeout(timerRef.current);
+        };
+    }, [replay]);
+
+    /**
+     * Queues a change and tries to send it straight away
+     *
+     * @param {Object} change - See createOutboxEntry
+     * @returns {Promise<string>} 'synced' | 'queued' | 'conflict'
+     */
+    const queueChange = useCallback(async (change) => {
+        const entry = createOutboxEntry(change);
+        commit([...outboxRef.current, entry]);
+        persist(saveOutboxEntry(entry));
+
+        await replay();
+        const queued = outboxRef.current.find(item => item.id === entry.id);
+        if (!queued || queued.status === 'sent') return 'synced';
+        return queued.status === 'conflict' ? 'conflict' : 'queued';
+    }, [commit, replay]);
+
+    /**
+     * "Keep mine": send the change anyway, overwriting the other edit
+     *
+     * @param {string} id - Outbox entry ID
+     */
+    const keepMine = useCallback((id) => {
+        updateEntry(id, { status: 'pending', force: true, attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+        replay();
+    }, [updateEntry, replay]);
+
+    /**
+     * "Discard": forget the change; the calendar shows Google's version again
+     *
+     * @param {string} id - Outbox entry ID
+     */
+    const discardChange = useCallback((id) => {
+        removeEntry(id);
+        replay();
+    }, [removeEntry, replay]);
+
+    return { outbox, queueChange, keepMine, discardChange };
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Free/busy: who is busy when, and when everyone is free
+ * @module modules/calendar/utils/availability
+ *
+ * JUNIOR DEV NOTE: Pure functions, like utils/eventSpans.js, so the
+ * availability view only has to draw what these return.
+ *
+ * WHAT COUNTS AS BUSY:
+ * - Timed events, unless marked "Show as: Free" (transparency 'transparent')
+ * - NOT all-day events: a birthday or "school holiday" doesn't mean
+ *   nobody can do anything that day
+ * - Events are the member's whose calendar they came from (sourceUser).
+ *   Family-calendar and subscribed events have no owner - they get their
+ *   own "Family" row and count against everyone.
+ */
+
+import { addMinutes, setHours, startOfDay } from 'date-fns';
+import { getDaySegment, isEventOnDay } from './eventSpans';
+
+/** The part of the day the timeline shows (free slots outside it don't help) */
+export const AVAILABILITY_START_HOUR = 7;
+export const AVAILABILITY_END_HOUR = 22;
+
+/** Row key for events that belong to no one in particular */
+export const FAMILY_ROW_ID = 'family';
+
+// Free slots start on a quarter hour - "3:15", not "3:07"
+const SLOT_STEP_MINUTES = 15;
+
+/**
+ * Does the event block time?
+ *
+ * @param {Object} event - Event in app format
+ * @returns {boolean}
+ */
+export const isBusyEvent = (event) => !event.isAllDay && event.transparency !== 'transparent';
+
+/**
+ * The timeline's [start, end) on a day
+ *
+ * @param {Date} day - Any time on the day
+ * @returns {Object} { start, end }
+ */
+export const getAvailabilityWindow = (day) => {
+    const dayStart = startOfDay(day);
+    return {
+        start: setHours(dayStart, AVAILABILITY_START_HOUR),
+        end: setHours(dayStart, AVAILABILITY_END_HOUR),
+    };
+};
+
+/**
+ * Sorts intervals and merges the ones that touch or overlap
+ *
+ * @param {Array} blocks - [{ start, end }]
+ * @returns {Array} Merged blocks, earliest first
+ */
+export const mergeBlocks = (blocks) => {
+    const sorted = [...blocks].sort((a, b) => a.start - b.start);
+    return sorted.reduce((merged, block) => {
+        const last = merged[merged.length - 1];
+        if (last && block.start <= last.end) {
+            if (block.end > last.end) merged[merged.length - 1] = { ...last, end: block.end };
+        } else {
+            merged.push({ start: block.start, end: block.end });
+        }
+        return merged;
+    }, []);
+};
+
+/**
+ * Busy blocks per member on one day, clipped to the timeline
+ *
+ * @param {Array} events - Events in app format
+ * @param {Date} day - Any time on the day
+ * @param {Array} memberIds - Whose rows to build (user IDs)
+ * @returns {Object} { [memberId | FAMILY_ROW_ID]: [{ start, end, events }] } (events: what made it busy)
+ */
+export const getBusyBlocks = (events, day, memberIds) => {
+    const range = getAvailabilityWindow(day);
+    const rows = Object.fromEntries([...memberIds.map(String), FAMILY_ROW_ID].map(id => [id, []]));
+
+    events
+        .filter(event => isBusyEvent(event) && isEventOnDay(event, day))
+        .forEach(event => {
+            const rowId = event.sourceUser ? String(event.sourceUser.id) : FAMILY_ROW_ID;
+            if (!rows[rowId]) return; // Someone who isn't being compared
+
+            const { start, end } = getDaySegment(event, day);
+            const clipped = {
+                start: start > range.start ? start : range.start,
+                end: end < range.end ? end : range.end,
+            };
+            if (clipped.end > clipped.start) rows[rowId].push({ ...clipped, event });
+        });
+
+    // Merge each row, remembering which events each block is made of
+    return Object.fromEntries(Object.entries(rows).map(([rowId, blocks]) => [
+        rowId,
+        mergeBlocks(blocks).map(merged => ({
+            ...merged,
+            events: blocks
+                .filter(block => block.start < merged.end && block.end > merged.start)
+                .map(block => block.event),
+        })),
+    ]));
+};
+
+/**
+ * Rounds a time up to the next slot step
+ */
+const roundUpToStep = (date) => {
+    const stepMs = SLOT_STEP_MINUTES * 60 * 1000;
+    return new Date(Math.ceil(date.getTime() / stepMs) * stepMs);
+};
+
+/**
+ * Gaps of at least `durationMinutes` when no one in the rows is busy
+ *
+ * @param {Object} busyBlocks - From getBusyBlocks
+ * @param {Date} day - Any time on the day
+ * @param {number} durationMinutes - How long the plan needs
+ * @param {Date} [now] - Slots never start in the past
+ * @returns {Array} [{ start, end }] whole free gaps, earliest first
+ */
+export const getCommonFreeSlots = (busyBlocks, day, durationMinutes, now = new Date()) => {
+    const range = getAvailabilityWindow(day);
+    const busy = mergeBlocks(Object.values(busyBlocks).flat());
+
+    const slots = [];
+    let cursor = roundUpToStep(now > range.start ? now : range.start);
+
+    [...busy, { start: range.end, end: range.end }].forEach(block => {
+        if (addMinutes(cursor, durationMinutes) <= block.start) {
+            slots.push({ start: cursor, end: block.start });
+        }
+        if (block.end > cursor) cursor = roundUpToStep(block.end);
+    });
+
+    return slots;
+};
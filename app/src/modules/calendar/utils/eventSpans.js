@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Which days an event covers, and how multi-day bars stack
+ * @module modules/calendar/utils/eventSpans
+ *
+ * JUNIOR DEV NOTE: Pure functions - no React - so the week, month, day
+ * and schedule views all agree on where an event goes.
+ *
+ * THE RULES:
+ * - An event is on every day its [start, end) touches. All-day events
+ *   end at the midnight AFTER their last day (Google's convention, see
+ *   parseGoogleEventEnd), so a Friday-Sunday trip is on Fri, Sat and Sun.
+ * - "Spanning" events - all-day ones longer than a day, and timed ones
+ *   lasting 24 hours or more - are drawn as ONE bar across the day cells.
+ * - Shorter timed events that cross midnight (a sleepover, 7pm-9am) stay
+ *   cards, shown on each day they touch.
+ */
+
+import { addDays, differenceInCalendarDays, format, isSameDay, startOfDay } from 'date-fns';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * When an event ends, even if its source didn't say
+ *
+ * @param {Object} event - Event in app format
+ * @returns {Date}
+ */
+export const getEventEnd = (event) => {
+    if (event.endDate > event.date) return event.endDate;
+    return event.isAllDay ? addDays(startOfDay(event.date), 1) : new Date(event.date.getTime() + HOUR_MS);
+};
+
+/**
+ * The last calendar day an event is on (an end at exactly midnight doesn't count)
+ *
+ * @param {Object} event - Event in app format
+ * @returns {Date} Midnight of that day
+ */
+export const getLastEventDay = (event) => startOfDay(new Date(getEventEnd(event).getTime() - 1));
+
+/**
+ * Is the event on this calendar day at all?
+ *
+ * @param {Object} event - Event in app format
+ * @param {Date} day - Any time on the day
+ * @returns {boolean}
+ */
+export const isEventOnDay = (event, day) => {
+    const dayStart = startOfDay(day);
+    return event.date < addDays(dayStart, 1) && getLastEventDay(event) >= dayStart;
+};
+
+/**
+ * Should the event be drawn as a bar across several day cells?
+ *
+ * @param {Object} event - Event in app format
+ * @returns {boolean}
+ */
+export const isSpanningEvent = (event) => {
+    if (event.isAllDay) return getEventEnd(event) - event.date > DAY_MS + HOUR_MS; // DST days are 25h
+    return getEventEnd(event) - event.date >= DAY_MS;
+};
+
+/**
+ * The part of a timed event that falls on one day
+ *
+ * @param {Object} event - Event in app format
+ * @param {Date} day - Any time on the day
+ * @returns {Object} { start, end, continuesBefore, continuesAfter }
+ */
+export const getDaySegment = (event, day) => {
+    const dayStart = startOfDay(day);
+    const dayEnd = addDays(dayStart, 1);
+    const end = getEventEnd(event);
+
+    return {
+        start: event.date > dayStart ? event.date : dayStart,
+        end: end < dayEnd ? end : dayEnd,
+        continuesBefore: event.date < dayStart,
+        continuesAfter: end > dayEnd,
+    };
+};
+
+/**
+ * Lays spanning events out as bars over a row of consecutive days
+ *
+ * HOW IT WORKS:
+ * Bars are placed earliest-first (longest first on a tie) into the first
+ * "lane" (row) that is free for all of their days - greedy packing, so
+ * a week with a trip and a school holiday needs two lanes, not seven.
+ *
+ * @param {Array} events - Events in app format (non-spanning ones are ignored)
+ * @param {Date[]} days - The row's days, in order (a week, usually)
+ * @returns {Object} { bars: [{ event, startIndex, endIndex, lane, continuesBefore, continuesAfter }], laneCount }
+ */
+export const layoutSpanningEvents = (events, days) => {
+    const firstDay = startOfDay(days[0]);
+    const lastIndex = days.length - 1;
+
+    const placed = events
+        .filter(event => isSpanningEvent(event) && days.some(day => isEventOnDay(event, day)))
+        .map(event => {
+            const startOffset = differenceInCalendarDays(event.date, firstDay);
+            const endOffset = differenceInCalendarDays(getLastEventDay(event), firstDay);
+            return {
+                event,
+                startIndex: Math.max(0, startOffset),
+                endIndex: Math.min(lastIndex, endOffset),
+                continuesBefore: startOffset < 0,
+                continuesAfter: endOffset > lastIndex,
+            };
+        })
+        .sort((a, b) => a.startIndex - b.startIndex || (b.endIndex - b.startIndex) - (a.endIndex - a.startIndex));
+
+    // lanes[n] = index of the last day taken in lane n
+    const lanes = [];
+    const bars = placed.map(bar => {
+        let lane = lanes.findIndex(lastTaken => lastTaken < bar.startIndex);
+        if (lane === -1) lane = lanes.length;
+        lanes[lane] = bar.endIndex;
+        return { ...bar, lane };
+    });
+
+    return { bars, laneCount: lanes.length };
+};
+
+/**
+ * "Until 2:00 AM"-style label for a day the event started before
+ *
+ * @param {Object} event - Event in app format
+ * @param {Date} day - Any time on the day
+ * @returns {string|null} null on the event's first day
+ */
+export const getContinuationLabel = (event, day) => {
+    if (isSameDay(event.date, day)) return null;
+    const { continuesAfter, end } = getDaySegment(event, day);
+    return continuesAfter ? 'All day' : `Until ${format(end, 'h:mm a')}`;
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Shows queued (not yet synced) changes on top of the synced events
+ * @module modules/calendar/utils/pendingEvents
+ *
+ * JUNIOR DEV NOTE: This is the "optimistic" part of the outbox. Synced
+ * events come from Google; we then replay the queue over them IN MEMORY,
+ * so a change made offline shows up at once - and disappears cleanly if
+ * it's discarded, because nothing was overwritten.
+ *
+ * Touched events get two flags the cards read:
+ * - `pending`: waiting to reach Google
+ * - `syncConflict`: why Google didn't take it (the user must decide)
+ */
+
+import { transformGoogleEvents, transformToGoogleEvent } from '../../../services/transformers/calendarTransformer';
+
+// What the event dialog can change - everything else stays as Google sent it
+const EDITABLE_FIELDS = ['summary', 'description', 'location', 'date', 'endDate', 'time', 'isAllDay', 'colorId', 'recurrence', 'reminders'];
+
+/**
+ * The queued event data, run through the same transforms a synced event gets
+ */
+const toAppEvent = (entry) => transformGoogleEvents([{
+    ...transformToGoogleEvent(entry.eventData),
+    id: entry.eventId,
+    originalCalendarId: entry.calendarId,
+}])[0];
+
+/**
+ * The fields a queued update changes (a missing colour keeps the old one)
+ */
+const getChanges = (entry) => {
+    const event = toAppEvent(entry);
+    return Object.fromEntries(EDITABLE_FIELDS
+        .filter(field => field !== 'colorId' || entry.eventData.colorId)
+        .map(field => [field, event[field]]));
+};
+
+/**
+ * Applies the outbox to a list of events
+ *
+ * @param {Array} events - Synced events (app format)
+ * @param {Array} outbox - Outbox entries, oldest first
+ * @param {Array} users - Family members (to tag new events with their owner)
+ * @returns {Array} Events as they'll be once the outbox has synced
+ */
+export const applyOutbox = (events, outbox, users = []) => {
+    if (outbox.length === 0) return events;
+
+    let result = events;
+
+    outbox.forEach(entry => {
+        const flags = {
+            pending: entry.status === 'pending',
+            syncConflict: entry.status === 'conflict' ? entry.lastError : null,
+        };
+        const isTarget = (event) => event.id === entry.eventId;
+        const isInSeries = (event) => event.recurringEventId === entry.eventId;
+
+        switch (entry.kind) {
+            case 'create': {
+                const owner = users.find(user => user?.id === entry.userId);
+                const created = {
+                    ...toAppEvent(entry),
+                    ...flags,
+                    ...(owner && { sourceUser: { id: owner.id, name: owner.name, color: owner.color, avatar: owner.avatar } }),
+                };
+                result = [...result.filter(event => !isTarget(event)), created];
+                break;
+            }
+            case 'update': {
+                const changes = getChanges(entry);
+                // A whole-series edit targets the series ID; we only hold its instances
+                result = result.map(event => {
+                    if (isTarget(event)) return { ...event, ...changes, ...flags };
+                    if (isInSeries(event)) return { ...event, ...flags };
+                    return event;
+                });
+                break;
+            }
+            case 'delete':
+                // A conflicting delete stays visible so there's something to tap
+                result = entry.status === 'conflict'
+                    ? result.map(event => (isTarget(event) || isInSeries(event)) ? { ...event, ...flags } : event)
+                    : result.filter(event => !isTarget(event) && !isInSeries(event));
+                break;
+            case 'split': {
+                const isAfterSplit = (event) => isInSeries(event) && event.date >= entry.splitDate;
+                result = !entry.eventData && entry.status !== 'conflict'
+                    ? result.filter(event => !isAfterSplit(event))
+                    : result.map(event => isAfterSplit(event) ? { ...event, ...flags } : event);
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    return [...result].sort((a, b) => a.date - b.date);
+};
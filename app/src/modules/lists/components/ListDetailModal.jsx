@@ -27,10 +27,12 @@ import {
 } from '@mui/material';
 import UserSelector from '../../users/UserSelector';
 import PinDialog from '../../../components/PinDialog';
+import { usePin } from '../../../components/usePin';
 
 const ListDetailModal = ({ list, open, onClose, userId }) => {
     const { currentUser } = useUser();
     const { getFreshToken, getSelectedTaskLists, setSelectedTaskLists, isUserConnected } = useGoogleAuth();
+    const { verifyPin } = usePin();
 
     // Settings State
     const [settingsAnchor, setSettingsAnchor] = useState(null);
@@ -70,7 +72,7 @@ const ListDetailModal = ({ list, open, onClose, userId }) => {
 
     const handleAuthUserSelect = (user) => {
         setAuthUser(user);
-        if (user.isParent && user.pin) {
+        if (user.isParent && user.hasPin) {
             setAuthStep('PIN');
         } else {
             // No PIN needed (Child or Parent without PIN)
@@ -78,8 +80,10 @@ const ListDetailModal = ({ list, open, onClose, userId }) => {
         }
     };
 
-    const handlePinSuccess = () => {
+    const handlePinSuccess = async (pin) => {
+        if (!(await verifyPin(pin, authUser?.id))) return false;
         finalizeAuth(authUser);
+        return true;
     };
 
     const finalizeAuth = (user) => {
@@ -241,7 +245,7 @@ const ListDetailModal = ({ list, open, onClose, userId }) => {
                     ) : (
                         <PinDialog
                             title={`Enter PIN for ${authUser?.name}`}
-                            onSuccess={() => { handlePinSuccess(); return true; }}
+                            onSuccess={handlePinSuccess}
                             autoSubmit={true}
                         />
                     )}
@@ -8,7 +8,7 @@
  * Families need to plan meals for the week. This context manages:
  * - Meals scheduled for specific dates and meal times (breakfast, lunch, dinner, snack)
  * - Saved recipes for quick meal planning
- * - Persistence to localStorage
+ * - Persistence to the server (/api/meals and /api/recipes)
  * 
  * DESIGN PATTERN: Context API + CRUD Pattern
  * Provides Create, Read, Update, Delete operations for meals and recipes.
@@ -23,10 +23,25 @@
  * }
  */
 
-import React, { useState, useEffect } from 'react';
-import { STORAGE_KEYS } from '../../utils/constants';
+import React from 'react';
+import { STORAGE_KEYS, API_ENDPOINTS } from '../../utils/constants';
+import { useServerState } from '../../hooks/useServerState';
 import { MealContext } from './MealContextCore';
 
+/**
+ * Legacy localStorage keys we migrate from
+ * 
+ * JUNIOR DEV NOTE: Why "undefined"?
+ * Older builds read STORAGE_KEYS.MEALS / STORAGE_KEYS.RECIPES, which were
+ * never defined. JavaScript turned the missing key into the string
+ * "undefined", so meals AND recipes were both written there (whichever
+ * saved last won). We tell them apart by shape: meals are an object keyed
+ * by date, recipes are an array.
+ */
+const LEGACY_STORAGE_KEY = 'undefined';
+
+const isMealPlan = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
 /**
  * Meal Provider Component
  * 
@@ -34,10 +49,10 @@ import { MealContext } from './MealContextCore';
  * Manages meal planning data and operations.
  * 
  * HOW IT WORKS:
- * 1. Load meals and recipes from localStorage
+ * 1. Load meals and recipes from the server (migrating localStorage once)
  * 2. Provide CRUD operations for meals
  * 3. Provide CRUD operations for recipes
- * 4. Auto-save changes to localStorage
+ * 4. Auto-save changes to the server (debounced, see useServerState)
  * 
  * DATA MODEL:
  * - Meals: Organized by date and category (breakfast, lunch, etc.)
@@ -67,9 +82,11 @@ export default function MealProvider({ children }) {
      * - Category as nested key: Fast lookup for meal time
      * - Array of meals: Supports multiple items per meal (e.g., "Eggs and Toast")
      */
-    const [meals, setMeals] = useState(() => {
-        const stored = localStorage.getItem(STORAGE_KEYS.MEALS);
-        return stored ? JSON.parse(stored) : {};
+    const [meals, setMeals] = useServerState(API_ENDPOINTS.LOCAL_MEALS, {
+        initialValue: {},
+        legacyKeys: [LEGACY_STORAGE_KEY],
+        migrationFlag: `${STORAGE_KEYS.SERVER_MIGRATION_PREFIX}meals`,
+        isValid: isMealPlan,
     });
 
     /**
@@ -85,35 +102,13 @@ export default function MealProvider({ children }) {
      * Recipes are templates that can be reused. Meals are specific instances
      * scheduled for specific dates. Think of recipes as the "master copy".
      */
-    const [recipes, setRecipes] = useState(() => {
-        try {
-            const stored = localStorage.getItem(STORAGE_KEYS.RECIPES);
-            const parsed = stored ? JSON.parse(stored) : [];
-            return Array.isArray(parsed) ? parsed : [];
-        } catch (e) {
-            console.error("Failed to parse recipes:", e);
-            return [];
-        }
+    const [recipes, setRecipes] = useServerState(API_ENDPOINTS.LOCAL_RECIPES, {
+        initialValue: [],
+        legacyKeys: [LEGACY_STORAGE_KEY],
+        migrationFlag: `${STORAGE_KEYS.SERVER_MIGRATION_PREFIX}recipes`,
+        isValid: Array.isArray,
     });
 
-    // ========================================================================
-    // EFFECTS
-    // ========================================================================
-
-    /**
-     * Persist meals to localStorage
-     */
-    useEffect(() => {
-        localStorage.setItem(STORAGE_KEYS.MEALS, JSON.stringify(meals));
-    }, [meals]);
-
-    /**
-     * Persist recipes to localStorage
-     */
-    useEffect(() => {
-        localStorage.setItem(STORAGE_KEYS.RECIPES, JSON.stringify(recipes));
-    }, [recipes]);
-
     // ========================================================================
     // MEAL OPERATIONS
     // ========================================================================
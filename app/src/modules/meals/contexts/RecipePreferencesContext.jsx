@@ -11,8 +11,11 @@
  * are shared across the family. This separation follows Single Responsibility.
  */
 
-import React, { useState, useEffect, useCallback, createContext, useContext } from 'react';
+import React, { useCallback, createContext, useContext } from 'react';
+import { useServerState } from '../../../hooks/useServerState';
+import { STORAGE_KEYS, API_ENDPOINTS } from '../../../utils/constants';
 
+// Legacy localStorage key (migrated to the server once)
 const STORAGE_KEY = 'family_recipe_preferences';
 
 // Context creation
@@ -29,17 +32,14 @@ const RecipePreferencesContext = createContext(null);
  * }
  */
 export function RecipePreferencesProvider({ children }) {
-    // Initialize from localStorage
-    const [preferences, setPreferences] = useState(() => {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        return stored ? JSON.parse(stored) : {};
+    // Loaded from / saved to the server (shared by every family member)
+    const [preferences, setPreferences] = useServerState(API_ENDPOINTS.LOCAL_RECIPE_PREFERENCES, {
+        initialValue: {},
+        legacyKeys: [STORAGE_KEY],
+        migrationFlag: `${STORAGE_KEYS.SERVER_MIGRATION_PREFIX}recipe_preferences`,
+        isValid: (value) => value && typeof value === 'object' && !Array.isArray(value),
     });
 
-    // Persist to localStorage on change
-    useEffect(() => {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
-    }, [preferences]);
-
     /**
      * Set a user's preference for a recipe
      * @param {string} userId - User ID
@@ -54,7 +54,7 @@ export function RecipePreferencesProvider({ children }) {
                 [recipeId]: preference,
             }
         }));
-    }, []);
+    }, [setPreferences]);
 
     /**
      * Get a user's preference for a recipe
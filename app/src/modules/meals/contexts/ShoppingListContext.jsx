@@ -6,18 +6,22 @@
  * - Generates lists from weekly meal plan
  * - Aggregates and consolidates ingredients
  * - Groups by aisle for grocery store efficiency
- * - Persists checked-off items across sessions
+ * - Persists checked-off items on the server (/api/shopping-list)
  * 
  * UNIT CONSOLIDATION:
  * We normalize common units (cup, cups → cup) and combine quantities
  * for the same ingredient. E.g., "1/2 cup onion" + "1 cup onion" = "1.5 cups onion"
  */
 
-import React, { useState, useEffect, useCallback, createContext, useContext } from 'react';
+import React, { useCallback, createContext, useContext } from 'react';
 import { startOfWeek, addDays, format } from 'date-fns';
 import { normalizeAisle, AISLE_CATEGORIES } from '../constants/aisles';
+import { useServerState } from '../../../hooks/useServerState';
+import { STORAGE_KEYS, API_ENDPOINTS } from '../../../utils/constants';
 
+// Legacy localStorage key (migrated to the server once)
 const STORAGE_KEY = 'family_shopping_list';
+const EMPTY_LIST = { items: [], lastGenerated: null };
 
 const ShoppingListContext = createContext(null);
 
@@ -48,16 +52,15 @@ const normalizeUnit = (unit) => {
  * }
  */
 export function ShoppingListProvider({ children }) {
-    const [shoppingList, setShoppingList] = useState(() => {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        return stored ? JSON.parse(stored) : { items: [], lastGenerated: null };
+    // Loaded from / saved to the server
+    const [shoppingList, setShoppingList] = useServerState(API_ENDPOINTS.LOCAL_SHOPPING_LIST, {
+        initialValue: EMPTY_LIST,
+        legacyKeys: [STORAGE_KEY],
+        migrationFlag: `${STORAGE_KEYS.SERVER_MIGRATION_PREFIX}shopping_list`,
+        isValid: (value) => Array.isArray(value?.items),
+        isEmpty: (value) => !value?.items?.length,
     });
 
-    // Persist to localStorage
-    useEffect(() => {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(shoppingList));
-    }, [shoppingList]);
-
     /**
      * Generates shopping list from meals context
      * @param {Object} meals - Meals object from MealContext
@@ -104,7 +107,7 @@ export function ShoppingListProvider({ children }) {
         });
 
         setShoppingList({ items, lastGenerated: new Date().toISOString() });
-    }, []);
+    }, [setShoppingList]);
 
     /**
      * Toggle an item's checked status
@@ -116,14 +119,14 @@ export function ShoppingListProvider({ children }) {
                 item.id === itemId ? { ...item, checked: !item.checked } : item
             ),
         }));
-    }, []);
+    }, [setShoppingList]);
 
     /**
      * Clear all items (reset list)
      */
     const clearList = useCallback(() => {
-        setShoppingList({ items: [], lastGenerated: null });
-    }, []);
+        setShoppingList(EMPTY_LIST);
+    }, [setShoppingList]);
 
     /**
      * Get items grouped by aisle
@@ -153,7 +156,7 @@ export function ShoppingListProvider({ children }) {
             ...prev,
             items: [...prev.items, newItem]
         }));
-    }, []);
+    }, [setShoppingList]);
 
     /**
      * Delete an item from the list
@@ -163,15 +166,13 @@ export function ShoppingListProvider({ children }) {
             ...prev,
             items: prev.items.filter(item => item.id !== itemId)
         }));
-    }, []);
+    }, [setShoppingList]);
 
     const value = {
         shoppingList,
         generateFromMeals,
         toggleItem,
         clearList,
-        toggleItem,
-        clearList,
         getGroupedItems,
         addItem,
         deleteItem,
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Full-screen reminder card
+ * @module modules/reminders/components/ReminderCard
+ *
+ * JUNIOR DEV NOTE: MainLayout renders this on every screen, above the
+ * screensaver. It renders nothing until RemindersProvider has a reminder
+ * due. Several due at once? They're shown one at a time, oldest first.
+ */
+
+import React from 'react';
+import { Box, Paper, Avatar, AvatarGroup, Typography, Button, Fade } from '@mui/material';
+import NotificationsActiveIcon from '@mui/icons-material/NotificationsActive';
+import { format, isSameDay } from 'date-fns';
+import { useReminders } from '../useReminders';
+
+// Snooze choices, in minutes
+const SNOOZE_OPTIONS = [5, 15];
+
+// Card colour when a reminder isn't anyone's in particular (family calendar)
+const FAMILY_COLOR = '#6366F1';
+
+/**
+ * "Starts at 3:30 PM (in 10 min)" / "Today, all day" / "Due today"
+ */
+const describeWhen = (reminder, now) => {
+    if (reminder.kind === 'task') {
+        return isSameDay(reminder.start, now) ? 'Due today' : `Was due ${format(reminder.start, 'EEE, MMM d')}`;
+    }
+    if (reminder.isAllDay) {
+        return isSameDay(reminder.start, now) ? 'Today, all day' : `${format(reminder.start, 'EEE, MMM d')}, all day`;
+    }
+
+    const minutesLeft = Math.round((reminder.start - now) / 60000);
+    const time = format(reminder.start, 'h:mm a');
+    if (minutesLeft > 0) return `Starts at ${time} (in ${minutesLeft} min)`;
+    return minutesLeft === 0 ? `Starting now (${time})` : `Started at ${time}`;
+};
+
+const ReminderCard = () => {
+    const { dueReminders, activeReminder, snooze, dismiss } = useReminders();
+
+    if (!activeReminder) return null;
+
+    const { id, title, members } = activeReminder;
+    const color = members[0]?.color || FAMILY_COLOR;
+    const forWhom = members.length > 0 ? members.map(member => member.name).join(' & ') : 'Family';
+
+    return (
+        <Fade in>
+            <Box
+                data-testid="reminder-card"
+                sx={{
+                    position: 'fixed',
+                    inset: 0,
+                    zIndex: 10000, // Above the screensaver (9999)
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    bgcolor: 'rgba(0, 0, 0, 0.6)',
+                    p: 3,
+                }}
+            >
+                <Paper
+                    elevation={8}
+                    sx={{
+                        width: '100%',
+                        maxWidth: 640,
+                        borderRadius: 4,
+                        overflow: 'hidden',
+                        borderTop: `12px solid ${color}`,
+                        textAlign: 'center',
+                        p: 4,
+                    }}
+                >
+                    {members.length > 0 ? (
+                        <AvatarGroup max={4} sx={{ justifyContent: 'center', mb: 2 }}>
+                            {members.map(member => (
+                                <Avatar
+                                    key={member.name}
+                                    sx={{ bgcolor: member.color, width: 88, height: 88, fontSize: '2.5rem' }}
+                                >
+                                    {member.avatar}
+                                </Avatar>
+                            ))}
+                        </AvatarGroup>
+                    ) : (
+                        <NotificationsActiveIcon sx={{ fontSize: 88, color, mb: 2 }} />
+                    )}
+
+                    <Typography variant="overline" sx={{ color, fontWeight: 700, fontSize: '1rem' }}>
+                        {forWhom}
+                    </Typography>
+                    <Typography variant="h3" sx={{ fontWeight: 700, my: 1, wordBreak: 'break-word' }}>
+                        {title}
+                    </Typography>
+                    <Typography variant="h6" color="text.secondary">
+                        {describeWhen(activeReminder, new Date())}
+                    </Typography>
+
+                    <Box sx={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 2, mt: 4 }}>
+                        {SNOOZE_OPTIONS.map(minutes => (
+                            <Button
+                                key={minutes}
+                                variant="outlined"
+                                size="large"
+                                onClick={() => snooze(id, minutes)}
+                                sx={{ minHeight: 56, minWidth: 150 }}
+                            >
+                                Snooze {minutes} min
+                            </Button>
+                        ))}
+                        <Button
+                            variant="contained"
+                            size="large"
+                            onClick={() => dismiss(id)}
+                            sx={{ minHeight: 56, minWidth: 150, bgcolor: color }}
+                        >
+                            Dismiss
+                        </Button>
+                    </Box>
+
+                    {dueReminders.length > 1 && (
+                        <Typography variant="caption" color="text.secondary" display="block" mt={2}>
+                            {dueReminders.length - 1} more after this one
+                        </Typography>
+                    )}
+                </Paper>
+            </Box>
+        </Fade>
+    );
+};
+
+export default ReminderCard;
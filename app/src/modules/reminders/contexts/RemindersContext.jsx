@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Reminders Context Provider (kiosk alerts)
+ * @module modules/reminders/contexts/RemindersContext
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Google only reminds people on their phones. The kiosk is where the whole
+ * family actually looks, so it reminds too: a full-screen card (see
+ * components/ReminderCard.jsx) with an optional chime.
+ *
+ * WHERE REMINDERS COME FROM:
+ * - Google and subscribed events: their reminders, from the calendar we
+ *   already have loaded (useCalendar)
+ * - Local family events: GET /api/events/reminders
+ * - Local tasks with a due date: GET /api/local-tasks
+ *
+ * DISMISS AND SNOOZE:
+ * Kept in localStorage so a reload (or the nightly reboot) doesn't bring
+ * back a reminder somebody already dealt with.
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { STORAGE_KEYS } from '../../../utils/constants';
+import { useUser } from '../../users/useUser';
+import { useCalendar } from '../../calendar/useCalendar';
+import { fetchLocalReminders } from '../../../services/localCalendar';
+import {
+    getEventReminders,
+    fromLocalReminders,
+    getTaskReminders,
+    getDueReminders,
+    pruneHandled,
+} from '../utils/reminderSchedule';
+import { playChime } from '../utils/chime';
+import { RemindersContext } from './RemindersContextCore';
+
+// Reminders are checked to the quarter minute
+const CLOCK_TICK_MS = 15 * 1000;
+
+// How often local reminders and tasks are re-read from the server
+const REFRESH_MS = 2 * 60 * 1000;
+
+// How far back we look - far enough that a snoozed reminder is still known
+const LOOK_BACK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Dismiss/snooze records from the last visit
+ */
+const loadHandled = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.REMINDERS_HANDLED) || '{}');
+        return pruneHandled(saved, new Date());
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Local reminders and tasks, fetched in parallel
+ *
+ * JUNIOR DEV NOTE: Each half fails on its own - if the tasks can't load,
+ * event reminders still work (and vice versa).
+ */
+const fetchServerItems = async (now) => {
+    const [localReminders, tasks] = await Promise.all([
+        fetchLocalReminders(new Date(now.getTime() - LOOK_BACK_MS), new Date(now.getTime() + REFRESH_MS + 60 * 1000))
+            .catch(err => {
+                console.error('[Reminders] Failed to load event reminders:', err);
+                return null;
+            }),
+        fetch('/api/local-tasks')
+            .then(response => {
+                if (!response.ok) throw new Error('Failed to fetch local tasks');
+                return response.json();
+            })
+            .catch(err => {
+                console.error('[Reminders] Failed to load tasks:', err);
+                return null;
+            }),
+    ]);
+    return { localReminders, tasks };
+};
+
+/**
+ * RemindersProvider Component
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ */
+export function RemindersProvider({ children }) {
+    const { users } = useUser();
+    const { events } = useCalendar();
+
+    // ========================================================================
+    // STATE
+    // ========================================================================
+
+    const [now, setNow] = useState(() => new Date());
+    const [localReminders, setLocalReminders] = useState([]);
+    const [tasks, setTasks] = useState([]);
+    const [handled, setHandled] = useState(loadHandled);
+
+    // The chime is optional - some families only want the card
+    const [chimeEnabled, setChimeEnabledState] = useState(
+        () => localStorage.getItem(STORAGE_KEYS.REMINDER_CHIME) !== 'off'
+    );
+
+    // ========================================================================
+    // DATA LOADING
+    // ========================================================================
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const refresh = async () => {
+            const items = await fetchServerItems(new Date());
+            if (cancelled) return;
+            // null = that request failed; keep what we had
+            if (items.localReminders) setLocalReminders(items.localReminders);
+            if (items.tasks) setTasks(items.tasks);
+        };
+
+        refresh();
+        const interval = setInterval(refresh, REFRESH_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(interval);
+        };
+    }, []);
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(new Date()), CLOCK_TICK_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEYS.REMINDERS_HANDLED, JSON.stringify(handled));
+    }, [handled]);
+
+    // ========================================================================
+    // QUERIES
+    // ========================================================================
+
+    /**
+     * Everything that should be on screen right now, oldest first
+     *
+     * JUNIOR DEV NOTE: The calendar holds a year and a half of events, but
+     * only reminders from the last day up to "now" can be due, so that's
+     * the only window we build.
+     */
+    const dueReminders = useMemo(() => {
+        const from = new Date(now.getTime() - LOOK_BACK_MS);
+        const to = new Date(now.getTime() + 1);
+        const all = [
+            ...getEventReminders(events, from, to),
+            ...fromLocalReminders(localReminders),
+            ...getTaskReminders(tasks, users, now),
+        ];
+        return getDueReminders(all, handled, now);
+    }, [events, localReminders, tasks, users, handled, now]);
+
+    const activeReminder = dueReminders[0] || null;
+    const activeId = activeReminder?.id;
+
+    /** Chime once each time a new card comes up */
+    useEffect(() => {
+        if (activeId && chimeEnabled) playChime();
+    }, [activeId, chimeEnabled]);
+
+    // ========================================================================
+    // ACTIONS
+    // ========================================================================
+
+    /**
+     * Hide a reminder for a while
+     *
+     * @param {string} id - Reminder ID
+     * @param {number} minutes - How long
+     */
+    const snooze = useCallback((id, minutes) => {
+        const at = new Date();
+        setHandled(prev => ({
+            ...prev,
+            [id]: { at: at.toISOString(), snoozedUntil: new Date(at.getTime() + minutes * 60 * 1000).toISOString() },
+        }));
+    }, []);
+
+    /**
+     * Hide a reminder for good
+     *
+     * @param {string} id - Reminder ID
+     */
+    const dismiss = useCallback((id) => {
+        setHandled(prev => ({ ...prev, [id]: { at: new Date().toISOString(), dismissed: true } }));
+    }, []);
+
+    const setChimeEnabled = useCallback((enabled) => {
+        localStorage.setItem(STORAGE_KEYS.REMINDER_CHIME, enabled ? 'on' : 'off');
+        setChimeEnabledState(enabled);
+    }, []);
+
+    // ========================================================================
+    // CONTEXT VALUE
+    // ========================================================================
+
+    const value = {
+        dueReminders,
+        activeReminder,
+        snooze,
+        dismiss,
+        chimeEnabled,
+        setChimeEnabled,
+        playChime,
+    };
+
+    return (
+        <RemindersContext.Provider value={value}>
+            {children}
+        </RemindersContext.Provider>
+    );
+}
+
+export default RemindersProvider;
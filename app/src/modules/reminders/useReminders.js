@@ -0,0 +1,8 @@
+import { useContext } from 'react';
+import { RemindersContext } from './contexts/RemindersContextCore';
+
+export const useReminders = () => {
+    const context = useContext(RemindersContext);
+    if (!context) throw new Error('useReminders must be used within RemindersProvider');
+    return context;
+};
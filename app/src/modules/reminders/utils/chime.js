@@ -0,0 +1,50 @@
+/**
+ * @fileoverview A short two-note chime for kiosk reminders
+ * @module modules/reminders/utils/chime
+ *
+ * JUNIOR DEV NOTE: Why not an .mp3 in public/? A sound file is one more
+ * thing to ship and cache. The Web Audio API can play two soft sine notes
+ * with no file at all.
+ *
+ * AUTOPLAY: Browsers only allow sound after someone has touched the page.
+ * A kiosk gets touched all day, but right after a reboot the chime may be
+ * silent until the first tap - the card still shows either way.
+ */
+
+// A major third, gentle enough not to startle anyone
+const NOTES_HZ = [660, 830];
+const NOTE_SECONDS = 0.35;
+const VOLUME = 0.2;
+
+let audioContext = null;
+
+/**
+ * Plays the chime (does nothing where Web Audio isn't available)
+ */
+export const playChime = () => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        audioContext.resume().catch(() => {});
+
+        NOTES_HZ.forEach((frequency, index) => {
+            const startAt = audioContext.currentTime + index * NOTE_SECONDS;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            // Fade each note out so it doesn't click
+            gain.gain.setValueAtTime(VOLUME, startAt);
+            gain.gain.exponentialRampToValueAtTime(0.001, startAt + NOTE_SECONDS);
+
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(startAt);
+            oscillator.stop(startAt + NOTE_SECONDS);
+        });
+    } catch (err) {
+        console.warn('[Reminders] Could not play chime:', err);
+    }
+};
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Reminder helpers (what should alert on the kiosk, and when)
+ * @module modules/reminders/utils/reminderSchedule
+ *
+ * JUNIOR DEV NOTE: Pure functions again - no React, no fetch. The provider
+ * gathers events, local reminders and tasks; these turn them into one list
+ * of reminders and decide which are due right now.
+ *
+ * A REMINDER:
+ * {
+ *   id,          // stable, so "dismissed" survives a reload
+ *   kind: 'event' | 'task',
+ *   title,
+ *   start,       // Date the event starts / the task is due
+ *   isAllDay,
+ *   remindAt,    // Date it should pop up
+ *   minutes,     // minutes before the start (events only)
+ *   members,     // [{ name, color, avatar }] - who it's for (may be empty)
+ * }
+ */
+
+import { format, parseISO, setHours, startOfDay } from 'date-fns';
+import { getPeriodStart } from '../../tasks/utils/taskRecurrence';
+
+/** Same as the server's DEFAULT_REMINDER_MINUTES (and Google's default) */
+export const DEFAULT_REMINDER_MINUTES = 10;
+
+/** A task due today reminds after school, when someone's around to do it */
+export const TASK_REMINDER_HOUR = 16;
+
+/**
+ * Reminders that should have popped up longer ago than this are skipped -
+ * the kiosk was off or asleep, and a 10-minute warning an hour late is noise
+ */
+export const MISSED_AFTER_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes before the start an event reminds, one per reminder
+ *
+ * JUNIOR DEV NOTE: Email reminders go to someone's inbox - they shouldn't
+ * ring the kiosk. Popups (the only kind AddEventDialog makes) do.
+ * An all-day event only reminds if someone asked for it: the default
+ * would go off at 11:50 the night before.
+ *
+ * @param {Object} event - App-format event
+ * @returns {number[]}
+ */
+export const getReminderMinutes = (event) => {
+    if (!event.reminders || event.reminders.useDefault !== false) {
+        return event.isAllDay ? [] : [DEFAULT_REMINDER_MINUTES];
+    }
+    return (event.reminders.overrides || [])
+        .filter(override => override.method !== 'email')
+        .map(override => override.minutes);
+};
+
+/**
+ * The member an event belongs to, as a one-item list (or empty)
+ */
+const toMembers = (sourceUser) => (sourceUser ? [sourceUser] : []);
+
+/**
+ * Reminders for Google and subscribed events that pop up in a window
+ *
+ * JUNIOR DEV NOTE: Local events are skipped - the server already knows
+ * their reminders (GET /api/events/reminders, see fromLocalReminders).
+ *
+ * @param {Array} events - App-format events (one per occurrence)
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end (exclusive)
+ * @returns {Array} Reminders
+ */
+export const getEventReminders = (events, from, to) => {
+    const reminders = [];
+
+    events.forEach(event => {
+        if (event.isLocalEvent || !(event.date instanceof Date)) return;
+
+        getReminderMinutes(event).forEach(minutes => {
+            const remindAt = new Date(event.date.getTime() - minutes * MINUTE_MS);
+            if (remindAt < from || remindAt >= to) return;
+
+            reminders.push({
+                id: `event|${event.id}|${minutes}`,
+                kind: 'event',
+                title: event.summary || '(No title)',
+                start: event.date,
+                isAllDay: Boolean(event.isAllDay),
+                remindAt,
+                minutes,
+                members: toMembers(event.sourceUser),
+            });
+        });
+    });
+
+    return reminders;
+};
+
+/**
+ * Reminders from GET /api/events/reminders (the local family calendar)
+ *
+ * @param {Array} serverReminders - [{ eventId, instanceId, summary, start, remindAt, minutes }]
+ * @returns {Array} Reminders
+ */
+export const fromLocalReminders = (serverReminders) => serverReminders.map(reminder => ({
+    id: `local|${reminder.instanceId}|${reminder.minutes}`,
+    kind: 'event',
+    title: reminder.summary || '(No title)',
+    start: new Date(reminder.start),
+    isAllDay: false,
+    remindAt: new Date(reminder.remindAt),
+    minutes: reminder.minutes,
+    members: [],
+}));
+
+/**
+ * Is a local task done? (A recurring one only counts if done today -
+ * or in the current time window, for a chore done several times a day.)
+ *
+ * JUNIOR DEV NOTE: Same rule as needsReset() in the server's
+ * localTasksService - `completed` on disk may be from yesterday.
+ */
+const isTaskDone = (task, now) => {
+    if (!task.completed) return false;
+    if (!task.isRecurring) return true;
+    return Boolean(task.lastCompletedDate)
+        && new Date(task.lastCompletedDate) >= getPeriodStart(task, now);
+};
+
+/**
+ * Who on a shared task still has their part to do (IDs as strings)
+ *
+ * JUNIOR DEV NOTE: Tasks track completion per assignee in `completions`
+ * (see getCompletions() in the server's localTasksService). Older tasks
+ * don't have it - for those it's everyone until `completed` is set.
+ * A chore that takes turns is only waiting on whoever's turn it is.
+ */
+const getWaitingOn = (task, now) => {
+    const assigned = [].concat(task.currentAssignee ?? task.assignedTo ?? []).map(String);
+    const done = Object.entries(task.completions || {})
+        .filter(([, at]) => !task.isRecurring || new Date(at) >= getPeriodStart(task, now))
+        .map(([id]) => id);
+    return assigned.filter(id => !done.includes(id));
+};
+
+/**
+ * Reminders for unfinished local tasks due today (or overdue)
+ *
+ * JUNIOR DEV NOTE: A shared task only shows the people who haven't
+ * done their part yet.
+ *
+ * @param {Array} tasks - Local tasks (GET /api/local-tasks)
+ * @param {Array} users - Family members (to show who it's for)
+ * @param {Date} now - Current time
+ * @returns {Array} Reminders, one per task
+ */
+export const getTaskReminders = (tasks, users, now) => {
+    const today = startOfDay(now);
+
+    return tasks
+        .filter(task => task.dueDate && !isTaskDone(task, now))
+        .map(task => {
+            const due = startOfDay(parseISO(task.dueDate));
+            // Overdue tasks remind again each day, not on a day long gone
+            const remindDay = due < today ? today : due;
+            const waitingOn = getWaitingOn(task, now);
+            return {
+                id: `task|${task.id}|${format(remindDay, 'yyyy-MM-dd')}`,
+                kind: 'task',
+                title: task.title,
+                start: due,
+                isAllDay: true,
+                remindAt: setHours(remindDay, TASK_REMINDER_HOUR),
+                minutes: null,
+                members: users
+                    .filter(user => user && waitingOn.includes(String(user.id)))
+                    .map(user => ({ name: user.name, color: user.color, avatar: user.avatar })),
+            };
+        })
+        .filter(reminder => !Number.isNaN(reminder.start.getTime()));
+};
+
+/**
+ * The reminders that should be on screen right now, oldest first
+ *
+ * @param {Array} reminders - All known reminders
+ * @param {Object} handled - { [id]: { at, dismissed: true } | { at, snoozedUntil } } (ISO strings)
+ * @param {Date} now - Current time
+ * @returns {Array} Due reminders
+ */
+export const getDueReminders = (reminders, handled, now) => {
+    const missedBefore = now.getTime() - MISSED_AFTER_MINUTES * MINUTE_MS;
+
+    return reminders
+        .filter(reminder => {
+            const state = handled[reminder.id];
+            if (state?.dismissed) return false;
+            // A snooze brings it back however late it is - someone asked for that
+            if (state?.snoozedUntil) return new Date(state.snoozedUntil) <= now;
+            return reminder.remindAt <= now && reminder.remindAt.getTime() > missedBefore;
+        })
+        .sort((a, b) => a.remindAt - b.remindAt);
+};
+
+/**
+ * Drops dismiss/snooze records older than a couple of days
+ *
+ * @param {Object} handled - See getDueReminders
+ * @param {Date} now - Current time
+ * @returns {Object} The records still worth keeping
+ */
+export const pruneHandled = (handled, now) => {
+    const keepAfter = now.getTime() - 2 * 24 * 60 * MINUTE_MS;
+    return Object.fromEntries(Object.entries(handled)
+        .filter(([, state]) => new Date(state.snoozedUntil || state.at).getTime() > keepAfter));
+};
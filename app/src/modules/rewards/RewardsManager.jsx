@@ -1,5 +1,5 @@
 /**
- * @fileoverview RewardsManager - CRUD Dialog for Shop Items
+ * @fileoverview RewardsManager - Parent dialog for the shop, reward requests, streak bonuses, levels and XP/Gold history
  * @module modules/rewards/RewardsManager
  */
 
@@ -19,27 +19,41 @@ import {
     ListItemSecondaryAction,
     IconButton,
     Chip,
-    Stack
+    Stack,
+    Tabs,
+    Tab
 } from '@mui/material';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
+import { parentFetch } from '../../services/parentSession';
+import StreakBonusEditor from './components/StreakBonusEditor';
+import LevelCurveEditor from './components/LevelCurveEditor';
+import RedemptionRequests from './components/RedemptionRequests';
+import LedgerHistory from './components/LedgerHistory';
 
 const API_BASE = '/api';
 
 /**
  * RewardsManager Component
+ *
+ * JUNIOR DEV NOTE: Changing the shop is parent-only on the server, so
+ * writes go through parentFetch (adds the session token from the PIN).
  */
 const RewardsManager = ({ open, onClose, onSave }) => {
     // State
     const [rewards, setRewards] = useState([]);
     const [showForm, setShowForm] = useState(false);
     const [editingReward, setEditingReward] = useState(null);
+    const [tab, setTab] = useState('shop'); // 'shop' | 'requests' | 'streaks' | 'levels' | 'history'
 
     // Form state
     const [title, setTitle] = useState('');
     const [cost, setCost] = useState(50);
     const [icon, setIcon] = useState('🎁');
+    // Optional limits - '' means "no limit"
+    const [stock, setStock] = useState('');
+    const [cooldownDays, setCooldownDays] = useState('');
 
     // Load rewards
     useEffect(() => {
@@ -57,6 +71,8 @@ const RewardsManager = ({ open, onClose, onSave }) => {
             setTitle(editingReward.title || '');
             setCost(editingReward.cost ?? 50);
             setIcon(editingReward.icon || '🎁');
+            setStock(editingReward.stock ?? '');
+            setCooldownDays(editingReward.cooldownDays ?? '');
             setShowForm(true);
         }
     }, [editingReward]);
@@ -65,6 +81,8 @@ const RewardsManager = ({ open, onClose, onSave }) => {
         setTitle('');
         setCost(50);
         setIcon('🎁');
+        setStock('');
+        setCooldownDays('');
         setShowForm(false);
         setEditingReward(null);
     };
@@ -75,23 +93,25 @@ const RewardsManager = ({ open, onClose, onSave }) => {
         const rewardData = {
             title: title.trim(),
             cost: Number(cost),
-            icon
+            icon,
+            stock: stock === '' ? null : Number(stock),
+            cooldownDays: cooldownDays === '' ? null : Number(cooldownDays)
         };
 
         try {
-            if (editingReward) {
-                await fetch(`${API_BASE}/rewards/${editingReward.id}`, {
+            const saveRes = editingReward
+                ? await parentFetch(`${API_BASE}/rewards/${editingReward.id}`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(rewardData)
-                });
-            } else {
-                await fetch(`${API_BASE}/rewards`, {
+                })
+                : await parentFetch(`${API_BASE}/rewards`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(rewardData)
                 });
-            }
+            // Keep the form open if the server rejected a value (e.g. negative stock)
+            if (!saveRes.ok) throw new Error(`Server returned ${saveRes.status}`);
 
             // Refresh list
             const res = await fetch(`${API_BASE}/rewards`);
@@ -107,7 +127,7 @@ const RewardsManager = ({ open, onClose, onSave }) => {
         if (!window.confirm(`Delete "${reward.title}"?`)) return;
 
         try {
-            await fetch(`${API_BASE}/rewards/${reward.id}`, {
+            await parentFetch(`${API_BASE}/rewards/${reward.id}`, {
                 method: 'DELETE'
             });
             setRewards(prev => prev.filter(r => r.id !== reward.id));
@@ -119,7 +139,7 @@ const RewardsManager = ({ open, onClose, onSave }) => {
 
     const handleSeedDefaults = async () => {
         try {
-            await fetch(`${API_BASE}/rewards/seed`, { method: 'POST' });
+            await parentFetch(`${API_BASE}/rewards/seed`, { method: 'POST' });
             const res = await fetch(`${API_BASE}/rewards`);
             setRewards(await res.json());
             onSave?.();
@@ -161,58 +181,102 @@ const RewardsManager = ({ open, onClose, onSave }) => {
                                 inputProps={{ maxLength: 4 }}
                             />
                         </Stack>
+
+                        <Stack direction="row" spacing={2}>
+                            <TextField
+                                label="How many left"
+                                type="number"
+                                value={stock}
+                                onChange={(e) => setStock(e.target.value)}
+                                helperText="Empty = unlimited"
+                                inputProps={{ min: 0 }}
+                            />
+                            <TextField
+                                label="Once every (days)"
+                                type="number"
+                                value={cooldownDays}
+                                onChange={(e) => setCooldownDays(e.target.value)}
+                                helperText="Per kid - 7 = once a week"
+                                inputProps={{ min: 1, max: 365 }}
+                            />
+                        </Stack>
                     </Box>
                 ) : (
                     <Box>
-                        <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
-                            <Button
-                                variant="outlined"
-                                startIcon={<AddIcon />}
-                                onClick={() => setShowForm(true)}
-                            >
-                                Add Reward
-                            </Button>
-                            {rewards.length === 0 && (
-                                <Button
-                                    variant="text"
-                                    onClick={handleSeedDefaults}
-                                >
-                                    Load Examples
-                                </Button>
-                            )}
-                        </Stack>
+                        <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 2 }}>
+                            <Tab value="shop" label="Shop" />
+                            <Tab value="requests" label="Requests" />
+                            <Tab value="streaks" label="Streaks" />
+                            <Tab value="levels" label="Levels" />
+                            <Tab value="history" label="History" />
+                        </Tabs>
+
+                        {tab === 'requests' && <RedemptionRequests onChange={onSave} />}
+                        {tab === 'streaks' && <StreakBonusEditor />}
+                        {tab === 'levels' && <LevelCurveEditor rewards={rewards} onSave={onSave} />}
+                        {tab === 'history' && <LedgerHistory />}
+
+                        {tab === 'shop' && (
+                            <>
+                                <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={<AddIcon />}
+                                        onClick={() => setShowForm(true)}
+                                    >
+                                        Add Reward
+                                    </Button>
+                                    {rewards.length === 0 && (
+                                        <Button
+                                            variant="text"
+                                            onClick={handleSeedDefaults}
+                                        >
+                                            Load Examples
+                                        </Button>
+                                    )}
+                                </Stack>
 
-                        {rewards.length === 0 ? (
-                            <Typography color="text.secondary" textAlign="center">
-                                No rewards in shop
-                            </Typography>
-                        ) : (
-                            <List>
-                                {rewards.map((r) => (
-                                    <ListItem key={r.id} divider>
-                                        <ListItemText
-                                            primary={`${r.icon} ${r.title}`}
-                                            secondaryTypographyProps={{ component: 'div' }}
-                                            secondary={
-                                                <Chip
-                                                    label={`${r.cost} Gold`}
-                                                    size="small"
-                                                    color="primary"
-                                                    variant="outlined"
+                                {rewards.length === 0 ? (
+                                    <Typography color="text.secondary" textAlign="center">
+                                        No rewards in shop
+                                    </Typography>
+                                ) : (
+                                    <List>
+                                        {rewards.map((r) => (
+                                            <ListItem key={r.id} divider>
+                                                <ListItemText
+                                                    primary={`${r.icon} ${r.title}`}
+                                                    secondaryTypographyProps={{ component: 'div' }}
+                                                    secondary={
+                                                        <Stack direction="row" spacing={0.5}>
+                                                            <Chip
+                                                                label={`${r.cost} Gold`}
+                                                                size="small"
+                                                                color="primary"
+                                                                variant="outlined"
+                                                            />
+                                                            {typeof r.stock === 'number' && (
+                                                                <Chip label={`${r.stock} left`} size="small" variant="outlined" />
+                                                            )}
+                                                            {r.cooldownDays && (
+                                                                <Chip label={`Every ${r.cooldownDays}d`} size="small" variant="outlined" />
+                                                            )}
+                                                        </Stack>
+                                                    }
                                                 />
-                                            }
-                                        />
-                                        <ListItemSecondaryAction>
-                                            <IconButton onClick={() => setEditingReward(r)} color="info">
-                                                <EditIcon />
-                                            </IconButton>
-                                            <IconButton onClick={() => handleDelete(r)} color="error">
-                                                <DeleteIcon />
-                                            </IconButton>
-                                        </ListItemSecondaryAction>
-                                    </ListItem>
-                                ))}
-                            </List>
+                                                <ListItemSecondaryAction>
+                                                    <IconButton onClick={() => setEditingReward(r)} color="info">
+                                                        <EditIcon />
+                                                    </IconButton>
+                                                    <IconButton onClick={() => handleDelete(r)} color="error">
+                                                        <DeleteIcon />
+                                                    </IconButton>
+                                                </ListItemSecondaryAction>
+                                            </ListItem>
+                                        ))}
+                                    </List>
+                                )}
+                            </>
                         )}
                     </Box>
                 )}
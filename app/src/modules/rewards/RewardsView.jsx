@@ -11,7 +11,9 @@
  * FEATURES:
  * - StatBar: XP progress toward next level
  * - GoldDisplay: Current gold balance
+ * - StreakDisplay: Days in a row with all chores done
  * - RewardShop: Items to purchase with gold
+ * - AchievementShelf: Badges earned (and how close the next ones are)
  * - RedemptionLog: History for parent fulfillment
  */
 
@@ -37,8 +39,11 @@ import UserSelector from '../users/UserSelector';
 import { useGamification } from './hooks/useGamification';
 import StatBar from './components/StatBar';
 import GoldDisplay from './components/GoldDisplay';
+import StreakDisplay from './components/StreakDisplay';
 import RewardShop from './components/RewardShop';
 import RedemptionLog from './components/RedemptionLog';
+import AchievementShelf from './components/AchievementShelf';
+import AchievementUnlock from './components/AchievementUnlock';
 import RewardsManager from './RewardsManager';
 
 /**
@@ -60,15 +65,27 @@ const RewardsView = () => {
         xpInLevel,
         xpToNextLevel,
         gold,
+        streak,
+        bestStreak,
+        streakHistory,
+        nextStreakMilestone,
+        badges,
+        achievements,
+        newAchievements,
+        markAchievementsSeen,
         shopItems,
+        lockedRewards,
         redemptions,
         loading,
         purchaseReward,
-        refreshShop
+        refresh,
+        refreshShop,
+        refreshLevels,
+        refreshRedemptions
     } = useGamification(viewingUser);
 
     const { currentUser: globalUser } = useContext(UserContext);
-    const { verifyPin } = usePin();
+    const { verifyPin, isUnlocked } = usePin();
 
     // UI State
     const [managerOpen, setManagerOpen] = useState(false);
@@ -85,7 +102,7 @@ const RewardsView = () => {
      */
     const handleUserSelect = (user) => {
         // If user has a PIN, verify it first
-        if (user.pin) {
+        if (user.hasPin) {
             setSelectedCandidate(user);
             setPinMode('access');
             setPinOpen(true);
@@ -99,8 +116,9 @@ const RewardsView = () => {
      * Handle Manager Access (Add Rewards)
      */
     const handleManagerAccess = () => {
-        // If the viewer IS a parent, allow access
-        if (viewingUser?.isParent) {
+        // If the viewer IS a parent who already unlocked, allow access
+        // (the shop routes need a live parent session on the server)
+        if (viewingUser?.isParent && isUnlocked) {
             setManagerOpen(true);
             return;
         }
@@ -112,18 +130,21 @@ const RewardsView = () => {
 
     /**
      * Handle PIN Success
+     *
+     * JUNIOR DEV NOTE: Both checks go to the server; a correct PIN also
+     * unlocks a parent session that RewardsManager needs.
      */
-    const handlePinSuccess = (enteredPin) => {
+    const handlePinSuccess = async (enteredPin) => {
         if (pinMode === 'access') {
             // Check against the CANDIDATE'S pin
-            if (enteredPin === selectedCandidate?.pin) {
+            if (await verifyPin(enteredPin, selectedCandidate?.id)) {
                 setViewingUser(selectedCandidate);
                 setPinOpen(false);
                 return true;
             }
         } else if (pinMode === 'manager') {
             // Check against ANY parent PIN
-            if (verifyPin(enteredPin)) {
+            if (await verifyPin(enteredPin)) {
                 setManagerOpen(true);
                 setPinOpen(false);
                 return true;
@@ -132,6 +153,17 @@ const RewardsView = () => {
         return false;
     };
 
+    /**
+     * Manager saved something - the shop, level unlocks or (after a
+     * rejected request's refund) the balance may have changed
+     */
+    const handleManagerSave = () => {
+        refresh();
+        refreshShop();
+        refreshLevels();
+        refreshRedemptions();
+    };
+
     /**
      * Purchase Item (Directly for viewingUser)
      */
@@ -214,8 +246,15 @@ const RewardsView = () => {
                                     level={level}
                                     xpInLevel={xpInLevel}
                                     xpToNextLevel={xpToNextLevel}
+                                    badges={badges}
                                 />
                                 <GoldDisplay gold={gold} />
+                                <StreakDisplay
+                                    streak={streak}
+                                    bestStreak={bestStreak}
+                                    history={streakHistory}
+                                    nextMilestone={nextStreakMilestone}
+                                />
                             </Grid>
 
                             {/* Right Column: Shop & Log */}
@@ -224,7 +263,9 @@ const RewardsView = () => {
                                     items={shopItems}
                                     userGold={gold}
                                     onPurchase={handlePurchase}
+                                    lockedRewards={lockedRewards}
                                 />
+                                <AchievementShelf achievements={achievements} />
                                 <RedemptionLog redemptions={redemptions} />
                             </Grid>
                         </Grid>
@@ -232,11 +273,14 @@ const RewardsView = () => {
                 </Box>
             </AppCard>
 
+            {/* New badges earned since the last visit (or just now) */}
+            <AchievementUnlock achievements={newAchievements} onSeen={markAchievementsSeen} />
+
             {/* Manager Dialog */}
             <RewardsManager
                 open={managerOpen}
                 onClose={() => setManagerOpen(false)}
-                onSave={refreshShop}
+                onSave={handleManagerSave}
             />
 
             {/* PIN Dialog (Manager Access) */}
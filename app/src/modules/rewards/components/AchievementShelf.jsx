@@ -0,0 +1,76 @@
+/**
+ * @fileoverview AchievementShelf Component - Earned and locked badges
+ * @module modules/rewards/components/AchievementShelf
+ *
+ * JUNIOR DEV NOTE:
+ * The server sends the whole catalogue (GET /api/stats/:userId/achievements)
+ * with earned state and progress, so locked badges can show "7 / 10" -
+ * seeing how close the next one is keeps kids going.
+ */
+
+import React from 'react';
+import { Box, Typography, Paper, Tooltip, LinearProgress } from '@mui/material';
+import MilitaryTechIcon from '@mui/icons-material/MilitaryTech';
+import { format, parseISO } from 'date-fns';
+
+/**
+ * AchievementShelf Component
+ *
+ * @param {object} props
+ * @param {Array} props.achievements - [{ id, name, icon, description, target,
+ *   earned, earnedAt, progress }]
+ */
+const AchievementShelf = ({ achievements = [] }) => {
+    const earnedCount = achievements.filter(a => a.earned).length;
+
+    return (
+        <Paper sx={{ p: 2, mb: 2, bgcolor: '#FFFFFF', boxShadow: '0 2px 8px rgba(0,0,0,0.06)' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                <MilitaryTechIcon color="primary" />
+                <Typography variant="h6" fontWeight="bold" sx={{ flexGrow: 1 }}>
+                    Achievements
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                    {earnedCount} / {achievements.length}
+                </Typography>
+            </Box>
+
+            <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(84px, 1fr))', gap: 1.5 }}>
+                {achievements.map(achievement => (
+                    <Tooltip
+                        key={achievement.id}
+                        title={achievement.earned
+                            ? `${achievement.description} - earned ${format(parseISO(achievement.earnedAt), 'MMM d, yyyy')}`
+                            : achievement.description}
+                    >
+                        <Box sx={{ textAlign: 'center' }}>
+                            <Typography
+                                sx={{
+                                    fontSize: 36,
+                                    lineHeight: 1.2,
+                                    // Locked badges are a grey silhouette of what's coming
+                                    filter: achievement.earned ? 'none' : 'grayscale(1)',
+                                    opacity: achievement.earned ? 1 : 0.35
+                                }}
+                            >
+                                {achievement.icon}
+                            </Typography>
+                            <Typography variant="caption" display="block" noWrap fontWeight={achievement.earned ? 'bold' : 'normal'}>
+                                {achievement.name}
+                            </Typography>
+                            {!achievement.earned && (
+                                <LinearProgress
+                                    variant="determinate"
+                                    value={(achievement.progress / achievement.target) * 100}
+                                    sx={{ height: 4, borderRadius: 2, mt: 0.5 }}
+                                />
+                            )}
+                        </Box>
+                    </Tooltip>
+                ))}
+            </Box>
+        </Paper>
+    );
+};
+
+export default AchievementShelf;
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview AchievementUnlock Component - Celebration for a new badge
+ * @module modules/rewards/components/AchievementUnlock
+ *
+ * JUNIOR DEV NOTE:
+ * Shows ONE achievement at a time. The parent passes every uncelebrated
+ * achievement; closing calls onSeen with the current one, the hook marks
+ * it seen, it drops out of the list and the next one pops in.
+ */
+
+import React from 'react';
+import { Dialog, DialogContent, Typography, Button, Box } from '@mui/material';
+
+// Emojis that burst out behind the badge
+const SPARKLES = ['✨', '🎉', '⭐', '🎊', '✨', '🌟'];
+
+/**
+ * AchievementUnlock Component
+ *
+ * @param {object} props
+ * @param {Array} props.achievements - Earned but not yet seen achievements
+ * @param {Function} props.onSeen - Called with [id] when the kid closes one
+ */
+const AchievementUnlock = ({ achievements = [], onSeen }) => {
+    const current = achievements[0];
+    if (!current) return null;
+
+    return (
+        <Dialog
+            open
+            onClose={() => onSeen([current.id])}
+            maxWidth="xs"
+            fullWidth
+            PaperProps={{
+                sx: {
+                    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                    color: 'white',
+                    overflow: 'visible'
+                }
+            }}
+        >
+            <DialogContent sx={{ textAlign: 'center', py: 4, position: 'relative' }}>
+                <Typography variant="overline" sx={{ opacity: 0.9, letterSpacing: 2 }}>
+                    Achievement Unlocked!
+                </Typography>
+
+                <Box sx={{ position: 'relative', height: 140, my: 1 }}>
+                    {/* Sparkles fly outward from the middle */}
+                    {SPARKLES.map((sparkle, i) => {
+                        const angle = (i / SPARKLES.length) * 2 * Math.PI;
+                        return (
+                            <Typography
+                                key={i}
+                                sx={{
+                                    position: 'absolute',
+                                    left: '50%',
+                                    top: '50%',
+                                    fontSize: 24,
+                                    '--dx': `${Math.cos(angle) * 110}px`,
+                                    '--dy': `${Math.sin(angle) * 70}px`,
+                                    animation: 'sparkleBurst 1.2s ease-out forwards',
+                                    '@keyframes sparkleBurst': {
+                                        '0%': { opacity: 1, transform: 'translate(-50%, -50%) scale(0.3)' },
+                                        '100%': { opacity: 0, transform: 'translate(calc(-50% + var(--dx)), calc(-50% + var(--dy))) scale(1.2)' }
+                                    }
+                                }}
+                            >
+                                {sparkle}
+                            </Typography>
+                        );
+                    })}
+
+                    {/* The badge pops in with a little overshoot */}
+                    <Typography
+                        key={current.id}
+                        sx={{
+                            fontSize: 96,
+                            lineHeight: '140px',
+                            animation: 'badgePop 0.7s cubic-bezier(0.34, 1.56, 0.64, 1)',
+                            '@keyframes badgePop': {
+                                '0%': { opacity: 0, transform: 'scale(0) rotate(-30deg)' },
+                                '100%': { opacity: 1, transform: 'scale(1) rotate(0deg)' }
+                            }
+                        }}
+                    >
+                        {current.icon}
+                    </Typography>
+                </Box>
+
+                <Typography variant="h5" fontWeight="bold">
+                    {current.name}
+                </Typography>
+                <Typography variant="body1" sx={{ opacity: 0.9, mb: 3 }}>
+                    {current.description}
+                </Typography>
+
+                <Button
+                    variant="contained"
+                    onClick={() => onSeen([current.id])}
+                    sx={{ bgcolor: '#FFD700', color: '#333', '&:hover': { bgcolor: '#FFC300' } }}
+                >
+                    {achievements.length > 1 ? `Awesome! (${achievements.length - 1} more)` : 'Awesome!'}
+                </Button>
+            </DialogContent>
+        </Dialog>
+    );
+};
+
+export default AchievementUnlock;
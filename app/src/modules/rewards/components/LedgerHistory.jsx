@@ -0,0 +1,180 @@
+/**
+ * @fileoverview LedgerHistory - Parent view of every XP/Gold change
+ * @module modules/rewards/components/LedgerHistory
+ *
+ * JUNIOR DEV NOTE:
+ * Answers "why does Emma have 12 gold?". The server keeps an append-only
+ * ledger (GET /api/stats/:userId/ledger); this screen just filters it by
+ * kid, date range and currency. Undos show up as their own negative rows -
+ * nothing in the ledger is ever edited.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    TextField,
+    MenuItem,
+    Stack,
+    Chip,
+    List,
+    ListItem,
+    ListItemText,
+    CircularProgress
+} from '@mui/material';
+import { format, subDays } from 'date-fns';
+import { useUser } from '../../users/useUser';
+
+const API_BASE = '/api';
+
+// Friendly labels for the server's ledger reasons
+const REASON_LABELS = {
+    opening_balance: 'Starting balance',
+    task: 'Task',
+    redemption: 'Reward',
+    manual: 'Parent adjustment',
+    streak_bonus: 'Streak bonus',
+    level_unlock: 'Level reward',
+    refund: 'Refund'
+};
+
+const CURRENCY_FILTERS = [
+    { value: '', label: 'All' },
+    { value: 'gold', label: 'Gold' },
+    { value: 'xp', label: 'XP' }
+];
+
+const formatDelta = (entry) => {
+    const sign = entry.delta > 0 ? '+' : '';
+    return `${sign}${entry.delta} ${entry.currency === 'xp' ? 'XP' : 'Gold'}`;
+};
+
+/**
+ * LedgerHistory Component
+ *
+ * Mount it only while visible - it fetches whenever a filter changes.
+ */
+const LedgerHistory = () => {
+    const { users } = useUser();
+    const kids = users.filter(user => !user.isParent);
+    const members = kids.length ? kids : users;
+
+    const [userId, setUserId] = useState(members[0]?.id ?? '');
+    const [from, setFrom] = useState(() => format(subDays(new Date(), 30), 'yyyy-MM-dd'));
+    const [to, setTo] = useState(() => format(new Date(), 'yyyy-MM-dd'));
+    const [currency, setCurrency] = useState('');
+    const [ledger, setLedger] = useState(null);
+
+    useEffect(() => {
+        if (!userId) return undefined;
+
+        let cancelled = false;
+        const params = new URLSearchParams();
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (currency) params.set('currency', currency);
+
+        fetch(`${API_BASE}/stats/${userId}/ledger?${params}`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to load history');
+                return res.json();
+            })
+            .then(data => { if (!cancelled) setLedger(data); })
+            .catch(console.error);
+
+        return () => { cancelled = true; };
+    }, [userId, from, to, currency]);
+
+    return (
+        <Box sx={{ pt: 1 }}>
+            {/* Filters */}
+            <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+                <TextField
+                    select
+                    label="Who"
+                    size="small"
+                    value={userId}
+                    onChange={(e) => setUserId(e.target.value)}
+                    sx={{ minWidth: 140 }}
+                >
+                    {members.map(member => (
+                        <MenuItem key={member.id} value={member.id}>
+                            {member.avatar} {member.name}
+                        </MenuItem>
+                    ))}
+                </TextField>
+                <TextField
+                    label="From"
+                    type="date"
+                    size="small"
+                    value={from}
+                    onChange={(e) => setFrom(e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                />
+                <TextField
+                    label="To"
+                    type="date"
+                    size="small"
+                    value={to}
+                    onChange={(e) => setTo(e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                />
+            </Stack>
+
+            <Box sx={{ display: 'flex', gap: 1, mb: 2, alignItems: 'center' }}>
+                {CURRENCY_FILTERS.map(filter => (
+                    <Chip
+                        key={filter.value}
+                        label={filter.label}
+                        size="small"
+                        onClick={() => setCurrency(filter.value)}
+                        variant={currency === filter.value ? 'filled' : 'outlined'}
+                    />
+                ))}
+                {ledger && (
+                    <Typography variant="body2" color="text.secondary" sx={{ ml: 'auto' }}>
+                        Net: {ledger.totals.gold >= 0 ? '+' : ''}{ledger.totals.gold} Gold,{' '}
+                        {ledger.totals.xp >= 0 ? '+' : ''}{ledger.totals.xp} XP
+                    </Typography>
+                )}
+            </Box>
+
+            {/* Entries */}
+            {!ledger ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                    <CircularProgress size={28} />
+                </Box>
+            ) : ledger.entries.length === 0 ? (
+                <Typography color="text.secondary" textAlign="center">
+                    Nothing in this date range
+                </Typography>
+            ) : (
+                <List dense sx={{ maxHeight: 360, overflow: 'auto' }}>
+                    {ledger.entries.map(entry => (
+                        <ListItem key={entry.id} divider>
+                            <ListItemText
+                                primary={
+                                    <>
+                                        {REASON_LABELS[entry.reason] || entry.reason}
+                                        {entry.note ? ` - ${entry.note}` : ''}
+                                    </>
+                                }
+                                secondary={`${format(new Date(entry.at), 'EEE MMM d, h:mm a')} · balance ${entry.balance}`}
+                            />
+                            <Typography
+                                variant="body2"
+                                fontWeight="bold"
+                                color={entry.delta > 0 ? 'success.main' : 'error.main'}
+                                sx={{ whiteSpace: 'nowrap', ml: 1 }}
+                            >
+                                {formatDelta(entry)}
+                            </Typography>
+                        </ListItem>
+                    ))}
+                </List>
+            )}
+        </Box>
+    );
+};
+
+export default LedgerHistory;
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview LevelCurveEditor - Parent editor for the XP curve and level-up unlocks
+ * @module modules/rewards/components/LevelCurveEditor
+ *
+ * JUNIOR DEV NOTE:
+ * Two halves: HOW MUCH XP each level costs (the curve), and WHAT a kid
+ * gets for reaching a level (unlocks: a badge, bonus gold, or opening a
+ * shop reward). The server does the curve math and sends back
+ * `thresholds`, which the preview shows - there's no second copy of the
+ * math here. Saving is parent-only (parentFetch).
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    TextField,
+    MenuItem,
+    IconButton,
+    Button,
+    Stack,
+    Chip,
+    Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import { parentFetch } from '../../../services/parentSession';
+
+const API_BASE = '/api';
+
+// Levels shown in the preview
+const PREVIEW_LEVELS = 8;
+
+const CURVE_OPTIONS = [
+    { value: 'linear', label: 'Same every level' },
+    { value: 'exponential', label: 'Gets harder each level' },
+    { value: 'table', label: 'Custom list' }
+];
+
+const UNLOCK_OPTIONS = [
+    { value: 'badge', label: 'Badge' },
+    { value: 'gold', label: 'Bonus Gold' },
+    { value: 'reward', label: 'Shop Reward' }
+];
+
+// Starting values when a parent switches curve type
+const CURVE_DEFAULTS = {
+    linear: { type: 'linear', xpPerLevel: 100 },
+    exponential: { type: 'exponential', base: 100, factor: 1.5 },
+    table: { type: 'table', table: [100, 250, 500, 1000] }
+};
+
+/**
+ * Form state → request body (numbers as numbers, only the fields each type needs)
+ */
+const toRequestBody = (curve, tableText, unlocks) => {
+    const body = { curve: { type: curve.type }, unlocks: [] };
+
+    if (curve.type === 'linear') body.curve.xpPerLevel = Number(curve.xpPerLevel);
+    if (curve.type === 'exponential') {
+        body.curve.base = Number(curve.base);
+        body.curve.factor = Number(curve.factor);
+    }
+    if (curve.type === 'table') {
+        body.curve.table = tableText.split(',').map(v => v.trim()).filter(Boolean).map(Number);
+    }
+
+    body.unlocks = unlocks.map(unlock => {
+        const row = { level: Number(unlock.level), type: unlock.type };
+        if (unlock.id) row.id = unlock.id;
+        if (unlock.type === 'badge') row.badge = { name: unlock.badge?.name || '', icon: unlock.badge?.icon || '' };
+        if (unlock.type === 'gold') row.gold = Number(unlock.gold);
+        if (unlock.type === 'reward') row.rewardId = unlock.rewardId || '';
+        return row;
+    });
+
+    return body;
+};
+
+/**
+ * LevelCurveEditor Component
+ *
+ * Mount it only while the manager is open - it loads on mount.
+ *
+ * @param {object} props
+ * @param {Array} props.rewards - Shop rewards (for 'reward' unlocks)
+ * @param {Function} [props.onSave] - Called after a successful save
+ */
+const LevelCurveEditor = ({ rewards = [], onSave }) => {
+    const [curve, setCurve] = useState(CURVE_DEFAULTS.linear);
+    const [tableText, setTableText] = useState('');
+    const [unlocks, setUnlocks] = useState([]);
+    const [thresholds, setThresholds] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState(null);
+
+    const applyConfig = (config) => {
+        setCurve(config.curve);
+        setTableText((config.curve.table || []).join(', '));
+        setUnlocks(config.unlocks);
+        setThresholds(config.thresholds);
+    };
+
+    useEffect(() => {
+        fetch(`${API_BASE}/stats/levels`)
+            .then(res => res.json())
+            .then(applyConfig)
+            .catch(console.error);
+    }, []);
+
+    const changeCurveType = (type) => {
+        setSaved(false);
+        setCurve(CURVE_DEFAULTS[type]);
+        if (type === 'table') setTableText(CURVE_DEFAULTS.table.table.join(', '));
+    };
+
+    const updateCurve = (field, value) => {
+        setSaved(false);
+        setCurve(prev => ({ ...prev, [field]: value }));
+    };
+
+    const updateUnlock = (index, changes) => {
+        setSaved(false);
+        setUnlocks(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    };
+
+    const addUnlock = () => {
+        setSaved(false);
+        const lastLevel = unlocks.length ? Number(unlocks[unlocks.length - 1].level) : 1;
+        setUnlocks(prev => [...prev, { level: lastLevel + 1, type: 'gold', gold: 20 }]);
+    };
+
+    const removeUnlock = (index) => {
+        setSaved(false);
+        setUnlocks(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            const res = await parentFetch(`${API_BASE}/stats/levels`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(toRequestBody(curve, tableText, unlocks))
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                // Validation errors list the bad field; AppErrors just have a message
+                throw new Error(data.errors?.[0]?.message || data.message || 'Failed to save levels');
+            }
+            applyConfig(data);
+            setSaved(true);
+            onSave?.();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Box>
+            {/* Curve */}
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                ⭐ XP per Level
+            </Typography>
+            <Stack direction="row" spacing={1} sx={{ mb: 1 }}>
+                <TextField
+                    select
+                    label="Curve"
+                    size="small"
+                    value={curve.type}
+                    onChange={(e) => changeCurveType(e.target.value)}
+                    sx={{ minWidth: 200 }}
+                >
+                    {CURVE_OPTIONS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                    ))}
+                </TextField>
+
+                {curve.type === 'linear' && (
+                    <TextField
+                        label="XP per level"
+                        type="number"
+                        size="small"
+                        value={curve.xpPerLevel}
+                        onChange={(e) => updateCurve('xpPerLevel', e.target.value)}
+                        inputProps={{ min: 1 }}
+                    />
+                )}
+
+                {curve.type === 'exponential' && (
+                    <>
+                        <TextField
+                            label="First level"
+                            type="number"
+                            size="small"
+                            value={curve.base}
+                            onChange={(e) => updateCurve('base', e.target.value)}
+                            inputProps={{ min: 1 }}
+                        />
+                        <TextField
+                            label="Growth"
+                            type="number"
+                            size="small"
+                            value={curve.factor}
+                            onChange={(e) => updateCurve('factor', e.target.value)}
+                            inputProps={{ min: 1, max: 3, step: 0.1 }}
+                        />
+                    </>
+                )}
+
+                {curve.type === 'table' && (
+                    <TextField
+                        label="Total XP for level 2, 3, ..."
+                        size="small"
+                        value={tableText}
+                        onChange={(e) => { setSaved(false); setTableText(e.target.value); }}
+                        fullWidth
+                    />
+                )}
+            </Stack>
+
+            {/* Preview of the SAVED curve */}
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 3 }}>
+                {thresholds.slice(1, PREVIEW_LEVELS + 1).map((total, i) => (
+                    <Chip key={i} size="small" variant="outlined" label={`Lv ${i + 2}: ${total} XP`} />
+                ))}
+                {thresholds.length > PREVIEW_LEVELS + 1 && (
+                    <Chip size="small" variant="outlined" label={`… max level ${thresholds.length}`} />
+                )}
+            </Box>
+
+            {/* Unlocks */}
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                🎁 Level-Up Unlocks
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Given once, the first time a kid reaches the level.
+            </Typography>
+
+            {unlocks.map((unlock, index) => (
+                <Stack key={unlock.id || index} direction="row" spacing={1} sx={{ mb: 1 }} alignItems="center">
+                    <TextField
+                        label="Level"
+                        type="number"
+                        size="small"
+                        value={unlock.level}
+                        onChange={(e) => updateUnlock(index, { level: e.target.value })}
+                        inputProps={{ min: 2 }}
+                        sx={{ width: 90 }}
+                    />
+                    <TextField
+                        select
+                        label="Gets"
+                        size="small"
+                        value={unlock.type}
+                        onChange={(e) => updateUnlock(index, { type: e.target.value })}
+                        sx={{ minWidth: 130 }}
+                    >
+                        {UNLOCK_OPTIONS.map(option => (
+                            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                        ))}
+                    </TextField>
+
+                    {unlock.type === 'badge' && (
+                        <>
+                            <TextField
+                                label="Icon"
+                                size="small"
+                                value={unlock.badge?.icon || ''}
+                                onChange={(e) => updateUnlock(index, { badge: { ...unlock.badge, icon: e.target.value } })}
+                                inputProps={{ maxLength: 8 }}
+                                sx={{ width: 70 }}
+                            />
+                            <TextField
+                                label="Badge name"
+                                size="small"
+                                value={unlock.badge?.name || ''}
+                                onChange={(e) => updateUnlock(index, { badge: { ...unlock.badge, name: e.target.value } })}
+                                inputProps={{ maxLength: 40 }}
+                            />
+                        </>
+                    )}
+
+                    {unlock.type === 'gold' && (
+                        <TextField
+                            label="Gold"
+                            type="number"
+                            size="small"
+                            value={unlock.gold ?? ''}
+                            onChange={(e) => updateUnlock(index, { gold: e.target.value })}
+                            inputProps={{ min: 1 }}
+                        />
+                    )}
+
+                    {unlock.type === 'reward' && (
+                        <TextField
+                            select
+                            label="Reward"
+                            size="small"
+                            value={unlock.rewardId || ''}
+                            onChange={(e) => updateUnlock(index, { rewardId: e.target.value })}
+                            sx={{ minWidth: 160 }}
+                        >
+                            {rewards.map(reward => (
+                                <MenuItem key={reward.id} value={reward.id}>
+                                    {reward.icon} {reward.title}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    )}
+
+                    <IconButton onClick={() => removeUnlock(index)} color="error">
+                        <DeleteIcon />
+                    </IconButton>
+                </Stack>
+            ))}
+
+            {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+
+            <Stack direction="row" spacing={1} alignItems="center">
+                <Button startIcon={<AddIcon />} onClick={addUnlock}>
+                    Add Unlock
+                </Button>
+                <Button variant="outlined" onClick={handleSave} disabled={saving}>
+                    Save Levels
+                </Button>
+                {saved && (
+                    <Typography variant="body2" color="success.main">Saved</Typography>
+                )}
+            </Stack>
+        </Box>
+    );
+};
+
+export default LevelCurveEditor;
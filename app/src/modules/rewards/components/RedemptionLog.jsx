@@ -1,6 +1,9 @@
 /**
  * @fileoverview RedemptionLog Component - Parent Visibility of Purchases
  * @module modules/rewards/components/RedemptionLog
+ *
+ * JUNIOR DEV NOTE: Read-only. Parents approve/reject in RewardsManager's
+ * "Requests" tab; this just shows where each request stands.
  */
 
 import React from 'react';
@@ -17,8 +20,18 @@ import {
 import HistoryIcon from '@mui/icons-material/History';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import PendingIcon from '@mui/icons-material/Pending';
+import ThumbUpIcon from '@mui/icons-material/ThumbUp';
+import CancelIcon from '@mui/icons-material/Cancel';
 import { formatDistanceToNow } from 'date-fns';
 
+// How each redemption status looks
+const STATUS_DISPLAY = {
+    pending: { label: 'Pending', color: 'warning', Icon: PendingIcon },
+    approved: { label: 'Approved', color: 'info', Icon: ThumbUpIcon },
+    fulfilled: { label: 'Given', color: 'success', Icon: CheckCircleIcon },
+    rejected: { label: 'Refunded', color: 'error', Icon: CancelIcon }
+};
+
 /**
  * RedemptionLog Component
  * 
@@ -41,27 +54,28 @@ const RedemptionLog = ({ redemptions }) => {
             </Box>
 
             <List dense>
-                {recentRedemptions.map(entry => (
-                    <ListItem key={entry.id}>
-                        <ListItemIcon sx={{ minWidth: 36 }}>
-                            {entry.fulfilled ? (
-                                <CheckCircleIcon color="success" fontSize="small" />
-                            ) : (
-                                <PendingIcon color="warning" fontSize="small" />
-                            )}
-                        </ListItemIcon>
-                        <ListItemText
-                            primary={entry.rewardTitle}
-                            secondary={formatDistanceToNow(new Date(entry.redeemedAt), { addSuffix: true })}
-                        />
-                        <Chip
-                            label={entry.fulfilled ? 'Given' : 'Pending'}
-                            size="small"
-                            color={entry.fulfilled ? 'success' : 'warning'}
-                            variant="outlined"
-                        />
-                    </ListItem>
-                ))}
+                {recentRedemptions.map(entry => {
+                    const { label, color, Icon } = STATUS_DISPLAY[entry.status] || STATUS_DISPLAY.pending;
+                    const when = formatDistanceToNow(new Date(entry.redeemedAt), { addSuffix: true });
+
+                    return (
+                        <ListItem key={entry.id}>
+                            <ListItemIcon sx={{ minWidth: 36 }}>
+                                <Icon color={color} fontSize="small" />
+                            </ListItemIcon>
+                            <ListItemText
+                                primary={entry.rewardTitle}
+                                secondary={entry.note ? `${when} - ${entry.note}` : when}
+                            />
+                            <Chip
+                                label={label}
+                                size="small"
+                                color={color}
+                                variant="outlined"
+                            />
+                        </ListItem>
+                    );
+                })}
             </List>
         </Paper>
     );
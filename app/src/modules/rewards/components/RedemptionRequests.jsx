@@ -0,0 +1,145 @@
+/**
+ * @fileoverview RedemptionRequests - Parent inbox for reward requests
+ * @module modules/rewards/components/RedemptionRequests
+ *
+ * JUNIOR DEV NOTE:
+ * Buying a reward only REQUESTS it - the gold is held, and a parent
+ * decides here: approve (it's coming), mark it given, or reject (the gold
+ * goes straight back to the kid). Lives inside RewardsManager, so a
+ * parent session is already unlocked for parentFetch.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Typography,
+    List,
+    ListItem,
+    ListItemText,
+    Button,
+    Stack,
+    Chip,
+    CircularProgress
+} from '@mui/material';
+import { formatDistanceToNow } from 'date-fns';
+import { useUser } from '../../users/useUser';
+import { parentFetch } from '../../../services/parentSession';
+
+const API_BASE = '/api';
+
+/**
+ * Loads the redemptions still waiting on a parent
+ */
+const fetchOpenRedemptions = async () => {
+    const res = await fetch(`${API_BASE}/stats/redemptions/all?open=true`);
+    if (!res.ok) throw new Error('Failed to load requests');
+    return res.json();
+};
+
+/**
+ * RedemptionRequests Component
+ *
+ * @param {object} props
+ * @param {Function} [props.onChange] - Called after any decision (balances may have changed)
+ */
+const RedemptionRequests = ({ onChange }) => {
+    const { users } = useUser();
+    const [requests, setRequests] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    const reload = useCallback(() => {
+        return fetchOpenRedemptions().then(setRequests).catch(console.error);
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchOpenRedemptions()
+            .then(data => { if (!cancelled) setRequests(data); })
+            .catch(console.error);
+        return () => { cancelled = true; };
+    }, []);
+
+    const decide = async (entry, action) => {
+        let note;
+        if (action === 'reject') {
+            note = window.prompt(`Why not "${entry.rewardTitle}"? (optional)`);
+            if (note === null) return; // Cancelled
+        }
+
+        setBusyId(entry.id);
+        try {
+            const res = await parentFetch(`${API_BASE}/stats/redemptions/${entry.id}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(note ? { note } : {})
+            });
+            if (!res.ok) throw new Error(`Failed to ${action} request`);
+            await reload();
+            onChange?.();
+        } catch (err) {
+            console.error('Redemption update failed:', err);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const nameOf = (userId) => {
+        const user = users.find(u => String(u.id) === String(userId));
+        return user ? `${user.avatar} ${user.name}` : 'Someone';
+    };
+
+    if (!requests) {
+        return (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                <CircularProgress size={28} />
+            </Box>
+        );
+    }
+
+    if (requests.length === 0) {
+        return (
+            <Typography color="text.secondary" textAlign="center">
+                No rewards waiting 🎉
+            </Typography>
+        );
+    }
+
+    return (
+        <List>
+            {requests.map(entry => (
+                <ListItem key={entry.id} divider sx={{ flexWrap: 'wrap', gap: 1 }}>
+                    <ListItemText
+                        primary={`${nameOf(entry.userId)} - ${entry.rewardTitle}`}
+                        secondaryTypographyProps={{ component: 'div' }}
+                        secondary={
+                            <Stack direction="row" spacing={1} alignItems="center">
+                                <span>{entry.cost} Gold · {formatDistanceToNow(new Date(entry.redeemedAt), { addSuffix: true })}</span>
+                                <Chip
+                                    label={entry.status === 'approved' ? 'Approved' : 'Pending'}
+                                    size="small"
+                                    color={entry.status === 'approved' ? 'info' : 'warning'}
+                                    variant="outlined"
+                                />
+                            </Stack>
+                        }
+                    />
+                    <Stack direction="row" spacing={1}>
+                        {entry.status === 'pending' && (
+                            <Button size="small" onClick={() => decide(entry, 'approve')} disabled={busyId === entry.id}>
+                                Approve
+                            </Button>
+                        )}
+                        <Button size="small" variant="contained" onClick={() => decide(entry, 'fulfill')} disabled={busyId === entry.id}>
+                            Given
+                        </Button>
+                        <Button size="small" color="error" onClick={() => decide(entry, 'reject')} disabled={busyId === entry.id}>
+                            Reject
+                        </Button>
+                    </Stack>
+                </ListItem>
+            ))}
+        </List>
+    );
+};
+
+export default RedemptionRequests;
@@ -13,6 +13,19 @@ import {
     Chip
 } from '@mui/material';
 import ShoppingCartIcon from '@mui/icons-material/ShoppingCart';
+import { format } from 'date-fns';
+
+/**
+ * Button text for a reward the user can't buy right now
+ *
+ * JUNIOR DEV NOTE: `available`/`reason`/`availableAt` come from
+ * GET /api/rewards?userId=... (stock and cooldown limits).
+ */
+const unavailableLabel = (item, unlockLevel) => {
+    if (unlockLevel) return `Unlocks at level ${unlockLevel}`;
+    if (item.availableAt) return `Again ${format(new Date(item.availableAt), 'EEE MMM d')}`;
+    return item.reason || 'Unavailable';
+};
 
 /**
  * RewardShop Component
@@ -21,8 +34,9 @@ import ShoppingCartIcon from '@mui/icons-material/ShoppingCart';
  * @param {Array} props.items - Shop items
  * @param {number} props.userGold - User's current gold
  * @param {Function} props.onPurchase - Called when item purchased
+ * @param {object} props.lockedRewards - { [rewardId]: level } still locked for this user
  */
-const RewardShop = ({ items, userGold, onPurchase }) => {
+const RewardShop = ({ items, userGold, onPurchase, lockedRewards = {} }) => {
     return (
         <Paper sx={{ p: 2, mb: 2, bgcolor: '#FFFFFF', boxShadow: '0 2px 8px rgba(0,0,0,0.06)' }}>
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
@@ -39,7 +53,9 @@ const RewardShop = ({ items, userGold, onPurchase }) => {
             ) : (
                 <Grid container spacing={2}>
                     {items.map(item => {
-                        const canAfford = userGold >= item.cost;
+                        const unlockLevel = lockedRewards[item.id];
+                        const blocked = Boolean(unlockLevel) || item.available === false;
+                        const canAfford = userGold >= item.cost && !blocked;
 
                         return (
                             <Grid item xs={6} sm={4} key={item.id}>
@@ -60,12 +76,16 @@ const RewardShop = ({ items, userGold, onPurchase }) => {
                                     <Typography variant="body2" fontWeight="medium" noWrap>
                                         {item.title}
                                     </Typography>
-                                    <Chip
-                                        label={`${item.cost} G`}
-                                        size="small"
-                                        color="primary"
-                                        sx={{ my: 1 }}
-                                    />
+                                    <Box sx={{ my: 1, display: 'flex', gap: 0.5, justifyContent: 'center' }}>
+                                        <Chip
+                                            label={`${item.cost} G`}
+                                            size="small"
+                                            color="primary"
+                                        />
+                                        {typeof item.stock === 'number' && item.stock > 0 && (
+                                            <Chip label={`${item.stock} left`} size="small" variant="outlined" />
+                                        )}
+                                    </Box>
                                     <Button
                                         variant="contained"
                                         size="small"
@@ -73,7 +93,9 @@ const RewardShop = ({ items, userGold, onPurchase }) => {
                                         disabled={!canAfford}
                                         onClick={() => onPurchase(item)}
                                     >
-                                        {canAfford ? 'Buy' : 'Need More'}
+                                        {blocked
+                                            ? unavailableLabel(item, unlockLevel)
+                                            : canAfford ? 'Buy' : 'Need More'}
                                     </Button>
                                 </Paper>
                             </Grid>
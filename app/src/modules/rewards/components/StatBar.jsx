@@ -4,10 +4,12 @@
  * 
  * JUNIOR DEV NOTE:
  * Displays the user's level and XP progress toward the next level.
+ * Level sizes come from the parent-configured curve, so xpToNextLevel
+ * changes from level to level - and is null once there's no next level.
  */
 
 import React from 'react';
-import { Box, Typography, LinearProgress, Paper } from '@mui/material';
+import { Box, Typography, LinearProgress, Paper, Tooltip } from '@mui/material';
 import StarIcon from '@mui/icons-material/Star';
 
 /**
@@ -16,10 +18,12 @@ import StarIcon from '@mui/icons-material/Star';
  * @param {object} props
  * @param {number} props.level - Current level
  * @param {number} props.xpInLevel - XP progress within current level
- * @param {number} props.xpToNextLevel - XP needed for next level
+ * @param {number|null} props.xpToNextLevel - XP needed for next level (null at max level)
+ * @param {Array} props.badges - Badges earned from level unlocks
  */
-const StatBar = ({ level, xpInLevel, xpToNextLevel }) => {
-    const progress = (xpInLevel / xpToNextLevel) * 100;
+const StatBar = ({ level, xpInLevel, xpToNextLevel, badges = [] }) => {
+    const atMax = xpToNextLevel === null;
+    const progress = atMax ? 100 : (xpInLevel / xpToNextLevel) * 100;
 
     return (
         <Paper
@@ -52,8 +56,20 @@ const StatBar = ({ level, xpInLevel, xpToNextLevel }) => {
             />
 
             <Typography variant="caption" sx={{ mt: 0.5, display: 'block', opacity: 0.9 }}>
-                {xpInLevel} / {xpToNextLevel} XP
+                {atMax ? 'Max level!' : `${xpInLevel} / ${xpToNextLevel} XP`}
             </Typography>
+
+            {badges.length > 0 && (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                    {badges.map(badge => (
+                        <Tooltip key={badge.id} title={`${badge.name} (level ${badge.level})`}>
+                            <Typography component="span" sx={{ fontSize: 22, lineHeight: 1 }}>
+                                {badge.icon}
+                            </Typography>
+                        </Tooltip>
+                    ))}
+                </Box>
+            )}
         </Paper>
     );
 };
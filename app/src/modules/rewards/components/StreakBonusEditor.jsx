@@ -0,0 +1,133 @@
+/**
+ * @fileoverview StreakBonusEditor - Parent editor for streak milestone bonuses
+ * @module modules/rewards/components/StreakBonusEditor
+ *
+ * JUNIOR DEV NOTE:
+ * Each row is "reach N days in a row → +XP, +Gold". The server sorts the
+ * rows and keeps one per day count, so the form doesn't have to.
+ * Saving is parent-only (parentFetch), like the rest of RewardsManager.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Box, Typography, TextField, IconButton, Button, Stack } from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import { parentFetch } from '../../../services/parentSession';
+
+const API_BASE = '/api';
+
+/**
+ * StreakBonusEditor Component
+ *
+ * Mount it only while the manager is open - it loads on mount.
+ */
+const StreakBonusEditor = () => {
+    const [milestones, setMilestones] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+
+    useEffect(() => {
+        fetch(`${API_BASE}/stats/streak-milestones`)
+            .then(res => res.json())
+            .then(setMilestones)
+            .catch(console.error);
+    }, []);
+
+    const updateRow = (index, field, value) => {
+        setSaved(false);
+        setMilestones(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    };
+
+    const addRow = () => {
+        setSaved(false);
+        const lastDays = milestones.length ? Number(milestones[milestones.length - 1].days) : 0;
+        setMilestones(prev => [...prev, { days: lastDays + 7, xp: 25, gold: 10 }]);
+    };
+
+    const removeRow = (index) => {
+        setSaved(false);
+        setMilestones(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const body = {
+                milestones: milestones.map(row => ({
+                    days: Number(row.days),
+                    xp: Number(row.xp),
+                    gold: Number(row.gold)
+                }))
+            };
+            const res = await parentFetch(`${API_BASE}/stats/streak-milestones`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!res.ok) throw new Error('Failed to save streak bonuses');
+            setMilestones(await res.json());
+            setSaved(true);
+        } catch (err) {
+            console.error('Streak bonus save failed:', err);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Box>
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                🔥 Streak Bonuses
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Paid once when a kid finishes all their chores this many days in a row.
+            </Typography>
+
+            {milestones.map((row, index) => (
+                <Stack key={index} direction="row" spacing={1} sx={{ mb: 1 }} alignItems="center">
+                    <TextField
+                        label="Days"
+                        type="number"
+                        size="small"
+                        value={row.days}
+                        onChange={(e) => updateRow(index, 'days', e.target.value)}
+                        inputProps={{ min: 1, max: 365 }}
+                    />
+                    <TextField
+                        label="XP"
+                        type="number"
+                        size="small"
+                        value={row.xp}
+                        onChange={(e) => updateRow(index, 'xp', e.target.value)}
+                        inputProps={{ min: 0 }}
+                    />
+                    <TextField
+                        label="Gold"
+                        type="number"
+                        size="small"
+                        value={row.gold}
+                        onChange={(e) => updateRow(index, 'gold', e.target.value)}
+                        inputProps={{ min: 0 }}
+                    />
+                    <IconButton onClick={() => removeRow(index)} color="error">
+                        <DeleteIcon />
+                    </IconButton>
+                </Stack>
+            ))}
+
+            <Stack direction="row" spacing={1} alignItems="center">
+                <Button startIcon={<AddIcon />} onClick={addRow}>
+                    Add Milestone
+                </Button>
+                <Button variant="outlined" onClick={handleSave} disabled={saving}>
+                    Save Bonuses
+                </Button>
+                {saved && (
+                    <Typography variant="body2" color="success.main">Saved</Typography>
+                )}
+            </Stack>
+        </Box>
+    );
+};
+
+export default StreakBonusEditor;
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview StreakDisplay Component - Daily Chore Streak
+ * @module modules/rewards/components/StreakDisplay
+ *
+ * JUNIOR DEV NOTE:
+ * The server does all the streak math (see server/services/streakService.js).
+ * This card just shows the result: current streak, best ever, the next
+ * bonus, and a dot for each of the last 7 streak days.
+ */
+
+import React from 'react';
+import { Box, Typography, Paper, Tooltip } from '@mui/material';
+import LocalFireDepartmentIcon from '@mui/icons-material/LocalFireDepartment';
+import { format, parseISO } from 'date-fns';
+
+// Dots shown under the streak
+const RECENT_DAYS = 7;
+
+/**
+ * StreakDisplay Component
+ *
+ * @param {object} props
+ * @param {number} props.streak - Current streak (days)
+ * @param {number} props.bestStreak - Longest streak ever
+ * @param {Array} props.history - Streak history from the server (newest first)
+ * @param {object|null} props.nextMilestone - { days, xp, gold } or null
+ */
+const StreakDisplay = ({ streak = 0, bestStreak = 0, history = [], nextMilestone = null }) => {
+    const recent = history.filter(entry => entry.type === 'extended').slice(0, RECENT_DAYS).reverse();
+    const daysToGo = nextMilestone ? nextMilestone.days - streak : 0;
+
+    return (
+        <Paper
+            sx={{
+                p: 2,
+                mb: 2,
+                background: 'linear-gradient(135deg, #ff512f 0%, #dd2476 100%)',
+                color: 'white'
+            }}
+        >
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <LocalFireDepartmentIcon sx={{ fontSize: 40 }} />
+                <Box sx={{ flexGrow: 1 }}>
+                    <Typography variant="caption" sx={{ opacity: 0.9 }}>
+                        Chore Streak
+                    </Typography>
+                    <Typography variant="h4" fontWeight="bold">
+                        {streak} {streak === 1 ? 'day' : 'days'}
+                    </Typography>
+                </Box>
+                <Typography variant="caption" sx={{ opacity: 0.9 }}>
+                    Best: {bestStreak}
+                </Typography>
+            </Box>
+
+            {nextMilestone && (
+                <Typography variant="body2" sx={{ mt: 1, opacity: 0.9 }}>
+                    {daysToGo} more {daysToGo === 1 ? 'day' : 'days'} → +{nextMilestone.xp} XP, +{nextMilestone.gold} Gold
+                </Typography>
+            )}
+
+            {recent.length > 0 && (
+                <Box sx={{ display: 'flex', gap: 0.75, mt: 1 }}>
+                    {recent.map(entry => (
+                        <Tooltip
+                            key={entry.date}
+                            title={`${format(parseISO(entry.date), 'EEE, MMM d')}${entry.bonus ? ` - ${entry.bonus.milestone}-day bonus!` : ''}`}
+                        >
+                            <Box
+                                sx={{
+                                    width: 14,
+                                    height: 14,
+                                    borderRadius: '50%',
+                                    bgcolor: entry.bonus ? 'warning.light' : 'rgba(255,255,255,0.8)'
+                                }}
+                            />
+                        </Tooltip>
+                    ))}
+                </Box>
+            )}
+        </Paper>
+    );
+};
+
+export default StreakDisplay;
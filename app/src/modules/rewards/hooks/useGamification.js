@@ -12,6 +12,8 @@
 import { useState, useEffect, useCallback, useContext } from 'react';
 import { UserContext } from '../../users/UserContextCore';
 import { useUI } from '../../ui/useUI';
+import { parentFetch } from '../../../services/parentSession';
+import { getLevelProgress, getRewardLockLevels, describeUnlock } from '../utils/levels';
 
 // ============================================================================
 // API FUNCTIONS
@@ -30,9 +32,12 @@ const fetchUserStats = async (userId) => {
 
 /**
  * Updates XP (positive or negative)
+ *
+ * JUNIOR DEV NOTE: Manual adjustments are parent-only on the server,
+ * so these two go through parentFetch (needs an unlocked PIN session).
  */
 const updateXPApi = async (userId, amount) => {
-    const response = await fetch(`${API_BASE}/stats/${userId}/xp`, {
+    const response = await parentFetch(`${API_BASE}/stats/${userId}/xp`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ amount })
@@ -45,7 +50,7 @@ const updateXPApi = async (userId, amount) => {
  * Updates Gold (positive or negative)
  */
 const updateGoldApi = async (userId, amount) => {
-    const response = await fetch(`${API_BASE}/stats/${userId}/gold`, {
+    const response = await parentFetch(`${API_BASE}/stats/${userId}/gold`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ amount })
@@ -55,30 +60,65 @@ const updateGoldApi = async (userId, amount) => {
 };
 
 /**
- * Redeems a reward (deducts gold + logs)
+ * Requests a reward (holds the gold + logs it for a parent)
+ *
+ * JUNIOR DEV NOTE: Only the ID is sent - the server charges the shop's
+ * own price and checks stock/cooldown limits.
  */
-const redeemRewardApi = async (userId, rewardId, rewardTitle, cost) => {
+const redeemRewardApi = async (userId, rewardId) => {
     const response = await fetch(`${API_BASE}/stats/${userId}/redeem`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ rewardId, rewardTitle, cost })
+        body: JSON.stringify({ rewardId })
     });
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to redeem');
+        throw new Error(error.error || error.message || 'Failed to redeem');
     }
     return response.json();
 };
 
 /**
- * Gets all shop rewards
+ * Gets all shop rewards (with the user's stock/cooldown availability when given)
  */
-const fetchRewards = async () => {
-    const response = await fetch(`${API_BASE}/rewards`);
+const fetchRewards = async (userId) => {
+    const query = userId ? `?userId=${encodeURIComponent(userId)}` : '';
+    const response = await fetch(`${API_BASE}/rewards${query}`);
     if (!response.ok) throw new Error('Failed to fetch rewards');
     return response.json();
 };
 
+/**
+ * Gets the level curve ({ curve, unlocks, thresholds })
+ */
+const fetchLevelConfig = async () => {
+    const response = await fetch(`${API_BASE}/stats/levels`);
+    if (!response.ok) throw new Error('Failed to fetch levels');
+    return response.json();
+};
+
+/**
+ * Gets every achievement with the user's earned state and progress
+ */
+const fetchAchievements = async (userId) => {
+    const response = await fetch(`${API_BASE}/stats/${userId}/achievements`);
+    if (!response.ok) throw new Error('Failed to fetch achievements');
+    return response.json();
+};
+
+/**
+ * Marks achievements as celebrated so the unlock animation plays once
+ */
+const markAchievementsSeenApi = async (userId, ids) => {
+    const response = await fetch(`${API_BASE}/stats/${userId}/achievements/seen`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids })
+    });
+    if (!response.ok) throw new Error('Failed to update achievements');
+    return response.json();
+};
+
 /**
  * Gets redemption history
  */
@@ -91,6 +131,17 @@ const fetchRedemptions = async (unfulfilledOnly = false) => {
     return response.json();
 };
 
+/**
+ * Level-locked rewards minus the ones this user already unlocked
+ */
+const getLockedRewards = (unlocks, unlockedRewards = []) => {
+    const locks = getRewardLockLevels(unlocks);
+    for (const rewardId of unlockedRewards) {
+        delete locks[rewardId];
+    }
+    return locks;
+};
+
 // ============================================================================
 // HOOK
 // ============================================================================
@@ -109,6 +160,7 @@ export const useGamification = (overrideUser) => {
     // Use overrideUser if provided (can be null), otherwise fall back to context
     // NOTE: Passing 'null' as overrideUser explicitly disables the hook until a user is provided.
     const currentUser = overrideUser !== undefined ? overrideUser : contextUser;
+    const userId = currentUser?.id;
 
     // State
     const [stats, setStats] = useState({
@@ -117,8 +169,15 @@ export const useGamification = (overrideUser) => {
         xpInLevel: 0,
         xpToNextLevel: 100,
         gold: 0,
-        streak: 0
+        streak: 0,
+        bestStreak: 0,
+        streakHistory: [],
+        nextStreakMilestone: null,
+        badges: [],
+        unlockedRewards: []
     });
+    const [levelConfig, setLevelConfig] = useState({ curve: null, unlocks: [], thresholds: [] });
+    const [achievements, setAchievements] = useState([]);
     const [shopItems, setShopItems] = useState([]);
     const [redemptions, setRedemptions] = useState([]);
     const [loading, setLoading] = useState(false);
@@ -141,13 +200,31 @@ export const useGamification = (overrideUser) => {
         }
     }, [currentUser?.id]);
 
+    const loadAchievements = useCallback(async () => {
+        if (!userId) return;
+
+        try {
+            setAchievements(await fetchAchievements(userId));
+        } catch (err) {
+            console.error('[useGamification] Failed to load achievements:', err);
+        }
+    }, [userId]);
+
     const loadShopItems = useCallback(async () => {
         try {
-            const items = await fetchRewards();
+            const items = await fetchRewards(userId);
             setShopItems(items);
         } catch (err) {
             console.error('[useGamification] Failed to load shop:', err);
         }
+    }, [userId]);
+
+    const loadLevelConfig = useCallback(async () => {
+        try {
+            setLevelConfig(await fetchLevelConfig());
+        } catch (err) {
+            console.error('[useGamification] Failed to load levels:', err);
+        }
     }, []);
 
     const loadRedemptions = useCallback(async () => {
@@ -162,9 +239,11 @@ export const useGamification = (overrideUser) => {
     // Initial load
     useEffect(() => {
         loadStats();
+        loadAchievements();
         loadShopItems();
+        loadLevelConfig();
         loadRedemptions();
-    }, [loadStats, loadShopItems, loadRedemptions]);
+    }, [loadStats, loadAchievements, loadShopItems, loadLevelConfig, loadRedemptions]);
 
     // ========================================================================
     // ACTIONS
@@ -176,19 +255,22 @@ export const useGamification = (overrideUser) => {
     const awardXP = useCallback(async (amount) => {
         if (!currentUser?.id) return null;
 
-        // Optimistic update
-        setStats(prev => ({
-            ...prev,
-            xp: prev.xp + amount,
-            xpInLevel: (prev.xpInLevel + amount) % 100
-        }));
+        // Optimistic update (level math comes from the server's curve)
+        setStats(prev => {
+            const xp = Math.max(0, prev.xp + amount);
+            return levelConfig.thresholds.length
+                ? { ...prev, xp, ...getLevelProgress(levelConfig.thresholds, xp) }
+                : { ...prev, xp };
+        });
 
         try {
             const result = await updateXPApi(currentUser.id, amount);
-            setStats(result);
+            setStats(prev => ({ ...prev, ...result }));
 
             if (result.leveledUp) {
-                showNotification(`🎉 Level Up! You're now Level ${result.level}!`, 'success');
+                const unlocked = (result.unlocks || []).map(unlock => describeUnlock(unlock, shopItems));
+                const extra = unlocked.length ? ` ${unlocked.join(', ')}` : '';
+                showNotification(`🎉 Level Up! You're now Level ${result.level}!${extra}`, 'success');
             }
 
             return result;
@@ -198,7 +280,7 @@ export const useGamification = (overrideUser) => {
             showNotification('Failed to update XP', 'error');
             return null;
         }
-    }, [currentUser?.id, showNotification, loadStats]);
+    }, [currentUser?.id, levelConfig.thresholds, shopItems, showNotification, loadStats]);
 
     /**
      * Revokes XP (for undo)
@@ -262,26 +344,43 @@ export const useGamification = (overrideUser) => {
         }
 
         try {
-            await redeemRewardApi(userIdToUse, reward.id, reward.title, reward.cost);
+            const result = await redeemRewardApi(userIdToUse, reward.id);
 
-            // If we bought for ourselves, update local state
+            // If we bought for ourselves, update local state (server's balance)
             if (userIdToUse === currentUser?.id) {
                 setStats(prev => ({
                     ...prev,
-                    gold: prev.gold - reward.cost
+                    gold: result.gold
                 }));
             }
 
-            // Reload redemptions (global log)
+            // Reload redemptions (global log), the shop (stock/cooldowns)
+            // and achievements (a purchase can earn one)
             await loadRedemptions();
+            await loadShopItems();
+            await loadAchievements();
 
-            showNotification(`🎁 Redeemed: ${reward.title}!`, 'success');
+            showNotification(`🎁 Requested: ${reward.title}! A parent will get it for you.`, 'success');
             return true;
         } catch (err) {
             showNotification(err.message || 'Failed to redeem reward', 'error');
             return false;
         }
-    }, [currentUser?.id, stats.gold, showNotification, loadRedemptions]);
+    }, [currentUser?.id, stats.gold, showNotification, loadRedemptions, loadShopItems, loadAchievements]);
+
+    /**
+     * Marks achievements as celebrated (after the unlock animation)
+     */
+    const markAchievementsSeen = useCallback(async (ids) => {
+        if (!userId || ids.length === 0) return;
+
+        setAchievements(prev => prev.map(a => (ids.includes(a.id) ? { ...a, seen: true } : a)));
+        try {
+            await markAchievementsSeenApi(userId, ids);
+        } catch (err) {
+            console.error('[useGamification] Failed to mark achievements seen:', err);
+        }
+    }, [userId]);
 
     // ========================================================================
     // RETURN
@@ -295,10 +394,21 @@ export const useGamification = (overrideUser) => {
         xpToNextLevel: stats.xpToNextLevel,
         gold: stats.gold,
         streak: stats.streak,
+        bestStreak: stats.bestStreak,
+        streakHistory: stats.streakHistory,
+        nextStreakMilestone: stats.nextStreakMilestone,
+        badges: stats.badges || [],
         loading,
 
+        // Achievements
+        achievements,
+        // Earned but not yet celebrated - RewardsView plays the unlock animation
+        newAchievements: achievements.filter(a => a.earned && !a.seen),
+
         // Shop
         shopItems,
+        // { [rewardId]: level } for rewards this user hasn't unlocked yet
+        lockedRewards: getLockedRewards(levelConfig.unlocks, stats.unlockedRewards),
         redemptions,
 
         // Actions
@@ -307,10 +417,13 @@ export const useGamification = (overrideUser) => {
         awardGold,
         revokeGold,
         purchaseReward,
+        markAchievementsSeen,
 
         // Refresh
         refresh: loadStats,
         refreshShop: loadShopItems,
+        refreshLevels: loadLevelConfig,
+        refreshAchievements: loadAchievements,
         refreshRedemptions: loadRedemptions
     };
 };
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Level curve helpers shared by the rewards screens
+ * @module modules/rewards/utils/levels
+ *
+ * JUNIOR DEV NOTE: The server owns the curve (GET /api/stats/levels sends
+ * `thresholds`, the total XP needed for level 1, 2, 3, ...). These helpers
+ * only READ that list - for optimistic updates and previews - so the
+ * client never has its own idea of what a level costs.
+ */
+
+/**
+ * Progress-bar numbers for a total XP amount
+ *
+ * Mirrors getLevelProgress in server/services/levelService.js.
+ *
+ * @param {number[]} thresholds - Total XP per level (thresholds[0] is 0)
+ * @param {number} xp - Total XP
+ * @returns {object} { level, xpInLevel, xpToNextLevel } - xpToNextLevel is
+ *   null at the top level
+ */
+export const getLevelProgress = (thresholds, xp) => {
+    const safeXp = Math.max(0, xp);
+    let level = 1;
+    while (level < thresholds.length && safeXp >= thresholds[level]) {
+        level++;
+    }
+
+    const levelStart = thresholds[level - 1];
+    const nextStart = thresholds[level];
+
+    return {
+        level,
+        xpInLevel: safeXp - levelStart,
+        xpToNextLevel: nextStart === undefined ? null : nextStart - levelStart
+    };
+};
+
+/**
+ * Which shop rewards are locked behind a level
+ *
+ * @param {Array} unlocks - Level unlocks from the level config
+ * @returns {object} { [rewardId]: level }
+ */
+export const getRewardLockLevels = (unlocks = []) => {
+    const locks = {};
+    for (const unlock of unlocks) {
+        if (unlock.type === 'reward') {
+            locks[unlock.rewardId] = unlock.level;
+        }
+    }
+    return locks;
+};
+
+/**
+ * Short text for a level unlock ("🏅 Star badge", "+20 Gold", ...)
+ *
+ * @param {object} unlock - A level unlock
+ * @param {Array} [rewards] - Shop rewards, to name 'reward' unlocks
+ * @returns {string}
+ */
+export const describeUnlock = (unlock, rewards = []) => {
+    if (unlock.type === 'badge') return `${unlock.badge.icon} ${unlock.badge.name} badge`;
+    if (unlock.type === 'gold') return `+${unlock.gold} Gold`;
+
+    const reward = rewards.find(r => r.id === unlock.rewardId);
+    return `${reward?.icon || '🎁'} ${reward?.title || 'Reward'} unlocked`;
+};
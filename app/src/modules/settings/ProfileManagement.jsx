@@ -33,6 +33,7 @@ import AddIcon from '@mui/icons-material/Add';
 import DeleteIcon from '@mui/icons-material/Delete';
 import EditIcon from '@mui/icons-material/Edit';
 import { useUser } from '../users/useUser';
+import { PARENT_PIN_REQUIRED } from '../../services/parentSession';
 
 // Available avatar options for profile customization
 const EMOJI_OPTIONS = ['👤', '👩', '👨', '👧', '👦', '👶', '🧒', '👱', '🧔', '👵'];
@@ -54,6 +55,7 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
     const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
     const [editingUser, setEditingUser] = useState(null); // null = adding new, object = editing
     const [userToDelete, setUserToDelete] = useState(null);
+    const [deleteError, setDeleteError] = useState(null);
 
     // Form state
     const [name, setName] = useState('');
@@ -61,6 +63,8 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
     const [color, setColor] = useState('#9c27b0');
     const [isParent, setIsParent] = useState(false);
     const [pin, setPin] = useState('');
+    const [pinError, setPinError] = useState(null);
+    const [savingPin, setSavingPin] = useState(false);
 
     /**
      * Open dialog for adding a new profile
@@ -72,6 +76,7 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
         setColor('#9c27b0');
         setIsParent(false);
         setPin('');
+        setPinError(null);
         setDialogOpen(true);
     };
 
@@ -89,35 +94,47 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
         setColor(user.color);
         setIsParent(user.isParent || false);
         setPin(''); // Don't pre-fill PIN for security
+        setPinError(null);
         setDialogOpen(true);
     };
 
     /**
      * Save profile (add or update)
+     *
+     * JUNIOR DEV NOTE: The profile itself saves instantly (it lives in this
+     * browser), but the PIN goes to the server and can fail - the session
+     * ran out, or it's another parent's PIN. Then the dialog stays open
+     * with the reason, so the parent knows the PIN did NOT change.
      */
-    const handleSave = () => {
+    const handleSave = async () => {
         if (!name.trim()) return;
 
+        const details = { name: name.trim(), avatar: emoji, color, isParent };
+        let profile;
+
         if (editingUser) {
             // Update existing user
-            updateUser(editingUser.id, {
-                name: name.trim(),
-                avatar: emoji,
-                color,
-                isParent,
-            });
-
-            // If parent and PIN provided, set the PIN
-            if (isParent && pin.length === 4) {
-                setUserPin(editingUser.id, pin);
-            }
+            updateUser(editingUser.id, details);
+            profile = { ...editingUser, ...details };
         } else {
             // Add new user
-            const newUser = addUser(name.trim(), color, emoji, isParent);
+            profile = addUser(details.name, color, emoji, isParent);
+        }
 
-            // If parent and PIN provided, set the PIN
-            if (newUser && isParent && pin.length === 4) {
-                setUserPin(newUser.id, pin);
+        // If parent and PIN provided, set the PIN
+        if (profile && isParent && pin.length === 4) {
+            setSavingPin(true);
+            try {
+                await setUserPin(profile.id, pin, profile);
+            } catch (err) {
+                // Saving again must update this profile, not add it twice
+                setEditingUser(profile);
+                setPinError(err.message === PARENT_PIN_REQUIRED
+                    ? 'Settings were locked - unlock them with a parent PIN and try again'
+                    : err.message);
+                return;
+            } finally {
+                setSavingPin(false);
             }
         }
 
@@ -127,6 +144,7 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
         setColor('#9c27b0');
         setIsParent(false);
         setPin('');
+        setPinError(null);
         setEditingUser(null);
         setDialogOpen(false);
     };
@@ -140,15 +158,26 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
     const handleOpenDelete = (e, user) => {
         e.stopPropagation();
         setUserToDelete(user);
+        setDeleteError(null);
         setDeleteDialogOpen(true);
     };
 
     /**
      * Confirm profile deletion
+     *
+     * JUNIOR DEV NOTE: A parent's PIN is removed on the server first; if
+     * that fails, the profile isn't deleted and the dialog says why.
      */
-    const handleConfirmDelete = () => {
+    const handleConfirmDelete = async () => {
         if (userToDelete) {
-            deleteUser(userToDelete.id);
+            try {
+                await deleteUser(userToDelete.id);
+            } catch (err) {
+                setDeleteError(err.message === PARENT_PIN_REQUIRED
+                    ? 'Settings were locked - unlock them with a parent PIN and try again'
+                    : err.message);
+                return;
+            }
         }
         setUserToDelete(null);
         setDeleteDialogOpen(false);
@@ -341,10 +370,14 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
                             fullWidth
                             label="Set PIN (4 digits)"
                             value={pin}
-                            onChange={e => setPin(e.target.value.replace(/\D/g, '').slice(0, 4))}
+                            onChange={e => {
+                                setPin(e.target.value.replace(/\D/g, '').slice(0, 4));
+                                setPinError(null);
+                            }}
                             type="password"
                             inputProps={{ maxLength: 4, inputMode: 'numeric' }}
-                            helperText={editingUser?.pin ? 'Leave blank to keep current PIN' : 'Required for settings access'}
+                            error={Boolean(pinError)}
+                            helperText={pinError || (editingUser?.hasPin ? 'Leave blank to keep current PIN' : 'Required for settings access')}
                             sx={{ mb: 1 }}
                         />
                     )}
@@ -356,7 +389,7 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
                     <Button
                         onClick={handleSave}
                         variant="contained"
-                        disabled={!name.trim() || (isParent && !editingUser?.pin && pin.length !== 4)}
+                        disabled={savingPin || !name.trim() || (isParent && !editingUser?.hasPin && pin.length !== 4)}
                         sx={{ minHeight: 44 }}
                     >
                         {editingUser ? 'Save' : 'Add'}
@@ -375,6 +408,11 @@ const ProfileManagement = ({ editingUserId, onSelect }) => {
                         Are you sure you want to delete <strong>{userToDelete?.name}</strong>'s profile?
                         This cannot be undone.
                     </Typography>
+                    {deleteError && (
+                        <Typography color="error" variant="body2" sx={{ mt: 1 }}>
+                            {deleteError}
+                        </Typography>
+                    )}
                 </DialogContent>
                 <DialogActions sx={{ p: 2, gap: 1 }}>
                     <Button onClick={() => setDeleteDialogOpen(false)} sx={{ minHeight: 44 }}>
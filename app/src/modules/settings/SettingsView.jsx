@@ -16,6 +16,8 @@
  * - Profile management (add/edit/delete family members)
  * - Google account connection per user
  * - Calendar selection
+ * - Subscribed ICS calendars (school, sports, holidays)
+ * - A secret .ics link for phones (calendar export)
  * - Photo selection for screensaver
  * - Theme customization
  * - PIN security
@@ -26,24 +28,29 @@
  */
 
 import React, { useState } from 'react';
-import { Box, Typography, Button, Avatar, Select, MenuItem, Grid, TextField, Dialog, DialogTitle, DialogContent, DialogActions } from '@mui/material';
+import { Box, Typography, Button, Avatar, Select, MenuItem, Grid, TextField, Dialog, DialogTitle, DialogContent, DialogActions, FormControlLabel, Switch } from '@mui/material';
 import GoogleConnectButton from '../../components/GoogleConnectButton';
 import CalendarSelector from '../../components/CalendarSelector';
 import PinDialog from '../../components/PinDialog';
 import { useUser } from '../users/useUser';
 import { useTheme } from '../../theme/useTheme';
 import { usePin } from '../../components/usePin';
+import { parentFetch } from '../../services/parentSession';
 import AppCard from '../../components/AppCard';
 import PhotoPicker from '../../components/AlbumSelector';
 import ProfileManagement from './ProfileManagement';
 import CollageFrameManager from '../../components/CollageFrameManager';
+import CalendarSubscriptionManager from '../../components/CalendarSubscriptionManager';
+import CalendarExportManager from '../../components/CalendarExportManager';
 // Gamification Manager
 import RewardsManager from '../rewards/RewardsManager';
+import { useReminders } from '../reminders/useReminders';
 
 const SettingsView = () => {
     const { currentUser, isUserConnected, googleTokens, users } = useUser();
     const { themeConfig, updateTheme, resetTheme } = useTheme();
     const { isUnlocked, verifyPin, setPin } = usePin();
+    const { chimeEnabled, setChimeEnabled, playChime } = useReminders();
 
     const [editingUserId, setEditingUserIdState] = useState(() => {
         const saved = localStorage.getItem('settings_editing_user_id');
@@ -68,8 +75,8 @@ const SettingsView = () => {
         return <PinDialog onSuccess={verifyPin} title="Enter PIN to access Settings" />;
     }
 
-    const handleChangePin = () => {
-        if (setPin(newPin)) {
+    const handleChangePin = async () => {
+        if (await setPin(newPin)) {
             setNewPin('');
             setChangePinOpen(false);
         }
@@ -169,6 +176,24 @@ const SettingsView = () => {
                         </AppCard>
                     </Grid>
 
+                    {/* Subscribed Calendars - family-wide, no Google account needed */}
+                    <Grid size={{ xs: 12, md: 6 }}>
+                        <AppCard title="Subscribed Calendars" gradient="linear-gradient(135deg, #34D399 0%, #60A5FA 100%)" sx={{ bgcolor: '#FFFFFF' }}>
+                            <Box p={3}>
+                                <CalendarSubscriptionManager />
+                            </Box>
+                        </AppCard>
+                    </Grid>
+
+                    {/* Phone Calendar Feed - read-only .ics export */}
+                    <Grid size={{ xs: 12, md: 6 }}>
+                        <AppCard title="Phone Calendar Link" gradient="linear-gradient(135deg, #FBBF24 0%, #F472B6 100%)" sx={{ bgcolor: '#FFFFFF' }}>
+                            <Box p={3}>
+                                <CalendarExportManager />
+                            </Box>
+                        </AppCard>
+                    </Grid>
+
                     {/* Screensaver Section */}
                     <Grid size={{ xs: 12, md: 6 }}>
                         <AppCard title={`Photos: ${selectedUser.name}`} gradient="linear-gradient(135deg, #f093fb 0%, #f5576c 100%)" sx={{ bgcolor: '#FFFFFF' }}>
@@ -193,6 +218,29 @@ const SettingsView = () => {
                         </AppCard>
                     </Grid>
 
+                    {/* Kiosk Reminders */}
+                    <Grid size={{ xs: 12, md: 6 }}>
+                        <AppCard title="Reminders" gradient="linear-gradient(135deg, #6366F1 0%, #60A5FA 100%)" sx={{ bgcolor: '#FFFFFF' }}>
+                            <Box p={3}>
+                                <Typography variant="body2" color="text.secondary" mb={2}>
+                                    Event reminders and tasks due today pop up full-screen on the kiosk, even over the screensaver.
+                                </Typography>
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={chimeEnabled}
+                                            onChange={(e) => setChimeEnabled(e.target.checked)}
+                                        />
+                                    }
+                                    label="Play a chime"
+                                />
+                                <Button onClick={playChime} size="small" sx={{ minHeight: 44 }}>
+                                    Test
+                                </Button>
+                            </Box>
+                        </AppCard>
+                    </Grid>
+
                     {/* Gamification Settings */}
                     <Grid size={{ xs: 12, md: 6 }}>
                         <AppCard title="Gamification" gradient="linear-gradient(135deg, #f093fb 0%, #f5576c 100%)" sx={{ bgcolor: '#FFFFFF' }}>
@@ -235,7 +283,8 @@ const SettingsView = () => {
                         <Button
                             onClick={() => {
                                 setRebootDialogOpen(false);
-                                fetch('/api/system/reboot', { method: 'POST' });
+                                parentFetch('/api/system/reboot', { method: 'POST' })
+                                    .catch(err => console.error('Reboot request failed:', err));
                             }}
                             variant="contained"
                             color="error"
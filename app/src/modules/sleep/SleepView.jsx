@@ -1,34 +1,121 @@
 /**
- * @fileoverview Sleep tracking view component (placeholder)
+ * @fileoverview Sleep module view - bedtimes, bed/wake taps and weekly charts
  * @module modules/sleep/SleepView
- * 
+ *
  * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
- * 
- * WHY THIS FILE EXISTS:
- * Placeholder for future sleep tracking feature.
- * 
- * FUTURE FEATURES:
- * - Sleep schedule tracking
- * - Bedtime reminders
- * - Sleep quality logging
- * - Family sleep patterns
+ *
+ * WHAT YOU SEE:
+ * 1. A card per family member: tonight's bedtime/wake time (weekday or
+ *    weekend) and big "Going to bed" / "I'm up!" buttons
+ * 2. A weekly chart per child (hours slept vs. planned)
+ * 3. A gear button (parents) to edit schedules and wind-down
+ *
+ * WHERE THE DATA LIVES:
+ * Everything comes from SleepProvider (see contexts/SleepContext.jsx),
+ * which also runs wind-down mode on every other screen.
  */
 
-import React from 'react';
-import { Box, Typography } from '@mui/material';
+import React, { useState } from 'react';
+import { Box, Grid, Typography, IconButton, Dialog, CircularProgress } from '@mui/material';
 import BedtimeIcon from '@mui/icons-material/Bedtime';
+import SettingsIcon from '@mui/icons-material/Settings';
+import AppCard from '../../components/AppCard';
+import PinDialog from '../../components/PinDialog';
+import { usePin } from '../../components/usePin';
+import { useUser } from '../users/useUser';
+import { useSleep } from './useSleep';
+import SleepMemberCard from './components/SleepMemberCard';
+import SleepWeekChart from './components/SleepWeekChart';
+import SleepScheduleDialog from './components/SleepScheduleDialog';
 
 const SleepView = () => {
+    const { users } = useUser();
+    const { loading } = useSleep();
+    const { isUnlocked, verifyPin } = usePin();
+
+    const [scheduleOpen, setScheduleOpen] = useState(false);
+    const [pinOpen, setPinOpen] = useState(false);
+
+    const children = users.filter(user => !user.isParent);
+
+    /**
+     * Schedules are parent-only: unlock first, then open the editor
+     */
+    const handleSettingsClick = () => {
+        if (isUnlocked) {
+            setScheduleOpen(true);
+        } else {
+            setPinOpen(true);
+        }
+    };
+
+    const handlePinSuccess = async (pin) => {
+        if (!(await verifyPin(pin))) return false;
+        setPinOpen(false);
+        setScheduleOpen(true);
+        return true;
+    };
+
     return (
-        <Box sx={{ p: 3, textAlign: 'center' }}>
-            <BedtimeIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
-            <Typography variant="h5" color="text.secondary">
-                Sleep
-            </Typography>
-            <Typography variant="body2" color="text.disabled">
-                Coming soon
-            </Typography>
-        </Box>
+        <>
+            <AppCard
+                title={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <BedtimeIcon color="primary" />
+                        <Typography variant="h5" fontWeight="bold">Sleep</Typography>
+                    </Box>
+                }
+                action={
+                    <IconButton onClick={handleSettingsClick} color="primary" data-testid="sleep-settings-btn">
+                        <SettingsIcon />
+                    </IconButton>
+                }
+                sx={{ height: '100%' }}
+            >
+                <Box sx={{ p: 2 }}>
+                    {loading ? (
+                        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                            <CircularProgress />
+                        </Box>
+                    ) : (
+                        <>
+                            {/* 1. Tonight */}
+                            <Grid container spacing={2} sx={{ mb: 3 }}>
+                                {users.map(user => (
+                                    <Grid key={user.id} size={{ xs: 12, sm: 6, md: 4 }}>
+                                        <SleepMemberCard user={user} />
+                                    </Grid>
+                                ))}
+                            </Grid>
+
+                            {/* 2. This week (kids only) */}
+                            {children.length > 0 && (
+                                <>
+                                    <Typography variant="h6" sx={{ mb: 1 }}>Last 7 nights</Typography>
+                                    <Grid container spacing={2}>
+                                        {children.map(child => (
+                                            <Grid key={child.id} size={{ xs: 12, md: 6 }}>
+                                                <SleepWeekChart user={child} />
+                                            </Grid>
+                                        ))}
+                                    </Grid>
+                                </>
+                            )}
+                        </>
+                    )}
+                </Box>
+            </AppCard>
+
+            {scheduleOpen && (
+                <SleepScheduleDialog members={users} onClose={() => setScheduleOpen(false)} />
+            )}
+
+            <Dialog open={pinOpen} onClose={() => setPinOpen(false)} maxWidth="xs" fullWidth>
+                <Box sx={{ height: 500 }}>
+                    <PinDialog title="Parent PIN Required" onSuccess={handlePinSuccess} />
+                </Box>
+            </Dialog>
+        </>
     );
 };
 
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview One family member's bedtime card with the tap buttons
+ * @module modules/sleep/components/SleepMemberCard
+ *
+ * JUNIOR DEV NOTE: Big buttons on purpose - this is tapped by sleepy kids
+ * on a wall-mounted screen.
+ */
+
+import React from 'react';
+import { Paper, Box, Avatar, Typography, Button, Chip } from '@mui/material';
+import BedtimeIcon from '@mui/icons-material/Bedtime';
+import WbSunnyIcon from '@mui/icons-material/WbSunny';
+import { format } from 'date-fns';
+import { useSleep } from '../useSleep';
+import { formatClockTime, getCurrentNight, getPlanForNight, isWeekendNight } from '../utils/sleepSchedule';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.user - Family member
+ */
+const SleepMemberCard = ({ user }) => {
+    const { getSchedule, getLastEvent, logEvent, now } = useSleep();
+
+    const tonight = getCurrentNight(now);
+    const plan = getPlanForNight(getSchedule(user.id), tonight);
+    const lastEvent = getLastEvent(user.id);
+    const isAsleep = lastEvent?.type === 'bedtime';
+
+    return (
+        <Paper
+            elevation={0}
+            sx={{
+                p: 2,
+                height: '100%',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: 1.5,
+                border: '1px solid',
+                borderColor: 'divider',
+                borderTop: `4px solid ${user.color}`,
+            }}
+        >
+            {/* Who */}
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+                <Avatar sx={{ bgcolor: user.color, width: 48, height: 48, fontSize: '1.5rem' }}>
+                    {user.avatar}
+                </Avatar>
+                <Box sx={{ flexGrow: 1 }}>
+                    <Typography variant="h6">{user.name}</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                        {lastEvent
+                            ? `${isAsleep ? 'In bed' : 'Up'} since ${format(new Date(lastEvent.at), 'h:mm a')}`
+                            : 'No taps yet'}
+                    </Typography>
+                </Box>
+                <Chip
+                    size="small"
+                    label={isWeekendNight(tonight) ? 'Weekend' : 'School night'}
+                    color={isWeekendNight(tonight) ? 'secondary' : 'default'}
+                />
+            </Box>
+
+            {/* Tonight's plan */}
+            <Box sx={{ display: 'flex', gap: 3 }}>
+                <Box>
+                    <Typography variant="caption" color="text.secondary">Bedtime</Typography>
+                    <Typography variant="h6">{formatClockTime(plan.bedtime)}</Typography>
+                </Box>
+                <Box>
+                    <Typography variant="caption" color="text.secondary">Wake up</Typography>
+                    <Typography variant="h6">{formatClockTime(plan.wakeTime)}</Typography>
+                </Box>
+            </Box>
+
+            {/* Taps */}
+            <Box sx={{ display: 'flex', gap: 1, mt: 'auto' }}>
+                <Button
+                    fullWidth
+                    variant={isAsleep ? 'outlined' : 'contained'}
+                    startIcon={<BedtimeIcon />}
+                    onClick={() => logEvent(user.id, 'bedtime')}
+                    sx={{ minHeight: 56 }}
+                >
+                    Going to bed
+                </Button>
+                <Button
+                    fullWidth
+                    variant={isAsleep ? 'contained' : 'outlined'}
+                    color="warning"
+                    startIcon={<WbSunnyIcon />}
+                    onClick={() => logEvent(user.id, 'wake')}
+                    sx={{ minHeight: 56 }}
+                >
+                    I'm up!
+                </Button>
+            </Box>
+        </Paper>
+    );
+};
+
+export default SleepMemberCard;
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Parent dialog for editing bedtime schedules
+ * @module modules/sleep/components/SleepScheduleDialog
+ *
+ * JUNIOR DEV NOTE: Saving needs a parent session. If the kiosk is locked,
+ * we show the PIN pad and retry the save once it unlocks - the parent
+ * doesn't have to re-enter the times.
+ *
+ * Mount this only while it's open, so the form starts fresh each time.
+ */
+
+import React, { useState } from 'react';
+import {
+    Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField,
+    MenuItem, Box, Typography, Switch, FormControlLabel,
+} from '@mui/material';
+import PinDialog from '../../../components/PinDialog';
+import { usePin } from '../../../components/usePin';
+import { useUI } from '../../ui/useUI';
+import { PARENT_PIN_REQUIRED } from '../../../services/parentSession';
+import { useSleep } from '../useSleep';
+
+/**
+ * Copies a schedule into flat form fields
+ */
+const toForm = (schedule) => ({
+    weekdayBedtime: schedule.weekday.bedtime,
+    weekdayWake: schedule.weekday.wakeTime,
+    weekendBedtime: schedule.weekend.bedtime,
+    weekendWake: schedule.weekend.wakeTime,
+    windDownMinutes: schedule.windDownMinutes ?? 30,
+});
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onClose
+ * @param {Array} props.members - Family members to choose from
+ */
+const SleepScheduleDialog = ({ onClose, members }) => {
+    const { getSchedule, saveSchedule, windDownEnabled, setWindDownEnabled } = useSleep();
+    const { verifyPin } = usePin();
+    const { showNotification } = useUI();
+
+    const [userId, setUserId] = useState(members[0]?.id ?? '');
+    const [form, setForm] = useState(() => toForm(getSchedule(members[0]?.id)));
+    const [needsPin, setNeedsPin] = useState(false);
+
+    const handleMemberChange = (event) => {
+        setUserId(event.target.value);
+        setForm(toForm(getSchedule(event.target.value)));
+    };
+
+    const setField = (field) => (event) => {
+        setForm(prev => ({ ...prev, [field]: event.target.value }));
+    };
+
+    const handleSave = async () => {
+        try {
+            await saveSchedule(userId, {
+                weekday: { bedtime: form.weekdayBedtime, wakeTime: form.weekdayWake },
+                weekend: { bedtime: form.weekendBedtime, wakeTime: form.weekendWake },
+                windDownMinutes: Number(form.windDownMinutes),
+            });
+            showNotification('Bedtimes saved', 'success');
+            onClose();
+        } catch (err) {
+            if (err.message === PARENT_PIN_REQUIRED) {
+                setNeedsPin(true);
+            } else {
+                console.error('[Sleep] Save failed:', err);
+                showNotification('Could not save bedtimes', 'error');
+            }
+        }
+    };
+
+    const handlePinSuccess = async (pin) => {
+        if (!(await verifyPin(pin))) return false;
+        setNeedsPin(false);
+        await handleSave();
+        return true;
+    };
+
+    if (needsPin) {
+        return (
+            <Dialog open onClose={() => setNeedsPin(false)} maxWidth="xs" fullWidth>
+                <Box sx={{ height: 500 }}>
+                    <PinDialog title="Parent PIN Required" onSuccess={handlePinSuccess} />
+                </Box>
+            </Dialog>
+        );
+    }
+
+    const timeField = (label, field) => (
+        <TextField
+            label={label}
+            type="time"
+            value={form[field]}
+            onChange={setField(field)}
+            fullWidth
+            InputLabelProps={{ shrink: true }}
+        />
+    );
+
+    return (
+        <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+            <DialogTitle>Bedtime Schedules</DialogTitle>
+            <DialogContent>
+                <TextField
+                    select
+                    label="Family member"
+                    value={userId}
+                    onChange={handleMemberChange}
+                    fullWidth
+                    sx={{ mt: 1, mb: 3 }}
+                >
+                    {members.map(member => (
+                        <MenuItem key={member.id} value={member.id}>
+                            {member.avatar} {member.name}
+                        </MenuItem>
+                    ))}
+                </TextField>
+
+                <Typography variant="subtitle2" gutterBottom>School nights (Sun–Thu)</Typography>
+                <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
+                    {timeField('Bedtime', 'weekdayBedtime')}
+                    {timeField('Wake up', 'weekdayWake')}
+                </Box>
+
+                <Typography variant="subtitle2" gutterBottom>Weekend nights (Fri–Sat)</Typography>
+                <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
+                    {timeField('Bedtime', 'weekendBedtime')}
+                    {timeField('Wake up', 'weekendWake')}
+                </Box>
+
+                <TextField
+                    label="Wind-down starts (minutes before bed)"
+                    type="number"
+                    value={form.windDownMinutes}
+                    onChange={setField('windDownMinutes')}
+                    fullWidth
+                    inputProps={{ min: 0, max: 180, step: 5 }}
+                    helperText="Dims the screen and shows a countdown. 0 turns it off for this member."
+                    sx={{ mb: 2 }}
+                />
+
+                <FormControlLabel
+                    control={
+                        <Switch
+                            checked={windDownEnabled}
+                            onChange={(e) => setWindDownEnabled(e.target.checked)}
+                        />
+                    }
+                    label="Wind-down mode on this kiosk"
+                />
+            </DialogContent>
+            <DialogActions sx={{ p: 2, gap: 1 }}>
+                <Button onClick={onClose} sx={{ minHeight: 44 }}>Cancel</Button>
+                <Button onClick={handleSave} variant="contained" sx={{ minHeight: 44 }}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default SleepScheduleDialog;
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Weekly sleep bar chart for one child
+ * @module modules/sleep/components/SleepWeekChart
+ *
+ * JUNIOR DEV NOTE: Why no chart library?
+ * Seven bars don't justify a new dependency. Each bar is a Box whose
+ * height is the share of MAX_CHART_MINUTES slept; the dashed marker is
+ * the planned amount for that night.
+ *
+ * COLORS:
+ * - green: in bed on time
+ * - orange: in bed late
+ * - grey: no bedtime tap that night
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Paper, Box, Typography, Avatar, Tooltip } from '@mui/material';
+import { format, parseISO } from 'date-fns';
+import { useSleep } from '../useSleep';
+import { formatDuration, getPlannedMinutes } from '../utils/sleepSchedule';
+
+// 12 hours fills the chart
+const MAX_CHART_MINUTES = 12 * 60;
+const CHART_HEIGHT = 140;
+
+const barColor = (night) => {
+    if (night.onTime === null) return 'grey.400';
+    return night.onTime ? 'success.main' : 'warning.main';
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.user - The child
+ */
+const SleepWeekChart = ({ user }) => {
+    const { fetchWeek, recentLog } = useSleep();
+    const [week, setWeek] = useState(null);
+
+    // Reload after every tap so tonight's bar appears right away
+    useEffect(() => {
+        let cancelled = false;
+        fetchWeek(user.id)
+            .then(data => { if (!cancelled) setWeek(data); })
+            .catch(err => console.error('[Sleep] Week load failed:', err));
+        return () => { cancelled = true; };
+    }, [fetchWeek, user.id, recentLog]);
+
+    const measured = week?.nights.filter(n => n.minutes !== null) || [];
+    const average = measured.length
+        ? Math.round(measured.reduce((sum, n) => sum + n.minutes, 0) / measured.length)
+        : null;
+
+    return (
+        <Paper elevation={0} sx={{ p: 2, border: '1px solid', borderColor: 'divider' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                <Avatar sx={{ bgcolor: user.color, width: 32, height: 32 }}>{user.avatar}</Avatar>
+                <Typography variant="subtitle1" fontWeight="bold" sx={{ flexGrow: 1 }}>
+                    {user.name}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                    Avg {formatDuration(average)}
+                </Typography>
+            </Box>
+
+            <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 1, height: CHART_HEIGHT }}>
+                {(week?.nights || []).map(night => {
+                    const planned = getPlannedMinutes({
+                        bedtime: night.scheduledBedtime,
+                        wakeTime: night.scheduledWakeTime,
+                    });
+                    const tooltip = night.bedAt
+                        ? `${format(parseISO(night.bedAt), 'h:mm a')} → ${night.wakeAt ? format(parseISO(night.wakeAt), 'h:mm a') : '?'} (${formatDuration(night.minutes)})`
+                        : 'No bedtime tap';
+
+                    return (
+                        <Tooltip key={night.date} title={tooltip}>
+                            <Box sx={{ flex: 1, height: '100%', position: 'relative' }}>
+                                {/* Planned amount */}
+                                <Box
+                                    sx={{
+                                        position: 'absolute',
+                                        left: 0,
+                                        right: 0,
+                                        bottom: `${Math.min(1, planned / MAX_CHART_MINUTES) * 100}%`,
+                                        borderTop: '2px dashed',
+                                        borderColor: 'text.disabled',
+                                    }}
+                                />
+                                {/* Actual sleep */}
+                                <Box
+                                    sx={{
+                                        position: 'absolute',
+                                        left: 0,
+                                        right: 0,
+                                        bottom: 0,
+                                        height: `${Math.min(1, (night.minutes || 0) / MAX_CHART_MINUTES) * 100}%`,
+                                        minHeight: night.bedAt ? 4 : 0,
+                                        borderRadius: 1,
+                                        bgcolor: barColor(night),
+                                    }}
+                                />
+                            </Box>
+                        </Tooltip>
+                    );
+                })}
+            </Box>
+
+            {/* Day labels */}
+            <Box sx={{ display: 'flex', gap: 1, mt: 0.5 }}>
+                {(week?.nights || []).map(night => (
+                    <Typography key={night.date} variant="caption" color="text.secondary" sx={{ flex: 1, textAlign: 'center' }}>
+                        {format(parseISO(night.date), 'EEE')}
+                    </Typography>
+                ))}
+            </Box>
+        </Paper>
+    );
+};
+
+export default SleepWeekChart;
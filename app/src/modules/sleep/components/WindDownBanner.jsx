@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Bedtime countdown shown during wind-down
+ * @module modules/sleep/components/WindDownBanner
+ *
+ * JUNIOR DEV NOTE: MainLayout renders this on every screen. It renders
+ * nothing unless SleepProvider says a child is winding down, so it costs
+ * nothing the rest of the day.
+ */
+
+import React from 'react';
+import { Box, Chip, Avatar, Typography } from '@mui/material';
+import BedtimeIcon from '@mui/icons-material/Bedtime';
+import { format } from 'date-fns';
+import { useSleep } from '../useSleep';
+
+/**
+ * "in 12 min" / "now!"
+ */
+const formatCountdown = (minutesLeft) => (minutesLeft <= 1 ? 'now!' : `in ${minutesLeft} min`);
+
+const WindDownBanner = () => {
+    const { isWindingDown, windDownMembers } = useSleep();
+
+    if (!isWindingDown) return null;
+
+    return (
+        <Box
+            data-testid="wind-down-banner"
+            sx={{
+                display: 'flex',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: 1,
+                mb: 1,
+                px: 2,
+                py: 1,
+                borderRadius: 2,
+                bgcolor: 'background.paper',
+            }}
+        >
+            <BedtimeIcon sx={{ color: 'warning.light' }} />
+            <Typography variant="subtitle2" sx={{ mr: 1 }}>
+                Wind-down time
+            </Typography>
+
+            {windDownMembers.map(({ user, bedtime, minutesLeft }) => (
+                <Chip
+                    key={user.id}
+                    avatar={<Avatar sx={{ bgcolor: user.color }}>{user.avatar}</Avatar>}
+                    label={`${user.name}: bed ${formatCountdown(minutesLeft)} (${format(bedtime, 'h:mm a')})`}
+                    variant="outlined"
+                    sx={{ minHeight: 36 }}
+                />
+            ))}
+        </Box>
+    );
+};
+
+export default WindDownBanner;
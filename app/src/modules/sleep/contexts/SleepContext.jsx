@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Sleep Context Provider
+ * @module modules/sleep/contexts/SleepContext
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Sleep data is needed in two places: the Sleep view (schedules, taps,
+ * weekly charts) and EVERYWHERE else during wind-down (the dimmed theme
+ * and the bedtime countdown banner). A provider lets both share one copy.
+ *
+ * WHAT IT MANAGES:
+ * - schedules: { [userId]: { weekday, weekend, windDownMinutes } } from /api/sleep
+ * - recentLog: the last day and a half of bed/wake taps (for "asleep since...")
+ * - wind-down: which kids are within their wind-down window right now
+ *
+ * WIND-DOWN MODE:
+ * While any child is within `windDownMinutes` of bedtime, we wrap the app
+ * in a darker version of the current theme. No component has to know -
+ * they all read colors from the theme.
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { createTheme, darken, ThemeProvider as MuiThemeProvider } from '@mui/material/styles';
+import { API_ENDPOINTS, STORAGE_KEYS } from '../../../utils/constants';
+import { useUser } from '../../users/useUser';
+import { useUI } from '../../ui/useUI';
+import { parentFetch } from '../../../services/parentSession';
+import { DEFAULT_SLEEP_SCHEDULE, getWindDownStatus } from '../utils/sleepSchedule';
+import { SleepContext } from './SleepContextCore';
+
+const SLEEP_URL = API_ENDPOINTS.LOCAL_SLEEP;
+
+// The countdown only needs minute precision
+const CLOCK_TICK_MS = 30 * 1000;
+
+// How far back "recent" taps go (covers last night from any time today)
+const RECENT_LOG_HOURS = 36;
+
+// A bedtime tap older than this is from a previous night
+const IN_BED_HOURS = 12;
+
+/**
+ * Schedules plus the last RECENT_LOG_HOURS of taps, fetched in parallel
+ */
+const fetchSleepData = async () => {
+    const from = new Date(Date.now() - RECENT_LOG_HOURS * 60 * 60 * 1000).toISOString();
+    const [scheduleRes, logRes] = await Promise.all([
+        fetch(`${SLEEP_URL}/schedules`),
+        fetch(`${SLEEP_URL}/log?from=${encodeURIComponent(from)}`),
+    ]);
+    if (!scheduleRes.ok || !logRes.ok) throw new Error('Failed to load sleep data');
+
+    const { schedules: saved, defaults: serverDefaults } = await scheduleRes.json();
+    return { saved, serverDefaults, log: await logRes.json() };
+};
+
+/**
+ * Darker copy of whatever theme the family picked
+ *
+ * JUNIOR DEV NOTE: Passing a FUNCTION to MUI's ThemeProvider gives us the
+ * outer theme, so custom colors from Settings survive - just dimmer.
+ */
+const dimTheme = (outerTheme) => createTheme(outerTheme, {
+    palette: {
+        mode: 'dark',
+        background: {
+            default: darken(outerTheme.palette.background.default, 0.85),
+            paper: darken(outerTheme.palette.background.paper, 0.8),
+        },
+        text: {
+            primary: '#E5E7EB',
+            secondary: '#9CA3AF',
+        },
+    },
+});
+
+const keepTheme = (outerTheme) => outerTheme;
+
+/**
+ * SleepProvider Component
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ */
+export function SleepProvider({ children }) {
+    const { users } = useUser();
+    const { showNotification } = useUI();
+
+    // ========================================================================
+    // STATE
+    // ========================================================================
+
+    const [schedules, setSchedules] = useState({});
+    const [defaults, setDefaults] = useState(DEFAULT_SLEEP_SCHEDULE);
+    const [recentLog, setRecentLog] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [now, setNow] = useState(() => new Date());
+
+    // Parents can switch automatic wind-down off (e.g. a sleepover night)
+    const [windDownEnabled, setWindDownEnabledState] = useState(
+        () => localStorage.getItem(STORAGE_KEYS.SLEEP_WIND_DOWN) !== 'off'
+    );
+
+    // ========================================================================
+    // DATA LOADING
+    // ========================================================================
+
+    const applyData = useCallback(({ saved, serverDefaults, log }) => {
+        setSchedules(saved);
+        setDefaults(serverDefaults);
+        setRecentLog(log);
+        setLoading(false);
+    }, []);
+
+    const reload = useCallback(async () => {
+        try {
+            applyData(await fetchSleepData());
+        } catch (err) {
+            console.error('[Sleep] Load failed:', err);
+            setLoading(false);
+        }
+    }, [applyData]);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchSleepData()
+            .then(data => { if (!cancelled) applyData(data); })
+            .catch(err => {
+                console.error('[Sleep] Load failed:', err);
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [applyData]);
+
+    /** Clock for the countdown and the wind-down window */
+    useEffect(() => {
+        const interval = setInterval(() => setNow(new Date()), CLOCK_TICK_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    // ========================================================================
+    // QUERIES
+    // ========================================================================
+
+    /**
+     * A member's schedule (the defaults until a parent sets one)
+     */
+    const getSchedule = useCallback((userId) => {
+        return schedules[String(userId)] || defaults;
+    }, [schedules, defaults]);
+
+    /**
+     * The most recent tap for a member, or null
+     */
+    const getLastEvent = useCallback((userId) => {
+        return recentLog.find(entry => entry.userId === String(userId)) || null;
+    }, [recentLog]);
+
+    /**
+     * Kids currently winding down, soonest bedtime first
+     *
+     * JUNIOR DEV NOTE: Parents don't get a countdown - it's the kids'
+     * bedtime we're counting down to. A kid who already tapped "Going to
+     * bed" in the last few hours is skipped too. (An older bedtime tap
+     * just means they forgot to tap "I'm up" this morning.)
+     */
+    const windDownMembers = useMemo(() => {
+        const isInBed = (userId) => {
+            const last = recentLog.find(e => e.userId === String(userId));
+            return last?.type === 'bedtime' && now - new Date(last.at) < IN_BED_HOURS * 60 * 60 * 1000;
+        };
+
+        return users
+            .filter(user => !user.isParent && !isInBed(user.id))
+            .map(user => ({ user, ...getWindDownStatus(getSchedule(user.id), now) }))
+            .filter(status => status.active)
+            .sort((a, b) => a.bedtime - b.bedtime);
+    }, [users, recentLog, getSchedule, now]);
+
+    const isWindingDown = windDownEnabled && windDownMembers.length > 0;
+
+    // ========================================================================
+    // ACTIONS
+    // ========================================================================
+
+    /**
+     * Record a "Going to bed" / "I'm up" tap
+     *
+     * @param {number} userId - Who tapped
+     * @param {'bedtime'|'wake'} type - Which tap
+     * @returns {Promise<boolean>} True if saved
+     */
+    const logEvent = useCallback(async (userId, type) => {
+        try {
+            const response = await fetch(`${SLEEP_URL}/log`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ userId, type }),
+            });
+            if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+            const entry = await response.json();
+            setRecentLog(prev => [entry, ...prev]);
+            return true;
+        } catch (err) {
+            console.error('[Sleep] Failed to log tap:', err);
+            showNotification('Could not save that - please try again', 'error');
+            return false;
+        }
+    }, [showNotification]);
+
+    /**
+     * Save a member's schedule (parent session required)
+     *
+     * @param {number} userId - Whose schedule
+     * @param {Object} schedule - { weekday, weekend, windDownMinutes }
+     * @throws {Error} PARENT_PIN_REQUIRED if the kiosk is locked
+     */
+    const saveSchedule = useCallback(async (userId, schedule) => {
+        const response = await parentFetch(`${SLEEP_URL}/schedules/${userId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(schedule),
+        });
+        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+        const saved = await response.json();
+        setSchedules(prev => ({ ...prev, [String(userId)]: saved }));
+        return saved;
+    }, []);
+
+    /**
+     * Seven nights of sleep for the weekly chart
+     *
+     * @param {number} userId - Whose week
+     * @param {string} [start] - First night (YYYY-MM-DD); last 7 nights if omitted
+     * @returns {Promise<{start: string, nights: Array}>}
+     */
+    const fetchWeek = useCallback(async (userId, start) => {
+        const query = start ? `?start=${start}` : '';
+        const response = await fetch(`${SLEEP_URL}/${userId}/week${query}`);
+        if (!response.ok) throw new Error('Failed to load sleep week');
+        return response.json();
+    }, []);
+
+    const setWindDownEnabled = useCallback((enabled) => {
+        localStorage.setItem(STORAGE_KEYS.SLEEP_WIND_DOWN, enabled ? 'on' : 'off');
+        setWindDownEnabledState(enabled);
+    }, []);
+
+    // ========================================================================
+    // CONTEXT VALUE
+    // ========================================================================
+
+    const value = {
+        schedules,
+        recentLog,
+        loading,
+        now,
+        getSchedule,
+        getLastEvent,
+        windDownMembers,
+        isWindingDown,
+        windDownEnabled,
+        setWindDownEnabled,
+        logEvent,
+        saveSchedule,
+        fetchWeek,
+        reload,
+    };
+
+    return (
+        <SleepContext.Provider value={value}>
+            {/* Always rendered (even when not dimming) so children never remount */}
+            <MuiThemeProvider theme={isWindingDown ? dimTheme : keepTheme}>
+                {children}
+            </MuiThemeProvider>
+        </SleepContext.Provider>
+    );
+}
+
+export default SleepProvider;
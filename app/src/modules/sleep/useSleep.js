@@ -0,0 +1,8 @@
+import { useContext } from 'react';
+import { SleepContext } from './contexts/SleepContextCore';
+
+export const useSleep = () => {
+    const context = useContext(SleepContext);
+    if (!context) throw new Error('useSleep must be used within SleepProvider');
+    return context;
+};
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Sleep schedule helpers (bedtimes, wind-down, formatting)
+ * @module modules/sleep/utils/sleepSchedule
+ *
+ * JUNIOR DEV NOTE: These are pure functions - no React, no fetch - so the
+ * Sleep view, the wind-down banner and the provider all agree on what
+ * "tonight's bedtime" means.
+ *
+ * WEEKDAY vs WEEKEND (same rule as the server's sleepService):
+ * A night belongs to the date you go to bed. Friday and Saturday nights
+ * use the weekend bedtime AND the weekend wake time the next morning.
+ */
+
+import { addDays, differenceInMinutes, format, isBefore, setHours, setMinutes, startOfDay } from 'date-fns';
+
+/** Matches DEFAULT_SCHEDULE on the server (used until the first load finishes) */
+export const DEFAULT_SLEEP_SCHEDULE = {
+    weekday: { bedtime: '20:00', wakeTime: '07:00' },
+    weekend: { bedtime: '21:00', wakeTime: '08:00' },
+    windDownMinutes: 30,
+};
+
+// A bedtime before this hour ("00:30") is after midnight on the next day
+const NIGHT_STARTS_AT_HOUR = 12;
+
+/**
+ * Is the night starting on `date` a weekend night (Fri/Sat)?
+ *
+ * @param {Date} date - Any time on the night's date
+ * @returns {boolean}
+ */
+export const isWeekendNight = (date) => [5, 6].includes(date.getDay());
+
+/**
+ * Weekday or weekend plan for the night starting on `date`
+ *
+ * @param {Object} schedule - { weekday, weekend, windDownMinutes }
+ * @param {Date} date - The night's date
+ * @returns {{bedtime: string, wakeTime: string}}
+ */
+export const getPlanForNight = (schedule, date) => {
+    return isWeekendNight(date) ? schedule.weekend : schedule.weekday;
+};
+
+/**
+ * Turns "HH:mm" on a date into a Date
+ */
+const atTime = (date, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return setMinutes(setHours(startOfDay(date), hours), minutes);
+};
+
+/**
+ * The bedtime for the night starting on `nightDate`
+ *
+ * @param {Object} schedule - Sleep schedule
+ * @param {Date} nightDate - The night's date
+ * @returns {Date}
+ */
+export const getBedtimeForNight = (schedule, nightDate) => {
+    const { bedtime } = getPlanForNight(schedule, nightDate);
+    const result = atTime(nightDate, bedtime);
+    return result.getHours() < NIGHT_STARTS_AT_HOUR ? addDays(result, 1) : result;
+};
+
+/**
+ * Which night `now` belongs to (before noon = still last night)
+ *
+ * @param {Date} now - Current time
+ * @returns {Date} Start of the night's date
+ */
+export const getCurrentNight = (now) => {
+    const today = startOfDay(now);
+    return now.getHours() < NIGHT_STARTS_AT_HOUR ? addDays(today, -1) : today;
+};
+
+/**
+ * Wind-down status for one member
+ *
+ * HOW IT WORKS:
+ * Wind-down starts `windDownMinutes` before tonight's bedtime and ends
+ * at bedtime. Outside that window, nothing is shown.
+ *
+ * @param {Object} schedule - Sleep schedule
+ * @param {Date} now - Current time
+ * @returns {{active: boolean, bedtime: Date, minutesLeft: number}}
+ */
+export const getWindDownStatus = (schedule, now) => {
+    const bedtime = getBedtimeForNight(schedule, getCurrentNight(now));
+    const minutesLeft = differenceInMinutes(bedtime, now, { roundingMethod: 'ceil' });
+    const active = schedule.windDownMinutes > 0
+        && isBefore(now, bedtime)
+        && minutesLeft <= schedule.windDownMinutes;
+
+    return { active, bedtime, minutesLeft };
+};
+
+/**
+ * "8:30 PM" from "20:30"
+ *
+ * @param {string} time - "HH:mm"
+ * @returns {string}
+ */
+export const formatClockTime = (time) => format(atTime(new Date(), time), 'h:mm a');
+
+/**
+ * "9h 15m" from minutes
+ *
+ * @param {number|null} minutes
+ * @returns {string}
+ */
+export const formatDuration = (minutes) => {
+    if (minutes == null) return '—';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`;
+};
+
+/**
+ * Planned sleep length for a night, in minutes
+ *
+ * @param {{bedtime: string, wakeTime: string}} plan
+ * @returns {number}
+ */
+export const getPlannedMinutes = (plan) => {
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const diff = toMinutes(plan.wakeTime) - toMinutes(plan.bedtime);
+    return diff > 0 ? diff : diff + 24 * 60;
+};
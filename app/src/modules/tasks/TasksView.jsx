@@ -17,26 +17,37 @@
 import React, { useState } from 'react';
 import {
     Box, Typography, Paper, List, CircularProgress, Alert,
-    Button, IconButton, Dialog, DialogContent
+    Button, IconButton, Dialog, DialogTitle, DialogContent, DialogActions, Tooltip, Badge
 } from '@mui/material';
 import AppCard from '../../components/AppCard';
 import AddIcon from '@mui/icons-material/Add';
 import SettingsIcon from '@mui/icons-material/Settings';
+import HistoryIcon from '@mui/icons-material/History';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
 import { useUser } from '../../modules/users/useUser';
 import { useUI } from '../ui/useUI';
 import { useLocalTasks } from './hooks/useLocalTasks';
 import LocalTaskItem from './components/LocalTaskItem';
 import AddTaskModal from './components/AddTaskModal';
+import TaskHistoryHeatmap, { TaskHistoryLegend } from './components/TaskHistoryHeatmap';
+import ChoreApprovals from './components/ChoreApprovals';
+import { useTaskHistory } from './hooks/useTaskHistory';
+import { useTaskApprovals } from './hooks/useTaskApprovals';
+import { useTaskRotation } from './hooks/useTaskRotation';
+import RotationSchedule from './components/RotationSchedule';
+import { PARENT_PIN_REQUIRED } from '../../services/parentSession';
 import UserSelector from '../users/UserSelector';
 import PinDialog from '../../components/PinDialog';
+import { usePin } from '../../components/usePin';
 
 const TasksView = () => {
     // ========================================================================
     // HOOKS & STATE
     // ========================================================================
 
-    const { currentUser } = useUser();
+    const { currentUser, users } = useUser();
     const { showNotification } = useUI();
+    const { verifyPin, isUnlocked } = usePin();
 
     // JUNIOR DEV NOTE:
     // We pass null for userId because this is a FAMILY task list, not per-user.
@@ -45,13 +56,35 @@ const TasksView = () => {
         localTasks,
         loading,
         error,
+        refreshLocalTasks,
         toggleLocalTask,
         addLocalTask,
+        updateLocalTask,
         deleteLocalTask
     } = useLocalTasks(null, showNotification); // null = family-wide tasks
 
+    // Upcoming turns of the rotating chore picked from the list
+    const { turns, swap: swapTurns, skip: skipTurn } = useTaskRotation(turnsTask?.id ?? null);
+
+    // Chores waiting for a parent's OK
+    const { approvals, refresh: refreshApprovals, approve, reject } = useTaskApprovals();
+
     // Modal state
     const [addModalOpen, setAddModalOpen] = useState(false);
+    const [editingTask, setEditingTask] = useState(null); // Kept while the dialog fades out
+    const [editModalOpen, setEditModalOpen] = useState(false);
+    const [turnsTask, setTurnsTask] = useState(null); // Rotating chore whose turns are open
+    const [historyOpen, setHistoryOpen] = useState(false);
+    const [approvalsOpen, setApprovalsOpen] = useState(false);
+    const [pinRetry, setPinRetry] = useState(null); // Parent-only change waiting for the PIN
+
+    // JUNIOR DEV NOTE: The heatmaps are for the kids' chores. A family
+    // without child profiles sees everyone instead.
+    const children = users.filter(user => user && !user.isParent);
+    const historyUsers = children.length > 0 ? children : users.filter(Boolean);
+    const { history, loading: historyLoading, error: historyError } = useTaskHistory(
+        historyOpen ? historyUsers.map(user => String(user.id)) : []
+    );
 
     // Settings/Sync flow state
     const [settingsOpen, setSettingsOpen] = useState(false);
@@ -62,8 +95,85 @@ const TasksView = () => {
     // HANDLERS
     // ========================================================================
 
-    const handleAddTask = async (taskData) => {
-        await addLocalTask(taskData);
+    /**
+     * Wraps a parent-only change (adding, editing, deleting a chore)
+     *
+     * JUNIOR DEV NOTE: If the kiosk is locked, the change is kept and the
+     * PIN screen shows; once the PIN is right it runs again by itself.
+     */
+    const asParent = (action) => async (...args) => {
+        try {
+            return await action(...args);
+        } catch (err) {
+            if (err.message !== PARENT_PIN_REQUIRED) throw err;
+            setPinRetry(() => () => action(...args));
+        }
+    };
+
+    const handleRetryPinSuccess = async (pin) => {
+        if (!(await verifyPin(pin))) return false;
+        const retry = pinRetry;
+        setPinRetry(null);
+        await asParent(retry)();
+        return true;
+    };
+
+    const handleAddTask = asParent(addLocalTask);
+    const handleDeleteTask = asParent(deleteLocalTask);
+
+    // JUNIOR DEV NOTE: PUT returns the task as stored, not as this list
+    // shows it (who's done in the current round), so reload afterwards.
+    const handleEditClick = (task) => {
+        setEditingTask(task);
+        setEditModalOpen(true);
+    };
+
+    const handleEditTask = asParent(async (taskData) => {
+        if (await updateLocalTask(editingTask.id, taskData)) {
+            refreshLocalTasks();
+        }
+    });
+
+    /**
+     * Swap/skip a turn (parent-only), then reload the list (it may be
+     * someone else's turn now)
+     */
+    const handleTurnChange = (action, message) => asParent(async (...args) => {
+        try {
+            await action(...args);
+            refreshLocalTasks();
+            showNotification(message, 'success');
+        } catch (err) {
+            if (err.message === PARENT_PIN_REQUIRED) throw err;
+            showNotification(err.message, 'error');
+        }
+    });
+
+    // A tick on a "needs a parent's OK" chore adds to the inbox (an untick removes it)
+    const handleToggleTask = async (task) => {
+        await toggleLocalTask(task);
+        refreshApprovals();
+    };
+
+    // --- Approval Inbox (parent PIN first, unless already unlocked) ---
+
+    const handleApprovalsPinSuccess = async (pin) => verifyPin(pin);
+
+    /**
+     * Approve/reject, then reload the list (the chore's status changed)
+     *
+     * JUNIOR DEV NOTE: If the parent session ran out while the inbox was
+     * open, the PIN screen comes back instead of an error.
+     */
+    const handleDecision = (action, message) => async (...args) => {
+        try {
+            await action(...args);
+            refreshLocalTasks();
+            showNotification(message, 'success');
+        } catch (err) {
+            if (err.message !== PARENT_PIN_REQUIRED) throw err;
+            showNotification('Parent PIN required', 'warning');
+        }
     };
 
     // --- Settings/Sync Flow ---
@@ -76,14 +186,15 @@ const TasksView = () => {
 
     const handleUserSelect = (user) => {
         setSelectedUser(user);
-        if (user.isParent && user.pin) {
+        if (user.isParent && user.hasPin) {
             setSettingsStep('PIN');
         } else {
             setSettingsStep('OPTIONS');
         }
     };
 
-    const handlePinSuccess = () => {
+    const handlePinSuccess = async (pin) => {
+        if (!(await verifyPin(pin, selectedUser?.id))) return false;
         setSettingsStep('OPTIONS');
         return true;
     };
@@ -100,6 +211,18 @@ const TasksView = () => {
 
     const HeaderActions = (
         <Box display="flex" gap={1}>
+            <Tooltip title="Chores waiting for a parent's OK">
+                <IconButton onClick={() => setApprovalsOpen(true)} aria-label="Chore approvals">
+                    <Badge badgeContent={approvals.length} color="warning">
+                        <FactCheckIcon />
+                    </Badge>
+                </IconButton>
+            </Tooltip>
+            <Tooltip title="Chore history">
+                <IconButton onClick={() => setHistoryOpen(true)} aria-label="Chore history">
+                    <HistoryIcon />
+                </IconButton>
+            </Tooltip>
             <IconButton onClick={handleGearClick}>
                 <SettingsIcon />
             </IconButton>
@@ -167,8 +290,10 @@ const TasksView = () => {
                                 <LocalTaskItem
                                     key={task.id}
                                     task={task}
-                                    onToggle={toggleLocalTask}
-                                    onDelete={deleteLocalTask}
+                                    onToggle={handleToggleTask}
+                                    onDelete={handleDeleteTask}
+                                    onEdit={handleEditClick}
+                                    onShowTurns={setTurnsTask}
                                 />
                             ))
                         )}
@@ -184,6 +309,111 @@ const TasksView = () => {
                 currentUserId={currentUser?.id}
             />
 
+            {/* Edit Task Modal (the same form, filled in) */}
+            <AddTaskModal
+                open={editModalOpen}
+                onClose={() => setEditModalOpen(false)}
+                onSave={handleEditTask}
+                currentUserId={currentUser?.id}
+                task={editingTask}
+            />
+
+            {/* Parent PIN before adding/editing/deleting a chore */}
+            <Dialog
+                open={Boolean(pinRetry)}
+                onClose={() => setPinRetry(null)}
+                maxWidth="xs"
+                fullWidth
+                PaperProps={{ sx: { borderRadius: 3 } }}
+            >
+                <Box sx={{ height: 500 }}>
+                    <PinDialog
+                        title="Parent PIN Required"
+                        onSuccess={handleRetryPinSuccess}
+                    />
+                </Box>
+            </Dialog>
+
+            {/* Turns of a rotating chore */}
+            <Dialog
+                open={Boolean(turnsTask)}
+                onClose={() => setTurnsTask(null)}
+                fullWidth
+                maxWidth="sm"
+                PaperProps={{ sx: { borderRadius: 3 } }}
+            >
+                <DialogTitle>Whose Turn: {turnsTask?.title}</DialogTitle>
+                <DialogContent>
+                    <RotationSchedule
+                        turns={turns}
+                        onSwap={handleTurnChange(swapTurns, 'Turns swapped')}
+                        onSkip={handleTurnChange(skipTurn, 'Turn skipped')}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setTurnsTask(null)}>Done</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Approval Inbox - PIN, then the list */}
+            <Dialog
+                open={approvalsOpen}
+                onClose={() => setApprovalsOpen(false)}
+                fullWidth
+                maxWidth="sm"
+                PaperProps={{ sx: { borderRadius: 3 } }}
+            >
+                {isUnlocked ? (
+                    <>
+                        <DialogTitle>Chores to Approve</DialogTitle>
+                        <DialogContent>
+                            <ChoreApprovals
+                                approvals={approvals}
+                                onApprove={handleDecision(approve, 'Approved - reward paid')}
+                                onReject={handleDecision(reject, 'Sent back')}
+                            />
+                        </DialogContent>
+                    </>
+                ) : (
+                    <Box sx={{ height: 500 }}>
+                        <PinDialog
+                            title="Parent PIN Required"
+                            onSuccess={handleApprovalsPinSuccess}
+                        />
+                    </Box>
+                )}
+            </Dialog>
+
+            {/* Chore History - one heatmap per child */}
+            <Dialog
+                open={historyOpen}
+                onClose={() => setHistoryOpen(false)}
+                fullWidth
+                maxWidth="md"
+                PaperProps={{ sx: { borderRadius: 3 } }}
+            >
+                <DialogTitle>Chore History</DialogTitle>
+                <DialogContent>
+                    {historyError && (
+                        <Alert severity="error" sx={{ mb: 2 }}>
+                            {historyError}
+                        </Alert>
+                    )}
+                    {historyLoading && Object.keys(history).length === 0 ? (
+                        <Box display="flex" justifyContent="center" p={4}>
+                            <CircularProgress />
+                        </Box>
+                    ) : (
+                        historyUsers
+                            .filter(user => history[String(user.id)])
+                            .map(user => (
+                                <TaskHistoryHeatmap key={user.id} user={user} days={history[String(user.id)]} />
+                            ))
+                    )}
+                    <TaskHistoryLegend />
+                </DialogContent>
+            </Dialog>
+
             {/* Settings Dialog - Profile Selection → PIN → Sync Options */}
             <Dialog
                 open={settingsOpen}
@@ -7,10 +7,23 @@
  * WHY THIS EXISTS:
  * This modal provides a full-featured form for creating tasks
  * with all configuration options including assignment, rewards,
- * due dates, and recurrence.
+ * due dates, and recurrence. Pass `task` to edit one instead.
+ * 
+ * RECURRENCE:
+ * - Daily, or weekly on chosen days
+ * - Every N days from a start date ("change the sheets every 14 days")
+ * - Monthly on a day ("the 1st", "the last day") or a weekday
+ *   ("the 2nd Tuesday")
+ * - Any of those several times a day, one round per time window
+ *   ("feed the fish" Morning and Evening)
+ * 
+ * TAKING TURNS:
+ * With several people assigned, a chore can rotate between them instead
+ * of everyone doing it - in the order they were picked. The preview asks
+ * the server who gets which turn (useRotationPreview).
  */
 
-import React, { useState, useContext } from 'react';
+import React, { useState, useContext, useRef } from 'react';
 import {
     Dialog,
     DialogTitle,
@@ -28,9 +41,43 @@ import {
     OutlinedInput,
     Chip,
     ToggleButton,
-    ToggleButtonGroup
+    ToggleButtonGroup,
+    FormControlLabel,
+    Switch,
+    IconButton
 } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { format } from 'date-fns';
 import { UserContext } from '../../users/UserContextCore';
+import { WEEKDAY_NAMES, MONTH_WEEK_NAMES, ordinal } from '../utils/taskRecurrence';
+import { useRotationPreview } from '../hooks/useTaskRotation';
+import RotationSchedule from './RotationSchedule';
+
+// The first two times added get a head start; after that it's up to you
+const SUGGESTED_WINDOWS = [
+    { label: 'Morning', start: '07:00', end: '09:00' },
+    { label: 'Evening', start: '17:00', end: '19:00' },
+];
+
+const MONTH_DAYS = Array.from({ length: 31 }, (_, i) => i + 1);
+
+/**
+ * What's wrong with the time windows, if anything (the server checks too)
+ *
+ * @param {Array} windows - [{ label, start, end }]
+ * @returns {string|null} A message for the form
+ */
+const findWindowProblem = (windows) => {
+    if (windows.some(window => !window.label.trim())) return 'Give each time a name.';
+
+    const backwards = windows.find(window => !window.start || !window.end || window.start >= window.end);
+    if (backwards) return `"${backwards.label}" must end after it starts.`;
+
+    const sorted = [...windows].sort((a, b) => a.start.localeCompare(b.start));
+    const overlap = sorted.findIndex((window, i) => i > 0 && sorted[i - 1].end > window.start);
+    return overlap > 0 ? `"${sorted[overlap - 1].label}" and "${sorted[overlap].label}" overlap.` : null;
+};
 
 /**
  * AddTaskModal Component
@@ -40,8 +87,9 @@ import { UserContext } from '../../users/UserContextCore';
  * @param {function} props.onClose - Close handler
  * @param {function} props.onSave - Save handler (receives task data)
  * @param {string|number} props.currentUserId - Default user to assign to
+ * @param {Object} [props.task] - Task to edit (omit to create a new one)
  */
-const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
+const AddTaskModal = ({ open, onClose, onSave, currentUserId, task }) => {
     // Get all users for assignment dropdown
     const { users } = useContext(UserContext);
 
@@ -52,42 +100,117 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
     // JUNIOR DEV NOTE: assignedTo is now an array to support multiple users.
     const [assignedTo, setAssignedTo] = useState([]);
     const [rewardStrategy, setRewardStrategy] = useState('full');
+    const [completionMode, setCompletionMode] = useState('individual');
+    const [requiresApproval, setRequiresApproval] = useState(false);
     const [xpReward, setXpReward] = useState(10);
     const [goldReward, setGoldReward] = useState(5);
     const [isRecurring, setIsRecurring] = useState(false);
     const [recurrence, setRecurrence] = useState('daily');
     const [selectedDays, setSelectedDays] = useState([]); // 0-6 for Sun-Sat
+    const [intervalDays, setIntervalDays] = useState('2'); // Text while typing
+    const [startDate, setStartDate] = useState('');
+    const [monthlyMode, setMonthlyMode] = useState('day'); // 'day' | 'weekday'
+    const [monthDay, setMonthDay] = useState(1); // 1-31, -1 = last day
+    const [monthWeek, setMonthWeek] = useState(1); // 1-4, -1 = last
+    const [monthWeekday, setMonthWeekday] = useState(6); // 0-6
+    const [windows, setWindows] = useState([]); // [{ key, id?, label, start, end }]
+    const [takesTurns, setTakesTurns] = useState(false);
+    const [rotationCadence, setRotationCadence] = useState('weekly'); // 'occurrence' | 'daily' | 'weekly'
+
+    // JUNIOR DEV NOTE: New windows have no id until the server gives them
+    // one, so the rows are keyed with a counter instead.
+    const nextWindowKey = useRef(0);
+    const withKey = (window) => ({ ...window, key: window.id || `new-${nextWindowKey.current++}` });
 
-    // Reset form when modal opens
+    // Reset form when modal opens (to the task being edited, if any)
     const handleOpen = () => {
-        setTitle('');
-        setDescription('');
-        setDueDate('');
+        const today = format(new Date(), 'yyyy-MM-dd');
+
+        setTitle(task?.title || '');
+        setDescription(task?.description || '');
+        setDueDate(task?.dueDate || '');
         // Initialize with current user if possible
-        setAssignedTo(currentUserId ? [currentUserId] : []);
-        setRewardStrategy('full');
-        setXpReward(10);
-        setGoldReward(5);
-        setIsRecurring(false);
-        setRecurrence('daily');
-        setSelectedDays([]);
+        setAssignedTo(task ? [].concat(task.assignedTo ?? []) : (currentUserId ? [currentUserId] : []));
+        setRewardStrategy(task?.rewardStrategy || 'full');
+        setCompletionMode(task?.completionMode || 'individual');
+        setRequiresApproval(Boolean(task?.requiresApproval));
+        setXpReward(task?.xpReward || 10);
+        setGoldReward(task?.goldReward || 5);
+        setIsRecurring(Boolean(task?.isRecurring));
+        // 'specific' (older tasks) is the same as weekly on chosen days
+        setRecurrence(task?.recurrence === 'specific' ? 'weekly' : task?.recurrence || 'daily');
+        setSelectedDays(task?.recurrence === 'monthly' ? [] : task?.days || []);
+        setIntervalDays(String(task?.interval > 1 ? task.interval : 2));
+        setStartDate(task?.startDate || (task?.createdAt ? format(new Date(task.createdAt), 'yyyy-MM-dd') : today));
+        setMonthlyMode(task?.monthWeek ? 'weekday' : 'day');
+        setMonthDay(task?.monthDay || (task?.createdAt ? new Date(task.createdAt).getDate() : 1));
+        setMonthWeek(task?.monthWeek || 1);
+        setMonthWeekday(task?.monthWeek ? task.days?.[0] ?? 6 : 6);
+        setWindows((task?.windows || []).map(withKey));
+        setTakesTurns(Boolean(task?.rotation));
+        setRotationCadence(task?.rotation?.cadence || 'weekly');
+    };
+
+    const addWindow = () => {
+        const suggestion = SUGGESTED_WINDOWS[windows.length] || { label: '', start: '12:00', end: '13:00' };
+        setWindows(prev => [...prev, withKey(suggestion)]);
+    };
+
+    const updateWindow = (key, changes) => {
+        setWindows(prev => prev.map(window => (window.key === key ? { ...window, ...changes } : window)));
+    };
+
+    const removeWindow = (key) => {
+        setWindows(prev => prev.filter(window => window.key !== key));
+    };
+
+    const interval = Number(intervalDays);
+    const isIntervalValid = Number.isInteger(interval) && interval >= 1 && interval <= 365;
+    const windowProblem = isRecurring ? findWindowProblem(windows) : null;
+    const isRuleValid = !isRecurring || (!windowProblem && (recurrence !== 'interval' || (isIntervalValid && startDate)));
+
+    // What the task's recurrence fields will be (sent on save, and for the preview)
+    const isMonthlyWeekday = recurrence === 'monthly' && monthlyMode === 'weekday';
+    let days = [];
+    if (isRecurring && recurrence === 'weekly') days = selectedDays;
+    if (isRecurring && isMonthlyWeekday) days = [monthWeekday];
+
+    const rule = {
+        isRecurring,
+        recurrence: isRecurring ? recurrence : null,
+        days,
+        interval: isRecurring && recurrence === 'interval' ? interval : 1,
+        startDate: isRecurring && recurrence === 'interval' ? startDate : null,
+        monthDay: isRecurring && recurrence === 'monthly' && !isMonthlyWeekday ? monthDay : null,
+        monthWeek: isRecurring && isMonthlyWeekday ? monthWeek : null,
+        windows: isRecurring
+            ? windows.map(({ id, label, start, end }) => ({ id, label: label.trim(), start, end }))
+            : []
     };
 
+    // Turns only make sense with more than one person
+    const rotates = takesTurns && assignedTo.length > 1;
+    const rotation = rotates ? { cadence: rotationCadence } : null;
+    const preview = useRotationPreview(rotates && isRuleValid
+        ? { ...rule, taskId: task?.id, assignedTo, rotation }
+        : null);
+
     // Handle form submission
     const handleSubmit = () => {
-        if (!title.trim() || assignedTo.length === 0) return;
+        if (!title.trim() || assignedTo.length === 0 || !isRuleValid) return;
 
         const taskData = {
             title: title.trim(),
             description: description.trim(),
             dueDate: dueDate || null,
             assignedTo,
-            rewardStrategy,
+            rewardStrategy: rotates ? 'full' : rewardStrategy,
+            completionMode: assignedTo.length > 1 && !rotates ? completionMode : 'individual',
+            requiresApproval,
             xpReward,
             goldReward,
-            isRecurring,
-            recurrence: isRecurring ? recurrence : null,
-            days: isRecurring && recurrence === 'weekly' ? selectedDays : []
+            ...rule,
+            rotation
         };
 
         onSave(taskData);
@@ -102,7 +225,7 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
             fullWidth
             TransitionProps={{ onEnter: handleOpen }}
         >
-            <DialogTitle>Create New Task</DialogTitle>
+            <DialogTitle>{task ? 'Edit Task' : 'Create New Task'}</DialogTitle>
 
             <DialogContent>
                 <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
@@ -169,8 +292,61 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
                         </Select>
                     </FormControl>
 
-                    {/* Reward Strategy (Only show if multiple assignees) */}
+                    {/* Taking turns (Only show if multiple assignees) */}
                     {assignedTo.length > 1 && (
+                        <Box>
+                            <FormControlLabel
+                                control={
+                                    <Switch
+                                        checked={takesTurns}
+                                        onChange={(e) => setTakesTurns(e.target.checked)}
+                                    />
+                                }
+                                label="Take turns"
+                            />
+                            <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                                {takesTurns
+                                    ? 'One person at a time, in the order they were picked above.'
+                                    : 'Everyone does it.'}
+                            </Typography>
+
+                            {takesTurns && (
+                                <Box sx={{ mt: 1 }}>
+                                    <ToggleButtonGroup
+                                        value={rotationCadence}
+                                        exclusive
+                                        onChange={(e, val) => val && setRotationCadence(val)}
+                                        fullWidth
+                                        size="small"
+                                    >
+                                        <ToggleButton value="occurrence">
+                                            Each Time
+                                        </ToggleButton>
+                                        <ToggleButton value="daily">
+                                            Each Day
+                                        </ToggleButton>
+                                        <ToggleButton value="weekly">
+                                            Each Week
+                                        </ToggleButton>
+                                    </ToggleButtonGroup>
+
+                                    <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                                        Coming up
+                                    </Typography>
+                                    {preview.error ? (
+                                        <Typography variant="caption" color="error">{preview.error}</Typography>
+                                    ) : (
+                                        <Box sx={{ opacity: preview.loading ? 0.5 : 1 }}>
+                                            <RotationSchedule turns={preview.turns} />
+                                        </Box>
+                                    )}
+                                </Box>
+                            )}
+                        </Box>
+                    )}
+
+                    {/* Reward Strategy (Only show if multiple assignees who don't take turns) */}
+                    {assignedTo.length > 1 && !takesTurns && (
                         <Box>
                             <Typography variant="body2" color="text.secondary" gutterBottom>
                                 Reward Strategy
@@ -194,6 +370,29 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
                                     ? 'Everyone gets the full XP and Gold.'
                                     : 'Reward is split evenly among all assigned users.'}
                             </Typography>
+
+                            <Typography variant="body2" color="text.secondary" gutterBottom sx={{ mt: 2 }}>
+                                Who Gets Paid
+                            </Typography>
+                            <ToggleButtonGroup
+                                value={completionMode}
+                                exclusive
+                                onChange={(e, val) => val && setCompletionMode(val)}
+                                fullWidth
+                                size="small"
+                            >
+                                <ToggleButton value="individual">
+                                    Each When Done
+                                </ToggleButton>
+                                <ToggleButton value="team">
+                                    Team
+                                </ToggleButton>
+                            </ToggleButtonGroup>
+                            <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5, display: 'block' }}>
+                                {completionMode === 'individual'
+                                    ? 'Everyone checks off their own copy and is paid when they finish.'
+                                    : 'Nobody is paid until everyone has finished - then everyone is.'}
+                            </Typography>
                         </Box>
                     )}
 
@@ -237,6 +436,24 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
                         />
                     </Box>
 
+                    {/* Parent Approval */}
+                    <Box>
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={requiresApproval}
+                                    onChange={(e) => setRequiresApproval(e.target.checked)}
+                                />
+                            }
+                            label="Needs a parent's OK"
+                        />
+                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                            {requiresApproval
+                                ? 'Checking it off asks a parent first - XP and Gold are paid once it is approved.'
+                                : 'XP and Gold are paid as soon as it is checked off.'}
+                        </Typography>
+                    </Box>
+
                     {/* Recurring Toggle */}
                     <FormControl fullWidth>
                         <InputLabel>Recurrence</InputLabel>
@@ -255,6 +472,8 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
                             <MenuItem value="none">One-time task</MenuItem>
                             <MenuItem value="daily">Daily</MenuItem>
                             <MenuItem value="weekly">Weekly</MenuItem>
+                            <MenuItem value="interval">Every few days</MenuItem>
+                            <MenuItem value="monthly">Monthly</MenuItem>
                         </Select>
                     </FormControl>
 
@@ -265,7 +484,7 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
                                 Repeat on:
                             </Typography>
                             <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
-                                {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day, index) => (
+                                {WEEKDAY_NAMES.map((day, index) => (
                                     <Button
                                         key={day}
                                         variant={selectedDays.includes(index) ? 'contained' : 'outlined'}
@@ -290,6 +509,138 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
                             </Box>
                         </Box>
                     )}
+
+                    {/* Every N days, from a start date */}
+                    {isRecurring && recurrence === 'interval' && (
+                        <Box sx={{ display: 'flex', gap: 2 }}>
+                            <TextField
+                                label="Every how many days"
+                                type="number"
+                                value={intervalDays}
+                                onChange={(e) => setIntervalDays(e.target.value)}
+                                error={!isIntervalValid}
+                                helperText={isIntervalValid ? ' ' : '1 to 365'}
+                                inputProps={{ min: 1, max: 365 }}
+                                fullWidth
+                            />
+                            <TextField
+                                label="Starting"
+                                type="date"
+                                value={startDate}
+                                onChange={(e) => setStartDate(e.target.value)}
+                                error={!startDate}
+                                helperText=" "
+                                fullWidth
+                                InputLabelProps={{ shrink: true }}
+                            />
+                        </Box>
+                    )}
+
+                    {/* Monthly: a day of the month, or "2nd Tuesday" */}
+                    {isRecurring && recurrence === 'monthly' && (
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                            <ToggleButtonGroup
+                                value={monthlyMode}
+                                exclusive
+                                onChange={(e, val) => val && setMonthlyMode(val)}
+                                fullWidth
+                                size="small"
+                            >
+                                <ToggleButton value="day">
+                                    Day of the Month
+                                </ToggleButton>
+                                <ToggleButton value="weekday">
+                                    Day of the Week
+                                </ToggleButton>
+                            </ToggleButtonGroup>
+
+                            {monthlyMode === 'day' ? (
+                                <FormControl fullWidth>
+                                    <InputLabel>On</InputLabel>
+                                    <Select value={monthDay} onChange={(e) => setMonthDay(e.target.value)} label="On">
+                                        {MONTH_DAYS.map(day => (
+                                            <MenuItem key={day} value={day}>The {ordinal(day)}</MenuItem>
+                                        ))}
+                                        <MenuItem value={-1}>The last day</MenuItem>
+                                    </Select>
+                                    {monthDay > 28 && (
+                                        <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5 }}>
+                                            In shorter months it&apos;s on the last day instead.
+                                        </Typography>
+                                    )}
+                                </FormControl>
+                            ) : (
+                                <Box sx={{ display: 'flex', gap: 2 }}>
+                                    <FormControl fullWidth>
+                                        <InputLabel>On the</InputLabel>
+                                        <Select value={monthWeek} onChange={(e) => setMonthWeek(e.target.value)} label="On the">
+                                            {Object.entries(MONTH_WEEK_NAMES).map(([value, name]) => (
+                                                <MenuItem key={value} value={Number(value)}>{name}</MenuItem>
+                                            ))}
+                                        </Select>
+                                    </FormControl>
+                                    <FormControl fullWidth>
+                                        <InputLabel>Day</InputLabel>
+                                        <Select value={monthWeekday} onChange={(e) => setMonthWeekday(e.target.value)} label="Day">
+                                            {WEEKDAY_NAMES.map((day, index) => (
+                                                <MenuItem key={day} value={index}>{day}</MenuItem>
+                                            ))}
+                                        </Select>
+                                    </FormControl>
+                                </Box>
+                            )}
+                        </Box>
+                    )}
+
+                    {/* Several rounds a day */}
+                    {isRecurring && (
+                        <Box>
+                            <Typography variant="body2" color="text.secondary" gutterBottom>
+                                Times of day
+                            </Typography>
+                            {windows.map(window => (
+                                <Box key={window.key} sx={{ display: 'flex', gap: 1, mb: 1, alignItems: 'center' }}>
+                                    <TextField
+                                        label="Name"
+                                        size="small"
+                                        value={window.label}
+                                        onChange={(e) => updateWindow(window.key, { label: e.target.value })}
+                                        inputProps={{ maxLength: 30 }}
+                                        sx={{ flex: 2 }}
+                                    />
+                                    <TextField
+                                        label="From"
+                                        type="time"
+                                        size="small"
+                                        value={window.start}
+                                        onChange={(e) => updateWindow(window.key, { start: e.target.value })}
+                                        InputLabelProps={{ shrink: true }}
+                                        sx={{ flex: 1 }}
+                                    />
+                                    <TextField
+                                        label="Until"
+                                        type="time"
+                                        size="small"
+                                        value={window.end}
+                                        onChange={(e) => updateWindow(window.key, { end: e.target.value })}
+                                        InputLabelProps={{ shrink: true }}
+                                        sx={{ flex: 1 }}
+                                    />
+                                    <IconButton onClick={() => removeWindow(window.key)} aria-label={`Remove ${window.label || 'time'}`}>
+                                        <DeleteIcon />
+                                    </IconButton>
+                                </Box>
+                            ))}
+                            <Button size="small" startIcon={<AddIcon />} onClick={addWindow} disabled={windows.length >= 6}>
+                                Add a Time
+                            </Button>
+                            <Typography variant="caption" color={windowProblem ? 'error' : 'text.secondary'} sx={{ display: 'block' }}>
+                                {windowProblem || (windows.length > 0
+                                    ? 'Checked off once per time - it comes back when the next time starts.'
+                                    : 'Once a day. Add times for chores done more than once, like "Morning" and "Evening".')}
+                            </Typography>
+                        </Box>
+                    )}
                 </Box>
             </DialogContent>
 
@@ -298,9 +649,9 @@ const AddTaskModal = ({ open, onClose, onSave, currentUserId }) => {
                 <Button
                     variant="contained"
                     onClick={handleSubmit}
-                    disabled={!title.trim() || assignedTo.length === 0}
+                    disabled={!title.trim() || assignedTo.length === 0 || !isRuleValid}
                 >
-                    Create Task
+                    {task ? 'Save Changes' : 'Create Task'}
                 </Button>
             </DialogActions>
         </Dialog>
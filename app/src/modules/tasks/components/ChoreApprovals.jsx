@@ -0,0 +1,99 @@
+/**
+ * @fileoverview ChoreApprovals - Parent inbox for chore completions
+ * @module modules/tasks/components/ChoreApprovals
+ *
+ * JUNIOR DEV NOTE:
+ * Chores marked "needs a parent's OK" land here when a kid checks them
+ * off. Approve pays the XP and Gold; reject (with an optional note the
+ * kid will see) pays nothing and puts the chore back on their list.
+ * TasksView only opens this after a parent PIN, so parentFetch works.
+ */
+
+import React, { useState } from 'react';
+import {
+    Typography,
+    List,
+    ListItem,
+    ListItemText,
+    Button,
+    Stack
+} from '@mui/material';
+import { formatDistanceToNow } from 'date-fns';
+import { useUser } from '../../users/useUser';
+
+/**
+ * ChoreApprovals Component
+ *
+ * @param {object} props
+ * @param {Array} props.approvals - Pending completions (useTaskApprovals)
+ * @param {Function} props.onApprove - (occurrenceId) => Promise
+ * @param {Function} props.onReject - (occurrenceId, note) => Promise
+ */
+const ChoreApprovals = ({ approvals, onApprove, onReject }) => {
+    const { users } = useUser();
+    const [busyId, setBusyId] = useState(null);
+
+    const decide = async (entry, action) => {
+        let note;
+        if (action === 'reject') {
+            note = window.prompt(`What still needs doing on "${entry.title}"? (optional)`);
+            if (note === null) return; // Cancelled
+        }
+
+        setBusyId(entry.id);
+        try {
+            await (action === 'approve' ? onApprove(entry.id) : onReject(entry.id, note));
+        } catch (err) {
+            console.error('Chore approval failed:', err);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const nameOf = (userId) => {
+        const user = users.find(u => String(u.id) === String(userId));
+        return user ? `${user.avatar} ${user.name}` : 'Someone';
+    };
+
+    if (approvals.length === 0) {
+        return (
+            <Typography color="text.secondary" textAlign="center">
+                No chores waiting 🎉
+            </Typography>
+        );
+    }
+
+    return (
+        <List>
+            {approvals.map(entry => (
+                <ListItem key={entry.id} divider sx={{ flexWrap: 'wrap', gap: 1 }} data-testid="chore-approval">
+                    <ListItemText
+                        primary={`${nameOf(entry.userId)} - ${entry.title}`}
+                        secondary={`Checked off ${formatDistanceToNow(new Date(entry.completedAt), { addSuffix: true })}`}
+                    />
+                    <Stack direction="row" spacing={1}>
+                        <Button
+                            size="small"
+                            variant="contained"
+                            color="success"
+                            onClick={() => decide(entry, 'approve')}
+                            disabled={busyId === entry.id}
+                        >
+                            Approve
+                        </Button>
+                        <Button
+                            size="small"
+                            color="error"
+                            onClick={() => decide(entry, 'reject')}
+                            disabled={busyId === entry.id}
+                        >
+                            Reject
+                        </Button>
+                    </Stack>
+                </ListItem>
+            ))}
+        </List>
+    );
+};
+
+export default ChoreApprovals;
@@ -3,7 +3,10 @@
  * @module modules/tasks/components/LocalTaskItem
  * 
  * Displays a single local task with completion checkbox,
- * title, and XP/Gold rewards.
+ * title, and XP/Gold rewards. Tasks that need a parent's OK show
+ * whether they're waiting for it (or were sent back, and why).
+ * Recurring tasks say how often they come back, and which time of day
+ * the current round is for. Chores that take turns show whose turn it is.
  */
 
 import React, { useContext } from 'react';
@@ -22,10 +25,15 @@ import {
     Tooltip
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
+import EditIcon from '@mui/icons-material/Edit';
 import RepeatIcon from '@mui/icons-material/Repeat';
 import GroupIcon from '@mui/icons-material/Group';
 import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import HourglassTopIcon from '@mui/icons-material/HourglassTop';
+import UndoIcon from '@mui/icons-material/Undo';
+import SyncAltIcon from '@mui/icons-material/SyncAlt';
 import { UserContext } from '../../users/UserContextCore';
+import { describeRecurrence, getCurrentWindow } from '../utils/taskRecurrence';
 
 /**
  * LocalTaskItem Component
@@ -34,8 +42,10 @@ import { UserContext } from '../../users/UserContextCore';
  * @param {Object} props.task - The task object
  * @param {function} props.onToggle - Toggle completion handler
  * @param {function} props.onDelete - Delete handler
+ * @param {function} [props.onEdit] - Edit handler (receives the task); no edit button without it
+ * @param {function} [props.onShowTurns] - Opens the turns of a rotating task (receives the task)
  */
-const LocalTaskItem = ({ task, onToggle, onDelete }) => {
+const LocalTaskItem = ({ task, onToggle, onDelete, onEdit, onShowTurns }) => {
     const { users } = useContext(UserContext);
 
     const handleToggle = () => {
@@ -49,22 +59,62 @@ const LocalTaskItem = ({ task, onToggle, onDelete }) => {
         }
     };
 
+    const handleShowTurns = (e) => {
+        e.stopPropagation();
+        onShowTurns?.(task);
+    };
+
+    const handleEdit = (e) => {
+        e.stopPropagation();
+        onEdit(task);
+    };
+
     // JUNIOR DEV NOTE: We resolve the user objects for the assignees
-    // to display their names/avatars.
-    const assignees = Array.isArray(task.assignedTo) ? task.assignedTo : [task.assignedTo];
-    const assigneeUsers = assignees.map(id => users.find(u => u.id === id)).filter(Boolean);
+    // to display their names/avatars. A chore that takes turns is only
+    // the current person's (the server works out whose turn it is).
+    const findUser = (id) => users.find(u => String(u.id) === String(id));
+    const isRotating = Boolean(task.rotation && task.currentAssignee);
+    const assignees = isRotating
+        ? [task.currentAssignee]
+        : (Array.isArray(task.assignedTo) ? task.assignedTo : [task.assignedTo]);
+    const assigneeUsers = assignees.map(findUser).filter(Boolean);
+    const nextUser = isRotating ? findUser(task.nextAssignee) : null;
+
+    // Shared tasks are completed per person - dim whoever hasn't finished yet
+    const completions = task.completions || {};
+    const isShared = assigneeUsers.length > 1;
+    const isDoneBy = (user) => Boolean(completions[String(user.id)]);
+
+    const rewardTooltip = [
+        task.rewardStrategy === 'split' ? 'Reward split evenly' : 'Full reward for everyone',
+        task.completionMode === 'team' ? 'paid when the whole team is done' : 'paid as each person finishes',
+    ].join(', ');
+
+    // Chores done several times a day: which round is this?
+    const currentWindow = getCurrentWindow(task);
 
     return (
         <ListItem
             disablePadding
             secondaryAction={
-                <IconButton
-                    edge="end"
-                    onClick={handleDelete}
-                    sx={{ opacity: 0.5, '&:hover': { opacity: 1 } }}
-                >
-                    <DeleteIcon />
-                </IconButton>
+                <Box sx={{ display: 'flex' }}>
+                    {onEdit && (
+                        <IconButton
+                            onClick={handleEdit}
+                            aria-label={`Edit ${task.title}`}
+                            sx={{ opacity: 0.5, '&:hover': { opacity: 1 } }}
+                        >
+                            <EditIcon />
+                        </IconButton>
+                    )}
+                    <IconButton
+                        edge="end"
+                        onClick={handleDelete}
+                        sx={{ opacity: 0.5, '&:hover': { opacity: 1 } }}
+                    >
+                        <DeleteIcon />
+                    </IconButton>
+                </Box>
             }
             sx={{
                 opacity: task.completed ? 0.6 : 1,
@@ -97,8 +147,8 @@ const LocalTaskItem = ({ task, onToggle, onDelete }) => {
                             {/* Assignee Avatars */}
                             <AvatarGroup max={3} sx={{ '& .MuiAvatar-root': { width: 20, height: 20, fontSize: 10 } }}>
                                 {assigneeUsers.map(user => (
-                                    <Tooltip key={user.id} title={user.name}>
-                                        <Avatar sx={{ bgcolor: user.color || 'primary.main' }}>
+                                    <Tooltip key={user.id} title={isShared ? `${user.name}: ${isDoneBy(user) ? 'done' : 'not yet'}` : user.name}>
+                                        <Avatar sx={{ bgcolor: user.color || 'primary.main', opacity: isShared && !isDoneBy(user) ? 0.4 : 1 }}>
                                             {user.avatar || user.name.charAt(0)}
                                         </Avatar>
                                     </Tooltip>
@@ -118,7 +168,7 @@ const LocalTaskItem = ({ task, onToggle, onDelete }) => {
                                 sx={{
                                     height: 18,
                                     fontSize: '0.65rem',
-                                    bgcolor: task.completed ? 'success.dark' : 'primary.dark',
+                                    bgcolor: task.completed && !task.pendingApproval ? 'success.dark' : 'primary.dark',
                                     color: 'white'
                                 }}
                             />
@@ -129,17 +179,17 @@ const LocalTaskItem = ({ task, onToggle, onDelete }) => {
                                 sx={{
                                     height: 18,
                                     fontSize: '0.65rem',
-                                    bgcolor: task.completed ? 'success.dark' : 'warning.dark',
+                                    bgcolor: task.completed && !task.pendingApproval ? 'success.dark' : 'warning.dark',
                                     color: 'white'
                                 }}
                             />
 
                             {/* Reward Strategy Indicator */}
-                            {assigneeUsers.length > 1 && (
-                                <Tooltip title={task.rewardStrategy === 'split' ? 'Reward split evenly' : 'Full reward for everyone'}>
+                            {isShared && (
+                                <Tooltip title={rewardTooltip}>
                                     <Chip
                                         icon={task.rewardStrategy === 'split' ? <GroupIcon sx={{ fontSize: 12, color: 'inherit !important' }} /> : <RepeatIcon sx={{ fontSize: 12, color: 'inherit !important' }} />}
-                                        label={task.rewardStrategy || 'full'}
+                                        label={task.completionMode === 'team' ? `team · ${task.rewardStrategy || 'full'}` : task.rewardStrategy || 'full'}
                                         size="small"
                                         variant="outlined"
                                         sx={{ height: 18, fontSize: '0.6rem', px: 0.5 }}
@@ -147,16 +197,57 @@ const LocalTaskItem = ({ task, onToggle, onDelete }) => {
                                 </Tooltip>
                             )}
 
-                            {/* Recurring indicator */}
-                            {task.isRecurring && (
+                            {/* Waiting for a parent to approve it */}
+                            {task.pendingApproval && (
+                                <Tooltip title="A parent will check it - XP and Gold come once it's approved">
+                                    <Chip
+                                        icon={<HourglassTopIcon sx={{ fontSize: 12, color: 'inherit !important' }} />}
+                                        label="Waiting for OK"
+                                        size="small"
+                                        color="warning"
+                                        variant="outlined"
+                                        sx={{ height: 18, fontSize: '0.6rem' }}
+                                    />
+                                </Tooltip>
+                            )}
+
+                            {/* A parent sent it back */}
+                            {!task.completed && typeof task.rejectionNote === 'string' && (
                                 <Chip
-                                    icon={<RepeatIcon sx={{ fontSize: 12, color: 'inherit !important' }} />}
-                                    label={task.recurrence}
+                                    icon={<UndoIcon sx={{ fontSize: 12, color: 'inherit !important' }} />}
+                                    label={task.rejectionNote ? `Not yet: ${task.rejectionNote}` : 'Not yet - try again'}
                                     size="small"
+                                    color="error"
                                     variant="outlined"
+                                    sx={{ height: 18, fontSize: '0.6rem', maxWidth: 240 }}
+                                />
+                            )}
+
+                            {/* Whose turn it is */}
+                            {isRotating && (
+                                <Chip
+                                    icon={<SyncAltIcon sx={{ fontSize: 12, color: 'inherit !important' }} />}
+                                    label={`${assigneeUsers[0]?.name || 'Someone'}'s turn${nextUser ? ` · next ${nextUser.name}` : ''}`}
+                                    size="small"
+                                    color="info"
+                                    variant="outlined"
+                                    onClick={onShowTurns ? handleShowTurns : undefined}
                                     sx={{ height: 18, fontSize: '0.6rem' }}
                                 />
                             )}
+
+                            {/* Recurring indicator */}
+                            {task.isRecurring && (
+                                <Tooltip title={currentWindow ? `Now: ${currentWindow.label} (${currentWindow.start}-${currentWindow.end})` : ''}>
+                                    <Chip
+                                        icon={<RepeatIcon sx={{ fontSize: 12, color: 'inherit !important' }} />}
+                                        label={describeRecurrence(task)}
+                                        size="small"
+                                        variant="outlined"
+                                        sx={{ height: 18, fontSize: '0.6rem' }}
+                                    />
+                                </Tooltip>
+                            )}
                         </Box>
                     }
                 />
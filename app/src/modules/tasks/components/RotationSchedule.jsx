@@ -0,0 +1,103 @@
+/**
+ * @fileoverview RotationSchedule - Upcoming turns of a rotating chore
+ * @module modules/tasks/components/RotationSchedule
+ *
+ * JUNIOR DEV NOTE: One row per turn: when it starts and whose it is.
+ * AddTaskModal shows it read-only as a preview; the rotation dialog on
+ * the task list passes onSwap/onSkip so turns can be traded or skipped.
+ * "Swap" trades a turn with the one after it - the usual "can you do my
+ * week?" - and "Skip" gives the turn to the next person.
+ */
+
+import React, { useState } from 'react';
+import {
+    List,
+    ListItem,
+    ListItemAvatar,
+    ListItemText,
+    Avatar,
+    Button,
+    Stack,
+    Typography
+} from '@mui/material';
+import { format, parseISO } from 'date-fns';
+import { useUser } from '../../users/useUser';
+
+/**
+ * RotationSchedule Component
+ *
+ * @param {Object} props
+ * @param {Array} props.turns - [{ turn, date, userId, swapped }] from the server
+ * @param {Function} [props.onSwap] - (turn, withTurn) => Promise (handles its own errors)
+ * @param {Function} [props.onSkip] - (turn) => Promise (handles its own errors)
+ */
+const RotationSchedule = ({ turns, onSwap, onSkip }) => {
+    const { users } = useUser();
+    const [busyTurn, setBusyTurn] = useState(null);
+
+    const userOf = (userId) => users.find(u => u && String(u.id) === String(userId));
+
+    const run = async (turn, action) => {
+        setBusyTurn(turn);
+        try {
+            await action();
+        } finally {
+            setBusyTurn(null);
+        }
+    };
+
+    if (turns.length === 0) {
+        return (
+            <Typography variant="body2" color="text.secondary">
+                No turns coming up.
+            </Typography>
+        );
+    }
+
+    return (
+        <List dense disablePadding>
+            {turns.map((entry, index) => {
+                const user = userOf(entry.userId);
+                const next = turns[index + 1];
+                return (
+                    <ListItem key={entry.turn} disableGutters data-testid="rotation-turn">
+                        <ListItemAvatar sx={{ minWidth: 40 }}>
+                            <Avatar sx={{ bgcolor: user?.color, width: 28, height: 28, fontSize: '0.9rem' }}>
+                                {user?.avatar || user?.name?.charAt(0) || '?'}
+                            </Avatar>
+                        </ListItemAvatar>
+                        <ListItemText
+                            primary={`${user?.name || 'Someone'}${index === 0 ? ' (now)' : ''}${entry.swapped ? ' · swapped' : ''}`}
+                            secondary={`From ${format(parseISO(entry.date), 'EEE, MMM d')}`}
+                        />
+                        {(onSwap || onSkip) && (
+                            <Stack direction="row" spacing={1}>
+                                {onSwap && next && (
+                                    <Button
+                                        size="small"
+                                        onClick={() => run(entry.turn, () => onSwap(entry.turn, next.turn))}
+                                        disabled={busyTurn !== null || next.userId === entry.userId}
+                                    >
+                                        Swap with next
+                                    </Button>
+                                )}
+                                {onSkip && (
+                                    <Button
+                                        size="small"
+                                        color="warning"
+                                        onClick={() => run(entry.turn, () => onSkip(entry.turn))}
+                                        disabled={busyTurn !== null}
+                                    >
+                                        Skip
+                                    </Button>
+                                )}
+                            </Stack>
+                        )}
+                    </ListItem>
+                );
+            })}
+        </List>
+    );
+};
+
+export default RotationSchedule;
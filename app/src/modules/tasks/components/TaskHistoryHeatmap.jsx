@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Chore history heatmap for one person
+ * @module modules/tasks/components/TaskHistoryHeatmap
+ *
+ * JUNIOR DEV NOTE: One square per day, one column per week (Sunday at the
+ * top), like a contribution graph. The colour says how the day went:
+ * green = everything done, amber = some chores skipped, red = nothing
+ * done. Hover (or long-press) a square to see which chores.
+ */
+
+import React from 'react';
+import { Box, Typography, Avatar, Tooltip } from '@mui/material';
+import { format, parseISO, isToday } from 'date-fns';
+
+const CELL_SIZE = 18;
+const CELL_GAP = 3;
+
+const COLORS = {
+    done: '#10B981',
+    partial: '#FBBF24',
+    missed: '#F87171',
+    nothingDue: '#F3F4F6',
+};
+
+const LEGEND = [
+    { color: COLORS.done, label: 'All done' },
+    { color: COLORS.partial, label: 'Some skipped' },
+    { color: COLORS.missed, label: 'All skipped' },
+    { color: COLORS.nothingDue, label: 'Nothing due' },
+];
+
+/**
+ * How a day went
+ *
+ * @param {Object} day - { date, due, done, missed } from the server
+ * @returns {string} A key of COLORS, or 'open' (today, not finished yet)
+ */
+const getDayStatus = (day) => {
+    if (day.missed.length > 0) return day.done.length > 0 ? 'partial' : 'missed';
+    if (day.done.length > 0) return 'done';
+    return day.due > 0 ? 'open' : 'nothingDue';
+};
+
+/**
+ * "Tue, Oct 13 - Done: Dishes · Skipped: Feed the cat"
+ */
+const describeDay = (day) => {
+    const parts = [format(parseISO(day.date), 'EEE, MMM d')];
+    if (day.done.length > 0) parts.push(`Done: ${day.done.map(item => item.title).join(', ')}`);
+    if (day.missed.length > 0) parts.push(`Skipped: ${day.missed.map(item => item.title).join(', ')}`);
+    if (parts.length === 1) parts.push(day.due > 0 ? 'Not finished yet' : 'Nothing due');
+    return parts.join(' · ');
+};
+
+/**
+ * Days (oldest first, starting on a Sunday) into columns of 7
+ */
+const toWeeks = (days) => {
+    const weeks = [];
+    for (let i = 0; i < days.length; i += 7) {
+        weeks.push(days.slice(i, i + 7));
+    }
+    return weeks;
+};
+
+/**
+ * TaskHistoryHeatmap Component
+ *
+ * @param {Object} props
+ * @param {Object} props.user - { name, color, avatar }
+ * @param {Array} props.days - From GET /api/local-tasks/history/user/:userId
+ */
+const TaskHistoryHeatmap = ({ user, days = [] }) => {
+    // The last 7 days are what parents ask about ("who skipped last week?")
+    const lastWeek = days.slice(-8, -1);
+    const skipped = lastWeek.reduce((sum, day) => sum + day.missed.length, 0);
+
+    return (
+        <Box data-testid="task-history-heatmap" sx={{ mb: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Avatar sx={{ bgcolor: user.color, width: 32, height: 32 }}>{user.avatar}</Avatar>
+                <Typography variant="subtitle1" fontWeight="bold">{user.name}</Typography>
+                <Typography variant="body2" color={skipped > 0 ? 'error' : 'text.secondary'} sx={{ ml: 'auto' }}>
+                    {skipped > 0
+                        ? `${skipped} chore${skipped === 1 ? '' : 's'} skipped in the last 7 days`
+                        : 'Nothing skipped in the last 7 days'}
+                </Typography>
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: `${CELL_GAP}px`, overflowX: 'auto' }}>
+                {toWeeks(days).map(week => (
+                    <Box key={week[0].date} sx={{ display: 'flex', flexDirection: 'column', gap: `${CELL_GAP}px` }}>
+                        {week.map(day => {
+                            const status = getDayStatus(day);
+                            return (
+                                <Tooltip key={day.date} title={describeDay(day)} enterTouchDelay={0}>
+                                    <Box
+                                        data-status={status}
+                                        sx={{
+                                            width: CELL_SIZE,
+                                            height: CELL_SIZE,
+                                            borderRadius: 0.5,
+                                            bgcolor: COLORS[status] || 'transparent',
+                                            border: status === 'open' || isToday(parseISO(day.date))
+                                                ? '2px solid #9CA3AF'
+                                                : 'none',
+                                            boxSizing: 'border-box',
+                                        }}
+                                    />
+                                </Tooltip>
+                            );
+                        })}
+                    </Box>
+                ))}
+            </Box>
+        </Box>
+    );
+};
+
+/**
+ * Colour key, shown once under all the heatmaps
+ */
+export const TaskHistoryLegend = () => (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+        {LEGEND.map(item => (
+            <Box key={item.label} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Box sx={{ width: 12, height: 12, borderRadius: 0.5, bgcolor: item.color }} />
+                <Typography variant="caption" color="text.secondary">{item.label}</Typography>
+            </Box>
+        ))}
+    </Box>
+);
+
+export default TaskHistoryHeatmap;
@@ -7,14 +7,21 @@
  * WHY THIS HOOK EXISTS:
  * This hook manages "local tasks" - tasks stored on our backend that:
  * - Don't require Google authentication
- * - Support recurring patterns (daily, weekly)
+ * - Support recurring patterns (daily, weekly, every N days, monthly, several times a day)
  * - Award XP and Gold when completed
  * 
  * DESIGN PATTERN: Separation of Concerns
  * Local tasks and Google tasks are handled separately, then merged in TasksView.
+ *
+ * WHO MAY CHANGE THEM:
+ * Anyone can tick a chore off, but a chore sets its own reward, so only
+ * a parent session may create, edit or delete one. Those three throw
+ * PARENT_PIN_REQUIRED when the kiosk is locked, so the view can ask for
+ * the PIN and try again.
  */
 
 import { useState, useEffect, useCallback } from 'react';
+import { parentFetch, PARENT_PIN_REQUIRED } from '../../../services/parentSession';
 
 /**
  * useLocalTasks Hook
@@ -78,20 +85,48 @@ export const useLocalTasks = (userId, showNotification) => {
         ));
 
         try {
+            // JUNIOR DEV NOTE: Shared tasks are completed per person, so the
+            // server needs to know whose copy this is
             const endpoint = newCompleted ? 'complete' : 'uncomplete';
             const response = await fetch(`/api/local-tasks/${task.id}/${endpoint}`, {
-                method: 'POST'
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ userId })
             });
 
             if (!response.ok) throw new Error('Failed to update task');
 
             const result = await response.json();
 
+            // Who else is done (for the avatars on shared tasks), and whether
+            // it's now waiting for a parent's OK
+            setLocalTasks(prev => prev.map(t =>
+                t.id === task.id
+                    ? {
+                        ...t,
+                        completions: result.task.completions,
+                        pendingApproval: Boolean(result.pendingApproval),
+                        rejectionNote: newCompleted ? null : t.rejectionNote
+                    }
+                    : t
+            ));
+
             // Show notification with XP/Gold info
-            if (newCompleted) {
-                const xp = result.xpAwarded || task.xpReward;
-                const gold = result.goldAwarded || task.goldReward;
-                showNotification?.(`Task completed! +${xp} XP, +${gold} Gold`, 'success');
+            // JUNIOR DEV NOTE: If this chore finished the day and hit a streak
+            // milestone, or levelled the kid up, that's the bigger news - show it instead.
+            const streak = result.streaks?.[userId];
+            const levelUp = result.levelUps?.[userId];
+            if (newCompleted && streak?.change === 'extended' && streak.bonus) {
+                const { milestone, xp, gold } = streak.bonus;
+                showNotification?.(`🔥 ${milestone}-day streak! Bonus +${xp} XP, +${gold} Gold`, 'success');
+            } else if (newCompleted && levelUp) {
+                showNotification?.(`🎉 Level Up! You're now Level ${levelUp.level}!`, 'success');
+            } else if (newCompleted && result.pendingApproval) {
+                showNotification?.('Done! A parent will check it, then the reward is yours', 'success');
+            } else if (newCompleted && result.teamPending) {
+                showNotification?.('Done! The reward comes when the whole team has finished', 'success');
+            } else if (newCompleted) {
+                showNotification?.(`Task completed! +${result.xpAwarded} XP, +${result.goldAwarded} Gold`, 'success');
             } else {
                 showNotification?.('Task reopened', 'info');
             }
@@ -100,14 +135,16 @@ export const useLocalTasks = (userId, showNotification) => {
             setLocalTasks(originalTasks);
             showNotification?.('Failed to update task', 'error');
         }
-    }, [localTasks, showNotification]);
+    }, [localTasks, userId, showNotification]);
 
     /**
-     * Create a new local task
+     * Create a new local task (parent session required)
+     *
+     * @throws {Error} PARENT_PIN_REQUIRED if the kiosk is locked
      */
     const addLocalTask = useCallback(async (taskData) => {
         try {
-            const response = await fetch('/api/local-tasks', {
+            const response = await parentFetch('/api/local-tasks', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -125,6 +162,7 @@ export const useLocalTasks = (userId, showNotification) => {
             showNotification?.('Task created', 'success');
             return newTask;
         } catch (err) {
+            if (err.message === PARENT_PIN_REQUIRED) throw err;
             console.error('[useLocalTasks] Create error:', err);
             showNotification?.('Failed to create task', 'error');
             return null;
@@ -132,11 +170,13 @@ export const useLocalTasks = (userId, showNotification) => {
     }, [userId, showNotification]);
 
     /**
-     * Update an existing local task
+     * Update an existing local task (parent session required)
+     *
+     * @throws {Error} PARENT_PIN_REQUIRED if the kiosk is locked
      */
     const updateLocalTask = useCallback(async (taskId, updates) => {
         try {
-            const response = await fetch(`/api/local-tasks/${taskId}`, {
+            const response = await parentFetch(`/api/local-tasks/${taskId}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(updates)
@@ -151,6 +191,7 @@ export const useLocalTasks = (userId, showNotification) => {
             showNotification?.('Task updated', 'success');
             return updatedTask;
         } catch (err) {
+            if (err.message === PARENT_PIN_REQUIRED) throw err;
             console.error('[useLocalTasks] Update error:', err);
             showNotification?.('Failed to update task', 'error');
             return null;
@@ -158,14 +199,16 @@ export const useLocalTasks = (userId, showNotification) => {
     }, [showNotification]);
 
     /**
-     * Delete a local task
+     * Delete a local task (parent session required)
+     *
+     * @throws {Error} PARENT_PIN_REQUIRED if the kiosk is locked
      */
     const deleteLocalTask = useCallback(async (taskId) => {
         const previousTasks = [...localTasks];
         setLocalTasks(prev => prev.filter(t => t.id !== taskId));
 
         try {
-            const response = await fetch(`/api/local-tasks/${taskId}`, {
+            const response = await parentFetch(`/api/local-tasks/${taskId}`, {
                 method: 'DELETE'
             });
 
@@ -174,8 +217,9 @@ export const useLocalTasks = (userId, showNotification) => {
             showNotification?.('Task deleted', 'success');
             return true;
         } catch (err) {
-            console.error('[useLocalTasks] Delete error:', err);
             setLocalTasks(previousTasks);
+            if (err.message === PARENT_PIN_REQUIRED) throw err;
+            console.error('[useLocalTasks] Delete error:', err);
             showNotification?.('Failed to delete task', 'error');
             return false;
         }
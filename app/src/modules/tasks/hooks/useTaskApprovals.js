@@ -0,0 +1,74 @@
+/**
+ * @fileoverview useTaskApprovals Hook - Chore completions waiting for a parent
+ * @module modules/tasks/hooks/useTaskApprovals
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS HOOK EXISTS:
+ * A task can be set to "needs a parent's OK". Checking it off then only
+ * asks: the completion waits here until a parent approves it (and the
+ * XP/Gold is paid) or rejects it with a note (and the chore is open
+ * again). Reading the list is open to everyone, so the task list can show
+ * how many are waiting; deciding needs a parent session (parentFetch).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { parentFetch } from '../../../services/parentSession';
+
+const API_BASE = '/api/local-tasks/approvals';
+
+/**
+ * Loads the completions still waiting on a parent
+ */
+const fetchApprovals = async () => {
+    const response = await fetch(API_BASE);
+    if (!response.ok) throw new Error('Failed to load approvals');
+    return response.json();
+};
+
+/**
+ * useTaskApprovals Hook
+ *
+ * @returns {Object} { approvals, refresh, approve, reject }
+ */
+export const useTaskApprovals = () => {
+    const [approvals, setApprovals] = useState([]);
+
+    const refresh = useCallback(() => {
+        return fetchApprovals().then(setApprovals).catch(err => {
+            console.error('[useTaskApprovals] Fetch error:', err);
+        });
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchApprovals()
+            .then(data => { if (!cancelled) setApprovals(data); })
+            .catch(err => console.error('[useTaskApprovals] Fetch error:', err));
+        return () => { cancelled = true; };
+    }, []);
+
+    /**
+     * Approve or reject one completion (parent session required)
+     *
+     * @throws {Error} PARENT_PIN_REQUIRED if the session has run out
+     */
+    const decide = useCallback(async (occurrenceId, action, note) => {
+        const response = await parentFetch(`${API_BASE}/${occurrenceId}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(note ? { note } : {})
+        });
+        if (!response.ok) throw new Error(`Failed to ${action} chore`);
+
+        await refresh();
+        return response.json();
+    }, [refresh]);
+
+    const approve = useCallback((occurrenceId) => decide(occurrenceId, 'approve'), [decide]);
+    const reject = useCallback((occurrenceId, note) => decide(occurrenceId, 'reject', note), [decide]);
+
+    return { approvals, refresh, approve, reject };
+};
+
+export default useTaskApprovals;
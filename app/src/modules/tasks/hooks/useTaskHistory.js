@@ -0,0 +1,88 @@
+/**
+ * @fileoverview useTaskHistory Hook - Day-by-day chore history per person
+ * @module modules/tasks/hooks/useTaskHistory
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS HOOK EXISTS:
+ * Tasks only know who finished them TODAY. The server keeps a record of
+ * every completion, and GET /api/local-tasks/history/user/:userId turns it
+ * into one entry per day: what was due, what got done, what was skipped.
+ * This hook loads that for several people at once (one heatmap each).
+ */
+
+import { useState, useEffect } from 'react';
+import { format, startOfWeek, subWeeks } from 'date-fns';
+
+/**
+ * The first and last day shown: whole weeks, ending with this one
+ *
+ * @param {number} weeks - How many weeks
+ * @returns {Object} { from, to } as YYYY-MM-DD
+ */
+export const getHistoryRange = (weeks) => {
+    const today = new Date();
+    return {
+        from: format(startOfWeek(subWeeks(today, weeks - 1)), 'yyyy-MM-dd'),
+        to: format(today, 'yyyy-MM-dd')
+    };
+};
+
+/**
+ * Loads the day-by-day history of several people in parallel
+ *
+ * @returns {Promise<Object>} { [userId]: days }
+ */
+const fetchHistory = async (userIds, weeks) => {
+    const { from, to } = getHistoryRange(weeks);
+    const results = await Promise.all(userIds.map(async (id) => {
+        const response = await fetch(`/api/local-tasks/history/user/${id}?from=${from}&to=${to}`);
+        if (!response.ok) throw new Error('Failed to fetch task history');
+        const { days } = await response.json();
+        return [id, days];
+    }));
+    return Object.fromEntries(results);
+};
+
+/**
+ * useTaskHistory Hook
+ *
+ * @param {Array} userIds - Whose history to load (empty = load nothing)
+ * @param {number} weeks - How many weeks back (including this one)
+ * @returns {Object} { history: { [userId]: days }, loading, error }
+ */
+export const useTaskHistory = (userIds, weeks = 8) => {
+    // JUNIOR DEV NOTE: The caller usually builds userIds inline, so we key
+    // on its contents rather than on a new array every render. Remembering
+    // which request the result belongs to lets us work out `loading`
+    // instead of storing it.
+    const requestKey = userIds.length > 0 ? `${userIds.join(',')}|${weeks}` : '';
+    const [result, setResult] = useState({ key: null, history: {}, error: null });
+
+    useEffect(() => {
+        if (!requestKey) return;
+        let cancelled = false;
+
+        const [ids, weekCount] = requestKey.split('|');
+        fetchHistory(ids.split(','), Number(weekCount))
+            .then(history => {
+                if (!cancelled) setResult({ key: requestKey, history, error: null });
+            })
+            .catch(err => {
+                console.error('[useTaskHistory] Fetch error:', err);
+                if (!cancelled) setResult({ key: requestKey, history: {}, error: err.message });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [requestKey]);
+
+    return {
+        history: result.history,
+        loading: Boolean(requestKey) && result.key !== requestKey,
+        error: result.error
+    };
+};
+
+export default useTaskHistory;
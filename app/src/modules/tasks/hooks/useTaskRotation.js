@@ -0,0 +1,124 @@
+/**
+ * @fileoverview useTaskRotation Hooks - Whose turn a rotating chore is
+ * @module modules/tasks/hooks/useTaskRotation
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THESE HOOKS EXIST:
+ * A chore can take turns between the people it's assigned to ("Take out
+ * the trash" - Sam this week, Alex next week). Only the server knows how
+ * turns are counted, so both the add/edit form (a task not saved yet) and
+ * the task list (a saved task) ask it for the upcoming turns:
+ * - useRotationPreview: POST /api/local-tasks/rotation/preview
+ * - useTaskRotation: GET /api/local-tasks/:taskId/rotation, plus swapping
+ *   two turns and skipping one (parent-only, or kids could skip their own)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { parentFetch } from '../../../services/parentSession';
+
+const API_BASE = '/api/local-tasks';
+
+// Enough to see everyone's next turn or two
+const TURN_COUNT = 6;
+
+/**
+ * Turns in the server's answer, or an Error with its message
+ */
+const readTurns = async (response, failure) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || failure);
+    return data.turns;
+};
+
+/**
+ * The turns a task being edited would have
+ *
+ * @param {Object|null} draft - Task fields with `assignedTo` and `rotation`
+ *   (and `taskId` when editing); null = nothing to preview
+ * @returns {Object} { turns, loading, error }
+ */
+export const useRotationPreview = (draft) => {
+    // JUNIOR DEV NOTE: Same trick as useTaskHistory - the draft is a new
+    // object every render, so we key on its contents and remember which
+    // request the result belongs to.
+    const requestKey = draft ? JSON.stringify(draft) : '';
+    const [result, setResult] = useState({ key: null, turns: [], error: null });
+
+    useEffect(() => {
+        if (!requestKey) return;
+        let cancelled = false;
+
+        fetch(`${API_BASE}/rotation/preview?count=${TURN_COUNT}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: requestKey
+        })
+            .then(response => readTurns(response, 'Failed to preview turns'))
+            .then(turns => {
+                if (!cancelled) setResult({ key: requestKey, turns, error: null });
+            })
+            .catch(err => {
+                if (!cancelled) setResult({ key: requestKey, turns: [], error: err.message });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [requestKey]);
+
+    const isCurrent = Boolean(requestKey) && result.key === requestKey;
+    return {
+        turns: isCurrent ? result.turns : [],
+        loading: Boolean(requestKey) && !isCurrent,
+        error: isCurrent ? result.error : null
+    };
+};
+
+/**
+ * The upcoming turns of a saved task, and changing them
+ *
+ * @param {string|null} taskId - null = load nothing
+ * @returns {Object} { turns, swap, skip }
+ */
+export const useTaskRotation = (taskId) => {
+    const [turns, setTurns] = useState([]);
+
+    useEffect(() => {
+        if (!taskId) return;
+        let cancelled = false;
+
+        fetch(`${API_BASE}/${taskId}/rotation?count=${TURN_COUNT}`)
+            .then(response => readTurns(response, 'Failed to load turns'))
+            .then(data => { if (!cancelled) setTurns(data); })
+            .catch(err => console.error('[useTaskRotation] Fetch error:', err));
+
+        return () => { cancelled = true; };
+    }, [taskId]);
+
+    /**
+     * POST a change and show the turns it leaves
+     *
+     * @throws {Error} With the server's reason (e.g. the turn is already over),
+     *   or PARENT_PIN_REQUIRED without a parent session
+     */
+    const change = useCallback(async (action, body) => {
+        const response = await parentFetch(`${API_BASE}/${taskId}/rotation/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.message || `Failed to ${action} turn`);
+
+        setTurns(data.turns);
+        return data;
+    }, [taskId]);
+
+    const swap = useCallback((turn, withTurn) => change('swap', { turn, withTurn }), [change]);
+    const skip = useCallback((turn) => change('skip', { turn }), [change]);
+
+    return { turns: taskId ? turns : [], swap, skip };
+};
+
+export default useTaskRotation;
@@ -91,32 +91,33 @@ export const useTasks = (currentUser, getToken, connected, updateUserToken, show
             await updateTask(token, selectedListId, task.id, { status: newStatus, title: task.title });
 
             // GAMIFICATION: Award or revoke XP/Gold based on completion direction
-            // ANTI-ABUSE: Completing = +XP/+Gold, Uncompleting = -XP/-Gold
+            // ANTI-ABUSE: The server decides the amounts and pays each task once;
+            // unchecking refunds it. (The raw /xp and /gold routes are parent-only.)
+            // The list + Google token let the server check with Google that the
+            // task really is checked off before it pays.
             if (currentUser?.id) {
-                const xpAmount = newStatus === 'completed' ? 10 : -10;
-                const goldAmount = newStatus === 'completed' ? 5 : -5;
-
                 try {
-                    // Update XP
-                    const xpResult = await fetch(`/api/stats/${currentUser.id}/xp`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ amount: xpAmount })
-                    }).then(r => r.json());
-
-                    // Update Gold
-                    await fetch(`/api/stats/${currentUser.id}/gold`, {
+                    const response = await fetch(`/api/stats/${currentUser.id}/task-reward`, {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ amount: goldAmount })
+                        body: JSON.stringify({
+                            taskId: task.id,
+                            listId: selectedListId,
+                            accessToken: token,
+                            completed: newStatus === 'completed'
+                        })
                     });
+                    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+                    const xpResult = await response.json();
 
                     // Show appropriate notification
                     if (newStatus === 'completed') {
                         if (xpResult.leveledUp) {
                             showNotification(`🎉 Level Up! You're now Level ${xpResult.level}!`, 'success');
+                        } else if (xpResult.applied) {
+                            showNotification(`Task completed! +${xpResult.reward.xp} XP, +${xpResult.reward.gold} Gold`, 'success');
                         } else {
-                            showNotification(`Task completed! +10 XP, +5 Gold`, 'success');
+                            showNotification('Task completed', 'success');
                         }
                     } else {
                         showNotification('Task reopened', 'info');
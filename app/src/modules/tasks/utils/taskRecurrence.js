@@ -0,0 +1,107 @@
+/**
+ * @fileoverview How often a chore comes back, in words, and its current round
+ * @module modules/tasks/utils/taskRecurrence
+ *
+ * JUNIOR DEV NOTE: The server decides which days a chore is on the list
+ * (isActiveOn() in localTasksService). The client only needs to:
+ * - describe the rule ("Every 14 days", "Monthly on the last day")
+ * - know when the current round began, so a chore done this morning
+ *   shows as open again once the evening window starts. This mirrors
+ *   getCurrentWindow()/getPeriodStart() on the server - keep them in step.
+ */
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** monthWeek values, for "2nd Tuesday" and "last Friday" */
+export const MONTH_WEEK_NAMES = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', [-1]: 'last' };
+
+/**
+ * 1 -> "1st", 22 -> "22nd", 13 -> "13th"
+ */
+export const ordinal = (n) => {
+    const tens = n % 100;
+    if (tens >= 11 && tens <= 13) return `${n}th`;
+    return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Which time window `now` falls in (null if the chore has none)
+ *
+ * A window lasts until the next one starts; before the first one starts
+ * we're still in the first.
+ *
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {Object|null} { id, label, start, end }
+ */
+export const getCurrentWindow = (task, now = new Date()) => {
+    const windows = task.isRecurring ? task.windows || [] : [];
+    if (windows.length === 0) return null;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    return windows.findLast(window => toMinutes(window.start) <= minutes) || windows[0];
+};
+
+/**
+ * When the current round of a recurring chore began (midnight, or the
+ * start of the current window). Completions before this don't count.
+ *
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getPeriodStart = (task, now = new Date()) => {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const window = getCurrentWindow(task, now);
+    if (window && window !== task.windows[0]) {
+        start.setMinutes(toMinutes(window.start));
+    }
+    return start;
+};
+
+/**
+ * The days part of a rule: "Daily", "Mon, Thu", "Every 14 days"...
+ */
+const describeDays = (task) => {
+    switch (task.recurrence) {
+        case 'daily':
+            return 'Daily';
+        case 'weekly':
+        case 'specific':
+            return task.days?.length > 0
+                ? task.days.map(day => WEEKDAY_NAMES[day]).join(', ')
+                : 'Weekly';
+        case 'interval':
+            return task.interval > 1 ? `Every ${task.interval} days` : 'Daily';
+        case 'monthly':
+            if (task.monthWeek && task.days?.length > 0) {
+                return `Monthly, ${MONTH_WEEK_NAMES[task.monthWeek]} ${WEEKDAY_NAMES[task.days[0]]}`;
+            }
+            if (task.monthDay === -1) return 'Monthly, last day';
+            return task.monthDay ? `Monthly on the ${ordinal(task.monthDay)}` : 'Monthly';
+        default:
+            return task.recurrence || 'Daily';
+    }
+};
+
+/**
+ * A recurring chore's rule in a few words, for chips and lists
+ *
+ * e.g. "Every 14 days", "Monthly on the 1st", "Daily · Morning & Evening"
+ *
+ * @param {Object} task
+ * @returns {string} '' for a one-time task
+ */
+export const describeRecurrence = (task) => {
+    if (!task.isRecurring) return '';
+
+    const windows = task.windows || [];
+    return windows.length > 0
+        ? `${describeDays(task)} · ${windows.map(window => window.label).join(' & ')}`
+        : describeDays(task);
+};
@@ -57,6 +57,30 @@ const UnifiedContextProvider = ({ children }) => {
     const authContext = useGoogleAuth();
     const syncContext = useSync();
 
+    /**
+     * Set a parent's PIN - after the server has the profile
+     *
+     * JUNIOR DEV NOTE: Profiles live in this browser, but the server only
+     * takes a PIN for a parent profile it knows. So the profile list goes
+     * up through the sync first (without any legacy plaintext `pin`).
+     */
+    const setUserPin = async (userId, newPin, profile = profileContext.getUserById(userId)) => {
+        const profiles = profileContext.users.some(u => u.id === profile?.id)
+            ? profileContext.users.map(u => (u.id === profile.id ? profile : u))
+            : [...profileContext.users, profile].filter(Boolean);
+        const synced = await syncContext.forceSyncNow({
+            users: profiles.map(user => {
+                const copy = { ...user };
+                delete copy.pin;
+                return copy;
+            })
+        });
+        if (!synced) {
+            throw new Error('Could not save the profile to the server - please try again');
+        }
+        return profileContext.setUserPin(userId, newPin, profile);
+    };
+
     // 2. Merge them into a single facade object
     // JUNIOR DEV NOTE: We use the spread operator (...) to combine objects.
     // If multiple contexts have the same key, the last one wins.
@@ -65,6 +89,8 @@ const UnifiedContextProvider = ({ children }) => {
         ...authContext,
         ...syncContext,
 
+        setUserPin,
+
         // 3. Add helper functions for legacy compatibility
         // Some older components expect specifically named functions.
         getCurrentUserToken: () => authContext.getUserToken(profileContext.currentUser?.id),
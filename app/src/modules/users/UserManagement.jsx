@@ -13,6 +13,7 @@ import AddIcon from '@mui/icons-material/Add';
 import DeleteIcon from '@mui/icons-material/Delete';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import { useUser } from './useUser';
+import { PARENT_PIN_REQUIRED } from '../../services/parentSession';
 
 const UserManagement = ({ onBack }) => {
     const { users, currentUser, setCurrentUser, addUser, deleteUser, isUserConnected } = useUser();
@@ -22,6 +23,7 @@ const UserManagement = ({ onBack }) => {
     // Confirmation dialog state for delete action
     const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
     const [userToDelete, setUserToDelete] = useState(null);
+    const [deleteError, setDeleteError] = useState(null);
 
     const handleAddUser = () => {
         if (newName.trim()) {
@@ -41,12 +43,21 @@ const UserManagement = ({ onBack }) => {
     const handleDeleteClick = (e, user) => {
         e.stopPropagation();
         setUserToDelete(user);
+        setDeleteError(null);
         setDeleteDialogOpen(true);
     };
 
-    const confirmDelete = () => {
+    const confirmDelete = async () => {
         if (userToDelete) {
-            deleteUser(userToDelete.id);
+            try {
+                await deleteUser(userToDelete.id);
+            } catch (err) {
+                // A parent's PIN couldn't be removed - the profile stays
+                setDeleteError(err.message === PARENT_PIN_REQUIRED
+                    ? 'Unlock settings with a parent PIN to delete a parent'
+                    : err.message);
+                return;
+            }
         }
         setDeleteDialogOpen(false);
         setUserToDelete(null);
@@ -104,6 +115,9 @@ const UserManagement = ({ onBack }) => {
                     <Typography>
                         Are you sure you want to delete {userToDelete?.name}? This action cannot be undone.
                     </Typography>
+                    {deleteError && (
+                        <Typography color="error" variant="body2" sx={{ mt: 1 }}>{deleteError}</Typography>
+                    )}
                 </DialogContent>
                 <DialogActions sx={{ p: 2, gap: 1 }}>
                     <Button onClick={() => setDeleteDialogOpen(false)} sx={{ minHeight: 44 }}>Cancel</Button>
@@ -1,21 +1,62 @@
 /**
  * @fileoverview Server Sync Context Provider
- * 
- * JUNIOR DEV NOTE: This provider acts as the "Glue" between our 
+ *
+ * JUNIOR DEV NOTE: This provider acts as the "Glue" between our
  * browser's local storage and our backend server's persistence.
- * 
+ *
  * WHY USE THIS?
  * It ensures that changes made on one family kiosk (like adding a member)
  * show up on all other devices automatically.
+ *
+ * WHAT WE SYNC (and only this):
+ * - users: family member profiles
+ * - selectedCalendars: which Google calendars each member shows
+ *
+ * We used to POST our whole snapshot to /api/data, which could erase
+ * server-only data (tasks, XP, rewards). Now we PATCH just the namespaces
+ * that changed, each with the revision number we last saw. If another
+ * kiosk saved first, the server answers 409 and we take its version.
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { UI_CONFIG } from '../../../utils/constants';
+import { UI_CONFIG, API_ENDPOINTS } from '../../../utils/constants';
 import { SyncContext } from './SyncContextCore';
+import { getParentSession } from '../../../services/parentSession';
+
+const SYNC_ENDPOINT = `${API_ENDPOINTS.LOCAL_DATA}/sync`;
+
+// Namespaces this provider owns on the server
+const SYNC_NAMESPACES = ['users', 'selectedCalendars'];
+
+/**
+ * Splits the server's { name: { data, revision } } response
+ * into plain data and revision maps
+ */
+const splitNamespaces = (namespaces) => {
+    const data = {};
+    const revisions = {};
+    for (const name of SYNC_NAMESPACES) {
+        if (namespaces?.[name]) {
+            data[name] = namespaces[name].data;
+            revisions[name] = namespaces[name].revision;
+        }
+    }
+    return { data, revisions };
+};
+
+/**
+ * Just the namespaces this provider owns
+ *
+ * JUNIOR DEV NOTE: Keys outside SYNC_NAMESPACES are ignored on purpose;
+ * the server would reject them anyway.
+ */
+const ownedNamespaces = (updates) => Object.fromEntries(
+    Object.entries(updates || {}).filter(([name]) => SYNC_NAMESPACES.includes(name))
+);
 
 /**
  * SyncProvider Component
- * 
+ *
  * @param {Object} props
  * @param {React.ReactNode} props.children
  */
@@ -26,68 +67,124 @@ export function SyncProvider({ children }) {
         isSyncing: false,
         lastSyncTime: null,
         error: null,
+        conflicts: [],
     });
 
     const [syncData, setSyncData] = useState({
         users: [],
         selectedCalendars: {},
-        googleTokens: {},
     });
 
+    /**
+     * What the server last confirmed, per namespace
+     *
+     * JUNIOR DEV NOTE: Why refs?
+     * - revisionsRef: the baseRevision we send with the next PATCH
+     * - syncedJsonRef: lets us skip namespaces that haven't changed
+     * Neither should trigger a re-render when updated.
+     */
+    const revisionsRef = useRef({});
+    const syncedJsonRef = useRef({});
+
+    const rememberServerState = useCallback((namespaces) => {
+        const { data, revisions } = splitNamespaces(namespaces);
+        revisionsRef.current = { ...revisionsRef.current, ...revisions };
+        for (const [name, value] of Object.entries(data)) {
+            syncedJsonRef.current[name] = JSON.stringify(value);
+        }
+        return data;
+    }, []);
+
     // 2. Server Operations (Wrapped in useCallback for stability)
 
     const loadFromServer = useCallback(async () => {
         setSyncStatus(prev => ({ ...prev, isSyncing: true, error: null }));
 
         try {
-            const response = await fetch('/api/data');
+            const response = await fetch(SYNC_ENDPOINT);
             if (!response.ok) throw new Error(`Server returned ${response.status}`);
 
-            const data = await response.json();
+            const { namespaces } = await response.json();
+            const data = rememberServerState(namespaces);
 
-            if (data && Object.keys(data).length > 0) {
-                setSyncData(data);
-                setSyncStatus({
-                    isSyncing: false,
-                    lastSyncTime: Date.now(), // Impure but used in async callback, not render
-                    error: null,
-                });
-                return data;
-            }
-
-            setSyncStatus(prev => ({ ...prev, isSyncing: false }));
-            return null;
+            setSyncData(prev => ({ ...prev, ...data }));
+            setSyncStatus({
+                isSyncing: false,
+                lastSyncTime: Date.now(), // Impure but used in async callback, not render
+                error: null,
+                conflicts: [],
+            });
+            return data;
         } catch (error) {
             console.warn('Failed to load from server:', error);
-            setSyncStatus({
+            setSyncStatus(prev => ({
+                ...prev,
                 isSyncing: false,
-                lastSyncTime: null,
                 error: error.message,
-            });
+            }));
             return null;
         }
-    }, []);
+    }, [rememberServerState]);
 
     const saveToServer = useCallback(async (data) => {
-        if (!isInitialized.current || !data || Object.keys(data).length === 0) {
+        if (!isInitialized.current || !data) {
             return false;
         }
 
+        // 1. Only send namespaces that differ from what the server has
+        const patch = {};
+        for (const name of SYNC_NAMESPACES) {
+            if (data[name] === undefined) continue;
+            if (JSON.stringify(data[name]) === syncedJsonRef.current[name]) continue;
+
+            patch[name] = {
+                data: data[name],
+                baseRevision: revisionsRef.current[name] || 0,
+            };
+        }
+        if (Object.keys(patch).length === 0) return true;
+
         setSyncStatus(prev => ({ ...prev, isSyncing: true, error: null }));
 
         try {
-            const response = await fetch('/api/data', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data),
+            // Adding a parent profile needs the parent token; the rest doesn't
+            const session = getParentSession();
+            const response = await fetch(SYNC_ENDPOINT, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(session && { Authorization: `Bearer ${session.token}` }),
+                },
+                body: JSON.stringify(patch),
             });
 
+            // 2. Conflict: another kiosk saved first. The server wins - we
+            //    adopt its values so the next edit is based on fresh data.
+            if (response.status === 409) {
+                const { conflicts, namespaces } = await response.json();
+                console.warn('[Sync] Revision conflict, taking server copy of:', conflicts);
+
+                const serverData = rememberServerState(namespaces);
+                setSyncData(prev => ({ ...prev, ...serverData }));
+                setSyncStatus({
+                    isSyncing: false,
+                    lastSyncTime: Date.now(),
+                    error: `Changed on another device: ${conflicts.join(', ')}`,
+                    conflicts,
+                });
+                return false;
+            }
+
             if (!response.ok) throw new Error(`Server returned ${response.status}`);
 
+            const { namespaces } = await response.json();
+            rememberServerState(namespaces);
+
             setSyncStatus({
                 isSyncing: false,
                 lastSyncTime: Date.now(), // Impure but used in async callback
                 error: null,
+                conflicts: [],
             });
             return true;
         } catch (error) {
@@ -95,7 +192,7 @@ export function SyncProvider({ children }) {
             setSyncStatus(prev => ({ ...prev, isSyncing: false, error: error.message }));
             return false;
         }
-    }, []);
+    }, [rememberServerState]);
 
     // 3. Effects
 
@@ -117,12 +214,23 @@ export function SyncProvider({ children }) {
 
     // 4. API for components
 
+    /**
+     * Merge updates into the synced namespaces
+     */
     const updateSyncData = useCallback((updates) => {
-        setSyncData(prev => ({ ...prev, ...updates }));
+        setSyncData(prev => ({ ...prev, ...ownedNamespaces(updates) }));
     }, []);
 
-    const forceSyncNow = useCallback(async () => {
-        return await saveToServer(syncData);
+    /**
+     * Save now instead of after the debounce, optionally with updates
+     *
+     * @param {Object} [updates] - Same as updateSyncData
+     * @returns {Promise<boolean>} True if the server has our data
+     */
+    const forceSyncNow = useCallback(async (updates) => {
+        const data = { ...syncData, ...ownedNamespaces(updates) };
+        setSyncData(data);
+        return await saveToServer(data);
     }, [syncData, saveToServer]);
 
     const refreshFromServer = useCallback(async () => {
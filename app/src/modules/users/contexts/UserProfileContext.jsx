@@ -18,6 +18,13 @@ import {
     setLastUserIdInStorage
 } from '../../../utils/storage';
 import { validateUserName } from '../../../utils/validation';
+import {
+    fetchPinStatus,
+    importLegacyPins,
+    saveParentPin,
+    removeParentPin,
+    LEGACY_PIN_STORAGE_KEY
+} from '../../../services/parentSession';
 import { UserProfileContext } from './UserProfileContextCore';
 
 /**
@@ -28,12 +35,13 @@ import { UserProfileContext } from './UserProfileContextCore';
  */
 export function UserProfileProvider({ children }) {
     // 1. Initialize State with Migration Logic
-    // JUNIOR DEV NOTE: Older profiles may not have `isParent` or `pin` fields.
-    // We inject defaults to ensure backwards compatibility.
+    // JUNIOR DEV NOTE: Older profiles may not have `isParent` or `hasPin` fields.
+    // We inject defaults to ensure backwards compatibility. Very old profiles
+    // still carry a plaintext `pin`; it stays until the server has imported it.
     const migrateProfile = (user) => ({
         ...user,
-        isParent: user.isParent ?? false,  // Default to child if missing
-        pin: user.pin ?? null,             // Default to no PIN
+        isParent: user.isParent ?? false,          // Default to child if missing
+        hasPin: user.hasPin ?? Boolean(user.pin),  // PINs themselves live on the server
     });
 
     const [users, setUsers] = useState(() => {
@@ -78,7 +86,7 @@ export function UserProfileProvider({ children }) {
             color: color || '#9e9e9e',
             avatar: avatar || '👤',
             isParent,              // Parent or child profile
-            pin: null,             // PIN is set later via setUserPin
+            hasPin: false,         // PIN is set later via setUserPin
         };
 
         setUsers(prev => [...prev, newUser]);
@@ -94,9 +102,24 @@ export function UserProfileProvider({ children }) {
         setCurrentUser(prev => prev.id === userId ? { ...prev, ...updates } : prev);
     }, []);
 
-    const deleteUser = useCallback((userId) => {
+    /**
+     * Delete a profile
+     *
+     * JUNIOR DEV NOTE: A deleted parent's PIN must stop unlocking the
+     * kiosk. Removing it needs a parent session (their own, or the family
+     * PIN's), so if that fails the profile stays - otherwise the PIN
+     * would live on with nobody able to see it.
+     *
+     * @returns {Promise<boolean>} False if it's the last profile
+     * @throws {Error} Why the PIN couldn't be removed (PARENT_PIN_REQUIRED when locked)
+     */
+    const deleteUser = useCallback(async (userId) => {
         if (users.length <= 1) return false;
 
+        if (users.find(u => u.id === userId)?.hasPin) {
+            await removeParentPin(userId);
+        }
+
         setUsers(prev => prev.filter(user => user.id !== userId));
 
         if (currentUser?.id === userId) {
@@ -115,29 +138,36 @@ export function UserProfileProvider({ children }) {
      * 
      * JUNIOR DEV NOTE: This validates the PIN format (exactly 4 digits)
      * and only allows setting on parent accounts to prevent children
-     * from accidentally locking out the family.
+     * from accidentally locking out the family. The PIN is sent to the
+     * server (stored hashed) - the profile only remembers `hasPin`.
+     * Needs an unlocked parent session.
+     *
+     * A profile added a moment ago isn't in `users` until the next render,
+     * so the caller can hand it over as `profile`.
+     *
+     * @param {number} userId - Whose PIN
+     * @param {string} newPin - 4 digits
+     * @param {Object} [profile] - The user, if just added
+     * @throws {Error} Why the PIN wasn't saved (message is shown to the parent),
+     *   or PARENT_PIN_REQUIRED when the session has run out
      */
-    const setUserPin = useCallback((userId, newPin) => {
+    const setUserPin = useCallback(async (userId, newPin, profile = users.find(u => u.id === userId)) => {
         // 1. Validate PIN format (must be exactly 4 digits)
         if (!newPin || newPin.length !== 4 || !/^\d+$/.test(newPin)) {
-            console.error('Invalid PIN format: must be exactly 4 digits');
-            return false;
+            throw new Error('The PIN must be exactly 4 digits');
         }
 
-        // 2. Find the user and verify they are a parent
-        const user = users.find(u => u.id === userId);
-        if (!user) {
-            console.error('User not found:', userId);
-            return false;
+        // 2. Verify the user exists and is a parent
+        if (!profile) {
+            throw new Error('Profile not found');
         }
-        if (!user.isParent) {
-            console.error('Cannot set PIN on child account');
-            return false;
+        if (!profile.isParent) {
+            throw new Error('Only parent accounts can have a PIN');
         }
 
-        // 3. Update the user's PIN
-        updateUser(userId, { pin: newPin });
-        return true;
+        // 3. Save it on the server
+        await saveParentPin(userId, newPin);
+        updateUser(userId, { hasPin: true });
     }, [users, updateUser]);
 
     /**
@@ -150,6 +180,50 @@ export function UserProfileProvider({ children }) {
         return users.filter(u => u.isParent);
     }, [users]);
 
+    /**
+     * Server PIN bookkeeping (runs once)
+     *
+     * 1. Older versions stored PINs in plaintext localStorage. Hand them to
+     *    the server once, then forget them.
+     * 2. Ask the server which parents have a PIN, so `hasPin` is right even
+     *    if the PIN was set on another kiosk.
+     */
+    useEffect(() => {
+        let cancelled = false;
+
+        const syncPins = async () => {
+            const isPin = (value) => /^\d{4}$/.test(value || '');
+            const legacyParents = (getUsersFromStorage() || [])
+                .filter(u => u.isParent && isPin(u.pin))
+                .map(u => ({ userId: u.id, pin: u.pin }));
+            const legacyFamilyPin = localStorage.getItem(LEGACY_PIN_STORAGE_KEY);
+
+            let keepPlaintext = false;
+            if (legacyParents.length > 0 || isPin(legacyFamilyPin)) {
+                const imported = await importLegacyPins({
+                    parents: legacyParents,
+                    ...(isPin(legacyFamilyPin) && { familyPin: legacyFamilyPin })
+                });
+                if (imported) localStorage.removeItem(LEGACY_PIN_STORAGE_KEY);
+                keepPlaintext = !imported;
+            }
+
+            const { parentIds } = await fetchPinStatus();
+            if (cancelled) return;
+
+            const applyPinStatus = ({ pin: _pin, ...user }) => ({
+                ...user,
+                ...(keepPlaintext && _pin && { pin: _pin }),
+                hasPin: parentIds.includes(String(user.id)),
+            });
+            setUsers(prev => prev.map(applyPinStatus));
+            setCurrentUser(prev => prev && applyPinStatus(prev));
+        };
+
+        syncPins().catch(err => console.warn('[UserProfile] PIN sync failed:', err));
+        return () => { cancelled = true; };
+    }, []);
+
     // 3. Persistence Effects
     useEffect(() => { setUsersInStorage(users); }, [users]);
     useEffect(() => {
@@ -27,6 +27,8 @@ import PinProvider from '../components/PinContext';
 import UIProvider from '../modules/ui/UIContext';
 import UserProvider from '../modules/users/UserContext';
 import CalendarProvider from '../modules/calendar/CalendarContext';
+import { SleepProvider } from '../modules/sleep/contexts/SleepContext';
+import { RemindersProvider } from '../modules/reminders/contexts/RemindersContext';
 import MealCategoryProvider from '../modules/meals/MealCategoryContext';
 import MealProvider from '../modules/meals/MealContext';
 import { ShoppingListProvider } from '../modules/meals/contexts/ShoppingListContext';
@@ -48,7 +50,9 @@ import { RecipePreferencesProvider } from '../modules/meals/contexts/RecipePrefe
  * 6. Shopping List - Derived from meals
  * 7. PIN - Security layer
  * 8. Users - User profiles, auth, sync
- * 9. Calendar - Calendar events (uses users)
+ * 9. Sleep - Bedtimes and wind-down (uses users, dims the theme)
+ * 10. Calendar - Calendar events (uses users)
+ * 11. Reminders - Kiosk reminder cards (uses users and calendar events)
  * 
  * JUNIOR DEV NOTE: Why does order matter?
  * Inner providers can use outer providers, but not vice versa.
@@ -69,10 +73,14 @@ export const AppProviders = ({ children }) => {
                             <ShoppingListProvider>
                                 <PinProvider>
                                     <UserProvider>
-                                        <CalendarProvider>
-                                            <CssBaseline />
-                                            {children}
-                                        </CalendarProvider>
+                                        <SleepProvider>
+                                            <CalendarProvider>
+                                                <RemindersProvider>
+                                                    <CssBaseline />
+                                                    {children}
+                                                </RemindersProvider>
+                                            </CalendarProvider>
+                                        </SleepProvider>
                                     </UserProvider>
                                 </PinProvider>
                             </ShoppingListProvider>
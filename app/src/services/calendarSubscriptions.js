@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Subscribed ICS calendars (school, sports, holidays)
+ * @module services/calendarSubscriptions
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Lots of calendars are only published as an `.ics` link. The kiosk server
+ * downloads them on a schedule (see server/services/subscriptionService.js)
+ * and this file talks to it at /api/subscriptions.
+ *
+ * READ-ONLY EVENTS:
+ * Events from a feed can't be edited here - change them at the source.
+ *
+ * PARENT-ONLY CHANGES:
+ * Adding, changing, refreshing and removing feeds go through parentFetch.
+ * They're only offered in Settings, which is already PIN-protected.
+ */
+
+import { transformSubscriptionEvent } from './transformers/calendarTransformer';
+import { API_ENDPOINTS } from '../utils/constants';
+import { parentFetch } from './parentSession';
+
+const SUBSCRIPTIONS_URL = API_ENDPOINTS.LOCAL_SUBSCRIPTIONS;
+
+/**
+ * Throws the server's message for a failed response
+ */
+const ensureOk = async (response, fallbackMessage) => {
+    if (response.ok) return;
+
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || fallbackMessage);
+};
+
+/**
+ * Sends a JSON request and returns the parsed response
+ */
+const send = async (url, method, body, fallbackMessage) => {
+    const response = await parentFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    await ensureOk(response, fallbackMessage);
+    return response.json();
+};
+
+/**
+ * Every subscription with its refresh status
+ *
+ * @returns {Promise<Array>} [{ id, name, url, colorId, enabled, lastFetchedAt, lastError, eventCount }]
+ */
+export const fetchSubscriptions = async () => {
+    const response = await fetch(SUBSCRIPTIONS_URL);
+    await ensureOk(response, 'Failed to fetch subscribed calendars');
+    return response.json();
+};
+
+/**
+ * Subscribes to a feed (the server downloads it straight away)
+ *
+ * @param {Object} data - { url, name? }
+ * @returns {Promise<Object>} The new subscription
+ */
+export const addSubscription = async (data) => {
+    return send(SUBSCRIPTIONS_URL, 'POST', data, 'Failed to subscribe');
+};
+
+/**
+ * Changes a subscription's name, colour or enabled flag
+ *
+ * @param {string} id - Subscription ID
+ * @param {Object} updates - { name?, colorId?, enabled? }
+ * @returns {Promise<Object>} The updated subscription
+ */
+export const updateSubscription = async (id, updates) => {
+    return send(`${SUBSCRIPTIONS_URL}/${encodeURIComponent(id)}`, 'PUT', updates, 'Failed to update subscription');
+};
+
+/**
+ * Unsubscribes
+ *
+ * @param {string} id - Subscription ID
+ * @returns {Promise<boolean>} True if successful
+ */
+export const removeSubscription = async (id) => {
+    const response = await parentFetch(`${SUBSCRIPTIONS_URL}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    await ensureOk(response, 'Failed to unsubscribe');
+    return true;
+};
+
+/**
+ * Downloads a feed again now, instead of waiting for the schedule
+ *
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Object>} The subscription (check `lastError`)
+ */
+export const refreshSubscription = async (id) => {
+    return send(`${SUBSCRIPTIONS_URL}/${encodeURIComponent(id)}/refresh`, 'POST', null, 'Failed to refresh');
+};
+
+/**
+ * Events from every enabled subscription in a date range
+ *
+ * @param {Date} startDate - Beginning of date range
+ * @param {Date} endDate - End of date range
+ * @returns {Promise<Array>} Array of transformed events
+ */
+export const fetchSubscriptionEvents = async (startDate, endDate) => {
+    const params = new URLSearchParams({
+        from: startDate.toISOString(),
+        to: endDate.toISOString(),
+    });
+    const response = await fetch(`${SUBSCRIPTIONS_URL}/events?${params}`);
+    await ensureOk(response, 'Failed to fetch subscribed calendars');
+
+    const events = await response.json();
+    return events.map((event, index) => transformSubscriptionEvent(event, index));
+};
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Incremental Google Calendar sync
+ * @module services/calendarSync
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * The kiosk refreshes every family member's calendars again and again.
+ * Downloading 18 months of events each time is slow and burns API quota,
+ * so we use Google's incremental sync:
+ *
+ * 1. FULL SYNC: list the window's events (every page), and keep the
+ *    `nextSyncToken` Google hands back on the last page.
+ * 2. DELTA SYNC: next time, send only `syncToken` - Google answers with
+ *    just what changed since then. Deleted events come back with
+ *    `status: 'cancelled'`.
+ * 3. Google may expire a token at any time (HTTP 410 Gone). Then we throw
+ *    our copy away and do a full sync again.
+ *
+ * Everything we know lives in IndexedDB (services/eventStore.js), so a
+ * page reload starts from the stored events instead of an empty calendar.
+ *
+ * CONCURRENCY:
+ * Each calendar syncs on its own, a few at a time
+ * (CALENDAR_CONFIG.MAX_PARALLEL_CALENDAR_SYNCS) - in parallel for speed,
+ * but not so many at once that Google starts rate-limiting us.
+ */
+
+import { createGoogleApiClient } from './api/GoogleApiClient';
+import { fetchAllEventPages } from './googleCalendar';
+import { getSourceKey, getSyncState, getStoredEvents, saveSyncResult } from './eventStore';
+import { transformGoogleEvents } from './transformers/calendarTransformer';
+import { parseGoogleEventDate, parseGoogleEventEnd } from '../utils/date';
+import { CALENDAR_CONFIG } from '../utils/constants';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Runs `task` for every item, at most `limit` at a time
+ *
+ * JUNIOR DEV NOTE: Promise.all(items.map(task)) would start ALL of them
+ * at once. Instead we start `limit` "workers" that each keep taking the
+ * next item until none are left. Results keep the items' order.
+ *
+ * @param {Array} items - Work to do
+ * @param {number} limit - Max tasks running at once
+ * @param {Function} task - async (item) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+const mapWithConcurrency = async (items, limit, task) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+/**
+ * Does a raw Google event overlap the sync window?
+ *
+ * WHY: Delta syncs can't be limited to a time range, so changes to events
+ * far in the past or future end up in the store too. We just don't show them.
+ */
+const isInWindow = (event, timeMin, timeMax) => {
+    const start = parseGoogleEventDate(event);
+    const end = parseGoogleEventEnd(event) || start;
+    return start < timeMax && end >= timeMin;
+};
+
+/**
+ * Stored raw events -> app events for one calendar
+ */
+const toAppEvents = (rawEvents, calendarId, timeMin, timeMax) => transformGoogleEvents(
+    rawEvents
+        .filter(event => isInWindow(event, timeMin, timeMax))
+        .map(event => ({ ...event, originalCalendarId: calendarId }))
+);
+
+/**
+ * The window a syncToken was made for - a new window needs a full sync
+ */
+const toRange = (timeMin, timeMax) => ({ timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString() });
+
+/**
+ * Syncs one calendar and returns all of its raw events
+ *
+ * @param {Object} source - { userId, calendarId, getToken }
+ * @param {Date} timeMin - Window start
+ * @param {Date} timeMax - Window end
+ * @returns {Promise<Array>} Raw Google events
+ */
+const syncCalendar = async ({ userId, calendarId, getToken }, timeMin, timeMax) => {
+    const client = createGoogleApiClient(getToken);
+    const sourceKey = getSourceKey(userId, calendarId);
+    const range = toRange(timeMin, timeMax);
+
+    // JUNIOR DEV NOTE: No IndexedDB (some private browsing modes)? We can
+    // still show the calendar - we just download everything every time.
+    let syncState = null;
+    let canStore = true;
+    try {
+        syncState = await getSyncState(sourceKey);
+    } catch (error) {
+        console.warn('Event store unavailable, syncing without it:', error);
+        canStore = false;
+    }
+
+    const canDelta = syncState?.syncToken
+        && syncState.timeMin === range.timeMin
+        && syncState.timeMax === range.timeMax;
+
+    if (canDelta) {
+        try {
+            const { items, nextSyncToken } = await fetchAllEventPages(client, calendarId, {
+                syncToken: syncState.syncToken,
+                singleEvents: 'true',
+                maxResults: CALENDAR_CONFIG.MAX_EVENTS_PER_REQUEST,
+            });
+
+            await saveSyncResult(sourceKey, {
+                events: items.filter(item => item.status !== 'cancelled'),
+                deletedIds: items.filter(item => item.status === 'cancelled').map(item => item.id),
+                syncState: { ...range, syncToken: nextSyncToken },
+            });
+            return getStoredEvents(sourceKey);
+        } catch (error) {
+            // 410 Gone = Google expired the token; anything else is a real failure
+            if (error.status !== 410) throw error;
+            console.log(`🔄 Sync token expired for ${calendarId}, doing a full sync`);
+        }
+    }
+
+    const { items, nextSyncToken } = await fetchAllEventPages(client, calendarId, {
+        ...range,
+        singleEvents: 'true', // Expand recurring events
+        maxResults: CALENDAR_CONFIG.MAX_EVENTS_PER_REQUEST,
+    });
+    const events = items.filter(item => item.status !== 'cancelled');
+
+    if (canStore) {
+        await saveSyncResult(sourceKey, {
+            events,
+            replace: true,
+            syncState: { ...range, syncToken: nextSyncToken },
+        });
+    }
+    return events;
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Reads what the last sync stored, without touching the network
+ *
+ * WHY: On page load this paints the calendar instantly (and works
+ * offline); syncGoogleCalendars then fills in what changed.
+ *
+ * @param {Object} options
+ * @param {Array} options.sources - [{ userId, calendarId }]
+ * @param {Date} options.timeMin - Window start
+ * @param {Date} options.timeMax - Window end
+ * @returns {Promise<Array[]>} App events per source, in the same order
+ */
+export const loadStoredCalendars = ({ sources, timeMin, timeMax }) => Promise.all(
+    sources.map(async ({ userId, calendarId }) => {
+        try {
+            const rawEvents = await getStoredEvents(getSourceKey(userId, calendarId));
+            return toAppEvents(rawEvents, calendarId, timeMin, timeMax);
+        } catch {
+            return []; // Nothing stored (or no IndexedDB) - the sync will fetch it
+        }
+    })
+);
+
+/**
+ * Syncs several calendars with bounded concurrency
+ *
+ * ERROR HANDLING:
+ * One calendar failing (offline, revoked access...) doesn't stop the
+ * others. Its result carries the error plus whatever we had stored, so
+ * the calendar shows the last known events instead of going blank.
+ *
+ * @param {Object} options
+ * @param {Array} options.sources - [{ userId, calendarId, getToken }], getToken = async () => accessToken
+ * @param {Date} options.timeMin - Window start
+ * @param {Date} options.timeMax - Window end
+ * @returns {Promise<Array>} [{ events, error }] per source, in the same order
+ *
+ * @example
+ * const [mumPrimary] = await syncGoogleCalendars({
+ *   sources: [{ userId: 1, calendarId: 'primary', getToken }],
+ *   timeMin: new Date('2025-01-01'),
+ *   timeMax: new Date('2026-01-01'),
+ * });
+ */
+export const syncGoogleCalendars = ({ sources, timeMin, timeMax }) => mapWithConcurrency(
+    sources,
+    CALENDAR_CONFIG.MAX_PARALLEL_CALENDAR_SYNCS,
+    async (source) => {
+        try {
+            const rawEvents = await syncCalendar(source, timeMin, timeMax);
+            return { events: toAppEvents(rawEvents, source.calendarId, timeMin, timeMax), error: null };
+        } catch (error) {
+            console.warn(`Failed to sync calendar ${source.calendarId}:`, error);
+            const [events] = await loadStoredCalendars({ sources: [source], timeMin, timeMax });
+            return { events, error };
+        }
+    }
+);
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Outbox for Google Calendar changes made on the kiosk
+ * @module services/eventOutbox
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * The kiosk's Wi-Fi drops now and then. Without an outbox, adding an event
+ * during a blip just fails and the event is lost. Instead every Google
+ * change is written down first (IndexedDB, see services/eventStore.js),
+ * shown straight away, and sent to Google when it can be:
+ *
+ *   tap Save -> queued entry -> replayed -> done (entry removed)
+ *                                  |
+ *                                  +-> network down: retry later (backoff)
+ *                                  +-> someone else changed it: CONFLICT
+ *
+ * This file is the plain-JS part: what an entry looks like and how to
+ * replay one. The hook (modules/calendar/hooks/useEventOutbox.js) owns
+ * the queue and decides WHEN to replay.
+ *
+ * AN ENTRY:
+ * {
+ *   id, createdAt,
+ *   kind: 'create' | 'update' | 'delete' | 'split',
+ *   userId,        // whose Google account makes the change
+ *   calendarId,
+ *   eventId,       // target event (for 'create': the ID we picked for it)
+ *   eventData,     // app-format event, null for deletes
+ *   splitDate,     // 'split' only - first occurrence that changes
+ *   newEventId,    // 'split' only - ID for the new series
+ *   baseUpdated,   // the target's `updated` when it was edited (conflict check)
+ *   force,         // user chose "Keep mine" - skip the conflict check
+ *   status: 'pending' | 'conflict',
+ *   attempts, nextAttemptAt, lastError
+ * }
+ */
+
+import { GoogleApiError } from './api/GoogleApiClient';
+import { createGoogleEvent, updateGoogleEvent, deleteGoogleEvent, fetchGoogleEvent, splitGoogleSeries } from './googleCalendar';
+
+// Retry after 2s, 4s, 8s... but never wait more than 5 minutes
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Google event IDs use base32hex: digits and the letters a-v
+const EVENT_ID_ALPHABET = '0123456789abcdefghijklmnopqrstuv';
+
+/**
+ * Thrown when the event changed on Google since it was edited here
+ *
+ * @extends Error
+ */
+export class OutboxConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OutboxConflictError';
+    }
+}
+
+/**
+ * A new, random Google event ID
+ *
+ * JUNIOR DEV NOTE: crypto.getRandomValues works on plain-http kiosks too,
+ * unlike crypto.randomUUID (secure pages only).
+ *
+ * @returns {string} 26 base32hex characters
+ */
+export const newGoogleEventId = () => Array.from(
+    crypto.getRandomValues(new Uint8Array(26)),
+    byte => EVENT_ID_ALPHABET[byte % EVENT_ID_ALPHABET.length]
+).join('');
+
+/**
+ * Builds a new outbox entry, ready to replay now
+ *
+ * @param {Object} change - { kind, userId, calendarId, eventId, eventData, splitDate, baseUpdated }
+ * @returns {Object} Outbox entry
+ */
+export const createOutboxEntry = (change) => {
+    const createdAt = Date.now();
+    return {
+        eventData: null,
+        splitDate: null,
+        baseUpdated: null,
+        ...change,
+        id: `outbox-${createdAt}-${newGoogleEventId().slice(0, 8)}`,
+        eventId: change.kind === 'create' ? newGoogleEventId() : change.eventId,
+        newEventId: change.kind === 'split' && change.eventData ? newGoogleEventId() : null,
+        force: false,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        lastError: null,
+        createdAt,
+    };
+};
+
+/**
+ * How long to wait before the next attempt
+ *
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** attempts, RETRY_MAX_DELAY_MS);
+
+/**
+ * Has the target changed on Google since it was edited here?
+ *
+ * WHY NOT ETAGS: Our events don't carry Google's etag, but they do carry
+ * `updated` - the same answer for our purposes.
+ *
+ * @throws {OutboxConflictError} If it changed, or was deleted elsewhere
+ */
+const checkForConflict = async (entry, token) => {
+    if (entry.force || !entry.baseUpdated) return;
+
+    try {
+        const current = await fetchGoogleEvent(token, entry.calendarId, entry.eventId);
+        if (current.updated !== entry.baseUpdated) {
+            throw new OutboxConflictError('Changed on another device since it was edited here');
+        }
+    } catch (error) {
+        if (error instanceof GoogleApiError && [404, 410].includes(error.status)) {
+            // Deleting something that's already gone is fine
+            if (entry.kind === 'delete') return;
+            throw new OutboxConflictError('Deleted on another device');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Sends one entry to Google
+ *
+ * @param {Object} entry - Outbox entry
+ * @param {string} token - Access token of entry.userId
+ * @returns {Promise<Object|null>} The saved event (app format), or null
+ */
+const sendEntry = async (entry, token) => {
+    const { calendarId, eventId, eventData } = entry;
+
+    switch (entry.kind) {
+        case 'create':
+            return createGoogleEvent(token, calendarId, eventData, eventId);
+        case 'update':
+            await checkForConflict(entry, token);
+            return updateGoogleEvent(token, calendarId, eventId, eventData);
+        case 'delete':
+            await checkForConflict(entry, token);
+            await deleteGoogleEvent(token, calendarId, eventId);
+            return null;
+        case 'split':
+            return splitGoogleSeries(token, calendarId, eventId, entry.splitDate, eventData, entry.newEventId);
+        default:
+            throw new OutboxConflictError(`Unknown change "${entry.kind}"`);
+    }
+};
+
+/**
+ * Tries to replay one entry
+ *
+ * WHAT COUNTS AS WHAT:
+ * - 'done': Google has it. Also a retried create that answers 409 (the
+ *   first try got through) and a delete of an event that's already gone.
+ * - 'retry': worth trying again - offline, Google overloaded (5xx/429),
+ *   or the token couldn't be refreshed.
+ * - 'conflict': a person has to decide - changed elsewhere, or Google
+ *   refused the change (400/403...). Retrying wouldn't help.
+ *
+ * @param {Object} entry - Outbox entry
+ * @param {Function} getToken - async () => access token for entry.userId
+ * @returns {Promise<Object>} { outcome: 'done'|'retry'|'conflict', event, error }
+ */
+export const replayOutboxEntry = async (entry, getToken) => {
+    try {
+        const token = await getToken();
+        if (!token) return { outcome: 'retry', error: 'Google account needs to reconnect' };
+
+        const event = await sendEntry(entry, token);
+        return { outcome: 'done', event };
+    } catch (error) {
+        if (error instanceof OutboxConflictError) {
+            return { outcome: 'conflict', error: error.message };
+        }
+        if (!(error instanceof GoogleApiError)) {
+            return { outcome: 'retry', error: error.message };
+        }
+
+        const { status } = error;
+        if (entry.kind === 'create' && status === 409) return { outcome: 'done', event: null };
+        if (entry.kind === 'delete' && [404, 410].includes(status)) return { outcome: 'done', event: null };
+        if (status === 0 || status === 401 || status === 429 || status >= 500) {
+            return { outcome: 'retry', error: error.message };
+        }
+        return { outcome: 'conflict', error: `Google refused the change: ${error.message}` };
+    }
+};
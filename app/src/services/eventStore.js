@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Persistent store for synced Google Calendar events (IndexedDB)
+ * @module services/eventStore
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Incremental sync (services/calendarSync.js) only asks Google for what
+ * CHANGED since last time - so we must remember everything else between
+ * page loads. This replaces the old localStorage cache: localStorage is
+ * capped at ~5MB and rewrites one giant JSON string on every save, while
+ * IndexedDB stores each event as its own record.
+ *
+ * WHAT WE STORE:
+ * - `events`: raw Google events (before calendarTransformer), keyed by
+ *   `<userId>|<calendarId>|<eventId>`. Raw on purpose - a transformer
+ *   change then applies to stored events too, no migration needed.
+ * - `syncState`: per calendar source, the `syncToken` Google gave us and
+ *   the time window it was made for.
+ * - `outbox`: changes made on the kiosk that Google hasn't confirmed yet
+ *   (see services/eventOutbox.js) - they must survive a reload too.
+ *
+ * A "source" is one user's copy of one calendar (`<userId>|<calendarId>`) -
+ * two parents can share a calendar but have separate tokens.
+ *
+ * JUNIOR DEV NOTE: IndexedDB's API is callback-based and old-fashioned.
+ * The small helpers below wrap it in Promises so the rest reads normally.
+ */
+
+const DB_NAME = 'coffman-calendar';
+const DB_VERSION = 2;
+const EVENTS_STORE = 'events';
+const SYNC_STATE_STORE = 'syncState';
+const OUTBOX_STORE = 'outbox';
+
+let dbPromise = null;
+
+// ============================================================================
+// INDEXEDDB HELPERS
+// ============================================================================
+
+/**
+ * Opens (and on first use, creates) the database - once per page load
+ *
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If IndexedDB isn't available (e.g. some private modes)
+ */
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            // JUNIOR DEV NOTE: Runs on first use AND when DB_VERSION goes up,
+            // so only create the stores this browser doesn't have yet.
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const stores = { [EVENTS_STORE]: 'key', [SYNC_STATE_STORE]: 'source', [OUTBOX_STORE]: 'id' };
+                Object.entries(stores).forEach(([name, keyPath]) => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let the next call try again instead of caching the failure
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+/**
+ * Resolves with an IDBRequest's result
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolves when a transaction has been committed
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * Every key that starts with `<prefix>|`
+ *
+ * JUNIOR DEV NOTE: Keys are `<userId>|<calendarId>|<eventId>`, so one
+ * source's events sit next to each other and a key range finds them
+ * without an index.
+ */
+const prefixRange = (prefix) => IDBKeyRange.bound(`${prefix}|`, `${prefix}|\uffff`);
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * The store key for one user's copy of one calendar
+ *
+ * @param {string|number} userId - User ID
+ * @param {string} calendarId - Google calendar ID
+ * @returns {string}
+ */
+export const getSourceKey = (userId, calendarId) => `${userId}|${calendarId}`;
+
+/**
+ * Where the last sync of a source left off
+ *
+ * @param {string} source - From getSourceKey
+ * @returns {Promise<Object|null>} { source, syncToken, timeMin, timeMax, syncedAt } or null
+ */
+export const getSyncState = async (source) => {
+    const db = await openDb();
+    const state = await requestToPromise(db.transaction(SYNC_STATE_STORE).objectStore(SYNC_STATE_STORE).get(source));
+    return state || null;
+};
+
+/**
+ * All stored events of a source (raw Google events)
+ *
+ * @param {string} source - From getSourceKey
+ * @returns {Promise<Array>}
+ */
+export const getStoredEvents = async (source) => {
+    const db = await openDb();
+    const records = await requestToPromise(db.transaction(EVENTS_STORE).objectStore(EVENTS_STORE).getAll(prefixRange(source)));
+    return records.map(record => record.event);
+};
+
+/**
+ * Saves one sync's results for a source in a single transaction
+ *
+ * WHY ONE TRANSACTION:
+ * The events and the syncToken must be saved together. If we stored the
+ * new token but the tab closed before the events were written, the next
+ * delta would skip those changes forever.
+ *
+ * @param {string} source - From getSourceKey
+ * @param {Object} result
+ * @param {Array} result.events - Raw Google events to add or replace
+ * @param {string[]} [result.deletedIds] - Event IDs to remove
+ * @param {boolean} [result.replace] - Full sync: drop everything stored for the source first
+ * @param {Object} result.syncState - { syncToken, timeMin, timeMax }
+ * @returns {Promise<void>}
+ */
+export const saveSyncResult = async (source, { events, deletedIds = [], replace = false, syncState }) => {
+    const db = await openDb();
+    const transaction = db.transaction([EVENTS_STORE, SYNC_STATE_STORE], 'readwrite');
+    const eventStore = transaction.objectStore(EVENTS_STORE);
+
+    if (replace) eventStore.delete(prefixRange(source));
+    deletedIds.forEach(id => eventStore.delete(`${source}|${id}`));
+    events.forEach(event => eventStore.put({ key: `${source}|${event.id}`, event }));
+    transaction.objectStore(SYNC_STATE_STORE).put({ ...syncState, source, syncedAt: Date.now() });
+
+    await transactionDone(transaction);
+};
+
+/**
+ * Forgets everything stored for one user (when they disconnect Google)
+ *
+ * JUNIOR DEV NOTE: Sources start with `<userId>|`, so the same key-range
+ * trick clears both stores.
+ *
+ * @param {string|number} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const clearUserEvents = async (userId) => {
+    const db = await openDb();
+    const transaction = db.transaction([EVENTS_STORE, SYNC_STATE_STORE], 'readwrite');
+    transaction.objectStore(EVENTS_STORE).delete(prefixRange(userId));
+    transaction.objectStore(SYNC_STATE_STORE).delete(prefixRange(userId));
+    await transactionDone(transaction);
+};
+
+/**
+ * Every queued change, oldest first
+ *
+ * @returns {Promise<Array>} Outbox entries (see services/eventOutbox.js)
+ */
+export const getOutboxEntries = async () => {
+    const db = await openDb();
+    const entries = await requestToPromise(db.transaction(OUTBOX_STORE).objectStore(OUTBOX_STORE).getAll());
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Adds or replaces one queued change
+ *
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<void>}
+ */
+export const saveOutboxEntry = async (entry) => {
+    const db = await openDb();
+    const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+    transaction.objectStore(OUTBOX_STORE).put(entry);
+    await transactionDone(transaction);
+};
+
+/**
+ * Removes one queued change (synced or discarded)
+ *
+ * @param {string} id - Outbox entry ID
+ * @returns {Promise<void>}
+ */
+export const deleteOutboxEntry = async (id) => {
+    const db = await openDb();
+    const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+    transaction.objectStore(OUTBOX_STORE).delete(id);
+    await transactionDone(transaction);
+};
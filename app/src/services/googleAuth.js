@@ -18,6 +18,7 @@
 
 import { OAUTH_SCOPES } from '../utils/constants';
 import { storeToken, getToken, clearToken, handleOAuthCallback as _handleTokenCallback } from './utils/tokenManager';
+import { clearUserEvents } from './eventStore';
 
 // ============================================================================
 // CONFIGURATION
@@ -210,4 +211,6 @@ export const hasValidToken = (userId) => {
 
 export const disconnectGoogle = (userId) => {
     clearToken(userId);
+    // Their synced events shouldn't outlive the connection
+    clearUserEvents(userId).catch(error => console.warn('Failed to clear synced events:', error));
 };
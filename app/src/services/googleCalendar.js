@@ -18,9 +18,46 @@
  * We hide the complexity of the Google Calendar API behind simple functions.
  */
 
+import { startOfDay } from 'date-fns';
 import { createGoogleApiClient, isTokenExpiredError } from './api/GoogleApiClient';
 import { transformGoogleEvents, transformToGoogleEvent } from './transformers/calendarTransformer';
 import { API_ENDPOINTS, CALENDAR_CONFIG } from '../utils/constants';
+import { endRecurrenceBefore } from '../utils/rrule';
+
+/**
+ * Lists every event of one calendar, following Google's pages
+ * 
+ * WHY PAGES:
+ * Google returns at most `maxResults` (250) events per response plus a
+ * `nextPageToken` when there's more. A busy family calendar easily has
+ * more than that in 18 months, so we keep asking until there's no token.
+ * Only the LAST page carries `nextSyncToken` - the bookmark incremental
+ * sync (services/calendarSync.js) uses next time.
+ * 
+ * JUNIOR DEV NOTE: Google's rule is that a page request repeats the
+ * original parameters plus `pageToken` - so we spread `params` every time.
+ * 
+ * @param {GoogleApiClient} client - From createGoogleApiClient
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} params - Query parameters (timeMin/timeMax or syncToken, ...)
+ * @returns {Promise<Object>} { items, nextSyncToken }
+ * @throws {GoogleApiError} e.g. status 410 when a syncToken has expired
+ */
+export const fetchAllEventPages = async (client, calendarId, params) => {
+    const url = `${API_ENDPOINTS.GOOGLE_CALENDAR}/calendars/${encodeURIComponent(calendarId)}/events`;
+    const items = [];
+    let pageToken = null;
+    let nextSyncToken = null;
+
+    do {
+        const data = await client.get(url, pageToken ? { ...params, pageToken } : params);
+        items.push(...(data.items || []));
+        pageToken = data.nextPageToken || null;
+        nextSyncToken = data.nextSyncToken || null;
+    } while (pageToken);
+
+    return { items, nextSyncToken };
+};
 
 /**
  * Fetches calendar events from multiple Google Calendars
@@ -32,9 +69,13 @@ import { API_ENDPOINTS, CALENDAR_CONFIG } from '../utils/constants';
  * Users might have multiple calendars (Personal, Work, Family).
  * We need to fetch and merge events from all of them.
  * 
+ * JUNIOR DEV NOTE: This always downloads everything. The calendar views
+ * use services/calendarSync.js instead, which only asks for changes and
+ * keeps the rest in IndexedDB.
+ * 
  * HOW IT WORKS:
  * 1. Loop through each calendar ID
- * 2. Make API request to Google for that calendar
+ * 2. Fetch all pages of that calendar's events from Google
  * 3. Collect all events
  * 4. Transform to our app's format
  * 5. Return merged list
@@ -66,21 +107,15 @@ export const fetchCalendarEvents = async (accessToken, startDate, endDate, calen
     // Fetch events from each calendar
     for (const calendarId of calendarIds) {
         try {
-            const url = `${API_ENDPOINTS.GOOGLE_CALENDAR}/calendars/${encodeURIComponent(calendarId)}/events`;
-
-            // Build query parameters
-            const params = {
+            const { items } = await fetchAllEventPages(client, calendarId, {
                 timeMin: startDate.toISOString(),
                 timeMax: endDate.toISOString(),
                 singleEvents: 'true', // Expand recurring events
-                orderBy: 'startTime',
                 maxResults: CALENDAR_CONFIG.MAX_EVENTS_PER_REQUEST,
-            };
-
-            const data = await client.get(url, params);
+            });
 
             // Tag events with their source calendar
-            const events = (data.items || []).map(item => ({
+            const events = items.map(item => ({
                 ...item,
                 originalCalendarId: calendarId,
             }));
@@ -102,6 +137,26 @@ export const fetchCalendarEvents = async (accessToken, startDate, endDate, calen
     return transformGoogleEvents(allEvents);
 };
 
+/**
+ * Fetches one Google Calendar event by ID
+ * 
+ * JUNIOR DEV NOTE: We list events with singleEvents=true, so a repeating
+ * event arrives as instances WITHOUT its `recurrence`. To edit the repeat
+ * rule we fetch the series itself (the instance's recurringEventId).
+ * 
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} calendarId - Calendar ID containing the event
+ * @param {string} eventId - Event ID (or series ID)
+ * @returns {Promise<Object>} Transformed event
+ */
+export const fetchGoogleEvent = async (accessToken, calendarId, eventId) => {
+    const client = createGoogleApiClient(accessToken);
+    const url = `${API_ENDPOINTS.GOOGLE_CALENDAR}/calendars/${encodeURIComponent(calendarId)}/events/${eventId}`;
+
+    const event = await client.get(url);
+    return transformGoogleEvents([event])[0];
+};
+
 /**
  * Fetches the list of user's Google Calendars
  * 
@@ -136,17 +191,23 @@ export const fetchCalendarList = async (accessToken) => {
 /**
  * Creates a new event on Google Calendar
  * 
+ * JUNIOR DEV NOTE: Google lets the caller pick the new event's ID. The
+ * outbox does, so retrying a create whose response got lost answers
+ * 409 (already exists) instead of making a duplicate.
+ * 
  * @param {string} accessToken - OAuth2 access token
  * @param {string} calendarId - Calendar ID to create event in
  * @param {Object} eventData - Event data in our app's format
+ * @param {string} [eventId] - ID for the new event (base32hex: 0-9 and a-v)
  * @returns {Promise<Object>} Created event
  */
-export const createGoogleEvent = async (accessToken, calendarId, eventData) => {
+export const createGoogleEvent = async (accessToken, calendarId, eventData, eventId = null) => {
     const client = createGoogleApiClient(accessToken);
     const url = `${API_ENDPOINTS.GOOGLE_CALENDAR}/calendars/${encodeURIComponent(calendarId)}/events`;
 
     // Transform to Google's format
     const googleEvent = transformToGoogleEvent(eventData);
+    if (eventId) googleEvent.id = eventId;
 
     const createdEvent = await client.post(url, googleEvent);
     return transformGoogleEvents([createdEvent])[0];
@@ -186,3 +247,45 @@ export const deleteGoogleEvent = async (accessToken, calendarId, eventId) => {
     await client.delete(url);
     return true;
 };
+
+/**
+ * Splits a repeating Google event at one occurrence ("this and following")
+ * 
+ * HOW IT WORKS:
+ * 1. Fetch the series (the master event with the RRULE)
+ * 2. End its RRULE the day before the split (UNTIL)
+ * 3. Create a NEW series from `eventData`, starting at the split
+ * 
+ * Splitting at the first occurrence is the same as editing (or deleting)
+ * the whole series, so we do that instead of leaving an empty series.
+ * 
+ * JUNIOR DEV NOTE: For "this occurrence" only, no split is needed - PUT or
+ * DELETE the instance's own id and Google records an exception.
+ * 
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} calendarId - Calendar ID containing the event
+ * @param {string} seriesId - The series' ID (an instance's recurringEventId)
+ * @param {Date} splitDate - Date of the first occurrence that changes
+ * @param {Object|null} [eventData] - The new series in our app's format; null deletes from the split on
+ * @param {string} [newSeriesId] - ID for the new series (see createGoogleEvent)
+ * @returns {Promise<Object|null>} The new (or whole updated) series, or null when deleting
+ */
+export const splitGoogleSeries = async (accessToken, calendarId, seriesId, splitDate, eventData = null, newSeriesId = null) => {
+    const client = createGoogleApiClient(accessToken);
+    const url = `${API_ENDPOINTS.GOOGLE_CALENDAR}/calendars/${encodeURIComponent(calendarId)}/events/${seriesId}`;
+
+    const series = await client.get(url);
+    const seriesStart = transformGoogleEvents([series])[0].date;
+
+    if (startOfDay(splitDate) <= startOfDay(seriesStart)) {
+        if (eventData) return updateGoogleEvent(accessToken, calendarId, seriesId, eventData);
+        await client.delete(url);
+        return null;
+    }
+
+    await client.patch(url, {
+        recurrence: endRecurrenceBefore(series.recurrence, splitDate, { isAllDay: Boolean(series.start.date) }),
+    });
+
+    return eventData ? createGoogleEvent(accessToken, calendarId, eventData, newSeriesId) : null;
+};
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Local family calendar service (events stored on the kiosk)
+ * @module services/localCalendar
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Not everyone who adds to the family calendar has a Google account
+ * (grandparents, the babysitter), and the kiosk should work offline.
+ * Our backend keeps these events at /api/events.
+ *
+ * SAME SHAPE AS GOOGLE:
+ * The backend speaks Google Calendar's event format, so this file is the
+ * twin of services/googleCalendar.js: the same transformers, the same
+ * function names - just no token and a different URL.
+ */
+
+import { transformLocalEvent, transformToGoogleEvent } from './transformers/calendarTransformer';
+import { API_ENDPOINTS } from '../utils/constants';
+
+const EVENTS_URL = API_ENDPOINTS.LOCAL_EVENTS;
+
+/**
+ * Throws the server's message for a failed response
+ */
+const ensureOk = async (response, fallbackMessage) => {
+    if (response.ok) return;
+
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || fallbackMessage);
+};
+
+/**
+ * Local events need every field on update
+ *
+ * JUNIOR DEV NOTE: transformToGoogleEvent leaves `recurrence` out for
+ * "Does not repeat". Google's PUT replaces the whole event, but our PUT
+ * merges - so we say `null` explicitly to switch repeating OFF.
+ */
+const toRequestBody = (eventData) => JSON.stringify({
+    recurrence: null,
+    ...transformToGoogleEvent(eventData),
+});
+
+/**
+ * Fetches local events (one per occurrence) in a date range
+ *
+ * @param {Date} startDate - Beginning of date range
+ * @param {Date} endDate - End of date range
+ * @returns {Promise<Array>} Array of transformed events
+ */
+export const fetchLocalEvents = async (startDate, endDate) => {
+    const params = new URLSearchParams({
+        from: startDate.toISOString(),
+        to: endDate.toISOString(),
+    });
+    const response = await fetch(`${EVENTS_URL}?${params}`);
+    await ensureOk(response, 'Failed to fetch family calendar');
+
+    const events = await response.json();
+    return events.map((event, index) => transformLocalEvent(event, index));
+};
+
+/**
+ * Reminders of local events that pop up in a time window
+ *
+ * JUNIOR DEV NOTE: The server expands repeating events and applies the
+ * default reminder, so the kiosk doesn't have to.
+ *
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end (exclusive)
+ * @returns {Promise<Array>} [{ eventId, instanceId, summary, start, remindAt, minutes }]
+ */
+export const fetchLocalReminders = async (from, to) => {
+    const params = new URLSearchParams({
+        from: from.toISOString(),
+        to: to.toISOString(),
+    });
+    const response = await fetch(`${EVENTS_URL}/reminders?${params}`);
+    await ensureOk(response, 'Failed to fetch reminders');
+    return response.json();
+};
+
+/**
+ * Creates a local event
+ *
+ * @param {Object} eventData - Event data in our app's format
+ * @returns {Promise<Object>} The stored event (Google-shaped)
+ */
+export const createLocalEvent = async (eventData) => {
+    const response = await fetch(EVENTS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: toRequestBody(eventData),
+    });
+    await ensureOk(response, 'Failed to create event');
+    return response.json();
+};
+
+/**
+ * URL for one event, with the edit scope of a repeating one
+ *
+ * JUNIOR DEV NOTE: 'this' and 'following' need the INSTANCE id
+ * (`<seriesId>_20250114`) so the server knows which occurrence you mean.
+ */
+const eventUrl = (eventId, scope) => {
+    const url = `${EVENTS_URL}/${encodeURIComponent(eventId)}`;
+    return scope === 'all' ? url : `${url}?scope=${scope}`;
+};
+
+/**
+ * Updates a local event, or part of a repeating one
+ *
+ * @param {string} eventId - Stored event ID (an instance's seriesId), or the instance ID for 'this'/'following'
+ * @param {Object} eventData - Updated event data
+ * @param {string} [scope='all'] - 'this' | 'following' | 'all'
+ * @returns {Promise<Object>} The stored event (Google-shaped)
+ */
+export const updateLocalEvent = async (eventId, eventData, scope = 'all') => {
+    const response = await fetch(eventUrl(eventId, scope), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: toRequestBody(eventData),
+    });
+    await ensureOk(response, 'Failed to update event');
+    return response.json();
+};
+
+/**
+ * Deletes a local event, or part of a repeating one
+ *
+ * @param {string} eventId - Stored event ID (an instance's seriesId), or the instance ID for 'this'/'following'
+ * @param {string} [scope='all'] - 'this' | 'following' | 'all'
+ * @returns {Promise<boolean>} True if successful
+ */
+export const deleteLocalEvent = async (eventId, scope = 'all') => {
+    const response = await fetch(eventUrl(eventId, scope), {
+        method: 'DELETE',
+    });
+    await ensureOk(response, 'Failed to delete event');
+    return true;
+};
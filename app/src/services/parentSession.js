@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Parent Session Service (Frontend)
+ * @module services/parentSession
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * PINs are checked by the SERVER now. Entering a correct PIN gives us a
+ * short-lived token, and parent-only API routes (gold, reward shop,
+ * reboot...) refuse requests without it. This module:
+ * 1. Trades a PIN for a token (startParentSession)
+ * 2. Adds the token to requests (parentFetch)
+ * 3. Tells subscribers (PinContext) when the session starts or ends
+ *
+ * WHY NOT localStorage?
+ * The token lives in memory only. Reloading the kiosk locks it again,
+ * which is exactly what we want for a parent unlock.
+ */
+
+import { API_ENDPOINTS } from '../utils/constants.js';
+
+const SESSION_URL = API_ENDPOINTS.LOCAL_PARENT_SESSION;
+
+/**
+ * Must match SESSION_TTL_MS on the server. Each successful parentFetch
+ * extends the server session, so we extend our local copy too.
+ */
+export const PARENT_SESSION_TTL_MS = 15 * 60 * 1000;
+
+/** Where older versions kept the plaintext kiosk PIN (imported once, then removed) */
+export const LEGACY_PIN_STORAGE_KEY = 'coffman_settings_pin';
+
+/** Thrown (as error.message) when a request needs a parent PIN first */
+export const PARENT_PIN_REQUIRED = 'PARENT_PIN_REQUIRED';
+
+// ============================================================================
+// SESSION STATE
+// ============================================================================
+
+let session = null; // { token, userId, expiresAt (ms) }
+const listeners = new Set();
+
+const setSession = (next) => {
+    session = next;
+    listeners.forEach(listener => listener(session));
+};
+
+/**
+ * Current session, or null when locked
+ *
+ * @returns {{token: string, userId: string|null, expiresAt: number}|null}
+ */
+export const getParentSession = () => {
+    if (session && session.expiresAt <= Date.now()) {
+        setSession(null);
+    }
+    return session;
+};
+
+/**
+ * Subscribe to session changes
+ *
+ * @param {Function} listener - Called with the new session (or null)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeParentSession = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// ============================================================================
+// PIN EXCHANGE
+// ============================================================================
+
+/**
+ * Trades a PIN for a parent session
+ *
+ * @param {string} pin - 4-digit PIN
+ * @param {number|string} [userId] - Only accept this parent's PIN
+ * @returns {Promise<{ok: boolean, message?: string}>}
+ *   ok=false for a wrong PIN or a lockout (message says which)
+ */
+export const startParentSession = async (pin, userId) => {
+    const response = await fetch(SESSION_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(userId === undefined ? { pin } : { pin, userId })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        return { ok: false, message: data.message || 'Incorrect PIN' };
+    }
+
+    setSession({
+        token: data.token,
+        userId: data.userId,
+        expiresAt: new Date(data.expiresAt).getTime()
+    });
+    return { ok: true };
+};
+
+/**
+ * Locks again and tells the server to forget the token
+ */
+export const endParentSession = async () => {
+    const current = session;
+    setSession(null);
+    if (!current) return;
+
+    try {
+        await fetch(SESSION_URL, {
+            method: 'DELETE',
+            headers: { Authorization: `Bearer ${current.token}` }
+        });
+    } catch (err) {
+        // The token expires on its own; nothing else to do
+        console.warn('[ParentSession] Logout request failed:', err);
+    }
+};
+
+/**
+ * fetch() with the parent token attached
+ *
+ * JUNIOR DEV NOTE: A 401 means the server forgot us (expired, or the
+ * server restarted). We drop the session so the UI asks for the PIN again.
+ *
+ * @param {string} url - Request URL
+ * @param {RequestInit} [options] - Same as fetch()
+ * @returns {Promise<Response>}
+ * @throws {Error} PARENT_PIN_REQUIRED when there is no valid session
+ */
+export const parentFetch = async (url, options = {}) => {
+    const current = getParentSession();
+    if (!current) throw new Error(PARENT_PIN_REQUIRED);
+
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${current.token}` }
+    });
+
+    if (response.status === 401) {
+        setSession(null);
+        throw new Error(PARENT_PIN_REQUIRED);
+    }
+
+    // Server slid the expiry forward; mirror it
+    if (session === current) {
+        setSession({ ...current, expiresAt: Date.now() + PARENT_SESSION_TTL_MS });
+    }
+    return response;
+};
+
+// ============================================================================
+// PIN MANAGEMENT
+// ============================================================================
+
+/**
+ * Which parents have a PIN on the server
+ *
+ * @returns {Promise<{parentIds: string[], familyPinSet: boolean}>}
+ */
+export const fetchPinStatus = async () => {
+    const response = await fetch(`${SESSION_URL}/pins`);
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+    return response.json();
+};
+
+/**
+ * Sets the family PIN ('family') or a parent's PIN (needs a session)
+ *
+ * @param {'family'|number|string} pinId - Whose PIN
+ * @param {string} pin - New 4-digit PIN
+ * @returns {Promise<boolean>} True once saved
+ * @throws {Error} With the server's reason (e.g. another parent's PIN),
+ *   or PARENT_PIN_REQUIRED when there is no valid session
+ */
+export const saveParentPin = async (pinId, pin) => {
+    const response = await parentFetch(`${SESSION_URL}/pins/${encodeURIComponent(pinId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pin })
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `Failed to save PIN (HTTP ${response.status})`);
+    }
+    return true;
+};
+
+/**
+ * Removes a parent's PIN (needs a session)
+ *
+ * @param {number|string} userId - Parent's user id
+ * @throws {Error} With the server's reason (e.g. another parent's PIN),
+ *   or PARENT_PIN_REQUIRED when there is no valid session
+ */
+export const removeParentPin = async (userId) => {
+    const response = await parentFetch(`${SESSION_URL}/pins/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+
+    // 404 = the server had no PIN for them anyway
+    if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `Failed to remove PIN (HTTP ${response.status})`);
+    }
+};
+
+/**
+ * One-time upload of PINs older versions kept in plaintext
+ *
+ * JUNIOR DEV NOTE: The server only accepts this while it knows no PINs
+ * at all. A 409 means another kiosk (or an earlier run) already did it,
+ * so our local copies are stale either way. Any other failure (say, a
+ * 404 because the server doesn't list that parent profile) keeps them.
+ *
+ * @param {{familyPin?: string, parents?: Array<{userId, pin}>}} legacy
+ * @returns {Promise<boolean>} True if the local copies can be deleted
+ */
+export const importLegacyPins = async (legacy) => {
+    const response = await fetch(`${SESSION_URL}/pins/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(legacy)
+    });
+    return response.ok || response.status === 409;
+};
@@ -20,7 +20,8 @@
  * Each layer has one job and doesn't know about the others' implementation details.
  */
 
-import { parseGoogleEventDate, formatEventTime } from '../../utils/date';
+import { parseGoogleEventDate, parseGoogleEventEnd, formatEventTime, generateRecurrenceRule, nextDay } from '../../utils/date';
+import { CALENDAR_CONFIG } from '../../utils/constants';
 
 /**
  * Transforms a Google Calendar event to our app's event format
@@ -50,7 +51,8 @@ export const transformGoogleEvent = (googleEvent, index = 0) => {
 
         // Dates and times
         date: parseGoogleEventDate(googleEvent),
-        endDate: googleEvent.end?.dateTime ? new Date(googleEvent.end.dateTime) : null,
+        // All-day: the midnight AFTER the last day (exclusive, like Google)
+        endDate: parseGoogleEventEnd(googleEvent),
         time: formatEventTime(googleEvent),
         isAllDay: !googleEvent.start?.dateTime,
 
@@ -61,9 +63,14 @@ export const transformGoogleEvent = (googleEvent, index = 0) => {
         // Metadata
         originalCalendarId: googleEvent.originalCalendarId || 'primary',
         isGoogleEvent: true,
+        // Last change on Google's side - the outbox compares it to spot conflicts
+        updated: googleEvent.updated || null,
 
         // Recurrence
+        // (Google sends `recurrence` on the series only; its instances point
+        // back with `recurringEventId` - see useEventMutations.loadSeries)
         recurrence: googleEvent.recurrence || null,
+        recurringEventId: googleEvent.recurringEventId || null,
 
         // Attendees and collaboration
         attendees: googleEvent.attendees || [],
@@ -98,6 +105,54 @@ export const transformGoogleEvents = (googleEvents) => {
     return googleEvents.map((event, index) => transformGoogleEvent(event, index));
 };
 
+/**
+ * Transforms an event from the local family calendar (/api/events)
+ * 
+ * JUNIOR DEV NOTE: The server stores local events in Google's shape on
+ * purpose, so this is transformGoogleEvent plus a few tags that tell the
+ * UI (and useEventMutations) where the event really lives.
+ * 
+ * @param {Object} localEvent - Event instance from /api/events
+ * @param {number} index - Event index (for default color assignment)
+ * @returns {Object} Transformed event for our app
+ */
+export const transformLocalEvent = (localEvent, index = 0) => {
+    return {
+        ...transformGoogleEvent(localEvent, index),
+        originalCalendarId: CALENDAR_CONFIG.LOCAL_CALENDAR_ID,
+        isGoogleEvent: false,
+        isLocalEvent: true,
+        calendarName: CALENDAR_CONFIG.LOCAL_CALENDAR_NAME,
+
+        // A repeating event arrives as one instance per occurrence;
+        // edits and deletes apply to the whole series
+        seriesId: localEvent.recurringEventId || localEvent.id,
+        seriesStart: localEvent.seriesStart ? parseGoogleEventDate({ start: localEvent.seriesStart }) : null,
+    };
+};
+
+/**
+ * Transforms an event from a subscribed ICS feed (/api/subscriptions/events)
+ * 
+ * JUNIOR DEV NOTE: Subscribed calendars are read-only - the school's
+ * website is the source of truth, so there's no seriesId to edit with.
+ * The server tags each event with its subscription's name and colour.
+ * 
+ * @param {Object} feedEvent - Event instance from /api/subscriptions/events
+ * @param {number} index - Event index (for default color assignment)
+ * @returns {Object} Transformed event for our app
+ */
+export const transformSubscriptionEvent = (feedEvent, index = 0) => {
+    return {
+        ...transformGoogleEvent(feedEvent, index),
+        originalCalendarId: `ics:${feedEvent.subscriptionId}`,
+        isGoogleEvent: false,
+        isSubscriptionEvent: true,
+        subscriptionId: feedEvent.subscriptionId,
+        calendarName: feedEvent.calendarName,
+    };
+};
+
 /**
  * Transforms our app's event format to Google Calendar API format
  * 
@@ -124,10 +179,11 @@ export const transformToGoogleEvent = (appEvent) => {
 
     // Handle dates
     if (appEvent.isAllDay) {
-        // All-day event
-        const dateStr = formatDateOnly(appEvent.date);
-        googleEvent.start = { date: dateStr };
-        googleEvent.end = { date: dateStr };
+        // All-day event - Google's end date is exclusive (the day AFTER the
+        // last day), so a one-day event ends tomorrow
+        const endDate = appEvent.endDate > appEvent.date ? appEvent.endDate : nextDay(appEvent.date);
+        googleEvent.start = { date: formatDateOnly(appEvent.date) };
+        googleEvent.end = { date: formatDateOnly(endDate) };
     } else {
         // Timed event
         const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
@@ -144,8 +200,13 @@ export const transformToGoogleEvent = (appEvent) => {
     }
 
     // Handle recurrence
-    if (appEvent.repeat && appEvent.repeat !== 'Does not repeat') {
-        googleEvent.recurrence = [generateRecurrenceRule(appEvent.repeat)];
+    // JUNIOR DEV NOTE: The event dialog sends the finished recurrence list
+    // (RRULE plus any EXDATEs it kept - see utils/rrule.js). `repeat` is
+    // the older "Daily"/"Weekly" shorthand, still accepted for other callers.
+    if (Array.isArray(appEvent.recurrence) && appEvent.recurrence.length > 0) {
+        googleEvent.recurrence = appEvent.recurrence;
+    } else if (appEvent.repeat && appEvent.repeat !== 'Does not repeat') {
+        googleEvent.recurrence = [generateRecurrenceRule(appEvent.repeat, { isAllDay: appEvent.isAllDay })];
     }
 
     // Handle attendees
@@ -180,16 +241,3 @@ const formatDateOnly = (date) => {
     const day = String(d.getDate()).padStart(2, '0');
     return `${year}-${month}-${day}`;
 };
-
-/**
- * Helper to generate recurrence rule
- */
-const generateRecurrenceRule = (repeatType) => {
-    const map = {
-        'Daily': 'RRULE:FREQ=DAILY',
-        'Weekly': 'RRULE:FREQ=WEEKLY',
-        'Monthly': 'RRULE:FREQ=MONTHLY',
-        'Yearly': 'RRULE:FREQ=YEARLY',
-    };
-    return map[repeatType] || null;
-};
@@ -34,6 +34,10 @@ export const STORAGE_KEYS = {
     CARD_POSITIONS: 'coffman_calendar_card_positions',
     CARD_SETTINGS: 'coffman_calendar_card_settings',
     TASK_LISTS: 'coffman_calendar_selected_task_lists',
+    SERVER_MIGRATION_PREFIX: 'coffman_migrated_', // Append resource name (e.g. "meals")
+    SLEEP_WIND_DOWN: 'coffman_calendar_sleep_wind_down',
+    REMINDER_CHIME: 'coffman_calendar_reminder_chime',
+    REMINDERS_HANDLED: 'coffman_calendar_reminders_handled', // Dismissed and snoozed reminders
 };
 
 // ============================================================================
@@ -57,6 +61,15 @@ export const API_ENDPOINTS = {
     LOCAL_PHOTOS: '/api/photos',
     LOCAL_STORAGE: '/api/storage',
     LOCAL_FRAMES: '/api/frames',
+    LOCAL_MEALS: '/api/meals',
+    LOCAL_RECIPES: '/api/recipes',
+    LOCAL_SHOPPING_LIST: '/api/shopping-list',
+    LOCAL_RECIPE_PREFERENCES: '/api/recipe-preferences',
+    LOCAL_PARENT_SESSION: '/api/parent-session',
+    LOCAL_SLEEP: '/api/sleep',
+    LOCAL_EVENTS: '/api/events',
+    LOCAL_SUBSCRIPTIONS: '/api/subscriptions',
+    LOCAL_EXPORT: '/api/export',
 };
 
 // ============================================================================
@@ -132,7 +145,13 @@ export const CALENDAR_CONFIG = {
         { key: 'month', label: 'Month' },
     ],
     DEFAULT_VIEW: 'week',
-    MAX_EVENTS_PER_REQUEST: 50,
+    // Google's page size cap - sync follows nextPageToken for the rest
+    MAX_EVENTS_PER_REQUEST: 250,
+    // How many calendars we sync at once (Google rate-limits bursts)
+    MAX_PARALLEL_CALENDAR_SYNCS: 4,
+    // The kiosk's own calendar (no Google account needed) - see /api/events
+    LOCAL_CALENDAR_ID: 'family-local',
+    LOCAL_CALENDAR_NAME: 'Family (local)',
     DAYS_OF_WEEK: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
     HOURS_IN_DAY: Array.from({ length: 24 }, (_, i) => i), // [0, 1, 2, ..., 23]
 };
@@ -36,6 +36,7 @@ import {
     subMonths,
     parseISO,
 } from 'date-fns';
+import { buildRRule } from './rrule';
 
 // ============================================================================
 // DATE PARSING
@@ -98,6 +99,27 @@ export const parseGoogleEventDate = (event) => {
     return new Date();
 };
 
+/**
+ * Parses when a Google Calendar event ends
+ * 
+ * JUNIOR DEV NOTE: Google's all-day end date is EXCLUSIVE - a Friday to
+ * Sunday trip has end.date = Monday. We return that midnight as-is, so
+ * `end - start` is always the real length. Older events (and some other
+ * apps) send end.date equal to start.date for a one-day event; those get
+ * the one day they mean.
+ * 
+ * @param {Object} event - Google Calendar event object
+ * @returns {Date|null} End of the event, or null for a timed event without one
+ */
+export const parseGoogleEventEnd = (event) => {
+    if (event.end?.dateTime) return parseISO(event.end.dateTime);
+    if (!event.start?.date) return null;
+
+    const start = parseGoogleEventDate(event);
+    const end = event.end?.date ? parseGoogleEventDate({ start: { date: event.end.date } }) : start;
+    return end > start ? end : addDays(start, 1);
+};
+
 /**
  * Formats a date as YYYY-MM-DD (for Google Calendar all-day events)
  * 
@@ -297,8 +319,10 @@ export const previousMonth = (date) => subMonths(date, 1);
  * Generates an iCalendar RRULE for recurring events
  * 
  * WHAT IT DOES:
- * Converts a human-readable repeat type ("Daily", "Weekly", etc.)
- * into an RRULE string that Google Calendar understands.
+ * Converts a repeat choice into an RRULE string that Google Calendar
+ * understands. Accepts either the old simple names ("Daily", "Weekly",
+ * ...) or a full rule object from utils/rrule.js ("every other Tuesday",
+ * "first Monday of the month", end dates, occurrence counts).
  * 
  * WHY WE NEED IT:
  * Google Calendar uses the iCalendar standard for recurring events.
@@ -307,15 +331,25 @@ export const previousMonth = (date) => subMonths(date, 1);
  * JUNIOR DEV NOTE: What's an RRULE?
  * RRULE is a standard format for describing recurring events.
  * Example: "RRULE:FREQ=WEEKLY" means "repeat every week"
+ * The parsing and building lives in utils/rrule.js; this is the
+ * convenience entry point the transformers use.
  * 
- * @param {string} repeatType - One of: "Daily", "Weekly", "Monthly", "Yearly"
+ * @param {string|Object} repeatType - "Daily" | "Weekly" | "Monthly" | "Yearly", or a rule object
+ * @param {Object} [options] - { isAllDay } (affects how an end date is written)
  * @returns {string|null} RRULE string or null if no repeat
  * 
  * @example
  * generateRecurrenceRule("Weekly")
  * // Returns: "RRULE:FREQ=WEEKLY"
+ * 
+ * generateRecurrenceRule({ freq: 'WEEKLY', interval: 2, byDay: [{ ordinal: null, day: 'TU' }], ... })
+ * // Returns: "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU"
  */
-export const generateRecurrenceRule = (repeatType) => {
+export const generateRecurrenceRule = (repeatType, options = {}) => {
+    if (repeatType && typeof repeatType === 'object') {
+        return buildRRule(repeatType, options);
+    }
+
     const ruleMap = {
         'Daily': 'RRULE:FREQ=DAILY',
         'Weekly': 'RRULE:FREQ=WEEKLY',
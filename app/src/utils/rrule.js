@@ -0,0 +1,366 @@
+/**
+ * @fileoverview Recurrence rules (RFC 5545 RRULE) - parse, build and describe
+ * @module utils/rrule
+ *
+ * EDUCATIONAL NOTES FOR JUNIOR DEVELOPERS:
+ *
+ * WHY THIS FILE EXISTS:
+ * Google Calendar (and our own server) store a repeating event as a list
+ * of iCalendar lines, e.g.
+ *   ['RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;UNTIL=20250630', 'EXDATE:20250114T090000Z']
+ * The event dialog needs to turn that into form fields ("every 2 weeks on
+ * Tuesday, until June 30") and back again WITHOUT losing anything it
+ * doesn't understand.
+ *
+ * THE RULE OBJECT:
+ * {
+ *   freq: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY',
+ *   interval: 1,                               // every N periods
+ *   byDay: [{ ordinal: null, day: 'TU' }],     // WEEKLY: days; MONTHLY: { ordinal: 1, day: 'MO' } = first Monday
+ *   count: null,                               // end after N occurrences
+ *   until: null,                               // Date - last day it can happen (local)
+ *   untilValue: null,                          // the UNTIL text we read, reused if `until` is unchanged
+ *   extraParts: []                             // parts we don't edit (WKST=SU, BYMONTH=3...), kept as-is
+ * }
+ *
+ * DESIGN PATTERN: Utility Module Pattern
+ * Pure functions, no React - shared by utils/date.js, the transformers and
+ * the event dialog.
+ */
+
+import { format, isSameDay, endOfDay, addDays, startOfDay } from 'date-fns';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** RRULE day codes, indexed like Date#getDay() */
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const WORKWEEK = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+const ORDINAL_WORDS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second-to-last' };
+
+const UNIT_WORDS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+
+/**
+ * Quick choices for the Repeat menu (the rest is "Custom...")
+ *
+ * JUNIOR DEV NOTE: Labels depend on the event's date ("Weekly on Tuesday"),
+ * so they're built by getPresetOptions(date) below.
+ */
+export const PRESETS = ['none', 'daily', 'weekdays', 'weekly', 'monthlyNth', 'monthlyLast', 'monthly', 'yearly'];
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+/**
+ * 'YYYYMMDD' (local) or 'YYYYMMDDTHHMMSSZ' (UTC) or 'YYYYMMDDTHHMMSS' (local) to a Date
+ */
+const parseBasicDate = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0, utc] = match;
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+    return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+};
+
+/**
+ * A Date as 'YYYYMMDDTHHMMSSZ'
+ */
+const toBasicUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Which week of the month a date falls in, counted from the start ("2nd Tuesday")
+ *
+ * @param {Date} date
+ * @returns {number} 1-5
+ */
+export const weekOfMonth = (date) => Math.ceil(date.getDate() / 7);
+
+/**
+ * Is this the last such weekday of its month? (no more Tuesdays after it)
+ *
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export const isLastWeekdayOfMonth = (date) => addDays(date, 7).getMonth() !== date.getMonth();
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Reads one RRULE line
+ *
+ * @param {string} line - 'RRULE:FREQ=...' (the 'RRULE:' prefix is optional)
+ * @returns {Object|null} Rule object (see top of file), or null if it isn't a rule we can edit
+ */
+export const parseRRule = (line) => {
+    if (!line) return null;
+
+    const rule = { freq: null, interval: 1, byDay: [], count: null, until: null, untilValue: null, extraParts: [] };
+
+    for (const part of line.replace(/^RRULE:/, '').split(';')) {
+        const [key, value = ''] = part.split('=');
+        switch (key) {
+            case 'FREQ':
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = Math.max(1, Number(value) || 1);
+                break;
+            case 'COUNT':
+                rule.count = Number(value) || null;
+                break;
+            case 'UNTIL':
+                rule.until = parseBasicDate(value);
+                rule.untilValue = value;
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',')
+                    .map(entry => entry.match(/^([+-]?\d{1,2})?([A-Z]{2})$/))
+                    .filter(match => match && WEEKDAY_CODES.includes(match[2]))
+                    .map(match => ({ ordinal: match[1] ? Number(match[1]) : null, day: match[2] }));
+                break;
+            default:
+                if (part) rule.extraParts.push(part);
+        }
+    }
+
+    return FREQUENCIES.includes(rule.freq) ? rule : null;
+};
+
+/**
+ * Splits a Google-style recurrence list into the rule and everything else
+ *
+ * JUNIOR DEV NOTE: EXDATE lines (skipped occurrences) and RDATE lines
+ * aren't edited by the dialog, but dropping them would bring deleted
+ * occurrences back - so we hand them back untouched on save.
+ *
+ * @param {string[]|null} recurrence
+ * @returns {Object} { rule, otherLines }
+ */
+export const parseRecurrence = (recurrence) => {
+    const lines = recurrence || [];
+    const ruleLine = lines.find(line => line.startsWith('RRULE:'));
+
+    return {
+        rule: parseRRule(ruleLine),
+        otherLines: lines.filter(line => line !== ruleLine)
+    };
+};
+
+// ============================================================================
+// BUILDING
+// ============================================================================
+
+/**
+ * The UNTIL value for a rule
+ *
+ * JUNIOR DEV NOTE: Google wants a plain date for all-day events and a UTC
+ * time for timed ones. "Until June 30" means through the END of June 30
+ * here, so timed events use 23:59:59 local time.
+ */
+const formatUntil = (rule, isAllDay) => {
+    // Unchanged since we read it (and still the right kind)? Keep the original text
+    if (rule.untilValue && (rule.untilValue.length === 8) === isAllDay) {
+        const original = parseBasicDate(rule.untilValue);
+        if (original && isSameDay(original, rule.until)) return rule.untilValue;
+    }
+
+    return isAllDay ? format(rule.until, 'yyyyMMdd') : toBasicUtc(endOfDay(rule.until));
+};
+
+/**
+ * Writes a rule as an RRULE line
+ *
+ * COUNT and UNTIL can't both be set (RFC 5545) - COUNT wins.
+ *
+ * @param {Object} rule - Rule object
+ * @param {Object} [options]
+ * @param {boolean} [options.isAllDay=false] - Changes how UNTIL is written
+ * @returns {string} e.g. 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU'
+ */
+export const buildRRule = (rule, { isAllDay = false } = {}) => {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length) {
+        parts.push(`BYDAY=${rule.byDay.map(({ ordinal, day }) => `${ordinal ?? ''}${day}`).join(',')}`);
+    }
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    else if (rule.until) parts.push(`UNTIL=${formatUntil(rule, isAllDay)}`);
+    parts.push(...rule.extraParts);
+
+    return `RRULE:${parts.join(';')}`;
+};
+
+/**
+ * A full recurrence list for saving, or null for "does not repeat"
+ *
+ * @param {Object|null} rule - Rule object
+ * @param {string[]} [otherLines] - EXDATE/RDATE lines from parseRecurrence
+ * @param {Object} [options] - Same as buildRRule
+ * @returns {string[]|null}
+ */
+export const buildRecurrence = (rule, otherLines = [], options = {}) => {
+    if (!rule) return null;
+    return [buildRRule(rule, options), ...otherLines];
+};
+
+/**
+ * The recurrence list cut off before the day of `splitDate`
+ *
+ * JUNIOR DEV NOTE: This is the first half of "this and following": the
+ * old series gets an UNTIL on the day before, and a new series starts at
+ * the split. COUNT is dropped - every occurrence before the split already
+ * fit inside it, so the UNTIL alone keeps exactly those.
+ *
+ * @param {string[]|null} recurrence
+ * @param {Date} splitDate - Date of the first occurrence to drop
+ * @param {Object} [options] - Same as buildRRule
+ * @returns {string[]|null} The list unchanged if it has no rule
+ */
+export const endRecurrenceBefore = (recurrence, splitDate, options = {}) => {
+    const { rule, otherLines } = parseRecurrence(recurrence);
+    if (!rule) return recurrence;
+
+    const until = addDays(startOfDay(splitDate), -1);
+    return buildRecurrence({ ...rule, count: null, until, untilValue: null }, otherLines, options);
+};
+
+// ============================================================================
+// PRESETS
+// ============================================================================
+
+/**
+ * The rule behind a quick choice, for an event on `date`
+ *
+ * @param {string} preset - One of PRESETS
+ * @param {Date} date - The event's (first) date
+ * @returns {Object|null} Rule object, or null for 'none'
+ */
+export const createPresetRule = (preset, date) => {
+    const base = { interval: 1, byDay: [], count: null, until: null, untilValue: null, extraParts: [] };
+    const day = WEEKDAY_CODES[date.getDay()];
+
+    switch (preset) {
+        case 'daily':
+            return { ...base, freq: 'DAILY' };
+        case 'weekdays':
+            return { ...base, freq: 'WEEKLY', byDay: WORKWEEK.map(code => ({ ordinal: null, day: code })) };
+        case 'weekly':
+            return { ...base, freq: 'WEEKLY', byDay: [{ ordinal: null, day }] };
+        case 'monthlyNth':
+            return { ...base, freq: 'MONTHLY', byDay: [{ ordinal: weekOfMonth(date), day }] };
+        case 'monthlyLast':
+            return { ...base, freq: 'MONTHLY', byDay: [{ ordinal: -1, day }] };
+        case 'monthly':
+            return { ...base, freq: 'MONTHLY' };
+        case 'yearly':
+            return { ...base, freq: 'YEARLY' };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Repeat menu entries for an event on `date`
+ *
+ * "Monthly on the 5th Tuesday" only exists in some months, so it's left
+ * out in favour of "last Tuesday"; "last" is only offered in the final
+ * week of a month.
+ *
+ * @param {Date} date
+ * @returns {Array} [{ value, label }]
+ */
+export const getPresetOptions = (date) => {
+    const weekdayName = WEEKDAY_NAMES[date.getDay()];
+    const week = weekOfMonth(date);
+
+    return [
+        { value: 'none', label: 'Does not repeat' },
+        { value: 'daily', label: 'Daily' },
+        { value: 'weekdays', label: 'Every weekday (Monday to Friday)' },
+        { value: 'weekly', label: `Weekly on ${weekdayName}` },
+        ...(week < 5 ? [{ value: 'monthlyNth', label: `Monthly on the ${ORDINAL_WORDS[week]} ${weekdayName}` }] : []),
+        ...(isLastWeekdayOfMonth(date) ? [{ value: 'monthlyLast', label: `Monthly on the last ${weekdayName}` }] : []),
+        { value: 'monthly', label: `Monthly on day ${date.getDate()}` },
+        { value: 'yearly', label: `Annually on ${format(date, 'MMMM d')}` },
+    ];
+};
+
+/**
+ * Which quick choice (if any) a rule is exactly
+ *
+ * @param {Object|null} rule - Rule object
+ * @param {Date} date - The event's (first) date
+ * @returns {string|null} A PRESETS value, or null if only "Custom" describes it
+ */
+export const matchPreset = (rule, date) => {
+    if (!rule) return 'none';
+
+    // Only the choices the menu offers for this date
+    const built = buildRRule(rule);
+    return getPresetOptions(date).map(option => option.value).find(preset => {
+        const presetRule = createPresetRule(preset, date);
+        return presetRule && buildRRule(presetRule) === built;
+    }) || null;
+};
+
+// ============================================================================
+// DESCRIBING
+// ============================================================================
+
+const joinDays = (byDay) => byDay.map(({ day }) => WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(day)]).join(', ');
+
+/**
+ * A rule in plain English, for the dialog and the event popup
+ *
+ * @param {Object|null} rule - Rule object
+ * @param {Date} date - The event's (first) date
+ * @returns {string} e.g. "Every 2 weeks on Tuesday, until Jun 30, 2025"
+ *
+ * @example
+ * describeRule(parseRRule('RRULE:FREQ=MONTHLY;BYDAY=1MO'), date)
+ * // Returns: "Monthly on the first Monday"
+ */
+export const describeRule = (rule, date) => {
+    if (!rule) return 'Does not repeat';
+
+    const isWorkweek = rule.freq === 'WEEKLY' && rule.byDay.length === 5 &&
+        WORKWEEK.every(code => rule.byDay.some(({ day }) => day === code));
+
+    let text;
+    if (isWorkweek && rule.interval === 1) {
+        text = 'Every weekday';
+    } else {
+        const unit = UNIT_WORDS[rule.freq];
+        text = rule.interval > 1
+            ? `Every ${rule.interval} ${unit}s`
+            : { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Annually' }[rule.freq];
+
+        if (rule.freq === 'WEEKLY' && rule.byDay.length) {
+            text += ` on ${joinDays(rule.byDay)}`;
+        } else if (rule.freq === 'MONTHLY') {
+            const [first] = rule.byDay;
+            text += first?.ordinal
+                ? ` on the ${ORDINAL_WORDS[first.ordinal] || `${first.ordinal}.`} ${joinDays([first])}`
+                : ` on day ${date.getDate()}`;
+        } else if (rule.freq === 'YEARLY') {
+            text += ` on ${format(date, 'MMMM d')}`;
+        }
+    }
+
+    if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    else if (rule.until) text += `, until ${format(rule.until, 'MMM d, yyyy')}`;
+
+    return text;
+};